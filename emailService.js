@@ -1,11 +1,27 @@
 const nodemailer = require('nodemailer');
 
+const fs = require('fs');
+
+
+
+// Use the local SMTP stand-in instead of a real mail server (development only)
+
+const isDevSmtp = () => process.env.EMAIL_DEV_SMTP === 'true' && process.env.NODE_ENV !== 'production';
+
 
 
 // Validate email configuration
 
 const validateEmailConfig = () => {
 
+  if (isDevSmtp()) {
+
+    return true; // The local SMTP stand-in needs no credentials
+
+  }
+
+  
+
   const errors = [];
 
   
@@ -100,6 +116,28 @@ const createTransporter = () => {
 
 
 
+  if (isDevSmtp()) {
+
+    // Option 3: local SMTP stand-in (for development) - MailHog, Mailpit or smtp4dev catch every email
+
+    transporter = nodemailer.createTransport({
+
+      host: process.env.DEV_SMTP_HOST || 'localhost',
+
+      port: parseInt(process.env.DEV_SMTP_PORT) || 1025,
+
+      secure: false,
+
+      ignoreTLS: true
+
+    });
+
+    return transporter;
+
+  }
+
+  
+
   if (process.env.SMTP_HOST) {
 
     // Option 2: SMTP (for production)
@@ -190,6 +228,48 @@ const createTransporter = () => {
 
 
 
+// Every email send (and failed attempt) is recorded here, newest first
+
+// Set EMAIL_SEND_LOG to a file path to also append each entry to that file as a JSON line
+
+const MAX_SEND_LOG_ENTRIES = 500;
+
+const sendLog = [];
+
+
+
+const recordSend = (entry) => {
+
+  const record = { ...entry, at: new Date().toISOString() };
+
+  sendLog.unshift(record);
+
+  sendLog.length = Math.min(sendLog.length, MAX_SEND_LOG_ENTRIES);
+
+  if (process.env.EMAIL_SEND_LOG) {
+
+    fs.appendFile(process.env.EMAIL_SEND_LOG, `${JSON.stringify(record)}\n`, (error) => {
+
+      if (error) console.error('⚠️  Could not write the email send log:', error.message);
+
+    });
+
+  }
+
+};
+
+
+
+/**
+
+ * Emails sent since the server started, newest first
+
+ * @returns {Array} [{ type, to, subject, status, messageId, error, appointmentId, at }]
+
+ */
+
+exports.getSendLog = () => [...sendLog];
+
 /**
 
  * Send schedule change notification email
@@ -428,7 +508,7 @@ exports.sendScheduleChangeEmail = async (emailData) => {
 
     const mailOptions = {
 
-      from: `"Hospital Management" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      from: `"Hospital Management" <${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@hospital.local'}>`,
 
       to: to,
 
@@ -454,6 +534,8 @@ exports.sendScheduleChangeEmail = async (emailData) => {
 
     console.log('   Response:', info.response);
 
+    recordSend({ type: 'schedule-change', to: to, subject: mailOptions.subject, status: 'sent', messageId: info.messageId });
+
     return info;
 
   } catch (error) {
@@ -462,6 +544,8 @@ exports.sendScheduleChangeEmail = async (emailData) => {
 
     console.error('   Error:', error.message);
 
+    recordSend({ type: 'schedule-change', to: emailData && emailData.to, subject: emailData && emailData.subject, status: 'failed', error: error.message });
+
     
 
     // Provide helpful error messages
@@ -512,6 +596,312 @@ exports.sendScheduleChangeEmail = async (emailData) => {
 
 
 
+/**
+
+ * Send an appointment reminder with links to confirm or cancel
+
+ * @param {Object} emailData - { to, subject, patientName, doctorName, department, date, time, location, confirmUrl, cancelUrl, appointmentId, calendar }
+
+ *   - calendar: optional .ics content, attached so the patient can add the appointment to their calendar
+
+ */
+
+exports.sendAppointmentReminderEmail = async (emailData) => {
+
+  const {
+
+    to,
+
+    subject,
+
+    patientName,
+
+    doctorName,
+
+    department,
+
+    date,
+
+    time,
+
+    location,
+
+    confirmUrl,
+
+    cancelUrl,
+
+    appointmentId,
+
+    calendar
+
+  } = emailData || {};
+
+  const mailSubject = subject || `Appointment reminder: ${date}${time ? ` at ${time}` : ''}`;
+
+  try {
+
+    if (!validateEmailConfig()) {
+
+      throw new Error('Email configuration is missing. Please check your .env file.');
+
+    }
+
+    const emailTransporter = createTransporter();
+
+    if (!emailTransporter) {
+
+      throw new Error('Email transporter could not be created. Please check your .env file.');
+
+    }
+
+    if (!to) {
+
+      throw new Error('Recipient email address (to) is required');
+
+    }
+
+    if (!date || !confirmUrl || !cancelUrl) {
+
+      throw new Error('Appointment date and the confirm and cancel links are required');
+
+    }
+
+  // HTML email template
+
+  const htmlContent = `
+
+    <!DOCTYPE html>
+
+    <html>
+
+    <head>
+
+      <style>
+
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+
+        .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+
+        .content { background-color: #f9f9f9; padding: 20px; }
+
+        .schedule-box { background-color: white; border-left: 4px solid #2196F3; padding: 15px; margin: 15px 0; }
+
+        .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+
+        .btn { display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin: 20px 10px 0 0; }
+
+        .btn-cancel { background-color: #dc3545; }
+
+      </style>
+
+    </head>
+
+    <body>
+
+      <div class="container">
+
+        <div class="header">
+
+          <h2>🏥 Hospital Management System</h2>
+
+        </div>
+
+        <div class="content">
+
+          <h3>Appointment Reminder</h3>
+
+          <p>Dear ${patientName || 'Patient'},</p>
+
+          <p>This is a reminder of your upcoming appointment.</p>
+
+          <div class="schedule-box">
+
+            <p><strong>Doctor:</strong> ${doctorName || 'Your doctor'}</p>
+
+            ${department ? `<p><strong>Department:</strong> ${department}</p>` : ''}
+
+            <p><strong>Date:</strong> ${date}</p>
+
+            ${time ? `<p><strong>Time:</strong> ${time}</p>` : ''}
+
+            ${location ? `<p><strong>Location:</strong> ${location}</p>` : ''}
+
+          </div>
+
+          <p>Please let us know whether you will attend:</p>
+
+          <a class="btn" href="${confirmUrl}">Confirm Appointment</a>
+
+          <a class="btn btn-cancel" href="${cancelUrl}">Cancel Appointment</a>
+
+          <p>Please arrive 15 minutes early and check in at reception.</p>
+
+        </div>
+
+        <div class="footer">
+
+          <p>Best regards,<br>Hospital Management Team</p>
+
+          <p>This is an automated message. Please do not reply to this email.</p>
+
+        </div>
+
+      </div>
+
+    </body>
+
+    </html>
+
+  `;
+
+  // Plain text version
+
+  const textContent = `
+
+    Appointment Reminder
+
+    Dear ${patientName || 'Patient'},
+
+    This is a reminder of your upcoming appointment.
+
+    - Doctor: ${doctorName || 'Your doctor'}
+
+    ${department ? `- Department: ${department}` : ''}
+
+    - Date: ${date}
+
+    ${time ? `- Time: ${time}` : ''}
+
+    ${location ? `- Location: ${location}` : ''}
+
+    Confirm you are coming: ${confirmUrl}
+
+    Cancel the appointment: ${cancelUrl}
+
+    Please arrive 15 minutes early and check in at reception.
+
+    Best regards,
+
+    Hospital Management Team
+
+  `;
+
+    const mailOptions = {
+
+      from: `"Hospital Management" <${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@hospital.local'}>`,
+
+      to: to,
+
+      subject: mailSubject,
+
+      text: textContent,
+
+      html: htmlContent
+
+    };
+
+    if (calendar) {
+
+      // Mail clients show an "Add to calendar" option for the attached event
+
+      mailOptions.icalEvent = { filename: 'appointment.ics', method: 'PUBLISH', content: calendar };
+
+    }
+
+    console.log(`📧 Sending appointment reminder to: ${to}`);
+
+    const info = await emailTransporter.sendMail(mailOptions);
+
+    console.log('✅ Reminder sent. Message ID:', info.messageId);
+
+    recordSend({ type: 'appointment-reminder', to: to, subject: mailSubject, status: 'sent', messageId: info.messageId, appointmentId: appointmentId });
+
+    return info;
+
+  } catch (error) {
+
+    console.error('❌ Error sending appointment reminder:', error.message);
+
+    recordSend({ type: 'appointment-reminder', to: to, subject: mailSubject, status: 'failed', error: error.message, appointmentId: appointmentId });
+
+    // Re-throw error so caller can record the failed reminder
+
+    throw error;
+
+  }
+
+};
+
+/**
+
+ * Send a plain text email, for messages that have no template of their own (e.g. waitlist offers)
+
+ * @param {Object} emailData - { to, subject, message, type, appointmentId }
+
+ */
+
+exports.sendPlainEmail = async (emailData) => {
+
+  const { to, subject, message, type, appointmentId } = emailData || {};
+
+  const mailSubject = subject || 'Message from the hospital';
+
+  try {
+
+    if (!validateEmailConfig()) {
+
+      throw new Error('Email configuration is missing. Please check your .env file.');
+
+    }
+
+    const emailTransporter = createTransporter();
+
+    if (!emailTransporter) {
+
+      throw new Error('Email transporter could not be created. Please check your .env file.');
+
+    }
+
+    if (!to || !message) {
+
+      throw new Error('Recipient email address (to) and message are required');
+
+    }
+
+    const mailOptions = {
+
+      from: `"Hospital Management" <${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@hospital.local'}>`,
+
+      to: to,
+
+      subject: mailSubject,
+
+      text: `${message}\n\nBest regards,\nHospital Management Team`
+
+    };
+
+    const info = await emailTransporter.sendMail(mailOptions);
+
+    recordSend({ type: type || 'general', to: to, subject: mailSubject, status: 'sent', messageId: info.messageId, appointmentId: appointmentId });
+
+    return info;
+
+  } catch (error) {
+
+    console.error('❌ Error sending email:', error.message);
+
+    recordSend({ type: type || 'general', to: to, subject: mailSubject, status: 'failed', error: error.message, appointmentId: appointmentId });
+
+    throw error;
+
+  }
+
+};
+
+
+
 /**
 
  * Verify email configuration
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { sendAppointmentReminderEmail, sendPlainEmail, sendScheduleChangeEmail } = require('./emailService');
+
+// Patient messaging for the backend: one sendMessage() for every channel.
+// Email goes through emailService; SMS and WhatsApp go through the provider chosen in .env.
+//   SMS_PROVIDER=twilio | africastalking | console | file
+//   WHATSAPP_PROVIDER=twilio | meta | console | file
+// Without a setting, development falls back to 'console' and production refuses to send.
+
+const providers = {};
+
+// Add or replace a provider: { channels: ['sms', 'whatsapp'], send: async (message) => ({ providerMessageId, status }) }
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const localId = (prefix) => `${prefix}-${crypto.randomBytes(8).toString('hex')}`;
+
+// Console stub (development) - prints the message instead of sending it
+registerProvider('console', {
+  channels: ['sms', 'whatsapp'],
+  send: async (message) => {
+    console.log(`📱 [${message.channel}] to ${message.to}: ${message.message}`);
+    return { providerMessageId: localId('console'), status: 'delivered' };
+  }
+});
+
+// File stub (development) - appends each message as a JSON line to MESSAGING_OUTBOX_FILE
+registerProvider('file', {
+  channels: ['sms', 'whatsapp'],
+  send: async (message) => {
+    const providerMessageId = localId('file');
+    const file = process.env.MESSAGING_OUTBOX_FILE || 'messaging-outbox.log';
+    await fs.promises.appendFile(file, `${JSON.stringify({ providerMessageId, ...message, at: new Date().toISOString() })}\n`);
+    return { providerMessageId, status: 'delivered' };
+  }
+});
+
+// Twilio - SMS and WhatsApp (https://www.twilio.com/docs/messaging/api/message-resource)
+registerProvider('twilio', {
+  channels: ['sms', 'whatsapp'],
+  send: async (message) => {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const token = process.env.TWILIO_AUTH_TOKEN;
+    const isWhatsApp = message.channel === 'whatsapp';
+    const from = isWhatsApp ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_SMS_FROM;
+    if (!sid || !token || !from) {
+      throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and the sender number must be set');
+    }
+
+    const form = new URLSearchParams({
+      To: isWhatsApp ? `whatsapp:${message.to}` : message.to,
+      From: isWhatsApp ? `whatsapp:${from}` : from,
+      Body: message.message
+    });
+    if (process.env.MESSAGING_STATUS_CALLBACK_URL) {
+      form.set('StatusCallback', `${process.env.MESSAGING_STATUS_CALLBACK_URL}?provider=twilio`);
+    }
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: 'POST',
+      headers: { Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString('base64')}` },
+      body: form
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Twilio responded with ${response.status}`);
+    }
+    return { providerMessageId: data.sid, status: mapProviderStatus('twilio', data.status) };
+  }
+});
+
+// Africa's Talking - SMS (https://developers.africastalking.com/docs/sms/sending)
+registerProvider('africastalking', {
+  channels: ['sms'],
+  send: async (message) => {
+    const username = process.env.AT_USERNAME;
+    const apiKey = process.env.AT_API_KEY;
+    if (!username || !apiKey) {
+      throw new Error('AT_USERNAME and AT_API_KEY must be set');
+    }
+
+    const form = new URLSearchParams({ username, to: message.to, message: message.message });
+    if (process.env.AT_SENDER_ID) {
+      form.set('from', process.env.AT_SENDER_ID);
+    }
+    const host = username === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+    const response = await fetch(`https://${host}/version1/messaging`, {
+      method: 'POST',
+      headers: { apiKey, Accept: 'application/json' },
+      body: form
+    });
+    const data = await response.json();
+    const recipient = data.SMSMessageData?.Recipients?.[0];
+    if (!response.ok || !recipient || recipient.status !== 'Success') {
+      throw new Error(recipient?.status || data.SMSMessageData?.Message || `Africa's Talking responded with ${response.status}`);
+    }
+    return { providerMessageId: recipient.messageId, status: 'sent' };
+  }
+});
+
+// Meta WhatsApp Cloud API (https://developers.facebook.com/docs/whatsapp/cloud-api/guides/send-messages)
+// Free-form text only reaches patients who wrote to you in the last 24 hours; anything else needs
+// an approved template, named per message type in WHATSAPP_TEMPLATES (JSON), e.g. {"appointment-reminder":"appt_reminder"}
+registerProvider('meta', {
+  channels: ['whatsapp'],
+  send: async (message) => {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+    if (!phoneNumberId || !accessToken) {
+      throw new Error('WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN must be set');
+    }
+
+    const templates = JSON.parse(process.env.WHATSAPP_TEMPLATES || '{}');
+    const template = templates[message.type];
+    const payload = {
+      messaging_product: 'whatsapp',
+      to: message.to.replace(/^\+/, ''),
+      ...(template
+        ? {
+          type: 'template',
+          template: {
+            name: template,
+            language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+            components: [{ type: 'body', parameters: [{ type: 'text', text: message.message }] }]
+          }
+        }
+        : { type: 'text', text: { body: message.message } })
+    };
+
+    const response = await fetch(`https://graph.facebook.com/v19.0/${phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || `WhatsApp responded with ${response.status}`);
+    }
+    return { providerMessageId: data.messages?.[0]?.id, status: 'sent' };
+  }
+});
+
+// Provider statuses mapped to the app's delivery statuses: queued, sent, delivered, read, failed
+const STATUS_MAPS = {
+  twilio: {
+    accepted: 'queued', scheduled: 'queued', queued: 'queued', sending: 'queued',
+    sent: 'sent', delivered: 'delivered', read: 'read',
+    failed: 'failed', undelivered: 'failed', canceled: 'failed'
+  },
+  africastalking: {
+    Sent: 'sent', Submitted: 'sent', Buffered: 'queued', Success: 'delivered',
+    Failed: 'failed', Rejected: 'failed'
+  },
+  meta: { sent: 'sent', delivered: 'delivered', read: 'read', failed: 'failed' }
+};
+
+const mapProviderStatus = (provider, status) =>
+  (STATUS_MAPS[provider] && STATUS_MAPS[provider][status]) || status;
+
+const getProviderName = (channel) => {
+  const configured = channel === 'whatsapp' ? process.env.WHATSAPP_PROVIDER : process.env.SMS_PROVIDER;
+  if (configured) return configured;
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+};
+
+// Email reuses the templates in emailService; other message types go out as plain text
+const sendEmail = async (message) => {
+  const details = message.details || {};
+  let info;
+  if (message.type === 'appointment-reminder') {
+    info = await sendAppointmentReminderEmail({ to: message.to, subject: message.subject, appointmentId: message.appointmentId, ...details });
+  } else if (message.type === 'schedule-change' && details.oldSchedule) {
+    info = await sendScheduleChangeEmail({ to: message.to, subject: message.subject, ...details });
+  } else {
+    info = await sendPlainEmail({ to: message.to, subject: message.subject, message: message.message, type: message.type, appointmentId: message.appointmentId });
+  }
+  return { provider: 'email', providerMessageId: info.messageId, status: 'sent' };
+};
+
+/**
+ * Send a message on a channel
+ * Never throws: a message the provider rejects comes back with status 'failed' and an error,
+ * so the caller can store it and show it in the delivery log.
+ * @param {Object} message - { channel, to, message, subject, type, details, appointmentId }
+ * @returns {Promise<Object>} { provider, providerMessageId, status, error }
+ */
+const sendMessage = async (message) => {
+  try {
+    if (message.channel === 'email') {
+      return await sendEmail(message);
+    }
+
+    const name = getProviderName(message.channel);
+    const provider = name && providers[name];
+    if (!provider) {
+      throw new Error(`No ${message.channel} provider is configured`);
+    }
+    if (!provider.channels.includes(message.channel)) {
+      throw new Error(`Provider ${name} does not send ${message.channel} messages`);
+    }
+
+    const result = await provider.send(message);
+    return { provider: name, ...result, error: null };
+  } catch (error) {
+    console.error(`❌ Error sending ${message.channel} message to ${message.to}:`, error.message);
+    return { provider: getProviderName(message.channel), providerMessageId: null, status: 'failed', error: error.message };
+  }
+};
+
+module.exports = {
+  sendMessage,
+  registerProvider,
+  mapProviderStatus
+};
@@ -2,7 +2,13 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import Navigation from './components/Navigation';
 import WhatsAppButton from './components/WhatsAppButton';
+import ProtectedRoute from './components/ProtectedRoute';
+import SessionManager from './components/SessionManager';
+import ReminderScheduler from './components/ReminderScheduler';
+import NoShowScheduler from './components/NoShowScheduler';
+import WaitlistScheduler from './components/WaitlistScheduler';
 import { isAuthenticated, getCurrentUser } from './services/authService';
+import { can, getHomePath } from './utils/accessControl';
 import './App.css';
 import './styles/global.css';
 
@@ -17,10 +23,22 @@ import PatientsPage from './pages/PatientsPage';
 import DoctorsPage from './pages/DoctorsPage';
 import DepartmentsPage from './pages/DepartmentsPage';
 import DoctorSchedulesPage from './pages/DoctorSchedulesPage';
+import AbsencesPage from './pages/AbsencesPage';
 import AppointmentsPage from './pages/AppointmentsPage';
+import CalendarPage from './pages/CalendarPage';
+import AppointmentSeriesPage from './pages/AppointmentSeriesPage';
+import WaitlistPage from './pages/WaitlistPage';
+import ReceptionCheckInPage from './pages/ReceptionCheckInPage';
+import DisplayBoardPage from './pages/DisplayBoardPage';
+import AnnouncementsPage from './pages/AnnouncementsPage';
+import RemindersPage from './pages/RemindersPage';
+import MessagesPage from './pages/MessagesPage';
+import AppointmentResponsePage from './pages/AppointmentResponsePage';
 import AppointmentStatusHistoryPage from './pages/AppointmentStatusHistoryPage';
 import AppointmentChangesPage from './pages/AppointmentChangesPage';
 import ScheduledAppointmentsPage from './pages/ScheduledAppointmentsPage';
+import ManageBookingPage from './pages/ManageBookingPage';
+import PatientPortalPage from './pages/PatientPortalPage';
 import MedicalRecordsPage from './pages/MedicalRecordsPage';
 import NotificationsPage from './pages/NotificationsPage';
 import ReportsPage from './pages/ReportsPage';
@@ -36,51 +54,64 @@ function AppContent() {
   const location = useLocation();
   const authenticated = isAuthenticated();
   // Hide navigation on public pages
-  const publicPages = ['/scheduled-appointments', '/login', '/home', '/', '/contact', '/contact-patient', '/doctors-chat'];
+  const publicPages = ['/scheduled-appointments', '/manage-booking', '/login', '/home', '/', '/contact', '/contact-patient', '/doctors-chat', '/display-board', '/appointment-response'];
   const isPublicPage = publicPages.includes(location.pathname);
   const showNavigation = !isPublicPage;
+  // Unattended screens (waiting-room TVs) also skip the session timeout and the chat button
+  const kioskPages = ['/display-board'];
+  const isKioskPage = kioskPages.includes(location.pathname);
 
   return (
     <div className="App">
+      {authenticated && !isKioskPage && <SessionManager />}
+      {authenticated && !isKioskPage && can('reminders', 'create') && <ReminderScheduler />}
+      {authenticated && !isKioskPage && can('queue', 'update') && <NoShowScheduler />}
+      {authenticated && !isKioskPage && can('waitlist', 'update') && <WaitlistScheduler />}
       {showNavigation && <Navigation />}
       <main className={`main-content ${isPublicPage ? 'login-layout' : ''}`}>
-        {location.pathname !== '/login' && <WhatsAppButton />}
+        {location.pathname !== '/login' && !isKioskPage && <WhatsAppButton />}
         <Routes>
             <Route path="/home" element={<HomePage />} />
             <Route path="/login" element={
-              authenticated ? (() => {
-                const user = getCurrentUser();
-                const userRole = user?.role?.toLowerCase();
-                // Redirect doctors to doctor dashboard, others to admin dashboard
-                if (userRole === 'doctor') {
-                  return <Navigate to="/doctor-dashboard" replace />;
-                }
-                return <Navigate to="/dashboard" replace />;
-              })() : <LoginPage />
+              authenticated
+                ? <Navigate to={getHomePath(getCurrentUser())} replace />
+                : <LoginPage />
             } />
             <Route path="/" element={<HomePage />} />
-            <Route path="/dashboard" element={<DashboardPage />} />
-            <Route path="/doctor-dashboard" element={<DoctorDashboardPage />} />
-            <Route path="/users" element={<UsersPage />} />
-            <Route path="/roles" element={<RolesPage />} />
-            <Route path="/patients" element={<PatientsPage />} />
-            <Route path="/doctors" element={<DoctorsPage />} />
-            <Route path="/departments" element={<DepartmentsPage />} />
-            <Route path="/doctor-schedules" element={<DoctorSchedulesPage />} />
-            <Route path="/appointments" element={<AppointmentsPage />} />
+            <Route path="/patient-portal" element={<ProtectedRoute><PatientPortalPage /></ProtectedRoute>} />
+            <Route path="/dashboard" element={<ProtectedRoute><DashboardPage /></ProtectedRoute>} />
+            <Route path="/doctor-dashboard" element={<ProtectedRoute><DoctorDashboardPage /></ProtectedRoute>} />
+            <Route path="/users" element={<ProtectedRoute><UsersPage /></ProtectedRoute>} />
+            <Route path="/roles" element={<ProtectedRoute><RolesPage /></ProtectedRoute>} />
+            <Route path="/patients" element={<ProtectedRoute><PatientsPage /></ProtectedRoute>} />
+            <Route path="/doctors" element={<ProtectedRoute><DoctorsPage /></ProtectedRoute>} />
+            <Route path="/departments" element={<ProtectedRoute><DepartmentsPage /></ProtectedRoute>} />
+            <Route path="/doctor-schedules" element={<ProtectedRoute><DoctorSchedulesPage /></ProtectedRoute>} />
+            <Route path="/absences" element={<ProtectedRoute><AbsencesPage /></ProtectedRoute>} />
+            <Route path="/appointments" element={<ProtectedRoute><AppointmentsPage /></ProtectedRoute>} />
+            <Route path="/calendar" element={<ProtectedRoute><CalendarPage /></ProtectedRoute>} />
+            <Route path="/appointment-series" element={<ProtectedRoute><AppointmentSeriesPage /></ProtectedRoute>} />
+            <Route path="/waitlist" element={<ProtectedRoute><WaitlistPage /></ProtectedRoute>} />
+            <Route path="/check-in" element={<ProtectedRoute><ReceptionCheckInPage /></ProtectedRoute>} />
+            <Route path="/announcements" element={<ProtectedRoute><AnnouncementsPage /></ProtectedRoute>} />
+            <Route path="/reminders" element={<ProtectedRoute><RemindersPage /></ProtectedRoute>} />
+            <Route path="/messages" element={<ProtectedRoute><MessagesPage /></ProtectedRoute>} />
             <Route path="/scheduled-appointments" element={<ScheduledAppointmentsPage />} />
-            <Route path="/appointment-status-history" element={<AppointmentStatusHistoryPage />} />
-            <Route path="/appointment-changes" element={<AppointmentChangesPage />} />
-            <Route path="/medical-records" element={<MedicalRecordsPage />} />
-            <Route path="/notifications" element={<NotificationsPage />} />
-            <Route path="/reports" element={<ReportsPage />} />
+            <Route path="/manage-booking" element={<ManageBookingPage />} />
+            <Route path="/appointment-status-history" element={<ProtectedRoute><AppointmentStatusHistoryPage /></ProtectedRoute>} />
+            <Route path="/appointment-changes" element={<ProtectedRoute><AppointmentChangesPage /></ProtectedRoute>} />
+            <Route path="/medical-records" element={<ProtectedRoute><MedicalRecordsPage /></ProtectedRoute>} />
+            <Route path="/notifications" element={<ProtectedRoute><NotificationsPage /></ProtectedRoute>} />
+            <Route path="/reports" element={<ProtectedRoute><ReportsPage /></ProtectedRoute>} />
             <Route path="/contact" element={<ContactPage />} />
-            <Route path="/contact-doctor" element={<ContactDoctorPage />} />
-            <Route path="/contact-admin" element={<ContactAdminPage />} />
-            <Route path="/contact-patient" element={<ContactPatientPage />} />
-            <Route path="/contacts" element={<ContactsPage />} />
-            <Route path="/audit-logs" element={<AuditLogsPage />} />
-            <Route path="/doctors-chat" element={<DoctorsChatPage />} />
+            <Route path="/display-board" element={<DisplayBoardPage />} />
+            <Route path="/appointment-response" element={<AppointmentResponsePage />} />
+            <Route path="/contact-doctor" element={<ProtectedRoute><ContactDoctorPage /></ProtectedRoute>} />
+            <Route path="/contact-admin" element={<ProtectedRoute><ContactAdminPage /></ProtectedRoute>} />
+            <Route path="/contact-patient" element={<ProtectedRoute><ContactPatientPage /></ProtectedRoute>} />
+            <Route path="/contacts" element={<ProtectedRoute><ContactsPage /></ProtectedRoute>} />
+            <Route path="/audit-logs" element={<ProtectedRoute><AuditLogsPage /></ProtectedRoute>} />
+            <Route path="/doctors-chat" element={<ProtectedRoute><DoctorsChatPage /></ProtectedRoute>} />
         </Routes>
       </main>
     </div>
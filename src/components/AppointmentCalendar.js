@@ -0,0 +1,339 @@
+import React, { useRef, useState } from 'react';
+import {
+  getViewDates,
+  getSchedulesOn,
+  groupAppointmentsByDate,
+  getTimeRange,
+  layoutEvents,
+  snapToSlot
+} from '../utils/calendar';
+import { countFreePlaces, findTimeOff, getSlotMinutes, getTodayKey, minutesToTime, timeToMinutes, DAYS_OF_WEEK } from '../utils/slots';
+import './AppointmentCalendar.css';
+
+// Height of one hour in the time grid, in pixels
+const HOUR_HEIGHT = 56;
+
+// Appointment chips shown in a month cell before "+N more"
+const MONTH_CELL_LIMIT = 3;
+
+// Only appointments still to take place can be dragged to another time
+const MOVABLE_STATUSES = ['pending', 'scheduled', 'confirmed'];
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const getPersonName = (person, prefix = '') =>
+  person && typeof person === 'object' && person.first_name
+    ? `${prefix}${person.first_name} ${person.last_name}`
+    : 'N/A';
+
+const formatColumnDate = (dateKey, options) =>
+  new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+
+/**
+ * AppointmentCalendar Component
+ * Day, week, month and per-doctor (resource) views of appointments laid over the doctors' schedule blocks.
+ * Schedule blocks show how many slots are still free; appointments are colored by status.
+ * Appointments that have not started yet can be dragged to another time, day or (in the resource view) doctor.
+ * @param {Object} props - { view, date, appointments, schedules, overrides, doctors, doctorId, slots, timeOff, onSelectAppointment, onSelectDate, onMoveAppointment }
+ *   - overrides: schedule overrides, so extra, changed and cancelled sessions show on their dates
+ *   - doctorId: only show this doctor (all doctors when empty)
+ *   - slots: slots of the shown dates from buildSlots (includeFull), used for free slot counts
+ *   - timeOff: { absences, holidays }; sessions on those days are marked as away or closed
+ *   - onSelectDate(date): a month cell or column header was clicked
+ *   - onMoveAppointment(appointment, { date, time, doctorId }): an appointment was dropped;
+ *     dragging is disabled when omitted. Month view drops keep the time.
+ */
+const AppointmentCalendar = ({
+  view,
+  date,
+  appointments = [],
+  schedules = [],
+  overrides = [],
+  doctors = [],
+  doctorId = '',
+  slots = [],
+  timeOff = {},
+  onSelectAppointment,
+  onSelectDate,
+  onMoveAppointment
+}) => {
+  const [dragged, setDragged] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Where the event was grabbed, so a drop keeps its top edge under the same point of the pointer
+  const grabOffset = useRef(0);
+  const dates = getViewDates(view, date);
+  const todayKey = getTodayKey();
+  const visibleAppointments = doctorId
+    ? appointments.filter(appointment => getId(appointment.doctor_id) === doctorId)
+    : appointments;
+  const appointmentsByDate = groupAppointmentsByDate(visibleAppointments);
+
+  const countFreeSlots = (dateKey, scheduleId) => countFreePlaces(slots.filter(slot =>
+    slot.date === dateKey &&
+    (scheduleId ? slot.schedule_id === scheduleId : (!doctorId || slot.doctor_id === doctorId))
+  ));
+
+  const getTimeOffLabel = (dateKey, scheduleDoctorId) => {
+    // Without a doctor the month view only shows the days the whole hospital is closed
+    const off = scheduleDoctorId || doctorId
+      ? findTimeOff(scheduleDoctorId || doctorId, dateKey, timeOff)
+      : findTimeOff('', dateKey, { holidays: timeOff.holidays });
+    if (!off) return null;
+    return off.kind === 'holiday' ? off.record.name || 'Closed' : 'Away';
+  };
+
+  const getDoctorLabel = (ref) => {
+    const doctor = typeof ref === 'object' && ref ? ref : doctors.find(d => d._id === ref);
+    return getPersonName(doctor, 'Dr. ');
+  };
+
+  const isMovable = (appointment) =>
+    !!onMoveAppointment && MOVABLE_STATUSES.includes(appointment.status || 'scheduled');
+
+  const endDrag = () => {
+    setDragged(null);
+    setDropTarget(null);
+  };
+
+  // Drop zones accept the dragged appointment; leaving a zone for one of its children keeps it highlighted
+  const getDropZoneProps = (key, getMove) => {
+    if (!dragged) return {};
+    return {
+      onDragOver: (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (dropTarget !== key) setDropTarget(key);
+      },
+      onDragLeave: (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+      },
+      onDrop: (e) => {
+        e.preventDefault();
+        const appointment = dragged;
+        endDrag();
+        onMoveAppointment(appointment, getMove(e, appointment));
+      }
+    };
+  };
+
+  const renderEvent = (appointment) => (
+    <button
+      type="button"
+      className={`calendar-event calendar-status-${appointment.status || 'scheduled'} ${dragged?._id === appointment._id ? 'dragging' : ''}`}
+      onClick={() => onSelectAppointment && onSelectAppointment(appointment)}
+      draggable={isMovable(appointment)}
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', appointment._id);
+        grabOffset.current = e.clientY - e.currentTarget.getBoundingClientRect().top;
+        setDragged(appointment);
+      }}
+      onDragEnd={endDrag}
+      title={`${appointment.appointment_time} ${getPersonName(appointment.patient_id)} with ${getDoctorLabel(appointment.doctor_id)} (${appointment.status})`}
+    >
+      <span className="calendar-event-time">{appointment.appointment_time}</span>
+      <span className="calendar-event-title">{getPersonName(appointment.patient_id)}</span>
+    </button>
+  );
+
+  if (view === 'month') {
+    const month = date.slice(0, 7);
+    return (
+      <div className="appointment-calendar calendar-month">
+        {DAYS_OF_WEEK.map(day => (
+          <div key={day} className="calendar-month-weekday">{day.slice(0, 3)}</div>
+        ))}
+        {dates.map(dateKey => {
+          const dayAppointments = appointmentsByDate[dateKey] || [];
+          const free = countFreeSlots(dateKey);
+          const offLabel = getTimeOffLabel(dateKey);
+          return (
+            <div
+              key={dateKey}
+              className={`calendar-month-cell ${dateKey.slice(0, 7) !== month ? 'outside' : ''} ${dateKey === todayKey ? 'today' : ''} ${dropTarget === dateKey ? 'drop-target' : ''}`}
+              {...getDropZoneProps(dateKey, (e, appointment) => ({
+                date: dateKey,
+                time: appointment.appointment_time,
+                doctorId: getId(appointment.doctor_id)
+              }))}
+            >
+              <button type="button" className="calendar-month-date" onClick={() => onSelectDate && onSelectDate(dateKey)}>
+                {Number(dateKey.slice(8))}
+              </button>
+              {offLabel && <span className="calendar-off-badge">{offLabel}</span>}
+              {free > 0 && <span className="calendar-free-badge">{free} free</span>}
+              <div className="calendar-month-events">
+                {dayAppointments.slice(0, MONTH_CELL_LIMIT).map(appointment => (
+                  <React.Fragment key={appointment._id}>{renderEvent(appointment)}</React.Fragment>
+                ))}
+                {dayAppointments.length > MONTH_CELL_LIMIT && (
+                  <button type="button" className="calendar-more" onClick={() => onSelectDate && onSelectDate(dateKey)}>
+                    +{dayAppointments.length - MONTH_CELL_LIMIT} more
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+
+  // Time grid columns: one per date, or one per doctor in the resource view
+  let columns;
+  if (view === 'resource') {
+    const dayDoctorIds = new Set([
+      ...getSchedulesOn(schedules, date, '', overrides).map(schedule => getId(schedule.doctor_id)),
+      ...(appointmentsByDate[date] || []).map(appointment => getId(appointment.doctor_id))
+    ]);
+    const resourceDoctors = doctorId
+      ? doctors.filter(doctor => doctor._id === doctorId)
+      : doctors.filter(doctor => dayDoctorIds.has(doctor._id));
+    columns = resourceDoctors.map(doctor => ({
+      key: doctor._id,
+      date,
+      doctorId: doctor._id,
+      label: getPersonName(doctor, 'Dr. '),
+      sublabel: doctor.specialization
+    }));
+  } else {
+    columns = dates.map(dateKey => ({
+      key: dateKey,
+      date: dateKey,
+      doctorId,
+      label: formatColumnDate(dateKey, { weekday: 'short' }),
+      sublabel: formatColumnDate(dateKey, { month: 'short', day: 'numeric' })
+    }));
+  }
+
+  if (columns.length === 0) {
+    return <div className="appointment-calendar calendar-empty">No doctors are working on this day.</div>;
+  }
+
+  const columnData = columns.map(column => {
+    const columnSchedules = getSchedulesOn(schedules, column.date, column.doctorId, overrides);
+    const columnAppointments = (appointmentsByDate[column.date] || []).filter(appointment =>
+      !column.doctorId || getId(appointment.doctor_id) === column.doctorId
+    );
+    return { ...column, schedules: columnSchedules, appointments: columnAppointments };
+  });
+  const range = getTimeRange(
+    columnData.flatMap(column => column.schedules),
+    columnData.flatMap(column => column.appointments)
+  );
+  const hours = [];
+  for (let minutes = range.start; minutes < range.end; minutes += 60) hours.push(minutes);
+  const toPixels = (minutes) => ((minutes - range.start) / 60) * HOUR_HEIGHT;
+  const gridHeight = toPixels(range.end);
+  const showDoctorNames = view !== 'resource' && !doctorId;
+  const gridColumns = { gridTemplateColumns: `60px repeat(${columnData.length}, minmax(120px, 1fr))` };
+
+  return (
+    <div className={`appointment-calendar calendar-time-grid calendar-${view}`}>
+      <div className="calendar-grid-header" style={gridColumns}>
+        <div className="calendar-gutter" />
+        {columnData.map(column => (
+          <button
+            type="button"
+            key={column.key}
+            className={`calendar-column-header ${column.date === todayKey && view !== 'resource' ? 'today' : ''}`}
+            onClick={() => view === 'week' && onSelectDate && onSelectDate(column.date)}
+          >
+            <strong>{column.label}</strong>
+            {column.sublabel && <span>{column.sublabel}</span>}
+          </button>
+        ))}
+      </div>
+
+      <div className="calendar-grid-body" style={gridColumns}>
+        <div className="calendar-gutter" style={{ height: gridHeight }}>
+          {hours.map(minutes => (
+            <div key={minutes} className="calendar-hour-label" style={{ top: toPixels(minutes) }}>
+              {minutesToTime(minutes)}
+            </div>
+          ))}
+        </div>
+
+        {columnData.map(column => {
+          const blocks = layoutEvents(column.schedules.map(schedule => ({
+            schedule,
+            start: timeToMinutes(schedule.start_time),
+            end: timeToMinutes(schedule.end_time)
+          })));
+          const events = layoutEvents(column.appointments.map(appointment => {
+            const start = timeToMinutes(appointment.appointment_time);
+            const schedule = column.schedules.find(s =>
+              getId(s.doctor_id) === getId(appointment.doctor_id) &&
+              start >= timeToMinutes(s.start_time) && start < timeToMinutes(s.end_time)
+            );
+            return { appointment, start, end: start + getSlotMinutes(schedule || {}) };
+          }).filter(event => !isNaN(event.start)));
+
+          // Dropped appointments stay with their doctor unless dropped in another doctor's column
+          const getMove = (e, appointment) => {
+            const targetDoctorId = column.doctorId || getId(appointment.doctor_id);
+            const offset = e.clientY - grabOffset.current - e.currentTarget.getBoundingClientRect().top;
+            const minutes = range.start + Math.round((offset / HOUR_HEIGHT) * 60);
+            const doctorSchedules = column.schedules.filter(schedule => getId(schedule.doctor_id) === targetDoctorId);
+            return { date: column.date, time: snapToSlot(minutes, doctorSchedules), doctorId: targetDoctorId };
+          };
+
+          return (
+            <div
+              key={column.key}
+              className={`calendar-column ${dropTarget === column.key ? 'drop-target' : ''}`}
+              style={{ height: gridHeight }}
+              {...getDropZoneProps(column.key, getMove)}
+            >
+              {hours.map(minutes => (
+                <div key={minutes} className="calendar-hour-line" style={{ top: toPixels(minutes) }} />
+              ))}
+
+              {blocks.map(({ schedule, start, end, lane, lanes }) => {
+                const free = countFreeSlots(column.date, schedule._id);
+                const offLabel = getTimeOffLabel(column.date, getId(schedule.doctor_id));
+                return (
+                  <div
+                    key={schedule._id}
+                    className={`calendar-schedule-block ${offLabel ? 'off' : free === 0 ? 'full' : ''}`}
+                    style={{
+                      top: toPixels(start),
+                      height: toPixels(end) - toPixels(start),
+                      left: `${(lane / lanes) * 100}%`,
+                      width: `${100 / lanes}%`
+                    }}
+                  >
+                    <span className="calendar-schedule-label">
+                      {showDoctorNames && `${getDoctorLabel(schedule.doctor_id)} · `}
+                      {schedule.start_time}-{schedule.end_time}
+                      {offLabel
+                        ? ` · ${offLabel}`
+                        : column.date >= todayKey && ` · ${free === 0 ? 'full' : `${free} free`}`}
+                    </span>
+                  </div>
+                );
+              })}
+
+              {events.map(({ appointment, start, end, lane, lanes }) => (
+                <div
+                  key={appointment._id}
+                  className="calendar-event-slot"
+                  style={{
+                    top: toPixels(start),
+                    height: Math.max(toPixels(end) - toPixels(start), 22),
+                    left: `${(lane / lanes) * 100}%`,
+                    width: `${100 / lanes}%`
+                  }}
+                >
+                  {renderEvent(appointment)}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AppointmentCalendar;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { describeAttendanceFlag } from '../utils/attendance';
+import './AttendanceFlag.css';
+
+/**
+ * AttendanceFlag Component
+ * Warns in a booking form that the chosen patient often misses appointments
+ * @param {Object} props - { summary } from getAttendanceSummary; nothing is shown unless it is flagged
+ */
+const AttendanceFlag = ({ summary }) => {
+  if (!summary?.flagged) return null;
+  return (
+    <div className="attendance-flag">
+      ⚠️ Frequent no-shows: {describeAttendanceFlag(summary)}. Consider a confirmation call before the visit.
+    </div>
+  );
+};
+
+export default AttendanceFlag;
@@ -0,0 +1,55 @@
+import React from 'react';
+import './ErrorDisplay.css';
+import './BookingConflictNotice.css';
+
+const formatSlot = (slot) =>
+  `${new Date(`${slot.date}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  })} ${slot.time}`;
+
+/**
+ * BookingConflictNotice Component
+ * Explains why a time cannot be booked and offers the closest free slots
+ * @param {Object} props - { conflict, onPickSlot(slot) }
+ *   - conflict: BookingConflictError from bookingService
+ */
+const BookingConflictNotice = ({ conflict, onPickSlot }) => {
+  if (!conflict) return null;
+
+  const suggestions = conflict.suggestions || [];
+
+  return (
+    <div className="alert alert-error alert-validation booking-conflict">
+      <div className="error-icon">⚠️</div>
+      <div className="error-content">
+        <strong>{conflict.data?.message || 'This time cannot be booked'}:</strong>
+        <ul className="error-list">
+          {(conflict.errors || [conflict.message]).map((message, index) => (
+            <li key={index}>{message}</li>
+          ))}
+        </ul>
+        {suggestions.length > 0 ? (
+          <div className="booking-conflict-suggestions">
+            <span>Closest free times:</span>
+            {suggestions.map(slot => (
+              <button
+                key={slot.key}
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={() => onPickSlot(slot)}
+              >
+                {formatSlot(slot)}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <p className="booking-conflict-none">No free times found with this doctor. Please try another doctor.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BookingConflictNotice;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import {
+  downloadCalendar,
+  getCalendarFeed,
+  getCalendarFeedUrl,
+  getDoctorCalendar,
+  resetCalendarFeed
+} from '../services/calendarService';
+import ErrorDisplay from './ErrorDisplay';
+import './CalendarFeed.css';
+
+/**
+ * CalendarFeed Component
+ * A doctor's sessions and appointments for their own calendar app: a one-off .ics download,
+ * or a subscription link that keeps the calendar app up to date.
+ * The link is only fetched on request, and anyone holding it can read the calendar, so it can be reset.
+ * @param {Object} props - { doctor }
+ */
+const CalendarFeed = ({ doctor }) => {
+  const [feedUrl, setFeedUrl] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = () => run(async () => {
+    const ics = await getDoctorCalendar(doctor);
+    downloadCalendar(ics, `dr-${doctor.last_name || doctor._id}-calendar.ics`.toLowerCase());
+  });
+
+  const handleShowLink = () => run(async () => {
+    const response = await getCalendarFeed(doctor._id);
+    setFeedUrl(getCalendarFeedUrl(doctor._id, response.data.token));
+  });
+
+  const handleCopy = () => run(async () => {
+    await navigator.clipboard.writeText(feedUrl);
+    setNotice('Link copied');
+  });
+
+  const handleReset = () => {
+    if (!window.confirm('Reset the link? Calendars subscribed to the current link will stop updating.')) return;
+    run(async () => {
+      const response = await resetCalendarFeed(doctor._id);
+      setFeedUrl(getCalendarFeedUrl(doctor._id, response.data.token));
+      setNotice(response.message || 'Link reset');
+    });
+  };
+
+  return (
+    <div className="calendar-feed">
+      {error && <ErrorDisplay error={error} />}
+
+      <p className="calendar-feed-intro">
+        Your weekly sessions and appointments for Google Calendar, Outlook or Apple Calendar.
+      </p>
+
+      {feedUrl && (
+        <>
+          <div className="calendar-feed-link">
+            <input type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} aria-label="Calendar subscription link" />
+            <button type="button" className="btn btn-sm btn-secondary" onClick={handleCopy} disabled={busy}>
+              Copy
+            </button>
+            <button type="button" className="btn btn-sm btn-delete" onClick={handleReset} disabled={busy}>
+              Reset Link
+            </button>
+          </div>
+          <small className="form-hint">
+            Add it in your calendar app as a subscription ("From URL" / "Subscribe to calendar").
+            Keep it private: anyone with the link can see your appointments.
+          </small>
+        </>
+      )}
+      {notice && <div className="calendar-feed-notice">{notice}</div>}
+
+      <div className="calendar-feed-actions">
+        {!feedUrl && (
+          <button type="button" className="btn btn-primary" onClick={handleShowLink} disabled={busy}>
+            Get Subscription Link
+          </button>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={handleDownload} disabled={busy}>
+          Download .ics
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeed;
@@ -0,0 +1,380 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import ReportButton from './ReportButton';
+import { getFieldValue, compareValues } from '../utils/pagination';
+import './DataTable.css';
+
+// Lists longer than this only render the rows scrolled into view
+const VIRTUALIZE_THRESHOLD = 100;
+// Rows rendered above and below the viewport so fast scrolling stays smooth
+const OVERSCAN_ROWS = 8;
+// localStorage prefix for the columns a user has hidden, per table
+const COLUMNS_STORAGE_PREFIX = 'dataTableColumns:';
+
+const getRowId = (row, rowKey) => (typeof rowKey === 'function' ? rowKey(row) : row[rowKey]);
+
+// Plain value of a cell, used for sorting and filtering
+const getCellValue = (column, row) => (column.value ? column.value(row) : getFieldValue(row, column.key));
+
+const getExportValue = (column, row) => (column.exportValue ? column.exportValue(row) : getCellValue(column, row));
+
+const isSortable = (column) => column.sortable !== false;
+const isFilterable = (column) => column.filterable !== false;
+
+const loadHiddenColumns = (storageKey, columns) => {
+  const defaults = columns.filter(column => column.hidden).map(column => column.key);
+  if (!storageKey) return defaults;
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLUMNS_STORAGE_PREFIX + storageKey));
+    return Array.isArray(stored) ? stored : defaults;
+  } catch (e) {
+    return defaults;
+  }
+};
+
+/**
+ * Shared list table used by the management pages
+ * - Column sorting: pass sort/onSortChange to sort on the server, otherwise rows are sorted here
+ * - Per-column filters narrow the rows currently loaded
+ * - Column chooser, remembered per table when storageKey is set
+ * - Row selection with bulk actions
+ * - Sticky header; long lists are virtualized (fixed rowHeight)
+ * - report: { entityType, title, filters } adds a ReportButton exporting the rows and columns on screen
+ *
+ * Column: { key, label, render(row), value(row), exportValue(row), sortKey, sortable,
+ *           filterable, filterOptions: [{ value, label }], hidden, hideable, exportable, className }
+ */
+const DataTable = ({
+  columns,
+  data = [],
+  rowKey = '_id',
+  sort,
+  onSortChange,
+  bulkActions = [],
+  storageKey,
+  report,
+  emptyMessage = 'No records found',
+  rowClassName,
+  rowHeight = 56,
+  maxHeight = 600,
+  className = '',
+  tableClassName = ''
+}) => {
+  const [localSort, setLocalSort] = useState('');
+  const [columnFilters, setColumnFilters] = useState({});
+  const [hiddenKeys, setHiddenKeys] = useState(() => loadHiddenColumns(storageKey, columns));
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkRunning, setBulkRunning] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const selectable = bulkActions.length > 0;
+  const activeSort = onSortChange ? sort : localSort;
+  const visibleColumns = columns.filter(column => column.hideable === false || !hiddenKeys.includes(column.key));
+  const showFilterRow = visibleColumns.some(isFilterable);
+
+  // Drop selected rows that are no longer listed (new page, refetch after a delete)
+  useEffect(() => {
+    setSelectedIds(prev => {
+      if (prev.size === 0) return prev;
+      const listedIds = new Set(data.map(row => getRowId(row, rowKey)));
+      const next = new Set(Array.from(prev).filter(id => listedIds.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [data, rowKey]);
+
+  useEffect(() => {
+    if (storageKey) {
+      localStorage.setItem(COLUMNS_STORAGE_PREFIX + storageKey, JSON.stringify(hiddenKeys));
+    }
+  }, [storageKey, hiddenKeys]);
+
+  const rows = useMemo(() => {
+    const activeFilters = Object.entries(columnFilters).filter(([, term]) => term !== '');
+    const filtered = data.filter(row => activeFilters.every(([key, term]) => {
+      const column = columns.find(c => c.key === key);
+      if (!column) return true;
+      const value = String(getCellValue(column, row) ?? '');
+      return column.filterOptions
+        ? value === term
+        : value.toLowerCase().includes(term.toLowerCase());
+    }));
+
+    if (onSortChange || !localSort) return filtered;
+
+    const descending = localSort.startsWith('-');
+    const sortKey = descending ? localSort.slice(1) : localSort;
+    const sortColumn = columns.find(c => (c.sortKey || c.key) === sortKey);
+    if (!sortColumn) return filtered;
+    return [...filtered].sort((a, b) => {
+      const result = compareValues(getCellValue(sortColumn, a), getCellValue(sortColumn, b));
+      return descending ? -result : result;
+    });
+  }, [data, columns, columnFilters, localSort, onSortChange]);
+
+  const selectedRows = rows.filter(row => selectedIds.has(getRowId(row, rowKey)));
+  const allSelected = rows.length > 0 && selectedRows.length === rows.length;
+
+  const getSortDirection = (column) => {
+    const sortKey = column.sortKey || column.key;
+    if (activeSort === sortKey) return 'asc';
+    if (activeSort === `-${sortKey}`) return 'desc';
+    return null;
+  };
+
+  const handleSort = (column) => {
+    const sortKey = column.sortKey || column.key;
+    const nextSort = activeSort === sortKey ? `-${sortKey}` : sortKey;
+    if (onSortChange) {
+      onSortChange(nextSort);
+    } else {
+      setLocalSort(nextSort);
+    }
+  };
+
+  const handleColumnFilter = (key, value) => {
+    setColumnFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const toggleColumn = (key) => {
+    if (hiddenKeys.includes(key)) {
+      setHiddenKeys(hiddenKeys.filter(hiddenKey => hiddenKey !== key));
+      return;
+    }
+    // Keep at least one column on screen
+    if (visibleColumns.length <= 1) return;
+    setHiddenKeys([...hiddenKeys, key]);
+    // A filter on a hidden column would remove rows without any visible reason
+    handleColumnFilter(key, '');
+  };
+
+  const toggleRow = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleAllRows = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(rows.map(row => getRowId(row, rowKey))));
+  };
+
+  const handleBulkAction = async (action) => {
+    if (action.confirm && !window.confirm(action.confirm.replace('{count}', selectedRows.length))) {
+      return;
+    }
+    setBulkRunning(true);
+    try {
+      await action.onClick(selectedRows);
+      setSelectedIds(new Set());
+    } finally {
+      setBulkRunning(false);
+    }
+  };
+
+  // Only the rows in (or near) the viewport are rendered for long lists
+  const virtualized = rows.length > VIRTUALIZE_THRESHOLD;
+  let firstRow = 0;
+  let lastRow = rows.length;
+  if (virtualized) {
+    const rowsInView = Math.ceil(maxHeight / rowHeight);
+    firstRow = Math.min(
+      Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN_ROWS),
+      Math.max(0, rows.length - rowsInView)
+    );
+    lastRow = Math.min(rows.length, firstRow + rowsInView + OVERSCAN_ROWS * 2);
+  }
+  const columnCount = visibleColumns.length + (selectable ? 1 : 0);
+
+  const exportColumns = visibleColumns
+    .filter(column => column.exportable !== false)
+    .map(column => ({
+      key: column.key,
+      label: column.label,
+      value: row => getExportValue(column, row)
+    }));
+
+  return (
+    <div className={`data-table ${className}`}>
+      <div className="data-table-toolbar">
+        <div className="data-table-bulk">
+          {selectable && selectedRows.length > 0 && (
+            <>
+              <span className="data-table-selected-count">{selectedRows.length} selected</span>
+              {bulkActions.map(action => (
+                <button
+                  key={action.label}
+                  className={`btn btn-sm ${action.className || 'btn-secondary'}`}
+                  onClick={() => handleBulkAction(action)}
+                  disabled={bulkRunning}
+                >
+                  {action.label}
+                </button>
+              ))}
+            </>
+          )}
+        </div>
+
+        <div className="data-table-tools">
+          {report && (
+            <ReportButton
+              data={rows}
+              columns={exportColumns}
+              entityType={report.entityType}
+              title={report.title}
+              filters={report.filters}
+            />
+          )}
+          <div className="data-table-column-chooser">
+            <button
+              className="btn btn-secondary btn-sm"
+              onClick={() => setShowColumnMenu(!showColumnMenu)}
+              aria-expanded={showColumnMenu}
+            >
+              Columns
+            </button>
+            {showColumnMenu && (
+              <>
+                <div className="data-table-menu-overlay" onClick={() => setShowColumnMenu(false)}></div>
+                <div className="data-table-column-menu">
+                  {columns.filter(column => column.hideable !== false).map(column => (
+                    <label key={column.key}>
+                      <input
+                        type="checkbox"
+                        checked={!hiddenKeys.includes(column.key)}
+                        onChange={() => toggleColumn(column.key)}
+                      />
+                      {column.label}
+                    </label>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div
+        className="table-container data-table-scroll"
+        style={{ maxHeight }}
+        onScroll={virtualized ? (e) => setScrollTop(e.currentTarget.scrollTop) : undefined}
+      >
+        <table className={tableClassName}>
+          <thead>
+            <tr>
+              {selectable && (
+                <th className="data-table-select">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={toggleAllRows}
+                    aria-label="Select all rows"
+                  />
+                </th>
+              )}
+              {visibleColumns.map(column => {
+                const direction = getSortDirection(column);
+                return (
+                  <th
+                    key={column.key}
+                    className={column.className}
+                    aria-sort={direction ? (direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                  >
+                    {isSortable(column) ? (
+                      <button className="data-table-sort" onClick={() => handleSort(column)}>
+                        {column.label}
+                        <span className="data-table-sort-icon">
+                          {direction === 'asc' ? '▲' : direction === 'desc' ? '▼' : '↕'}
+                        </span>
+                      </button>
+                    ) : (
+                      column.label
+                    )}
+                  </th>
+                );
+              })}
+            </tr>
+            {showFilterRow && (
+              <tr className="data-table-filters">
+                {selectable && <th></th>}
+                {visibleColumns.map(column => (
+                  <th key={column.key}>
+                    {!isFilterable(column) ? null : column.filterOptions ? (
+                      <select
+                        value={columnFilters[column.key] || ''}
+                        onChange={(e) => handleColumnFilter(column.key, e.target.value)}
+                        aria-label={`Filter ${column.label}`}
+                      >
+                        <option value="">All</option>
+                        {column.filterOptions.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="text"
+                        value={columnFilters[column.key] || ''}
+                        onChange={(e) => handleColumnFilter(column.key, e.target.value)}
+                        placeholder="Filter..."
+                        aria-label={`Filter ${column.label}`}
+                      />
+                    )}
+                  </th>
+                ))}
+              </tr>
+            )}
+          </thead>
+          <tbody>
+            {rows.length === 0 ? (
+              <tr>
+                <td colSpan={columnCount} className="data-table-empty">{emptyMessage}</td>
+              </tr>
+            ) : (
+              <>
+                {firstRow > 0 && (
+                  <tr className="data-table-spacer" style={{ height: firstRow * rowHeight }}></tr>
+                )}
+                {rows.slice(firstRow, lastRow).map(row => {
+                  const id = getRowId(row, rowKey);
+                  const isSelected = selectedIds.has(id);
+                  return (
+                    <tr
+                      key={id}
+                      className={`${rowClassName ? rowClassName(row) : ''} ${isSelected ? 'data-table-row-selected' : ''}`}
+                      style={virtualized ? { height: rowHeight } : undefined}
+                    >
+                      {selectable && (
+                        <td className="data-table-select">
+                          <input
+                            type="checkbox"
+                            checked={isSelected}
+                            onChange={() => toggleRow(id)}
+                            aria-label="Select row"
+                          />
+                        </td>
+                      )}
+                      {visibleColumns.map(column => (
+                        <td key={column.key} className={column.className}>
+                          {column.render ? column.render(row) : getCellValue(column, row)}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+                {lastRow < rows.length && (
+                  <tr className="data-table-spacer" style={{ height: (rows.length - lastRow) * rowHeight }}></tr>
+                )}
+              </>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
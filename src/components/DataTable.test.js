@@ -0,0 +1,64 @@
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import DataTable from './DataTable';
+
+const columns = [
+  { key: 'name', label: 'Name' },
+  {
+    key: 'status',
+    label: 'Status',
+    filterOptions: [
+      { value: 'active', label: 'Active' },
+      { value: 'inactive', label: 'Inactive' }
+    ]
+  }
+];
+
+const rows = [
+  { _id: '1', name: 'Saleh', status: 'active' },
+  { _id: '2', name: 'Haddad', status: 'inactive' },
+  { _id: '3', name: 'Khan', status: 'active' }
+];
+
+const getNames = () =>
+  screen.getAllByRole('row').slice(2).map(row => within(row).getAllByRole('cell')[0].textContent);
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('sorts by a column header and filters by a column', () => {
+  render(<DataTable columns={columns} data={rows} />);
+
+  fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+  expect(getNames()).toEqual(['Haddad', 'Khan', 'Saleh']);
+
+  fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+  expect(getNames()).toEqual(['Saleh', 'Khan', 'Haddad']);
+
+  fireEvent.change(screen.getByLabelText('Filter Status'), { target: { value: 'inactive' } });
+  expect(getNames()).toEqual(['Haddad']);
+});
+
+test('runs bulk actions on the selected rows', async () => {
+  const onClick = jest.fn();
+  render(<DataTable columns={columns} data={rows} bulkActions={[{ label: 'Archive', onClick }]} />);
+
+  fireEvent.click(screen.getAllByLabelText('Select row')[1]);
+  fireEvent.click(await screen.findByRole('button', { name: 'Archive' }));
+
+  expect(onClick).toHaveBeenCalledWith([rows[1]]);
+  // Selection is cleared once the action finishes
+  await waitFor(() => expect(screen.queryByText('1 selected')).toBeNull());
+});
+
+test('hides columns from the column chooser and remembers the choice', () => {
+  const { unmount } = render(<DataTable columns={columns} data={rows} storageKey="people" />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Columns' }));
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Status' }));
+  expect(screen.queryByRole('columnheader', { name: /Status/ })).toBeNull();
+
+  unmount();
+  render(<DataTable columns={columns} data={rows} storageKey="people" />);
+  expect(screen.queryByRole('columnheader', { name: /Status/ })).toBeNull();
+});
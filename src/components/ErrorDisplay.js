@@ -36,14 +36,16 @@ const ErrorDisplay = ({ error, className = '' }) => {
   // If error is an object with message
   if (error.message) {
     // Check if there are validation errors in the data (backend format: { success: false, message: 'Validation error', errors: [...] })
-    if (error.data && error.data.errors && Array.isArray(error.data.errors)) {
+    // ApiError already flattens object-shaped errors into error.errors
+    const validationErrors = error.errors && error.errors.length > 0 ? error.errors : error.data?.errors;
+    if (Array.isArray(validationErrors)) {
       return (
         <div className={`alert alert-error alert-validation ${className}`}>
           <div className="error-icon">⚠️</div>
           <div className="error-content">
-            <strong>{error.data.message || 'Validation Error'}:</strong>
+            <strong>{error.data?.message || 'Validation Error'}:</strong>
             <ul className="error-list">
-              {error.data.errors.map((err, index) => (
+              {validationErrors.map((err, index) => (
                 <li key={index}>{err}</li>
               ))}
             </ul>
@@ -0,0 +1,280 @@
+import React, { useState } from 'react';
+import { createWaitlistEntry } from '../services/waitlistService';
+import { createPatient } from '../services/patientService';
+import { MESSAGE_CHANNELS } from '../utils/messaging';
+import { DAYS_OF_WEEK } from '../utils/slots';
+import { WAITLIST_OFFER_MINUTES } from '../utils/waitlist';
+import ErrorDisplay from './ErrorDisplay';
+import './JoinWaitlistModal.css';
+
+const EMPTY_PATIENT = { first_name: '', last_name: '', email: '', phone: '', preferred_channel: 'email' };
+
+// Staff register a new patient first, then add the entry
+const addToWaitlist = async ({ patient, ...entryData }) => {
+  if (patient) {
+    const patientResponse = await createPatient(patient);
+    entryData.patient_id = patientResponse.data._id;
+  }
+  return createWaitlistEntry(entryData);
+};
+
+/**
+ * JoinWaitlistModal Component
+ * Puts an existing or new patient on the waitlist for a doctor, a day of the week and/or a department
+ * @param {Object} props - { patients, doctors, departments, defaults, joinWaitlist, onClose, onJoined(entry) }
+ *   - defaults: initial { doctor_id, department_id, day_of_week }, e.g. from a fully booked schedule
+ *   - joinWaitlist: ({ patient_id | patient, doctor_id, department_id, day_of_week, notes }) => Promise of the entry,
+ *     e.g. joinPublicWaitlist on public pages
+ */
+const JoinWaitlistModal = ({
+  patients = [],
+  doctors = [],
+  departments = [],
+  defaults = {},
+  joinWaitlist = addToWaitlist,
+  onClose,
+  onJoined
+}) => {
+  const [patientType, setPatientType] = useState(patients.length > 0 ? 'existing' : 'new');
+  const [newPatientData, setNewPatientData] = useState(EMPTY_PATIENT);
+  const [formData, setFormData] = useState({
+    patient_id: '',
+    doctor_id: defaults.doctor_id || '',
+    department_id: defaults.department_id || '',
+    day_of_week: defaults.day_of_week || '',
+    notes: ''
+  });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleNewPatientChange = (e) => {
+    const { name, value } = e.target;
+    setNewPatientData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (patientType === 'existing' && !formData.patient_id) {
+      setError('Please select a patient');
+      return;
+    }
+    if (patientType === 'new' && !newPatientData.email.trim() && !newPatientData.phone.trim()) {
+      setError('Please enter an email address or a phone number so the patient can be reached');
+      return;
+    }
+    if (!formData.doctor_id && !formData.department_id && !formData.day_of_week) {
+      setError('Please choose a doctor, a day or a department to wait for');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const entryData = patientType === 'new' ? { patient: newPatientData } : { patient_id: formData.patient_id };
+      ['doctor_id', 'department_id', 'day_of_week'].forEach(field => {
+        if (formData[field]) entryData[field] = formData[field];
+      });
+      if (formData.notes.trim()) entryData.notes = formData.notes.trim();
+
+      const response = await joinWaitlist(entryData);
+      onJoined(response.data);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content join-waitlist-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>⏳ Join the Waitlist</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          {error && <ErrorDisplay error={error} />}
+
+          <p className="form-hint join-waitlist-intro">
+            When a matching slot frees up, the first patient on the waitlist is offered it by notification and by message on their preferred channel.
+            The offer is held for {WAITLIST_OFFER_MINUTES} minutes before it passes to the next patient.
+          </p>
+
+          <div className="form-group">
+            <label>Patient *</label>
+            <div className="join-waitlist-patient-type">
+              <label>
+                <input
+                  type="radio"
+                  name="patientType"
+                  value="existing"
+                  checked={patientType === 'existing'}
+                  onChange={(e) => setPatientType(e.target.value)}
+                  disabled={patients.length === 0}
+                />
+                <span>Existing Patient</span>
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  name="patientType"
+                  value="new"
+                  checked={patientType === 'new'}
+                  onChange={(e) => setPatientType(e.target.value)}
+                />
+                <span>New Patient</span>
+              </label>
+            </div>
+          </div>
+
+          {patientType === 'existing' ? (
+            <div className="form-group">
+              <select
+                id="waitlist_patient_id"
+                name="patient_id"
+                value={formData.patient_id}
+                onChange={handleInputChange}
+                required
+              >
+                <option value="">Select a patient</option>
+                {patients.map(patient => (
+                  <option key={patient._id} value={patient._id}>
+                    {patient.first_name} {patient.last_name} ({patient.email || patient.phone})
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="waitlist_first_name">First Name *</label>
+                  <input
+                    type="text"
+                    id="waitlist_first_name"
+                    name="first_name"
+                    value={newPatientData.first_name}
+                    onChange={handleNewPatientChange}
+                    required
+                    minLength={2}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="waitlist_last_name">Last Name *</label>
+                  <input
+                    type="text"
+                    id="waitlist_last_name"
+                    name="last_name"
+                    value={newPatientData.last_name}
+                    onChange={handleNewPatientChange}
+                    required
+                    minLength={2}
+                  />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="waitlist_email">Email</label>
+                  <input
+                    type="email"
+                    id="waitlist_email"
+                    name="email"
+                    value={newPatientData.email}
+                    onChange={handleNewPatientChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="waitlist_phone">Phone</label>
+                  <input
+                    type="tel"
+                    id="waitlist_phone"
+                    name="phone"
+                    value={newPatientData.phone}
+                    onChange={handleNewPatientChange}
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label htmlFor="waitlist_preferred_channel">Contact Via</label>
+                <select
+                  id="waitlist_preferred_channel"
+                  name="preferred_channel"
+                  value={newPatientData.preferred_channel}
+                  onChange={handleNewPatientChange}
+                >
+                  {MESSAGE_CHANNELS.map(channel => (
+                    <option key={channel.value} value={channel.value}>{channel.label}</option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="waitlist_doctor_id">Doctor</label>
+            <select id="waitlist_doctor_id" name="doctor_id" value={formData.doctor_id} onChange={handleInputChange}>
+              <option value="">Any doctor</option>
+              {doctors.map(doctor => (
+                <option key={doctor._id} value={doctor._id}>
+                  Dr. {doctor.first_name} {doctor.last_name} {doctor.specialization ? `(${doctor.specialization})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="waitlist_day_of_week">Day</label>
+              <select id="waitlist_day_of_week" name="day_of_week" value={formData.day_of_week} onChange={handleInputChange}>
+                <option value="">Any day</option>
+                {DAYS_OF_WEEK.map(day => (
+                  <option key={day} value={day}>{day}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="waitlist_department_id">Department</label>
+              <select id="waitlist_department_id" name="department_id" value={formData.department_id} onChange={handleInputChange}>
+                <option value="">Any department</option>
+                {departments.map(dept => (
+                  <option key={dept._id} value={dept._id}>{dept.department_name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="form-hint">Choose at least one of doctor, day and department.</p>
+
+          <div className="form-group">
+            <label htmlFor="waitlist_notes">Reason</label>
+            <textarea
+              id="waitlist_notes"
+              name="notes"
+              value={formData.notes}
+              onChange={handleInputChange}
+              rows="2"
+              placeholder="Reason for the appointment..."
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Joining...' : 'Join Waitlist'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default JoinWaitlistModal;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { logout, getCurrentUser } from '../services/authService';
+import { NAV_ITEMS, canAccessNavItem } from '../utils/accessControl';
 import HospitalLogo from './HospitalLogo';
 import './Navigation.css';
 
@@ -10,42 +11,9 @@ const Navigation = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [currentUser, setCurrentUser] = useState(null);
 
-  // Define all navigation items with access control
-  const allNavItems = [
-    { path: '/dashboard', label: 'Dashboard', icon: '📊', roles: ['Admin', 'admin'] },
-    { path: '/doctor-dashboard', label: 'Doctor Dashboard', icon: '👨‍⚕️', roles: ['doctor', 'Doctor'] },
-    { path: '/users', label: 'Users', icon: '👥', roles: ['Admin', 'admin'] },
-    { path: '/roles', label: 'Roles', icon: '🔐', roles: ['Admin', 'admin'] },
-    { path: '/patients', label: 'Patients', icon: '🏥', roles: ['Admin', 'admin', 'doctor', 'Doctor'] },
-    { path: '/doctors', label: 'Doctors', icon: '👨‍⚕️', roles: ['Admin', 'admin'] },
-    { path: '/departments', label: 'Departments', icon: '🏢', roles: ['Admin', 'admin'] },
-    { path: '/doctor-schedules', label: 'Doctor Schedules', icon: '📅', roles: ['Admin', 'admin', 'doctor', 'Doctor'] },
-    { path: '/appointments', label: 'Appointments', icon: '📋', roles: ['Admin', 'admin', 'doctor', 'Doctor'] },
-    { path: '/appointment-status-history', label: 'Status History', icon: '📊', roles: ['Admin', 'admin'] },
-    { path: '/appointment-changes', label: 'Appointment Changes', icon: '🔄', roles: ['Admin', 'admin'] },
-    { path: '/medical-records', label: 'Medical Records', icon: '📝', roles: ['Admin', 'admin', 'doctor', 'Doctor'] },
-    { path: '/notifications', label: 'Notifications', icon: '🔔', roles: ['Admin', 'admin', 'doctor', 'Doctor'] },
-    { path: '/reports', label: 'Reports', icon: '📊', roles: ['Admin', 'admin', 'doctor', 'Doctor'] },
-    { path: '/contact-doctor', label: 'Contact', icon: '📧', roles: ['doctor', 'Doctor'], contactType: 'doctor' },
-    { path: '/contact-admin', label: 'Contact', icon: '📧', roles: ['Admin', 'admin'], contactType: 'admin' },
-    { path: '/contact-patient', label: 'Contact', icon: '📧', roles: ['patient', 'Patient'], contactType: 'patient' },
-    { path: '/contacts', label: 'Contact Messages', icon: '💬', roles: ['Admin', 'admin'] },
-    { path: '/doctors-chat', label: 'Doctors Chat', icon: '💬', roles: ['doctor', 'Doctor'] },
-    { path: '/audit-logs', label: 'Audit Logs', icon: '📜', roles: ['Admin', 'admin'] }
-  ];
-
-  // Filter navigation items based on user role
+  // Filter navigation items based on user role permissions
   const getNavItems = () => {
-    if (!currentUser || !currentUser.role) {
-      // If no role, show admin items (default)
-      return allNavItems.filter(item => !item.roles || item.roles.includes('Admin') || item.roles.includes('admin'));
-    }
-    
-    const userRole = currentUser.role;
-    return allNavItems.filter(item => {
-      if (!item.roles) return true; // If no roles specified, show to all
-      return item.roles.includes(userRole);
-    });
+    return NAV_ITEMS.filter(item => canAccessNavItem(currentUser, item));
   };
 
   const navItems = getNavItems();
@@ -0,0 +1,308 @@
+import React, { useState } from 'react';
+import { createAppointmentSeries, planAppointmentSeries } from '../services/appointmentSeriesService';
+import {
+  CARE_PATHWAYS,
+  MAX_SERIES_OCCURRENCES,
+  RECURRENCE_FREQUENCIES,
+  SERIES_FLEX_DAYS,
+  validateSeriesPattern
+} from '../utils/appointmentSeries';
+import { getTodayKey } from '../utils/slots';
+import ErrorDisplay from './ErrorDisplay';
+import AttendanceFlag from './AttendanceFlag';
+import './NewSeriesModal.css';
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const formatDate = (dateKey) =>
+  new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+
+/**
+ * NewSeriesModal Component
+ * Books a series of follow-up appointments from a care pathway or a repeat rule.
+ * The occurrences are checked for availability first and shown for review; taken times
+ * move to the doctor's closest free slot within a few days, and occurrences that cannot
+ * be placed are left out.
+ * @param {Object} props - { patients, doctors, attendance, onClose, onCreated(result) }
+ *   - attendance: { patientId: summary } to flag patients who often miss appointments
+ *   - result: { series, appointments, failed } from createAppointmentSeries
+ */
+const NewSeriesModal = ({ patients = [], doctors = [], attendance = {}, onClose, onCreated }) => {
+  const [formData, setFormData] = useState({
+    patient_id: '',
+    doctor_id: '',
+    start_date: getTodayKey(),
+    appointment_time: '09:00',
+    reason: ''
+  });
+  const [pattern, setPattern] = useState({ type: 'pathway', pathway: CARE_PATHWAYS[0].value, frequency: 'weekly', interval: 1, count: 6 });
+  const [occurrences, setOccurrences] = useState(null);
+  const [error, setError] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Any change to the series invalidates the availability check
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setOccurrences(null);
+  };
+
+  const handlePatternChange = (e) => {
+    const { name, value } = e.target;
+    setPattern(prev => ({ ...prev, [name]: value }));
+    setOccurrences(null);
+  };
+
+  const getSeriesData = () => {
+    const doctor = doctors.find(d => d._id === formData.doctor_id);
+    return {
+      ...formData,
+      reason: formData.reason.trim(),
+      department_id: getId(doctor?.department_id) || undefined,
+      pattern: pattern.type === 'pathway'
+        ? { type: 'pathway', pathway: pattern.pathway }
+        : { type: 'rule', frequency: pattern.frequency, interval: Number(pattern.interval), count: Number(pattern.count) }
+    };
+  };
+
+  const validate = (seriesData) => {
+    if (!seriesData.patient_id) return 'Please select a patient';
+    if (!seriesData.doctor_id) return 'Please select a doctor';
+    if (!seriesData.start_date) return 'Please choose a start date';
+    if (!seriesData.appointment_time) return 'Please choose a time';
+    return validateSeriesPattern(seriesData.pattern);
+  };
+
+  const handleCheck = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const seriesData = getSeriesData();
+    const validationError = validate(seriesData);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setChecking(true);
+    try {
+      setOccurrences(await planAppointmentSeries(seriesData));
+    } catch (err) {
+      setError(err);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleBook = async () => {
+    setError(null);
+    setSaving(true);
+    try {
+      onCreated(await createAppointmentSeries(getSeriesData(), occurrences));
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const bookable = (occurrences || []).filter(occurrence => occurrence.conflicts.length === 0);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content new-series-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🔁 New Follow-up Series</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <form onSubmit={handleCheck}>
+          {error && <ErrorDisplay error={error} />}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="series_patient_id">Patient *</label>
+              <select id="series_patient_id" name="patient_id" value={formData.patient_id} onChange={handleInputChange} required>
+                <option value="">Select a patient</option>
+                {patients.map(patient => (
+                  <option key={patient._id} value={patient._id}>
+                    {patient.first_name} {patient.last_name}{attendance[patient._id]?.flagged ? ' ⚠️' : ''}
+                  </option>
+                ))}
+              </select>
+              <AttendanceFlag summary={attendance[formData.patient_id]} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="series_doctor_id">Doctor *</label>
+              <select id="series_doctor_id" name="doctor_id" value={formData.doctor_id} onChange={handleInputChange} required>
+                <option value="">Select a doctor</option>
+                {doctors.map(doctor => (
+                  <option key={doctor._id} value={doctor._id}>
+                    Dr. {doctor.first_name} {doctor.last_name} {doctor.specialization ? `(${doctor.specialization})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Repeat *</label>
+            <div className="new-series-pattern-type">
+              <label>
+                <input type="radio" name="type" value="pathway" checked={pattern.type === 'pathway'} onChange={handlePatternChange} />
+                <span>Care pathway</span>
+              </label>
+              <label>
+                <input type="radio" name="type" value="rule" checked={pattern.type === 'rule'} onChange={handlePatternChange} />
+                <span>Repeat rule</span>
+              </label>
+            </div>
+          </div>
+
+          {pattern.type === 'pathway' ? (
+            <div className="form-group">
+              <select id="series_pathway" name="pathway" value={pattern.pathway} onChange={handlePatternChange}>
+                {CARE_PATHWAYS.map(pathway => (
+                  <option key={pathway.value} value={pathway.value}>{pathway.label}</option>
+                ))}
+              </select>
+              <small className="form-hint">Review weeks count from the start date, e.g. the day of the operation.</small>
+            </div>
+          ) : (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="series_frequency">Every</label>
+                <div className="new-series-every">
+                  <input
+                    type="number"
+                    id="series_interval"
+                    name="interval"
+                    min="1"
+                    value={pattern.interval}
+                    onChange={handlePatternChange}
+                  />
+                  <select id="series_frequency" name="frequency" value={pattern.frequency} onChange={handlePatternChange}>
+                    {RECURRENCE_FREQUENCIES.map(frequency => (
+                      <option key={frequency.value} value={frequency.value}>
+                        {frequency.value === 'weekly' ? 'week(s)' : 'month(s)'}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="form-group">
+                <label htmlFor="series_count">Appointments</label>
+                <input
+                  type="number"
+                  id="series_count"
+                  name="count"
+                  min="2"
+                  max={MAX_SERIES_OCCURRENCES}
+                  value={pattern.count}
+                  onChange={handlePatternChange}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="series_start_date">{pattern.type === 'pathway' ? 'Start Date *' : 'First Appointment *'}</label>
+              <input
+                type="date"
+                id="series_start_date"
+                name="start_date"
+                value={formData.start_date}
+                onChange={handleInputChange}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="series_appointment_time">Time *</label>
+              <input
+                type="time"
+                id="series_appointment_time"
+                name="appointment_time"
+                value={formData.appointment_time}
+                onChange={handleInputChange}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="series_reason">Reason</label>
+            <input
+              type="text"
+              id="series_reason"
+              name="reason"
+              value={formData.reason}
+              onChange={handleInputChange}
+              placeholder="e.g. Post-operative review"
+            />
+          </div>
+
+          {occurrences && (
+            <div className="new-series-preview">
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Date</th>
+                    <th>Time</th>
+                    <th>Availability</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {occurrences.map(occurrence => (
+                    <tr
+                      key={occurrence.index}
+                      className={occurrence.conflicts.length > 0 ? 'conflict' : occurrence.adjusted ? 'adjusted' : ''}
+                    >
+                      <td>{occurrence.index + 1}</td>
+                      <td>{formatDate(occurrence.date)}</td>
+                      <td>{occurrence.time}</td>
+                      <td>
+                        {occurrence.conflicts.length > 0
+                          ? occurrence.conflicts.map(conflict => conflict.message).join(' ')
+                          : occurrence.adjusted
+                            ? `Moved from ${formatDate(occurrence.requestedDate)} at ${occurrence.requestedTime}`
+                            : 'Available'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <small className="form-hint">
+                Taken times move to the doctor's closest free slot within {SERIES_FLEX_DAYS} days.
+                {bookable.length < occurrences.length && ' Occurrences that cannot be placed are not booked.'}
+              </small>
+            </div>
+          )}
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className={`btn ${occurrences ? 'btn-secondary' : 'btn-primary'}`} disabled={checking}>
+              {checking ? 'Checking...' : occurrences ? 'Check Again' : 'Check Availability'}
+            </button>
+            {occurrences && (
+              <button type="button" className="btn btn-primary" onClick={handleBook} disabled={saving || bookable.length === 0}>
+                {saving ? 'Booking...' : `Book ${bookable.length} Appointment(s)`}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default NewSeriesModal;
@@ -0,0 +1,28 @@
+import { markMissedAppointments } from '../services/attendanceService';
+import useBackgroundTask from '../hooks/useBackgroundTask';
+
+// How often missed appointments are looked for
+const CHECK_INTERVAL_MS = (Number(process.env.REACT_APP_NO_SHOW_CHECK_MINUTES) || 5) * 60 * 1000;
+
+const markNoShows = async () => {
+  const { marked } = await markMissedAppointments();
+  if (marked.length > 0) {
+    console.info(`🕒 Marked ${marked.length} appointment(s) as no-show`);
+  }
+};
+
+/**
+ * NoShowScheduler Component
+ * Marks appointments nobody checked in for as no-shows in the background.
+ * Rendered by App while a user who can check patients in is signed in; see useBackgroundTask for several tabs.
+ */
+const NoShowScheduler = () => {
+  useBackgroundTask(markNoShows, {
+    storageKey: 'noShowSchedulerLastRun',
+    intervalMs: CHECK_INTERVAL_MS,
+    errorMessage: 'Error marking missed appointments:'
+  });
+  return null;
+};
+
+export default NoShowScheduler;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { PAGE_SIZE_OPTIONS } from '../utils/pagination';
+import './Pagination.css';
+
+// Page numbers shown around the current page; gaps are rendered as '…'
+const getVisiblePages = (page, totalPages) => {
+  const pages = new Set([1, totalPages, page - 1, page, page + 1]);
+  const sorted = Array.from(pages).filter(p => p >= 1 && p <= totalPages).sort((a, b) => a - b);
+
+  return sorted.reduce((result, p, index) => {
+    if (index > 0 && p - sorted[index - 1] > 1) result.push('gap-' + p);
+    result.push(p);
+    return result;
+  }, []);
+};
+
+const Pagination = ({
+  page,
+  totalPages,
+  total,
+  limit,
+  onPageChange,
+  onLimitChange,
+  itemLabel = 'records'
+}) => {
+  if (!total) return null;
+
+  const first = (page - 1) * limit + 1;
+  const last = Math.min(page * limit, total);
+
+  return (
+    <div className="pagination">
+      <div className="pagination-summary">
+        Showing {first}–{last} of {total} {itemLabel}
+      </div>
+
+      <div className="pagination-pages">
+        <button
+          className="pagination-button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          aria-label="Previous page"
+        >
+          ‹ Prev
+        </button>
+        {getVisiblePages(page, totalPages).map(p => (
+          typeof p === 'string' ? (
+            <span key={p} className="pagination-gap">…</span>
+          ) : (
+            <button
+              key={p}
+              className={`pagination-button ${p === page ? 'active' : ''}`}
+              onClick={() => onPageChange(p)}
+              aria-current={p === page ? 'page' : undefined}
+            >
+              {p}
+            </button>
+          )
+        ))}
+        <button
+          className="pagination-button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= totalPages}
+          aria-label="Next page"
+        >
+          Next ›
+        </button>
+      </div>
+
+      {onLimitChange && (
+        <label className="pagination-size">
+          Per page:
+          <select value={limit} onChange={(e) => onLimitChange(Number(e.target.value))}>
+            {PAGE_SIZE_OPTIONS.map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default Pagination;
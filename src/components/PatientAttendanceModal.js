@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { getPatientAttendance } from '../services/attendanceService';
+import { getStatusLabel } from '../utils/appointmentStatus';
+import { getDateKey } from '../utils/slots';
+import ErrorDisplay from './ErrorDisplay';
+import AttendanceFlag from './AttendanceFlag';
+import './PatientAttendanceModal.css';
+
+const formatDate = (dateValue) => {
+  const dateKey = getDateKey(dateValue);
+  if (!dateKey) return 'N/A';
+  return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const getDoctorName = (doctor) =>
+  doctor && typeof doctor === 'object' ? `Dr. ${doctor.first_name} ${doctor.last_name}` : 'N/A';
+
+/**
+ * PatientAttendanceModal Component
+ * A patient's attendance score and appointment history, newest first
+ * @param {Object} props - { patient, onClose }
+ */
+const PatientAttendanceModal = ({ patient, onClose }) => {
+  const [attendance, setAttendance] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getPatientAttendance(patient._id)
+      .then(setAttendance)
+      .catch(setError);
+  }, [patient._id]);
+
+  const summary = attendance?.summary;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content patient-attendance-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Attendance: {patient.first_name} {patient.last_name}</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        {error && <ErrorDisplay error={error} />}
+        {!attendance && !error && <div className="loading">Loading attendance...</div>}
+
+        {summary && (
+          <>
+            <div className="attendance-summary">
+              <div className="attendance-score">
+                <span className="attendance-score-value">{summary.score === null ? '–' : `${summary.score}%`}</span>
+                <span className="attendance-score-label">Attendance</span>
+              </div>
+              <div><strong>{summary.attended}</strong> attended</div>
+              <div><strong>{summary.noShows}</strong> no-shows</div>
+              <div><strong>{summary.cancelled}</strong> cancelled</div>
+              <div><strong>{summary.upcoming}</strong> upcoming</div>
+            </div>
+            <AttendanceFlag summary={summary} />
+
+            {attendance.appointments.length === 0 ? (
+              <div className="no-data">No appointments yet</div>
+            ) : (
+              <table className="attendance-history">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Time</th>
+                    <th>Doctor</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {attendance.appointments.map(appointment => (
+                    <tr key={appointment._id} className={appointment.status === 'no-show' ? 'no-show' : ''}>
+                      <td>{formatDate(appointment.appointment_date)}</td>
+                      <td>{appointment.appointment_time || 'N/A'}</td>
+                      <td>{getDoctorName(appointment.doctor_id)}</td>
+                      <td>{getStatusLabel(appointment.status)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PatientAttendanceModal;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getTodaysAppointments,
+  callNextPatient,
+  callPatient,
+  skipPatient,
+  completeConsultation
+} from '../services/queueService';
+import { getDoctorQueue, getWaitMinutes } from '../utils/queue';
+import ErrorDisplay from './ErrorDisplay';
+import './PatientQueue.css';
+
+// How often the queue is reloaded to pick up new arrivals
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+const getPatientName = (patient) =>
+  patient && typeof patient === 'object' ? `${patient.first_name} ${patient.last_name}` : 'Unknown patient';
+
+const formatWait = (minutes) => {
+  if (minutes == null) return '';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+/**
+ * PatientQueue Component
+ * Live queue of today's checked-in patients of a doctor, in call order, with waiting times
+ * @param {Object} props - { doctorId, canManage }
+ *   - canManage: show the call next, call, skip and complete actions
+ */
+const PatientQueue = ({ doctorId, canManage = false }) => {
+  const [appointments, setAppointments] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      const response = await getTodaysAppointments({ doctor_id: doctorId });
+      setAppointments(response.data || []);
+      setNow(new Date());
+    } catch (err) {
+      setError(err);
+    }
+  }, [doctorId]);
+
+  useEffect(() => {
+    fetchQueue();
+    const interval = setInterval(fetchQueue, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchQueue]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+    fetchQueue();
+  };
+
+  const { inConsultation, waiting } = getDoctorQueue(appointments, doctorId, now);
+
+  return (
+    <div className="patient-queue">
+      <div className="patient-queue-header">
+        <span className="patient-queue-count">
+          {waiting.length} waiting
+        </span>
+        {canManage && (
+          <button
+            className="btn btn-primary btn-sm"
+            onClick={() => runAction(() => callNextPatient(doctorId))}
+            disabled={busy || waiting.length === 0}
+          >
+            📣 Call Next
+          </button>
+        )}
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+
+      {inConsultation.map(appointment => (
+        <div key={appointment._id} className="patient-queue-row patient-queue-current">
+          <span className="patient-queue-number">{appointment.queue_number || '-'}</span>
+          <div className="patient-queue-info">
+            <strong>{getPatientName(appointment.patient_id)}</strong>
+            <span>In consultation · waited {formatWait(getWaitMinutes(appointment, now))}</span>
+          </div>
+          {canManage && (
+            <button
+              className="btn btn-sm btn-edit"
+              onClick={() => runAction(() => completeConsultation(appointment))}
+              disabled={busy}
+            >
+              Complete
+            </button>
+          )}
+        </div>
+      ))}
+
+      {waiting.length === 0 && inConsultation.length === 0 ? (
+        <div className="patient-queue-empty">No patients have checked in yet today</div>
+      ) : (
+        waiting.map((appointment, index) => (
+          <div key={appointment._id} className="patient-queue-row">
+            <span className="patient-queue-number">{appointment.queue_number || '-'}</span>
+            <div className="patient-queue-info">
+              <strong>{index + 1}. {getPatientName(appointment.patient_id)}</strong>
+              <span>
+                Booked {appointment.appointment_time || 'N/A'} · waiting {formatWait(getWaitMinutes(appointment, now))}
+                {appointment.skip_count > 0 && ` · skipped ${appointment.skip_count}×`}
+              </span>
+            </div>
+            {canManage && (
+              <div className="patient-queue-actions">
+                <button className="btn btn-sm btn-primary" onClick={() => runAction(() => callPatient(appointment))} disabled={busy}>
+                  Call
+                </button>
+                {waiting.length > 1 && (
+                  <button className="btn btn-sm btn-secondary" onClick={() => runAction(() => skipPatient(appointment))} disabled={busy}>
+                    Skip
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default PatientQueue;
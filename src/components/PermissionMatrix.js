@@ -0,0 +1,99 @@
+import React from 'react';
+import { ACTIONS, ENTITIES, getEntityActions } from '../utils/accessControl';
+import './PermissionMatrix.css';
+
+/**
+ * PermissionMatrix Component
+ * Grid of entities x actions used to edit a role's permission set
+ * @param {Object} permissions - { entity: [actions] }
+ * @param {Function} onChange - Called with the updated permission set
+ */
+const PermissionMatrix = ({ permissions = {}, onChange, disabled = false }) => {
+  const isGranted = (entity, action) => (permissions[entity] || []).includes(action);
+
+  const setEntityActions = (entity, actions) => {
+    const updated = { ...permissions };
+    if (actions.length > 0) {
+      // Keep actions in ACTIONS order so stored sets stay stable
+      updated[entity] = ACTIONS.filter(action => actions.includes(action));
+    } else {
+      delete updated[entity];
+    }
+    onChange(updated);
+  };
+
+  const toggleAction = (entity, action) => {
+    const current = permissions[entity] || [];
+    let next = current.includes(action)
+      ? current.filter(a => a !== action)
+      : [...current, action];
+
+    // Any other action implies view; removing view removes everything
+    if (action === 'view' && !next.includes('view')) {
+      next = [];
+    } else if (next.length > 0 && !next.includes('view')) {
+      next = ['view', ...next];
+    }
+
+    setEntityActions(entity, next);
+  };
+
+  const toggleEntity = (entity) => {
+    const applicable = getEntityActions(entity);
+    const allGranted = applicable.every(action => isGranted(entity, action));
+    setEntityActions(entity, allGranted ? [] : applicable);
+  };
+
+  return (
+    <div className="permission-matrix">
+      <table>
+        <thead>
+          <tr>
+            <th>Area</th>
+            {ACTIONS.map(action => (
+              <th key={action} className="permission-action">{action}</th>
+            ))}
+            <th className="permission-action">All</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ENTITIES.map(entity => {
+            const applicable = getEntityActions(entity.key);
+            const allGranted = applicable.every(action => isGranted(entity.key, action));
+            return (
+              <tr key={entity.key}>
+                <td className="permission-entity">{entity.label}</td>
+                {ACTIONS.map(action => (
+                  <td key={action} className="permission-cell">
+                    {applicable.includes(action) ? (
+                      <input
+                        type="checkbox"
+                        checked={isGranted(entity.key, action)}
+                        onChange={() => toggleAction(entity.key, action)}
+                        disabled={disabled}
+                        aria-label={`${entity.label}: ${action}`}
+                      />
+                    ) : (
+                      <span className="permission-na">—</span>
+                    )}
+                  </td>
+                ))}
+                <td className="permission-cell">
+                  <input
+                    type="checkbox"
+                    checked={allGranted}
+                    onChange={() => toggleEntity(entity.key)}
+                    disabled={disabled}
+                    aria-label={`${entity.label}: all actions`}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PermissionMatrix;
@@ -1,8 +1,15 @@
 import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
-import { isAuthenticated } from '../services/authService';
+import { isAuthenticated, getCurrentUser } from '../services/authService';
+import { canAccessPath, hasRole } from '../utils/accessControl';
+import ForbiddenPage from '../pages/ForbiddenPage';
 
-const ProtectedRoute = ({ children }) => {
+/**
+ * Guards a route by authentication and role
+ * Access defaults to the permission declared for the current path in accessControl.NAV_ITEMS
+ * @param {Array} roles - Optional explicit list of allowed roles
+ */
+const ProtectedRoute = ({ children, roles }) => {
   const location = useLocation();
   const authenticated = isAuthenticated();
 
@@ -11,8 +18,13 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  const user = getCurrentUser();
+  const allowed = roles ? hasRole(user, roles) : canAccessPath(user, location.pathname);
+  if (!allowed) {
+    return <ForbiddenPage />;
+  }
+
   return children;
 };
 
 export default ProtectedRoute;
-
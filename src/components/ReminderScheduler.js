@@ -0,0 +1,28 @@
+import { sendDueReminders } from '../services/reminderService';
+import useBackgroundTask from '../hooks/useBackgroundTask';
+
+// How often due reminders are looked for
+const CHECK_INTERVAL_MS = (Number(process.env.REACT_APP_REMINDER_CHECK_MINUTES) || 5) * 60 * 1000;
+
+const sendReminders = async () => {
+  const reminders = await sendDueReminders();
+  if (reminders.length > 0) {
+    console.info(`📧 Recorded ${reminders.length} appointment reminder(s)`);
+  }
+};
+
+/**
+ * ReminderScheduler Component
+ * Sends due appointment reminders in the background.
+ * Rendered by App while a user who can send reminders is signed in; see useBackgroundTask for several tabs.
+ */
+const ReminderScheduler = () => {
+  useBackgroundTask(sendReminders, {
+    storageKey: 'reminderSchedulerLastRun',
+    intervalMs: CHECK_INTERVAL_MS,
+    errorMessage: 'Error sending appointment reminders:'
+  });
+  return null;
+};
+
+export default ReminderScheduler;
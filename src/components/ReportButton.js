@@ -7,13 +7,20 @@ import {
   processDataForReport,
   getReportHeaders
 } from '../services/reportService';
+import { can } from '../utils/accessControl';
 import './ReportButton.css';
 
+/**
+ * Export menu for a list of records
+ * columns: optional [{ key, label, value(row) }] to export exactly those columns
+ * (DataTable passes the columns on screen); defaults to the entity's report headers
+ */
 const ReportButton = ({ 
   data = [], 
   entityType = 'appointments', 
   title = 'Report',
   filters = {},
+  columns,
   className = ''
 }) => {
   const [showMenu, setShowMenu] = useState(false);
@@ -85,8 +92,16 @@ const ReportButton = ({
       return;
     }
 
-    const headers = getReportHeaders[entityType] || [];
-    const processedData = processDataForReport(dataToExport, entityType);
+    const headers = columns
+      ? columns.map(({ key, label }) => ({ key, label }))
+      : getReportHeaders[entityType] || [];
+    const processedData = columns
+      ? dataToExport.map(row => columns.reduce((values, column) => {
+          const value = column.value(row);
+          values[column.key] = value === null || value === undefined ? '' : value;
+          return values;
+        }, {}))
+      : processDataForReport(dataToExport, entityType);
     
     // Create filename with time period
     const today = new Date();
@@ -137,6 +152,11 @@ const ReportButton = ({
     }
   };
 
+  // Exports are granted per entity on RolesPage
+  if (!can(entityType, 'export')) {
+    return null;
+  }
+
   if (!data || data.length === 0) {
     return null;
   }
@@ -0,0 +1,103 @@
+import React from 'react';
+import { getScheduleCalendar, SESSION_KIND_LABELS } from '../utils/scheduleOverrides';
+import { BOOKING_HORIZON_DAYS, DEFAULT_SLOT_MINUTES } from '../utils/slots';
+import './ScheduleCalendar.css';
+
+const formatDate = (dateKey) =>
+  new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric'
+  });
+
+const getTimeOffLabel = (timeOff) => {
+  if (!timeOff) return null;
+  return timeOff.kind === 'holiday' ? `Closed${timeOff.record.name ? ` (${timeOff.record.name})` : ''}` : 'Doctor away';
+};
+
+/**
+ * ScheduleCalendar Component
+ * The concrete sessions of the coming days: weekly sessions in effect, with extra, changed
+ * and cancelled sessions from the schedule overrides, and days off marked
+ * @param {Object} props - { schedules, overrides, absences, holidays, days, getDoctorName, onChangeSession, onEditOverride, onDeleteOverride, onAddExtra }
+ *   - days: how many days to show (the booking horizon by default)
+ *   - getDoctorName(doctorRef): label of a session's doctor; the doctor column is hidden when omitted
+ *   - onChangeSession(session), onEditOverride(override), onDeleteOverride(override), onAddExtra(date):
+ *     override actions; a button is hidden when its handler is omitted
+ */
+const ScheduleCalendar = ({
+  schedules = [],
+  overrides = [],
+  absences = [],
+  holidays = [],
+  days = BOOKING_HORIZON_DAYS,
+  getDoctorName,
+  onChangeSession,
+  onEditOverride,
+  onDeleteOverride,
+  onAddExtra
+}) => {
+  const calendar = getScheduleCalendar(schedules, { days, overrides, absences, holidays });
+
+  if (calendar.length === 0) {
+    return <div className="no-data">No sessions in the next {days} days</div>;
+  }
+
+  return (
+    <div className="schedule-calendar">
+      {calendar.map(({ date, sessions }) => (
+        <div key={date} className="schedule-calendar-day">
+          <div className="schedule-calendar-date">
+            <span>{formatDate(date)}</span>
+            {onAddExtra && (
+              <button type="button" className="btn btn-sm btn-secondary" onClick={() => onAddExtra(date)}>
+                + Extra Session
+              </button>
+            )}
+          </div>
+          {sessions.map(session => {
+            const offLabel = getTimeOffLabel(session.timeOff);
+            return (
+              <div
+                key={`${session._id}-${session.kind}`}
+                className={`schedule-calendar-session ${session.kind} ${offLabel ? 'off' : ''}`}
+              >
+                <span className="schedule-calendar-time">{session.start_time} - {session.end_time}</span>
+                {getDoctorName && <span className="schedule-calendar-doctor">{getDoctorName(session.doctor_id)}</span>}
+                <span className="schedule-calendar-capacity">
+                  {session.max_patients ? `Up to ${session.max_patients} patients` : ''}
+                  {` · ${session.slot_duration || DEFAULT_SLOT_MINUTES} min slots`}
+                </span>
+                <span className={`schedule-calendar-badge ${session.kind}`}>{SESSION_KIND_LABELS[session.kind]}</span>
+                {offLabel && <span className="schedule-calendar-badge off">{offLabel}</span>}
+                {session.override?.reason && (
+                  <span className="schedule-calendar-reason">{session.override.reason}</span>
+                )}
+                <span className="schedule-calendar-actions">
+                  {!session.override && onChangeSession && (
+                    <button type="button" className="btn btn-sm btn-edit" onClick={() => onChangeSession(session)}>
+                      Change This Date
+                    </button>
+                  )}
+                  {session.override && onEditOverride && (
+                    <button type="button" className="btn btn-sm btn-edit" onClick={() => onEditOverride(session.override)}>
+                      Edit
+                    </button>
+                  )}
+                  {session.override && onDeleteOverride && (
+                    <button type="button" className="btn btn-sm btn-delete" onClick={() => onDeleteOverride(session.override)}>
+                      {session.kind === 'extra' ? 'Remove' : 'Undo'}
+                    </button>
+                  )}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ScheduleCalendar;
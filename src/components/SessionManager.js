@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { startSession, extendSession, logout } from '../services/authService';
+import './SessionManager.css';
+
+/**
+ * SessionManager Component
+ * Watches the logged-in session: silent token refresh, idle warning and
+ * logout (including logout triggered from another tab).
+ * Rendered by App only while a user is authenticated.
+ */
+const SessionManager = () => {
+  const navigate = useNavigate();
+  const [remainingMs, setRemainingMs] = useState(null);
+
+  useEffect(() => {
+    const stop = startSession({
+      onIdleWarning: (remaining) => setRemainingMs(remaining),
+      onActive: () => setRemainingMs(null),
+      onSessionEnd: (reason) => {
+        setRemainingMs(null);
+        navigate('/login', { replace: true, state: { sessionEnded: reason } });
+      }
+    });
+    return stop;
+  }, [navigate]);
+
+  if (remainingMs === null) return null;
+
+  const seconds = Math.max(0, Math.ceil(remainingMs / 1000));
+
+  const handleStaySignedIn = () => {
+    extendSession();
+    setRemainingMs(null);
+  };
+
+  const handleLogoutNow = () => {
+    logout();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <div className="modal-overlay session-warning-overlay">
+      <div className="modal-content session-warning" role="alertdialog" aria-labelledby="session-warning-title">
+        <div className="modal-header">
+          <h2 id="session-warning-title">Are you still there?</h2>
+        </div>
+        <div className="session-warning-body">
+          <p>
+            For patient privacy you will be signed out in{' '}
+            <strong className="session-countdown">{seconds}s</strong> because of inactivity.
+          </p>
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={handleLogoutNow}>
+              Log out now
+            </button>
+            <button type="button" className="btn btn-primary" onClick={handleStaySignedIn} autoFocus>
+              Stay signed in
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionManager;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { getAvailableSlots } from '../services/bookingService';
+import { groupSlotsByDate, findSlot, countFreePlaces, BOOKING_HORIZON_DAYS } from '../utils/slots';
+import './SlotPicker.css';
+
+const formatDay = (dateKey) =>
+  new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+
+/**
+ * Pick a free appointment slot of one doctor
+ * Only slots with room left (per slot and per session) are offered.
+ * @param {Object} props - { doctorId, date, time, onChange(slot), excludeAppointmentId, refreshKey, loadSlots }
+ *   - excludeAppointmentId: appointment being edited, its own slot stays selectable
+ *   - refreshKey: change it to reload the slots (e.g. after a failed booking)
+ *   - loadSlots: ({ doctorId, excludeAppointmentId }) => Promise of free slots, e.g. getPublicSlots
+ *     on pages used without signing in (defaults to getAvailableSlots)
+ */
+const SlotPicker = ({ doctorId, date, time, onChange, excludeAppointmentId, refreshKey, loadSlots = getAvailableSlots }) => {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(date || '');
+
+  useEffect(() => {
+    setSelectedDate(date || '');
+  }, [date]);
+
+  useEffect(() => {
+    if (!doctorId) {
+      setSlots([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    loadSlots({ doctorId, excludeAppointmentId })
+      .then(result => {
+        if (!cancelled) setSlots(result);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to load available times');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [doctorId, excludeAppointmentId, refreshKey, loadSlots]);
+
+  if (!doctorId) {
+    return <p className="slot-picker-hint">Select a doctor to see available times.</p>;
+  }
+  if (loading) {
+    return <div className="slot-picker-hint">Loading available times...</div>;
+  }
+  if (error) {
+    return <div className="alert alert-error">{error}</div>;
+  }
+
+  const days = groupSlotsByDate(slots);
+  if (days.length === 0) {
+    return (
+      <p className="slot-picker-hint">
+        No free slots with this doctor in the next {BOOKING_HORIZON_DAYS} days.
+      </p>
+    );
+  }
+
+  const activeDay = days.find(day => day.date === selectedDate) || days[0];
+  const currentIsOffered = date && time && findSlot(slots, date, time);
+
+  return (
+    <div className="slot-picker">
+      <label htmlFor="slot-picker-date">Date *</label>
+      <select
+        id="slot-picker-date"
+        value={activeDay.date}
+        onChange={(e) => setSelectedDate(e.target.value)}
+      >
+        {days.map(day => (
+          <option key={day.date} value={day.date}>
+            {formatDay(day.date)} ({countFreePlaces(day.slots)} free)
+          </option>
+        ))}
+      </select>
+
+      <label>Time *</label>
+      <div className="slot-picker-times" role="group" aria-label="Available times">
+        {activeDay.slots.map(slot => {
+          const isSelected = slot.date === date && slot.time === time;
+          return (
+            <button
+              key={slot.key}
+              type="button"
+              className={`slot-picker-time ${isSelected ? 'selected' : ''}`}
+              onClick={() => onChange(slot)}
+              aria-pressed={isSelected}
+              title={slot.capacity > 1 ? `${slot.capacity - slot.booked} of ${slot.capacity} places left` : undefined}
+            >
+              {slot.time}
+            </button>
+          );
+        })}
+      </div>
+
+      {date && time && !currentIsOffered && (
+        <p className="slot-picker-current">
+          Current time {formatDay(date)} at {time} is not an open slot. Pick a new time to change it.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SlotPicker;
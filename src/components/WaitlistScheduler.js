@@ -0,0 +1,29 @@
+import { offerFreedSlots } from '../services/waitlistService';
+import useBackgroundTask from '../hooks/useBackgroundTask';
+
+// How often lapsed offers are passed on and free slots offered
+const CHECK_INTERVAL_MS = (Number(process.env.REACT_APP_WAITLIST_CHECK_MINUTES) || 5) * 60 * 1000;
+
+const processWaitlist = async () => {
+  const { offers, expired } = await offerFreedSlots();
+  if (offers.length > 0 || expired.length > 0) {
+    console.info(`⏳ Offered ${offers.length} slot(s) to the waitlist, ${expired.length} offer(s) expired`);
+  }
+};
+
+/**
+ * WaitlistScheduler Component
+ * Passes lapsed waitlist offers to the next patient and offers slots freed without staff,
+ * e.g. by patients cancelling online, in the background.
+ * Rendered by App while a user who can update the waitlist is signed in; see useBackgroundTask for several tabs.
+ */
+const WaitlistScheduler = () => {
+  useBackgroundTask(processWaitlist, {
+    storageKey: 'waitlistSchedulerLastRun',
+    intervalMs: CHECK_INTERVAL_MS,
+    errorMessage: 'Error processing the waitlist:'
+  });
+  return null;
+};
+
+export default WaitlistScheduler;
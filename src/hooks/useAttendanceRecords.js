@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import { getAttendanceRecords } from '../services/attendanceService';
+
+/**
+ * Attendance records of all patients, loaded once, for flagging frequent no-shows in booking forms
+ * A failed load only hides the flags; booking still works.
+ * @returns {Object} { patientId: summary from getAttendanceSummary }
+ */
+const useAttendanceRecords = () => {
+  const [records, setRecords] = useState({});
+
+  useEffect(() => {
+    let active = true;
+    getAttendanceRecords()
+      .then(result => {
+        if (active) setRecords(result);
+      })
+      .catch(err => console.error('Error loading attendance records:', err));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return records;
+};
+
+export default useAttendanceRecords;
@@ -0,0 +1,30 @@
+import { useEffect } from 'react';
+
+/**
+ * Run a task in the background on a timer while the component is mounted
+ * The last run is shared between tabs through localStorage, so with several tabs open
+ * the first one to reach the interval runs the task and the others skip that round.
+ * @param {Function} task - () => Promise; keep it stable (defined outside the component)
+ * @param {Object} options - { storageKey, intervalMs, errorMessage }
+ *   - storageKey: localStorage key holding the time of the last run
+ *   - errorMessage: logged with the error when a run fails
+ */
+const useBackgroundTask = (task, { storageKey, intervalMs, errorMessage = 'Error running a background task:' }) => {
+  useEffect(() => {
+    const run = () => {
+      const lastRun = Number(localStorage.getItem(storageKey)) || 0;
+      if (Date.now() - lastRun < intervalMs - 1000) return;
+      localStorage.setItem(storageKey, String(Date.now()));
+
+      Promise.resolve()
+        .then(task)
+        .catch(err => console.error(errorMessage, err));
+    };
+
+    run();
+    const interval = setInterval(run, intervalMs);
+    return () => clearInterval(interval);
+  }, [task, storageKey, intervalMs, errorMessage]);
+};
+
+export default useBackgroundTask;
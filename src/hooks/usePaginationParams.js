@@ -0,0 +1,56 @@
+import { useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { PAGE_SIZE_OPTIONS, DEFAULT_PAGE_SIZE } from '../utils/pagination';
+
+/**
+ * Keep list paging state in the URL (?page=2&limit=50&sort=-createdAt&q=smith)
+ * so pages can be bookmarked, shared and restored with the back button.
+ * Changing the sort, page size, search or a filter returns to the first page.
+ * @param {Object} options - { defaultSort, filterKeys }
+ *   - filterKeys: extra URL parameters owned by the page (e.g. ['gender'])
+ * @returns {Object} { page, limit, sort, search, filters, setPage, setLimit, setSort, setSearch, setFilter, resetParams }
+ */
+const usePaginationParams = ({ defaultSort = '', filterKeys = [] } = {}) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const requestedLimit = Number(searchParams.get('limit'));
+  const limit = PAGE_SIZE_OPTIONS.includes(requestedLimit) ? requestedLimit : DEFAULT_PAGE_SIZE;
+  const sort = searchParams.get('sort') || defaultSort;
+  const search = searchParams.get('q') || '';
+  const filters = filterKeys.reduce((values, key) => {
+    values[key] = searchParams.get(key) || '';
+    return values;
+  }, {});
+
+  const updateParams = useCallback((changes, { push = false } = {}) => {
+    setSearchParams(previous => {
+      const next = new URLSearchParams(previous);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') {
+          next.delete(key);
+        } else {
+          next.set(key, String(value));
+        }
+      });
+      if (!('page' in changes) || Number(changes.page) <= 1) {
+        next.delete('page');
+      }
+      return next;
+    }, { replace: !push });
+  }, [setSearchParams]);
+
+  // Page changes are history entries so the back button returns to the previous page
+  const setPage = useCallback((nextPage) => updateParams({ page: nextPage }, { push: true }), [updateParams]);
+  const setLimit = useCallback((nextLimit) => updateParams({ limit: nextLimit === DEFAULT_PAGE_SIZE ? '' : nextLimit }), [updateParams]);
+  const setSort = useCallback((nextSort) => updateParams({ sort: nextSort === defaultSort ? '' : nextSort }), [updateParams, defaultSort]);
+  const setSearch = useCallback((nextSearch) => updateParams({ q: nextSearch.trim() }), [updateParams]);
+  const setFilter = useCallback((key, value) => updateParams({ [key]: value }), [updateParams]);
+  const resetParams = useCallback(() => {
+    setSearchParams(new URLSearchParams(), { replace: true });
+  }, [setSearchParams]);
+
+  return { page, limit, sort, search, filters, setPage, setLimit, setSort, setSearch, setFilter, resetParams };
+};
+
+export default usePaginationParams;
@@ -3,6 +3,12 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { isMockApiEnabled, installMockBackend } from './mock/mockBackend';
+
+// Serve API calls from the in-browser mock backend (REACT_APP_MOCK_API=true)
+if (isMockApiEnabled()) {
+  installMockBackend();
+}
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
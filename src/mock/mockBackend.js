@@ -0,0 +1,1691 @@
+import { API_BASE_URL } from '../services/apiClient';
+import { decodeToken, isTokenExpired } from '../services/authService';
+import { paginateLocally } from '../utils/pagination';
+import { findAppointmentConflicts } from '../utils/appointmentConflicts';
+import { validateDateRange } from '../utils/absences';
+import { validateEffectiveRange, validateScheduleOverride } from '../utils/scheduleOverrides';
+import { validateSeriesPattern } from '../utils/appointmentSeries';
+import { canTransition, getStatusLabel, INITIAL_STATUSES } from '../utils/appointmentStatus';
+import { getDoctorQueue, getNextQueueNumber } from '../utils/queue';
+import { getAppointmentStart, REMINDER_RESPONSES } from '../utils/reminders';
+import { DELIVERY_STATUSES, MESSAGE_CHANNELS, getPatientChannel, normalizePhone } from '../utils/messaging';
+import { buildSlots, getDateKey, getTodayKey } from '../utils/slots';
+import { describeMove, getMoveChangeType } from '../utils/appointmentChanges';
+import {
+  canManageBooking,
+  generateBookingReference,
+  isSamePhone,
+  normalizeBookingReference,
+  validateBookingDetails
+} from '../utils/publicBooking';
+import { buildDoctorCalendar } from '../utils/ical';
+import { buildWaitlistOfferMessage, isOfferExpired, planWaitlistOffers, WAITLIST_OFFER_MINUTES } from '../utils/waitlist';
+import { getCollection, saveDb, generateId, resetMockDb } from './mockDb';
+
+/**
+ * Mock Backend
+ * In-browser replacement for the hospital API, used for development and demos without a server.
+ * Intercepts window.fetch calls to API_BASE_URL and answers them from the mock database,
+ * using the same response format as the real backend: { success, data, message, errors }.
+ *
+ * Enable with REACT_APP_MOCK_API=true in .env, or at runtime with
+ * localStorage.setItem('mockApi', 'true') and a page reload.
+ * Reset the data from the browser console with window.mockBackend.reset() and a page reload.
+ */
+
+// localStorage flag that turns the mock backend on without rebuilding
+const MOCK_API_STORAGE_KEY = 'mockApi';
+
+// Simulated network latency so loading states stay visible
+const MOCK_LATENCY_MS = 200;
+
+// Lifetime of tokens issued by the mock login
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+/**
+ * Check whether the mock backend should be used
+ * @returns {boolean}
+ */
+export const isMockApiEnabled = () => {
+  return process.env.REACT_APP_MOCK_API === 'true' ||
+         localStorage.getItem(MOCK_API_STORAGE_KEY) === 'true';
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const ok = (data, status = 200, message) => ({
+  status,
+  body: message ? { success: true, message, data } : { success: true, data },
+});
+
+const fail = (status, message, errors) => ({
+  status,
+  body: errors ? { success: false, message, errors } : { success: false, message },
+});
+
+const notFound = (label) => fail(404, `${label} not found`);
+
+// Non-JSON responses, such as calendar feeds
+const text = (content, contentType) => ({ status: 200, body: content, contentType });
+
+// References may arrive populated ({ _id, ... }) or as plain IDs
+const toId = (value) => (value && typeof value === 'object' ? value._id || value.id : value);
+
+const now = () => new Date().toISOString();
+
+const newestFirst = (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+
+const withoutPassword = (user) => {
+  if (!user) return user;
+  const { password, ...rest } = user;
+  return rest;
+};
+
+const findById = (collectionName, id) => getCollection(collectionName).find(record => record._id === id);
+
+/**
+ * Replace reference IDs with the referenced records, as the real backend populates them
+ * @param {Object} record - Stored record
+ * @param {Object} refs - { field: collectionName }
+ * @returns {Object} Copy of the record with populated references
+ */
+const populate = (record, refs = {}) => {
+  const result = { ...record };
+  Object.entries(refs).forEach(([field, collectionName]) => {
+    const referenced = result[field] ? findById(collectionName, result[field]) : null;
+    if (referenced) {
+      result[field] = collectionName === 'users' ? withoutPassword(referenced) : { ...referenced };
+    }
+  });
+  // Users never leave the mock backend with their password
+  return 'password' in result ? withoutPassword(result) : result;
+};
+
+const base64UrlEncode = (value) =>
+  btoa(JSON.stringify(value)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+/**
+ * Issue an unsigned JWT that authService can decode (exp drives refresh and expiry)
+ * @param {Object} user - User record
+ * @returns {string}
+ */
+const issueToken = (user) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode({ alg: 'none', typ: 'JWT' });
+  const payload = base64UrlEncode({
+    sub: user._id,
+    email: user.email,
+    role: user.role,
+    iat: issuedAt,
+    exp: issuedAt + TOKEN_TTL_SECONDS,
+  });
+  return `${header}.${payload}.mock`;
+};
+
+/**
+ * Record an audit log entry for a mutation
+ */
+const recordAudit = (currentUser, actionType, entityType, entityId, description) => {
+  if (!entityType) return;
+  const timestamp = now();
+  getCollection('auditLogs').push({
+    _id: generateId(),
+    user_id: currentUser?._id || null,
+    action_type: actionType,
+    entity_type: entityType,
+    entity_id: entityId,
+    description,
+    ip_address: '127.0.0.1',
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  });
+};
+
+/**
+ * Check required fields and build a backend-style validation error
+ * @returns {Object|null} Error response, or null when valid
+ */
+const validateRequired = (body, requiredFields = []) => {
+  const errors = requiredFields
+    .filter(field => body[field] === undefined || body[field] === null || body[field] === '')
+    .map(field => ({ field, message: `${field} is required` }));
+  return errors.length > 0 ? fail(400, 'Validation error', errors) : null;
+};
+
+// ---------------------------------------------------------------------------
+// Resources
+// ---------------------------------------------------------------------------
+
+/**
+ * CRUD resources served under their API path
+ * - collection: mock database collection
+ * - label: name used in messages
+ * - entity: audit log entity type
+ * - required: fields required on create
+ * - unique: field that must be unique (case-insensitive)
+ * - refs: { field: collection } populated on read
+ * - filters: { queryParam: (record, value) => boolean } applied on list
+ * - searchFields: fields matched by ?search= (after populating, so 'patient_id.last_name' works)
+ * - defaults: () => fields added on create
+ * - validate: (fields, existingRecord) => error response or null, run on create and update
+ * - prepare: () => void, run before records are read or updated, e.g. to expire lapsed offers
+ * - onUpdate: (fields, existingRecord) => fields the server sets itself, run on update after validate
+ * - methods: allowed operations (default all)
+ * - publicMethods: operations open without signing in, for the public pages (default none)
+ * - patientMethods: operations open to users with the patient role, for the patient portal (default none)
+ * - owner: field naming the patient a record belongs to; users with the patient role only reach their own
+ * - userOwner: field naming the user a record belongs to, for the same purpose
+ * - appointmentOwner: field naming the appointment a record belongs to; patients reach the records of their own appointments
+ */
+const matchRef = (field) => (record, value) => toId(record[field]) === value;
+
+// Fields that move an appointment to another patient, doctor or time
+const BOOKING_FIELDS = ['patient_id', 'doctor_id', 'appointment_date', 'appointment_time'];
+
+/**
+ * Reject double bookings, bookings outside the doctor's schedule or on time off, and status changes
+ * the appointment lifecycle does not allow, as the real backend does
+ * Status-only updates are not checked for conflicts, so existing appointments can always be confirmed or cancelled
+ */
+const validateAppointment = (fields, existing) => {
+  if (fields.status !== undefined && fields.status !== existing?.status) {
+    const allowed = existing
+      ? canTransition(existing.status, fields.status)
+      : INITIAL_STATUSES.includes(fields.status);
+    if (!allowed) {
+      return fail(409, 'Invalid status transition', [
+        existing
+          ? `An appointment cannot go from ${getStatusLabel(existing.status)} to ${getStatusLabel(fields.status)}`
+          : `A new appointment cannot be ${getStatusLabel(fields.status)}`
+      ]);
+    }
+  }
+  if (existing && !BOOKING_FIELDS.some(field => field in fields)) return null;
+  const conflicts = findAppointmentConflicts({ ...existing, ...fields }, {
+    appointments: getCollection('appointments'),
+    schedules: getCollection('doctorSchedules'),
+    overrides: getCollection('scheduleOverrides'),
+    absences: getCollection('doctorAbsences'),
+    holidays: getCollection('holidays'),
+  });
+  return conflicts.length > 0 ? fail(409, 'Appointment conflict', conflicts.map(conflict => conflict.message)) : null;
+};
+
+/**
+ * Expire waitlist offers that ran out, so they lapse even when nobody has the waitlist open
+ */
+const expireLapsedOffers = () => {
+  const lapsed = getCollection('waitlist').filter(entry => isOfferExpired(entry));
+  if (lapsed.length === 0) return;
+  const timestamp = now();
+  lapsed.forEach(entry => Object.assign(entry, { status: 'expired', updatedAt: timestamp }));
+  saveDb();
+};
+
+/**
+ * Whether an offered slot still has a place that is neither booked nor held by another live offer
+ */
+const hasFreePlace = (offeredSlot, entryId) => {
+  const doctorId = toId(offeredSlot.doctor_id);
+  const slot = buildSlots(
+    getCollection('doctorSchedules').filter(schedule => toId(schedule.doctor_id) === doctorId),
+    getCollection('appointments').filter(appointment => toId(appointment.doctor_id) === doctorId),
+    {
+      from: offeredSlot.date,
+      days: 1,
+      overrides: getCollection('scheduleOverrides'),
+      absences: getCollection('doctorAbsences'),
+      holidays: getCollection('holidays'),
+    }
+  ).find(candidate => candidate.time === offeredSlot.time);
+  if (!slot || !slot.available) return false;
+
+  const held = getCollection('waitlist').filter(other =>
+    other._id !== entryId && other.status === 'offered' && other.offered_slot &&
+    toId(other.offered_slot.doctor_id) === doctorId && other.offered_slot.date === slot.date
+  );
+  const heldSlot = held.filter(other => other.offered_slot.time === slot.time).length;
+  const heldSession = held.filter(other => other.offered_slot.schedule_id === slot.schedule_id).length;
+  return slot.capacity - slot.booked - heldSlot > 0 && slot.session_capacity - slot.session_booked - heldSession > 0;
+};
+
+/**
+ * Queue numbers are issued here, at check-in, so two desks checking patients in at once never get the same one.
+ * A number sent by the client is ignored.
+ */
+const issueQueueNumber = (fields, existing) => {
+  if (fields.status !== 'checked-in' || existing.status === 'checked-in') {
+    return 'queue_number' in fields ? { queue_number: existing.queue_number } : {};
+  }
+  const day = getDateKey(existing.appointment_date);
+  const sameDay = getCollection('appointments').filter(appointment => getDateKey(appointment.appointment_date) === day);
+  return { queue_number: getNextQueueNumber(sameDay) };
+};
+
+/**
+ * A waitlist entry has to say what the patient is waiting for
+ * Only a waiting patient gets an offer, and only for a place still free, so overlapping waitlist runs
+ * cannot offer the same place twice. Only a live offer can be booked.
+ */
+const validateWaitlistEntry = (fields, existing) => {
+  const entry = { ...existing, ...fields };
+  if (!(entry.doctor_id || entry.department_id || entry.day_of_week)) {
+    return fail(400, 'Validation error', ['Choose a doctor, a day or a department to wait for']);
+  }
+  if (fields.status === 'offered') {
+    if (existing?.status !== 'waiting') return fail(409, 'Only a waiting patient can be offered a slot');
+    if (!entry.offered_slot || !hasFreePlace(entry.offered_slot, existing._id)) {
+      return fail(409, 'The offered slot is no longer free');
+    }
+  }
+  if (fields.status === 'booked' && existing?.status !== 'offered') {
+    return fail(409, existing?.status === 'expired' ? 'This offer has expired' : 'This offer is no longer available');
+  }
+  return null;
+};
+
+/**
+ * Absences and holidays end on or after the day they start
+ */
+const validateTimeOff = (fields, existing) => {
+  const error = validateDateRange({ ...existing, ...fields });
+  return error ? fail(400, 'Validation error', [error]) : null;
+};
+
+/**
+ * Weekly schedules end on or after the day they take effect
+ */
+const validateSchedule = (fields, existing) => {
+  const error = validateEffectiveRange({ ...existing, ...fields });
+  return error ? fail(400, 'Validation error', [error]) : null;
+};
+
+/**
+ * Extra sessions have times, changed times end after they start
+ */
+const validateOverride = (fields, existing) => {
+  const error = validateScheduleOverride({ ...existing, ...fields });
+  return error ? fail(400, 'Validation error', [error]) : null;
+};
+
+/**
+ * A series repeats by a known care pathway or a complete rule
+ */
+const validateSeries = (fields, existing) => {
+  if (existing && !('pattern' in fields)) return null;
+  const error = validateSeriesPattern(fields.pattern);
+  return error ? fail(400, 'Validation error', [error]) : null;
+};
+
+const RESOURCES = [
+  {
+    path: '/roles', collection: 'roles', label: 'Role', entity: 'role',
+    required: ['role_name'], unique: 'role_name',
+  },
+  {
+    path: '/users', collection: 'users', label: 'User', entity: 'user',
+    required: ['name', 'email', 'password', 'role'], unique: 'email',
+    filters: { role: (record, value) => record.role?.toLowerCase() === value.toLowerCase() },
+    searchFields: ['name', 'email', 'phone', 'role'],
+    userOwner: '_id',
+    patientMethods: ['list', 'get', 'update'],
+  },
+  {
+    path: '/departments', collection: 'departments', label: 'Department', entity: 'department',
+    required: ['department_name'], unique: 'department_name',
+    defaults: () => ({ status: 'active' }),
+    publicMethods: ['list', 'get'],
+  },
+  {
+    path: '/doctors', collection: 'doctors', label: 'Doctor', entity: 'doctor',
+    required: ['first_name', 'last_name'],
+    refs: { department_id: 'departments', user_id: 'users' },
+    defaults: () => ({ status: 'active' }),
+    publicMethods: ['list', 'get'],
+  },
+  {
+    path: '/patients', collection: 'patients', label: 'Patient', entity: 'patient',
+    required: ['first_name', 'last_name'],
+    filters: {
+      gender: (record, value) => record.gender === value,
+      user_id: matchRef('user_id'),
+    },
+    owner: '_id',
+    patientMethods: ['list', 'get'],
+    searchFields: ['first_name', 'last_name', 'email', 'phone', 'address'],
+  },
+  {
+    path: '/doctor-schedules', collection: 'doctorSchedules', label: 'Doctor schedule', entity: 'schedule',
+    required: ['doctor_id', 'day_of_week', 'start_time', 'end_time'],
+    refs: { doctor_id: 'doctors' },
+    validate: validateSchedule,
+    publicMethods: ['list', 'get'],
+  },
+  {
+    path: '/schedule-overrides', collection: 'scheduleOverrides', label: 'Schedule override', entity: 'schedule',
+    required: ['doctor_id', 'date'],
+    refs: { doctor_id: 'doctors' },
+    filters: { doctor_id: matchRef('doctor_id') },
+    validate: validateOverride,
+    publicMethods: ['list', 'get'],
+  },
+  {
+    path: '/appointments', collection: 'appointments', label: 'Appointment', entity: 'appointment',
+    required: ['patient_id', 'doctor_id', 'appointment_date'],
+    refs: { patient_id: 'patients', doctor_id: 'doctors', department_id: 'departments' },
+    filters: {
+      status: (record, value) => record.status === value,
+      date: (record, value) => (record.appointment_date || '').startsWith(value),
+      start_date: (record, value) => (getDateKey(record.appointment_date) || '') >= value,
+      end_date: (record, value) => (getDateKey(record.appointment_date) || '') <= value,
+      doctor_id: matchRef('doctor_id'),
+      patient_id: matchRef('patient_id'),
+      series_id: matchRef('series_id'),
+    },
+    searchFields: ['reason', 'status', 'patient_id.first_name', 'patient_id.last_name', 'doctor_id.first_name', 'doctor_id.last_name'],
+    owner: 'patient_id',
+    patientMethods: ['list', 'get', 'create', 'update'],
+    defaults: () => ({ status: 'scheduled' }),
+    validate: validateAppointment,
+    onUpdate: issueQueueNumber,
+  },
+  {
+    path: '/appointment-series', collection: 'appointmentSeries', label: 'Appointment series', entity: 'appointment',
+    required: ['patient_id', 'doctor_id', 'start_date', 'pattern'],
+    refs: { patient_id: 'patients', doctor_id: 'doctors', department_id: 'departments' },
+    filters: {
+      status: (record, value) => record.status === value,
+      patient_id: matchRef('patient_id'),
+      doctor_id: matchRef('doctor_id'),
+    },
+    owner: 'patient_id',
+    patientMethods: ['list', 'get'],
+    defaults: () => ({ status: 'active' }),
+    validate: validateSeries,
+  },
+  {
+    path: '/appointment-status-history', collection: 'appointmentStatusHistory', label: 'Status history record',
+    entity: 'appointment',
+    required: ['appointment_id', 'new_status'],
+    refs: { appointment_id: 'appointments' },
+    filters: { appointment_id: matchRef('appointment_id') },
+    appointmentOwner: 'appointment_id',
+    patientMethods: ['list', 'get', 'create'],
+    defaults: () => ({ changed_at: now() }),
+  },
+  {
+    path: '/appointment-changes', collection: 'appointmentChanges', label: 'Appointment change', entity: 'appointment',
+    required: ['appointment_id', 'change_type'],
+    refs: { appointment_id: 'appointments' },
+    filters: {
+      appointment_id: matchRef('appointment_id'),
+      change_type: (record, value) => record.change_type === value,
+    },
+    appointmentOwner: 'appointment_id',
+    patientMethods: ['list', 'get', 'create'],
+    defaults: () => ({ changed_at: now() }),
+  },
+  {
+    path: '/waitlist', collection: 'waitlist', label: 'Waitlist entry', entity: 'waitlist',
+    required: ['patient_id'],
+    refs: { patient_id: 'patients', doctor_id: 'doctors', department_id: 'departments' },
+    filters: {
+      status: (record, value) => record.status === value,
+      patient_id: matchRef('patient_id'),
+      doctor_id: matchRef('doctor_id'),
+    },
+    owner: 'patient_id',
+    patientMethods: ['list', 'get'],
+    defaults: () => ({ status: 'waiting' }),
+    prepare: expireLapsedOffers,
+    validate: validateWaitlistEntry,
+  },
+  {
+    path: '/appointment-reminders', collection: 'appointmentReminders', label: 'Appointment reminder',
+    entity: 'appointment',
+    required: ['appointment_id', 'offset_hours'],
+    refs: { appointment_id: 'appointments', patient_id: 'patients' },
+    filters: {
+      appointment_id: matchRef('appointment_id'),
+      status: (record, value) => record.status === value,
+    },
+    appointmentOwner: 'appointment_id',
+    patientMethods: ['list', 'get'],
+    // The token in the confirm and cancel links is the only thing a patient needs to answer
+    defaults: () => ({ status: 'pending', token: `${generateId()}${generateId()}` }),
+  },
+  {
+    path: '/messages', collection: 'patientMessages', label: 'Message', entity: null,
+    refs: { patient_id: 'patients' },
+    filters: {
+      patient_id: matchRef('patient_id'),
+      appointment_id: (record, value) => record.appointment_id === value,
+      channel: (record, value) => record.channel === value,
+      status: (record, value) => record.status === value,
+      type: (record, value) => record.type === value,
+    },
+    searchFields: ['to', 'subject', 'message'],
+    owner: 'patient_id',
+    patientMethods: ['list', 'get'],
+    // Sent through POST /messages below
+    methods: ['list', 'get'],
+  },
+  {
+    path: '/announcements', collection: 'announcements', label: 'Announcement', entity: 'announcement',
+    required: ['message'],
+    refs: { department_id: 'departments' },
+    filters: { is_active: (record, value) => String(record.is_active !== false) === value },
+    defaults: () => ({ is_active: true }),
+  },
+  {
+    path: '/doctor-absences', collection: 'doctorAbsences', label: 'Absence', entity: 'doctor_absence',
+    required: ['doctor_id', 'start_date'],
+    refs: { doctor_id: 'doctors' },
+    filters: { doctor_id: matchRef('doctor_id') },
+    defaults: () => ({ type: 'leave' }),
+    validate: validateTimeOff,
+  },
+  {
+    path: '/holidays', collection: 'holidays', label: 'Holiday', entity: 'holiday',
+    required: ['name', 'start_date'],
+    validate: validateTimeOff,
+  },
+  {
+    path: '/medical-records', collection: 'medicalRecords', label: 'Medical record', entity: 'medical_record',
+    required: ['patient_id', 'diagnosis'],
+    refs: { patient_id: 'patients' },
+    filters: { patient_id: matchRef('patient_id') },
+    searchFields: ['diagnosis', 'treatment_notes', 'patient_id.first_name', 'patient_id.last_name'],
+    owner: 'patient_id',
+    patientMethods: ['list', 'get'],
+  },
+  {
+    path: '/notifications', collection: 'notifications', label: 'Notification', entity: 'notification',
+    required: ['user_id', 'message'],
+    refs: { user_id: 'users' },
+    filters: {
+      user_id: matchRef('user_id'),
+      notification_type: (record, value) => record.notification_type === value,
+      is_read: (record, value) => String(!!record.is_read) === value,
+    },
+    userOwner: 'user_id',
+    patientMethods: ['list', 'get'],
+    defaults: () => ({ is_read: false, notification_type: 'info', sent_at: now() }),
+  },
+  {
+    path: '/contacts', collection: 'contacts', label: 'Contact', entity: null,
+    required: ['fullName', 'email', 'message'],
+    methods: ['list', 'get', 'create', 'delete'],
+    // The contact form works without signing in
+    publicMethods: ['create'],
+  },
+];
+
+const getResource = (collection) => RESOURCES.find(resource => resource.collection === collection);
+
+const isPatientUser = (user) => user?.role?.toLowerCase() === 'patient';
+
+// The patient record linked to a user account
+const getOwnPatientId = (user) =>
+  getCollection('patients').find(patient => toId(patient.user_id) === user._id)?._id || null;
+
+/**
+ * Check whether a user may reach a record, as the real backend scopes patient accounts
+ * Staff reach every record; patients only their own patient record, what belongs to it and their notifications.
+ */
+const isOwnRecord = (resource, record, user) => {
+  if (!isPatientUser(user)) return true;
+  if (resource.owner) return toId(record[resource.owner]) === getOwnPatientId(user);
+  if (resource.userOwner) return toId(record[resource.userOwner]) === user._id;
+  if (resource.appointmentOwner) {
+    const appointment = findById('appointments', toId(record[resource.appointmentOwner]));
+    return !!appointment && isOwnRecord(getResource('appointments'), appointment, user);
+  }
+  return true;
+};
+
+const present = (resource, record) => populate(record, resource.refs);
+
+/**
+ * Answer a list request, paging it when the client asked for page, limit, sort or search
+ * @param {Array} records - Matching records, already populated and sorted newest first
+ * @param {Object} query - Query parameters
+ * @param {Array} searchFields - Fields matched by ?search=
+ * @returns {Object} { status, body } with pagination { page, limit, total, pages } when paged
+ */
+const respondWithList = (records, query = {}, searchFields = []) => {
+  const isPaged = ['page', 'limit', 'sort', 'search'].some(param => query[param]);
+  if (!isPaged) return ok(records);
+
+  const result = paginateLocally(records, {
+    page: Number(query.page) || 1,
+    limit: Number(query.limit) || records.length || 1,
+    sort: query.sort,
+    search: query.search,
+    searchFields,
+  });
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: result.items,
+      pagination: { page: result.page, limit: result.limit, total: result.total, pages: result.totalPages },
+    },
+  };
+};
+
+const listRecords = (resource, query = {}, predicate = () => true, currentUser = null) => {
+  if (resource.prepare) resource.prepare();
+  const filters = resource.filters || {};
+  const records = getCollection(resource.collection)
+    .filter(predicate)
+    .filter(record => isOwnRecord(resource, record, currentUser))
+    .filter(record => Object.entries(filters).every(([param, matches]) =>
+      query[param] === undefined || query[param] === '' || matches(record, query[param])
+    ))
+    .sort(newestFirst)
+    .map(record => present(resource, record));
+  return respondWithList(records, query, resource.searchFields);
+};
+
+// Store references as plain IDs and never let the client overwrite _id
+const sanitizeBody = (resource, body = {}) => {
+  const { _id, id, createdAt, updatedAt, ...fields } = body;
+  Object.keys(resource.refs || {}).forEach(field => {
+    if (field in fields) fields[field] = toId(fields[field]) || null;
+  });
+  return fields;
+};
+
+const isDuplicate = (resource, fields, ignoreId) => {
+  if (!resource.unique || !fields[resource.unique]) return false;
+  const value = String(fields[resource.unique]).toLowerCase();
+  return getCollection(resource.collection).some(record =>
+    record._id !== ignoreId && String(record[resource.unique] || '').toLowerCase() === value
+  );
+};
+
+const createRecord = (resource, body, currentUser) => {
+  const fields = sanitizeBody(resource, body);
+  if (!isOwnRecord(resource, fields, currentUser)) {
+    return fail(403, `You can only add a ${resource.label.toLowerCase()} for yourself`);
+  }
+  const invalid = validateRequired(fields, resource.required);
+  if (invalid) return invalid;
+  if (isDuplicate(resource, fields, null)) {
+    return fail(400, `${resource.label} with this ${resource.unique} already exists`);
+  }
+  const rejected = resource.validate ? resource.validate(fields, null) : null;
+  if (rejected) return rejected;
+
+  const timestamp = now();
+  const record = {
+    ...(resource.defaults ? resource.defaults() : {}),
+    ...fields,
+    _id: generateId(),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  };
+  getCollection(resource.collection).push(record);
+  recordAudit(currentUser, 'create', resource.entity, record._id, `Created ${resource.label.toLowerCase()}`);
+  saveDb();
+  return ok(present(resource, record), 201, `${resource.label} created successfully`);
+};
+
+const updateRecord = (resource, id, body, currentUser) => {
+  if (resource.prepare) resource.prepare();
+  const record = findById(resource.collection, id);
+  if (!record || !isOwnRecord(resource, record, currentUser)) return notFound(resource.label);
+
+  const fields = sanitizeBody(resource, body);
+  if (!isOwnRecord(resource, { ...record, ...fields }, currentUser)) {
+    return fail(403, `You can only change your own ${resource.label.toLowerCase()}s`);
+  }
+  // An empty password on the user form means "keep the current one"
+  if (resource.collection === 'users' && !fields.password) delete fields.password;
+  // Patients keep the role and permissions staff gave them
+  if (resource.collection === 'users' && isPatientUser(currentUser) && ('role' in fields || 'permissions' in fields)) {
+    return fail(403, 'You cannot change your own role or permissions');
+  }
+  if (isDuplicate(resource, fields, id)) {
+    return fail(400, `${resource.label} with this ${resource.unique} already exists`);
+  }
+  const rejected = resource.validate ? resource.validate(fields, record) : null;
+  if (rejected) return rejected;
+
+  Object.assign(record, fields, resource.onUpdate ? resource.onUpdate(fields, record) : {}, { updatedAt: now() });
+  recordAudit(currentUser, 'update', resource.entity, id, `Updated ${resource.label.toLowerCase()}`);
+  saveDb();
+  return ok(present(resource, record), 200, `${resource.label} updated successfully`);
+};
+
+const deleteRecord = (resource, id, currentUser) => {
+  const records = getCollection(resource.collection);
+  const index = records.findIndex(record => record._id === id && isOwnRecord(resource, record, currentUser));
+  if (index === -1) return notFound(resource.label);
+
+  records.splice(index, 1);
+  recordAudit(currentUser, 'delete', resource.entity, id, `Deleted ${resource.label.toLowerCase()}`);
+  saveDb();
+  return ok(null, 200, `${resource.label} deleted successfully`);
+};
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+const routes = [];
+
+/**
+ * Register a route
+ * @param {string} method - HTTP method
+ * @param {string} pattern - Path with :params (e.g. '/appointments/doctor/:doctorId')
+ * @param {Function} handler - ({ params, query, body, currentUser }) => { status, body }
+ * @param {Object} options - { isPublic, forPatients }
+ *   - isPublic: answer requests without a token (default false)
+ *   - forPatients: answer users with the patient role (default false); other routes are for staff only
+ */
+const route = (method, pattern, handler, { isPublic = false, forPatients = false } = {}) => {
+  const keys = [];
+  const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (match, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  })}/?$`);
+  routes.push({ method, regex, keys, handler, isPublic, forPatients });
+};
+
+const PUBLIC = { isPublic: true };
+const FOR_PATIENTS = { forPatients: true };
+
+// Auth
+route('POST', '/users/login', ({ body = {} }) => {
+  const email = String(body.email || '').trim().toLowerCase();
+  if (!email || !body.password) {
+    return fail(400, 'Validation error', ['Please provide email and password']);
+  }
+
+  const user = getCollection('users').find(u => u.email.toLowerCase() === email);
+  if (!user || user.password !== body.password) {
+    return fail(401, 'Invalid email or password');
+  }
+
+  recordAudit(user, 'login', 'user', user._id, 'User logged in');
+  saveDb();
+  // userService.login reads data.user/data.token; authService.login reads token at the top level
+  const token = issueToken(user);
+  return {
+    status: 200,
+    body: { success: true, message: 'Login successful', token, data: { user: withoutPassword(user), token } },
+  };
+}, PUBLIC);
+
+route('POST', '/users/refresh-token', ({ currentUser }) => {
+  const token = issueToken(currentUser);
+  return { status: 200, body: { success: true, token, data: { token } } };
+}, FOR_PATIENTS);
+
+// Resource-specific lookups
+route('GET', '/users/role/:role', ({ params, currentUser }) =>
+  listRecords(getResource('users'), {}, user => user.role?.toLowerCase() === params.role.toLowerCase(), currentUser)
+);
+
+route('GET', '/patients/search/:query', ({ params, currentUser }) => {
+  const term = params.query.toLowerCase();
+  return listRecords(getResource('patients'), {}, patient =>
+    [patient.first_name, patient.last_name, `${patient.first_name} ${patient.last_name}`, patient.email, patient.phone]
+      .some(value => (value || '').toLowerCase().includes(term)),
+  currentUser);
+}, FOR_PATIENTS);
+
+route('GET', '/doctors/department/:departmentId', ({ params }) =>
+  listRecords(getResource('doctors'), {}, doctor => toId(doctor.department_id) === params.departmentId), PUBLIC
+);
+
+route('GET', '/doctor-schedules/doctor/:doctorId', ({ params }) =>
+  listRecords(getResource('doctorSchedules'), {}, schedule => toId(schedule.doctor_id) === params.doctorId), PUBLIC
+);
+
+// Calendar feeds: each doctor has a secret token; the .ics URL works without signing in so calendar apps can subscribe
+const getCalendarFeed = (doctorId, { reset = false } = {}) => {
+  const feeds = getCollection('calendarFeeds');
+  let feed = feeds.find(record => record.doctor_id === doctorId);
+  if (!feed) {
+    feed = { _id: generateId(), doctor_id: doctorId, createdAt: now() };
+    feeds.push(feed);
+  }
+  if (!feed.token || reset) {
+    feed.token = `${generateId()}${generateId()}`;
+    feed.updatedAt = now();
+    saveDb();
+  }
+  return { doctor_id: feed.doctor_id, token: feed.token };
+};
+
+// The token opens a feed with every patient's name: only the doctor and administrators get it
+const checkCalendarFeedAccess = (doctorId, user) => {
+  const doctor = findById('doctors', doctorId);
+  if (!doctor) return notFound('Doctor');
+  const isAdmin = user.role?.toLowerCase() === 'admin';
+  return isAdmin || toId(doctor.user_id) === user._id
+    ? null
+    : fail(403, "Only the doctor and administrators can see a doctor's calendar link");
+};
+
+route('GET', '/doctors/:id/calendar-feed', ({ params, currentUser }) => {
+  const denied = checkCalendarFeedAccess(params.id, currentUser);
+  if (denied) return denied;
+  return ok(getCalendarFeed(params.id));
+});
+
+route('POST', '/doctors/:id/calendar-feed/reset', ({ params, currentUser }) => {
+  const denied = checkCalendarFeedAccess(params.id, currentUser);
+  if (denied) return denied;
+  const feed = getCalendarFeed(params.id, { reset: true });
+  recordAudit(currentUser, 'update', 'doctors', params.id, 'Reset the calendar feed link');
+  saveDb();
+  return ok(feed, 200, 'Calendar feed link reset. Subscriptions to the old link stop updating.');
+});
+
+route('GET', '/doctors/:id/calendar.ics', ({ params, query }) => {
+  const doctor = findById('doctors', params.id);
+  const feed = doctor && getCollection('calendarFeeds').find(record => record.doctor_id === doctor._id);
+  if (!feed || !query.token || feed.token !== query.token) return notFound('Calendar feed');
+
+  const schedules = getCollection('doctorSchedules').filter(schedule => toId(schedule.doctor_id) === doctor._id);
+  const overrides = getCollection('scheduleOverrides').filter(override => toId(override.doctor_id) === doctor._id);
+  const appointments = getCollection('appointments')
+    .filter(appointment => toId(appointment.doctor_id) === doctor._id)
+    .map(appointment => present(getResource('appointments'), appointment));
+  return text(buildDoctorCalendar(doctor, schedules, appointments, { overrides }), 'text/calendar; charset=utf-8');
+}, PUBLIC);
+
+// Messages go to a stub provider: emails land in the emailOutbox collection, and SMS and WhatsApp
+// messages to a valid phone number are reported delivered straight away
+const deliverMessage = ({ channel, to, message, subject, type, patient_id, appointment_id }) => {
+  const timestamp = now();
+  let error = null;
+  if (channel === 'email') {
+    if (/@/.test(to || '')) {
+      getCollection('emailOutbox').push({
+        _id: generateId(),
+        to,
+        subject: subject || '',
+        message,
+        type: type || 'general',
+        appointment_id: appointment_id || null,
+        sent_at: timestamp,
+      });
+    } else {
+      error = 'Not a valid email address';
+    }
+  } else if (!normalizePhone(to)) {
+    error = 'Not a valid phone number';
+  }
+
+  const record = {
+    _id: generateId(),
+    channel,
+    to,
+    subject: subject || '',
+    message,
+    type: type || 'general',
+    patient_id: toId(patient_id) || null,
+    appointment_id: appointment_id || null,
+    provider: 'mock',
+    provider_message_id: `mock-${generateId()}`,
+    status: error ? 'failed' : 'delivered',
+    status_history: error
+      ? [{ status: 'failed', at: timestamp }]
+      : [{ status: 'sent', at: timestamp }, { status: 'delivered', at: timestamp }],
+    error,
+    sent_at: error ? null : timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  };
+  getCollection('patientMessages').push(record);
+  saveDb();
+  return record;
+};
+
+// Schedule change notices go to each affected patient on their preferred channel
+route('POST', '/doctor-schedules/notify-schedule-change', ({ body = {} }) => {
+  const oldSchedule = body.old_schedule || {};
+  const results = (body.appointment_ids || []).map(appointmentId => {
+    const appointment = findById('appointments', appointmentId);
+    const patient = appointment && findById('patients', toId(appointment.patient_id));
+    const contact = getPatientChannel(patient);
+    if (!contact) return { appointment_id: appointmentId, status: 'unreachable' };
+
+    const doctor = findById('doctors', toId(appointment.doctor_id));
+    const withDoctor = doctor ? ` with Dr. ${doctor.first_name} ${doctor.last_name}` : '';
+    const newTime = `${(appointment.appointment_date || '').slice(0, 10)} at ${appointment.appointment_time || ''}`.trim();
+    const previous = (body.previous_times || {})[appointmentId];
+    const oldTime = previous
+      ? `${previous.date} at ${previous.time}`
+      : `${oldSchedule.day_of_week || ''} ${oldSchedule.date || ''}`.trim();
+    const reason = body.reason ? ` Reason: ${body.reason}.` : '';
+    const cancelled = appointment.status === 'cancelled';
+    const message = deliverMessage({
+      ...contact,
+      patient_id: patient._id,
+      appointment_id: appointmentId,
+      type: 'schedule-change',
+      subject: cancelled ? 'Appointment Cancellation Notification' : 'Appointment Schedule Change Notification',
+      message: cancelled
+        ? `Dear ${patient.first_name} ${patient.last_name}, your appointment${withDoctor} on ${oldTime} has been cancelled.${reason} ` +
+          'Please contact us to book a new time.'
+        : `Dear ${patient.first_name} ${patient.last_name}, your appointment${withDoctor} on ${oldTime} ` +
+          `has been rescheduled to ${newTime}.${reason} Please contact us if the new time does not suit you.`,
+    });
+    return { appointment_id: appointmentId, channel: message.channel, status: message.status };
+  });
+  const notified = results.filter(result => result.status !== 'unreachable' && result.status !== 'failed').length;
+  const missed = results.length - notified;
+  return ok(
+    { notified, results },
+    200,
+    `Schedule change notices sent to ${notified} patient(s)${missed > 0 ? `, ${missed} could not be reached` : ''}`
+  );
+});
+
+route('GET', '/appointments/patient/:patientId', ({ params, query, currentUser }) =>
+  listRecords(getResource('appointments'), query, appointment => toId(appointment.patient_id) === params.patientId, currentUser), FOR_PATIENTS
+);
+
+route('GET', '/appointments/doctor/:doctorId', ({ params, query, currentUser }) =>
+  listRecords(getResource('appointments'), query, appointment => toId(appointment.doctor_id) === params.doctorId, currentUser), FOR_PATIENTS
+);
+
+route('GET', '/appointment-status-history/appointment/:appointmentId', ({ params, currentUser }) =>
+  listRecords(getResource('appointmentStatusHistory'), {}, record => toId(record.appointment_id) === params.appointmentId, currentUser), FOR_PATIENTS
+);
+
+route('GET', '/appointment-changes/appointment/:appointmentId', ({ params, currentUser }) =>
+  listRecords(getResource('appointmentChanges'), {}, record => toId(record.appointment_id) === params.appointmentId, currentUser), FOR_PATIENTS
+);
+
+route('GET', '/medical-records/patient/:patientId', ({ params, currentUser }) =>
+  listRecords(getResource('medicalRecords'), {}, record => toId(record.patient_id) === params.patientId, currentUser), FOR_PATIENTS
+);
+
+route('GET', '/notifications/user/:userId', ({ params, query, currentUser }) =>
+  listRecords(getResource('notifications'), query, notification => toId(notification.user_id) === params.userId, currentUser), FOR_PATIENTS
+);
+
+route('PUT', '/notifications/user/:userId/read-all', ({ params, currentUser }) => {
+  if (isPatientUser(currentUser) && params.userId !== currentUser._id) return fail(403, 'You can only read your own notifications');
+  let updated = 0;
+  getCollection('notifications').forEach(notification => {
+    if (toId(notification.user_id) === params.userId && !notification.is_read) {
+      notification.is_read = true;
+      notification.updatedAt = now();
+      updated++;
+    }
+  });
+  saveDb();
+  return ok({ modifiedCount: updated }, 200, `${updated} notification(s) marked as read`);
+}, FOR_PATIENTS);
+
+route('PUT', '/notifications/:id/read', ({ params, currentUser }) => {
+  const notification = findById('notifications', params.id);
+  if (!notification || !isOwnRecord(getResource('notifications'), notification, currentUser)) return notFound('Notification');
+  notification.is_read = true;
+  notification.updatedAt = now();
+  saveDb();
+  return ok(present(getResource('notifications'), notification), 200, 'Notification marked as read');
+}, FOR_PATIENTS);
+
+// Emails are not sent; they are kept in the emailOutbox collection for inspection
+route('POST', '/notifications/email', ({ body = {} }) => {
+  if (!body.to) return fail(400, 'Validation error', [{ field: 'to', message: 'to is required' }]);
+  const email = {
+    _id: generateId(),
+    to: body.to,
+    subject: body.subject || '',
+    message: body.message || '',
+    type: body.type || 'general',
+    appointment_id: body.appointment_id || null,
+    sent_at: now(),
+  };
+  getCollection('emailOutbox').push(email);
+  saveDb();
+  return ok(email, 200, `Email sent to ${body.to}`);
+});
+
+route('POST', '/messages', ({ body = {} }) => {
+  const invalid = validateRequired(body, ['channel', 'to', 'message']);
+  if (invalid) return invalid;
+  if (!MESSAGE_CHANNELS.some(option => option.value === body.channel)) {
+    return fail(400, 'Validation error', [`Unknown channel: ${body.channel}`]);
+  }
+  const record = deliverMessage(body);
+  return ok(present(getResource('patientMessages'), record), 201, record.error ? `Message not sent: ${record.error}` : 'Message sent');
+});
+
+/**
+ * Offer freed slots to the waitlist, as the backend does after cancellations no staff member makes
+ * (public bookings, reminder answers, the patient portal)
+ * Each patient offered a slot gets a notification and a message on their channel.
+ * @returns {number} Offers made
+ */
+const offerFreedSlotsOnServer = () => {
+  expireLapsedOffers();
+  const entries = getCollection('waitlist').filter(entry => entry.status === 'waiting' || entry.status === 'offered');
+  if (entries.length === 0) return 0;
+
+  const doctors = getCollection('doctors');
+  const slots = buildSlots(getCollection('doctorSchedules'), getCollection('appointments'), {
+    overrides: getCollection('scheduleOverrides'),
+    absences: getCollection('doctorAbsences'),
+    holidays: getCollection('holidays'),
+  });
+  const { offers } = planWaitlistOffers(entries, slots, { doctors });
+
+  const timestamp = now();
+  const expiresAt = new Date(Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000);
+  offers.forEach(({ entry, slot }) => {
+    Object.assign(entry, {
+      status: 'offered',
+      offered_slot: { doctor_id: slot.doctor_id, schedule_id: slot.schedule_id, date: slot.date, time: slot.time },
+      offered_at: timestamp,
+      offer_expires_at: expiresAt.toISOString(),
+      updatedAt: timestamp,
+    });
+    const patient = findById('patients', toId(entry.patient_id));
+    if (!patient) return;
+    const message = buildWaitlistOfferMessage(slot, doctors.find(doctor => doctor._id === slot.doctor_id), expiresAt);
+    if (toId(patient.user_id)) {
+      getCollection('notifications').push({
+        _id: generateId(),
+        user_id: toId(patient.user_id),
+        message,
+        notification_type: 'appointment',
+        is_read: false,
+        sent_at: timestamp,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      });
+    }
+    const contact = getPatientChannel(patient);
+    if (contact) {
+      deliverMessage({
+        ...contact,
+        subject: 'An appointment slot is available for you',
+        message: `Dear ${patient.first_name} ${patient.last_name},\n\n${message}`,
+        type: 'waitlist-offer',
+        patient_id: patient._id,
+      });
+    }
+  });
+  saveDb();
+  return offers.length;
+};
+
+// Patients call this after cancelling in the portal; the answer says nothing about who is waiting
+route('POST', '/waitlist/offer-freed-slots', () => {
+  const offered = offerFreedSlotsOnServer();
+  return ok({ offered }, 200, `${offered} slot(s) offered to the waitlist`);
+}, FOR_PATIENTS);
+
+// Delivery reports from the providers (public, like a provider webhook)
+route('POST', '/messages/status', ({ body = {} }) => {
+  if (!DELIVERY_STATUSES.some(option => option.value === body.status)) {
+    return fail(400, 'Validation error', [`Unknown delivery status: ${body.status}`]);
+  }
+  const record = getCollection('patientMessages').find(message =>
+    body.provider_message_id && message.provider_message_id === body.provider_message_id);
+  if (!record) return notFound('Message');
+  const timestamp = now();
+  record.status = body.status;
+  record.error = body.status === 'failed' ? body.error || 'Delivery failed' : record.error;
+  record.status_history = [...(record.status_history || []), { status: body.status, at: timestamp }];
+  record.updatedAt = timestamp;
+  saveDb();
+  return ok(present(getResource('patientMessages'), record), 200, 'Delivery status updated');
+});
+
+// Patients confirm or cancel from the links in a reminder, without signing in.
+// The token only reveals the appointment time and doctor, never patient details.
+const findReminderAppointment = (token) => {
+  const reminder = token && getCollection('appointmentReminders').find(record => record.token === token);
+  const appointment = reminder && findById('appointments', toId(reminder.appointment_id));
+  return { reminder, appointment };
+};
+
+// When, where and with whom: what a patient sees of their appointment without signing in
+const getPublicAppointmentDetails = (appointment) => {
+  const doctor = findById('doctors', toId(appointment.doctor_id));
+  const department = findById('departments', toId(appointment.department_id) || toId(doctor?.department_id));
+  return {
+    appointment_date: appointment.appointment_date,
+    appointment_time: appointment.appointment_time || '',
+    doctor_name: doctor ? `Dr. ${doctor.first_name} ${doctor.last_name}` : '',
+    department_name: department?.department_name || '',
+    room: doctor?.room || '',
+    status: appointment.status,
+  };
+};
+
+const getReminderSummary = (appointment, reminder) => ({
+  ...getPublicAppointmentDetails(appointment),
+  response: reminder.response || null,
+});
+
+route('GET', '/appointment-reminders/respond', ({ query }) => {
+  const { reminder, appointment } = findReminderAppointment(query.token);
+  if (!appointment) return fail(404, 'This link is not valid. Please contact reception.');
+  return ok(getReminderSummary(appointment, reminder));
+}, PUBLIC);
+
+route('POST', '/appointment-reminders/respond', ({ body = {} }) => {
+  const newStatus = REMINDER_RESPONSES[body.action];
+  if (!newStatus) return fail(400, 'Validation error', ['action must be confirm or cancel']);
+  const { reminder, appointment } = findReminderAppointment(body.token);
+  if (!appointment) return fail(404, 'This link is not valid. Please contact reception.');
+
+  if (appointment.status === newStatus) {
+    return ok(getReminderSummary(appointment, reminder), 200, `Your appointment is already ${getStatusLabel(newStatus).toLowerCase()}`);
+  }
+  const start = getAppointmentStart(appointment);
+  if (start && start <= new Date()) {
+    return fail(410, 'This appointment has already started. Please contact reception.');
+  }
+  if (!canTransition(appointment.status, newStatus)) {
+    return fail(409, `This appointment is ${getStatusLabel(appointment.status).toLowerCase()} and can no longer be changed online`);
+  }
+
+  const timestamp = now();
+  const patient = findById('patients', toId(appointment.patient_id));
+  getCollection('appointmentStatusHistory').push({
+    _id: generateId(),
+    appointment_id: appointment._id,
+    old_status: appointment.status,
+    new_status: newStatus,
+    changed_by: 'patient',
+    changed_by_name: patient ? `${patient.first_name} ${patient.last_name}` : 'Patient',
+    reason: 'Answered the appointment reminder',
+    changed_at: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  });
+  appointment.status = newStatus;
+  appointment.updatedAt = timestamp;
+  reminder.response = body.action;
+  reminder.responded_at = timestamp;
+  reminder.updatedAt = timestamp;
+  recordAudit(null, 'update', 'appointment', appointment._id, `Patient ${newStatus} the appointment from a reminder`);
+  saveDb();
+  if (newStatus === 'cancelled') offerFreedSlotsOnServer();
+  return ok(getReminderSummary(appointment, reminder), 200, `Your appointment is ${getStatusLabel(newStatus).toLowerCase()}`);
+}, PUBLIC);
+
+// Public self-service booking: anyone can book a free slot with their own details and gets a booking reference.
+// Looking a booking up or changing it takes the reference and the phone number it was made with, and the
+// answers only describe that one booking, never other patients or their appointments.
+const BOOKING_NOT_FOUND = 'No booking matches this reference and phone number. Please check them or contact reception.';
+
+const findPublicBooking = (reference, phone) => {
+  const bookingReference = normalizeBookingReference(reference);
+  const appointment = bookingReference &&
+    getCollection('appointments').find(record => record.booking_reference === bookingReference);
+  const patient = appointment && findById('patients', toId(appointment.patient_id));
+  return patient && isSamePhone(patient.phone, phone) ? { appointment, patient } : {};
+};
+
+const getPublicBookingSummary = (appointment) => ({
+  ...getPublicAppointmentDetails(appointment),
+  booking_reference: appointment.booking_reference,
+  doctor_id: toId(appointment.doctor_id),
+  reason: appointment.reason || '',
+  can_change: canManageBooking(appointment),
+});
+
+const getPatientName = (patient) => (patient ? `${patient.first_name} ${patient.last_name}` : 'Patient');
+
+const recordPatientStatusChange = (appointment, patient, newStatus, reason) => {
+  const timestamp = now();
+  getCollection('appointmentStatusHistory').push({
+    _id: generateId(),
+    appointment_id: appointment._id,
+    old_status: appointment.status,
+    new_status: newStatus,
+    changed_by: 'patient',
+    changed_by_name: getPatientName(patient),
+    reason,
+    changed_at: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  });
+  appointment.status = newStatus;
+  appointment.updatedAt = timestamp;
+};
+
+// The booked doctor hears about new bookings and changes made online
+const notifyBookedDoctor = (appointment, message) => {
+  const doctor = findById('doctors', toId(appointment.doctor_id));
+  const userId = toId(doctor?.user_id);
+  if (!userId) return;
+  const timestamp = now();
+  getCollection('notifications').push({
+    _id: generateId(),
+    user_id: userId,
+    message,
+    notification_type: 'appointment',
+    is_read: false,
+    sent_at: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  });
+};
+
+const describeBookingTime = (appointment) =>
+  `${getDateKey(appointment.appointment_date)} at ${appointment.appointment_time || ''}`.trim();
+
+// Conflicts with the patient's own bookings would name their other doctor: that message stays general
+const rejectPublicBooking = (rejected) => fail(409, 'This time cannot be booked', rejected.body.errors.map(message =>
+  message.startsWith('The patient') ? 'You already have an appointment around this time.' : message));
+
+const isInPast = (appointment) => {
+  const start = getAppointmentStart(appointment);
+  return !start || start <= new Date();
+};
+
+const cannotChangeOnline = (appointment) => fail(409, isInPast(appointment)
+  ? 'This appointment has already started. Please contact reception.'
+  : `This appointment is ${getStatusLabel(appointment.status).toLowerCase()} and can no longer be changed online`);
+
+// Anyone can type in a phone number and last name, so online bookings never attach to an existing patient:
+// each gets a new record marked unverified, which reception checks and links at the first visit
+const registerPublicPatient = (details, description) => {
+  const timestamp = now();
+  const patient = {
+    _id: generateId(),
+    first_name: details.first_name.trim(),
+    last_name: details.last_name.trim(),
+    phone: details.phone.trim(),
+    email: (details.email || '').trim(),
+    date_of_birth: details.date_of_birth || undefined,
+    gender: details.gender || undefined,
+    preferred_channel: details.preferred_channel || undefined,
+    verified: false,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  };
+  getCollection('patients').push(patient);
+  recordAudit(null, 'create', 'patient', patient._id, description);
+  return patient;
+};
+
+// Free slots only: how many patients are booked shows, who they are does not
+route('GET', '/public-bookings/slots', ({ query }) => {
+  const ofDoctor = record => !query.doctor_id || toId(record.doctor_id) === query.doctor_id;
+  const slots = buildSlots(
+    getCollection('doctorSchedules').filter(ofDoctor),
+    getCollection('appointments').filter(ofDoctor),
+    {
+      overrides: getCollection('scheduleOverrides').filter(ofDoctor),
+      absences: getCollection('doctorAbsences').filter(ofDoctor),
+      holidays: getCollection('holidays'),
+    }
+  );
+  return ok(slots
+    .filter(slot => slot.available)
+    // JSON has no Infinity: sessions without a patient limit are sent as null
+    .map(slot => ({ ...slot, session_capacity: Number.isFinite(slot.session_capacity) ? slot.session_capacity : null })));
+}, PUBLIC);
+
+route('POST', '/public-bookings', ({ body = {} }) => {
+  const invalid = validateRequired(body, ['doctor_id', 'appointment_date', 'appointment_time']);
+  if (invalid) return invalid;
+  const detailsError = validateBookingDetails(body);
+  if (detailsError) return fail(400, 'Validation error', [detailsError]);
+  const doctor = findById('doctors', toId(body.doctor_id));
+  if (!doctor) return notFound('Doctor');
+  if (isInPast(body)) return fail(409, 'Appointment conflict', ['This time has already passed.']);
+
+  const appointmentFields = {
+    patient_id: null,
+    doctor_id: doctor._id,
+    department_id: toId(body.department_id) || toId(doctor.department_id) || null,
+    appointment_date: body.appointment_date,
+    appointment_time: body.appointment_time,
+  };
+  const rejected = validateAppointment(appointmentFields, null);
+  if (rejected) return rejectPublicBooking(rejected);
+
+  const patient = registerPublicPatient(body, 'Patient registered with an online booking');
+
+  const timestamp = now();
+  const appointments = getCollection('appointments');
+  const isTaken = (reference) => appointments.some(record => record.booking_reference === reference);
+  let bookingReference = generateBookingReference();
+  while (isTaken(bookingReference)) {
+    bookingReference = generateBookingReference();
+  }
+  const appointment = {
+    ...appointmentFields,
+    patient_id: patient._id,
+    reason: (body.reason || '').trim(),
+    status: 'scheduled',
+    booking_reference: bookingReference,
+    _id: generateId(),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  };
+  appointments.push(appointment);
+  recordAudit(null, 'create', 'appointment', appointment._id, 'Appointment booked online');
+  notifyBookedDoctor(appointment, `New appointment booked online! ${getPatientName(patient)} has scheduled an appointment ` +
+    `with you on ${describeBookingTime(appointment)}.${appointment.reason ? ` Reason: ${appointment.reason}` : ''}`);
+  saveDb();
+  return ok(getPublicBookingSummary(appointment), 201, `Your appointment is booked. Your booking reference is ${bookingReference}.`);
+}, PUBLIC);
+
+// Joining the waitlist from the public booking page; the answer shows what the patient waits for, not the patient
+route('POST', '/public-bookings/waitlist', ({ body = {} }) => {
+  const detailsError = validateBookingDetails(body);
+  if (detailsError) return fail(400, 'Validation error', [detailsError]);
+  const entryFields = {
+    doctor_id: toId(body.doctor_id) || null,
+    department_id: toId(body.department_id) || null,
+    day_of_week: body.day_of_week || null,
+    notes: (body.notes || '').trim(),
+  };
+  const rejected = validateWaitlistEntry(entryFields, null);
+  if (rejected) return rejected;
+
+  const patient = registerPublicPatient(body, 'Patient registered from the online waitlist');
+  const timestamp = now();
+  const entry = {
+    ...entryFields,
+    patient_id: patient._id,
+    status: 'waiting',
+    _id: generateId(),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  };
+  getCollection('waitlist').push(entry);
+  recordAudit(null, 'create', 'waitlist', entry._id, 'Joined the waitlist online');
+  saveDb();
+  const { patient_id, ...publicEntry } = entry;
+  return ok(publicEntry, 201, 'You are on the waitlist.');
+}, PUBLIC);
+
+route('POST', '/public-bookings/lookup', ({ body = {} }) => {
+  const { appointment } = findPublicBooking(body.reference, body.phone);
+  return appointment ? ok(getPublicBookingSummary(appointment)) : fail(404, BOOKING_NOT_FOUND);
+}, PUBLIC);
+
+route('POST', '/public-bookings/confirm', ({ body = {} }) => {
+  const { appointment, patient } = findPublicBooking(body.reference, body.phone);
+  if (!appointment) return fail(404, BOOKING_NOT_FOUND);
+  if (appointment.status === 'confirmed') {
+    return ok(getPublicBookingSummary(appointment), 200, 'Your appointment is already confirmed');
+  }
+  if (!canManageBooking(appointment) || !canTransition(appointment.status, 'confirmed')) {
+    return cannotChangeOnline(appointment);
+  }
+  recordPatientStatusChange(appointment, patient, 'confirmed', 'Confirmed online with the booking reference');
+  recordAudit(null, 'update', 'appointment', appointment._id, 'Patient confirmed the appointment online');
+  saveDb();
+  return ok(getPublicBookingSummary(appointment), 200, 'Your appointment is confirmed');
+}, PUBLIC);
+
+route('POST', '/public-bookings/cancel', ({ body = {} }) => {
+  const { appointment, patient } = findPublicBooking(body.reference, body.phone);
+  if (!appointment) return fail(404, BOOKING_NOT_FOUND);
+  if (!canManageBooking(appointment)) {
+    return cannotChangeOnline(appointment);
+  }
+  const reason = (body.reason || '').trim();
+  recordPatientStatusChange(appointment, patient, 'cancelled', reason || 'Cancelled online with the booking reference');
+  getCollection('appointmentChanges').push({
+    _id: generateId(),
+    appointment_id: appointment._id,
+    change_type: 'cancelled',
+    reason: reason || 'Cancelled online by the patient',
+    changed_at: appointment.updatedAt,
+    createdAt: appointment.updatedAt,
+    updatedAt: appointment.updatedAt,
+  });
+  recordAudit(null, 'update', 'appointment', appointment._id, 'Patient cancelled the appointment online');
+  notifyBookedDoctor(appointment, `${getPatientName(patient)} cancelled their appointment on ${describeBookingTime(appointment)} online.`);
+  saveDb();
+  offerFreedSlotsOnServer();
+  return ok(getPublicBookingSummary(appointment), 200, 'Your appointment is cancelled');
+}, PUBLIC);
+
+route('POST', '/public-bookings/reschedule', ({ body = {} }) => {
+  const invalid = validateRequired(body, ['appointment_date', 'appointment_time']);
+  if (invalid) return invalid;
+  const { appointment, patient } = findPublicBooking(body.reference, body.phone);
+  if (!appointment) return fail(404, BOOKING_NOT_FOUND);
+  if (!canManageBooking(appointment)) {
+    return cannotChangeOnline(appointment);
+  }
+  const move = { date: getDateKey(body.appointment_date), time: body.appointment_time };
+  const changeType = getMoveChangeType(appointment, move);
+  if (!changeType) return ok(getPublicBookingSummary(appointment), 200, 'Your appointment is already at this time');
+  if (isInPast(body)) return fail(409, 'Appointment conflict', ['This time has already passed.']);
+
+  const fields = { appointment_date: body.appointment_date, appointment_time: body.appointment_time };
+  const rejected = validateAppointment(fields, appointment);
+  if (rejected) return rejectPublicBooking(rejected);
+
+  const reason = describeMove(appointment, move);
+  const previousTime = describeBookingTime(appointment);
+  Object.assign(appointment, fields, { updatedAt: now() });
+  getCollection('appointmentChanges').push({
+    _id: generateId(),
+    appointment_id: appointment._id,
+    change_type: changeType,
+    reason: `${reason} online by the patient`,
+    changed_at: appointment.updatedAt,
+    createdAt: appointment.updatedAt,
+    updatedAt: appointment.updatedAt,
+  });
+  recordAudit(null, 'update', 'appointment', appointment._id, 'Patient rescheduled the appointment online');
+  notifyBookedDoctor(appointment, `${getPatientName(patient)} moved their appointment from ${previousTime} to ` +
+    `${describeBookingTime(appointment)} online.`);
+  saveDb();
+  offerFreedSlotsOnServer();
+  return ok(getPublicBookingSummary(appointment), 200, 'Your appointment has been moved');
+}, PUBLIC);
+
+// Waiting-room display board: public and read-only, so it shows queue numbers but no patient details
+route('GET', '/queue/board', ({ query }) => {
+  const departmentId = query.department_id || '';
+  const todayKey = getTodayKey();
+  const appointments = getCollection('appointments')
+    .filter(appointment => (appointment.appointment_date || '').startsWith(todayKey));
+  const departments = getCollection('departments').filter(department => department.status !== 'inactive');
+
+  const doctors = getCollection('doctors')
+    .filter(doctor => doctor.status !== 'inactive' && (!departmentId || toId(doctor.department_id) === departmentId))
+    .filter(doctor => appointments.some(appointment => toId(appointment.doctor_id) === doctor._id))
+    .map(doctor => {
+      const { inConsultation, waiting } = getDoctorQueue(appointments, doctor._id);
+      return {
+        doctor_id: doctor._id,
+        name: `Dr. ${doctor.first_name} ${doctor.last_name}`,
+        specialization: doctor.specialization || '',
+        room: doctor.room || '',
+        now_serving: inConsultation.map(appointment => appointment.queue_number).filter(Boolean),
+        next: waiting.slice(0, 5).map(appointment => appointment.queue_number).filter(Boolean),
+        waiting_count: waiting.length,
+      };
+    });
+
+  const announcements = getCollection('announcements')
+    .filter(announcement => announcement.is_active !== false)
+    .filter(announcement => !announcement.department_id || !departmentId || toId(announcement.department_id) === departmentId)
+    .map(announcement => announcement.message);
+
+  return ok({
+    department: departments.find(department => department._id === departmentId) || null,
+    departments: departments.map(({ _id, department_name }) => ({ _id, department_name })),
+    doctors,
+    announcements,
+    generated_at: now(),
+  });
+}, PUBLIC);
+
+// Audit logs (read-only; entries are written by the other routes)
+const AUDIT_LOG_REFS = { user_id: 'users' };
+
+const AUDIT_LOG_SEARCH_FIELDS = ['description', 'action_type', 'entity_type', 'ip_address', 'user_id.name', 'user_id.email'];
+
+const listAuditLogs = (predicate, query = {}) => respondWithList(
+  getCollection('auditLogs')
+    .filter(predicate)
+    .sort(newestFirst)
+    .map(log => populate(log, AUDIT_LOG_REFS)),
+  query,
+  AUDIT_LOG_SEARCH_FIELDS
+);
+
+route('GET', '/audit-logs', ({ query }) => {
+  const matches = log =>
+    (!query.user_id || toId(log.user_id) === query.user_id) &&
+    (!query.action_type || log.action_type === query.action_type) &&
+    (!query.entity_type || log.entity_type === query.entity_type) &&
+    (!query.start_date || log.createdAt >= query.start_date) &&
+    // end_date is a day: include everything logged on it
+    (!query.end_date || log.createdAt.slice(0, 10) <= query.end_date);
+  return listAuditLogs(matches, query);
+});
+
+route('GET', '/audit-logs/user/:userId', ({ params }) =>
+  listAuditLogs(log => toId(log.user_id) === params.userId)
+);
+
+route('GET', '/audit-logs/entity/:entityType', ({ params }) =>
+  listAuditLogs(log => log.entity_type === params.entityType)
+);
+
+route('GET', '/audit-logs/:id', ({ params }) => {
+  const log = findById('auditLogs', params.id);
+  return log ? ok(populate(log, AUDIT_LOG_REFS)) : notFound('Audit log');
+});
+
+// Doctors chat
+const findOrCreateConversation = (doctor1Id, doctor2Id) => {
+  const conversations = getCollection('conversations');
+  let conversation = conversations.find(c =>
+    (c.doctor1_id === doctor1Id && c.doctor2_id === doctor2Id) ||
+    (c.doctor1_id === doctor2Id && c.doctor2_id === doctor1Id)
+  );
+  if (!conversation) {
+    const timestamp = now();
+    conversation = { _id: generateId(), doctor1_id: doctor1Id, doctor2_id: doctor2Id, createdAt: timestamp, updatedAt: timestamp };
+    conversations.push(conversation);
+    saveDb();
+  }
+  return conversation;
+};
+
+route('GET', '/chats/conversations/:doctorId', ({ params }) => ok(
+  getCollection('conversations')
+    .filter(c => c.doctor1_id === params.doctorId || c.doctor2_id === params.doctorId)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+));
+
+route('POST', '/chats/conversations', ({ body = {} }) => {
+  const invalid = validateRequired(body, ['doctor1_id', 'doctor2_id']);
+  if (invalid) return invalid;
+  return ok(findOrCreateConversation(toId(body.doctor1_id), toId(body.doctor2_id)));
+});
+
+route('GET', '/chats/messages/:conversationId', ({ params }) => ok(
+  getCollection('messages')
+    .filter(message => message.conversation_id === params.conversationId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+));
+
+route('POST', '/chats/messages', ({ body = {} }) => {
+  const invalid = validateRequired(body, ['sender_id', 'receiver_id', 'message']);
+  if (invalid) return invalid;
+
+  const conversation = body.conversation_id
+    ? findById('conversations', body.conversation_id)
+    : findOrCreateConversation(toId(body.sender_id), toId(body.receiver_id));
+  if (!conversation) return notFound('Conversation');
+
+  const timestamp = now();
+  const message = {
+    _id: generateId(),
+    conversation_id: conversation._id,
+    sender_id: toId(body.sender_id),
+    receiver_id: toId(body.receiver_id),
+    message: body.message,
+    createdAt: timestamp,
+  };
+  getCollection('messages').push(message);
+  conversation.updatedAt = timestamp;
+  saveDb();
+  return ok(message, 201, 'Message sent');
+});
+
+// Generic CRUD, registered last so the lookups above take precedence
+RESOURCES.forEach(resource => {
+  const methods = resource.methods || ['list', 'get', 'create', 'update', 'delete'];
+  const itemPath = `${resource.path}/:id`;
+
+  const access = (method) => ({
+    isPublic: (resource.publicMethods || []).includes(method),
+    forPatients: (resource.patientMethods || []).includes(method),
+  });
+
+  if (methods.includes('list')) {
+    route('GET', resource.path, ({ query, currentUser }) => listRecords(resource, query, undefined, currentUser), access('list'));
+  }
+  if (methods.includes('get')) {
+    route('GET', itemPath, ({ params, currentUser }) => {
+      if (resource.prepare) resource.prepare();
+      const record = findById(resource.collection, params.id);
+      return record && isOwnRecord(resource, record, currentUser) ? ok(present(resource, record)) : notFound(resource.label);
+    }, access('get'));
+  }
+  if (methods.includes('create')) {
+    route('POST', resource.path, ({ body, currentUser }) => createRecord(resource, body, currentUser), access('create'));
+  }
+  if (methods.includes('update')) {
+    route('PUT', itemPath, ({ params, body, currentUser }) => updateRecord(resource, params.id, body, currentUser), access('update'));
+    route('PATCH', itemPath, ({ params, body, currentUser }) => updateRecord(resource, params.id, body, currentUser), access('update'));
+  }
+  if (methods.includes('delete')) {
+    route('DELETE', itemPath, ({ params, currentUser }) => deleteRecord(resource, params.id, currentUser), access('delete'));
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Request handling
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve the user behind a bearer token
+ * @param {string|undefined} authorization - Authorization header
+ * @returns {Object} { currentUser, rejected } - rejected when a token was sent but is not valid
+ */
+const authenticate = (authorization) => {
+  if (!authorization || !authorization.startsWith('Bearer ')) {
+    return { currentUser: null, rejected: false };
+  }
+  const token = authorization.slice('Bearer '.length);
+  const payload = decodeToken(token);
+  const user = payload?.sub ? findById('users', payload.sub) : null;
+  if (!user || isTokenExpired(token)) {
+    return { currentUser: null, rejected: true };
+  }
+  return { currentUser: user, rejected: false };
+};
+
+/**
+ * Handle a request against the mock API
+ * Only the public routes answer anonymous requests (public booking, the display board, reminder answers,
+ * calendar feeds, the contact form and the reference data the booking page shows); every other route
+ * and any token that is expired or unknown is rejected with 401 like the real backend does.
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to API_BASE_URL (e.g. '/appointments/doctor/123')
+ * @param {Object} options - { query, body, headers }
+ * @returns {Object} { status, body }
+ */
+export const handleMockRequest = (method, path, { query = {}, body, headers = {} } = {}) => {
+  const upperMethod = method.toUpperCase();
+  const { currentUser, rejected } = authenticate(headers.Authorization || headers.authorization);
+  if (rejected) {
+    return fail(401, 'Not authorized, token failed');
+  }
+
+  for (const { method: routeMethod, regex, keys, handler, isPublic, forPatients } of routes) {
+    if (routeMethod !== upperMethod) continue;
+    const match = path.match(regex);
+    if (!match) continue;
+    if (!currentUser && !isPublic) {
+      return fail(401, 'Not authorized, no token');
+    }
+    if (isPatientUser(currentUser) && !isPublic && !forPatients) {
+      return fail(403, 'Not authorized for this route');
+    }
+
+    const params = {};
+    keys.forEach((key, index) => {
+      params[key] = decodeURIComponent(match[index + 1]);
+    });
+
+    try {
+      return handler({ params, query, body, currentUser });
+    } catch (error) {
+      console.error('Mock backend error:', error);
+      return fail(500, error.message || 'Internal server error');
+    }
+  }
+
+  return fail(404, `Route not found: ${upperMethod} ${path}`);
+};
+
+const readHeaders = (headers) => {
+  if (!headers) return {};
+  if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    const result = {};
+    headers.forEach((value, key) => {
+      result[key] = value;
+    });
+    return result;
+  }
+  return Array.isArray(headers) ? Object.fromEntries(headers) : headers;
+};
+
+/**
+ * Replace window.fetch so requests to API_BASE_URL are answered by the mock backend
+ * Requests to any other URL go to the network unchanged.
+ */
+export const installMockBackend = () => {
+  const realFetch = window.fetch.bind(window);
+  const apiBase = new URL(API_BASE_URL, window.location.origin);
+  const serverBase = new URL(API_BASE_URL.replace('/api', ''), window.location.origin);
+
+  window.fetch = async (input, init = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url, window.location.origin);
+    const isApiCall = url.origin === apiBase.origin && url.pathname.startsWith(apiBase.pathname);
+    const isServerRoot = url.origin === serverBase.origin && url.pathname.replace(/\/$/, '') === serverBase.pathname.replace(/\/$/, '');
+
+    if (!isApiCall && !isServerRoot) {
+      return realFetch(input, init);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, MOCK_LATENCY_MS));
+
+    let result;
+    if (isApiCall) {
+      let body;
+      try {
+        body = init.body ? JSON.parse(init.body) : undefined;
+      } catch (e) {
+        body = undefined;
+      }
+      result = handleMockRequest(init.method || 'GET', url.pathname.slice(apiBase.pathname.length) || '/', {
+        query: Object.fromEntries(url.searchParams.entries()),
+        body,
+        headers: readHeaders(init.headers),
+      });
+    } else {
+      result = ok(null, 200, 'Mock backend is running');
+    }
+
+    return new Response(result.contentType ? result.body : JSON.stringify(result.body), {
+      status: result.status,
+      headers: { 'Content-Type': result.contentType || 'application/json' },
+    });
+  };
+
+  // Helpers for demos: window.mockBackend.reset(), window.mockBackend.outbox() to read the emails "sent"
+  // and window.mockBackend.messages() for every email, SMS and WhatsApp message
+  window.mockBackend = {
+    reset: resetMockDb,
+    outbox: () => getCollection('emailOutbox'),
+    messages: () => getCollection('patientMessages'),
+  };
+  console.info('🧪 Mock backend enabled: API calls are served from localStorage. Demo login: admin@hospital.com / password123');
+};
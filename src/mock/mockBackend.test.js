@@ -0,0 +1,422 @@
+import { handleMockRequest } from './mockBackend';
+import { resetMockDb } from './mockDb';
+import { decodeToken } from '../services/authService';
+
+beforeEach(() => {
+  localStorage.clear();
+  resetMockDb();
+});
+
+const login = (email = 'admin@hospital.com') =>
+  handleMockRequest('POST', '/users/login', { body: { email, password: 'password123' } }).body;
+
+// A request by the signed-in admin
+const asAdmin = (method, path, options = {}) =>
+  handleMockRequest(method, path, { ...options, headers: { Authorization: `Bearer ${login().token}` } });
+
+test('login issues a decodable token and hides the password', () => {
+  const body = login();
+
+  expect(body.success).toBe(true);
+  expect(body.data.user.password).toBeUndefined();
+  expect(decodeToken(body.data.token).sub).toBe(body.data.user._id);
+});
+
+test('created appointments are persisted and returned populated', () => {
+  const { token } = login();
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const created = handleMockRequest('POST', '/appointments', {
+    headers,
+    body: { patient_id: 'pat-nasser', doctor_id: 'doc-haddad', appointment_date: '2030-01-02T00:00:00.000Z' },
+  });
+  expect(created.status).toBe(201);
+  expect(created.body.data.status).toBe('scheduled');
+
+  const list = handleMockRequest('GET', '/appointments/doctor/doc-haddad', { headers, query: { date: '2030-01-02' } });
+  expect(list.body.data).toHaveLength(1);
+  expect(list.body.data[0].patient_id.first_name).toBe('Maya');
+  expect(JSON.parse(localStorage.getItem('mockDb')).appointments.some(a => a._id === created.body.data._id)).toBe(true);
+});
+
+test('rejects double bookings and bookings outside the doctor schedule', () => {
+  // 1 January 2030 is a Tuesday: Dr. Haddad works 10:00-16:00, Dr. Khan does not work
+  const book = (body) => asAdmin('POST', '/appointments', {
+    body: { appointment_date: '2030-01-01T00:00:00.000Z', appointment_time: '10:00', ...body },
+  });
+
+  expect(book({ patient_id: 'pat-nasser', doctor_id: 'doc-haddad' }).status).toBe(201);
+
+  const doubleBooked = book({ patient_id: 'pat-saleh', doctor_id: 'doc-haddad' });
+  expect(doubleBooked.status).toBe(409);
+  expect(doubleBooked.body.errors[0]).toMatch(/already booked/);
+
+  expect(book({ patient_id: 'pat-saleh', doctor_id: 'doc-khan' }).status).toBe(409);
+  expect(book({ patient_id: 'pat-saleh', doctor_id: 'doc-haddad', appointment_time: '10:30' }).status).toBe(201);
+});
+
+test('only allows status changes of the appointment lifecycle', () => {
+  const setStatus = (id, status) => asAdmin('PUT', `/appointments/${id}`, { body: { status } });
+
+  // appt-1 is completed, appt-5 is scheduled
+  expect(setStatus('appt-1', 'scheduled').status).toBe(409);
+  expect(setStatus('appt-5', 'completed').body.errors[0]).toMatch(/cannot go from Scheduled to Completed/);
+  expect(setStatus('appt-5', 'checked-in').status).toBe(200);
+  expect(setStatus('appt-5', 'in-consultation').body.data.status).toBe('in-consultation');
+});
+
+test('rejects missing required fields and unknown tokens', () => {
+  const invalid = asAdmin('POST', '/patients', { body: { first_name: 'Only' } });
+  expect(invalid.status).toBe(400);
+  expect(invalid.body.errors).toEqual([{ field: 'last_name', message: 'last_name is required' }]);
+
+  const rejected = handleMockRequest('GET', '/patients', { headers: { Authorization: 'Bearer not-a-token' } });
+  expect(rejected.status).toBe(401);
+});
+
+test('the display board shows queue numbers without patient details and without a session', () => {
+  // appt-4 is today's appointment with Dr. Khan
+  asAdmin('PUT', '/appointments/appt-4', {
+    body: { status: 'checked-in', queue_number: 1, checked_in_at: new Date().toISOString() }
+  });
+
+  const board = handleMockRequest('GET', '/queue/board', { query: { department_id: 'dept-trauma' } });
+  expect(board.status).toBe(200);
+  expect(board.body.data.doctors).toEqual([
+    expect.objectContaining({ name: 'Dr. Sarah Khan', room: 'Clinic 1', now_serving: [], next: [1], waiting_count: 1 })
+  ]);
+  expect(JSON.stringify(board.body.data)).not.toMatch(/Saleh|pat-/);
+  expect(board.body.data.announcements).toHaveLength(2);
+});
+
+test('the backend issues queue numbers at check-in, whatever number the desk sends', () => {
+  // appt-3 and appt-4 are both today, so two desks may send the same number
+  const checkIn = (id) =>
+    asAdmin('PUT', `/appointments/${id}`, { body: { status: 'checked-in', queue_number: 1 } }).body.data.queue_number;
+
+  expect(checkIn('appt-3')).toBe(1);
+  expect(checkIn('appt-4')).toBe(2);
+
+  const seen = asAdmin('PUT', '/appointments/appt-3', { body: { status: 'in-consultation', queue_number: 5 } });
+  expect(seen.body.data.queue_number).toBe(1);
+});
+
+test('patients answer a reminder from its link and the change is recorded', () => {
+  // appt-5 is tomorrow's scheduled appointment with Dr. Haddad
+  const reminder = asAdmin('POST', '/appointment-reminders', {
+    body: { appointment_id: 'appt-5', patient_id: 'pat-hamdan', offset_hours: 48, status: 'sent' }
+  }).body.data;
+  expect(reminder.token).toMatch(/^[0-9a-f]{48}$/);
+
+  const respond = (action, token = reminder.token) =>
+    handleMockRequest('POST', '/appointment-reminders/respond', { body: { token, action } });
+
+  expect(respond('confirm', 'wrong').status).toBe(404);
+  const preview = handleMockRequest('GET', '/appointment-reminders/respond', { query: { token: reminder.token } });
+  expect(preview.body.data).toEqual(expect.objectContaining({ status: 'scheduled', room: 'Clinic 4', response: null }));
+
+  const confirmed = respond('confirm');
+  expect(confirmed.status).toBe(200);
+  expect(confirmed.body.data).toEqual(expect.objectContaining({ status: 'confirmed', doctor_name: 'Dr. Omar Haddad' }));
+  expect(JSON.stringify(confirmed.body.data)).not.toMatch(/pat-/);
+  expect(respond('confirm').status).toBe(200);
+
+  expect(respond('cancel').body.data.status).toBe('cancelled');
+  expect(respond('confirm').status).toBe(409);
+
+  const history = asAdmin('GET', '/appointment-status-history/appointment/appt-5').body.data;
+  expect(history.map(record => record.new_status)).toEqual(expect.arrayContaining(['confirmed', 'cancelled']));
+  expect(history.every(record => record.changed_by === 'patient')).toBe(true);
+});
+
+test('public bookings are managed with the booking reference and phone number only', () => {
+  const slots = handleMockRequest('GET', '/public-bookings/slots', { query: { doctor_id: 'doc-khan' } }).body.data;
+  expect(JSON.stringify(slots)).not.toMatch(/pat-|appt-/);
+  const [first, second] = slots;
+
+  const booked = handleMockRequest('POST', '/public-bookings', {
+    body: {
+      doctor_id: 'doc-khan', appointment_date: first.date, appointment_time: first.time,
+      first_name: 'Mona', last_name: 'Darwish', phone: '+962791234567', reason: 'Back pain'
+    }
+  });
+  expect(booked.status).toBe(201);
+  const reference = booked.body.data.booking_reference;
+  expect(reference).toMatch(/^KSOH-[A-HJ-NP-Z2-9]{6}$/);
+  expect(booked.body.data).toEqual(expect.objectContaining({ doctor_name: 'Dr. Sarah Khan', status: 'scheduled', can_change: true }));
+
+  const call = (action, body) => handleMockRequest('POST', `/public-bookings/${action}`, { body: { reference, phone: '+962791234567', ...body } });
+  expect(call('lookup', { phone: '+962790000010' }).status).toBe(404);
+  expect(call('lookup', { reference: reference.toLowerCase().replace('-', ' ') }).body.data.reason).toBe('Back pain');
+  expect(call('confirm').body.data.status).toBe('confirmed');
+
+  const moved = call('reschedule', { appointment_date: second.date, appointment_time: second.time });
+  expect(moved.body.data).toEqual(expect.objectContaining({ appointment_time: second.time, status: 'confirmed' }));
+  expect(call('cancel', { reason: 'Feeling better' }).body.data).toEqual(expect.objectContaining({ status: 'cancelled', can_change: false }));
+  expect(call('confirm').status).toBe(409);
+
+  // The seeded online booking; lookups never reveal the patient
+  const seeded = handleMockRequest('POST', '/public-bookings/lookup', { body: { reference: '4hb7qx', phone: '+962790000013' } });
+  expect(seeded.body.data.appointment_time).toBe('12:30');
+  expect(JSON.stringify(seeded.body.data)).not.toMatch(/Hamdan|pat-/);
+});
+
+test('online bookings never attach to an existing patient', () => {
+  const [slot] = handleMockRequest('GET', '/public-bookings/slots', { query: { doctor_id: 'doc-khan' } }).body.data;
+  const booked = handleMockRequest('POST', '/public-bookings', {
+    body: {
+      doctor_id: 'doc-khan', appointment_date: slot.date, appointment_time: slot.time,
+      first_name: 'Ahmed', last_name: 'Saleh', phone: '+962790000010'
+    }
+  });
+  expect(booked.status).toBe(201);
+
+  const sameDetails = asAdmin('GET', '/patients', { query: { search: '+962790000010' } }).body.data;
+  expect(sameDetails).toHaveLength(2);
+  expect(sameDetails.find(patient => patient._id !== 'pat-saleh')).toEqual(expect.objectContaining({ verified: false }));
+
+  const headers = { Authorization: `Bearer ${login('ahmed.saleh@example.com').token}` };
+  const own = handleMockRequest('GET', '/appointments', { headers }).body.data;
+  expect(own.some(appointment => appointment.booking_reference === booked.body.data.booking_reference)).toBe(false);
+});
+
+test('patient accounts only reach their own records', () => {
+  const headers = { Authorization: `Bearer ${login('ahmed.saleh@example.com').token}` };
+  const get = (path, query) => handleMockRequest('GET', path, { headers, query });
+
+  expect(get('/patients', { user_id: 'user-patient' }).body.data.map(patient => patient._id)).toEqual(['pat-saleh']);
+  expect(get('/patients').body.data).toHaveLength(1);
+  expect(get('/appointments').body.data.every(appointment => appointment.patient_id._id === 'pat-saleh')).toBe(true);
+  expect(get('/appointments/doctor/doc-khan').body.data.map(appointment => appointment.patient_id._id)).not.toContain('pat-abbas');
+  expect(get('/medical-records/patient/pat-abbas').body.data).toEqual([]);
+  expect(get('/medical-records/rec-2').status).toBe(404);
+  expect(get('/notifications/user/user-admin').body.data).toEqual([]);
+  expect(handleMockRequest('PUT', '/notifications/user/user-admin/read-all', { headers }).status).toBe(403);
+  expect(get('/notifications/user/user-patient').body.data.map(notification => notification._id)).toEqual(['notif-4']);
+
+  const book = (patientId) => handleMockRequest('POST', '/appointments', {
+    headers,
+    body: { patient_id: patientId, doctor_id: 'doc-haddad', appointment_date: '2030-01-01T00:00:00.000Z', appointment_time: '10:00' }
+  });
+  expect(book('pat-abbas').status).toBe(403);
+  const own = book('pat-saleh');
+  expect(own.status).toBe(201);
+  expect(handleMockRequest('PUT', `/appointments/${own.body.data._id}`, { headers, body: { patient_id: 'pat-abbas' } }).status).toBe(403);
+  expect(handleMockRequest('PUT', '/appointments/appt-2', { headers, body: { status: 'cancelled' } }).status).toBe(404);
+});
+
+test('anonymous requests only reach the public routes, and patients only their own appointment history', () => {
+  ['/patients', '/appointments', '/users', '/appointment-status-history', '/medical-records'].forEach(path =>
+    expect(handleMockRequest('GET', path).status).toBe(401));
+  expect(handleMockRequest('POST', '/appointments', { body: { patient_id: 'pat-saleh', doctor_id: 'doc-haddad' } }).status).toBe(401);
+  expect(handleMockRequest('GET', '/doctors').status).toBe(200);
+  expect(handleMockRequest('GET', '/doctor-schedules').status).toBe(200);
+  expect(handleMockRequest('POST', '/contacts', { body: { fullName: 'Hana Odeh', email: 'hana@example.com', message: 'Hello' } }).status).toBe(201);
+
+  const joined = handleMockRequest('POST', '/public-bookings/waitlist', {
+    body: { first_name: 'Mona', last_name: 'Darwish', phone: '+962791234567', doctor_id: 'doc-khan' }
+  });
+  expect(joined.status).toBe(201);
+  expect(joined.body.data).toEqual(expect.objectContaining({ doctor_id: 'doc-khan', status: 'waiting' }));
+  expect(joined.body.data.patient_id).toBeUndefined();
+
+  const headers = { Authorization: `Bearer ${login('ahmed.saleh@example.com').token}` };
+  const get = (path) => handleMockRequest('GET', path, { headers }).body.data;
+  expect(get('/appointment-status-history').map(record => record._id).sort()).toEqual(['hist-1', 'hist-2']);
+  expect(get('/appointment-status-history/appointment/appt-2')).toEqual([]);
+  expect(get('/appointment-changes')).toEqual([]);
+  expect(get('/users').map(user => user._id)).toEqual(['user-patient']);
+  expect(handleMockRequest('GET', '/appointment-changes/change-1', { headers }).status).toBe(404);
+  expect(handleMockRequest('POST', '/appointment-status-history', {
+    headers, body: { appointment_id: 'appt-2', old_status: 'cancelled', new_status: 'scheduled' }
+  }).status).toBe(403);
+  expect(handleMockRequest('POST', '/appointment-changes', {
+    headers, body: { appointment_id: 'appt-4', change_type: 'cancelled' }
+  }).status).toBe(201);
+});
+
+test('patient accounts cannot reach staff routes or raise their own role', () => {
+  const headers = { Authorization: `Bearer ${login('ahmed.saleh@example.com').token}` };
+  const request = (method, path, body) => handleMockRequest(method, path, { headers, body });
+
+  [
+    ['GET', '/audit-logs'],
+    ['GET', '/contacts'],
+    ['GET', '/chats/conversations/doc-khan'],
+    ['GET', '/users/role/admin'],
+    ['POST', '/roles', { role_name: 'Owner' }],
+    ['DELETE', '/holidays/holiday-1'],
+    ['POST', '/doctor-schedules', { doctor_id: 'doc-khan', day_of_week: 'Friday', start_time: '09:00', end_time: '12:00' }],
+    ['POST', '/doctors', { first_name: 'Fake', last_name: 'Doctor' }],
+    ['POST', '/notifications/email', { to: 'someone@example.com', subject: 'Hi', message: 'Hi' }],
+    ['POST', '/messages', { patient_id: 'pat-saleh', channel: 'sms', to: '+962790000010', message: 'Hi' }],
+    ['POST', '/doctor-schedules/notify-schedule-change', { appointment_ids: ['appt-4'] }],
+  ].forEach(([method, path, body]) => expect(request(method, path, body).status).toBe(403));
+
+  expect(request('PUT', '/users/user-patient', { role: 'Admin' }).status).toBe(403);
+  expect(request('PUT', '/users/user-patient', { permissions: { users: ['delete'] } }).status).toBe(403);
+  expect(request('PUT', '/users/user-patient', { phone: '+962790000099' }).status).toBe(200);
+  expect(request('GET', '/users/user-patient').body.data.role).toBe('patient');
+  expect(request('GET', '/doctors').status).toBe(200);
+});
+
+test('messages are delivered on their channel and follow the delivery reports', () => {
+  const send = (body) => asAdmin('POST', '/messages', { body: { message: 'Your slot is ready', ...body } });
+
+  expect(send({ channel: 'pigeon', to: '+250785201554' }).status).toBe(400);
+  const failed = send({ channel: 'sms', to: '12', patient_id: 'pat-qasem' });
+  expect(failed.status).toBe(201);
+  expect(failed.body.data).toEqual(expect.objectContaining({ status: 'failed', error: 'Not a valid phone number' }));
+
+  const sent = send({ channel: 'whatsapp', to: '0785 201 554', patient_id: 'pat-abbas' }).body.data;
+  expect(sent.status).toBe('delivered');
+
+  const report = (status) => asAdmin('POST', '/messages/status', {
+    body: { provider_message_id: sent.provider_message_id, status }
+  });
+  expect(report('lost').status).toBe(400);
+  expect(report('read').body.data.status).toBe('read');
+
+  // Doctors' chat messages are kept apart from the messages sent to patients
+  expect(asAdmin('GET', '/messages').body.data).toHaveLength(2);
+  const log = asAdmin('GET', '/messages', { query: { patient_id: 'pat-abbas' } }).body.data;
+  expect(log).toHaveLength(1);
+  expect(log[0].status_history.map(entry => entry.status)).toEqual(['sent', 'delivered', 'read']);
+});
+
+test('doctors subscribe to their calendar with a secret link that can be reset', () => {
+  const headers = { Authorization: `Bearer ${login().token}` };
+  expect(handleMockRequest('GET', '/doctors/doc-haddad/calendar-feed').status).toBe(401);
+  const { token } = handleMockRequest('GET', '/doctors/doc-haddad/calendar-feed', { headers }).body.data;
+  expect(handleMockRequest('GET', '/doctors/doc-haddad/calendar-feed', { headers }).body.data.token).toBe(token);
+
+  const feed = handleMockRequest('GET', '/doctors/doc-haddad/calendar.ics', { query: { token } });
+  expect(feed.contentType).toMatch(/^text\/calendar/);
+  expect(feed.body).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU');
+  expect(feed.body).toContain('SUMMARY:Appointment: Noor Hamdan');
+
+  const reset = handleMockRequest('POST', '/doctors/doc-haddad/calendar-feed/reset', { headers }).body.data;
+  expect(reset.token).not.toBe(token);
+  expect(handleMockRequest('GET', '/doctors/doc-haddad/calendar.ics', { query: { token } }).status).toBe(404);
+  expect(handleMockRequest('GET', '/doctors/doc-khan/calendar.ics', { query: { token: reset.token } }).status).toBe(404);
+
+  // Only the doctor and administrators see the link
+  const asUser = (email) => ({ Authorization: `Bearer ${login(email).token}` });
+  expect(handleMockRequest('GET', '/doctors/doc-haddad/calendar-feed', { headers: asUser('omar.haddad@hospital.com') }).status).toBe(200);
+  expect(handleMockRequest('GET', '/doctors/doc-haddad/calendar-feed', { headers: asUser('sarah.khan@hospital.com') }).status).toBe(403);
+  expect(handleMockRequest('POST', '/doctors/doc-haddad/calendar-feed/reset', { headers: asUser('ahmed.saleh@example.com') }).status).toBe(403);
+});
+
+test('nothing can be booked on a holiday or while the doctor is away, and patients hear of cancellations', () => {
+  // 1 January 2030 is a Tuesday, one of Dr. Haddad's working days
+  const book = (body) => asAdmin('POST', '/appointments', {
+    body: { patient_id: 'pat-nasser', doctor_id: 'doc-haddad', appointment_date: '2030-01-01T00:00:00.000Z', appointment_time: '10:00', ...body },
+  });
+  const appointment = book().body.data;
+
+  expect(asAdmin('POST', '/doctor-absences', {
+    body: { doctor_id: 'doc-haddad', start_date: '2030-01-08', end_date: '2030-01-01' }
+  }).status).toBe(400);
+  asAdmin('POST', '/doctor-absences', { body: { doctor_id: 'doc-haddad', start_date: '2030-01-01', end_date: '2030-01-05' } });
+  expect(book({ appointment_time: '11:00' }).body.errors[0]).toMatch(/doctor is away from 2030-01-01 to 2030-01-05/);
+  expect(asAdmin('GET', '/doctor-absences', { query: { doctor_id: 'doc-haddad' } }).body.data[0].type).toBe('leave');
+
+  asAdmin('POST', '/holidays', { body: { name: 'Heroes Day', start_date: '2030-01-08', end_date: '2030-01-08' } });
+  expect(book({ appointment_date: '2030-01-08T00:00:00.000Z' }).body.errors[0]).toMatch(/hospital is closed on 2030-01-08 \(Heroes Day\)/);
+
+  asAdmin('PUT', `/appointments/${appointment._id}`, { body: { status: 'cancelled' } });
+  const notice = asAdmin('POST', '/doctor-schedules/notify-schedule-change', {
+    body: {
+      appointment_ids: [appointment._id],
+      previous_times: { [appointment._id]: { date: '2030-01-01', time: '10:00' } },
+      reason: 'Dr. Haddad is on leave'
+    }
+  });
+  expect(notice.body.data.notified).toBe(1);
+  const [message] = asAdmin('GET', '/messages', { query: { appointment_id: appointment._id } }).body.data;
+  expect(message.message).toMatch(/on 2030-01-01 at 10:00 has been cancelled\. Reason: Dr\. Haddad is on leave\./);
+});
+
+test('schedule overrides add, change and cancel single sessions', () => {
+  // 5 January 2030 is a Saturday, when no doctor works; 1 January 2030 is one of Dr. Haddad's Tuesdays
+  const book = (date, time) => asAdmin('POST', '/appointments', {
+    body: { patient_id: 'pat-nasser', doctor_id: 'doc-haddad', appointment_date: `${date}T00:00:00.000Z`, appointment_time: time },
+  });
+  expect(book('2030-01-05', '09:00').status).toBe(409);
+
+  expect(asAdmin('POST', '/schedule-overrides', {
+    body: { doctor_id: 'doc-haddad', date: '2030-01-05' }
+  }).body.errors[0]).toMatch(/extra session needs a start and an end time/);
+  asAdmin('POST', '/schedule-overrides', {
+    body: { doctor_id: 'doc-haddad', date: '2030-01-05', start_time: '09:00', end_time: '12:00', max_patients: 4 }
+  });
+  expect(book('2030-01-05', '09:00').status).toBe(201);
+
+  asAdmin('POST', '/schedule-overrides', {
+    body: { doctor_id: 'doc-haddad', date: '2030-01-01', schedule_id: 'sched-haddad-tue', end_time: '12:00' }
+  });
+  expect(book('2030-01-01', '13:00').body.errors[0]).toMatch(/does not work at 13:00 on 2030-01-01 \(working hours: 10:00-12:00\)/);
+
+  expect(asAdmin('PUT', '/doctor-schedules/sched-haddad-thu', {
+    body: { effective_from: '2030-02-01', effective_to: '2030-01-01' }
+  }).status).toBe(400);
+});
+
+test('appointment series are validated and their appointments listed by series', () => {
+  expect(asAdmin('POST', '/appointment-series', {
+    body: { patient_id: 'pat-nasser', doctor_id: 'doc-haddad', start_date: '2030-01-01', pattern: { type: 'pathway', pathway: 'unknown' } }
+  }).status).toBe(400);
+
+  const series = asAdmin('POST', '/appointment-series', {
+    body: { patient_id: 'pat-nasser', doctor_id: 'doc-haddad', start_date: '2030-01-01', pattern: { type: 'rule', frequency: 'weekly', interval: 1, count: 2 } }
+  }).body.data;
+  expect(series.status).toBe('active');
+  ['2030-01-01', '2030-01-08'].forEach((date, index) => asAdmin('POST', '/appointments', {
+    body: { patient_id: 'pat-nasser', doctor_id: 'doc-haddad', appointment_date: `${date}T00:00:00.000Z`, appointment_time: '10:00', series_id: series._id, series_index: index }
+  }));
+
+  const { data } = asAdmin('GET', '/appointments', { query: { series_id: series._id } }).body;
+  expect(data.map(appointment => appointment.series_index).sort()).toEqual([0, 1]);
+});
+
+test('a waitlist place is offered once, and offers lapse on the server when they run out', () => {
+  const join = (patientId) => asAdmin('POST', '/waitlist', { body: { patient_id: patientId, doctor_id: 'doc-haddad' } }).body.data;
+  const first = join('pat-nasser');
+  const second = join('pat-saleh');
+  const offer = (entry) => asAdmin('PUT', `/waitlist/${entry._id}`, {
+    body: {
+      status: 'offered',
+      offered_slot: { doctor_id: 'doc-haddad', schedule_id: 'sched-haddad-tue', date: '2030-01-01', time: '10:00' },
+      offer_expires_at: '2030-01-01T00:00:00.000Z'
+    }
+  });
+
+  expect(offer(first).status).toBe(200);
+  expect(offer(first).status).toBe(409);
+  expect(offer(second).body.message).toBe('The offered slot is no longer free');
+
+  asAdmin('PUT', `/waitlist/${first._id}`, { body: { offer_expires_at: '2020-01-01T00:00:00.000Z' } });
+  expect(asAdmin('GET', `/waitlist/${first._id}`).body.data.status).toBe('expired');
+  expect(asAdmin('PUT', `/waitlist/${first._id}`, { body: { status: 'booked' } }).body.message).toBe('This offer has expired');
+  expect(offer(second).status).toBe(200);
+});
+
+test('slots freed without staff are offered to the waitlist by the backend', () => {
+  const join = (patientId) => asAdmin('POST', '/waitlist', { body: { patient_id: patientId, doctor_id: 'doc-haddad' } }).body.data;
+  const getStatus = (entry) => asAdmin('GET', `/waitlist/${entry._id}`).body.data.status;
+
+  // A patient cancelling in the portal asks for a run, and only hears how many offers were made
+  const own = join('pat-saleh');
+  const headers = { Authorization: `Bearer ${login('ahmed.saleh@example.com').token}` };
+  expect(handleMockRequest('POST', '/waitlist/offer-freed-slots').status).toBe(401);
+  expect(handleMockRequest('POST', '/waitlist/offer-freed-slots', { headers }).body.data).toEqual({ offered: 1 });
+  expect(getStatus(own)).toBe('offered');
+  const notifications = handleMockRequest('GET', '/notifications/user/user-patient', { headers }).body.data;
+  expect(notifications.some(notification => notification.message.startsWith('A slot has opened up with Dr.'))).toBe(true);
+
+  // An online cancellation runs the waitlist straight away
+  const next = join('pat-nasser');
+  const cancelled = handleMockRequest('POST', '/public-bookings/cancel', { body: { reference: 'KSOH-4HB7QX', phone: '+962790000013' } });
+  expect(cancelled.status).toBe(200);
+  expect(getStatus(next)).toBe('offered');
+});
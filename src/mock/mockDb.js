@@ -0,0 +1,70 @@
+import { createSeedData } from './seedData';
+
+/**
+ * Mock Database
+ * In-browser data store used by the mock backend.
+ * Collections are kept in memory and persisted to localStorage so data survives reloads.
+ */
+
+// localStorage key holding every mock collection
+const MOCK_DB_STORAGE_KEY = 'mockDb';
+
+let db = null;
+
+const loadDb = () => {
+  const stored = localStorage.getItem(MOCK_DB_STORAGE_KEY);
+  if (stored) {
+    try {
+      return JSON.parse(stored);
+    } catch (e) {
+      console.warn('Mock database is corrupted, reseeding');
+    }
+  }
+  return createSeedData();
+};
+
+/**
+ * Persist all collections to localStorage
+ */
+export const saveDb = () => {
+  if (!db) return;
+  localStorage.setItem(MOCK_DB_STORAGE_KEY, JSON.stringify(db));
+};
+
+/**
+ * Get a collection, loading the database on first use
+ * Returns the live array: mutate it and call saveDb() to persist
+ * @param {string} name - Collection name (e.g. 'appointments')
+ * @returns {Array} Records
+ */
+export const getCollection = (name) => {
+  if (!db) {
+    db = loadDb();
+    saveDb();
+  }
+  if (!db[name]) {
+    db[name] = [];
+  }
+  return db[name];
+};
+
+/**
+ * Drop all changes and restore the seed data
+ */
+export const resetMockDb = () => {
+  db = createSeedData();
+  saveDb();
+};
+
+/**
+ * Generate a MongoDB-style 24 character hex ID
+ * @returns {string}
+ */
+export const generateId = () => {
+  const timestamp = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+  let random = '';
+  for (let i = 0; i < 16; i++) {
+    random += Math.floor(Math.random() * 16).toString(16);
+  }
+  return timestamp + random;
+};
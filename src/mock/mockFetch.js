@@ -0,0 +1,60 @@
+import { handleMockRequest } from './mockBackend';
+import { resetMockDb } from './mockDb';
+import { clearQueryCache } from '../services/queryCache';
+
+/**
+ * fetch answered straight by the mock backend, for service tests
+ * Unlike installMockBackend it needs no Response class and adds no latency.
+ * @param {string} url - Absolute API URL
+ * @param {Object} options - fetch options { method, body, headers }
+ * @returns {Promise<Object>} Response-like { ok, status, headers, json, text }
+ */
+export const mockFetch = async (url, options = {}) => {
+  const { pathname, searchParams } = new URL(url);
+  const result = handleMockRequest(options.method || 'GET', pathname.replace(/^\/api/, ''), {
+    query: Object.fromEntries(searchParams.entries()),
+    body: options.body ? JSON.parse(options.body) : undefined,
+    headers: options.headers,
+  });
+  return {
+    ok: result.status >= 200 && result.status < 300,
+    status: result.status,
+    headers: { get: () => result.contentType || 'application/json' },
+    json: async () => result.body,
+    text: async () => (result.contentType ? result.body : JSON.stringify(result.body)),
+  };
+};
+
+/**
+ * Sign in against the mock backend and store the token, as the login page does
+ * @param {string} email - Seeded user (password123)
+ * @returns {string} Token
+ */
+export const signInAs = (email = 'admin@hospital.com') => {
+  const { token } = handleMockRequest('POST', '/users/login', { body: { email, password: 'password123' } }).body;
+  localStorage.setItem('token', token);
+  return token;
+};
+
+/**
+ * Start a service test from fresh seed data, signed in, with fetch answered by the mock backend
+ * Call it from beforeEach.
+ * @param {string} email - Seeded user to sign in as (password123)
+ */
+export const startMockSession = (email) => {
+  localStorage.clear();
+  resetMockDb();
+  clearQueryCache();
+  signInAs(email);
+  global.fetch = mockFetch;
+};
+
+/**
+ * Send a request straight to the mock backend as the signed-in user, e.g. to set up test data
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api
+ * @param {Object} body - Request body
+ * @returns {Object} { status, body }
+ */
+export const mockRequest = (method, path, body) =>
+  handleMockRequest(method, path, { body, headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
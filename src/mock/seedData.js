@@ -0,0 +1,211 @@
+/**
+ * Mock Seed Data
+ * Initial records loaded into the mock database on first use and after a reset.
+ * References are stored as plain IDs; the mock backend populates them on read.
+ *
+ * Demo accounts (password for all: password123)
+ * - admin@hospital.com (Admin)
+ * - sarah.khan@hospital.com, omar.haddad@hospital.com, lina.mansour@hospital.com (doctor)
+ * - ahmed.saleh@example.com (patient)
+ */
+
+export const DEMO_PASSWORD = 'password123';
+
+// Dates are generated relative to today so dashboards always show upcoming work
+const dayOffset = (days) => {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString();
+};
+
+const timestampOffset = (days, hours = 0) => {
+  const date = new Date();
+  date.setTime(date.getTime() + (days * 24 + hours) * 60 * 60 * 1000);
+  return date.toISOString();
+};
+
+/**
+ * Build a fresh copy of the seed collections
+ * @returns {Object} { collectionName: [records] }
+ */
+export const createSeedData = () => {
+  const createdAt = timestampOffset(-30);
+  const stamp = (record) => ({ ...record, createdAt, updatedAt: createdAt });
+
+  const roles = [
+    { _id: 'role-admin', role_name: 'Admin', description: 'Full access to hospital administration' },
+    { _id: 'role-doctor', role_name: 'doctor', description: 'Medical staff with access to their patients and schedules' },
+    { _id: 'role-patient', role_name: 'patient', description: 'Registered patients' },
+    {
+      _id: 'role-receptionist',
+      role_name: 'Receptionist',
+      description: 'Front desk staff managing patients and bookings',
+      permissions: {
+        patients: ['view', 'create', 'update'],
+        doctors: ['view'],
+        doctorSchedules: ['view'],
+        absences: ['view'],
+        appointments: ['view', 'create', 'update'],
+        waitlist: ['view', 'create', 'update'],
+        queue: ['view', 'update'],
+        reminders: ['view', 'create'],
+        messages: ['view', 'create'],
+        notifications: ['view']
+      }
+    }
+  ].map(stamp);
+
+  const users = [
+    { _id: 'user-admin', name: 'System Admin', email: 'admin@hospital.com', phone: '+962790000001', role: 'Admin' },
+    { _id: 'user-dr-khan', name: 'Sarah Khan', email: 'sarah.khan@hospital.com', phone: '+962790000002', role: 'doctor' },
+    { _id: 'user-dr-haddad', name: 'Omar Haddad', email: 'omar.haddad@hospital.com', phone: '+962790000003', role: 'doctor' },
+    { _id: 'user-dr-mansour', name: 'Lina Mansour', email: 'lina.mansour@hospital.com', phone: '+962790000004', role: 'doctor' },
+    { _id: 'user-reception', name: 'Rana Yousef', email: 'reception@hospital.com', phone: '+962790000005', role: 'Receptionist' },
+    { _id: 'user-patient', name: 'Ahmed Saleh', email: 'ahmed.saleh@example.com', phone: '+962790000010', role: 'patient' }
+  ].map(user => stamp({ ...user, password: DEMO_PASSWORD }));
+
+  const departments = [
+    { _id: 'dept-trauma', department_name: 'Trauma Orthopaedics', description: 'Fractures and acute injuries', status: 'active' },
+    { _id: 'dept-sports', department_name: 'Sports Orthopaedics', description: 'Ligament, tendon and sports injuries', status: 'active' },
+    { _id: 'dept-arthro', department_name: 'Arthroplasty', description: 'Hip and knee joint replacement', status: 'active' },
+    { _id: 'dept-pediatric', department_name: 'Pediatric Orthopaedics', description: 'Musculoskeletal care for children', status: 'inactive' }
+  ].map(stamp);
+
+  const doctors = [
+    {
+      _id: 'doc-khan', user_id: 'user-dr-khan', first_name: 'Sarah', last_name: 'Khan', gender: 'female',
+      phone: '+962790000002', email: 'sarah.khan@hospital.com', specialization: 'Trauma Surgery',
+      department_id: 'dept-trauma', room: 'Clinic 1', status: 'active'
+    },
+    {
+      _id: 'doc-haddad', user_id: 'user-dr-haddad', first_name: 'Omar', last_name: 'Haddad', gender: 'male',
+      phone: '+962790000003', email: 'omar.haddad@hospital.com', specialization: 'Sports Medicine',
+      department_id: 'dept-sports', room: 'Clinic 4', status: 'active'
+    },
+    {
+      _id: 'doc-mansour', user_id: 'user-dr-mansour', first_name: 'Lina', last_name: 'Mansour', gender: 'female',
+      phone: '+962790000004', email: 'lina.mansour@hospital.com', specialization: 'Joint Replacement',
+      department_id: 'dept-arthro', room: 'Clinic 7', status: 'active'
+    }
+  ].map(stamp);
+
+  const patients = [
+    { _id: 'pat-saleh', user_id: 'user-patient', first_name: 'Ahmed', last_name: 'Saleh', gender: 'male', date_of_birth: '1985-04-12T00:00:00.000Z', phone: '+962790000010', email: 'ahmed.saleh@example.com', address: 'Amman, Jabal Al-Hussein' },
+    { _id: 'pat-nasser', first_name: 'Maya', last_name: 'Nasser', gender: 'female', date_of_birth: '1992-09-03T00:00:00.000Z', phone: '+962790000011', email: 'maya.nasser@example.com', address: 'Irbid, University Street' },
+    { _id: 'pat-abbas', first_name: 'Khaled', last_name: 'Abbas', gender: 'male', date_of_birth: '1970-01-25T00:00:00.000Z', phone: '+962790000012', email: 'khaled.abbas@example.com', preferred_channel: 'whatsapp', address: 'Zarqa, New Zarqa' },
+    { _id: 'pat-hamdan', first_name: 'Noor', last_name: 'Hamdan', gender: 'female', date_of_birth: '2012-06-18T00:00:00.000Z', phone: '+962790000013', email: 'noor.hamdan@example.com', address: 'Amman, Sweifieh' },
+    { _id: 'pat-qasem', first_name: 'Yousef', last_name: 'Qasem', gender: 'male', date_of_birth: '1958-11-30T00:00:00.000Z', phone: '+962790000014', preferred_channel: 'sms', address: 'Salt, Downtown' }
+  ].map(stamp);
+
+  const doctorSchedules = [
+    { _id: 'sched-khan-mon', doctor_id: 'doc-khan', day_of_week: 'Monday', start_time: '09:00', end_time: '13:00', max_patients: 8 },
+    { _id: 'sched-khan-wed', doctor_id: 'doc-khan', day_of_week: 'Wednesday', start_time: '09:00', end_time: '13:00', max_patients: 8 },
+    { _id: 'sched-haddad-tue', doctor_id: 'doc-haddad', day_of_week: 'Tuesday', start_time: '10:00', end_time: '16:00', max_patients: 10 },
+    { _id: 'sched-haddad-thu', doctor_id: 'doc-haddad', day_of_week: 'Thursday', start_time: '10:00', end_time: '14:00', max_patients: 6 },
+    { _id: 'sched-mansour-sun', doctor_id: 'doc-mansour', day_of_week: 'Sunday', start_time: '08:00', end_time: '12:00', max_patients: 6 }
+  ].map(stamp);
+
+  // Dr. Mansour runs an extra afternoon clinic next week
+  const scheduleOverrides = [
+    { _id: 'override-mansour-extra', doctor_id: 'doc-mansour', date: dayOffset(9).slice(0, 10), start_time: '14:00', end_time: '17:00', max_patients: 6, reason: 'Extra clinic for joint replacement follow-ups' }
+  ].map(stamp);
+
+  // Dr. Mansour is away at a conference after the booking horizon
+  const doctorAbsences = [
+    { _id: 'absence-mansour', doctor_id: 'doc-mansour', start_date: dayOffset(35).slice(0, 10), end_date: dayOffset(37).slice(0, 10), type: 'training', reason: 'Orthopaedics conference' }
+  ].map(stamp);
+
+  // Noor Hamdan booked online: Manage My Booking finds appt-5 with KSOH-4HB7QX and +962790000013
+  const appointments = [
+    { _id: 'appt-1', patient_id: 'pat-saleh', doctor_id: 'doc-khan', department_id: 'dept-trauma', appointment_date: dayOffset(-7), appointment_time: '09:30', reason: 'Wrist fracture follow-up', status: 'completed' },
+    { _id: 'appt-2', patient_id: 'pat-nasser', doctor_id: 'doc-haddad', department_id: 'dept-sports', appointment_date: dayOffset(-2), appointment_time: '11:00', reason: 'Knee pain after running', status: 'cancelled' },
+    { _id: 'appt-3', patient_id: 'pat-abbas', doctor_id: 'doc-mansour', department_id: 'dept-arthro', appointment_date: dayOffset(0), appointment_time: '08:30', reason: 'Hip replacement consultation', status: 'confirmed' },
+    { _id: 'appt-4', patient_id: 'pat-saleh', doctor_id: 'doc-khan', department_id: 'dept-trauma', appointment_date: dayOffset(0), appointment_time: '10:00', reason: 'Cast removal', status: 'scheduled' },
+    { _id: 'appt-5', patient_id: 'pat-hamdan', doctor_id: 'doc-haddad', department_id: 'dept-sports', appointment_date: dayOffset(1), appointment_time: '12:30', reason: 'Ankle sprain', status: 'scheduled', booking_reference: 'KSOH-4HB7QX' },
+    { _id: 'appt-6', patient_id: 'pat-qasem', doctor_id: 'doc-mansour', department_id: 'dept-arthro', appointment_date: dayOffset(3), appointment_time: '09:00', reason: 'Post-operative review', status: 'scheduled', series_id: 'series-qasem-knee', series_index: 0 },
+    { _id: 'appt-7', patient_id: 'pat-nasser', doctor_id: 'doc-khan', department_id: 'dept-trauma', appointment_date: dayOffset(5), appointment_time: '11:30', reason: 'Shoulder dislocation check', status: 'confirmed' },
+    { _id: 'appt-8', patient_id: 'pat-qasem', doctor_id: 'doc-mansour', department_id: 'dept-arthro', appointment_date: dayOffset(31), appointment_time: '09:00', reason: 'Post-operative review', status: 'scheduled', series_id: 'series-qasem-knee', series_index: 1 },
+    { _id: 'appt-9', patient_id: 'pat-qasem', doctor_id: 'doc-mansour', department_id: 'dept-arthro', appointment_date: dayOffset(73), appointment_time: '09:00', reason: 'Post-operative review', status: 'scheduled', series_id: 'series-qasem-knee', series_index: 2 },
+    { _id: 'appt-10', patient_id: 'pat-abbas', doctor_id: 'doc-mansour', department_id: 'dept-arthro', appointment_date: dayOffset(-21), appointment_time: '09:30', reason: 'Hip pain review', status: 'no-show' },
+    { _id: 'appt-11', patient_id: 'pat-abbas', doctor_id: 'doc-mansour', department_id: 'dept-arthro', appointment_date: dayOffset(-14), appointment_time: '10:00', reason: 'Hip pain review', status: 'no-show' }
+  ].map(stamp);
+
+  // Post-op reviews after Yousef Qasem's knee replacement
+  const appointmentSeries = [
+    { _id: 'series-qasem-knee', patient_id: 'pat-qasem', doctor_id: 'doc-mansour', department_id: 'dept-arthro', pattern: { type: 'pathway', pathway: 'post_op' }, start_date: dayOffset(-11).slice(0, 10), appointment_time: '09:00', reason: 'Post-operative review', status: 'active' }
+  ].map(stamp);
+
+  const appointmentStatusHistory = [
+    { _id: 'hist-1', appointment_id: 'appt-1', old_status: 'scheduled', new_status: 'confirmed', changed_by: 'user-admin', changed_at: timestampOffset(-9) },
+    { _id: 'hist-2', appointment_id: 'appt-1', old_status: 'confirmed', new_status: 'completed', changed_by: 'user-dr-khan', changed_at: timestampOffset(-7, 1) },
+    { _id: 'hist-3', appointment_id: 'appt-2', old_status: 'scheduled', new_status: 'cancelled', changed_by: 'user-admin', changed_at: timestampOffset(-3) },
+    { _id: 'hist-4', appointment_id: 'appt-3', old_status: 'scheduled', new_status: 'confirmed', changed_by: 'user-dr-mansour', changed_at: timestampOffset(-1) }
+  ].map(stamp);
+
+  const appointmentChanges = [
+    { _id: 'change-1', appointment_id: 'appt-2', change_type: 'cancelled', reason: 'Patient travelling', changed_at: timestampOffset(-3) },
+    { _id: 'change-2', appointment_id: 'appt-6', change_type: 'rescheduled', reason: 'Doctor in surgery', changed_at: timestampOffset(-1) }
+  ].map(stamp);
+
+  const medicalRecords = [
+    { _id: 'rec-1', patient_id: 'pat-saleh', diagnosis: 'Distal radius fracture', treatment_notes: 'Closed reduction, short arm cast for 6 weeks.' },
+    { _id: 'rec-2', patient_id: 'pat-abbas', diagnosis: 'Hip osteoarthritis', treatment_notes: 'Physiotherapy and analgesics; evaluate for total hip replacement.' },
+    { _id: 'rec-3', patient_id: 'pat-qasem', diagnosis: 'Total knee replacement (right)', treatment_notes: 'Wound healing well. Continue physiotherapy.' }
+  ].map(stamp);
+
+  const notifications = [
+    { _id: 'notif-1', user_id: 'user-admin', message: 'New contact message received', notification_type: 'info', is_read: false, sent_at: timestampOffset(0, -2) },
+    { _id: 'notif-2', user_id: 'user-dr-khan', message: 'Appointment with Ahmed Saleh today at 10:00', notification_type: 'appointment', is_read: false, sent_at: timestampOffset(0, -5) },
+    { _id: 'notif-3', user_id: 'user-dr-haddad', message: 'Your Thursday schedule was updated', notification_type: 'system', is_read: true, sent_at: timestampOffset(-2) },
+    { _id: 'notif-4', user_id: 'user-patient', message: 'Reminder: cast removal appointment today', notification_type: 'reminder', is_read: false, sent_at: timestampOffset(-1) }
+  ].map(stamp);
+
+  const contacts = [
+    { _id: 'contact-1', fullName: 'Hana Odeh', email: 'hana.odeh@example.com', phoneNumber: '+962790000020', subject: 'Appointment availability', serviceInterest: 'Sports Orthopaedics', message: 'Do you have appointments available next week?' },
+    { _id: 'contact-2', fullName: 'Sami Jaber', email: 'sami.jaber@example.com', phoneNumber: '+962790000021', subject: 'Insurance', serviceInterest: 'Arthroplasty', message: 'Which insurance providers do you accept for knee surgery?' }
+  ].map(stamp);
+
+  const auditLogs = [
+    { _id: 'log-1', user_id: 'user-admin', action_type: 'login', entity_type: 'user', entity_id: 'user-admin', description: 'User logged in', ip_address: '127.0.0.1' },
+    { _id: 'log-2', user_id: 'user-admin', action_type: 'create', entity_type: 'appointment', entity_id: 'appt-6', description: 'Created appointment', ip_address: '127.0.0.1' },
+    { _id: 'log-3', user_id: 'user-dr-mansour', action_type: 'update', entity_type: 'appointment', entity_id: 'appt-3', description: 'Updated appointment', ip_address: '127.0.0.1' }
+  ].map(stamp);
+
+  const announcements = [
+    { _id: 'ann-1', message: 'Please have your ID and insurance card ready at reception.', is_active: true },
+    { _id: 'ann-2', message: 'The radiology department is open until 8 pm on weekdays.', is_active: true },
+    { _id: 'ann-3', message: 'Physiotherapy patients: please arrive 15 minutes before your session.', department_id: 'dept-sports', is_active: true }
+  ].map(stamp);
+
+  const conversations = [
+    stamp({ _id: 'conv-khan-haddad', doctor1_id: 'doc-khan', doctor2_id: 'doc-haddad' })
+  ];
+
+  const messages = [
+    { _id: 'msg-1', conversation_id: 'conv-khan-haddad', sender_id: 'doc-khan', receiver_id: 'doc-haddad', message: 'Could you review the MRI for Maya Nasser?', createdAt: timestampOffset(0, -3) },
+    { _id: 'msg-2', conversation_id: 'conv-khan-haddad', sender_id: 'doc-haddad', receiver_id: 'doc-khan', message: 'Sure, I will take a look this afternoon.', createdAt: timestampOffset(0, -2) }
+  ];
+
+  return {
+    roles,
+    users,
+    departments,
+    doctors,
+    patients,
+    doctorSchedules,
+    scheduleOverrides,
+    doctorAbsences,
+    appointments,
+    appointmentSeries,
+    appointmentStatusHistory,
+    appointmentChanges,
+    medicalRecords,
+    notifications,
+    contacts,
+    auditLogs,
+    announcements,
+    conversations,
+    messages
+  };
+};
@@ -0,0 +1,676 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { getAbsences, createAbsence, updateAbsence, deleteAbsence } from '../services/absenceService';
+import { getHolidays, createHoliday, updateHoliday, deleteHoliday } from '../services/holidayService';
+import { getDoctors } from '../services/doctorService';
+import { getDoctorSchedules, getScheduleOverrides, notifyScheduleChange } from '../services/doctorScheduleService';
+import { getAppointments, getAppointmentsByDoctor } from '../services/appointmentService';
+import { applyAppointmentMoves } from '../services/bookingService';
+import { changeAppointmentStatus } from '../services/appointmentStatusHistoryService';
+import { offerFreedSlots } from '../services/waitlistService';
+import ErrorDisplay from '../components/ErrorDisplay';
+import { can } from '../utils/accessControl';
+import { getCurrentDoctorId, isDoctor } from '../utils/doctorUtils';
+import {
+  ABSENCE_TYPES,
+  formatDateRange,
+  getAbsenceTypeLabel,
+  getAppointmentsDuringTimeOff,
+  validateDateRange
+} from '../utils/absences';
+import { planRebooking } from '../utils/appointmentConflicts';
+import { summarizeMoveResults } from '../utils/appointmentChanges';
+import { getStatusLabel } from '../utils/appointmentStatus';
+import { getDateKey } from '../utils/slots';
+import './AbsencesPage.css';
+
+const EMPTY_ABSENCE = { doctor_id: '', start_date: '', end_date: '', type: 'leave', reason: '' };
+
+const EMPTY_HOLIDAY = { name: '', start_date: '', end_date: '' };
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const getPersonName = (person, prefix = '') =>
+  (person && typeof person === 'object' && person.first_name ? `${prefix}${person.first_name} ${person.last_name}` : 'Unknown');
+
+/**
+ * Leave and holidays
+ * Doctors' absences and the hospital holiday calendar; no slots can be booked on those days.
+ * When time off is entered over existing bookings, the affected appointments are listed so they can
+ * be moved to the nearest free slots or cancelled, with the patients notified either way.
+ * Doctors see and manage only their own absences.
+ */
+const AbsencesPage = () => {
+  const canCreate = can('absences', 'create');
+  const canUpdate = can('absences', 'update');
+  const canDelete = can('absences', 'delete');
+  // Holidays apply to every doctor, so doctors cannot change them
+  const canManageHolidays = !isDoctor();
+
+  const [absences, setAbsences] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [overrides, setOverrides] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  const [ownDoctorId, setOwnDoctorId] = useState(null);
+  const [doctorFilter, setDoctorFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Form state: kind is 'absence' or 'holiday'
+  const [modal, setModal] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_ABSENCE);
+
+  // Time off whose bookings are being moved or cancelled: { kind, record }
+  const [review, setReview] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [notice, setNotice] = useState('');
+  const [processing, setProcessing] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      let doctorId = '';
+      if (isDoctor()) {
+        doctorId = await getCurrentDoctorId();
+        if (!doctorId) {
+          setError('Doctor profile not found. Please contact administrator.');
+          return;
+        }
+        setOwnDoctorId(doctorId);
+      }
+
+      const [absencesResponse, holidaysResponse, doctorsResponse, schedulesResponse, overridesResponse, appointmentsResponse] = await Promise.all([
+        getAbsences(doctorId ? { doctor_id: doctorId } : {}),
+        getHolidays(),
+        getDoctors(),
+        getDoctorSchedules(),
+        getScheduleOverrides(doctorId ? { doctor_id: doctorId } : {}),
+        doctorId ? getAppointmentsByDoctor(doctorId) : getAppointments()
+      ]);
+      setAbsences(absencesResponse.data || []);
+      setHolidays(holidaysResponse.data || []);
+      setDoctors(doctorsResponse.data || []);
+      setSchedules(schedulesResponse.data || []);
+      setOverrides(overridesResponse.data || []);
+      setAppointments(appointmentsResponse.data || []);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const getAffected = useCallback((kind, record) =>
+    getAppointmentsDuringTimeOff(appointments, kind === 'holiday' ? { holidays: [record] } : { absences: [record] }),
+  [appointments]);
+
+  const reviewAppointments = useMemo(
+    () => (review ? getAffected(review.kind, review.record) : []),
+    [review, getAffected]
+  );
+
+  const visibleAbsences = absences
+    .filter(absence => !doctorFilter || getId(absence.doctor_id) === doctorFilter)
+    .sort((a, b) => getDateKey(b.start_date).localeCompare(getDateKey(a.start_date)));
+
+  const sortedHolidays = [...holidays].sort((a, b) => getDateKey(b.start_date).localeCompare(getDateKey(a.start_date)));
+
+  const getDoctorName = (ref) => {
+    const doctor = typeof ref === 'object' && ref ? ref : doctors.find(d => d._id === ref);
+    return getPersonName(doctor, 'Dr. ');
+  };
+
+  const getDefaultNotice = (kind, record) => (kind === 'holiday'
+    ? `The hospital is closed for ${record.name}`
+    : record.reason || `${getDoctorName(record.doctor_id)} is unavailable`);
+
+  const handleOpenReview = (kind, record) => {
+    setReview({ kind, record });
+    setSelectedIds(getAffected(kind, record).map(appointment => appointment._id));
+    setNotice(getDefaultNotice(kind, record));
+  };
+
+  const handleCloseReview = () => {
+    setReview(null);
+    setSelectedIds([]);
+    setNotice('');
+  };
+
+  const handleOpenModal = (kind, record = null) => {
+    setModal({ kind, record });
+    if (kind === 'holiday') {
+      setFormData(record
+        ? { name: record.name || '', start_date: getDateKey(record.start_date), end_date: getDateKey(record.end_date) }
+        : EMPTY_HOLIDAY);
+    } else {
+      setFormData(record
+        ? {
+            doctor_id: getId(record.doctor_id) || '',
+            start_date: getDateKey(record.start_date),
+            end_date: getDateKey(record.end_date),
+            type: record.type || 'leave',
+            reason: record.reason || ''
+          }
+        : { ...EMPTY_ABSENCE, doctor_id: ownDoctorId || doctorFilter });
+    }
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleCloseModal = () => {
+    setModal(null);
+    setFormData(EMPTY_ABSENCE);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    const dateError = validateDateRange(formData);
+    if (dateError) {
+      setError(dateError);
+      return;
+    }
+
+    const { kind, record } = modal;
+    const submitData = kind === 'holiday'
+      ? { name: formData.name.trim(), start_date: formData.start_date, end_date: formData.end_date || formData.start_date }
+      : {
+          doctor_id: ownDoctorId || formData.doctor_id,
+          start_date: formData.start_date,
+          end_date: formData.end_date || formData.start_date,
+          type: formData.type,
+          reason: formData.reason.trim()
+        };
+
+    try {
+      let response;
+      if (kind === 'holiday') {
+        response = record ? await updateHoliday(record._id, submitData) : await createHoliday(submitData);
+      } else {
+        response = record ? await updateAbsence(record._id, submitData) : await createAbsence(submitData);
+      }
+      const saved = response.data || { ...record, ...submitData };
+      const affected = getAffected(kind, saved);
+      setSuccess(`${kind === 'holiday' ? 'Holiday' : 'Absence'} ${record ? 'updated' : 'added'} successfully!` +
+        (affected.length > 0 ? ` ${affected.length} booking(s) fall on these days and need to be moved or cancelled.` : ''));
+      handleCloseModal();
+      if (affected.length > 0) {
+        handleOpenReview(kind, saved);
+      }
+      fetchData();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const handleDelete = async (kind, record) => {
+    if (!window.confirm(`Are you sure you want to delete this ${kind}? The days become bookable again.`)) {
+      return;
+    }
+    setError(null);
+    setSuccess(null);
+    try {
+      if (kind === 'holiday') {
+        await deleteHoliday(record._id);
+      } else {
+        await deleteAbsence(record._id);
+      }
+      if (review?.record._id === record._id) {
+        handleCloseReview();
+      }
+      setSuccess(`${kind === 'holiday' ? 'Holiday' : 'Absence'} deleted successfully!`);
+      fetchData();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const toggleSelected = (appointmentId) => {
+    setSelectedIds(prev => (prev.includes(appointmentId)
+      ? prev.filter(id => id !== appointmentId)
+      : [...prev, appointmentId]));
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(selectedIds.length === reviewAppointments.length ? [] : reviewAppointments.map(a => a._id));
+  };
+
+  const getSelectedAppointments = () => reviewAppointments.filter(appointment => selectedIds.includes(appointment._id));
+
+  // Move each selected booking to the doctor's free slot closest to its time, outside all time off
+  const handleReschedule = async () => {
+    const selected = getSelectedAppointments();
+    if (selected.length === 0) return;
+    setError(null);
+    setSuccess(null);
+    setProcessing(true);
+    try {
+      // The reviewed time off may not be in the lists yet when it was just saved
+      const withReviewed = (records) => [...records.filter(record => record._id !== review.record._id), review.record];
+      const plan = planRebooking(selected, {
+        appointments,
+        schedules,
+        overrides,
+        absences: review.kind === 'absence' ? withReviewed(absences) : absences,
+        holidays: review.kind === 'holiday' ? withReviewed(holidays) : holidays
+      });
+      const result = await applyAppointmentMoves(plan, { reason: notice.trim() || undefined });
+      setSuccess(`Bookings rescheduled! ${summarizeMoveResults(result)}`);
+      handleCloseReview();
+      fetchData();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    const selected = getSelectedAppointments();
+    if (selected.length === 0) return;
+    if (!window.confirm(`Cancel ${selected.length} appointment(s) and notify the patients?`)) return;
+    setError(null);
+    setSuccess(null);
+    setProcessing(true);
+    try {
+      const reason = notice.trim();
+      const results = await Promise.allSettled(selected.map(appointment =>
+        changeAppointmentStatus(appointment, 'cancelled', { reason: reason || undefined, offerFreedSlot: false })
+      ));
+      const cancelled = selected.filter((appointment, index) => results[index].status === 'fulfilled');
+      // One waitlist run for all the freed slots
+      if (cancelled.length > 0) {
+        offerFreedSlots().catch(err => console.error('Error offering freed slots to the waitlist:', err));
+      }
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error('Failed to cancel appointment:', result.reason));
+
+      let message = `${cancelled.length} appointment(s) cancelled`;
+      if (cancelled.length < selected.length) {
+        message += `, ${selected.length - cancelled.length} failed to cancel`;
+      }
+      if (cancelled.length > 0) {
+        const previousTimes = {};
+        cancelled.forEach(appointment => {
+          previousTimes[appointment._id] = { date: getDateKey(appointment.appointment_date), time: appointment.appointment_time };
+        });
+        try {
+          const notification = await notifyScheduleChange({
+            appointment_ids: cancelled.map(appointment => appointment._id),
+            previous_times: previousTimes,
+            reason: reason || undefined
+          });
+          message += `. ${notification.data?.message || notification.message || `Notifications sent to ${cancelled.length} patient(s)`}`;
+        } catch (notifyErr) {
+          console.error('Error sending cancellation notices:', notifyErr);
+          message += `. Notifications failed: ${notifyErr.message}. Please notify patients manually.`;
+        }
+      }
+      setSuccess(message);
+      handleCloseReview();
+      fetchData();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const renderAffectedCount = (kind, record) => {
+    const count = getAffected(kind, record).length;
+    if (count === 0) return <span className="text-muted">None</span>;
+    return canUpdate ? (
+      <button className="btn btn-sm btn-secondary" onClick={() => handleOpenReview(kind, record)}>
+        {count} to review
+      </button>
+    ) : `${count}`;
+  };
+
+  return (
+    <div className="absences-page">
+      <div className="absences-header">
+        <div>
+          <h1>Leave &amp; Holidays</h1>
+          <p className="absences-subtitle">
+            Days doctors are away or the hospital is closed. No appointments can be booked on them.
+          </p>
+        </div>
+        <div className="absences-header-actions">
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal('absence')}>
+              + Add Absence
+            </button>
+          )}
+          {canCreate && canManageHolidays && (
+            <button className="btn btn-secondary" onClick={() => handleOpenModal('holiday')}>
+              + Add Holiday
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      {review && (
+        <div className="absences-review">
+          <div className="absences-review-header">
+            <h2>
+              Bookings during {review.kind === 'holiday' ? review.record.name : `${getDoctorName(review.record.doctor_id)}'s absence`}
+              {' '}({formatDateRange(review.record)})
+            </h2>
+            <button className="modal-close" onClick={handleCloseReview}>×</button>
+          </div>
+
+          {reviewAppointments.length === 0 ? (
+            <div className="no-data">No upcoming bookings fall on these days</div>
+          ) : (
+            <>
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>
+                        <input
+                          type="checkbox"
+                          aria-label="Select all"
+                          checked={selectedIds.length === reviewAppointments.length}
+                          onChange={toggleAll}
+                        />
+                      </th>
+                      <th>Patient</th>
+                      <th>Doctor</th>
+                      <th>Date</th>
+                      <th>Time</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reviewAppointments.map(appointment => (
+                      <tr key={appointment._id}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            aria-label="Select appointment"
+                            checked={selectedIds.includes(appointment._id)}
+                            onChange={() => toggleSelected(appointment._id)}
+                          />
+                        </td>
+                        <td>{getPersonName(appointment.patient_id)}</td>
+                        <td>{getDoctorName(appointment.doctor_id)}</td>
+                        <td>{formatDateRange({ start_date: appointment.appointment_date })}</td>
+                        <td>{appointment.appointment_time}</td>
+                        <td>{getStatusLabel(appointment.status || 'scheduled')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="absence-notice">Reason given to patients</label>
+                <input
+                  id="absence-notice"
+                  type="text"
+                  value={notice}
+                  onChange={(e) => setNotice(e.target.value)}
+                  placeholder="e.g. The doctor is on leave"
+                />
+                <small className="form-hint">
+                  Patients are told on their preferred channel whether their appointment was moved or cancelled
+                </small>
+              </div>
+
+              <div className="absences-review-actions">
+                <button
+                  className="btn btn-primary"
+                  onClick={handleReschedule}
+                  disabled={processing || selectedIds.length === 0}
+                >
+                  {processing ? 'Working...' : `Reschedule ${selectedIds.length} to Nearest Free Slots`}
+                </button>
+                <button
+                  className="btn btn-delete"
+                  onClick={handleCancel}
+                  disabled={processing || selectedIds.length === 0}
+                >
+                  Cancel {selectedIds.length} &amp; Notify
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="absences-section">
+        <div className="absences-section-header">
+          <h2>Doctor Absences</h2>
+          {!ownDoctorId && (
+            <div className="filter-group">
+              <label htmlFor="absence-doctor">Doctor</label>
+              <select id="absence-doctor" value={doctorFilter} onChange={(e) => setDoctorFilter(e.target.value)}>
+                <option value="">All doctors</option>
+                {doctors.map(doctor => (
+                  <option key={doctor._id} value={doctor._id}>{getPersonName(doctor, 'Dr. ')}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading absences...</div>
+        ) : visibleAbsences.length === 0 ? (
+          <div className="no-data">No absences recorded</div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Doctor</th>
+                  <th>Dates</th>
+                  <th>Type</th>
+                  <th>Reason</th>
+                  <th>Affected Bookings</th>
+                  {(canUpdate || canDelete) && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {visibleAbsences.map(absence => (
+                  <tr key={absence._id}>
+                    <td>{getDoctorName(absence.doctor_id)}</td>
+                    <td>{formatDateRange(absence)}</td>
+                    <td>
+                      <span className={`status-badge absence-type-${absence.type || 'other'}`}>
+                        {getAbsenceTypeLabel(absence.type)}
+                      </span>
+                    </td>
+                    <td>{absence.reason || '—'}</td>
+                    <td>{renderAffectedCount('absence', absence)}</td>
+                    {(canUpdate || canDelete) && (
+                      <td className="absences-actions">
+                        {canUpdate && (
+                          <button className="btn btn-sm btn-edit" onClick={() => handleOpenModal('absence', absence)}>
+                            Edit
+                          </button>
+                        )}
+                        {canDelete && (
+                          <button className="btn btn-sm btn-delete" onClick={() => handleDelete('absence', absence)}>
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="absences-section">
+        <div className="absences-section-header">
+          <h2>Hospital Holidays</h2>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading holidays...</div>
+        ) : sortedHolidays.length === 0 ? (
+          <div className="no-data">No holidays recorded</div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Holiday</th>
+                  <th>Dates</th>
+                  <th>Affected Bookings</th>
+                  {canManageHolidays && (canUpdate || canDelete) && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedHolidays.map(holiday => (
+                  <tr key={holiday._id}>
+                    <td>{holiday.name}</td>
+                    <td>{formatDateRange(holiday)}</td>
+                    <td>{renderAffectedCount('holiday', holiday)}</td>
+                    {canManageHolidays && (canUpdate || canDelete) && (
+                      <td className="absences-actions">
+                        {canUpdate && (
+                          <button className="btn btn-sm btn-edit" onClick={() => handleOpenModal('holiday', holiday)}>
+                            Edit
+                          </button>
+                        )}
+                        {canDelete && (
+                          <button className="btn btn-sm btn-delete" onClick={() => handleDelete('holiday', holiday)}>
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {modal && (
+        <div className="modal-overlay" onClick={handleCloseModal}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>
+                {modal.record ? 'Edit' : 'New'} {modal.kind === 'holiday' ? 'Holiday' : 'Absence'}
+              </h2>
+              <button className="modal-close" onClick={handleCloseModal}>×</button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              {modal.kind === 'holiday' ? (
+                <div className="form-group">
+                  <label htmlFor="name">Name *</label>
+                  <input
+                    id="name"
+                    name="name"
+                    type="text"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    required
+                    placeholder="e.g. Independence Day"
+                  />
+                </div>
+              ) : !ownDoctorId && (
+                <div className="form-group">
+                  <label htmlFor="doctor_id">Doctor *</label>
+                  <select id="doctor_id" name="doctor_id" value={formData.doctor_id} onChange={handleInputChange} required>
+                    <option value="">Select a doctor</option>
+                    {doctors.map(doctor => (
+                      <option key={doctor._id} value={doctor._id}>{getPersonName(doctor, 'Dr. ')}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="absences-form-dates">
+                <div className="form-group">
+                  <label htmlFor="start_date">From *</label>
+                  <input
+                    id="start_date"
+                    name="start_date"
+                    type="date"
+                    value={formData.start_date}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="end_date">Until</label>
+                  <input
+                    id="end_date"
+                    name="end_date"
+                    type="date"
+                    value={formData.end_date}
+                    min={formData.start_date || undefined}
+                    onChange={handleInputChange}
+                  />
+                  <small className="form-hint">Included. Leave empty for a single day.</small>
+                </div>
+              </div>
+
+              {modal.kind === 'absence' && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="type">Type</label>
+                    <select id="type" name="type" value={formData.type} onChange={handleInputChange}>
+                      {ABSENCE_TYPES.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="reason">Reason</label>
+                    <input
+                      id="reason"
+                      name="reason"
+                      type="text"
+                      value={formData.reason}
+                      onChange={handleInputChange}
+                      placeholder="e.g. Annual leave"
+                    />
+                  </div>
+                </>
+              )}
+
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={handleCloseModal}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  {modal.record ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AbsencesPage;
@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getAnnouncements,
+  createAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement
+} from '../services/announcementService';
+import { getDepartments } from '../services/departmentService';
+import ErrorDisplay from '../components/ErrorDisplay';
+import { can } from '../utils/accessControl';
+import './AnnouncementsPage.css';
+
+const EMPTY_FORM = { message: '', department_id: '', is_active: true };
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const AnnouncementsPage = () => {
+  const canCreate = can('announcements', 'create');
+  const canUpdate = can('announcements', 'update');
+  const canDelete = can('announcements', 'delete');
+
+  const [announcements, setAnnouncements] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Form state
+  const [showModal, setShowModal] = useState(false);
+  const [editingAnnouncement, setEditingAnnouncement] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const fetchAnnouncements = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getAnnouncements();
+      setAnnouncements(response.data || []);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAnnouncements();
+  }, [fetchAnnouncements]);
+
+  useEffect(() => {
+    getDepartments()
+      .then(response => setDepartments(response.data || []))
+      .catch(err => console.error('Failed to fetch departments:', err));
+  }, []);
+
+  const handleOpenModal = (announcement = null) => {
+    setEditingAnnouncement(announcement);
+    setFormData(announcement
+      ? {
+          message: announcement.message || '',
+          department_id: getId(announcement.department_id) || '',
+          is_active: announcement.is_active !== false
+        }
+      : EMPTY_FORM);
+    setShowModal(true);
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingAnnouncement(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    const submitData = {
+      message: formData.message.trim(),
+      department_id: formData.department_id || null,
+      is_active: formData.is_active
+    };
+
+    try {
+      if (editingAnnouncement) {
+        await updateAnnouncement(editingAnnouncement._id, submitData);
+        setSuccess('Announcement updated successfully!');
+      } else {
+        await createAnnouncement(submitData);
+        setSuccess('Announcement created successfully!');
+      }
+      handleCloseModal();
+      fetchAnnouncements();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const handleToggleActive = async (announcement) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await updateAnnouncement(announcement._id, { is_active: announcement.is_active === false });
+      fetchAnnouncements();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const handleDelete = async (announcementId) => {
+    if (!window.confirm('Are you sure you want to delete this announcement?')) {
+      return;
+    }
+    setError(null);
+    setSuccess(null);
+    try {
+      await deleteAnnouncement(announcementId);
+      setSuccess('Announcement deleted successfully!');
+      fetchAnnouncements();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const getDepartmentName = (departmentRef) => {
+    if (!departmentRef) return 'All boards';
+    const department = typeof departmentRef === 'object'
+      ? departmentRef
+      : departments.find(d => d._id === departmentRef);
+    return department?.department_name || 'Unknown department';
+  };
+
+  return (
+    <div className="announcements-page">
+      <div className="announcements-header">
+        <div>
+          <h1>Announcements</h1>
+          <p className="announcements-subtitle">Messages that rotate on the waiting-room display boards</p>
+        </div>
+        <div className="announcements-header-actions">
+          <a className="btn btn-secondary" href="/display-board" target="_blank" rel="noopener noreferrer">
+            Open Display Board
+          </a>
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + New Announcement
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      {departments.length > 0 && (
+        <div className="announcements-boards">
+          <span>Department boards:</span>
+          {departments.map(department => (
+            <a
+              key={department._id}
+              href={`/display-board?department=${department._id}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              {department.department_name}
+            </a>
+          ))}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading announcements...</div>
+      ) : announcements.length === 0 ? (
+        <div className="no-data">No announcements yet</div>
+      ) : (
+        <div className="announcements-list">
+          {announcements.map(announcement => (
+            <div
+              key={announcement._id}
+              className={`announcement-card ${announcement.is_active === false ? 'announcement-inactive' : ''}`}
+            >
+              <p className="announcement-message">{announcement.message}</p>
+              <div className="announcement-meta">
+                <span>{getDepartmentName(announcement.department_id)}</span>
+                <span className={`announcement-status ${announcement.is_active === false ? 'off' : 'on'}`}>
+                  {announcement.is_active === false ? 'Hidden' : 'Showing'}
+                </span>
+              </div>
+              <div className="announcement-actions">
+                {canUpdate && (
+                  <>
+                    <button className="btn btn-sm btn-secondary" onClick={() => handleToggleActive(announcement)}>
+                      {announcement.is_active === false ? 'Show' : 'Hide'}
+                    </button>
+                    <button className="btn btn-sm btn-edit" onClick={() => handleOpenModal(announcement)}>
+                      Edit
+                    </button>
+                  </>
+                )}
+                {canDelete && (
+                  <button className="btn btn-sm btn-delete" onClick={() => handleDelete(announcement._id)}>
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showModal && (
+        <div className="modal-overlay" onClick={handleCloseModal}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{editingAnnouncement ? 'Edit Announcement' : 'New Announcement'}</h2>
+              <button className="modal-close" onClick={handleCloseModal}>×</button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label htmlFor="message">Message *</label>
+                <textarea
+                  id="message"
+                  name="message"
+                  value={formData.message}
+                  onChange={handleInputChange}
+                  rows="3"
+                  maxLength={200}
+                  required
+                  placeholder="Keep it short so it can be read from across the room"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="department_id">Show On</label>
+                <select id="department_id" name="department_id" value={formData.department_id} onChange={handleInputChange}>
+                  <option value="">All boards</option>
+                  {departments.map(department => (
+                    <option key={department._id} value={department._id}>{department.department_name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="announcement-checkbox">
+                  <input type="checkbox" name="is_active" checked={formData.is_active} onChange={handleInputChange} />
+                  Show on the display boards
+                </label>
+              </div>
+
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={handleCloseModal}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  {editingAnnouncement ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnnouncementsPage;
@@ -9,9 +9,14 @@ import {
 import { getAppointments } from '../services/appointmentService';
 import ErrorDisplay from '../components/ErrorDisplay';
 import ReportButton from '../components/ReportButton';
+import { can } from '../utils/accessControl';
 import './AppointmentChangesPage.css';
 
 const AppointmentChangesPage = () => {
+  const canCreate = can('appointmentChanges', 'create');
+  const canUpdate = can('appointmentChanges', 'update');
+  const canDelete = can('appointmentChanges', 'delete');
+
   const [changes, setChanges] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -310,9 +315,11 @@ const AppointmentChangesPage = () => {
               filters={filters}
             />
           )}
-          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-            + Record Change
-          </button>
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + Record Change
+            </button>
+          )}
         </div>
       </div>
 
@@ -409,18 +416,22 @@ const AppointmentChangesPage = () => {
               </div>
               
               <div className="change-actions">
-                <button
-                  className="btn btn-sm btn-edit"
-                  onClick={() => handleOpenModal(change)}
-                >
-                  Edit
-                </button>
-                <button
-                  className="btn btn-sm btn-delete"
-                  onClick={() => handleDelete(change._id)}
-                >
-                  Delete
-                </button>
+                {canUpdate && (
+                  <button
+                    className="btn btn-sm btn-edit"
+                    onClick={() => handleOpenModal(change)}
+                  >
+                    Edit
+                  </button>
+                )}
+                {canDelete && (
+                  <button
+                    className="btn btn-sm btn-delete"
+                    onClick={() => handleDelete(change._id)}
+                  >
+                    Delete
+                  </button>
+                )}
               </div>
             </div>
           ))}
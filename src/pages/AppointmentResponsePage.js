@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getReminderAppointment, respondToReminder } from '../services/reminderService';
+import HospitalLogo from '../components/HospitalLogo';
+import { getStatusLabel } from '../utils/appointmentStatus';
+import { getDateKey } from '../utils/slots';
+import './AppointmentResponsePage.css';
+
+const ACTIONS = {
+  confirm: { question: 'Confirm that you will attend this appointment?', button: 'Yes, I will attend', className: 'btn-primary' },
+  cancel: { question: 'Cancel this appointment?', button: 'Cancel My Appointment', className: 'btn-delete' }
+};
+
+/**
+ * Answer to an appointment reminder
+ * Opened from the confirm and cancel links in a reminder: shows the appointment and asks the
+ * patient to press a button, so a mail scanner or link preview opening the link changes nothing.
+ * Works without a logged-in session; the token in the link identifies the appointment.
+ */
+const AppointmentResponsePage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const action = ACTIONS[searchParams.get('action')] ? searchParams.get('action') : 'confirm';
+
+  const [appointment, setAppointment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!token) {
+      setError('This link is incomplete. Please use the link from your reminder.');
+      setLoading(false);
+      return;
+    }
+    getReminderAppointment(token)
+      .then(response => setAppointment(response.data))
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleRespond = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await respondToReminder(token, action);
+      setAppointment(response.data);
+      setResult(response.message || `Your appointment is ${getStatusLabel(response.data.status).toLowerCase()}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatDate = (value) => new Date(`${getDateKey(value)}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  const isFinal = appointment && ['cancelled', 'completed', 'no-show'].includes(appointment.status);
+
+  return (
+    <div className="appointment-response-page">
+      <div className="appointment-response-card">
+        <div className="appointment-response-brand">
+          <HospitalLogo size="small" shape="circle" />
+          <h1>Your Appointment</h1>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading your appointment...</div>
+        ) : (
+          <>
+            {appointment && (
+              <dl className="appointment-response-details">
+                <dt>Doctor</dt>
+                <dd>{appointment.doctor_name || 'N/A'}</dd>
+                {appointment.department_name && (
+                  <>
+                    <dt>Department</dt>
+                    <dd>{appointment.department_name}</dd>
+                  </>
+                )}
+                <dt>Date</dt>
+                <dd>{formatDate(appointment.appointment_date)}</dd>
+                {appointment.appointment_time && (
+                  <>
+                    <dt>Time</dt>
+                    <dd>{appointment.appointment_time}</dd>
+                  </>
+                )}
+                {appointment.room && (
+                  <>
+                    <dt>Location</dt>
+                    <dd>{appointment.room}</dd>
+                  </>
+                )}
+                <dt>Status</dt>
+                <dd>
+                  <span className={`status-badge status-${appointment.status}`}>{getStatusLabel(appointment.status)}</span>
+                </dd>
+              </dl>
+            )}
+
+            {error && <div className="alert alert-error">{error}</div>}
+            {result && <div className="alert alert-success">{result}</div>}
+
+            {appointment && !result && !isFinal && (
+              <div className="appointment-response-actions">
+                <p>{ACTIONS[action].question}</p>
+                <button
+                  type="button"
+                  className={`btn ${ACTIONS[action].className}`}
+                  onClick={handleRespond}
+                  disabled={submitting}
+                >
+                  {submitting ? 'Saving...' : ACTIONS[action].button}
+                </button>
+              </div>
+            )}
+
+            <p className="appointment-response-help">
+              Need a different time? <Link to="/contact">Contact us</Link> and our reception team will help.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AppointmentResponsePage;
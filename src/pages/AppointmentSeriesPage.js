@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getAppointmentSeries,
+  updateAppointmentSeries,
+  getSeriesAppointments,
+  cancelSeriesOccurrences,
+  moveSeriesOccurrences
+} from '../services/appointmentSeriesService';
+import { getPatients } from '../services/patientService';
+import { getDoctors } from '../services/doctorService';
+import ErrorDisplay from '../components/ErrorDisplay';
+import NewSeriesModal from '../components/NewSeriesModal';
+import useAttendanceRecords from '../hooks/useAttendanceRecords';
+import { can } from '../utils/accessControl';
+import { describeSeriesPattern, getFollowingOccurrences, getSeriesProgress } from '../utils/appointmentSeries';
+import { getStatusLabel, INITIAL_STATUSES } from '../utils/appointmentStatus';
+import { getDateKey } from '../utils/slots';
+import './AppointmentSeriesPage.css';
+
+const SERIES_STATUSES = [
+  { value: 'active', label: 'Active' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (dateValue) => {
+  const dateKey = getDateKey(dateValue);
+  if (!dateKey) return 'N/A';
+  return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+const AppointmentSeriesPage = () => {
+  const canCreate = can('appointments', 'create');
+  const canUpdate = can('appointments', 'update');
+  const attendance = useAttendanceRecords();
+
+  const [seriesList, setSeriesList] = useState([]);
+  const [occurrencesBySeries, setOccurrencesBySeries] = useState({});
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [showNewModal, setShowNewModal] = useState(false);
+  // { series, appointment, action: 'move' | 'cancel', scope: 'one' | 'following' }
+  const [editing, setEditing] = useState(null);
+  const [editData, setEditData] = useState({ date: '', time: '', reason: '' });
+  const [saving, setSaving] = useState(false);
+
+  // Dropdown data
+  const [patients, setPatients] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+
+  const fetchSeries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getAppointmentSeries({ status: statusFilter || undefined });
+      const series = response.data || [];
+      setSeriesList(series);
+      const occurrences = await Promise.all(series.map(item => getSeriesAppointments(item._id)));
+      setOccurrencesBySeries(Object.fromEntries(series.map((item, index) => [item._id, occurrences[index]])));
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchSeries();
+  }, [fetchSeries]);
+
+  useEffect(() => {
+    const fetchDropdownData = async () => {
+      const [patientsResult, doctorsResult] = await Promise.allSettled([getPatients(), getDoctors()]);
+      if (patientsResult.status === 'fulfilled') setPatients(patientsResult.value.data || []);
+      if (doctorsResult.status === 'fulfilled') setDoctors(doctorsResult.value.data || []);
+    };
+    fetchDropdownData();
+  }, []);
+
+  const getPatientName = (patient) =>
+    patient && typeof patient === 'object' ? `${patient.first_name} ${patient.last_name}` : 'Unknown patient';
+
+  const getDoctorName = (doctorRef) => {
+    const doctor = typeof doctorRef === 'object' ? doctorRef : doctors.find(d => d._id === doctorRef);
+    return doctor ? `Dr. ${doctor.first_name} ${doctor.last_name}` : 'N/A';
+  };
+
+  const handleCreated = ({ appointments, failed }) => {
+    setShowNewModal(false);
+    setError(null);
+    setSuccess(`${appointments.length} follow-up appointment(s) booked.` +
+      (failed.length > 0 ? ` ${failed.length} could not be booked: ${failed.map(item => item.error).join(' ')}` : ''));
+    fetchSeries();
+  };
+
+  const openEdit = (series, appointment, action, scope) => {
+    setEditing({ series, appointment, action, scope });
+    setEditData({
+      date: getDateKey(appointment.appointment_date),
+      time: appointment.appointment_time || '',
+      reason: ''
+    });
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+    const { series, appointment, action, scope } = editing;
+    const occurrences = occurrencesBySeries[series._id] || [];
+    const targets = scope === 'following' ? getFollowingOccurrences(occurrences, appointment) : [appointment];
+    const reason = editData.reason.trim() || undefined;
+
+    setSaving(true);
+    setError(null);
+    try {
+      if (action === 'cancel') {
+        const { cancelled, failed } = await cancelSeriesOccurrences(targets, { reason });
+        // Nothing left to attend: the series is over
+        const remaining = occurrences.filter(item =>
+          INITIAL_STATUSES.includes(item.status || 'scheduled') && !targets.some(target => target._id === item._id));
+        if (remaining.length === 0 && failed.length === 0) {
+          await updateAppointmentSeries(series._id, { status: 'cancelled' });
+        }
+        setSuccess(`${cancelled} appointment(s) cancelled.` +
+          (failed.length > 0 ? ` ${failed.length} could not be cancelled.` : ''));
+        if (failed.length > 0) setError({ message: 'Some appointments could not be cancelled', errors: failed.map(item => item.error) });
+      } else {
+        // Every following occurrence moves by as many days as the one picked
+        const shiftDays = Math.round(
+          (new Date(`${editData.date}T00:00:00Z`) - new Date(`${getDateKey(appointment.appointment_date)}T00:00:00Z`)) / DAY_MS
+        );
+        const { moved, conflicts } = await moveSeriesOccurrences(targets, scope === 'following'
+          ? { shiftDays, time: editData.time, reason }
+          : { date: editData.date, time: editData.time, reason });
+        // The series only takes the new time when every following occurrence has it
+        if (scope === 'following' && editData.time !== series.appointment_time && conflicts.length === 0) {
+          await updateAppointmentSeries(series._id, { appointment_time: editData.time });
+        }
+        setSuccess(`${moved} appointment(s) moved.` +
+          (conflicts.length > 0 ? ` ${conflicts.length} kept their time because the new one is not free.` : ''));
+        if (conflicts.length > 0) {
+          setError({
+            message: 'Some appointments could not be moved',
+            errors: conflicts.map(({ appointment: item, error: message }) => `${formatDate(item.appointment_date)}: ${message}`)
+          });
+        }
+      }
+      setEditing(null);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSaving(false);
+    }
+    fetchSeries();
+  };
+
+  const getStatusClass = (status) => `status-badge status-${(status || 'scheduled').replace(/_/g, '-')}`;
+
+  const editTitle = editing && `${editing.action === 'cancel' ? 'Cancel' : 'Change'} ${
+    editing.scope === 'following' ? 'This and Following Appointments' : 'This Appointment'}`;
+
+  return (
+    <div className="series-page">
+      <div className="series-header">
+        <div>
+          <h1>Follow-up Series</h1>
+          <p className="series-subtitle">
+            Repeating follow-ups booked together from a care pathway or a repeat rule, such as post-op reviews or weekly physiotherapy.
+          </p>
+        </div>
+        {canCreate && (
+          <button className="btn btn-primary" onClick={() => setShowNewModal(true)}>
+            + New Series
+          </button>
+        )}
+      </div>
+
+      <div className="filters-section">
+        <div className="filter-group">
+          <label htmlFor="filter-series-status">Status:</label>
+          <select id="filter-series-status" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All Statuses</option>
+            {SERIES_STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      {loading && seriesList.length === 0 ? (
+        <div className="loading">Loading follow-up series...</div>
+      ) : seriesList.length === 0 ? (
+        <div className="no-data">No follow-up series found</div>
+      ) : (
+        <div className="series-list">
+          {seriesList.map(series => {
+            const occurrences = occurrencesBySeries[series._id] || [];
+            const progress = getSeriesProgress(occurrences);
+            const expanded = expandedId === series._id;
+            return (
+              <div key={series._id} className={`series-card series-card-${series.status}`}>
+                <div className="series-card-header">
+                  <div>
+                    <strong className="series-patient">{getPatientName(series.patient_id)}</strong>
+                    <span className="series-pattern">{describeSeriesPattern(series.pattern)}</span>
+                  </div>
+                  <span className={`series-status series-status-${series.status}`}>
+                    {SERIES_STATUSES.find(status => status.value === series.status)?.label || series.status}
+                  </span>
+                </div>
+
+                <div className="series-card-body">
+                  <div><span className="series-label">Doctor:</span> {getDoctorName(series.doctor_id)}</div>
+                  {series.reason && <div><span className="series-label">Reason:</span> {series.reason}</div>}
+                  <div>
+                    <span className="series-label">Progress:</span> {progress.completed} of {progress.total} attended
+                    {progress.cancelled > 0 && `, ${progress.cancelled} cancelled`}
+                  </div>
+                  <div>
+                    <span className="series-label">Next:</span>{' '}
+                    {progress.next ? `${formatDate(progress.next.appointment_date)} at ${progress.next.appointment_time}` : 'None'}
+                  </div>
+                </div>
+
+                <div className="series-card-actions">
+                  <button className="btn btn-sm btn-secondary" onClick={() => setExpandedId(expanded ? null : series._id)}>
+                    {expanded ? 'Hide Appointments' : 'Show Appointments'}
+                  </button>
+                </div>
+
+                {expanded && (
+                  <table className="series-occurrences">
+                    <thead>
+                      <tr>
+                        <th>#</th>
+                        <th>Date</th>
+                        <th>Time</th>
+                        <th>Status</th>
+                        {canUpdate && <th>Actions</th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {occurrences.map(appointment => {
+                        const open = INITIAL_STATUSES.includes(appointment.status || 'scheduled');
+                        return (
+                          <tr key={appointment._id}>
+                            <td>{(appointment.series_index ?? 0) + 1}</td>
+                            <td>{formatDate(appointment.appointment_date)}</td>
+                            <td>{appointment.appointment_time}</td>
+                            <td><span className={getStatusClass(appointment.status)}>{getStatusLabel(appointment.status)}</span></td>
+                            {canUpdate && (
+                              <td className="series-occurrence-actions">
+                                {open && (
+                                  <>
+                                    <button className="btn btn-sm btn-edit" onClick={() => openEdit(series, appointment, 'move', 'one')}>
+                                      Change
+                                    </button>
+                                    <button className="btn btn-sm btn-edit" onClick={() => openEdit(series, appointment, 'move', 'following')}>
+                                      Change From Here
+                                    </button>
+                                    <button className="btn btn-sm btn-delete" onClick={() => openEdit(series, appointment, 'cancel', 'one')}>
+                                      Cancel
+                                    </button>
+                                    <button className="btn btn-sm btn-delete" onClick={() => openEdit(series, appointment, 'cancel', 'following')}>
+                                      Cancel From Here
+                                    </button>
+                                  </>
+                                )}
+                              </td>
+                            )}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {showNewModal && (
+        <NewSeriesModal
+          patients={patients}
+          doctors={doctors}
+          attendance={attendance}
+          onClose={() => setShowNewModal(false)}
+          onCreated={handleCreated}
+        />
+      )}
+
+      {editing && (
+        <div className="modal-overlay" onClick={() => setEditing(null)}>
+          <div className="modal-content series-edit-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{editTitle}</h2>
+              <button className="modal-close" onClick={() => setEditing(null)}>×</button>
+            </div>
+            <form onSubmit={handleEditSubmit}>
+              <p className="form-hint">
+                {getPatientName(editing.series.patient_id)}, {formatDate(editing.appointment.appointment_date)} at {editing.appointment.appointment_time}
+                {editing.scope === 'following' &&
+                  ` and ${getFollowingOccurrences(occurrencesBySeries[editing.series._id] || [], editing.appointment).length - 1} later appointment(s)`}
+              </p>
+
+              {editing.action === 'move' && (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="series_edit_date">New Date *</label>
+                    <input type="date" id="series_edit_date" name="date" value={editData.date} onChange={handleEditChange} required />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="series_edit_time">New Time *</label>
+                    <input type="time" id="series_edit_time" name="time" value={editData.time} onChange={handleEditChange} required />
+                  </div>
+                </div>
+              )}
+              {editing.action === 'move' && editing.scope === 'following' && (
+                <small className="form-hint">Later appointments move by the same number of days and take the new time.</small>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="series_edit_reason">Reason</label>
+                <input
+                  type="text"
+                  id="series_edit_reason"
+                  name="reason"
+                  value={editData.reason}
+                  onChange={handleEditChange}
+                  placeholder={editing.action === 'cancel' ? 'e.g. Discharged from follow-up' : 'e.g. Patient asked for afternoons'}
+                />
+                <small className="form-hint">Recorded in the appointment changes.</small>
+              </div>
+
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setEditing(null)}>
+                  Back
+                </button>
+                <button type="submit" className={`btn ${editing.action === 'cancel' ? 'btn-delete' : 'btn-primary'}`} disabled={saving}>
+                  {saving ? 'Saving...' : editing.action === 'cancel' ? 'Cancel Appointments' : 'Move Appointments'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AppointmentSeriesPage;
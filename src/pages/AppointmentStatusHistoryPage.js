@@ -1,15 +1,22 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import {
   getAppointmentStatusHistory,
-  createAppointmentStatusHistory,
   updateAppointmentStatusHistory,
   deleteAppointmentStatusHistory,
-  getStatusHistoryByAppointment
+  getStatusHistoryByAppointment,
+  changeAppointmentStatus
 } from '../services/appointmentStatusHistoryService';
+import { getAppointment } from '../services/appointmentService';
 import ErrorDisplay from '../components/ErrorDisplay';
+import { can } from '../utils/accessControl';
+import { APPOINTMENT_STATUSES, getStatusLabel } from '../utils/appointmentStatus';
 import './AppointmentStatusHistoryPage.css';
 
 const AppointmentStatusHistoryPage = () => {
+  const canCreate = can('appointmentStatusHistory', 'create');
+  const canUpdate = can('appointmentStatusHistory', 'update');
+  const canDelete = can('appointmentStatusHistory', 'delete');
+
   const [historyRecords, setHistoryRecords] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -22,7 +29,8 @@ const AppointmentStatusHistoryPage = () => {
     appointment_id: '',
     old_status: 'scheduled',
     new_status: 'confirmed',
-    changed_by: ''
+    changed_by: '',
+    reason: ''
   });
   
   // Filter state
@@ -73,7 +81,8 @@ const AppointmentStatusHistoryPage = () => {
         appointment_id: record.appointment_id._id || record.appointment_id || '',
         old_status: record.old_status || 'scheduled',
         new_status: record.new_status || 'confirmed',
-        changed_by: record.changed_by || ''
+        changed_by: record.changed_by || '',
+        reason: record.reason || ''
       });
     } else {
       setEditingRecord(null);
@@ -81,7 +90,8 @@ const AppointmentStatusHistoryPage = () => {
         appointment_id: '',
         old_status: 'scheduled',
         new_status: 'confirmed',
-        changed_by: ''
+        changed_by: '',
+        reason: ''
       });
     }
     setShowModal(true);
@@ -96,7 +106,8 @@ const AppointmentStatusHistoryPage = () => {
       appointment_id: '',
       old_status: 'scheduled',
       new_status: 'confirmed',
-      changed_by: ''
+      changed_by: '',
+      reason: ''
     });
     setError(null);
     setSuccess(null);
@@ -107,25 +118,21 @@ const AppointmentStatusHistoryPage = () => {
     setError(null);
     setSuccess(null);
     
-    // Validate that old_status and new_status are different
-    if (formData.old_status === formData.new_status) {
+    // Validate that old_status and new_status are different (new changes are checked against the lifecycle)
+    if (editingRecord && formData.old_status === formData.new_status) {
       setError('Old status and new status must be different');
       return;
     }
     
     try {
-      const submitData = { ...formData };
-      // Don't include old_status if creating (backend will use current appointment status)
-      if (!editingRecord) {
-        delete submitData.old_status;
-      }
-      
       if (editingRecord) {
-        await updateAppointmentStatusHistory(editingRecord._id, submitData);
+        await updateAppointmentStatusHistory(editingRecord._id, formData);
         setSuccess('Status history record updated successfully!');
       } else {
-        const response = await createAppointmentStatusHistory(submitData);
-        setSuccess(response.message || 'Status history record created and appointment status updated!');
+        // New status changes move the appointment through its lifecycle, recorded as the current user
+        const appointmentResponse = await getAppointment(formData.appointment_id);
+        await changeAppointmentStatus(appointmentResponse.data, formData.new_status, { reason: formData.reason.trim() });
+        setSuccess('Appointment status updated and recorded in the history!');
       }
       
       handleCloseModal();
@@ -167,14 +174,6 @@ const AppointmentStatusHistoryPage = () => {
     return `status-badge status-${status}`;
   };
 
-  const appointmentStatuses = [
-    { value: 'scheduled', label: 'Scheduled' },
-    { value: 'confirmed', label: 'Confirmed' },
-    { value: 'completed', label: 'Completed' },
-    { value: 'cancelled', label: 'Cancelled' },
-    { value: 'no-show', label: 'No Show' }
-  ];
-
   const getAppointmentInfo = (appointment) => {
     if (!appointment) return 'N/A';
     if (typeof appointment === 'object') {
@@ -191,9 +190,11 @@ const AppointmentStatusHistoryPage = () => {
     <div className="appointment-status-history-page">
       <div className="history-header">
         <h1>Appointment Status History</h1>
-        <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-          + Create Status Change
-        </button>
+        {canCreate && (
+          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+            + Create Status Change
+          </button>
+        )}
       </div>
 
       {/* Filters */}
@@ -240,16 +241,16 @@ const AppointmentStatusHistoryPage = () => {
                 <div className="history-main-info">
                   <div className="status-change">
                     <span className={getStatusClass(record.old_status)}>
-                      {record.old_status}
+                      {getStatusLabel(record.old_status)}
                     </span>
                     <span className="status-arrow">→</span>
                     <span className={getStatusClass(record.new_status)}>
-                      {record.new_status}
+                      {getStatusLabel(record.new_status)}
                     </span>
                   </div>
                   <div className="history-meta">
                     <span className="changed-by">
-                      Changed by: <strong>{record.changed_by}</strong>
+                      Changed by: <strong>{record.changed_by_name || record.changed_by}</strong>
                     </span>
                     <span className="changed-at">
                       {formatDate(record.changed_at)}
@@ -269,21 +270,31 @@ const AppointmentStatusHistoryPage = () => {
                     <span className="detail-value">{getAppointmentInfo(record.appointment_id)}</span>
                   </div>
                 )}
+                {record.reason && (
+                  <div className="detail-item">
+                    <span className="detail-label">Reason:</span>
+                    <span className="detail-value">{record.reason}</span>
+                  </div>
+                )}
               </div>
               
               <div className="history-actions">
-                <button
-                  className="btn btn-sm btn-edit"
-                  onClick={() => handleOpenModal(record)}
-                >
-                  Edit
-                </button>
-                <button
-                  className="btn btn-sm btn-delete"
-                  onClick={() => handleDelete(record._id)}
-                >
-                  Delete
-                </button>
+                {canUpdate && (
+                  <button
+                    className="btn btn-sm btn-edit"
+                    onClick={() => handleOpenModal(record)}
+                  >
+                    Edit
+                  </button>
+                )}
+                {canDelete && (
+                  <button
+                    className="btn btn-sm btn-delete"
+                    onClick={() => handleDelete(record._id)}
+                  >
+                    Delete
+                  </button>
+                )}
               </div>
             </div>
           ))}
@@ -313,7 +324,8 @@ const AppointmentStatusHistoryPage = () => {
                 />
                 {!editingRecord && (
                   <small className="form-hint">
-                    Note: Creating a new status change will automatically update the appointment status
+                    Note: Creating a new status change will automatically update the appointment status.
+                    Only changes allowed by the appointment lifecycle are accepted.
                   </small>
                 )}
               </div>
@@ -328,7 +340,7 @@ const AppointmentStatusHistoryPage = () => {
                     onChange={handleInputChange}
                     required
                   >
-                    {appointmentStatuses.map(status => (
+                    {APPOINTMENT_STATUSES.map(status => (
                       <option key={status.value} value={status.value}>
                         {status.label}
                       </option>
@@ -346,7 +358,7 @@ const AppointmentStatusHistoryPage = () => {
                   onChange={handleInputChange}
                   required
                 >
-                  {appointmentStatuses.map(status => (
+                  {APPOINTMENT_STATUSES.map(status => (
                     <option key={status.value} value={status.value}>
                       {status.label}
                     </option>
@@ -354,16 +366,30 @@ const AppointmentStatusHistoryPage = () => {
                 </select>
               </div>
 
+              {editingRecord && (
+                <div className="form-group">
+                  <label htmlFor="changed_by">Changed By *</label>
+                  <input
+                    type="text"
+                    id="changed_by"
+                    name="changed_by"
+                    value={formData.changed_by}
+                    onChange={handleInputChange}
+                    required
+                    placeholder="Enter name or user ID"
+                  />
+                </div>
+              )}
+
               <div className="form-group">
-                <label htmlFor="changed_by">Changed By *</label>
-                <input
-                  type="text"
-                  id="changed_by"
-                  name="changed_by"
-                  value={formData.changed_by}
+                <label htmlFor="reason">Reason</label>
+                <textarea
+                  id="reason"
+                  name="reason"
+                  value={formData.reason}
                   onChange={handleInputChange}
-                  required
-                  placeholder="Enter name or user ID"
+                  rows="2"
+                  placeholder="Why did the status change?"
                 />
               </div>
 
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import {
   getAppointments,
   createAppointment,
@@ -11,12 +12,31 @@ import { getPatients, createPatient } from '../services/patientService';
 import { getDoctors, getDoctor } from '../services/doctorService';
 import { getDepartments } from '../services/departmentService';
 import { createNotification } from '../services/notificationService';
+import { assertBookable, BookingConflictError } from '../services/bookingService';
+import { changeAppointmentStatus } from '../services/appointmentStatusHistoryService';
+import { offerFreedSlots } from '../services/waitlistService';
+import { checkInPatient } from '../services/queueService';
 import { getCurrentDoctorId, isDoctor } from '../utils/doctorUtils';
+import { APPOINTMENT_STATUSES, canTransition, getStatusLabel, getStatusOptions } from '../utils/appointmentStatus';
+import { isToday } from '../utils/queue';
 import ErrorDisplay from '../components/ErrorDisplay';
-import ReportButton from '../components/ReportButton';
+import DataTable from '../components/DataTable';
+import SlotPicker from '../components/SlotPicker';
+import BookingConflictNotice from '../components/BookingConflictNotice';
+import AttendanceFlag from '../components/AttendanceFlag';
+import Pagination from '../components/Pagination';
+import usePaginationParams from '../hooks/usePaginationParams';
+import useAttendanceRecords from '../hooks/useAttendanceRecords';
+import { paginateLocally, toPageResult } from '../utils/pagination';
+import { can } from '../utils/accessControl';
 import './AppointmentsPage.css';
 
 const AppointmentsPage = () => {
+  const canCreate = can('appointments', 'create');
+  const canUpdate = can('appointments', 'update');
+  const canDelete = can('appointments', 'delete');
+  const attendance = useAttendanceRecords();
+
   const [appointments, setAppointments] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -44,49 +64,75 @@ const AppointmentsPage = () => {
     gender: '',
     address: ''
   });
+  // Recorded in the status history when an edit changes the status
+  const [statusReason, setStatusReason] = useState('');
   
-  // Filter state
-  const [filters, setFilters] = useState({
-    status: '',
-    date: '',
-    doctor_id: '',
-    patient_id: ''
+  // Paging, sorting and filters live in the URL
+  const {
+    page, limit, sort, filters,
+    setPage, setLimit, setSort, setFilter, resetParams
+  } = usePaginationParams({
+    defaultSort: '-appointment_date',
+    filterKeys: ['status', 'date', 'doctor_id', 'patient_id']
   });
+  const { status: statusFilter, date: dateFilter, doctor_id: doctorFilter, patient_id: patientFilter } = filters;
+  const [pageInfo, setPageInfo] = useState({ total: 0, totalPages: 1 });
   
   // Dropdown data
   const [patients, setPatients] = useState([]);
   const [doctors, setDoctors] = useState([]);
   const [departments, setDepartments] = useState([]);
+  // Bumped to reload the slot picker after a slot turns out to be taken
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+  const [bookingConflict, setBookingConflict] = useState(null);
 
   const fetchAppointments = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
-      let response;
+      const query = { page, limit, sort };
+      let result;
       
       // If user is a doctor, only fetch their appointments
       if (isDoctor()) {
         const doctorId = await getCurrentDoctorId();
-        if (doctorId) {
-          response = await getAppointmentsByDoctor(doctorId);
-        } else {
+        if (!doctorId) {
           setError('Doctor profile not found. Please contact administrator.');
           setAppointments([]);
-          setLoading(false);
+          setPageInfo({ total: 0, totalPages: 1 });
           return;
         }
+        const response = await getAppointmentsByDoctor(doctorId);
+        result = paginateLocally(response.data || [], {
+          ...query,
+          filter: appointment =>
+            (!statusFilter || appointment.status === statusFilter) &&
+            (!dateFilter || (appointment.appointment_date || '').startsWith(dateFilter)) &&
+            (!patientFilter || (appointment.patient_id?._id || appointment.patient_id) === patientFilter)
+        });
       } else {
         // Admin can see all appointments or filtered appointments
-        response = await getAppointments(filters);
+        const response = await getAppointments({
+          ...query,
+          status: statusFilter,
+          date: dateFilter,
+          doctor_id: doctorFilter,
+          patient_id: patientFilter
+        });
+        result = toPageResult(response, query);
       }
       
-      setAppointments(response.data || []);
+      setAppointments(result.items);
+      setPageInfo({ total: result.total, totalPages: result.totalPages });
+      if (result.page !== page) {
+        setPage(result.page);
+      }
     } catch (err) {
       setError(err.message || 'Failed to fetch appointments');
     } finally {
       setLoading(false);
     }
-  }, [filters]);
+  }, [page, limit, sort, statusFilter, dateFilter, doctorFilter, patientFilter, setPage]);
 
   const fetchPatients = useCallback(async () => {
     try {
@@ -146,16 +192,24 @@ const AppointmentsPage = () => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Slots belong to one doctor: pick again after switching
+      ...(name === 'doctor_id' ? { appointment_date: '', appointment_time: '' } : {})
     }));
   };
 
-  const handleFilterChange = (e) => {
-    const { name, value } = e.target;
-    setFilters(prev => ({
+  const handleSlotChange = (slot) => {
+    setFormData(prev => ({
       ...prev,
-      [name]: value || ''
+      appointment_date: slot.date,
+      appointment_time: slot.time
     }));
+    setBookingConflict(null);
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilter(name, value || '');
   };
 
   const handleOpenModal = async (appointment = null) => {
@@ -210,7 +264,9 @@ const AppointmentsPage = () => {
         address: ''
       });
     }
+    setStatusReason('');
     setShowModal(true);
+    setBookingConflict(null);
     setError(null);
     setSuccess(null);
   };
@@ -237,6 +293,8 @@ const AppointmentsPage = () => {
       gender: '',
       address: ''
     });
+    setStatusReason('');
+    setBookingConflict(null);
     setError(null);
     setSuccess(null);
   };
@@ -253,15 +311,30 @@ const AppointmentsPage = () => {
     e.preventDefault();
     setError(null);
     setSuccess(null);
+    setBookingConflict(null);
     
-    // Validate time format
-    const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-    if (formData.appointment_time && !timeRegex.test(formData.appointment_time)) {
-      setError('Please provide valid time format (HH:MM)');
+    if (!formData.appointment_date || !formData.appointment_time) {
+      setError('Please pick an available time slot');
       return;
     }
     
     try {
+      // Check for conflicts unless an edit keeps the same patient, doctor, date and time
+      const originalDate = editingAppointment?.appointment_date
+        ? new Date(editingAppointment.appointment_date).toISOString().split('T')[0]
+        : '';
+      const bookingChanged = !editingAppointment ||
+        formData.patient_id !== (editingAppointment.patient_id?._id || editingAppointment.patient_id) ||
+        formData.doctor_id !== (editingAppointment.doctor_id?._id || editingAppointment.doctor_id) ||
+        formData.appointment_date !== originalDate ||
+        formData.appointment_time !== editingAppointment.appointment_time;
+      if (bookingChanged) {
+        await assertBookable(
+          { ...formData, patient_id: patientType === 'new' && !editingAppointment ? '' : formData.patient_id },
+          { excludeAppointmentId: editingAppointment?._id }
+        );
+      }
+      
       let patientId = formData.patient_id;
       
       // If creating new patient, create patient first
@@ -285,7 +358,18 @@ const AppointmentsPage = () => {
       }
       
       if (editingAppointment) {
-        await updateAppointment(editingAppointment._id, submitData);
+        // Status changes go through the lifecycle so they are checked and recorded in the status history
+        const { status, ...appointmentData } = submitData;
+        await updateAppointment(editingAppointment._id, appointmentData);
+        if (status !== (editingAppointment.status || 'scheduled')) {
+          const updatedAppointment = { ...editingAppointment, ...appointmentData };
+          // Arrivals today get a queue number
+          if (status === 'checked-in' && isToday(updatedAppointment)) {
+            await checkInPatient(updatedAppointment, { reason: statusReason.trim() });
+          } else {
+            await changeAppointmentStatus(editingAppointment, status, { reason: statusReason.trim() });
+          }
+        }
         setSuccess('Appointment updated successfully!');
       } else {
         const appointmentResponse = await createAppointment(submitData);
@@ -307,11 +391,21 @@ const AppointmentsPage = () => {
       handleCloseModal();
       fetchAppointments();
     } catch (err) {
+      if (err instanceof BookingConflictError) {
+        setBookingConflict(err);
+        setSlotRefreshKey(key => key + 1);
+        return;
+      }
       // Pass the full error object to show detailed validation errors
       setError(err);
     }
   };
 
+  // Deleting appointments frees their slots for patients on the waitlist
+  const offerToWaitlist = () => {
+    offerFreedSlots().catch(err => console.error('Error offering freed slots to the waitlist:', err));
+  };
+
   const handleDelete = async (appointmentId) => {
     if (!window.confirm('Are you sure you want to delete this appointment?')) {
       return;
@@ -324,6 +418,7 @@ const AppointmentsPage = () => {
       await deleteAppointment(appointmentId);
       setSuccess('Appointment deleted successfully!');
       fetchAppointments();
+      offerToWaitlist();
     } catch (err) {
       // Pass the full error object to show detailed validation errors
       setError(err);
@@ -430,33 +525,161 @@ const AppointmentsPage = () => {
     return `status-badge status-${status}`;
   };
 
-  const appointmentStatuses = [
-    { value: 'scheduled', label: 'Scheduled' },
-    { value: 'confirmed', label: 'Confirmed' },
-    { value: 'completed', label: 'Completed' },
-    { value: 'cancelled', label: 'Cancelled' },
-    { value: 'no-show', label: 'No Show' }
+  // Appointments whose status does not allow the change are skipped and reported
+  const handleBulkStatus = async (selectedAppointments, status) => {
+    setError(null);
+    setSuccess(null);
+    const allowed = selectedAppointments.filter(appointment => canTransition(appointment.status, status));
+    const skipped = selectedAppointments.length - allowed.length;
+    try {
+      await Promise.all(allowed.map(appointment =>
+        changeAppointmentStatus(appointment, status, { reason: 'Bulk update from the appointments list' })
+      ));
+      setSuccess(`${allowed.length} appointment(s) marked as ${getStatusLabel(status)}.` +
+        (skipped > 0 ? ` ${skipped} skipped: their status cannot change to ${getStatusLabel(status)}.` : ''));
+    } catch (err) {
+      setError(err);
+    }
+    fetchAppointments();
+  };
+
+  const handleBulkDelete = async (selectedAppointments) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await Promise.all(selectedAppointments.map(appointment => deleteAppointment(appointment._id)));
+      setSuccess(`${selectedAppointments.length} appointment(s) deleted successfully!`);
+      offerToWaitlist();
+    } catch (err) {
+      setError(err);
+    }
+    fetchAppointments();
+  };
+
+  const bulkActions = [
+    ...(canUpdate ? [
+      { label: 'Mark Confirmed', className: 'btn-edit', onClick: rows => handleBulkStatus(rows, 'confirmed') },
+      { label: 'Mark Cancelled', className: 'btn-secondary', confirm: 'Cancel {count} selected appointment(s)?', onClick: rows => handleBulkStatus(rows, 'cancelled') }
+    ] : []),
+    ...(canDelete ? [
+      { label: 'Delete Selected', className: 'btn-delete', confirm: 'Delete {count} selected appointment(s)?', onClick: handleBulkDelete }
+    ] : [])
   ];
 
-  // Get today's date in YYYY-MM-DD format for min date
-  const today = new Date().toISOString().split('T')[0];
+  const columns = [
+    {
+      key: 'patient',
+      label: 'Patient',
+      sortKey: 'patient_id.last_name',
+      className: 'patient-cell',
+      value: appointment => getPatientName(appointment.patient_id),
+      render: appointment => (
+        <>
+          {getPatientName(appointment.patient_id)}
+          {appointment.patient_id && typeof appointment.patient_id === 'object' && (
+            <div className="patient-email">{appointment.patient_id.email}</div>
+          )}
+        </>
+      )
+    },
+    {
+      key: 'doctor',
+      label: 'Doctor',
+      sortKey: 'doctor_id.last_name',
+      className: 'doctor-cell',
+      value: appointment => getDoctorName(appointment.doctor_id),
+      render: appointment => (
+        <>
+          {getDoctorName(appointment.doctor_id)}
+          {appointment.doctor_id && typeof appointment.doctor_id === 'object' && appointment.doctor_id.specialization && (
+            <div className="doctor-specialization">{appointment.doctor_id.specialization}</div>
+          )}
+        </>
+      )
+    },
+    {
+      key: 'department',
+      label: 'Department',
+      sortKey: 'department_id.department_name',
+      value: appointment => appointment.department_id?.department_name || 'N/A'
+    },
+    {
+      key: 'appointment_date',
+      label: 'Date & Time',
+      filterable: false,
+      render: appointment => (
+        <div className="datetime-cell">
+          <div>{formatDate(appointment.appointment_date)}</div>
+          <div className="time">{appointment.appointment_time}</div>
+        </div>
+      ),
+      exportValue: appointment => `${formatDate(appointment.appointment_date)} ${appointment.appointment_time || ''}`.trim()
+    },
+    {
+      key: 'reason',
+      label: 'Reason',
+      className: 'reason-cell',
+      render: appointment => appointment.reason || <span className="text-muted">No reason provided</span>
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      filterOptions: APPOINTMENT_STATUSES,
+      render: appointment => (
+        <span className={getStatusClass(appointment.status)}>
+          {getStatusLabel(appointment.status)}
+        </span>
+      ),
+      exportValue: appointment => getStatusLabel(appointment.status)
+    },
+    {
+      key: 'createdAt',
+      label: 'Created At',
+      filterable: false,
+      render: appointment => formatDate(appointment.createdAt),
+      exportValue: appointment => formatDate(appointment.createdAt)
+    },
+    {
+      key: 'actions',
+      label: 'Actions',
+      sortable: false,
+      filterable: false,
+      hideable: false,
+      exportable: false,
+      render: appointment => (
+        <div className="action-buttons">
+          {canUpdate && (
+            <button
+              className="btn btn-sm btn-edit"
+              onClick={() => handleOpenModal(appointment)}
+            >
+              Edit
+            </button>
+          )}
+          {canDelete && (
+            <button
+              className="btn btn-sm btn-delete"
+              onClick={() => handleDelete(appointment._id)}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      )
+    }
+  ];
 
   return (
     <div className="appointments-page">
       <div className="appointments-header">
         <h1>Appointment Management</h1>
         <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
-          {appointments.length > 0 && (
-            <ReportButton
-              data={appointments}
-              entityType="appointments"
-              title="Appointments Report"
-              filters={filters}
-            />
+          <Link to="/calendar" className="btn btn-secondary">Calendar View</Link>
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + Create Appointment
+            </button>
           )}
-          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-            + Create Appointment
-          </button>
         </div>
       </div>
 
@@ -471,7 +694,7 @@ const AppointmentsPage = () => {
             onChange={handleFilterChange}
           >
             <option value="">All</option>
-            {appointmentStatuses.map(status => (
+            {APPOINTMENT_STATUSES.map(status => (
               <option key={status.value} value={status.value}>
                 {status.label}
               </option>
@@ -527,7 +750,7 @@ const AppointmentsPage = () => {
         
         <button 
           className="btn btn-secondary" 
-          onClick={() => setFilters({ status: '', date: '', doctor_id: '', patient_id: '' })}
+          onClick={resetParams}
         >
           Clear Filters
         </button>
@@ -545,77 +768,30 @@ const AppointmentsPage = () => {
       {/* Appointments Table */}
       {loading ? (
         <div className="loading">Loading appointments...</div>
-      ) : appointments.length === 0 ? (
-        <div className="no-data">No appointments found</div>
       ) : (
-        <div className="table-container">
-          <table className="appointments-table">
-            <thead>
-              <tr>
-                <th>Patient</th>
-                <th>Doctor</th>
-                <th>Department</th>
-                <th>Date & Time</th>
-                <th>Reason</th>
-                <th>Status</th>
-                <th>Created At</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {appointments.map(appointment => (
-                <tr key={appointment._id}>
-                  <td className="patient-cell">
-                    {getPatientName(appointment.patient_id)}
-                    {appointment.patient_id && typeof appointment.patient_id === 'object' && (
-                      <div className="patient-email">{appointment.patient_id.email}</div>
-                    )}
-                  </td>
-                  <td className="doctor-cell">
-                    {getDoctorName(appointment.doctor_id)}
-                    {appointment.doctor_id && typeof appointment.doctor_id === 'object' && appointment.doctor_id.specialization && (
-                      <div className="doctor-specialization">{appointment.doctor_id.specialization}</div>
-                    )}
-                  </td>
-                  <td>
-                    {appointment.department_id?.department_name || 'N/A'}
-                  </td>
-                  <td>
-                    <div className="datetime-cell">
-                      <div>{formatDate(appointment.appointment_date)}</div>
-                      <div className="time">{appointment.appointment_time}</div>
-                    </div>
-                  </td>
-                  <td className="reason-cell">
-                    {appointment.reason || <span className="text-muted">No reason provided</span>}
-                  </td>
-                  <td>
-                    <span className={getStatusClass(appointment.status)}>
-                      {appointment.status}
-                    </span>
-                  </td>
-                  <td>{formatDate(appointment.createdAt)}</td>
-                  <td>
-                    <div className="action-buttons">
-                      <button
-                        className="btn btn-sm btn-edit"
-                        onClick={() => handleOpenModal(appointment)}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        className="btn btn-sm btn-delete"
-                        onClick={() => handleDelete(appointment._id)}
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+        <DataTable
+          columns={columns}
+          data={appointments}
+          sort={sort}
+          onSortChange={setSort}
+          bulkActions={bulkActions}
+          storageKey="appointments"
+          tableClassName="appointments-table"
+          emptyMessage="No appointments found"
+          report={{ entityType: 'appointments', title: 'Appointments Report', filters }}
+        />
+      )}
+
+      {!loading && (
+        <Pagination
+          page={page}
+          totalPages={pageInfo.totalPages}
+          total={pageInfo.total}
+          limit={limit}
+          onPageChange={setPage}
+          onLimitChange={setLimit}
+          itemLabel="appointments"
+        />
       )}
 
       {/* Modal for Create/Edit */}
@@ -672,10 +848,11 @@ const AppointmentsPage = () => {
                       <option value="">Select a patient</option>
                       {patients.map(patient => (
                         <option key={patient._id} value={patient._id}>
-                          {patient.first_name} {patient.last_name} ({patient.email})
+                          {patient.first_name} {patient.last_name} ({patient.email}){attendance[patient._id]?.flagged ? ' ⚠️' : ''}
                         </option>
                       ))}
                     </select>
+                    <AttendanceFlag summary={attendance[formData.patient_id]} />
                   </div>
                 </div>
               ) : (
@@ -827,33 +1004,16 @@ const AppointmentsPage = () => {
                 </select>
               </div>
 
-              <div className="form-row">
-                <div className="form-group">
-                  <label htmlFor="appointment_date">Appointment Date *</label>
-                  <input
-                    type="date"
-                    id="appointment_date"
-                    name="appointment_date"
-                    value={formData.appointment_date}
-                    onChange={handleInputChange}
-                    required
-                    min={today}
-                  />
-                  <small className="form-hint">Cannot be in the past</small>
-                </div>
-
-                <div className="form-group">
-                  <label htmlFor="appointment_time">Appointment Time *</label>
-                  <input
-                    type="time"
-                    id="appointment_time"
-                    name="appointment_time"
-                    value={formData.appointment_time}
-                    onChange={handleInputChange}
-                    required
-                  />
-                  <small className="form-hint">Format: HH:MM (24-hour)</small>
-                </div>
+              <div className="form-group">
+                <SlotPicker
+                  doctorId={formData.doctor_id}
+                  date={formData.appointment_date}
+                  time={formData.appointment_time}
+                  onChange={handleSlotChange}
+                  excludeAppointmentId={editingAppointment?._id}
+                  refreshKey={slotRefreshKey}
+                />
+                <BookingConflictNotice conflict={bookingConflict} onPickSlot={handleSlotChange} />
               </div>
 
               <div className="form-group">
@@ -877,14 +1037,32 @@ const AppointmentsPage = () => {
                   onChange={handleInputChange}
                   required
                 >
-                  {appointmentStatuses.map(status => (
+                  {getStatusOptions(editingAppointment ? editingAppointment.status || 'scheduled' : '').map(status => (
                     <option key={status.value} value={status.value}>
                       {status.label}
                     </option>
                   ))}
                 </select>
+                {editingAppointment && (
+                  <small className="form-hint">
+                    Only the next steps of the appointment lifecycle are offered
+                  </small>
+                )}
               </div>
 
+              {editingAppointment && formData.status !== (editingAppointment.status || 'scheduled') && (
+                <div className="form-group">
+                  <label htmlFor="status_reason">Reason for Status Change</label>
+                  <textarea
+                    id="status_reason"
+                    value={statusReason}
+                    onChange={(e) => setStatusReason(e.target.value)}
+                    rows="2"
+                    placeholder="Recorded in the status history"
+                  />
+                </div>
+              )}
+
               {error && <ErrorDisplay error={error} />}
 
               <div className="modal-actions">
@@ -2,25 +2,47 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { getAuditLogs, getAuditLogsByUser, getAuditLogsByEntityType, testAuditLogsConnection } from '../services/auditLogService';
 import { getUsers } from '../services/userService';
 import ErrorDisplay from '../components/ErrorDisplay';
+import DataTable from '../components/DataTable';
+import Pagination from '../components/Pagination';
+import usePaginationParams from '../hooks/usePaginationParams';
+import { toPageResult } from '../utils/pagination';
 import './AuditLogsPage.css';
 
+// Fields matched by the search box when the backend returns unpaged logs
+const AUDIT_LOG_SEARCH_FIELDS = ['description', 'action_type', 'entity_type', 'ip_address', 'user_id.name', 'user_id.email'];
+
 const AuditLogsPage = () => {
   const [auditLogs, setAuditLogs] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isMonitoring, setIsMonitoring] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
   const [lastUpdate, setLastUpdate] = useState(null);
   const monitoringIntervalRef = useRef(null);
+  const fetchAuditLogsRef = useRef(null);
   
-  // Filter state
-  const [filters, setFilters] = useState({
-    user_id: '',
-    action_type: '',
-    entity_type: '',
-    start_date: '',
-    end_date: ''
+  // Paging, sorting, search and filters live in the URL
+  const {
+    page, limit, sort, search, filters,
+    setPage, setLimit, setSort, setSearch, setFilter, resetParams
+  } = usePaginationParams({
+    defaultSort: '-createdAt',
+    filterKeys: ['user_id', 'action_type', 'entity_type', 'start_date', 'end_date']
   });
+  const { user_id, action_type, entity_type, start_date, end_date } = filters;
+  const [searchQuery, setSearchQuery] = useState(search);
+  const [pageInfo, setPageInfo] = useState({ total: 0, totalPages: 1 });
+
+  // Keep the search box in sync when the URL changes (back button, shared link)
+  useEffect(() => {
+    setSearchQuery(search);
+  }, [search]);
+
+  // Debounce typing by 500ms before searching on the server
+  useEffect(() => {
+    if (searchQuery.trim() === search) return undefined;
+    const timeoutId = setTimeout(() => setSearch(searchQuery), 500);
+    return () => clearTimeout(timeoutId);
+  }, [searchQuery, search, setSearch]);
   
   // Dropdown data
   const [users, setUsers] = useState([]);
@@ -77,34 +99,35 @@ const AuditLogsPage = () => {
     return () => clearTimeout(timer);
   }, []);
 
-  const fetchAuditLogs = useCallback(async () => {
-    setLoading(true);
+  // silent: background refresh while monitoring, keeps the table on screen
+  const fetchAuditLogs = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+    }
     setError(null);
     try {
+      const query = { page, limit, sort, search, searchFields: AUDIT_LOG_SEARCH_FIELDS };
+      const hasOtherFilters = (...values) => values.some(Boolean);
       let response;
       
-      // If specific filters are set, use specialized endpoints
-      if (filters.user_id && !filters.action_type && !filters.entity_type && !filters.start_date && !filters.end_date) {
-        response = await getAuditLogsByUser(filters.user_id);
-      } else if (filters.entity_type && !filters.user_id && !filters.action_type && !filters.start_date && !filters.end_date) {
-        response = await getAuditLogsByEntityType(filters.entity_type);
+      // If specific filters are set, use specialized endpoints (these return every match,
+      // so the page is cut here)
+      if (user_id && !search && !hasOtherFilters(action_type, entity_type, start_date, end_date)) {
+        response = await getAuditLogsByUser(user_id);
+      } else if (entity_type && !search && !hasOtherFilters(user_id, action_type, start_date, end_date)) {
+        response = await getAuditLogsByEntityType(entity_type);
       } else {
         // Use general endpoint with filters
-        response = await getAuditLogs(filters);
+        response = await getAuditLogs({ ...query, user_id, action_type, entity_type, start_date, end_date });
       }
       
-      // Backend returns { success: true, data: [...], count, total, ... }
-      // Handle both old format (array) and new format (object with data property)
-      let logsData = [];
-      if (Array.isArray(response)) {
-        logsData = response;
-      } else if (response && response.success && Array.isArray(response.data)) {
-        logsData = response.data;
-        console.log(`✅ Successfully loaded ${logsData.length} audit logs (Total: ${response.total || logsData.length})`);
-      } else if (response && Array.isArray(response.data)) {
-        logsData = response.data;
-      } else if (Array.isArray(response)) {
-        logsData = response;
+      // Backend returns { success: true, data: [...], pagination: { total, ... } }
+      // Older backends return the whole list, which is paged here
+      const result = toPageResult(response, query);
+      const logsData = result.items;
+      setPageInfo({ total: result.total, totalPages: result.totalPages });
+      if (result.page !== page) {
+        setPage(result.page);
       }
       
       setAuditLogs(logsData);
@@ -150,9 +173,10 @@ const AuditLogsPage = () => {
     } finally {
       setLoading(false);
     }
-  }, [filters]);
+  }, [page, limit, sort, search, user_id, action_type, entity_type, start_date, end_date, setPage]);
 
   useEffect(() => {
+    fetchAuditLogsRef.current = fetchAuditLogs;
     fetchAuditLogs();
   }, [fetchAuditLogs]);
 
@@ -168,8 +192,9 @@ const AuditLogsPage = () => {
     }
 
     // Fetch logs every 5 seconds when monitoring is enabled
+    // The ref always holds the fetch for the current page and filters
     monitoringIntervalRef.current = setInterval(() => {
-      fetchAuditLogs();
+      fetchAuditLogsRef.current({ silent: true });
     }, 5000);
 
     return () => {
@@ -178,25 +203,16 @@ const AuditLogsPage = () => {
         monitoringIntervalRef.current = null;
       }
     };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isMonitoring]);
 
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
-    setFilters(prev => ({
-      ...prev,
-      [name]: value || ''
-    }));
+    setFilter(name, value || '');
   };
 
   const handleClearFilters = () => {
-    setFilters({
-      user_id: '',
-      action_type: '',
-      entity_type: '',
-      start_date: '',
-      end_date: ''
-    });
+    setSearchQuery('');
+    resetParams();
   };
 
   const formatDateTime = (dateString) => {
@@ -240,54 +256,75 @@ const AuditLogsPage = () => {
   };
 
   const hasActiveFilters = () => {
-    return filters.user_id || filters.action_type || filters.entity_type || filters.start_date || filters.end_date;
+    return search || user_id || action_type || entity_type || start_date || end_date || sort !== '-createdAt';
   };
 
   const toggleMonitoring = () => {
     setIsMonitoring(!isMonitoring);
   };
 
-  const handleExport = () => {
-    const csvContent = [
-      ['Timestamp', 'User', 'Action', 'Entity Type', 'Entity ID', 'Description', 'IP Address'],
-      ...auditLogs.map(log => [
-        formatDateTime(log.timestamp || log.createdAt || log.created_at),
-        getUserName(log.user_id || log.user),
-        log.action_type || log.action || 'N/A',
-        log.entity_type || log.entity || 'N/A',
-        log.entity_id ? (log.entity_id._id || log.entity_id) : 'N/A',
-        log.description || log.message || log.details || 'N/A',
-        log.ip_address || log.ip || 'N/A'
-      ])
-    ].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `audit-logs-${new Date().toISOString().split('T')[0]}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
-  };
+  const formatEntityType = (log) =>
+    (log.entity_type || log.entity || 'N/A').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
 
-  // Filter logs by search query
-  const filteredLogs = auditLogs.filter(log => {
-    if (!searchQuery.trim()) return true;
-    const query = searchQuery.toLowerCase();
-    const user = getUserName(log.user_id || log.user).toLowerCase();
-    const action = (log.action_type || log.action || '').toLowerCase();
-    const entity = (log.entity_type || log.entity || '').toLowerCase();
-    const description = (log.description || log.message || log.details || '').toLowerCase();
-    const ip = (log.ip_address || log.ip || '').toLowerCase();
-    
-    return user.includes(query) || 
-           action.includes(query) || 
-           entity.includes(query) || 
-           description.includes(query) ||
-           ip.includes(query);
-  });
+  const columns = [
+    {
+      key: 'createdAt',
+      label: 'Timestamp',
+      className: 'timestamp-cell',
+      filterable: false,
+      value: log => log.timestamp || log.createdAt || log.created_at || log.updatedAt,
+      render: log => formatDateTime(log.timestamp || log.createdAt || log.created_at || log.updatedAt),
+      exportValue: log => formatDateTime(log.timestamp || log.createdAt || log.created_at || log.updatedAt)
+    },
+    {
+      key: 'user',
+      label: 'User',
+      sortKey: 'user_id.name',
+      className: 'user-cell',
+      value: log => getUserName(log.user_id || log.user)
+    },
+    {
+      key: 'action_type',
+      label: 'Action',
+      filterOptions: actionTypes.map(action => ({ value: action.value.toUpperCase(), label: action.label })),
+      value: log => (log.action_type || log.action || 'N/A').toUpperCase(),
+      render: log => (
+        <span className={`action-badge ${getActionClass(log.action_type || log.action)}`}>
+          {(log.action_type || log.action || 'N/A').toUpperCase()}
+        </span>
+      )
+    },
+    {
+      key: 'entity_type',
+      label: 'Entity Type',
+      value: formatEntityType,
+      render: log => <span className="entity-badge">{formatEntityType(log)}</span>
+    },
+    {
+      key: 'entity_id',
+      label: 'Entity ID',
+      className: 'entity-id-cell',
+      sortable: false,
+      value: log => (log.entity_id ? String(log.entity_id._id || log.entity_id.id || log.entity_id) : 'N/A'),
+      render: log => (log.entity_id ? (
+        typeof log.entity_id === 'object'
+          ? (log.entity_id._id || log.entity_id.id || JSON.stringify(log.entity_id)).substring(0, 8) + '...'
+          : String(log.entity_id).substring(0, 8) + '...'
+      ) : 'N/A')
+    },
+    {
+      key: 'description',
+      label: 'Description',
+      className: 'description-cell',
+      value: log => log.description || log.message || log.details || 'N/A'
+    },
+    {
+      key: 'ip_address',
+      label: 'IP Address',
+      className: 'ip-cell',
+      value: log => log.ip_address || log.ip || 'N/A'
+    }
+  ];
 
   return (
     <div className="audit-logs-page">
@@ -329,12 +366,6 @@ const AuditLogsPage = () => {
               </svg>
               <span>{isMonitoring ? 'Stop Monitoring' : 'Start Monitoring'}</span>
             </button>
-            <button className="btn btn-export" onClick={handleExport}>
-              <svg className="export-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M21 15V19C21 19.5304 20.7893 20.0391 20.4142 20.4142C20.0391 20.7893 19.5304 21 19 21H5C4.46957 21 3.96086 20.7893 3.58579 20.4142C3.21071 20.0391 3 19.5304 3 19V15M7 10L12 15M12 15L17 10M12 15V3" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
-              <span>Export CSV</span>
-            </button>
           </div>
         </div>
       </div>
@@ -478,73 +509,43 @@ app.use('/api/audit-logs', auditLogRoutes);</pre>
           </svg>
           <span>Loading audit logs...</span>
         </div>
-      ) : filteredLogs.length === 0 ? (
+      ) : auditLogs.length === 0 && !hasActiveFilters() ? (
         <div className="no-data">
           <svg className="no-data-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
             <path d="M19 3H5C3.89 3 3 3.9 3 5V19C3 20.1 3.89 21 5 21H19C20.1 21 21 20.1 21 19V5C21 3.9 20.1 3 19 3ZM19 19H5V8H19V19ZM17 10H7V12H17V10ZM15 14H7V16H15V14Z" fill="currentColor"/>
           </svg>
-          <p>
-            {searchQuery 
-              ? 'No audit logs found matching your search query' 
-              : hasActiveFilters() 
-                ? 'No audit logs found matching your filters' 
-                : 'No audit logs found'}
-          </p>
+          <p>No audit logs found</p>
         </div>
       ) : (
-        <div className="table-container">
+        <>
           <div className="table-header-info">
-            <span className="log-count">Showing {filteredLogs.length} of {auditLogs.length} logs</span>
+            <span className="log-count">Showing {auditLogs.length} of {pageInfo.total} logs</span>
           </div>
-          <table className="audit-logs-table">
-            <thead>
-              <tr>
-                <th>Timestamp</th>
-                <th>User</th>
-                <th>Action</th>
-                <th>Entity Type</th>
-                <th>Entity ID</th>
-                <th>Description</th>
-                <th>IP Address</th>
-              </tr>
-            </thead>
-            <tbody>
-              {filteredLogs.map(log => (
-                <tr key={log._id}>
-                  <td className="timestamp-cell">
-                    {formatDateTime(log.timestamp || log.createdAt || log.created_at || log.updatedAt)}
-                  </td>
-                  <td className="user-cell">
-                    {getUserName(log.user_id || log.user)}
-                  </td>
-                  <td>
-                    <span className={`action-badge ${getActionClass(log.action_type || log.action)}`}>
-                      {(log.action_type || log.action || 'N/A').toUpperCase()}
-                    </span>
-                  </td>
-                  <td>
-                    <span className="entity-badge">
-                      {(log.entity_type || log.entity || 'N/A').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
-                    </span>
-                  </td>
-                  <td className="entity-id-cell">
-                    {log.entity_id ? (
-                      typeof log.entity_id === 'object' 
-                        ? (log.entity_id._id || log.entity_id.id || JSON.stringify(log.entity_id)).substring(0, 8) + '...'
-                        : String(log.entity_id).substring(0, 8) + '...'
-                    ) : 'N/A'}
-                  </td>
-                  <td className="description-cell">
-                    {log.description || log.message || log.details || 'N/A'}
-                  </td>
-                  <td className="ip-cell">
-                    {log.ip_address || log.ip || 'N/A'}
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+          <DataTable
+            columns={columns}
+            data={auditLogs}
+            sort={sort}
+            onSortChange={setSort}
+            storageKey="auditLogs"
+            tableClassName="audit-logs-table"
+            emptyMessage={search
+              ? 'No audit logs found matching your search query'
+              : 'No audit logs found matching your filters'}
+            report={{ entityType: 'auditLogs', title: 'Audit Logs Report', filters }}
+          />
+        </>
+      )}
+
+      {!loading && (
+        <Pagination
+          page={page}
+          totalPages={pageInfo.totalPages}
+          total={pageInfo.total}
+          limit={limit}
+          onPageChange={setPage}
+          onLimitChange={setLimit}
+          itemLabel="logs"
+        />
       )}
     </div>
   );
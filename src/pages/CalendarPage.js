@@ -0,0 +1,471 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getAppointments, getAppointmentsByDoctor } from '../services/appointmentService';
+import { getDoctorSchedules, getScheduleOverrides, getSchedulesByDoctor } from '../services/doctorScheduleService';
+import { getDoctors } from '../services/doctorService';
+import { getAbsences } from '../services/absenceService';
+import { getHolidays } from '../services/holidayService';
+import { BookingConflictError, moveAppointment, validateBooking } from '../services/bookingService';
+import { changeAppointmentStatus } from '../services/appointmentStatusHistoryService';
+import { offerFreedSlots } from '../services/waitlistService';
+import { checkInPatient } from '../services/queueService';
+import { getCurrentDoctorId, isDoctor } from '../utils/doctorUtils';
+import { can } from '../utils/accessControl';
+import { CALENDAR_VIEWS, getViewDates, getViewTitle, shiftViewDate } from '../utils/calendar';
+import { getMoveChangeType } from '../utils/appointmentChanges';
+import { APPOINTMENT_STATUSES, getNextStatuses, getStatusLabel } from '../utils/appointmentStatus';
+import { buildSlots, getDateKey, getTodayKey } from '../utils/slots';
+import { isToday } from '../utils/queue';
+import ErrorDisplay from '../components/ErrorDisplay';
+import AppointmentCalendar from '../components/AppointmentCalendar';
+import BookingConflictNotice from '../components/BookingConflictNotice';
+import './CalendarPage.css';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CHANGE_TYPE_LABELS = {
+  rescheduled: 'Rescheduled',
+  date_changed: 'Date changed',
+  time_changed: 'Time changed',
+  doctor_changed: 'Doctor changed'
+};
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const CalendarPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [appointments, setAppointments] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [overrides, setOverrides] = useState([]);
+  const [timeOff, setTimeOff] = useState({ absences: [], holidays: [] });
+  const [ownDoctorId, setOwnDoctorId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedAppointment, setSelectedAppointment] = useState(null);
+  const [success, setSuccess] = useState(null);
+  // Appointment dropped on a new time, waiting for confirmation: { appointment, date, time, doctorId }
+  const [pendingMove, setPendingMove] = useState(null);
+  const [moveConflict, setMoveConflict] = useState(null);
+  const [moveReason, setMoveReason] = useState('');
+  const [notifyPatient, setNotifyPatient] = useState(true);
+  const [checkingMove, setCheckingMove] = useState(false);
+  const [savingMove, setSavingMove] = useState(false);
+  const [statusReason, setStatusReason] = useState('');
+  const [savingStatus, setSavingStatus] = useState(false);
+  const canUpdate = can('appointments', 'update');
+
+  // View, date and doctor live in the URL so a calendar position can be bookmarked
+  const view = CALENDAR_VIEWS.some(option => option.value === searchParams.get('view'))
+    ? searchParams.get('view')
+    : 'week';
+  const date = DATE_KEY_PATTERN.test(searchParams.get('date') || '') ? searchParams.get('date') : getTodayKey();
+  const doctorId = ownDoctorId || searchParams.get('doctor') || '';
+
+  const updateParams = useCallback((changes) => {
+    setSearchParams(previous => {
+      const next = new URLSearchParams(previous);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) {
+          next.set(key, value);
+        } else {
+          next.delete(key);
+        }
+      });
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const fetchCalendarData = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      // Doctors only see their own calendar
+      if (isDoctor()) {
+        const currentDoctorId = await getCurrentDoctorId();
+        if (!currentDoctorId) {
+          setError('Doctor profile not found. Please contact administrator.');
+          return;
+        }
+        setOwnDoctorId(currentDoctorId);
+        const [appointmentsResponse, schedulesResponse, doctorsResponse, overridesResponse, absencesResponse, holidaysResponse] = await Promise.all([
+          getAppointmentsByDoctor(currentDoctorId),
+          getSchedulesByDoctor(currentDoctorId),
+          getDoctors(),
+          getScheduleOverrides({ doctor_id: currentDoctorId }),
+          getAbsences({ doctor_id: currentDoctorId }),
+          getHolidays()
+        ]);
+        setAppointments(appointmentsResponse.data || []);
+        setSchedules(schedulesResponse.data || []);
+        setDoctors(doctorsResponse.data || []);
+        setOverrides(overridesResponse.data || []);
+        setTimeOff({ absences: absencesResponse.data || [], holidays: holidaysResponse.data || [] });
+        return;
+      }
+
+      const [appointmentsResponse, schedulesResponse, doctorsResponse, overridesResponse, absencesResponse, holidaysResponse] = await Promise.all([
+        getAppointments(),
+        getDoctorSchedules(),
+        getDoctors(),
+        getScheduleOverrides(),
+        getAbsences(),
+        getHolidays()
+      ]);
+      setAppointments(appointmentsResponse.data || []);
+      setSchedules(schedulesResponse.data || []);
+      setDoctors(doctorsResponse.data || []);
+      setOverrides(overridesResponse.data || []);
+      setTimeOff({ absences: absencesResponse.data || [], holidays: holidaysResponse.data || [] });
+    } catch (err) {
+      setError(err.message || 'Failed to load the calendar');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCalendarData();
+  }, [fetchCalendarData]);
+
+  const dates = useMemo(() => getViewDates(view, date), [view, date]);
+
+  const visibleAppointments = useMemo(() => {
+    const first = dates[0];
+    const last = dates[dates.length - 1];
+    return appointments.filter(appointment => {
+      const dateKey = getDateKey(appointment.appointment_date);
+      return dateKey >= first && dateKey <= last;
+    });
+  }, [appointments, dates]);
+
+  // Slot availability of the shown dates (past dates have no free slots)
+  const slots = useMemo(
+    () => buildSlots(schedules, appointments, { from: dates[0], days: dates.length, overrides, ...timeOff }),
+    [schedules, appointments, dates, overrides, timeOff]
+  );
+
+  const handleSelectDate = (dateKey) => {
+    updateParams({ view: 'day', date: dateKey });
+  };
+
+  const getPersonName = (person, prefix = '') =>
+    person && typeof person === 'object' && person.first_name
+      ? `${prefix}${person.first_name} ${person.last_name}`
+      : 'N/A';
+
+  // Check a move as soon as it is dropped so conflicts show before anything is saved
+  const checkMove = async (move) => {
+    setPendingMove(move);
+    setMoveConflict(null);
+    setCheckingMove(true);
+    try {
+      const { appointment, date: moveDate, time, doctorId: moveDoctorId } = move;
+      const { conflicts, suggestions } = await validateBooking({
+        ...appointment,
+        patient_id: getId(appointment.patient_id),
+        doctor_id: moveDoctorId,
+        appointment_date: moveDate,
+        appointment_time: time
+      }, { excludeAppointmentId: appointment._id });
+      if (conflicts.length > 0) {
+        setMoveConflict(new BookingConflictError(conflicts, suggestions));
+      }
+    } catch (err) {
+      setMoveConflict(err);
+    } finally {
+      setCheckingMove(false);
+    }
+  };
+
+  const handleMoveAppointment = (appointment, move) => {
+    if (!getMoveChangeType(appointment, move)) return;
+    setMoveReason('');
+    setNotifyPatient(true);
+    setSuccess(null);
+    checkMove({ appointment, ...move });
+  };
+
+  const handlePickSuggestion = (slot) => {
+    checkMove({ ...pendingMove, date: slot.date, time: slot.time });
+  };
+
+  const handleSelectAppointment = (appointment) => {
+    setStatusReason('');
+    setSelectedAppointment(appointment);
+  };
+
+  const handleChangeStatus = async (status) => {
+    setSavingStatus(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      // Arrivals today get a queue number
+      const result = status === 'checked-in' && isToday(selectedAppointment)
+        ? await checkInPatient(selectedAppointment, { reason: statusReason.trim() })
+        : await changeAppointmentStatus(selectedAppointment, status, { reason: statusReason.trim() });
+      setSelectedAppointment(null);
+      setSuccess(`${getPersonName(selectedAppointment.patient_id)}'s appointment marked as ${getStatusLabel(result.appointment?.status || status)}` +
+        `${result.queueNumber ? ` with queue number ${result.queueNumber}.` : '.'}`);
+      fetchCalendarData();
+    } catch (err) {
+      setSelectedAppointment(null);
+      setError(err);
+    } finally {
+      setSavingStatus(false);
+    }
+  };
+
+  const closeMoveDialog = () => {
+    setPendingMove(null);
+    setMoveConflict(null);
+  };
+
+  const handleConfirmMove = async () => {
+    const { appointment, date: moveDate, time, doctorId: moveDoctorId } = pendingMove;
+    setSavingMove(true);
+    try {
+      const result = await moveAppointment(appointment, {
+        date: moveDate,
+        time,
+        doctorId: moveDoctorId,
+        doctor: doctors.find(doctor => doctor._id === moveDoctorId),
+        reason: moveReason.trim(),
+        notifyPatient
+      });
+      closeMoveDialog();
+      setSuccess(`${getPersonName(appointment.patient_id)}'s appointment moved to ${getViewTitle('day', moveDate)} at ${time}` +
+        `${notifyPatient ? (result.notified ? '. The patient was notified.' : '. The patient has no account to notify.') : '.'}`);
+      fetchCalendarData();
+      // The slot the appointment left may suit someone on the waitlist
+      offerFreedSlots().catch(err => console.error('Error offering freed slot to the waitlist:', err));
+    } catch (err) {
+      if (err instanceof BookingConflictError) {
+        setMoveConflict(err);
+      } else {
+        closeMoveDialog();
+        setError(err);
+      }
+    } finally {
+      setSavingMove(false);
+    }
+  };
+
+  return (
+    <div className="calendar-page">
+      <div className="calendar-page-header">
+        <h1>Calendar</h1>
+        <Link to="/appointments" className="btn btn-secondary">List View</Link>
+      </div>
+
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button className="btn btn-sm btn-secondary" onClick={() => updateParams({ date: shiftViewDate(view, date, -1) })}>
+            ‹ Prev
+          </button>
+          <button className="btn btn-sm btn-secondary" onClick={() => updateParams({ date: '' })}>
+            Today
+          </button>
+          <button className="btn btn-sm btn-secondary" onClick={() => updateParams({ date: shiftViewDate(view, date, 1) })}>
+            Next ›
+          </button>
+          <h2 className="calendar-title">{getViewTitle(view, date)}</h2>
+        </div>
+
+        <div className="calendar-controls">
+          {!ownDoctorId && (
+            <select
+              aria-label="Doctor"
+              value={doctorId}
+              onChange={(e) => updateParams({ doctor: e.target.value })}
+            >
+              <option value="">All Doctors</option>
+              {doctors.map(doctor => (
+                <option key={doctor._id} value={doctor._id}>
+                  Dr. {doctor.first_name} {doctor.last_name}
+                </option>
+              ))}
+            </select>
+          )}
+          <div className="calendar-view-switch" role="group" aria-label="Calendar view">
+            {CALENDAR_VIEWS.map(option => (
+              <button
+                key={option.value}
+                className={`btn btn-sm ${view === option.value ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => updateParams({ view: option.value })}
+                aria-pressed={view === option.value}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="calendar-legend">
+        {APPOINTMENT_STATUSES.map(status => (
+          <span key={status.value} className={`calendar-legend-item calendar-status-${status.value}`}>
+            {status.label}
+          </span>
+        ))}
+        <span className="calendar-legend-item calendar-legend-schedule">Doctor on duty (free slots)</span>
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+
+      {success && (
+        <div className="alert alert-success">
+          {success}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading calendar...</div>
+      ) : (
+        <AppointmentCalendar
+          view={view}
+          date={date}
+          appointments={visibleAppointments}
+          schedules={schedules}
+          overrides={overrides}
+          doctors={doctors}
+          doctorId={doctorId}
+          slots={slots}
+          timeOff={timeOff}
+          onSelectAppointment={handleSelectAppointment}
+          onSelectDate={handleSelectDate}
+          onMoveAppointment={canUpdate ? handleMoveAppointment : undefined}
+        />
+      )}
+
+      {selectedAppointment && (
+        <div className="modal-overlay" onClick={() => setSelectedAppointment(null)}>
+          <div className="modal-content calendar-details" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Appointment Details</h2>
+              <button className="modal-close" onClick={() => setSelectedAppointment(null)}>×</button>
+            </div>
+            <dl>
+              <dt>Patient</dt>
+              <dd>{getPersonName(selectedAppointment.patient_id)}</dd>
+              <dt>Doctor</dt>
+              <dd>{getPersonName(selectedAppointment.doctor_id, 'Dr. ')}</dd>
+              <dt>Date &amp; Time</dt>
+              <dd>{getViewTitle('day', getDateKey(selectedAppointment.appointment_date))} at {selectedAppointment.appointment_time}</dd>
+              <dt>Status</dt>
+              <dd>
+                <span className={`calendar-legend-item calendar-status-${selectedAppointment.status}`}>
+                  {getStatusLabel(selectedAppointment.status)}
+                </span>
+              </dd>
+              {selectedAppointment.reason && (
+                <>
+                  <dt>Reason</dt>
+                  <dd>{selectedAppointment.reason}</dd>
+                </>
+              )}
+            </dl>
+            {canUpdate && getNextStatuses(selectedAppointment.status).length > 0 && (
+              <div className="calendar-status-actions">
+                <div className="form-group">
+                  <label htmlFor="status_reason">Reason for Status Change</label>
+                  <input
+                    id="status_reason"
+                    type="text"
+                    value={statusReason}
+                    onChange={(e) => setStatusReason(e.target.value)}
+                    placeholder="Optional - recorded in the status history"
+                  />
+                </div>
+                <div className="calendar-status-buttons">
+                  {getNextStatuses(selectedAppointment.status).map(status => (
+                    <button
+                      key={status}
+                      className={`btn btn-sm calendar-legend-item calendar-status-${status}`}
+                      onClick={() => handleChangeStatus(status)}
+                      disabled={savingStatus}
+                    >
+                      {getStatusLabel(status)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="modal-actions">
+              <button className="btn btn-secondary" onClick={() => setSelectedAppointment(null)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {pendingMove && (
+        <div className="modal-overlay" onClick={closeMoveDialog}>
+          <div className="modal-content calendar-details calendar-move" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Move Appointment</h2>
+              <button className="modal-close" onClick={closeMoveDialog}>×</button>
+            </div>
+            <dl>
+              <dt>Patient</dt>
+              <dd>{getPersonName(pendingMove.appointment.patient_id)}</dd>
+              <dt>From</dt>
+              <dd>
+                {getViewTitle('day', getDateKey(pendingMove.appointment.appointment_date))} at {pendingMove.appointment.appointment_time}
+                {' · '}{getPersonName(pendingMove.appointment.doctor_id, 'Dr. ')}
+              </dd>
+              <dt>To</dt>
+              <dd>
+                {getViewTitle('day', pendingMove.date)} at {pendingMove.time}
+                {' · '}{getPersonName(doctors.find(doctor => doctor._id === pendingMove.doctorId), 'Dr. ')}
+              </dd>
+              <dt>Change</dt>
+              <dd>{CHANGE_TYPE_LABELS[getMoveChangeType(pendingMove.appointment, pendingMove)] || 'No change'}</dd>
+            </dl>
+
+            <div className="calendar-move-body">
+              {checkingMove ? (
+                <div className="loading">Checking availability...</div>
+              ) : moveConflict instanceof BookingConflictError ? (
+                <BookingConflictNotice conflict={moveConflict} onPickSlot={handlePickSuggestion} />
+              ) : moveConflict ? (
+                <ErrorDisplay error={moveConflict} />
+              ) : null}
+
+              <div className="form-group">
+                <label htmlFor="move_reason">Reason</label>
+                <textarea
+                  id="move_reason"
+                  value={moveReason}
+                  onChange={(e) => setMoveReason(e.target.value)}
+                  rows="2"
+                  placeholder="Optional - recorded with the appointment change"
+                />
+              </div>
+              <label className="calendar-move-notify">
+                <input
+                  type="checkbox"
+                  checked={notifyPatient}
+                  onChange={(e) => setNotifyPatient(e.target.checked)}
+                />
+                <span>Notify the patient</span>
+              </label>
+            </div>
+
+            <div className="modal-actions">
+              <button className="btn btn-secondary" onClick={closeMoveDialog} disabled={savingMove}>Cancel</button>
+              <button
+                className="btn btn-primary"
+                onClick={handleConfirmMove}
+                disabled={checkingMove || savingMove || !!moveConflict}
+              >
+                {savingMove ? 'Moving...' : 'Move Appointment'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarPage;
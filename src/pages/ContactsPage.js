@@ -2,9 +2,12 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { getContacts, deleteContact } from '../services/contactService';
 import ErrorDisplay from '../components/ErrorDisplay';
 import ReportButton from '../components/ReportButton';
+import { can } from '../utils/accessControl';
 import './ContactsPage.css';
 
 const ContactsPage = () => {
+  const canDelete = can('contacts', 'delete');
+
   const [contacts, setContacts] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -180,13 +183,15 @@ const ContactsPage = () => {
                     <td>{formatDate(contact.createdAt)}</td>
                     <td>
                       <div className="action-buttons">
-                        <button
-                          className="btn btn-sm btn-delete"
-                          onClick={() => handleDelete(contact._id)}
-                          title="Delete message"
-                        >
-                          Delete
-                        </button>
+                        {canDelete && (
+                          <button
+                            className="btn btn-sm btn-delete"
+                            onClick={() => handleDelete(contact._id)}
+                            title="Delete message"
+                          >
+                            Delete
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
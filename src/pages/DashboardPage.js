@@ -111,7 +111,10 @@ const DashboardPage = () => {
       confirmed: 'status-confirmed',
       completed: 'status-completed',
       cancelled: 'status-cancelled',
-      pending: 'status-pending'
+      pending: 'status-pending',
+      'checked-in': 'status-checked-in',
+      'in-consultation': 'status-in-consultation',
+      'no-show': 'status-no-show'
     };
     return statusMap[status?.toLowerCase()] || 'status-default';
   };
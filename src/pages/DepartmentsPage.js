@@ -7,9 +7,14 @@ import {
 } from '../services/departmentService';
 import ErrorDisplay from '../components/ErrorDisplay';
 import ReportButton from '../components/ReportButton';
+import { can } from '../utils/accessControl';
 import './DepartmentsPage.css';
 
 const DepartmentsPage = () => {
+  const canCreate = can('departments', 'create');
+  const canUpdate = can('departments', 'update');
+  const canDelete = can('departments', 'delete');
+
   const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -163,9 +168,11 @@ const DepartmentsPage = () => {
               title="Departments Report"
             />
           )}
-          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-            + Add New Department
-          </button>
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + Add New Department
+            </button>
+          )}
         </div>
       </div>
 
@@ -235,18 +242,22 @@ const DepartmentsPage = () => {
                   <td>{formatDate(department.updatedAt)}</td>
                   <td>
                     <div className="action-buttons">
-                      <button
-                        className="btn btn-sm btn-edit"
-                        onClick={() => handleOpenModal(department)}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        className="btn btn-sm btn-delete"
-                        onClick={() => handleDelete(department._id)}
-                      >
-                        Delete
-                      </button>
+                      {canUpdate && (
+                        <button
+                          className="btn btn-sm btn-edit"
+                          onClick={() => handleOpenModal(department)}
+                        >
+                          Edit
+                        </button>
+                      )}
+                      {canDelete && (
+                        <button
+                          className="btn btn-sm btn-delete"
+                          onClick={() => handleDelete(department._id)}
+                        >
+                          Delete
+                        </button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { getDisplayBoard } from '../services/queueService';
+import HospitalLogo from '../components/HospitalLogo';
+import './DisplayBoardPage.css';
+
+// How often the queues are reloaded
+const REFRESH_INTERVAL_MS = 15 * 1000;
+// How long each announcement stays on screen
+const ANNOUNCEMENT_INTERVAL_MS = 8 * 1000;
+
+/**
+ * Waiting-room display board
+ * Full-screen, read-only view for the TV in a waiting area: the queue numbers each doctor is seeing,
+ * the next numbers in line and rotating announcements. Open /display-board?department=<id>
+ * for one department's board; it works without a logged-in session.
+ */
+const DisplayBoardPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const departmentId = searchParams.get('department') || '';
+
+  const [board, setBoard] = useState(null);
+  const [offline, setOffline] = useState(false);
+  const [clock, setClock] = useState(() => new Date());
+  const [announcementIndex, setAnnouncementIndex] = useState(0);
+  const [justCalled, setJustCalled] = useState([]); // numbers called since the previous refresh
+  const previousServing = useRef(null);
+
+  const fetchBoard = useCallback(async () => {
+    try {
+      const response = await getDisplayBoard(departmentId);
+      const data = response.data;
+      const serving = data.doctors.flatMap(doctor => doctor.now_serving);
+      // Highlight numbers that were called since the last refresh, but not everything on first load
+      setJustCalled(previousServing.current ? serving.filter(number => !previousServing.current.includes(number)) : []);
+      previousServing.current = serving;
+      setBoard(data);
+      setOffline(false);
+    } catch (err) {
+      // Keep showing the last known queues until the connection is back
+      console.error('Failed to refresh the display board:', err);
+      setOffline(true);
+    }
+  }, [departmentId]);
+
+  useEffect(() => {
+    previousServing.current = null;
+    fetchBoard();
+    const interval = setInterval(fetchBoard, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchBoard]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setClock(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const announcements = board?.announcements || [];
+  useEffect(() => {
+    if (announcements.length < 2) return undefined;
+    const interval = setInterval(() => {
+      setAnnouncementIndex(index => (index + 1) % announcements.length);
+    }, ANNOUNCEMENT_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [announcements.length]);
+
+  const handleDepartmentChange = (e) => {
+    setSearchParams(e.target.value ? { department: e.target.value } : {});
+  };
+
+  const handleFullscreen = () => {
+    if (document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+  };
+
+  const doctors = board?.doctors || [];
+  const announcement = announcements[announcementIndex % (announcements.length || 1)];
+
+  return (
+    <div className="display-board">
+      <header className="display-board-header">
+        <div className="display-board-brand">
+          <HospitalLogo size="small" shape="circle" />
+          <div>
+            <h1>Kigali Specialized Orthopaedic Hospital</h1>
+            <p>{board?.department?.department_name || 'All Departments'}</p>
+          </div>
+        </div>
+        <div className="display-board-clock">
+          <span className="display-board-time">
+            {clock.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+          </span>
+          <span>{clock.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}</span>
+        </div>
+      </header>
+
+      <main className="display-board-queues">
+        {!board ? (
+          <div className="display-board-message">{offline ? 'Connecting…' : 'Loading queues…'}</div>
+        ) : doctors.length === 0 ? (
+          <div className="display-board-message">No clinics are running today</div>
+        ) : (
+          doctors.map(doctor => (
+            <section key={doctor.doctor_id} className="display-board-doctor">
+              <div className="display-board-doctor-header">
+                <h2>{doctor.name}</h2>
+                {doctor.room && <span className="display-board-room">{doctor.room}</span>}
+              </div>
+              {doctor.specialization && <p className="display-board-specialization">{doctor.specialization}</p>}
+              <div className="display-board-serving">
+                <span className="display-board-label">Now serving</span>
+                <div className="display-board-numbers">
+                  {doctor.now_serving.length === 0 ? (
+                    <span className="display-board-idle">—</span>
+                  ) : doctor.now_serving.map(number => (
+                    <span
+                      key={number}
+                      className={`display-board-number ${justCalled.includes(number) ? 'display-board-called' : ''}`}
+                    >
+                      {number}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <div className="display-board-next">
+                <span className="display-board-label">Next</span>
+                <div className="display-board-next-numbers">
+                  {doctor.next.length === 0 ? (
+                    <span className="display-board-idle">No one waiting</span>
+                  ) : doctor.next.map(number => <span key={number}>{number}</span>)}
+                  {doctor.waiting_count > doctor.next.length && (
+                    <span className="display-board-more">+{doctor.waiting_count - doctor.next.length}</span>
+                  )}
+                </div>
+              </div>
+            </section>
+          ))
+        )}
+      </main>
+
+      <footer className="display-board-footer">
+        <div className="display-board-announcement" key={announcementIndex}>
+          {announcement || 'Welcome. Please check in at reception and wait for your number to be called.'}
+        </div>
+        <div className="display-board-controls">
+          {offline && <span className="display-board-offline">Reconnecting…</span>}
+          {board?.departments?.length > 0 && (
+            <select value={departmentId} onChange={handleDepartmentChange} aria-label="Department">
+              <option value="">All Departments</option>
+              {board.departments.map(department => (
+                <option key={department._id} value={department._id}>{department.department_name}</option>
+              ))}
+            </select>
+          )}
+          <button type="button" onClick={handleFullscreen} title="Full screen">⛶</button>
+        </div>
+      </footer>
+    </div>
+  );
+};
+
+export default DisplayBoardPage;
@@ -5,8 +5,18 @@ import { getDoctors } from '../services/doctorService';
 import { getAppointmentsByDoctor, createAppointment } from '../services/appointmentService';
 import { getPatients, createPatient } from '../services/patientService';
 import { getNotificationsByUser } from '../services/notificationService';
+import { assertBookable, BookingConflictError } from '../services/bookingService';
+import { downloadAppointmentCalendar } from '../services/calendarService';
+import { getCurrentDoctorId } from '../utils/doctorUtils';
 import HospitalLogo from '../components/HospitalLogo';
 import ErrorDisplay from '../components/ErrorDisplay';
+import SlotPicker from '../components/SlotPicker';
+import BookingConflictNotice from '../components/BookingConflictNotice';
+import AttendanceFlag from '../components/AttendanceFlag';
+import PatientQueue from '../components/PatientQueue';
+import CalendarFeed from '../components/CalendarFeed';
+import useAttendanceRecords from '../hooks/useAttendanceRecords';
+import { can } from '../utils/accessControl';
 import './DoctorDashboardPage.css';
 
 const DoctorDashboardPage = () => {
@@ -17,6 +27,7 @@ const DoctorDashboardPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const attendance = useAttendanceRecords();
   
   // Appointment scheduling modal state
   const [showScheduleModal, setShowScheduleModal] = useState(false);
@@ -30,6 +41,8 @@ const DoctorDashboardPage = () => {
     reason: '',
     status: 'scheduled'
   });
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+  const [bookingConflict, setBookingConflict] = useState(null);
   const [newPatientData, setNewPatientData] = useState({
     first_name: '',
     last_name: '',
@@ -61,56 +74,10 @@ const DoctorDashboardPage = () => {
         return;
       }
 
-      // Find doctor record by multiple methods
-      const doctorsRes = await getDoctors();
+      // Resolve the doctor profile linked to this user (cached per session)
+      const [doctorId, doctorsRes] = await Promise.all([getCurrentDoctorId(), getDoctors()]);
       const doctors = doctorsRes.data || [];
-      
-      console.log('Current User:', currentUser);
-      console.log('Available Doctors:', doctors.map(d => ({ 
-        id: d._id, 
-        name: `${d.first_name} ${d.last_name}`, 
-        email: d.email,
-        user_id: d.user_id 
-      })));
-      
-      // Try to find doctor by:
-      // 1. user_id field matching current user's _id
-      // 2. email matching (case-insensitive)
-      // 3. _id matching current user's _id (in case user is a doctor)
-      let doctor = doctors.find(d => {
-        // Check user_id field
-        if (d.user_id) {
-          const userId = typeof d.user_id === 'object' ? d.user_id._id : d.user_id;
-          if (userId === currentUser._id || userId === currentUser.id) {
-            return true;
-          }
-        }
-        // Check email (case-insensitive)
-        if (d.email && currentUser.email) {
-          if (d.email.toLowerCase() === currentUser.email.toLowerCase()) {
-            return true;
-          }
-        }
-        // Check if doctor _id matches user _id
-        if (d._id === currentUser._id || d._id === currentUser.id) {
-          return true;
-        }
-        return false;
-      });
-      
-      // If still not found, try to find by name match (first_name + last_name)
-      if (!doctor && currentUser.name) {
-        const nameParts = currentUser.name.split(' ');
-        if (nameParts.length >= 2) {
-          doctor = doctors.find(d => {
-            const firstNameMatch = d.first_name && 
-              d.first_name.toLowerCase() === nameParts[0].toLowerCase();
-            const lastNameMatch = d.last_name && 
-              d.last_name.toLowerCase() === nameParts.slice(1).join(' ').toLowerCase();
-            return firstNameMatch && lastNameMatch;
-          });
-        }
-      }
+      const doctor = doctorId ? doctors.find(d => d._id === doctorId) : null;
       
       if (!doctor) {
         const errorDetails = [
@@ -131,13 +98,14 @@ const DoctorDashboardPage = () => {
         return;
       }
       
-      console.log('Found Doctor:', doctor);
-
       setCurrentDoctor(doctor);
-      const doctorId = doctor._id;
 
-      // Fetch appointments for this doctor
-      const appointmentsRes = await getAppointmentsByDoctor(doctorId).catch(() => ({ data: [] }));
+      // Fetch appointments, notifications and booking form data in parallel
+      const [appointmentsRes] = await Promise.all([
+        getAppointmentsByDoctor(doctorId).catch(() => ({ data: [] })),
+        fetchDoctorNotifications(doctor),
+        fetchPatientsAndDepartments(doctor)
+      ]);
 
       const appointments = appointmentsRes.data || [];
 
@@ -153,12 +121,6 @@ const DoctorDashboardPage = () => {
 
       setAppointmentRequests(requests);
 
-      // Fetch notifications for this doctor
-      await fetchDoctorNotifications(doctor);
-
-      // Fetch patients and departments for appointment scheduling
-      await fetchPatientsAndDepartments(doctor);
-
     } catch (err) {
       setError(err.message || 'Failed to load doctor dashboard data');
     } finally {
@@ -250,12 +212,14 @@ const DoctorDashboardPage = () => {
     });
     setPatientType('existing');
     setShowScheduleModal(true);
+    setBookingConflict(null);
     setError(null);
     setSuccess(null);
   };
 
   const handleCloseScheduleModal = () => {
     setShowScheduleModal(false);
+    setBookingConflict(null);
     setError(null);
     setSuccess(null);
   };
@@ -268,6 +232,15 @@ const DoctorDashboardPage = () => {
     }));
   };
 
+  const handleSlotChange = (slot) => {
+    setAppointmentFormData(prev => ({
+      ...prev,
+      appointment_date: slot.date,
+      appointment_time: slot.time
+    }));
+    setBookingConflict(null);
+  };
+
   const handleNewPatientChange = (e) => {
     const { name, value } = e.target;
     setNewPatientData(prev => ({
@@ -280,6 +253,7 @@ const DoctorDashboardPage = () => {
     e.preventDefault();
     setError(null);
     setSuccess(null);
+    setBookingConflict(null);
 
     // Validate required fields
     if (!appointmentFormData.patient_id && patientType === 'existing') {
@@ -287,17 +261,17 @@ const DoctorDashboardPage = () => {
       return;
     }
 
-    if (!appointmentFormData.appointment_date) {
-      setError('Please select an appointment date');
-      return;
-    }
-
-    if (!appointmentFormData.appointment_time) {
-      setError('Please select an appointment time');
+    if (!appointmentFormData.appointment_date || !appointmentFormData.appointment_time) {
+      setError('Please pick an available time slot');
       return;
     }
 
     try {
+      await assertBookable({
+        ...appointmentFormData,
+        patient_id: patientType === 'existing' ? appointmentFormData.patient_id : ''
+      });
+
       let patientId = appointmentFormData.patient_id;
 
       // If creating new patient
@@ -332,6 +306,11 @@ const DoctorDashboardPage = () => {
         fetchDoctorDashboardData();
       }, 1500);
     } catch (err) {
+      if (err instanceof BookingConflictError) {
+        setBookingConflict(err);
+        setSlotRefreshKey(key => key + 1);
+        return;
+      }
       setError(err.message || 
         (err.data && err.data.message) ||
         (err.data && err.data.errors && Array.isArray(err.data.errors) 
@@ -359,7 +338,10 @@ const DoctorDashboardPage = () => {
       confirmed: 'status-confirmed',
       completed: 'status-completed',
       cancelled: 'status-cancelled',
-      pending: 'status-pending'
+      pending: 'status-pending',
+      'checked-in': 'status-checked-in',
+      'in-consultation': 'status-in-consultation',
+      'no-show': 'status-no-show'
     };
     return statusMap[status?.toLowerCase()] || 'status-default';
   };
@@ -445,6 +427,26 @@ const DoctorDashboardPage = () => {
         </button>
       </div>
 
+      {/* Today's Queue */}
+      {currentDoctor && (
+        <div className="dashboard-section">
+          <div className="section-header">
+            <h2>🩺 Today's Queue</h2>
+          </div>
+          <PatientQueue doctorId={currentDoctor._id} canManage={can('queue', 'update')} />
+        </div>
+      )}
+
+      {/* Calendar Export */}
+      {currentDoctor && (
+        <div className="dashboard-section">
+          <div className="section-header">
+            <h2>📅 My Calendar</h2>
+          </div>
+          <CalendarFeed doctor={currentDoctor} />
+        </div>
+      )}
+
       {/* Quick Actions */}
       <div className="dashboard-section">
         <div className="section-header">
@@ -607,9 +609,19 @@ const DoctorDashboardPage = () => {
                     </div>
                   </div>
                 </div>
-                <Link to="/appointments" className="appointment-link">
-                  View →
-                </Link>
+                <div className="appointment-actions">
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-secondary"
+                    onClick={() => downloadAppointmentCalendar(appointment, { audience: 'doctor', location: currentDoctor?.room })}
+                    title="Add to calendar (.ics)"
+                  >
+                    📅 .ics
+                  </button>
+                  <Link to="/appointments" className="appointment-link">
+                    View →
+                  </Link>
+                </div>
               </div>
             ))}
           </div>
@@ -673,10 +685,11 @@ const DoctorDashboardPage = () => {
                     <option value="">Select a patient</option>
                     {patients.map(patient => (
                       <option key={patient._id} value={patient._id}>
-                        {patient.first_name} {patient.last_name} ({patient.email})
+                        {patient.first_name} {patient.last_name} ({patient.email}){attendance[patient._id]?.flagged ? ' ⚠️' : ''}
                       </option>
                     ))}
                   </select>
+                  <AttendanceFlag summary={attendance[appointmentFormData.patient_id]} />
                 </div>
               ) : (
                 <div className="new-patient-section">
@@ -775,28 +788,14 @@ const DoctorDashboardPage = () => {
               )}
 
               <div className="form-group">
-                <label htmlFor="appointment_date">Appointment Date *</label>
-                <input
-                  type="date"
-                  id="appointment_date"
-                  name="appointment_date"
-                  value={appointmentFormData.appointment_date}
-                  onChange={handleAppointmentInputChange}
-                  required
-                  min={new Date().toISOString().split('T')[0]}
-                />
-              </div>
-
-              <div className="form-group">
-                <label htmlFor="appointment_time">Appointment Time *</label>
-                <input
-                  type="time"
-                  id="appointment_time"
-                  name="appointment_time"
-                  value={appointmentFormData.appointment_time}
-                  onChange={handleAppointmentInputChange}
-                  required
+                <SlotPicker
+                  doctorId={appointmentFormData.doctor_id}
+                  date={appointmentFormData.appointment_date}
+                  time={appointmentFormData.appointment_time}
+                  onChange={handleSlotChange}
+                  refreshKey={slotRefreshKey}
                 />
+                <BookingConflictNotice conflict={bookingConflict} onPickSlot={handleSlotChange} />
               </div>
 
               <div className="form-group">
@@ -1,21 +1,71 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import {
   getDoctorSchedules,
   createDoctorSchedule,
   updateDoctorSchedule,
   deleteDoctorSchedule,
   getSchedulesByDoctor,
-  notifyScheduleChange
+  getScheduleOverrides,
+  createScheduleOverride,
+  updateScheduleOverride,
+  deleteScheduleOverride
 } from '../services/doctorScheduleService';
 import { getDoctors } from '../services/doctorService';
-import { getAppointments, updateAppointment } from '../services/appointmentService';
+import { getAppointments, getAppointmentsByDoctor } from '../services/appointmentService';
+import { getAbsences } from '../services/absenceService';
+import { getHolidays } from '../services/holidayService';
+import { applyAppointmentMoves } from '../services/bookingService';
+import { offerFreedSlots } from '../services/waitlistService';
 import { getCurrentDoctorId, isDoctor } from '../utils/doctorUtils';
 import ErrorDisplay from '../components/ErrorDisplay';
 import ReportButton from '../components/ReportButton';
+import ScheduleCalendar from '../components/ScheduleCalendar';
+import { can } from '../utils/accessControl';
+import {
+  DEFAULT_SLOT_MINUTES,
+  SLOT_LENGTH_OPTIONS,
+  getDayOfWeek,
+  getSlotMinutes,
+  isScheduleEffective,
+  minutesToTime,
+  timeToMinutes
+} from '../utils/slots';
+import {
+  OVERRIDE_KINDS,
+  formatEffectiveRange,
+  getAppointmentsOffSchedule,
+  getOverrideKind,
+  isScheduleExpired,
+  validateEffectiveRange,
+  validateScheduleOverride
+} from '../utils/scheduleOverrides';
+import { planAppointmentMoves, planRebooking } from '../utils/appointmentConflicts';
+import { summarizeMoveResults } from '../utils/appointmentChanges';
 import './DoctorSchedulesPage.css';
 
+const EMPTY_OVERRIDE = {
+  doctor_id: '',
+  date: '',
+  kind: 'extra',
+  schedule_id: '',
+  start_time: '',
+  end_time: '',
+  max_patients: '',
+  reason: ''
+};
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
 const DoctorSchedulesPage = () => {
+  const canCreate = can('doctorSchedules', 'create');
+  const canUpdate = can('doctorSchedules', 'update');
+  const canDelete = can('doctorSchedules', 'delete');
+
   const [schedules, setSchedules] = useState([]);
+  const [overrides, setOverrides] = useState([]);
+  const [timeOff, setTimeOff] = useState({ absences: [], holidays: [] });
+  const [view, setView] = useState('weekly');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -30,7 +80,11 @@ const DoctorSchedulesPage = () => {
     day_of_week: 'Monday',
     start_time: '',
     end_time: '',
-    max_patients: 1
+    max_patients: 1,
+    slot_duration: DEFAULT_SLOT_MINUTES,
+    slot_capacity: 1,
+    effective_from: '',
+    effective_to: ''
   });
   const [rescheduleFormData, setRescheduleFormData] = useState({
     day_of_week: 'Monday',
@@ -39,6 +93,10 @@ const DoctorSchedulesPage = () => {
     max_patients: 1
   });
   
+  // Date override form: { override } when editing one
+  const [overrideModal, setOverrideModal] = useState(null);
+  const [overrideForm, setOverrideForm] = useState(EMPTY_OVERRIDE);
+
   // Filter state
   const [doctorFilter, setDoctorFilter] = useState('');
   
@@ -50,10 +108,11 @@ const DoctorSchedulesPage = () => {
     setError(null);
     try {
       let response;
+      let doctorId = doctorFilter;
       
       // If user is a doctor, only fetch their schedules
       if (isDoctor()) {
-        const doctorId = await getCurrentDoctorId();
+        doctorId = await getCurrentDoctorId();
         if (doctorId) {
           response = await getSchedulesByDoctor(doctorId);
         } else {
@@ -71,6 +130,16 @@ const DoctorSchedulesPage = () => {
       }
       
       setSchedules(response.data || []);
+
+      // Date overrides and time off, for the calendar of upcoming sessions
+      const filters = doctorId ? { doctor_id: doctorId } : {};
+      const [overridesResponse, absencesResponse, holidaysResponse] = await Promise.all([
+        getScheduleOverrides(filters),
+        getAbsences(filters),
+        getHolidays()
+      ]);
+      setOverrides(overridesResponse.data || []);
+      setTimeOff({ absences: absencesResponse.data || [], holidays: holidaysResponse.data || [] });
     } catch (err) {
       const errorMessage = err.message || 
                           (err.data && err.data.message) ||
@@ -106,9 +175,10 @@ const DoctorSchedulesPage = () => {
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
+    const isNumber = ['max_patients', 'slot_duration', 'slot_capacity'].includes(name);
     setFormData(prev => ({
       ...prev,
-      [name]: name === 'max_patients' ? parseInt(value) || 1 : value
+      [name]: isNumber ? parseInt(value) || 1 : value
     }));
   };
 
@@ -138,7 +208,11 @@ const DoctorSchedulesPage = () => {
         day_of_week: schedule.day_of_week || 'Monday',
         start_time: schedule.start_time || '',
         end_time: schedule.end_time || '',
-        max_patients: schedule.max_patients || 1
+        max_patients: schedule.max_patients || 1,
+        slot_duration: schedule.slot_duration || DEFAULT_SLOT_MINUTES,
+        slot_capacity: schedule.slot_capacity || 1,
+        effective_from: (schedule.effective_from || '').slice(0, 10),
+        effective_to: (schedule.effective_to || '').slice(0, 10)
       });
     } else {
       setEditingSchedule(null);
@@ -152,7 +226,11 @@ const DoctorSchedulesPage = () => {
         day_of_week: 'Monday',
         start_time: '',
         end_time: '',
-        max_patients: 1
+        max_patients: 1,
+        slot_duration: DEFAULT_SLOT_MINUTES,
+        slot_capacity: 1,
+        effective_from: '',
+        effective_to: ''
       });
     }
     setShowModal(true);
@@ -168,7 +246,11 @@ const DoctorSchedulesPage = () => {
       day_of_week: 'Monday',
       start_time: '',
       end_time: '',
-      max_patients: 1
+      max_patients: 1,
+      slot_duration: DEFAULT_SLOT_MINUTES,
+      slot_capacity: 1,
+      effective_from: '',
+      effective_to: ''
     });
     setError(null);
     setSuccess(null);
@@ -207,6 +289,12 @@ const DoctorSchedulesPage = () => {
       setError('End time must be after start time');
       return;
     }
+
+    const rangeError = validateEffectiveRange(formData);
+    if (rangeError) {
+      setError(rangeError);
+      return;
+    }
     
     try {
       // Prepare data with proper types
@@ -215,7 +303,11 @@ const DoctorSchedulesPage = () => {
         day_of_week: formData.day_of_week,
         start_time: formData.start_time,
         end_time: formData.end_time,
-        max_patients: parseInt(formData.max_patients, 10) || 1
+        max_patients: parseInt(formData.max_patients, 10) || 1,
+        slot_duration: parseInt(formData.slot_duration, 10) || DEFAULT_SLOT_MINUTES,
+        slot_capacity: parseInt(formData.slot_capacity, 10) || 1,
+        effective_from: formData.effective_from || null,
+        effective_to: formData.effective_to || null
       };
       
       if (editingSchedule) {
@@ -226,6 +318,9 @@ const DoctorSchedulesPage = () => {
         setSuccess('Doctor schedule created successfully!');
       }
       
+      // New or wider sessions may have room for patients on the waitlist
+      offerFreedSlots().catch(err => console.error('Error offering freed slots to the waitlist:', err));
+
       handleCloseModal();
       fetchSchedules();
     } catch (err) {
@@ -295,7 +390,7 @@ const DoctorSchedulesPage = () => {
     return targetDate.toISOString().split('T')[0];
   };
 
-  // Function to send email notification to patients via separate API endpoint
+  // Function to notify patients on their preferred channel via separate API endpoint
   const sendScheduleChangeNotifications = async (scheduleId, oldSchedule, newSchedule) => {
     try {
       const doctorId = typeof reschedulingSchedule.doctor_id === 'object' 
@@ -344,52 +439,35 @@ const DoctorSchedulesPage = () => {
       // Get new schedule date
       const newDate = getNextDateForDay(newSchedule.day_of_week);
       
-      // Update each appointment to match the new schedule
-      // Calculate new appointment times based on the time difference from start_time
-      const updatePromises = affectedAppointments.map(async (appointment) => {
-        try {
-          // Calculate time offset from old schedule start time
-          const [oldStartHour, oldStartMin] = oldSchedule.start_time.split(':').map(Number);
-          const [aptHour, aptMin] = appointment.appointment_time.split(':').map(Number);
-          const oldStartMinutes = oldStartHour * 60 + oldStartMin;
-          const aptMinutes = aptHour * 60 + aptMin;
-          const timeOffsetMinutes = aptMinutes - oldStartMinutes;
-          
-          // Calculate new appointment time based on new schedule start time
-          const [newStartHour, newStartMin] = newSchedule.start_time.split(':').map(Number);
-          const newStartMinutes = newStartHour * 60 + newStartMin;
-          const newAptMinutes = newStartMinutes + timeOffsetMinutes;
-          
-          // Ensure the new time is within the new schedule range
-          const [newEndHour, newEndMin] = newSchedule.end_time.split(':').map(Number);
-          const newEndMinutes = newEndHour * 60 + newEndMin;
-          const clampedMinutes = Math.max(newStartMinutes, Math.min(newAptMinutes, newEndMinutes));
-          
-          const newAptHours = Math.floor(clampedMinutes / 60);
-          const newAptMins = clampedMinutes % 60;
-          const newAppointmentTime = `${String(newAptHours).padStart(2, '0')}:${String(newAptMins).padStart(2, '0')}`;
-          
-          // Update appointment with new date and time
-          const appointmentUpdateData = {
-            appointment_date: new Date(newDate).toISOString(),
-            appointment_time: newAppointmentTime
-          };
-          
-          await updateAppointment(appointment._id, appointmentUpdateData);
-          return { appointment_id: appointment._id, status: 'updated' };
-        } catch (updateErr) {
-          console.error(`Failed to update appointment ${appointment._id}:`, updateErr);
-          return { appointment_id: appointment._id, status: 'failed', error: updateErr.message };
-        }
+      // Keep each appointment's offset from the session start, inside the new session
+      const newStartMinutes = timeToMinutes(newSchedule.start_time);
+      const lastSlotMinutes = timeToMinutes(newSchedule.end_time) -
+        getSlotMinutes(reschedulingSchedule, DEFAULT_SLOT_MINUTES);
+      const moves = affectedAppointments.map(appointment => {
+        const offsetMinutes = timeToMinutes(appointment.appointment_time) - timeToMinutes(oldSchedule.start_time);
+        const newMinutes = Math.max(newStartMinutes, Math.min(newStartMinutes + offsetMinutes, lastSlotMinutes));
+        return { appointment, date: newDate, time: minutesToTime(newMinutes) };
       });
-      
-      // Wait for all appointment updates to complete
-      const updateResults = await Promise.all(updatePromises);
-      const successfulUpdates = updateResults.filter(r => r.status === 'updated').length;
-      const failedUpdates = updateResults.filter(r => r.status === 'failed').length;
-      
-      // Prepare notification payload
-      const notificationPayload = {
+
+      // Check the moves against the doctor's new schedule, time off and everyone booked on the new date,
+      // so no appointment lands on a taken slot or clashes with the patient's other appointments
+      const [doctorSchedulesResponse, newDateAppointmentsResponse, overridesResponse, absencesResponse, holidaysResponse] = await Promise.all([
+        getSchedulesByDoctor(doctorId),
+        getAppointments({ date: newDate }),
+        getScheduleOverrides({ doctor_id: doctorId }),
+        getAbsences({ doctor_id: doctorId }),
+        getHolidays()
+      ]);
+      const plan = planAppointmentMoves(moves, {
+        appointments: newDateAppointmentsResponse.data || [],
+        schedules: doctorSchedulesResponse.data || [],
+        overrides: overridesResponse.data || [],
+        absences: absencesResponse.data || [],
+        holidays: holidaysResponse.data || []
+      });
+
+      // Save the moves and send the notices through the separate notification endpoint
+      const result = await applyAppointmentMoves(plan, {
         schedule_id: scheduleId,
         old_schedule: {
           day_of_week: oldSchedule.day_of_week,
@@ -404,44 +482,19 @@ const DoctorSchedulesPage = () => {
           end_time: newSchedule.end_time
         },
         appointment_ids: affectedAppointments.map(apt => apt._id)
-      };
+      });
+      console.log(`Successfully updated ${result.successfulUpdates} appointment(s)`);
 
-      // Call separate email notification API endpoint using the service
-      // Wrap in try-catch to handle notification errors gracefully
-      let notificationResult = null;
-      let notificationError = null;
-      
-      try {
-        notificationResult = await notifyScheduleChange(notificationPayload);
-        console.log(`Successfully sent email notifications to ${affectedAppointments.length} patient(s)`);
-      } catch (notifyErr) {
-        console.error('Error sending email notifications:', notifyErr);
-        notificationError = notifyErr;
-        // Don't fail the whole operation if notifications fail
-      }
-      
-      console.log(`Successfully updated ${successfulUpdates} appointment(s)`);
-      
-      let message = `Schedule updated! ${successfulUpdates} appointment(s) updated`;
-      if (failedUpdates > 0) {
-        message += `, ${failedUpdates} failed to update`;
-      }
-      
-      if (notificationResult) {
-        message += `. ${notificationResult.data?.message || notificationResult.message || `Notifications sent to ${affectedAppointments.length} patient(s)`}`;
-      } else if (notificationError) {
-        message += `. Email notifications failed: ${notificationError.message}. Please notify patients manually.`;
-      }
-      
       return { 
         success: true, 
-        message: message,
+        message: `Schedule updated! ${summarizeMoveResults(result)}`,
         data: { 
-          notificationResult, 
-          notificationError: notificationError?.message,
-          updateResults, 
-          successfulUpdates, 
-          failedUpdates 
+          notificationResult: result.notificationResult, 
+          notificationError: result.notificationError?.message,
+          updateResults: result.updateResults, 
+          successfulUpdates: result.successfulUpdates, 
+          failedUpdates: result.failedUpdates,
+          conflictedUpdates: result.conflictedUpdates
         }
       };
     } catch (err) {
@@ -518,8 +571,9 @@ const DoctorSchedulesPage = () => {
       // Update the schedule using the existing updateDoctorSchedule function
       await updateDoctorSchedule(reschedulingSchedule._id, submitData);
       setSuccess('Schedule updated successfully!');
+      offerFreedSlots().catch(err => console.error('Error offering freed slots to the waitlist:', err));
       
-      // If schedule changed, send email notifications to affected patients via separate API
+      // If schedule changed, notify affected patients via separate API
       if (hasChanged) {
         const newSchedule = {
           day_of_week: rescheduleFormData.day_of_week,
@@ -580,6 +634,194 @@ const DoctorSchedulesPage = () => {
     }
   };
 
+  const handleOpenOverrideModal = async ({ override = null, session = null, date = '' } = {}) => {
+    if (override) {
+      setOverrideForm({
+        doctor_id: getId(override.doctor_id) || '',
+        date: (override.date || '').slice(0, 10),
+        kind: getOverrideKind(override),
+        schedule_id: getId(override.schedule_id) || '',
+        start_time: override.start_time || '',
+        end_time: override.end_time || '',
+        max_patients: override.max_patients || '',
+        reason: override.reason || ''
+      });
+    } else if (session) {
+      setOverrideForm({
+        ...EMPTY_OVERRIDE,
+        doctor_id: getId(session.doctor_id) || '',
+        date: session.date,
+        kind: 'change',
+        schedule_id: session._id,
+        start_time: session.start_time || '',
+        end_time: session.end_time || '',
+        max_patients: session.max_patients || ''
+      });
+    } else {
+      const doctorId = isDoctor() ? await getCurrentDoctorId() || '' : doctorFilter;
+      setOverrideForm({ ...EMPTY_OVERRIDE, doctor_id: doctorId, date });
+    }
+    setOverrideModal({ override });
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleCloseOverrideModal = () => {
+    setOverrideModal(null);
+    setOverrideForm(EMPTY_OVERRIDE);
+  };
+
+  const handleOverrideInputChange = (e) => {
+    const { name, value } = e.target;
+    setOverrideForm(prev => {
+      const next = { ...prev, [name]: value };
+      // Changing a session starts from its usual hours and capacity
+      if (name === 'schedule_id') {
+        const schedule = schedules.find(s => s._id === value);
+        if (schedule) {
+          next.start_time = schedule.start_time || '';
+          next.end_time = schedule.end_time || '';
+          next.max_patients = schedule.max_patients || '';
+        }
+      }
+      return next;
+    });
+  };
+
+  // Weekly sessions of the override form's doctor on its date, for choosing the one to change or cancel
+  const getOverrideSessionOptions = () => {
+    if (!overrideForm.doctor_id || !overrideForm.date) return [];
+    return schedules.filter(schedule =>
+      getId(schedule.doctor_id) === overrideForm.doctor_id &&
+      schedule.day_of_week === getDayOfWeek(overrideForm.date) &&
+      schedule.is_available !== false &&
+      isScheduleEffective(schedule, overrideForm.date)
+    );
+  };
+
+  // Appointments left outside the doctor's sessions on a date once the overrides change,
+  // with everything needed to move them to the nearest free time
+  const findDisplacedAppointments = async (doctorId, date, nextOverrides) => {
+    const [schedulesResponse, appointmentsResponse, absencesResponse, holidaysResponse] = await Promise.all([
+      getSchedulesByDoctor(doctorId),
+      isDoctor() ? getAppointmentsByDoctor(doctorId) : getAppointments(),
+      getAbsences({ doctor_id: doctorId }),
+      getHolidays()
+    ]);
+    const context = {
+      appointments: appointmentsResponse.data || [],
+      schedules: schedulesResponse.data || [],
+      overrides: nextOverrides,
+      absences: absencesResponse.data || [],
+      holidays: holidaysResponse.data || []
+    };
+    const displaced = getAppointmentsOffSchedule(context.appointments, {
+      doctorId,
+      date,
+      schedules: context.schedules,
+      overrides: nextOverrides
+    });
+    return { displaced, context };
+  };
+
+  const rebookDisplaced = async ({ displaced, context }, reason) => {
+    if (displaced.length === 0) return '';
+    const result = await applyAppointmentMoves(planRebooking(displaced, context), { reason: reason || undefined });
+    return ` ${summarizeMoveResults(result)}`;
+  };
+
+  const confirmDisplaced = (displaced) => displaced.length === 0 || window.confirm(
+    `${displaced.length} appointment(s) on this date fall outside the doctor's sessions. ` +
+    'They will be moved to the nearest free time and the patients notified. Continue?'
+  );
+
+  const handleOverrideSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    const { kind } = overrideForm;
+    if (kind !== 'extra' && !overrideForm.schedule_id) {
+      setError('Please choose the session to change');
+      return;
+    }
+    const submitData = {
+      doctor_id: overrideForm.doctor_id,
+      date: overrideForm.date,
+      schedule_id: kind === 'extra' ? null : overrideForm.schedule_id,
+      is_available: kind !== 'cancel',
+      start_time: kind === 'cancel' ? null : overrideForm.start_time || null,
+      end_time: kind === 'cancel' ? null : overrideForm.end_time || null,
+      max_patients: kind === 'cancel' ? null : parseInt(overrideForm.max_patients, 10) || null,
+      reason: overrideForm.reason.trim()
+    };
+    const validationError = validateScheduleOverride(submitData);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      const editing = overrideModal?.override;
+      const doctorOverrides = (await getScheduleOverrides({ doctor_id: submitData.doctor_id })).data || [];
+      const others = doctorOverrides.filter(override => override._id !== editing?._id);
+      const affected = await findDisplacedAppointments(submitData.doctor_id, submitData.date, [
+        ...others,
+        { ...submitData, _id: editing?._id || 'new-override' }
+      ]);
+      if (!confirmDisplaced(affected.displaced)) return;
+
+      const response = editing
+        ? await updateScheduleOverride(editing._id, submitData)
+        : await createScheduleOverride(submitData);
+      const saved = response.data || { ...submitData, _id: editing?._id };
+      const moved = await rebookDisplaced(
+        { ...affected, context: { ...affected.context, overrides: [...others, saved] } },
+        submitData.reason
+      );
+      setSuccess(`Schedule for ${submitData.date} ${editing ? 'updated' : 'saved'}!${moved}`);
+
+      // Extra or longer sessions may have room for patients on the waitlist
+      if (kind !== 'cancel') {
+        offerFreedSlots().catch(err => console.error('Error offering freed slots to the waitlist:', err));
+      }
+
+      handleCloseOverrideModal();
+      fetchSchedules();
+    } catch (err) {
+      setError(err.message || (err.data && err.data.message) || 'Failed to save schedule override');
+    }
+  };
+
+  const handleDeleteOverride = async (override) => {
+    const kind = getOverrideKind(override);
+    const question = kind === 'extra'
+      ? 'Remove this extra session?'
+      : 'Undo this change? The date follows the weekly schedule again.';
+    if (!window.confirm(question)) return;
+
+    setError(null);
+    setSuccess(null);
+    try {
+      const doctorId = getId(override.doctor_id);
+      const date = (override.date || '').slice(0, 10);
+      const others = ((await getScheduleOverrides({ doctor_id: doctorId })).data || [])
+        .filter(o => o._id !== override._id);
+      const affected = await findDisplacedAppointments(doctorId, date, others);
+      if (!confirmDisplaced(affected.displaced)) return;
+
+      await deleteScheduleOverride(override._id);
+      const moved = await rebookDisplaced(affected);
+      setSuccess(`Schedule for ${date} reset to the weekly schedule.${moved}`);
+      if (kind === 'cancel') {
+        offerFreedSlots().catch(err => console.error('Error offering freed slots to the waitlist:', err));
+      }
+      fetchSchedules();
+    } catch (err) {
+      setError(err.message || (err.data && err.data.message) || 'Failed to delete schedule override');
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     const date = new Date(dateString);
@@ -646,6 +888,7 @@ const DoctorSchedulesPage = () => {
       <div className="doctor-schedules-header">
         <h1>Doctor Schedule Management</h1>
         <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+          <Link to="/calendar?view=resource" className="btn btn-secondary">Calendar View</Link>
           {schedules.length > 0 && (
             <ReportButton
               data={schedules}
@@ -653,9 +896,16 @@ const DoctorSchedulesPage = () => {
               title="Doctor Schedules Report"
             />
           )}
-          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-            + Create Schedule
-          </button>
+          {canUpdate && (
+            <button className="btn btn-secondary" onClick={() => handleOpenOverrideModal()}>
+              + Date Override
+            </button>
+          )}
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + Create Schedule
+            </button>
+          )}
         </div>
       </div>
 
@@ -696,9 +946,36 @@ const DoctorSchedulesPage = () => {
         </div>
       )}
 
+      <div className="schedule-view-toggle">
+        <button
+          className={`btn btn-sm ${view === 'weekly' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => setView('weekly')}
+        >
+          Weekly Schedules
+        </button>
+        <button
+          className={`btn btn-sm ${view === 'calendar' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => setView('calendar')}
+        >
+          Upcoming Sessions
+        </button>
+      </div>
+
       {/* Schedules Display */}
       {loading ? (
         <div className="loading">Loading doctor schedules...</div>
+      ) : view === 'calendar' ? (
+        <ScheduleCalendar
+          schedules={schedules}
+          overrides={overrides}
+          absences={timeOff.absences}
+          holidays={timeOff.holidays}
+          getDoctorName={isDoctor() ? undefined : getDoctorName}
+          onChangeSession={canUpdate ? (session) => handleOpenOverrideModal({ session }) : undefined}
+          onEditOverride={canUpdate ? (override) => handleOpenOverrideModal({ override }) : undefined}
+          onDeleteOverride={canUpdate ? handleDeleteOverride : undefined}
+          onAddExtra={canUpdate ? (date) => handleOpenOverrideModal({ date }) : undefined}
+        />
       ) : schedules.length === 0 ? (
         <div className="no-data">No doctor schedules found</div>
       ) : (
@@ -709,7 +986,7 @@ const DoctorSchedulesPage = () => {
                 <h2 className="day-header">{day}</h2>
                 <div className="schedules-list">
                   {groupedSchedules[day].map(schedule => (
-                    <div key={schedule._id} className="schedule-card">
+                    <div key={schedule._id} className={`schedule-card ${isScheduleExpired(schedule) ? 'expired' : ''}`}>
                       <div className="schedule-header">
                         <div className="schedule-doctor-info">
                           <h3 className={`doctor-name ${!schedule.doctor_id || schedule.doctor_id === null ? 'doctor-not-found' : ''}`}>
@@ -736,6 +1013,22 @@ const DoctorSchedulesPage = () => {
                           <span className="detail-label">Max Patients:</span>
                           <span className="detail-value">{schedule.max_patients}</span>
                         </div>
+                        <div className="detail-item">
+                          <span className="detail-label">Slots:</span>
+                          <span className="detail-value">
+                            {schedule.slot_duration || DEFAULT_SLOT_MINUTES} min
+                            {schedule.slot_capacity > 1 ? ` × ${schedule.slot_capacity} patients` : ''}
+                          </span>
+                        </div>
+                        {formatEffectiveRange(schedule) && (
+                          <div className="detail-item">
+                            <span className="detail-label">Effective:</span>
+                            <span className="detail-value">
+                              {formatEffectiveRange(schedule)}
+                              {isScheduleExpired(schedule) && <span className="schedule-ended-badge">Ended</span>}
+                            </span>
+                          </div>
+                        )}
                         <div className="detail-item">
                           <span className="detail-label">Created:</span>
                           <span className="detail-value">{formatDate(schedule.created_at)}</span>
@@ -743,25 +1036,31 @@ const DoctorSchedulesPage = () => {
                       </div>
                       
                       <div className="schedule-actions">
-                        <button
-                          className="btn btn-sm btn-edit"
-                          onClick={() => handleOpenModal(schedule)}
-                        >
-                          Edit
-                        </button>
-                        <button
-                          className="btn btn-sm btn-reschedule"
-                          onClick={() => handleOpenRescheduleModal(schedule)}
-                          style={{ backgroundColor: '#ff9800', color: 'white' }}
-                        >
-                          Re-schedule
-                        </button>
-                        <button
-                          className="btn btn-sm btn-delete"
-                          onClick={() => handleDelete(schedule._id)}
-                        >
-                          Delete
-                        </button>
+                        {canUpdate && (
+                          <button
+                            className="btn btn-sm btn-edit"
+                            onClick={() => handleOpenModal(schedule)}
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {canUpdate && (
+                          <button
+                            className="btn btn-sm btn-reschedule"
+                            onClick={() => handleOpenRescheduleModal(schedule)}
+                            style={{ backgroundColor: '#ff9800', color: 'white' }}
+                          >
+                            Re-schedule
+                          </button>
+                        )}
+                        {canDelete && (
+                          <button
+                            className="btn btn-sm btn-delete"
+                            onClick={() => handleDelete(schedule._id)}
+                          >
+                            Delete
+                          </button>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -771,7 +1070,7 @@ const DoctorSchedulesPage = () => {
           ) : (
             <div className="schedules-list">
               {schedules.map(schedule => (
-                <div key={schedule._id} className="schedule-card">
+                <div key={schedule._id} className={`schedule-card ${isScheduleExpired(schedule) ? 'expired' : ''}`}>
                   <div className="schedule-header">
                     <div className="schedule-doctor-info">
                       <h3 className={`doctor-name ${!schedule.doctor_id || schedule.doctor_id === null ? 'doctor-not-found' : ''}`}>
@@ -799,6 +1098,22 @@ const DoctorSchedulesPage = () => {
                       <span className="detail-label">Max Patients:</span>
                       <span className="detail-value">{schedule.max_patients}</span>
                     </div>
+                    <div className="detail-item">
+                      <span className="detail-label">Slots:</span>
+                      <span className="detail-value">
+                        {schedule.slot_duration || DEFAULT_SLOT_MINUTES} min
+                        {schedule.slot_capacity > 1 ? ` × ${schedule.slot_capacity} patients` : ''}
+                      </span>
+                    </div>
+                    {formatEffectiveRange(schedule) && (
+                      <div className="detail-item">
+                        <span className="detail-label">Effective:</span>
+                        <span className="detail-value">
+                          {formatEffectiveRange(schedule)}
+                          {isScheduleExpired(schedule) && <span className="schedule-ended-badge">Ended</span>}
+                        </span>
+                      </div>
+                    )}
                     <div className="detail-item">
                       <span className="detail-label">Created:</span>
                       <span className="detail-value">{formatDate(schedule.created_at)}</span>
@@ -806,25 +1121,31 @@ const DoctorSchedulesPage = () => {
                   </div>
                   
                   <div className="schedule-actions">
-                    <button
-                      className="btn btn-sm btn-edit"
-                      onClick={() => handleOpenModal(schedule)}
-                    >
-                      Edit
-                    </button>
-                    <button
-                      className="btn btn-sm btn-reschedule"
-                      onClick={() => handleOpenRescheduleModal(schedule)}
-                      style={{ backgroundColor: '#ff9800', color: 'white' }}
-                    >
-                      Re-schedule
-                    </button>
-                    <button
-                      className="btn btn-sm btn-delete"
-                      onClick={() => handleDelete(schedule._id)}
-                    >
-                      Delete
-                    </button>
+                    {canUpdate && (
+                      <button
+                        className="btn btn-sm btn-edit"
+                        onClick={() => handleOpenModal(schedule)}
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {canUpdate && (
+                      <button
+                        className="btn btn-sm btn-reschedule"
+                        onClick={() => handleOpenRescheduleModal(schedule)}
+                        style={{ backgroundColor: '#ff9800', color: 'white' }}
+                      >
+                        Re-schedule
+                      </button>
+                    )}
+                    {canDelete && (
+                      <button
+                        className="btn btn-sm btn-delete"
+                        onClick={() => handleDelete(schedule._id)}
+                      >
+                        Delete
+                      </button>
+                    )}
                   </div>
                 </div>
               ))}
@@ -942,6 +1263,64 @@ const DoctorSchedulesPage = () => {
                 </div>
               </div>
 
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="slot_duration">Slot Length *</label>
+                  <select
+                    id="slot_duration"
+                    name="slot_duration"
+                    value={formData.slot_duration}
+                    onChange={handleInputChange}
+                    required
+                  >
+                    {SLOT_LENGTH_OPTIONS.map(minutes => (
+                      <option key={minutes} value={minutes}>{minutes} minutes</option>
+                    ))}
+                  </select>
+                  <small className="form-hint">Patients book the session in slots of this length</small>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="slot_capacity">Patients per Slot *</label>
+                  <input
+                    type="number"
+                    id="slot_capacity"
+                    name="slot_capacity"
+                    value={formData.slot_capacity}
+                    onChange={handleInputChange}
+                    required
+                    min="1"
+                  />
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="effective_from">Effective From</label>
+                  <input
+                    type="date"
+                    id="effective_from"
+                    name="effective_from"
+                    value={formData.effective_from}
+                    onChange={handleInputChange}
+                  />
+                  <small className="form-hint">Leave empty to start right away</small>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="effective_to">Effective Until</label>
+                  <input
+                    type="date"
+                    id="effective_to"
+                    name="effective_to"
+                    value={formData.effective_to}
+                    onChange={handleInputChange}
+                    min={formData.effective_from || undefined}
+                  />
+                  <small className="form-hint">Leave empty to repeat with no end date</small>
+                </div>
+              </div>
+
               {error && (
                 <div className="alert alert-error">
                   {error}
@@ -971,7 +1350,7 @@ const DoctorSchedulesPage = () => {
             </div>
             
             <div style={{ padding: '1.5rem', backgroundColor: '#fff3cd', borderRadius: '4px', marginBottom: '1rem', marginLeft: '1.5rem', marginRight: '1.5rem', marginTop: '1rem' }}>
-              <strong>⚠️ Important:</strong> Changing this schedule will automatically send email notifications to all patients who have appointments booked for this schedule.
+              <strong>⚠️ Important:</strong> Changing this schedule will automatically notify all patients who have appointments booked for this schedule.
             </div>
 
             <form onSubmit={handleRescheduleSubmit}>
@@ -1062,6 +1441,159 @@ const DoctorSchedulesPage = () => {
           </div>
         </div>
       )}
+
+      {/* Date Override Modal */}
+      {overrideModal && (
+        <div className="modal-overlay" onClick={handleCloseOverrideModal}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{overrideModal.override ? 'Edit Date Override' : 'Override a Date'}</h2>
+              <button className="modal-close" onClick={handleCloseOverrideModal}>×</button>
+            </div>
+
+            <form onSubmit={handleOverrideSubmit}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="override_doctor_id">Doctor *</label>
+                  <select
+                    id="override_doctor_id"
+                    name="doctor_id"
+                    value={overrideForm.doctor_id}
+                    onChange={handleOverrideInputChange}
+                    disabled={isDoctor() || !!overrideModal.override}
+                    required
+                  >
+                    <option value="">Select a doctor</option>
+                    {doctors.map(doctor => (
+                      <option key={doctor._id} value={doctor._id}>
+                        Dr. {doctor.first_name} {doctor.last_name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="override_date">Date *</label>
+                  <input
+                    type="date"
+                    id="override_date"
+                    name="date"
+                    value={overrideForm.date}
+                    onChange={handleOverrideInputChange}
+                    disabled={!!overrideModal.override}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="override_kind">Change *</label>
+                <select
+                  id="override_kind"
+                  name="kind"
+                  value={overrideForm.kind}
+                  onChange={handleOverrideInputChange}
+                  disabled={!!overrideModal.override}
+                >
+                  {OVERRIDE_KINDS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {overrideForm.kind !== 'extra' && (
+                <div className="form-group">
+                  <label htmlFor="override_schedule_id">Session *</label>
+                  <select
+                    id="override_schedule_id"
+                    name="schedule_id"
+                    value={overrideForm.schedule_id}
+                    onChange={handleOverrideInputChange}
+                    disabled={!!overrideModal.override}
+                    required
+                  >
+                    <option value="">Select a session</option>
+                    {getOverrideSessionOptions().map(schedule => (
+                      <option key={schedule._id} value={schedule._id}>
+                        {schedule.day_of_week} {schedule.start_time} - {schedule.end_time}
+                      </option>
+                    ))}
+                  </select>
+                  <small className="form-hint">The doctor's weekly sessions on this date</small>
+                </div>
+              )}
+
+              {overrideForm.kind !== 'cancel' && (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="override_start_time">Start Time{overrideForm.kind === 'extra' ? ' *' : ''}</label>
+                    <input
+                      type="time"
+                      id="override_start_time"
+                      name="start_time"
+                      value={overrideForm.start_time}
+                      onChange={handleOverrideInputChange}
+                      required={overrideForm.kind === 'extra'}
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="override_end_time">End Time{overrideForm.kind === 'extra' ? ' *' : ''}</label>
+                    <input
+                      type="time"
+                      id="override_end_time"
+                      name="end_time"
+                      value={overrideForm.end_time}
+                      onChange={handleOverrideInputChange}
+                      required={overrideForm.kind === 'extra'}
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="override_max_patients">Max Patients</label>
+                    <input
+                      type="number"
+                      id="override_max_patients"
+                      name="max_patients"
+                      value={overrideForm.max_patients}
+                      onChange={handleOverrideInputChange}
+                      min="1"
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="override_reason">Reason</label>
+                <input
+                  type="text"
+                  id="override_reason"
+                  name="reason"
+                  value={overrideForm.reason}
+                  onChange={handleOverrideInputChange}
+                  placeholder="e.g. Extra clinic for follow-ups"
+                />
+                <small className="form-hint">Shown on the schedule and told to patients whose appointments are moved</small>
+              </div>
+
+              {error && (
+                <div className="alert alert-error">
+                  {error}
+                </div>
+              )}
+
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={handleCloseOverrideModal}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  {overrideModal.override ? 'Update' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -8,10 +8,15 @@ import {
 } from '../services/doctorService';
 import { getDepartments } from '../services/departmentService';
 import ErrorDisplay from '../components/ErrorDisplay';
-import ReportButton from '../components/ReportButton';
+import DataTable from '../components/DataTable';
+import { can } from '../utils/accessControl';
 import './DoctorsPage.css';
 
 const DoctorsPage = () => {
+  const canCreate = can('doctors', 'create');
+  const canUpdate = can('doctors', 'update');
+  const canDelete = can('doctors', 'delete');
+
   const [doctors, setDoctors] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -27,6 +32,7 @@ const DoctorsPage = () => {
     phone: '',
     email: '',
     specialization: '',
+    room: '',
     department_id: '',
     status: 'active'
   });
@@ -101,6 +107,7 @@ const DoctorsPage = () => {
         phone: doctor.phone || '',
         email: doctor.email || '',
         specialization: doctor.specialization || '',
+        room: doctor.room || '',
         department_id: doctor.department_id._id || doctor.department_id || '',
         status: doctor.status || 'active'
       });
@@ -113,6 +120,7 @@ const DoctorsPage = () => {
         phone: '',
         email: '',
         specialization: '',
+        room: '',
         department_id: '',
         status: 'active'
       });
@@ -132,6 +140,7 @@ const DoctorsPage = () => {
       phone: '',
       email: '',
       specialization: '',
+      room: '',
       department_id: '',
       status: 'active'
     });
@@ -221,22 +230,117 @@ const DoctorsPage = () => {
     }))
   });
 
+  const handleBulkDelete = async (selectedDoctors) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await Promise.all(selectedDoctors.map(doctor => deleteDoctor(doctor._id)));
+      setSuccess(`${selectedDoctors.length} doctor(s) deleted successfully!`);
+    } catch (err) {
+      setError(err);
+    }
+    fetchDoctors();
+  };
+
+  const bulkActions = canDelete
+    ? [{ label: 'Delete Selected', className: 'btn-delete', confirm: 'Delete {count} selected doctor(s)?', onClick: handleBulkDelete }]
+    : [];
+
+  const columns = [
+    {
+      key: 'name',
+      label: 'Name',
+      sortKey: 'last_name',
+      className: 'doctor-name',
+      value: doctor => `${doctor.first_name || ''} ${doctor.last_name || ''}`.trim(),
+      render: doctor => `Dr. ${doctor.first_name} ${doctor.last_name}`
+    },
+    {
+      key: 'gender',
+      label: 'Gender',
+      filterOptions: [
+        { value: 'male', label: 'Male' },
+        { value: 'female', label: 'Female' },
+        { value: 'other', label: 'Other' }
+      ],
+      render: doctor => (
+        <span className={`gender-badge gender-${doctor.gender}`}>
+          {doctor.gender}
+        </span>
+      )
+    },
+    {
+      key: 'specialization',
+      label: 'Specialization',
+      render: doctor => doctor.specialization || <span className="text-muted">N/A</span>
+    },
+    {
+      key: 'department',
+      label: 'Department',
+      value: doctor => doctor.department_id?.department_name || 'N/A'
+    },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    {
+      key: 'status',
+      label: 'Status',
+      filterOptions: [
+        { value: 'active', label: 'Active' },
+        { value: 'inactive', label: 'Inactive' }
+      ],
+      render: doctor => (
+        <span className={`status-badge status-${doctor.status}`}>
+          {doctor.status}
+        </span>
+      )
+    },
+    {
+      key: 'createdAt',
+      label: 'Created At',
+      filterable: false,
+      render: doctor => formatDate(doctor.createdAt),
+      exportValue: doctor => formatDate(doctor.createdAt)
+    },
+    {
+      key: 'actions',
+      label: 'Actions',
+      sortable: false,
+      filterable: false,
+      hideable: false,
+      exportable: false,
+      render: doctor => (
+        <div className="action-buttons">
+          {canUpdate && (
+            <button
+              className="btn btn-sm btn-edit"
+              onClick={() => handleOpenModal(doctor)}
+            >
+              Edit
+            </button>
+          )}
+          {canDelete && (
+            <button
+              className="btn btn-sm btn-delete"
+              onClick={() => handleDelete(doctor._id)}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      )
+    }
+  ];
+
   return (
     <div className="doctors-page">
       <div className="doctors-header">
         <h1>Doctor Management</h1>
         <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
-          {filteredDoctors.length > 0 && (
-            <ReportButton
-              data={filteredDoctors}
-              entityType="doctors"
-              title="Doctors Report"
-              filters={{ department_id: departmentFilter }}
-            />
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + Add New Doctor
+            </button>
           )}
-          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-            + Add New Doctor
-          </button>
         </div>
       </div>
 
@@ -294,68 +398,16 @@ const DoctorsPage = () => {
       {/* Doctors Table */}
       {loading ? (
         <div className="loading">Loading doctors...</div>
-      ) : filteredDoctors.length === 0 ? (
-        <div className="no-data">No doctors found</div>
       ) : (
-        <div className="table-container">
-          <table className="doctors-table">
-            <thead>
-              <tr>
-                <th>Name</th>
-                <th>Gender</th>
-                <th>Specialization</th>
-                <th>Department</th>
-                <th>Email</th>
-                <th>Phone</th>
-                <th>Status</th>
-                <th>Created At</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {filteredDoctors.map(doctor => (
-                <tr key={doctor._id}>
-                  <td className="doctor-name">
-                    Dr. {doctor.first_name} {doctor.last_name}
-                  </td>
-                  <td>
-                    <span className={`gender-badge gender-${doctor.gender}`}>
-                      {doctor.gender}
-                    </span>
-                  </td>
-                  <td>{doctor.specialization || <span className="text-muted">N/A</span>}</td>
-                  <td>
-                    {doctor.department_id?.department_name || 'N/A'}
-                  </td>
-                  <td>{doctor.email}</td>
-                  <td>{doctor.phone}</td>
-                  <td>
-                    <span className={`status-badge status-${doctor.status}`}>
-                      {doctor.status}
-                    </span>
-                  </td>
-                  <td>{formatDate(doctor.createdAt)}</td>
-                  <td>
-                    <div className="action-buttons">
-                      <button
-                        className="btn btn-sm btn-edit"
-                        onClick={() => handleOpenModal(doctor)}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        className="btn btn-sm btn-delete"
-                        onClick={() => handleDelete(doctor._id)}
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+        <DataTable
+          columns={columns}
+          data={filteredDoctors}
+          bulkActions={bulkActions}
+          storageKey="doctors"
+          tableClassName="doctors-table"
+          emptyMessage="No doctors found"
+          report={{ entityType: 'doctors', title: 'Doctors Report', filters: { department_id: departmentFilter } }}
+        />
       )}
 
       {/* Modal for Create/Edit */}
@@ -463,6 +515,19 @@ const DoctorsPage = () => {
                 />
               </div>
 
+              <div className="form-group">
+                <label htmlFor="room">Room</label>
+                <input
+                  type="text"
+                  id="room"
+                  name="room"
+                  value={formData.room}
+                  onChange={handleInputChange}
+                  placeholder="e.g., Clinic 3"
+                />
+                <small className="form-hint">Shown on the waiting-room display board</small>
+              </div>
+
               <div className="form-group">
                 <label htmlFor="department_id">Department *</label>
                 {departments.length > 0 ? (
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { getCurrentUser } from '../services/authService';
+import { getHomePath } from '../utils/accessControl';
+import './ForbiddenPage.css';
+
+const ForbiddenPage = () => {
+  const location = useLocation();
+  const currentUser = getCurrentUser();
+
+  return (
+    <div className="forbidden-page">
+      <div className="forbidden-card">
+        <div className="forbidden-code">403</div>
+        <h1>Access denied</h1>
+        <p>
+          Your role{currentUser?.role ? ` (${currentUser.role})` : ''} does not have access to{' '}
+          <code>{location.pathname}</code>.
+        </p>
+        <p className="forbidden-hint">
+          If you think this is a mistake, ask an administrator to review your role.
+        </p>
+        <Link to={getHomePath(currentUser)} className="btn btn-primary">
+          Go to my dashboard
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForbiddenPage;
@@ -180,6 +180,10 @@ const HomePage = () => {
                   <span>Appointment Portal</span>
                   <span className="btn-arrow">→</span>
                 </Link>
+                <Link to="/manage-booking" className="btn btn-secondary btn-hero">
+                  <span>Manage My Booking</span>
+                  <span className="btn-arrow">→</span>
+                </Link>
                 <Link to="/contact" className="btn btn-secondary btn-hero">
                   <span>Contact Us</span>
                   <span className="btn-arrow">→</span>
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { login } from '../services/userService';
-import { isAuthenticated } from '../services/authService';
+import { isAuthenticated, getCurrentUser } from '../services/authService';
+import { getRoles } from '../services/roleService';
+import { canAccessPath, getHomePath, applyRolePermissions } from '../utils/accessControl';
 import HospitalLogo from '../components/HospitalLogo';
 import './LoginPage.css';
 
@@ -17,10 +19,18 @@ const LoginPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
 
+  // Explain why the user is back on the login page (set by SessionManager)
+  const sessionEndedMessages = {
+    idle: 'You were signed out after a period of inactivity.',
+    expired: 'Your session has expired. Please sign in again.',
+    logout: 'You were signed out in another tab.'
+  };
+  const sessionEndedMessage = sessionEndedMessages[location.state?.sessionEnded] || null;
+
   // Redirect if already logged in
   useEffect(() => {
     if (isAuthenticated()) {
-      navigate('/dashboard', { replace: true });
+      navigate(getHomePath(getCurrentUser()), { replace: true });
     }
   }, [navigate]);
 
@@ -65,8 +75,17 @@ const LoginPage = () => {
       localStorage.setItem('token', user._id);
       }
 
-      const from = location.state?.from?.pathname || '/dashboard';
-      navigate(from, { replace: true });
+      // Load the permission set of this user's role; built-in roles fall back to defaults
+      try {
+        const rolesResponse = await getRoles();
+        applyRolePermissions(rolesResponse.data || [], user);
+      } catch (rolesError) {
+        console.warn('Could not load role permissions, using defaults:', rolesError.message);
+      }
+
+      // Return to the page that required login, unless this role cannot open it
+      const from = location.state?.from?.pathname;
+      navigate(from && canAccessPath(user, from) ? from : getHomePath(user), { replace: true });
 
     } catch (err) {
       setError(
@@ -122,6 +141,12 @@ const LoginPage = () => {
               <p>Sign in to access your account</p>
             </div>
 
+            {sessionEndedMessage && !error && (
+              <div className="login-notice">
+                <span>{sessionEndedMessage}</span>
+              </div>
+            )}
+
             {error && (
               <div className="login-error">
                 <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
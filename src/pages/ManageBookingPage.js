@@ -0,0 +1,285 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  cancelPublicBooking,
+  confirmPublicBooking,
+  findPublicBooking,
+  getPublicSlots,
+  reschedulePublicBooking
+} from '../services/publicBookingService';
+import { downloadAppointmentCalendar } from '../services/calendarService';
+import HospitalLogo from '../components/HospitalLogo';
+import ErrorDisplay from '../components/ErrorDisplay';
+import SlotPicker from '../components/SlotPicker';
+import { getStatusLabel } from '../utils/appointmentStatus';
+import { getDateKey } from '../utils/slots';
+import './ManageBookingPage.css';
+
+/**
+ * Manage My Booking
+ * Patients who booked on the public booking page look their booking up with the booking reference
+ * and the phone number they gave, then confirm, reschedule or cancel it. Works without signing in;
+ * only the booking that matches both is ever shown.
+ */
+const ManageBookingPage = () => {
+  const [searchParams] = useSearchParams();
+  const [lookup, setLookup] = useState({ reference: searchParams.get('reference') || '', phone: '' });
+  const [booking, setBooking] = useState(null);
+  const [mode, setMode] = useState(null); // 'reschedule' or 'cancel' while that form is open
+  const [newSlot, setNewSlot] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const handleLookupChange = (e) => {
+    const { name, value } = e.target;
+    setLookup(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setResult(null);
+    if (!lookup.reference.trim() || !lookup.phone.trim()) {
+      setError('Please enter your booking reference and phone number');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await findPublicBooking(lookup.reference, lookup.phone);
+      setBooking(response.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeForms = () => {
+    setMode(null);
+    setNewSlot(null);
+    setCancelReason('');
+  };
+
+  // Every change answers with the updated booking and a message for the patient
+  const runAction = async (action) => {
+    setSubmitting(true);
+    setError(null);
+    setResult(null);
+    try {
+      const response = await action();
+      setBooking(response.data);
+      setResult(response.message);
+      closeForms();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleConfirm = () =>
+    runAction(() => confirmPublicBooking(booking.booking_reference, lookup.phone));
+
+  const handleReschedule = () =>
+    runAction(() => reschedulePublicBooking(booking.booking_reference, lookup.phone, {
+      appointment_date: new Date(newSlot.date).toISOString(),
+      appointment_time: newSlot.time
+    }));
+
+  const handleCancel = () =>
+    runAction(() => cancelPublicBooking(booking.booking_reference, lookup.phone, cancelReason.trim()));
+
+  const handleLookupAnother = () => {
+    setBooking(null);
+    setLookup({ reference: '', phone: '' });
+    setError(null);
+    setResult(null);
+    closeForms();
+  };
+
+  const handleAddToCalendar = () => {
+    downloadAppointmentCalendar({ ...booking, _id: booking.booking_reference }, {
+      doctorName: booking.doctor_name,
+      department: booking.department_name,
+      location: booking.room
+    });
+  };
+
+  const formatDate = (value) => new Date(`${getDateKey(value)}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  return (
+    <div className="manage-booking-page">
+      <div className="manage-booking-card">
+        <div className="manage-booking-brand">
+          <HospitalLogo size="small" shape="circle" />
+          <h1>Manage My Booking</h1>
+        </div>
+
+        {!booking ? (
+          <form onSubmit={handleLookup}>
+            <p className="manage-booking-intro">
+              Enter the booking reference you got when you booked and the phone number you booked with.
+            </p>
+            {error && <ErrorDisplay error={error} />}
+            <div className="form-group">
+              <label htmlFor="reference">Booking Reference *</label>
+              <input
+                type="text"
+                id="reference"
+                name="reference"
+                value={lookup.reference}
+                onChange={handleLookupChange}
+                placeholder="e.g. KSOH-7F3K9Q"
+                autoComplete="off"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="phone">Phone Number *</label>
+              <input
+                type="tel"
+                id="phone"
+                name="phone"
+                value={lookup.phone}
+                onChange={handleLookupChange}
+                required
+              />
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Looking up...' : 'Find My Booking'}
+            </button>
+          </form>
+        ) : (
+          <>
+            <dl className="manage-booking-details">
+              <dt>Reference</dt>
+              <dd className="manage-booking-reference">{booking.booking_reference}</dd>
+              <dt>Doctor</dt>
+              <dd>{booking.doctor_name || 'N/A'}</dd>
+              {booking.department_name && (
+                <>
+                  <dt>Department</dt>
+                  <dd>{booking.department_name}</dd>
+                </>
+              )}
+              <dt>Date</dt>
+              <dd>{formatDate(booking.appointment_date)}</dd>
+              <dt>Time</dt>
+              <dd>{booking.appointment_time}</dd>
+              {booking.room && (
+                <>
+                  <dt>Location</dt>
+                  <dd>{booking.room}</dd>
+                </>
+              )}
+              {booking.reason && (
+                <>
+                  <dt>Reason</dt>
+                  <dd>{booking.reason}</dd>
+                </>
+              )}
+              <dt>Status</dt>
+              <dd>
+                <span className={`status-badge status-${booking.status}`}>{getStatusLabel(booking.status)}</span>
+              </dd>
+            </dl>
+
+            {error && <ErrorDisplay error={error} />}
+            {result && <div className="alert alert-success">{result}</div>}
+
+            {booking.can_change && mode === 'reschedule' && (
+              <div className="manage-booking-form">
+                <SlotPicker
+                  doctorId={booking.doctor_id}
+                  date={newSlot?.date}
+                  time={newSlot?.time}
+                  onChange={setNewSlot}
+                  loadSlots={getPublicSlots}
+                />
+                <div className="manage-booking-actions">
+                  <button type="button" className="btn btn-secondary" onClick={closeForms} disabled={submitting}>
+                    Back
+                  </button>
+                  <button type="button" className="btn btn-primary" onClick={handleReschedule} disabled={submitting || !newSlot}>
+                    {submitting ? 'Saving...' : newSlot ? `Move to ${newSlot.time}` : 'Pick a New Time'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {booking.can_change && mode === 'cancel' && (
+              <div className="manage-booking-form">
+                <div className="form-group">
+                  <label htmlFor="cancel_reason">Reason (optional)</label>
+                  <textarea
+                    id="cancel_reason"
+                    value={cancelReason}
+                    onChange={(e) => setCancelReason(e.target.value)}
+                    rows="2"
+                  />
+                </div>
+                <div className="manage-booking-actions">
+                  <button type="button" className="btn btn-secondary" onClick={closeForms} disabled={submitting}>
+                    Keep My Appointment
+                  </button>
+                  <button type="button" className="btn btn-delete" onClick={handleCancel} disabled={submitting}>
+                    {submitting ? 'Cancelling...' : 'Cancel My Appointment'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {booking.can_change && !mode && (
+              <div className="manage-booking-actions">
+                {booking.status !== 'confirmed' && (
+                  <button type="button" className="btn btn-primary" onClick={handleConfirm} disabled={submitting}>
+                    {submitting ? 'Saving...' : 'Confirm I Will Attend'}
+                  </button>
+                )}
+                <button type="button" className="btn btn-secondary" onClick={() => setMode('reschedule')}>
+                  Reschedule
+                </button>
+                <button type="button" className="btn btn-delete" onClick={() => setMode('cancel')}>
+                  Cancel Booking
+                </button>
+              </div>
+            )}
+
+            {!booking.can_change && (
+              <p className="manage-booking-intro">
+                This booking can no longer be changed online. <Link to="/contact">Contact us</Link> if you need help.
+              </p>
+            )}
+
+            <div className="manage-booking-actions">
+              {booking.status !== 'cancelled' && (
+                <button type="button" className="btn btn-sm btn-secondary" onClick={handleAddToCalendar}>
+                  📅 Add to Calendar
+                </button>
+              )}
+              <button type="button" className="btn btn-sm btn-secondary" onClick={handleLookupAnother}>
+                Look Up Another Booking
+              </button>
+            </div>
+          </>
+        )}
+
+        <p className="manage-booking-help">
+          <Link to="/scheduled-appointments">Book a new appointment</Link> or <Link to="/">go back home</Link>.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ManageBookingPage;
@@ -12,9 +12,17 @@ import { getAppointmentsByDoctor } from '../services/appointmentService';
 import { getCurrentDoctorId, isDoctor } from '../utils/doctorUtils';
 import ErrorDisplay from '../components/ErrorDisplay';
 import ReportButton from '../components/ReportButton';
+import Pagination from '../components/Pagination';
+import usePaginationParams from '../hooks/usePaginationParams';
+import { paginateLocally, toPageResult } from '../utils/pagination';
+import { can } from '../utils/accessControl';
 import './MedicalRecordsPage.css';
 
 const MedicalRecordsPage = () => {
+  const canCreate = can('medicalRecords', 'create');
+  const canUpdate = can('medicalRecords', 'update');
+  const canDelete = can('medicalRecords', 'delete');
+
   const [records, setRecords] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -29,8 +37,13 @@ const MedicalRecordsPage = () => {
     treatment_notes: ''
   });
   
-  // Filter state
-  const [patientFilter, setPatientFilter] = useState('');
+  // Paging, sorting and the patient filter live in the URL
+  const {
+    page, limit, sort, filters,
+    setPage, setLimit, setSort, setFilter, resetParams
+  } = usePaginationParams({ defaultSort: '-createdAt', filterKeys: ['patient_id'] });
+  const patientFilter = filters.patient_id;
+  const [pageInfo, setPageInfo] = useState({ total: 0, totalPages: 1 });
   
   // Patients state for dropdowns
   const [patients, setPatients] = useState([]);
@@ -39,62 +52,57 @@ const MedicalRecordsPage = () => {
     setLoading(true);
     setError(null);
     try {
-      let response;
+      const query = { page, limit, sort };
+      let result;
       
       // If user is a doctor, only fetch records for their patients
       if (isDoctor()) {
         const doctorId = await getCurrentDoctorId();
-        if (doctorId) {
-          // Get doctor's appointments to find their patients
-          const appointmentsRes = await getAppointmentsByDoctor(doctorId);
-          const appointments = appointmentsRes.data || [];
-          const patientIds = new Set(
-            appointments.map(apt => {
-              const patientId = typeof apt.patient_id === 'object' ? apt.patient_id._id : apt.patient_id;
-              return patientId;
-            }).filter(Boolean)
-          );
-          
-          // Fetch all records and filter by doctor's patients
-          const allRecordsRes = await getMedicalRecords();
-          const allRecords = allRecordsRes.data || [];
-          let filteredRecords = allRecords.filter(record => {
-            const recordPatientId = typeof record.patient_id === 'object' ? record.patient_id._id : record.patient_id;
-            return patientIds.has(recordPatientId);
-          });
-          
-          // Apply patient filter if set
-          if (patientFilter) {
-            filteredRecords = filteredRecords.filter(record => {
-              const recordPatientId = typeof record.patient_id === 'object' ? record.patient_id._id : record.patient_id;
-              return recordPatientId === patientFilter;
-            });
-          }
-          
-          setRecords(filteredRecords);
-          setLoading(false);
-          return;
-        } else {
+        if (!doctorId) {
           setError('Doctor profile not found. Please contact administrator.');
           setRecords([]);
-          setLoading(false);
+          setPageInfo({ total: 0, totalPages: 1 });
           return;
         }
-      }
-      
-      // Admin logic
-      if (patientFilter) {
-        response = await getRecordsByPatient(patientFilter);
+
+        // Get doctor's appointments to find their patients
+        const appointmentsRes = await getAppointmentsByDoctor(doctorId);
+        const appointments = appointmentsRes.data || [];
+        const patientIds = new Set(
+          appointments.map(apt => {
+            const patientId = typeof apt.patient_id === 'object' ? apt.patient_id._id : apt.patient_id;
+            return patientId;
+          }).filter(Boolean)
+        );
+        
+        // Fetch all records, keep the doctor's patients and page through them here
+        const allRecordsRes = await getMedicalRecords();
+        const allRecords = allRecordsRes.data || [];
+        result = paginateLocally(allRecords, {
+          ...query,
+          filter: record => {
+            const recordPatientId = typeof record.patient_id === 'object' ? record.patient_id._id : record.patient_id;
+            return patientIds.has(recordPatientId) && (!patientFilter || recordPatientId === patientFilter);
+          }
+        });
+      } else if (patientFilter) {
+        // Admin logic
+        result = toPageResult(await getRecordsByPatient(patientFilter), query);
       } else {
-        response = await getMedicalRecords();
+        result = toPageResult(await getMedicalRecords(query), query);
+      }
+
+      setRecords(result.items);
+      setPageInfo({ total: result.total, totalPages: result.totalPages });
+      if (result.page !== page) {
+        setPage(result.page);
       }
-      setRecords(response.data || []);
     } catch (err) {
       setError(err.message || 'Failed to fetch medical records');
     } finally {
       setLoading(false);
     }
-  }, [patientFilter]);
+  }, [page, limit, sort, patientFilter, setPage]);
 
   const fetchPatients = useCallback(async () => {
     try {
@@ -124,7 +132,7 @@ const MedicalRecordsPage = () => {
   };
 
   const handleFilterChange = (e) => {
-    setPatientFilter(e.target.value);
+    setFilter('patient_id', e.target.value);
   };
 
   const handleOpenModal = (record = null) => {
@@ -230,9 +238,11 @@ const MedicalRecordsPage = () => {
               filters={{ patient_id: patientFilter }}
             />
           )}
-          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-            + Create Medical Record
-          </button>
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + Create Medical Record
+            </button>
+          )}
         </div>
       </div>
 
@@ -254,9 +264,22 @@ const MedicalRecordsPage = () => {
           </select>
         </div>
         
+        <div className="filter-group">
+          <label htmlFor="sort-records">Sort by:</label>
+          <select
+            id="sort-records"
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+          >
+            <option value="-createdAt">Newest first</option>
+            <option value="createdAt">Oldest first</option>
+            <option value="diagnosis">Diagnosis (A–Z)</option>
+          </select>
+        </div>
+        
         <button 
           className="btn btn-secondary" 
-          onClick={() => setPatientFilter('')}
+          onClick={resetParams}
         >
           Clear Filter
         </button>
@@ -314,24 +337,40 @@ const MedicalRecordsPage = () => {
               </div>
               
               <div className="record-actions">
-                <button
-                  className="btn btn-sm btn-edit"
-                  onClick={() => handleOpenModal(record)}
-                >
-                  Edit
-                </button>
-                <button
-                  className="btn btn-sm btn-delete"
-                  onClick={() => handleDelete(record._id)}
-                >
-                  Delete
-                </button>
+                {canUpdate && (
+                  <button
+                    className="btn btn-sm btn-edit"
+                    onClick={() => handleOpenModal(record)}
+                  >
+                    Edit
+                  </button>
+                )}
+                {canDelete && (
+                  <button
+                    className="btn btn-sm btn-delete"
+                    onClick={() => handleDelete(record._id)}
+                  >
+                    Delete
+                  </button>
+                )}
               </div>
             </div>
           ))}
         </div>
       )}
 
+      {!loading && (
+        <Pagination
+          page={page}
+          totalPages={pageInfo.totalPages}
+          total={pageInfo.total}
+          limit={limit}
+          onPageChange={setPage}
+          onLimitChange={setLimit}
+          itemLabel="records"
+        />
+      )}
+
       {/* Modal for Create/Edit */}
       {showModal && (
         <div className="modal-overlay" onClick={handleCloseModal}>
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getMessages, sendMessage } from '../services/messageService';
+import ErrorDisplay from '../components/ErrorDisplay';
+import { can } from '../utils/accessControl';
+import { DELIVERY_STATUSES, getChannelLabel, getDeliveryStatusLabel, MESSAGE_CHANNELS } from '../utils/messaging';
+import './MessagesPage.css';
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const TYPE_LABELS = {
+  'appointment-reminder': 'Reminder',
+  'schedule-change': 'Schedule Change',
+  'waitlist-offer': 'Waitlist Offer',
+  general: 'General'
+};
+
+/**
+ * Patient messages
+ * Delivery log of every email, SMS and WhatsApp message sent to patients, with the status
+ * last reported by the provider. Failed messages can be sent again from here.
+ */
+const MessagesPage = () => {
+  const canSend = can('messages', 'create');
+
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [channelFilter, setChannelFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [retryingId, setRetryingId] = useState(null);
+
+  const fetchMessages = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getMessages({
+        channel: channelFilter || undefined,
+        status: statusFilter || undefined
+      });
+      setMessages(response.data || []);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [channelFilter, statusFilter]);
+
+  useEffect(() => {
+    fetchMessages();
+  }, [fetchMessages]);
+
+  const handleRetry = async (message) => {
+    setError(null);
+    setSuccess(null);
+    setRetryingId(message._id);
+    try {
+      const response = await sendMessage({
+        channel: message.channel,
+        to: message.to,
+        subject: message.subject,
+        message: message.message,
+        type: message.type,
+        patient_id: getId(message.patient_id),
+        appointment_id: message.appointment_id
+      });
+      if (response.data?.status === 'failed') {
+        setError(response.data.error || 'The message could not be sent');
+      } else {
+        setSuccess(`Message sent to ${message.to}.`);
+      }
+      fetchMessages();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  const getPatientName = (message) => {
+    const patient = message.patient_id;
+    return patient && typeof patient === 'object' ? `${patient.first_name} ${patient.last_name}` : '—';
+  };
+
+  const formatDateTime = (value) => (value
+    ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '—');
+
+  return (
+    <div className="messages-page">
+      <div className="messages-header">
+        <h1>Patient Messages</h1>
+        <p className="messages-subtitle">
+          Reminders, schedule change notices and waitlist offers, with their delivery status
+        </p>
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <div className="filters-section">
+        <div className="filter-group">
+          <label htmlFor="message-channel">Channel</label>
+          <select id="message-channel" value={channelFilter} onChange={(e) => setChannelFilter(e.target.value)}>
+            <option value="">All</option>
+            {MESSAGE_CHANNELS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="message-status">Status</label>
+          <select id="message-status" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All</option>
+            {DELIVERY_STATUSES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading messages...</div>
+      ) : messages.length === 0 ? (
+        <div className="no-data">No messages found</div>
+      ) : (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Patient</th>
+                <th>Sent To</th>
+                <th>About</th>
+                <th>Message</th>
+                <th>Status</th>
+                <th>Sent</th>
+                {canSend && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {messages.map(message => (
+                <tr key={message._id}>
+                  <td>{getPatientName(message)}</td>
+                  <td>{`${getChannelLabel(message.channel)} · ${message.to}`}</td>
+                  <td>{TYPE_LABELS[message.type] || message.type}</td>
+                  <td className="message-text" title={message.message}>{message.subject || message.message}</td>
+                  <td>
+                    <span className={`status-badge message-status-${message.status}`} title={message.error || undefined}>
+                      {getDeliveryStatusLabel(message.status)}
+                    </span>
+                  </td>
+                  <td>{formatDateTime(message.sent_at || message.createdAt)}</td>
+                  {canSend && (
+                    <td>
+                      {message.status === 'failed' && (
+                        <button
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => handleRetry(message)}
+                          disabled={retryingId === message._id}
+                        >
+                          {retryingId === message._id ? 'Sending...' : 'Retry'}
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessagesPage;
@@ -9,10 +9,15 @@ import {
 } from '../services/notificationService';
 import { getUsers } from '../services/userService';
 import ErrorDisplay from '../components/ErrorDisplay';
-import ReportButton from '../components/ReportButton';
+import DataTable from '../components/DataTable';
+import { can } from '../utils/accessControl';
 import './NotificationsPage.css';
 
 const NotificationsPage = () => {
+  const canCreate = can('notifications', 'create');
+  const canUpdate = can('notifications', 'update');
+  const canDelete = can('notifications', 'delete');
+
   const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -234,22 +239,132 @@ const NotificationsPage = () => {
     { value: 'system', label: 'System' }
   ];
 
+  const getRecipientName = (notification) =>
+    notification.user_id?.name || notification.user_id?.username || notification.user_id?.email || 'Unknown User';
+
+  const handleBulkMarkAsRead = async (selectedNotifications) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await Promise.all(selectedNotifications
+        .filter(notification => !notification.is_read)
+        .map(notification => markAsRead(notification._id)));
+      setSuccess(`${selectedNotifications.length} notification(s) marked as read!`);
+    } catch (err) {
+      setError(err.message || 'Failed to mark notifications as read');
+    }
+    fetchNotifications();
+  };
+
+  const handleBulkDelete = async (selectedNotifications) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await Promise.all(selectedNotifications.map(notification => deleteNotification(notification._id)));
+      setSuccess(`${selectedNotifications.length} notification(s) deleted successfully!`);
+    } catch (err) {
+      setError(err.message || 'Failed to delete notifications');
+    }
+    fetchNotifications();
+  };
+
+  const bulkActions = [
+    { label: 'Mark as Read', className: 'btn-mark-read', onClick: handleBulkMarkAsRead },
+    ...(canDelete ? [
+      { label: 'Delete Selected', className: 'btn-delete', confirm: 'Delete {count} selected notification(s)?', onClick: handleBulkDelete }
+    ] : [])
+  ];
+
+  const columns = [
+    {
+      key: 'notification_type',
+      label: 'Type',
+      filterOptions: notificationTypes,
+      render: notification => (
+        <span className="notification-type-badge">
+          {notification.notification_type}
+        </span>
+      )
+    },
+    {
+      key: 'user',
+      label: 'User',
+      sortKey: 'user_id.name',
+      className: 'notification-user',
+      value: getRecipientName
+    },
+    {
+      key: 'message',
+      label: 'Message',
+      className: 'notification-message'
+    },
+    {
+      key: 'sent_at',
+      label: 'Sent At',
+      className: 'notification-date',
+      filterable: false,
+      render: notification => formatDate(notification.sent_at),
+      exportValue: notification => formatDate(notification.sent_at)
+    },
+    {
+      key: 'is_read',
+      label: 'Status',
+      value: notification => (notification.is_read ? 'Read' : 'Unread'),
+      filterOptions: [
+        { value: 'Unread', label: 'Unread' },
+        { value: 'Read', label: 'Read' }
+      ],
+      render: notification => (!notification.is_read ? <span className="unread-badge">Unread</span> : 'Read')
+    },
+    {
+      key: 'actions',
+      label: 'Actions',
+      sortable: false,
+      filterable: false,
+      hideable: false,
+      exportable: false,
+      render: notification => (
+        <div className="notification-actions">
+          {!notification.is_read && (
+            <button
+              className="btn btn-sm btn-mark-read"
+              onClick={() => handleMarkAsRead(notification._id)}
+              title="Mark as read"
+            >
+              ✓ Read
+            </button>
+          )}
+          {canUpdate && (
+            <button
+              className="btn btn-sm btn-edit"
+              onClick={() => handleOpenModal(notification)}
+            >
+              Edit
+            </button>
+          )}
+          {canDelete && (
+            <button
+              className="btn btn-sm btn-delete"
+              onClick={() => handleDelete(notification._id)}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      )
+    }
+  ];
+
   return (
     <div className="notifications-page">
       <div className="notifications-header">
         <h1>Notification Management</h1>
         <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
-          {notifications.length > 0 && (
-            <ReportButton
-              data={notifications}
-              entityType="notifications"
-              title="Notifications Report"
-              filters={filters}
-            />
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + Create Notification
+            </button>
           )}
-          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-            + Create Notification
-          </button>
         </div>
       </div>
 
@@ -330,65 +445,21 @@ const NotificationsPage = () => {
         </div>
       )}
 
-      {/* Notifications List */}
+      {/* Notifications Table */}
       {loading ? (
         <div className="loading">Loading notifications...</div>
-      ) : notifications.length === 0 ? (
-        <div className="no-data">No notifications found</div>
       ) : (
-        <div className="notifications-list">
-          {notifications.map(notification => (
-            <div 
-              key={notification._id} 
-              className={`notification-item ${!notification.is_read ? 'unread' : ''} ${getNotificationTypeClass(notification.notification_type)}`}
-            >
-              <div className="notification-content">
-                <div className="notification-header">
-                  <div className="notification-meta">
-                    <span className="notification-type-badge">
-                      {notification.notification_type}
-                    </span>
-                    <span className="notification-user">
-                      {notification.user_id?.name || notification.user_id?.username || notification.user_id?.email || 'Unknown User'}
-                    </span>
-                    <span className="notification-date">
-                      {formatDate(notification.sent_at)}
-                    </span>
-                    {!notification.is_read && (
-                      <span className="unread-badge">Unread</span>
-                    )}
-                  </div>
-                </div>
-                <div className="notification-message">
-                  {notification.message}
-                </div>
-              </div>
-              <div className="notification-actions">
-                {!notification.is_read && (
-                  <button
-                    className="btn btn-sm btn-mark-read"
-                    onClick={() => handleMarkAsRead(notification._id)}
-                    title="Mark as read"
-                  >
-                    ✓ Read
-                  </button>
-                )}
-                <button
-                  className="btn btn-sm btn-edit"
-                  onClick={() => handleOpenModal(notification)}
-                >
-                  Edit
-                </button>
-                <button
-                  className="btn btn-sm btn-delete"
-                  onClick={() => handleDelete(notification._id)}
-                >
-                  Delete
-                </button>
-              </div>
-            </div>
-          ))}
-        </div>
+        <DataTable
+          columns={columns}
+          data={notifications}
+          bulkActions={bulkActions}
+          storageKey="notifications"
+          tableClassName="notifications-table"
+          emptyMessage="No notifications found"
+          rowClassName={notification =>
+            `notification-row ${!notification.is_read ? 'unread' : ''} ${getNotificationTypeClass(notification.notification_type)}`}
+          report={{ entityType: 'notifications', title: 'Notifications Report', filters }}
+        />
       )}
 
       {/* Modal for Create/Edit */}
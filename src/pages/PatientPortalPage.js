@@ -0,0 +1,524 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { getAppointmentsByPatient } from '../services/appointmentService';
+import { getRecordsByPatient } from '../services/medicalRecordService';
+import { getNotificationsByUser, markAsRead, markAllAsRead } from '../services/notificationService';
+import { getDoctors } from '../services/doctorService';
+import { getDepartments } from '../services/departmentService';
+import { getPublicSlots } from '../services/publicBookingService';
+import { downloadAppointmentCalendar } from '../services/calendarService';
+import { bookMyAppointment, cancelMyAppointment, downloadVisitSummary, getMyPatient } from '../services/patientPortalService';
+import { getCurrentUser } from '../services/authService';
+import ErrorDisplay from '../components/ErrorDisplay';
+import SlotPicker from '../components/SlotPicker';
+import { getStatusLabel } from '../utils/appointmentStatus';
+import { canManageBooking } from '../utils/publicBooking';
+import { findVisitAppointment, splitAppointments } from '../utils/patientPortal';
+import { getDateKey } from '../utils/slots';
+import './PatientPortalPage.css';
+
+const TABS = [
+  { key: 'upcoming', label: 'Upcoming Appointments' },
+  { key: 'past', label: 'Past Appointments' },
+  { key: 'visits', label: 'Visit Summaries' },
+  { key: 'notifications', label: 'Notifications' }
+];
+
+const EMPTY_BOOKING = {
+  department_id: '',
+  doctor_id: '',
+  appointment_date: '',
+  appointment_time: '',
+  reason: ''
+};
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Patient portal
+ * Home page of the patient role: the patient's own appointments, visit summaries and notifications,
+ * booking and cancelling. Only the logged-in patient's records are loaded; the backend scopes
+ * every request to them as well.
+ */
+const PatientPortalPage = () => {
+  const user = getCurrentUser();
+  const userId = user?._id || user?.id;
+
+  const [patient, setPatient] = useState(null);
+  const [appointments, setAppointments] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [activeTab, setActiveTab] = useState('upcoming');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Cancelling: the appointment whose cancel form is open
+  const [cancelling, setCancelling] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Booking modal
+  const [showBookingModal, setShowBookingModal] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_BOOKING);
+  const [bookingError, setBookingError] = useState(null);
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+  const [doctors, setDoctors] = useState([]);
+  const [departments, setDepartments] = useState([]);
+
+  const fetchPortal = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const ownPatient = await getMyPatient();
+      setPatient(ownPatient);
+      if (!ownPatient) return;
+
+      const [appointmentsResponse, recordsResponse, notificationsResponse] = await Promise.all([
+        getAppointmentsByPatient(ownPatient._id),
+        getRecordsByPatient(ownPatient._id),
+        getNotificationsByUser(userId)
+      ]);
+      setAppointments(appointmentsResponse.data || []);
+      setRecords(recordsResponse.data || []);
+      setNotifications(notificationsResponse.data || []);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  const fetchBookingOptions = useCallback(async () => {
+    try {
+      const [doctorsResponse, departmentsResponse] = await Promise.all([getDoctors(), getDepartments()]);
+      setDoctors(doctorsResponse.data || []);
+      setDepartments(departmentsResponse.data || []);
+    } catch (err) {
+      console.error('Failed to fetch doctors and departments:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPortal();
+    fetchBookingOptions();
+  }, [fetchPortal, fetchBookingOptions]);
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => {
+      setSuccess(null);
+    }, 5000);
+  };
+
+  const getDoctorName = (doctor) => {
+    if (doctor && typeof doctor === 'object' && doctor.first_name) {
+      return `Dr. ${doctor.first_name} ${doctor.last_name}`;
+    }
+    return 'N/A';
+  };
+
+  const formatDate = (value) => {
+    const dateKey = getDateKey(value);
+    if (!dateKey) return 'N/A';
+    return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+      timeZone: 'UTC',
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'N/A');
+
+  // Cancelling
+  const handleOpenCancel = (appointment) => {
+    setCancelling(appointment);
+    setCancelReason('');
+    setError(null);
+  };
+
+  const handleCancel = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await cancelMyAppointment(cancelling, cancelReason.trim());
+      setCancelling(null);
+      showSuccess('Your appointment was cancelled.');
+      await fetchPortal();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddToCalendar = (appointment) => {
+    downloadAppointmentCalendar(appointment, {
+      doctorName: getDoctorName(appointment.doctor_id),
+      department: appointment.department_id?.department_name,
+      location: appointment.doctor_id?.room
+    });
+  };
+
+  const handleDownloadSummary = (record) => {
+    downloadVisitSummary(record, { patient, appointment: findVisitAppointment(record, appointments) });
+  };
+
+  // Notifications
+  const handleMarkAsRead = async (notification) => {
+    try {
+      await markAsRead(notification._id);
+      setNotifications(prev => prev.map(n => (n._id === notification._id ? { ...n, is_read: true } : n)));
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const handleMarkAllAsRead = async () => {
+    try {
+      await markAllAsRead(userId);
+      setNotifications(prev => prev.map(n => ({ ...n, is_read: true })));
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  // Booking
+  const getDoctorDepartmentId = (doctorId) => getId(doctors.find(d => d._id === doctorId)?.department_id) || '';
+
+  const handleOpenBookingModal = () => {
+    setFormData(EMPTY_BOOKING);
+    setBookingError(null);
+    setShowBookingModal(true);
+  };
+
+  const handleCloseBookingModal = () => {
+    setShowBookingModal(false);
+    setFormData(EMPTY_BOOKING);
+    setBookingError(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    // The picked slot belongs to the previous doctor
+    if (name === 'doctor_id') {
+      setFormData(prev => ({
+        ...prev,
+        doctor_id: value,
+        department_id: getDoctorDepartmentId(value) || prev.department_id,
+        appointment_date: '',
+        appointment_time: ''
+      }));
+      return;
+    }
+
+    // A doctor of another department no longer fits the choice
+    if (name === 'department_id') {
+      setFormData(prev => {
+        const keepDoctor = prev.doctor_id && (!value || getDoctorDepartmentId(prev.doctor_id) === value);
+        return keepDoctor
+          ? { ...prev, department_id: value }
+          : { ...prev, department_id: value, doctor_id: '', appointment_date: '', appointment_time: '' };
+      });
+      return;
+    }
+
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSlotChange = (slot) => {
+    setFormData(prev => ({ ...prev, appointment_date: slot.date, appointment_time: slot.time }));
+  };
+
+  const handleBookAppointment = async (e) => {
+    e.preventDefault();
+    setBookingError(null);
+
+    if (!formData.doctor_id) {
+      setBookingError('Please select a doctor');
+      return;
+    }
+    if (!formData.appointment_date || !formData.appointment_time) {
+      setBookingError('Please pick an available time slot');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await bookMyAppointment(patient, {
+        ...formData,
+        department_id: formData.department_id || undefined,
+        appointment_date: new Date(formData.appointment_date).toISOString(),
+        reason: formData.reason.trim()
+      });
+      handleCloseBookingModal();
+      setActiveTab('upcoming');
+      showSuccess('Your appointment is booked.');
+      await fetchPortal();
+    } catch (err) {
+      // The slot may have been taken since the list was loaded
+      if (err.status === 409) {
+        setSlotRefreshKey(key => key + 1);
+      }
+      setBookingError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !patient) {
+    return <div className="loading">Loading your records...</div>;
+  }
+
+  if (!patient) {
+    return (
+      <div className="patient-portal-page">
+        {error ? (
+          <ErrorDisplay error={error} />
+        ) : (
+          <div className="no-data">
+            Your account is not linked to a patient record yet. Please contact reception
+            or <Link to="/contact-patient">send us a message</Link>.
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const { upcoming, past } = splitAppointments(appointments);
+  const unreadCount = notifications.filter(n => !n.is_read).length;
+
+  const renderAppointment = (appointment, { actions = false } = {}) => (
+    <div key={appointment._id} className="patient-portal-card">
+      <div className="patient-portal-card-header">
+        <strong>{formatDate(appointment.appointment_date)} at {appointment.appointment_time || 'N/A'}</strong>
+        <span className={`status-badge status-${appointment.status || 'scheduled'}`}>
+          {getStatusLabel(appointment.status || 'scheduled')}
+        </span>
+      </div>
+      <div className="patient-portal-card-body">
+        <div><span className="patient-portal-label">Doctor:</span> {getDoctorName(appointment.doctor_id)}</div>
+        {appointment.department_id?.department_name && (
+          <div><span className="patient-portal-label">Department:</span> {appointment.department_id.department_name}</div>
+        )}
+        {appointment.reason && <div><span className="patient-portal-label">Reason:</span> {appointment.reason}</div>}
+      </div>
+
+      {actions && cancelling?._id === appointment._id && (
+        <div className="patient-portal-cancel">
+          <div className="form-group">
+            <label htmlFor="cancel_reason">Reason (optional)</label>
+            <textarea
+              id="cancel_reason"
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+              rows="2"
+            />
+          </div>
+          <div className="patient-portal-card-actions">
+            <button type="button" className="btn btn-sm btn-secondary" onClick={() => setCancelling(null)} disabled={saving}>
+              Keep My Appointment
+            </button>
+            <button type="button" className="btn btn-sm btn-delete" onClick={handleCancel} disabled={saving}>
+              {saving ? 'Cancelling...' : 'Cancel My Appointment'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {actions && cancelling?._id !== appointment._id && (
+        <div className="patient-portal-card-actions">
+          <button type="button" className="btn btn-sm btn-secondary" onClick={() => handleAddToCalendar(appointment)}>
+            📅 Add to Calendar
+          </button>
+          {canManageBooking(appointment) && (
+            <button type="button" className="btn btn-sm btn-delete" onClick={() => handleOpenCancel(appointment)}>
+              Cancel
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="patient-portal-page">
+      <div className="patient-portal-header">
+        <div>
+          <h1>Welcome, {patient.first_name}</h1>
+          <p className="patient-portal-subtitle">Your appointments, visit summaries and messages from the hospital.</p>
+        </div>
+        <button className="btn btn-primary" onClick={handleOpenBookingModal}>
+          + Book Appointment
+        </button>
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <div className="patient-portal-tabs">
+        {TABS.map(tab => (
+          <button
+            key={tab.key}
+            type="button"
+            className={`patient-portal-tab ${activeTab === tab.key ? 'active' : ''}`}
+            onClick={() => setActiveTab(tab.key)}
+          >
+            {tab.label}
+            {tab.key === 'upcoming' && upcoming.length > 0 && <span className="patient-portal-count">{upcoming.length}</span>}
+            {tab.key === 'notifications' && unreadCount > 0 && <span className="patient-portal-count">{unreadCount}</span>}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'upcoming' && (
+        upcoming.length === 0 ? (
+          <div className="no-data">You have no upcoming appointments</div>
+        ) : (
+          <div className="patient-portal-list">
+            {upcoming.map(appointment => renderAppointment(appointment, { actions: true }))}
+          </div>
+        )
+      )}
+
+      {activeTab === 'past' && (
+        past.length === 0 ? (
+          <div className="no-data">You have no past appointments</div>
+        ) : (
+          <div className="patient-portal-list">
+            {past.map(appointment => renderAppointment(appointment))}
+          </div>
+        )
+      )}
+
+      {activeTab === 'visits' && (
+        records.length === 0 ? (
+          <div className="no-data">No visit summaries yet</div>
+        ) : (
+          <div className="patient-portal-list">
+            {records.map(record => {
+              const visit = findVisitAppointment(record, appointments);
+              return (
+                <div key={record._id} className="patient-portal-card">
+                  <div className="patient-portal-card-header">
+                    <strong>{formatDate(visit?.appointment_date || record.visit_date || record.createdAt)}</strong>
+                    {visit && <span>{getDoctorName(visit.doctor_id)}</span>}
+                  </div>
+                  <div className="patient-portal-card-body">
+                    <div><span className="patient-portal-label">Diagnosis:</span> {record.diagnosis || 'N/A'}</div>
+                    <div><span className="patient-portal-label">Treatment:</span> {record.treatment_notes || 'N/A'}</div>
+                  </div>
+                  <div className="patient-portal-card-actions">
+                    <button type="button" className="btn btn-sm btn-secondary" onClick={() => handleDownloadSummary(record)}>
+                      ⬇️ Download Summary
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )
+      )}
+
+      {activeTab === 'notifications' && (
+        <>
+          {unreadCount > 0 && (
+            <div className="patient-portal-card-actions patient-portal-toolbar">
+              <button type="button" className="btn btn-sm btn-secondary" onClick={handleMarkAllAsRead}>
+                Mark All as Read
+              </button>
+            </div>
+          )}
+          {notifications.length === 0 ? (
+            <div className="no-data">No notifications</div>
+          ) : (
+            <ul className="patient-portal-notifications">
+              {notifications.map(notification => (
+                <li key={notification._id} className={notification.is_read ? '' : 'unread'}>
+                  <div>
+                    <p>{notification.message}</p>
+                    <small>{formatDateTime(notification.sent_at || notification.createdAt)}</small>
+                  </div>
+                  {!notification.is_read && (
+                    <button type="button" className="btn btn-sm btn-secondary" onClick={() => handleMarkAsRead(notification)}>
+                      Mark as Read
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      {showBookingModal && (
+        <div className="modal-overlay" onClick={handleCloseBookingModal}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>📅 Book Appointment</h2>
+              <button className="modal-close" onClick={handleCloseBookingModal}>×</button>
+            </div>
+
+            <form onSubmit={handleBookAppointment}>
+              {bookingError && <ErrorDisplay error={bookingError} />}
+
+              <div className="form-group">
+                <label htmlFor="department_id">Department</label>
+                <select id="department_id" name="department_id" value={formData.department_id} onChange={handleInputChange}>
+                  <option value="">All departments</option>
+                  {departments.map(dept => (
+                    <option key={dept._id} value={dept._id}>{dept.department_name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="doctor_id">Doctor *</label>
+                <select id="doctor_id" name="doctor_id" value={formData.doctor_id} onChange={handleInputChange} required>
+                  <option value="">Select a doctor</option>
+                  {doctors
+                    .filter(doctor => !formData.department_id || getId(doctor.department_id) === formData.department_id)
+                    .map(doctor => (
+                      <option key={doctor._id} value={doctor._id}>
+                        Dr. {doctor.first_name} {doctor.last_name} {doctor.specialization ? `(${doctor.specialization})` : ''}
+                      </option>
+                    ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <SlotPicker
+                  doctorId={formData.doctor_id}
+                  date={formData.appointment_date}
+                  time={formData.appointment_time}
+                  onChange={handleSlotChange}
+                  refreshKey={slotRefreshKey}
+                  loadSlots={getPublicSlots}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="reason">Reason for Visit</label>
+                <textarea id="reason" name="reason" value={formData.reason} onChange={handleInputChange} rows="3" />
+              </div>
+
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={handleCloseBookingModal} disabled={saving}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? 'Booking...' : 'Book Appointment'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PatientPortalPage;
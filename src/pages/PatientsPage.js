@@ -4,21 +4,36 @@ import {
   getPatient,
   createPatient,
   updatePatient,
-  deletePatient,
-  searchPatients
+  deletePatient
 } from '../services/patientService';
 import { getAppointmentsByDoctor } from '../services/appointmentService';
 import { getCurrentDoctorId, isDoctor } from '../utils/doctorUtils';
 import { getCurrentUser } from '../services/authService';
 import ErrorDisplay from '../components/ErrorDisplay';
-import ReportButton from '../components/ReportButton';
+import DataTable from '../components/DataTable';
+import Pagination from '../components/Pagination';
+import PatientAttendanceModal from '../components/PatientAttendanceModal';
+import usePaginationParams from '../hooks/usePaginationParams';
+import useAttendanceRecords from '../hooks/useAttendanceRecords';
+import { paginateLocally, toPageResult } from '../utils/pagination';
+import { can } from '../utils/accessControl';
+import { getChannelLabel, getPatientChannel, MESSAGE_CHANNELS } from '../utils/messaging';
 import './PatientsPage.css';
 
+// Fields matched by the search box when the list is paged on the client
+const PATIENT_SEARCH_FIELDS = ['first_name', 'last_name', 'email', 'phone', 'address'];
+
 const PatientsPage = () => {
+  const canCreate = can('patients', 'create');
+  const canUpdate = can('patients', 'update');
+  const canDelete = can('patients', 'delete');
+  const attendance = useAttendanceRecords();
+
   const [patients, setPatients] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [attendancePatient, setAttendancePatient] = useState(null);
   
   // Form state
   const [showModal, setShowModal] = useState(false);
@@ -30,145 +45,107 @@ const PatientsPage = () => {
     date_of_birth: '',
     phone: '',
     email: '',
+    preferred_channel: 'email',
     address: ''
   });
   
-  // Filter and search state
-  const [searchQuery, setSearchQuery] = useState('');
-  const [genderFilter, setGenderFilter] = useState('');
+  // Paging, sorting, search and gender filter live in the URL
+  const {
+    page, limit, sort, search, filters,
+    setPage, setLimit, setSort, setSearch, setFilter, resetParams
+  } = usePaginationParams({ defaultSort: '-createdAt', filterKeys: ['gender'] });
+  const genderFilter = filters.gender;
+  const [searchQuery, setSearchQuery] = useState(search);
+  const [pageInfo, setPageInfo] = useState({ total: 0, totalPages: 1 });
 
-  // Fetch patients on component mount
+  // Keep the search box in sync when the URL changes (back button, shared link)
   useEffect(() => {
-    fetchPatients();
-  }, []);
+    setSearchQuery(search);
+  }, [search]);
 
-  // Search patients when query changes
+  // Debounce typing by 500ms before searching
   useEffect(() => {
-    if (searchQuery.trim()) {
-      const timeoutId = setTimeout(() => {
-        handleSearch(searchQuery);
-      }, 500); // Debounce search by 500ms
-      return () => clearTimeout(timeoutId);
-    } else {
-      fetchPatients();
+    if (searchQuery.trim() === search) return undefined;
+    const timeoutId = setTimeout(() => setSearch(searchQuery), 500);
+    return () => clearTimeout(timeoutId);
+  }, [searchQuery, search, setSearch]);
+
+  // Doctors only see patients they have appointments with
+  const getDoctorPatients = async () => {
+    const doctorId = await getCurrentDoctorId();
+    if (!doctorId) {
+      // If doctor profile not found, show all patients with a warning message
+      const currentUser = getCurrentUser();
+      console.warn('Doctor profile not found for user:', currentUser);
+      const warningMsg = `Note: Doctor profile not found for ${currentUser?.email || currentUser?.name || 'your account'}. Showing all patients. Please contact administrator to create a doctor profile linked to your account (${currentUser?.email || 'N/A'}) for better access control.`;
+      // Use a success-style alert for warnings (less alarming)
+      setError({ message: warningMsg, type: 'warning' });
+      const response = await getPatients();
+      return response.data || [];
     }
-  }, [searchQuery]);
 
-  const fetchPatients = async () => {
-    setLoading(true);
-    setError(null);
     try {
-      let patientsData = [];
-      
-      // If user is a doctor, only fetch patients they have appointments with
-      if (isDoctor()) {
-        const doctorId = await getCurrentDoctorId();
-        if (!doctorId) {
-          // If doctor profile not found, show all patients with a warning message
-          const currentUser = getCurrentUser();
-          console.warn('Doctor profile not found for user:', currentUser);
-          // Set a warning (not error) - we'll show it differently
-          const warningMsg = `Note: Doctor profile not found for ${currentUser?.email || currentUser?.name || 'your account'}. Showing all patients. Please contact administrator to create a doctor profile linked to your account (${currentUser?.email || 'N/A'}) for better access control.`;
-          // Use a success-style alert for warnings (less alarming)
-          setError({ message: warningMsg, type: 'warning' });
-          // Still show all patients instead of blocking access
-          const response = await getPatients();
-          patientsData = response.data || [];
-        } else {
-          try {
-            const appointmentsRes = await getAppointmentsByDoctor(doctorId);
-            const appointments = appointmentsRes.data || [];
-            // Get unique patient IDs from appointments
-            const patientIds = new Set(
-              appointments.map(apt => {
-                const patientId = typeof apt.patient_id === 'object' ? apt.patient_id._id : apt.patient_id;
-                return patientId;
-              }).filter(Boolean)
-            );
-            // Fetch all patients and filter by those with appointments
-            const allPatientsRes = await getPatients();
-            const allPatients = allPatientsRes.data || [];
-            patientsData = allPatients.filter(patient => patientIds.has(patient._id));
-          } catch (apptError) {
-            console.error('Error fetching doctor appointments:', apptError);
-            // If we can't fetch appointments, still try to show patients (fallback)
-            const response = await getPatients();
-            patientsData = response.data || [];
-          }
-        }
-      } else {
-        // Admin can see all patients
+      const appointmentsRes = await getAppointmentsByDoctor(doctorId);
+      const appointments = appointmentsRes.data || [];
+      // Get unique patient IDs from appointments
+      const patientIds = new Set(
+        appointments.map(apt => {
+          const patientId = typeof apt.patient_id === 'object' ? apt.patient_id._id : apt.patient_id;
+          return patientId;
+        }).filter(Boolean)
+      );
+      // Fetch all patients and filter by those with appointments
+      const allPatientsRes = await getPatients();
+      const allPatients = allPatientsRes.data || [];
+      return allPatients.filter(patient => patientIds.has(patient._id));
+    } catch (apptError) {
+      console.error('Error fetching doctor appointments:', apptError);
+      // If we can't fetch appointments, still try to show patients (fallback)
       const response = await getPatients();
-        patientsData = response.data || [];
-      }
-      
-      // Apply gender filter if set
-      if (genderFilter) {
-        patientsData = patientsData.filter(patient => patient.gender === genderFilter);
-      }
-      
-      setPatients(patientsData);
-    } catch (err) {
-      // Pass the full error object to ErrorDisplay component
-      setError(err);
-      console.error('Error fetching patients:', err);
-      console.error('Error details:', err.data);
-    } finally {
-      setLoading(false);
+      return response.data || [];
     }
   };
 
-  const handleSearch = async (query) => {
-    if (!query.trim()) {
-      fetchPatients();
-      return;
-    }
-    
+  const fetchPatients = async () => {
     setLoading(true);
     setError(null);
     try {
-      let patientsData = [];
-      
-      // If user is a doctor, search only among their patients
-      if (isDoctor()) {
-        const doctorId = await getCurrentDoctorId();
-        if (doctorId) {
-          const appointmentsRes = await getAppointmentsByDoctor(doctorId);
-          const appointments = appointmentsRes.data || [];
-          const patientIds = new Set(
-            appointments.map(apt => {
-              const patientId = typeof apt.patient_id === 'object' ? apt.patient_id._id : apt.patient_id;
-              return patientId;
-            }).filter(Boolean)
-          );
-          const searchRes = await searchPatients(query);
-          const allSearchResults = searchRes.data || [];
-          patientsData = allSearchResults.filter(patient => patientIds.has(patient._id));
-        } else {
-          setPatients([]);
-          setLoading(false);
-          return;
-        }
-      } else {
-        // Admin can search all patients
-      const response = await searchPatients(query);
-        patientsData = response.data || [];
-      }
-      
-      // Apply gender filter if set
-      if (genderFilter) {
-        patientsData = patientsData.filter(patient => patient.gender === genderFilter);
+      const query = {
+        page,
+        limit,
+        sort,
+        search,
+        gender: genderFilter,
+        searchFields: PATIENT_SEARCH_FIELDS,
+        filter: genderFilter ? patient => patient.gender === genderFilter : null
+      };
+
+      // Doctors page through their own patient list; admins page on the server
+      const result = isDoctor()
+        ? paginateLocally(await getDoctorPatients(), query)
+        : toPageResult(await getPatients(query), query);
+
+      setPatients(result.items);
+      setPageInfo({ total: result.total, totalPages: result.totalPages });
+      if (result.page !== page) {
+        setPage(result.page);
       }
-      
-      setPatients(patientsData);
     } catch (err) {
       // Pass the full error object to ErrorDisplay component
       setError(err);
+      console.error('Error fetching patients:', err);
+      console.error('Error details:', err.data);
     } finally {
       setLoading(false);
     }
   };
 
+  // Fetch patients whenever the page, sort, search or filter changes
+  useEffect(() => {
+    fetchPatients();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page, limit, sort, search, genderFilter]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -178,7 +155,7 @@ const PatientsPage = () => {
   };
 
   const handleFilterChange = (e) => {
-    setGenderFilter(e.target.value);
+    setFilter('gender', e.target.value);
   };
 
   const handleOpenModal = (patient = null) => {
@@ -195,7 +172,10 @@ const PatientsPage = () => {
         date_of_birth: dob,
         phone: patient.phone || '',
         email: patient.email || '',
-        address: patient.address || ''
+        preferred_channel: patient.preferred_channel || 'email',
+        address: patient.address || '',
+        // Patients registered online stay unverified until reception checks their details
+        ...(patient.verified === false ? { verified: false } : {})
       });
     } else {
       setEditingPatient(null);
@@ -206,6 +186,7 @@ const PatientsPage = () => {
         date_of_birth: '',
         phone: '',
         email: '',
+        preferred_channel: 'email',
         address: ''
       });
     }
@@ -224,6 +205,7 @@ const PatientsPage = () => {
       date_of_birth: '',
       phone: '',
       email: '',
+      preferred_channel: 'email',
       address: ''
     });
     setError(null);
@@ -291,27 +273,154 @@ const PatientsPage = () => {
     return age;
   };
 
-  // Apply gender filter to displayed patients
-  const filteredPatients = genderFilter
-    ? patients.filter(patient => patient.gender === genderFilter)
-    : patients;
+  const handleBulkDelete = async (selectedPatients) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await Promise.all(selectedPatients.map(patient => deletePatient(patient._id)));
+      setSuccess(`${selectedPatients.length} patient(s) deleted successfully!`);
+    } catch (err) {
+      setError(err);
+    }
+    fetchPatients();
+  };
+
+  const bulkActions = canDelete
+    ? [{ label: 'Delete Selected', className: 'btn-delete', confirm: 'Delete {count} selected patient(s)?', onClick: handleBulkDelete }]
+    : [];
+
+  const columns = [
+    {
+      key: 'name',
+      label: 'Name',
+      sortKey: 'last_name',
+      className: 'patient-name',
+      value: patient => `${patient.first_name || ''} ${patient.last_name || ''}`.trim(),
+      render: patient => (
+        <>
+          {`${patient.first_name || ''} ${patient.last_name || ''}`.trim()}
+          {patient.verified === false && (
+            <span className="unverified-badge" title="Registered online; check the details at the first visit">Unverified</span>
+          )}
+        </>
+      )
+    },
+    {
+      key: 'gender',
+      label: 'Gender',
+      filterOptions: [
+        { value: 'male', label: 'Male' },
+        { value: 'female', label: 'Female' },
+        { value: 'other', label: 'Other' }
+      ],
+      render: patient => (
+        <span className={`gender-badge gender-${patient.gender}`}>
+          {patient.gender}
+        </span>
+      )
+    },
+    {
+      key: 'age',
+      label: 'Age',
+      sortable: false,
+      value: patient => patient.age || calculateAge(patient.date_of_birth),
+      render: patient => `${patient.age || calculateAge(patient.date_of_birth)} years`
+    },
+    {
+      key: 'date_of_birth',
+      label: 'Date of Birth',
+      filterable: false,
+      render: patient => formatDate(patient.date_of_birth),
+      exportValue: patient => formatDate(patient.date_of_birth)
+    },
+    { key: 'phone', label: 'Phone' },
+    { key: 'email', label: 'Email' },
+    {
+      key: 'preferred_channel',
+      label: 'Contact Via',
+      sortable: false,
+      value: patient => getPatientChannel(patient)?.channel || '',
+      render: patient => {
+        const contact = getPatientChannel(patient);
+        return contact ? getChannelLabel(contact.channel) : <span className="text-muted">Unreachable</span>;
+      },
+      exportValue: patient => getChannelLabel(getPatientChannel(patient)?.channel)
+    },
+    {
+      key: 'attendance',
+      label: 'Attendance',
+      sortable: false,
+      filterable: false,
+      value: patient => attendance[patient._id]?.score ?? '',
+      render: patient => {
+        const summary = attendance[patient._id];
+        if (!summary || summary.score === null) return <span className="text-muted">No visits yet</span>;
+        return (
+          <span className={`attendance-badge ${summary.flagged ? 'flagged' : ''}`} title={`${summary.noShows} no-show(s)`}>
+            {summary.score}%{summary.flagged ? ' ⚠️' : ''}
+          </span>
+        );
+      }
+    },
+    {
+      key: 'address',
+      label: 'Address',
+      className: 'address-cell',
+      render: patient => patient.address || <span className="text-muted">N/A</span>
+    },
+    {
+      key: 'createdAt',
+      label: 'Created At',
+      filterable: false,
+      render: patient => formatDate(patient.createdAt),
+      exportValue: patient => formatDate(patient.createdAt)
+    },
+    {
+      key: 'actions',
+      label: 'Actions',
+      sortable: false,
+      filterable: false,
+      hideable: false,
+      exportable: false,
+      render: patient => (
+        <div className="action-buttons">
+          <button
+            className="btn btn-sm btn-secondary"
+            onClick={() => setAttendancePatient(patient)}
+          >
+            History
+          </button>
+          {canUpdate && (
+            <button
+              className="btn btn-sm btn-edit"
+              onClick={() => handleOpenModal(patient)}
+            >
+              Edit
+            </button>
+          )}
+          {canDelete && (
+            <button
+              className="btn btn-sm btn-delete"
+              onClick={() => handleDelete(patient._id)}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      )
+    }
+  ];
 
   return (
     <div className="patients-page">
       <div className="patients-header">
         <h1>Patient Management</h1>
         <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
-          {filteredPatients.length > 0 && (
-            <ReportButton
-              data={filteredPatients}
-              entityType="patients"
-              title="Patients Report"
-              filters={{ gender: genderFilter }}
-            />
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + Add New Patient
+            </button>
           )}
-          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-            + Add New Patient
-          </button>
         </div>
       </div>
 
@@ -354,8 +463,7 @@ const PatientsPage = () => {
         
         <button className="btn btn-secondary" onClick={() => {
           setSearchQuery('');
-          setGenderFilter('');
-          fetchPatients();
+          resetParams();
         }}>
           Clear Filters
         </button>
@@ -373,66 +481,34 @@ const PatientsPage = () => {
       {/* Patients Table */}
       {loading ? (
         <div className="loading">Loading patients...</div>
-      ) : filteredPatients.length === 0 ? (
-        <div className="no-data">
-          {searchQuery ? 'No patients found matching your search' : 'No patients found'}
-        </div>
       ) : (
-        <div className="table-container">
-          <table className="patients-table">
-            <thead>
-              <tr>
-                <th>Name</th>
-                <th>Gender</th>
-                <th>Age</th>
-                <th>Date of Birth</th>
-                <th>Phone</th>
-                <th>Email</th>
-                <th>Address</th>
-                <th>Created At</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {filteredPatients.map(patient => (
-                <tr key={patient._id}>
-                  <td className="patient-name">
-                    {patient.first_name} {patient.last_name}
-                  </td>
-                  <td>
-                    <span className={`gender-badge gender-${patient.gender}`}>
-                      {patient.gender}
-                    </span>
-                  </td>
-                  <td>{patient.age || calculateAge(patient.date_of_birth)} years</td>
-                  <td>{formatDate(patient.date_of_birth)}</td>
-                  <td>{patient.phone}</td>
-                  <td>{patient.email}</td>
-                  <td className="address-cell">
-                    {patient.address || <span className="text-muted">N/A</span>}
-                  </td>
-                  <td>{formatDate(patient.createdAt)}</td>
-                  <td>
-                    <div className="action-buttons">
-                      <button
-                        className="btn btn-sm btn-edit"
-                        onClick={() => handleOpenModal(patient)}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        className="btn btn-sm btn-delete"
-                        onClick={() => handleDelete(patient._id)}
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+        <DataTable
+          columns={columns}
+          data={patients}
+          sort={sort}
+          onSortChange={setSort}
+          bulkActions={bulkActions}
+          storageKey="patients"
+          tableClassName="patients-table"
+          emptyMessage={search ? 'No patients found matching your search' : 'No patients found'}
+          report={{ entityType: 'patients', title: 'Patients Report', filters: { gender: genderFilter } }}
+        />
+      )}
+
+      {!loading && (
+        <Pagination
+          page={page}
+          totalPages={pageInfo.totalPages}
+          total={pageInfo.total}
+          limit={limit}
+          onPageChange={setPage}
+          onLimitChange={setLimit}
+          itemLabel="patients"
+        />
+      )}
+
+      {attendancePatient && (
+        <PatientAttendanceModal patient={attendancePatient} onClose={() => setAttendancePatient(null)} />
       )}
 
       {/* Modal for Create/Edit */}
@@ -515,18 +591,35 @@ const PatientsPage = () => {
               </div>
 
               <div className="form-group">
-                <label htmlFor="email">Email *</label>
+                <label htmlFor="email">Email</label>
                 <input
                   type="email"
                   id="email"
                   name="email"
                   value={formData.email}
                   onChange={handleInputChange}
-                  required
                   placeholder="patient@example.com"
                 />
               </div>
 
+              <div className="form-group">
+                <label htmlFor="preferred_channel">Contact Via</label>
+                <select
+                  id="preferred_channel"
+                  name="preferred_channel"
+                  value={formData.preferred_channel}
+                  onChange={handleInputChange}
+                >
+                  {MESSAGE_CHANNELS.map(channel => (
+                    <option key={channel.value} value={channel.value}>{channel.label}</option>
+                  ))}
+                </select>
+                <small className="form-hint">
+                  Reminders, schedule changes and waitlist offers go out on this channel.
+                  SMS and WhatsApp use the phone number; without the contact details for it, email is used, then SMS.
+                </small>
+              </div>
+
               <div className="form-group">
                 <label htmlFor="address">Address</label>
                 <textarea
@@ -539,6 +632,22 @@ const PatientsPage = () => {
                 />
               </div>
 
+              {editingPatient?.verified === false && (
+                <div className="form-group">
+                  <label className="patient-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={formData.verified}
+                      onChange={e => setFormData(prev => ({ ...prev, verified: e.target.checked }))}
+                    />
+                    Details checked at reception
+                  </label>
+                  <small className="form-hint">
+                    Registered online. Check the patient's identity and whether they already have a record before ticking this.
+                  </small>
+                </div>
+              )}
+
               {error && <ErrorDisplay error={error} />}
 
               <div className="modal-actions">
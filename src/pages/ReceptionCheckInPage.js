@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getTodaysAppointments, checkInPatient } from '../services/queueService';
+import ErrorDisplay from '../components/ErrorDisplay';
+import { can } from '../utils/accessControl';
+import { canTransition, getStatusLabel } from '../utils/appointmentStatus';
+import { getDoctorQueue, getWaitMinutes } from '../utils/queue';
+import './ReceptionCheckInPage.css';
+
+// How often today's list is reloaded to follow the doctors' queues (missed appointments are marked by NoShowScheduler)
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const getPatientName = (patient) =>
+  patient && typeof patient === 'object' ? `${patient.first_name} ${patient.last_name}` : 'Unknown patient';
+
+const getDoctorName = (doctor) =>
+  doctor && typeof doctor === 'object' ? `Dr. ${doctor.first_name} ${doctor.last_name}` : 'N/A';
+
+const ReceptionCheckInPage = () => {
+  const canCheckIn = can('queue', 'update');
+
+  const [appointments, setAppointments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [issuedTicket, setIssuedTicket] = useState(null); // { queueNumber, patient, doctor }
+  const [checkingIn, setCheckingIn] = useState(null); // appointment ID
+  const [search, setSearch] = useState('');
+  const [doctorFilter, setDoctorFilter] = useState('');
+  const [now, setNow] = useState(() => new Date());
+
+  const fetchAppointments = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getTodaysAppointments();
+      setAppointments(response.data || []);
+      setNow(new Date());
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAppointments();
+    const interval = setInterval(fetchAppointments, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchAppointments]);
+
+  const handleCheckIn = async (appointment) => {
+    setError(null);
+    setIssuedTicket(null);
+    setCheckingIn(appointment._id);
+    try {
+      const { queueNumber } = await checkInPatient(appointment);
+      setIssuedTicket({
+        queueNumber,
+        patient: getPatientName(appointment.patient_id),
+        doctor: getDoctorName(appointment.doctor_id)
+      });
+      fetchAppointments();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setCheckingIn(null);
+    }
+  };
+
+  // Doctors with appointments today, for the filter and the queue overview
+  const doctors = appointments.reduce((list, appointment) => {
+    const doctor = appointment.doctor_id;
+    if (doctor && typeof doctor === 'object' && !list.some(d => d._id === doctor._id)) list.push(doctor);
+    return list;
+  }, []);
+
+  const term = search.trim().toLowerCase();
+  const visibleAppointments = appointments
+    .filter(appointment => !doctorFilter || getId(appointment.doctor_id) === doctorFilter)
+    .filter(appointment => {
+      if (!term) return true;
+      const patient = appointment.patient_id || {};
+      return [patient.first_name, patient.last_name, patient.phone, patient.email, appointment.queue_number]
+        .some(value => value != null && String(value).toLowerCase().includes(term));
+    })
+    .sort((a, b) => (a.appointment_time || '').localeCompare(b.appointment_time || ''));
+
+  return (
+    <div className="check-in-page">
+      <div className="check-in-header">
+        <div>
+          <h1>Reception Check-In</h1>
+          <p className="check-in-subtitle">
+            {now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+          </p>
+        </div>
+        <button className="btn btn-secondary" onClick={fetchAppointments} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+
+      {issuedTicket && (
+        <div className="check-in-ticket">
+          <span className="check-in-ticket-number">{issuedTicket.queueNumber}</span>
+          <div>
+            <strong>{issuedTicket.patient} is checked in</strong>
+            <p>Queue number {issuedTicket.queueNumber} for {issuedTicket.doctor}. Please take a seat in the waiting area.</p>
+          </div>
+          <button className="modal-close" onClick={() => setIssuedTicket(null)} aria-label="Close">×</button>
+        </div>
+      )}
+
+      {doctors.length > 0 && (
+        <div className="check-in-queues">
+          {doctors.map(doctor => {
+            const { inConsultation, waiting } = getDoctorQueue(appointments, doctor._id, now);
+            return (
+              <div key={doctor._id} className="check-in-queue-card">
+                <strong>{getDoctorName(doctor)}</strong>
+                <span>Now seeing: {inConsultation.map(a => a.queue_number).join(', ') || '—'}</span>
+                <span>{waiting.length} waiting{waiting.length > 0 && `, next: ${waiting[0].queue_number}`}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="filters-section">
+        <div className="filter-group">
+          <label htmlFor="check-in-search">Find patient:</label>
+          <input
+            type="text"
+            id="check-in-search"
+            className="filter-input"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Name, phone, email or queue number"
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="check-in-doctor">Doctor:</label>
+          <select id="check-in-doctor" value={doctorFilter} onChange={(e) => setDoctorFilter(e.target.value)}>
+            <option value="">All Doctors</option>
+            {doctors.map(doctor => (
+              <option key={doctor._id} value={doctor._id}>{getDoctorName(doctor)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading && appointments.length === 0 ? (
+        <div className="loading">Loading today's appointments...</div>
+      ) : visibleAppointments.length === 0 ? (
+        <div className="no-data">No appointments found for today</div>
+      ) : (
+        <div className="table-container">
+          <table className="check-in-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Patient</th>
+                <th>Doctor</th>
+                <th>Status</th>
+                <th>Queue No.</th>
+                <th>Waiting</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleAppointments.map(appointment => {
+                const waited = appointment.status === 'checked-in' ? getWaitMinutes(appointment, now) : null;
+                return (
+                  <tr key={appointment._id}>
+                    <td>{appointment.appointment_time || 'N/A'}</td>
+                    <td>
+                      {getPatientName(appointment.patient_id)}
+                      {appointment.patient_id?.phone && <div className="check-in-phone">{appointment.patient_id.phone}</div>}
+                    </td>
+                    <td>{getDoctorName(appointment.doctor_id)}</td>
+                    <td>
+                      <span className={`status-badge status-${appointment.status}`}>
+                        {getStatusLabel(appointment.status)}
+                      </span>
+                    </td>
+                    <td className="check-in-number">{appointment.queue_number || '—'}</td>
+                    <td>{waited != null ? `${waited} min` : '—'}</td>
+                    <td>
+                      {canCheckIn && canTransition(appointment.status, 'checked-in') && (
+                        <button
+                          className="btn btn-sm btn-primary"
+                          onClick={() => handleCheckIn(appointment)}
+                          disabled={checkingIn === appointment._id}
+                        >
+                          {checkingIn === appointment._id ? 'Checking in...' : 'Check In'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReceptionCheckInPage;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getReminders, sendAppointmentReminder, sendDueReminders } from '../services/reminderService';
+import { getAppointment } from '../services/appointmentService';
+import { getDepartments } from '../services/departmentService';
+import ErrorDisplay from '../components/ErrorDisplay';
+import { can } from '../utils/accessControl';
+import { getDateKey } from '../utils/slots';
+import { getChannelLabel } from '../utils/messaging';
+import { formatLeadTime, getReminderStatusLabel, REMINDER_HOURS, REMINDER_SEND_STATUSES } from '../utils/reminders';
+import './RemindersPage.css';
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const RESPONSE_LABELS = {
+  confirm: 'Confirmed',
+  cancel: 'Cancelled'
+};
+
+/**
+ * Appointment reminders
+ * Log of every reminder: who it went to and on which channel, for which appointment and lead time,
+ * whether it was sent and how the patient answered. Due reminders are sent in the
+ * background by ReminderScheduler; this page can also send them right away.
+ */
+const RemindersPage = () => {
+  const canSend = can('reminders', 'create');
+
+  const [reminders, setReminders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+
+  const fetchReminders = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getReminders({ status: statusFilter || undefined });
+      setReminders(response.data || []);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchReminders();
+  }, [fetchReminders]);
+
+  const handleSendDue = async () => {
+    setError(null);
+    setSuccess(null);
+    setSending(true);
+    try {
+      const sent = await sendDueReminders();
+      const failed = sent.filter(reminder => reminder.status !== 'sent').length;
+      setSuccess(sent.length === 0
+        ? 'No reminders are due right now.'
+        : `Recorded ${sent.length} reminder(s)${failed > 0 ? `, ${failed} not delivered` : ''}.`);
+      fetchReminders();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleResend = async (reminder) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      const [appointmentResponse, departmentsResponse] = await Promise.all([
+        getAppointment(getId(reminder.appointment_id)),
+        getDepartments()
+      ]);
+      const resent = await sendAppointmentReminder(appointmentResponse.data, reminder.offset_hours, {
+        departments: departmentsResponse.data || []
+      });
+      if (resent.status === 'sent') {
+        setSuccess(`Reminder sent to ${resent.to}.`);
+      } else {
+        setError(resent.error || 'The reminder could not be sent');
+      }
+      fetchReminders();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const getPatientName = (reminder) => {
+    const patient = reminder.patient_id;
+    return patient && typeof patient === 'object' ? `${patient.first_name} ${patient.last_name}` : 'Unknown patient';
+  };
+
+  const formatAppointment = (reminder) => {
+    const dateKey = getDateKey(reminder.appointment_date);
+    if (!dateKey) return 'N/A';
+    const date = new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+      timeZone: 'UTC',
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+    return reminder.appointment_time ? `${date} at ${reminder.appointment_time}` : date;
+  };
+
+  const formatDateTime = (value) => (value
+    ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '—');
+
+  return (
+    <div className="reminders-page">
+      <div className="reminders-header">
+        <div>
+          <h1>Appointment Reminders</h1>
+          <p className="reminders-subtitle">
+            Patients are messaged {REMINDER_HOURS.map(formatLeadTime).join(' and ')} before each appointment
+            on their preferred channel, with links to confirm or cancel
+          </p>
+        </div>
+        {canSend && (
+          <button className="btn btn-primary" onClick={handleSendDue} disabled={sending}>
+            {sending ? 'Sending...' : 'Send Due Reminders'}
+          </button>
+        )}
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <div className="filters-section">
+        <div className="filter-group">
+          <label htmlFor="reminder-status">Status</label>
+          <select id="reminder-status" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All</option>
+            {REMINDER_SEND_STATUSES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading reminders...</div>
+      ) : reminders.length === 0 ? (
+        <div className="no-data">No reminders have been sent yet</div>
+      ) : (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Patient</th>
+                <th>Appointment</th>
+                <th>Reminder</th>
+                <th>Sent To</th>
+                <th>Status</th>
+                <th>Sent</th>
+                <th>Patient Response</th>
+                {canSend && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {reminders.map(reminder => (
+                <tr key={reminder._id}>
+                  <td>{getPatientName(reminder)}</td>
+                  <td>{formatAppointment(reminder)}</td>
+                  <td>{formatLeadTime(reminder.offset_hours)} before</td>
+                  <td>{reminder.to ? `${getChannelLabel(reminder.channel || 'email')} · ${reminder.to}` : '—'}</td>
+                  <td>
+                    <span className={`status-badge reminder-status-${reminder.status}`} title={reminder.error || undefined}>
+                      {getReminderStatusLabel(reminder.status)}
+                    </span>
+                  </td>
+                  <td>{formatDateTime(reminder.sent_at)}</td>
+                  <td>
+                    {reminder.response
+                      ? `${RESPONSE_LABELS[reminder.response] || reminder.response} · ${formatDateTime(reminder.responded_at)}`
+                      : '—'}
+                  </td>
+                  {canSend && (
+                    <td>
+                      {reminder.status === 'failed' && (
+                        <button className="btn btn-sm btn-secondary" onClick={() => handleResend(reminder)}>
+                          Resend
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RemindersPage;
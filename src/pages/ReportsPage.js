@@ -8,6 +8,9 @@ import { getDepartments } from '../services/departmentService';
 import { getNotifications } from '../services/notificationService';
 import ReportButton from '../components/ReportButton';
 import ErrorDisplay from '../components/ErrorDisplay';
+import { APPOINTMENT_STATUSES } from '../utils/appointmentStatus';
+import { getWaitStats } from '../utils/queue';
+import { getNoShowRates } from '../utils/attendance';
 import './ReportsPage.css';
 
 const ReportsPage = () => {
@@ -35,6 +38,13 @@ const ReportsPage = () => {
   const [patients, setPatients] = useState([]);
   const [departments, setDepartments] = useState([]);
 
+  // No-show breakdowns shown under the appointments summary
+  const noShowGroups = [
+    { value: 'doctor', label: 'By Doctor' },
+    { value: 'department', label: 'By Department' },
+    { value: 'weekday', label: 'By Weekday' }
+  ];
+
   // Report type configurations
   const reportTypes = [
     { value: 'appointments', label: 'Appointments', icon: '📋' },
@@ -432,11 +442,9 @@ const ReportsPage = () => {
                 onChange={handleFilterChange}
               >
                 <option value="">All</option>
-                <option value="scheduled">Scheduled</option>
-                <option value="confirmed">Confirmed</option>
-                <option value="completed">Completed</option>
-                <option value="cancelled">Cancelled</option>
-                <option value="no-show">No Show</option>
+                {APPOINTMENT_STATUSES.map(status => (
+                  <option key={status.value} value={status.value}>{status.label}</option>
+                ))}
               </select>
             </div>
           )}
@@ -595,6 +603,26 @@ const ReportsPage = () => {
           <h3>Filtered Records</h3>
           <p className="summary-value">{filteredData.length}</p>
         </div>
+        {reportType === 'appointments' && (() => {
+          const waits = getWaitStats(filteredData);
+          return waits.count > 0 && (
+            <div className="summary-card">
+              <h3>Arrival to Consultation</h3>
+              <p className="summary-value">{waits.average} min</p>
+              <p className="summary-detail">average of {waits.count} · longest {waits.longest} min</p>
+            </div>
+          );
+        })()}
+        {reportType === 'appointments' && (() => {
+          const [overall] = getNoShowRates(filteredData, 'all');
+          return overall && (
+            <div className="summary-card">
+              <h3>No-Show Rate</h3>
+              <p className="summary-value">{overall.rate}%</p>
+              <p className="summary-detail">{overall.noShows} of {overall.total} past appointments</p>
+            </div>
+          );
+        })()}
         {(filters.dateFrom || filters.dateTo) && (
           <div className="summary-card date-range-summary">
             <h3>Date Range</h3>
@@ -605,6 +633,38 @@ const ReportsPage = () => {
         )}
       </div>
 
+      {/* No-Show Rates */}
+      {reportType === 'appointments' && getNoShowRates(filteredData, 'all').length > 0 && (
+        <div className="report-preview no-show-rates">
+          <h3>No-Show Rates</h3>
+          <div className="no-show-rates-grid">
+            {noShowGroups.map(group => (
+              <table key={group.value} className="preview-table">
+                <thead>
+                  <tr>
+                    <th>{group.label}</th>
+                    <th>Appointments</th>
+                    <th>No-Shows</th>
+                    <th>Rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {getNoShowRates(filteredData, group.value).map(row => (
+                    <tr key={row.key}>
+                      <td>{row.label}</td>
+                      <td>{row.total}</td>
+                      <td>{row.noShows}</td>
+                      <td>{row.rate}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ))}
+          </div>
+          <p className="preview-note">Past appointments that were attended or missed; cancellations are left out.</p>
+        </div>
+      )}
+
       {/* Data Preview */}
       <div className="report-preview">
         <h3>Data Preview ({filteredData.length} records)</h3>
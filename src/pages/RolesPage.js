@@ -7,6 +7,9 @@ import {
   deleteRole
 } from '../services/roleService';
 import ErrorDisplay from '../components/ErrorDisplay';
+import PermissionMatrix from '../components/PermissionMatrix';
+import { getCurrentUser } from '../services/authService';
+import { can, applyRolePermissions, DEFAULT_ROLE_PERMISSIONS } from '../utils/accessControl';
 import './RolesPage.css';
 
 const RolesPage = () => {
@@ -20,9 +23,14 @@ const RolesPage = () => {
   const [editingRole, setEditingRole] = useState(null);
   const [formData, setFormData] = useState({
     role_name: '',
-    description: ''
+    description: '',
+    permissions: {}
   });
 
+  const canCreate = can('roles', 'create');
+  const canUpdate = can('roles', 'update');
+  const canDelete = can('roles', 'delete');
+
   // Fetch roles on component mount
   useEffect(() => {
     fetchRoles();
@@ -33,7 +41,10 @@ const RolesPage = () => {
     setError(null);
     try {
       const response = await getRoles();
-      setRoles(response.data || []);
+      const rolesData = response.data || [];
+      setRoles(rolesData);
+      // Keep the logged-in user's permissions in sync with edits made here
+      applyRolePermissions(rolesData, getCurrentUser());
     } catch (err) {
       setError(err.message || 'Failed to fetch roles');
     } finally {
@@ -54,13 +65,15 @@ const RolesPage = () => {
       setEditingRole(role);
       setFormData({
         role_name: role.role_name,
-        description: role.description || ''
+        description: role.description || '',
+        permissions: getRolePermissions(role)
       });
     } else {
       setEditingRole(null);
       setFormData({
         role_name: '',
-        description: ''
+        description: '',
+        permissions: {}
       });
     }
     setShowModal(true);
@@ -73,12 +86,32 @@ const RolesPage = () => {
     setEditingRole(null);
     setFormData({
       role_name: '',
-      description: ''
+      description: '',
+      permissions: {}
     });
     setError(null);
     setSuccess(null);
   };
 
+  // Built-in roles without a stored permission set start from their defaults
+  const getRolePermissions = (role) => {
+    if (role.permissions && Object.keys(role.permissions).length > 0) {
+      return role.permissions;
+    }
+    return DEFAULT_ROLE_PERMISSIONS[role.role_name?.toLowerCase()] || {};
+  };
+
+  const countGrantedAreas = (role) => {
+    return Object.values(getRolePermissions(role)).filter(actions => actions.includes('view')).length;
+  };
+
+  const handlePermissionsChange = (permissions) => {
+    setFormData(prev => ({
+      ...prev,
+      permissions
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
@@ -132,9 +165,11 @@ const RolesPage = () => {
     <div className="roles-page">
       <div className="roles-header">
         <h1>Role Management</h1>
-        <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-          + Add New Role
-        </button>
+        {canCreate && (
+          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+            + Add New Role
+          </button>
+        )}
       </div>
 
       {/* Messages */}
@@ -158,6 +193,7 @@ const RolesPage = () => {
               <tr>
                 <th>Role Name</th>
                 <th>Description</th>
+                <th>Access</th>
                 <th>Created At</th>
                 <th>Updated At</th>
                 <th>Actions</th>
@@ -170,22 +206,29 @@ const RolesPage = () => {
                   <td className="role-description">
                     {role.description || <span className="text-muted">No description</span>}
                   </td>
+                  <td>
+                    <span className="role-access">{countGrantedAreas(role)} areas</span>
+                  </td>
                   <td>{formatDate(role.createdAt)}</td>
                   <td>{formatDate(role.updatedAt)}</td>
                   <td>
                     <div className="action-buttons">
-                      <button
-                        className="btn btn-sm btn-edit"
-                        onClick={() => handleOpenModal(role)}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        className="btn btn-sm btn-delete"
-                        onClick={() => handleDelete(role._id)}
-                      >
-                        Delete
-                      </button>
+                      {canUpdate && (
+                        <button
+                          className="btn btn-sm btn-edit"
+                          onClick={() => handleOpenModal(role)}
+                        >
+                          Edit
+                        </button>
+                      )}
+                      {canDelete && (
+                        <button
+                          className="btn btn-sm btn-delete"
+                          onClick={() => handleDelete(role._id)}
+                        >
+                          Delete
+                        </button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -198,7 +241,7 @@ const RolesPage = () => {
       {/* Modal for Create/Edit */}
       {showModal && (
         <div className="modal-overlay" onClick={handleCloseModal}>
-          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+          <div className="modal-content role-modal" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
               <h2>{editingRole ? 'Edit Role' : 'Create New Role'}</h2>
               <button className="modal-close" onClick={handleCloseModal}>×</button>
@@ -214,7 +257,7 @@ const RolesPage = () => {
                   value={formData.role_name}
                   onChange={handleInputChange}
                   required
-                  placeholder="e.g., Admin, Doctor, Nurse"
+                  placeholder="e.g., Admin, Doctor, Nurse, Receptionist"
                 />
               </div>
 
@@ -230,6 +273,17 @@ const RolesPage = () => {
                 />
               </div>
 
+              <div className="form-group">
+                <label>Permissions</label>
+                <PermissionMatrix
+                  permissions={formData.permissions}
+                  onChange={handlePermissionsChange}
+                />
+                <span className="form-hint">
+                  Controls which pages this role sees and which buttons and exports are available.
+                </span>
+              </div>
+
               {error && (
                 <div className="alert alert-error">
                   {error}
@@ -1,143 +1,102 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import {
-  getDoctorSchedules
+  getDoctorSchedules,
+  getScheduleOverrides
 } from '../services/doctorScheduleService';
-import {
-  createAppointment,
-  getAppointments
-} from '../services/appointmentService';
-import { getPatients, createPatient } from '../services/patientService';
-import { getDoctors, getDoctor } from '../services/doctorService';
+import { createPublicBooking, getPublicSlots, joinPublicWaitlist } from '../services/publicBookingService';
+import { getDoctors } from '../services/doctorService';
 import { getDepartments } from '../services/departmentService';
-import { createNotification } from '../services/notificationService';
+import { downloadAppointmentCalendar } from '../services/calendarService';
 import { isAuthenticated } from '../services/authService';
 import ErrorDisplay from '../components/ErrorDisplay';
 import HospitalLogo from '../components/HospitalLogo';
+import SlotPicker from '../components/SlotPicker';
+import JoinWaitlistModal from '../components/JoinWaitlistModal';
+import {
+  BOOKING_HORIZON_DAYS,
+  addDays,
+  countFreePlaces,
+  getDateKey,
+  getDayOfWeek,
+  getSessionsOn,
+  getSlotMinutes,
+  getTodayKey,
+  timeToMinutes
+} from '../utils/slots';
+import { formatEffectiveRange, getOverrideKind, isScheduleExpired } from '../utils/scheduleOverrides';
+import { validateBookingDetails } from '../utils/publicBooking';
 import './ScheduledAppointmentsPage.css';
 
+const EMPTY_DETAILS = {
+  first_name: '',
+  last_name: '',
+  phone: '',
+  email: '',
+  date_of_birth: '',
+  gender: ''
+};
+
+const EMPTY_BOOKING = {
+  department_id: '',
+  doctor_id: '',
+  appointment_date: '',
+  appointment_time: '',
+  reason: ''
+};
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Public booking page
+ * Anyone can book a free slot without signing in: they pick a department, a doctor and a time and
+ * enter their own details, and get a booking reference to manage the booking with later.
+ * Nothing on this page shows other patients or their appointments.
+ */
 const ScheduledAppointmentsPage = () => {
   const [schedules, setSchedules] = useState([]);
+  const [overrides, setOverrides] = useState([]); // extra, changed and cancelled sessions on single dates
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
-  const [scheduleBookings, setScheduleBookings] = useState({}); // Track bookings per schedule
+  const [booking, setBooking] = useState(null); // the booking just made: its reference and an .ics download
+  const [scheduleSlots, setScheduleSlots] = useState({}); // schedule_id -> { free, next }
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+  const [waitlistDefaults, setWaitlistDefaults] = useState(null); // set while the waitlist modal is open
   
   // Form state for booking
   const [showBookingModal, setShowBookingModal] = useState(false);
-  const [patientType, setPatientType] = useState('existing'); // 'existing' or 'new'
-  const [formData, setFormData] = useState({
-    patient_id: '',
-    doctor_id: '',
-    department_id: '',
-    appointment_date: '',
-    appointment_time: '',
-    reason: '',
-    status: 'scheduled',
-    schedule_start_time: '',
-    schedule_end_time: ''
-  });
-  const [newPatientData, setNewPatientData] = useState({
-    first_name: '',
-    last_name: '',
-    email: '',
-    phone: '',
-    date_of_birth: '',
-    gender: '',
-    address: ''
-  });
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_BOOKING);
+  const [details, setDetails] = useState(EMPTY_DETAILS); // the patient's own details
   
   // Dropdown data
-  const [patients, setPatients] = useState([]);
   const [doctors, setDoctors] = useState([]);
   const [departments, setDepartments] = useState([]);
 
-  // Helper function to convert day of week to next occurrence date
-  const getNextDateForDay = (dayOfWeek) => {
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const dayIndex = days.indexOf(dayOfWeek);
-    if (dayIndex === -1) return null;
-    
-    const today = new Date();
-    const currentDay = today.getDay();
-    let daysUntilTarget = dayIndex - currentDay;
-    
-    // If the day has passed this week, get next week's occurrence
-    if (daysUntilTarget < 0) {
-      daysUntilTarget += 7;
-    }
-    // If today is the target day, we'll use next week to give user time
-    if (daysUntilTarget === 0) {
-      daysUntilTarget = 7;
-    }
-    
-    const targetDate = new Date(today);
-    targetDate.setDate(today.getDate() + daysUntilTarget);
-    
-    // Format as YYYY-MM-DD for date input
-    return targetDate.toISOString().split('T')[0];
-  };
-
   const fetchSchedules = useCallback(async () => {
-    // Helper function to get appointments count for a schedule (moved inside to avoid dependency issues)
-    const getAppointmentsCountForSchedule = async (schedule) => {
-      try {
-        const doctorId = typeof schedule.doctor_id === 'object' 
-          ? schedule.doctor_id._id 
-          : schedule.doctor_id;
-        
-        if (!doctorId) return 0;
-        
-        // Get next occurrence date for this schedule's day
-        const appointmentDate = getNextDateForDay(schedule.day_of_week);
-        if (!appointmentDate) return 0;
-        
-        // Format date for API (YYYY-MM-DD)
-        const dateForAPI = appointmentDate;
-        
-        // Fetch appointments for this doctor and date
-        const response = await getAppointments({
-          doctor_id: doctorId,
-          date: dateForAPI,
-          status: 'scheduled' // Only count scheduled appointments
-        });
-        
-        const appointments = response.data || [];
-        
-        // Count appointments within the schedule's time range
-        const [startHour, startMin] = schedule.start_time.split(':').map(Number);
-        const [endHour, endMin] = schedule.end_time.split(':').map(Number);
-        const startMinutes = startHour * 60 + startMin;
-        const endMinutes = endHour * 60 + endMin;
-        
-        const appointmentsInRange = appointments.filter(apt => {
-          if (!apt.appointment_time) return false;
-          const [aptHour, aptMin] = apt.appointment_time.split(':').map(Number);
-          const aptMinutes = aptHour * 60 + aptMin;
-          return aptMinutes >= startMinutes && aptMinutes <= endMinutes;
-        });
-        
-        return appointmentsInRange.length;
-      } catch (err) {
-        console.error('Error fetching appointments count:', err);
-        return 0;
-      }
-    };
-
     setLoading(true);
     setError(null);
     try {
-      const response = await getDoctorSchedules();
+      const [response, overridesResponse] = await Promise.all([
+        getDoctorSchedules(),
+        getScheduleOverrides()
+      ]);
       const schedulesData = response.data || [];
       setSchedules(schedulesData);
+      setOverrides(overridesResponse.data || []);
       
-      // Fetch booking counts for each schedule
-      const bookingCounts = {};
-      for (const schedule of schedulesData) {
-        const count = await getAppointmentsCountForSchedule(schedule);
-        bookingCounts[schedule._id] = count;
-      }
-      setScheduleBookings(bookingCounts);
+      // Free slots of every schedule over the booking horizon
+      const slots = await getPublicSlots();
+      const slotsBySchedule = {};
+      slots.forEach(slot => {
+        (slotsBySchedule[slot.schedule_id] = slotsBySchedule[slot.schedule_id] || []).push(slot);
+      });
+      const summaries = {};
+      Object.entries(slotsBySchedule).forEach(([scheduleId, scheduleSlotList]) => {
+        summaries[scheduleId] = { free: countFreePlaces(scheduleSlotList), next: scheduleSlotList[0] };
+      });
+      setScheduleSlots(summaries);
     } catch (err) {
       const errorMessage = err.message || 
                           (err.data && err.data.message) ||
@@ -151,15 +110,6 @@ const ScheduledAppointmentsPage = () => {
     }
   }, []);
 
-  const fetchPatients = useCallback(async () => {
-    try {
-      const response = await getPatients();
-      setPatients(response.data || []);
-    } catch (err) {
-      console.error('Failed to fetch patients:', err);
-    }
-  }, []);
-
   const fetchDoctors = useCallback(async () => {
     try {
       const response = await getDoctors();
@@ -185,30 +135,36 @@ const ScheduledAppointmentsPage = () => {
 
   // Fetch dropdown data on component mount
   useEffect(() => {
-    fetchPatients();
     fetchDoctors();
     fetchDepartments();
-  }, [fetchPatients, fetchDoctors, fetchDepartments]);
+  }, [fetchDoctors, fetchDepartments]);
+
+  const getDoctorDepartmentId = (doctorId) => getId(doctors.find(d => d._id === doctorId)?.department_id) || '';
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     
-    // Auto-fill department when doctor is selected
-    if (name === 'doctor_id' && value) {
-      const selectedDoctor = doctors.find(d => d._id === value);
-      if (selectedDoctor && selectedDoctor.department_id) {
-        // Get department ID from doctor object
-        const departmentId = typeof selectedDoctor.department_id === 'object'
-          ? (selectedDoctor.department_id._id || '')
-          : selectedDoctor.department_id;
-        
-        setFormData(prev => ({
-          ...prev,
-          [name]: value,
-          department_id: departmentId || prev.department_id
-        }));
-        return;
-      }
+    // Auto-fill department when doctor is selected; the picked slot belongs to the previous doctor
+    if (name === 'doctor_id') {
+      setFormData(prev => ({
+        ...prev,
+        doctor_id: value,
+        department_id: getDoctorDepartmentId(value) || prev.department_id,
+        appointment_date: '',
+        appointment_time: ''
+      }));
+      return;
+    }
+
+    // A doctor of another department no longer fits the choice
+    if (name === 'department_id') {
+      setFormData(prev => {
+        const keepDoctor = prev.doctor_id && (!value || getDoctorDepartmentId(prev.doctor_id) === value);
+        return keepDoctor
+          ? { ...prev, department_id: value }
+          : { ...prev, department_id: value, doctor_id: '', appointment_date: '', appointment_time: '' };
+      });
+      return;
     }
     
     setFormData(prev => ({
@@ -217,9 +173,17 @@ const ScheduledAppointmentsPage = () => {
     }));
   };
 
-  const handleNewPatientChange = (e) => {
+  const handleSlotChange = (slot) => {
+    setFormData(prev => ({
+      ...prev,
+      appointment_date: slot.date,
+      appointment_time: slot.time
+    }));
+  };
+
+  const handleDetailsChange = (e) => {
     const { name, value } = e.target;
-    setNewPatientData(prev => ({
+    setDetails(prev => ({
       ...prev,
       [name]: value
     }));
@@ -227,107 +191,64 @@ const ScheduledAppointmentsPage = () => {
 
   const handleOpenBookingModal = (schedule = null) => {
     setShowBookingModal(true);
-    setPatientType('existing');
     
-    if (schedule) {
-      // Auto-fill from selected schedule
-      const doctorId = typeof schedule.doctor_id === 'object' 
-        ? schedule.doctor_id._id 
-        : schedule.doctor_id;
-      
-      // Get department from doctor object - handle different data structures
-      let departmentId = '';
-      
-      // First, try to get department from schedule's doctor object
-      if (schedule.doctor_id && typeof schedule.doctor_id === 'object') {
-        if (schedule.doctor_id.department_id) {
-          // department_id could be an object with _id or just an ID string
-          departmentId = typeof schedule.doctor_id.department_id === 'object'
-            ? (schedule.doctor_id.department_id._id || '')
-            : schedule.doctor_id.department_id;
-        }
-      }
-      
-      // If department not found in schedule, look up from doctors array
-      if (!departmentId && doctorId) {
-        const doctor = doctors.find(d => d._id === doctorId);
-        if (doctor && doctor.department_id) {
-          // department_id could be an object with _id or just an ID string
-          departmentId = typeof doctor.department_id === 'object'
-            ? (doctor.department_id._id || '')
-            : doctor.department_id;
-        }
-      }
-      
-      // Convert day of week to actual date
-      const appointmentDate = getNextDateForDay(schedule.day_of_week);
-      
-      // Set time to start_time, but user can change it to any time within the schedule range
-      // The schedule shows the doctor is available from start_time to end_time
+    if (schedule && schedule._id) {
+      // Auto-fill from the selected schedule and preselect its first free slot, the user can pick another one
+      const doctorId = getId(schedule.doctor_id) || '';
+      const nextSlot = scheduleSlots[schedule._id]?.next;
       setFormData({
-        patient_id: '',
-        doctor_id: doctorId || '',
-        department_id: departmentId || '',
-        appointment_date: appointmentDate || '',
-        appointment_time: schedule.start_time || '',
-        reason: '',
-        status: 'scheduled',
-        // Store schedule info for reference
-        schedule_start_time: schedule.start_time,
-        schedule_end_time: schedule.end_time,
-        schedule_id: schedule._id // Store schedule ID for validation
+        ...EMPTY_BOOKING,
+        doctor_id: doctorId,
+        department_id: getId(schedule.doctor_id?.department_id) || getDoctorDepartmentId(doctorId),
+        appointment_date: nextSlot ? nextSlot.date : '',
+        appointment_time: nextSlot ? nextSlot.time : ''
       });
     } else {
-      // Empty form for manual booking
-      setFormData({
-        patient_id: '',
-        doctor_id: '',
-        department_id: '',
-        appointment_date: '',
-        appointment_time: '',
-        reason: '',
-        status: 'scheduled',
-        schedule_start_time: '',
-        schedule_end_time: ''
-      });
+      setFormData(EMPTY_BOOKING);
     }
     
-    setNewPatientData({
-      first_name: '',
-      last_name: '',
-      email: '',
-      phone: '',
-      date_of_birth: '',
-      gender: '',
-      address: ''
-    });
+    setDetails(EMPTY_DETAILS);
+    setError(null);
+    setSuccess(null);
+    setBooking(null);
+  };
+
+  // Fully booked schedules offer the waitlist for their doctor and day instead
+  const handleOpenWaitlistModal = (schedule) => {
+    setWaitlistDefaults({ doctor_id: getId(schedule.doctor_id) || '', day_of_week: schedule.day_of_week });
     setError(null);
     setSuccess(null);
+    setBooking(null);
+  };
+
+  const handleWaitlistJoined = () => {
+    setWaitlistDefaults(null);
+    setBooking(null);
+    setSuccess('You are on the waitlist. We will let you know as soon as a slot frees up.');
+    setTimeout(() => {
+      setSuccess(null);
+    }, 5000);
+  };
+
+  // Slot length comes from the doctor's session on the booked date
+  const handleAddToCalendar = () => {
+    const minutes = timeToMinutes(booking.appointment_time);
+    const schedule = getSessionsOn(schedules, getDateKey(booking.appointment_date), { overrides })
+      .filter(s => getId(s.doctor_id) === booking.doctor_id)
+      .find(s => minutes >= timeToMinutes(s.start_time) && minutes < timeToMinutes(s.end_time));
+    downloadAppointmentCalendar({ ...booking, _id: booking.booking_reference }, {
+      durationMinutes: schedule ? getSlotMinutes(schedule) : undefined,
+      doctorName: booking.doctor_name,
+      department: booking.department_name,
+      location: booking.room
+    });
   };
 
   const handleCloseBookingModal = () => {
     setShowBookingModal(false);
-    setPatientType('existing');
-    setFormData({
-      patient_id: '',
-      doctor_id: '',
-      department_id: '',
-      appointment_date: '',
-      appointment_time: '',
-      reason: '',
-      status: 'scheduled'
-    });
-    setNewPatientData({
-      first_name: '',
-      last_name: '',
-      email: '',
-      phone: '',
-      date_of_birth: '',
-      gender: '',
-      address: ''
-    });
+    setFormData(EMPTY_BOOKING);
+    setDetails(EMPTY_DETAILS);
     setError(null);
-    setSuccess(null);
   };
 
   const handleBookAppointment = async (e) => {
@@ -335,172 +256,53 @@ const ScheduledAppointmentsPage = () => {
     setError(null);
     setSuccess(null);
     
-    // Validate required fields
-    if (!formData.patient_id && patientType === 'existing') {
-      setError('Please select a patient');
-      return;
-    }
-    
-    if (!formData.doctor_id) {
-      setError('Please select a doctor');
-      return;
-    }
-    
     if (!formData.department_id) {
       setError('Please select a department');
       return;
     }
     
-    if (!formData.appointment_date) {
-      setError('Please select an appointment date');
+    if (!formData.doctor_id) {
+      setError('Please select a doctor');
       return;
     }
     
-    if (!formData.appointment_time) {
-      setError('Please select an appointment time');
+    if (!formData.appointment_date || !formData.appointment_time) {
+      setError('Please pick an available time slot');
       return;
     }
-    
-    // Validate time format
-    const timeRegex = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
-    if (!timeRegex.test(formData.appointment_time)) {
-      setError('Please provide valid time format (HH:MM)');
+
+    const detailsError = validateBookingDetails(details);
+    if (detailsError) {
+      setError(detailsError);
       return;
     }
     
-    // Validate max patients limit
-    if (formData.schedule_id) {
-      const schedule = schedules.find(s => s._id === formData.schedule_id);
-      if (schedule && schedule.max_patients) {
-        const currentBookings = scheduleBookings[schedule._id] || 0;
-        if (currentBookings >= schedule.max_patients) {
-          setError(`This time slot is fully booked. Maximum ${schedule.max_patients} patient(s) allowed, and all slots are already taken. Please choose another schedule.`);
-          return;
-        }
-      }
-    }
-    
-    // Check if the specific time is already booked (before submitting to backend)
-    try {
-      const existingAppointmentsResponse = await getAppointments({
-        doctor_id: formData.doctor_id,
-        date: formData.appointment_date,
-        status: 'scheduled'
-      });
-      
-      const existingAppointments = existingAppointmentsResponse.data || [];
-      const timeAlreadyBooked = existingAppointments.some(apt => {
-        return apt.appointment_time === formData.appointment_time;
-      });
-      
-      if (timeAlreadyBooked) {
-        const formattedDate = new Date(formData.appointment_date).toLocaleDateString('en-US', {
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        });
-        const timeRange = formData.schedule_start_time && formData.schedule_end_time 
-          ? ` (Available times: ${formData.schedule_start_time} - ${formData.schedule_end_time})`
-          : '';
-        setError(`⚠️ This time has already been taken by another patient. The doctor already has an appointment on ${formattedDate} at ${formData.appointment_time}. Please choose another time${timeRange}.`);
-        return;
-      }
-    } catch (checkErr) {
-      // If we can't check, continue with booking and let backend validate
-      console.warn('Could not check existing appointments, proceeding with booking:', checkErr);
-    }
-    
+    setSaving(true);
     try {
-      let patientId = formData.patient_id;
-      
-      // If creating new patient, create patient first
-      if (patientType === 'new') {
-        // Validate new patient data
-        if (!newPatientData.first_name || !newPatientData.last_name || !newPatientData.email) {
-          setError('Please fill in all required patient fields (First Name, Last Name, Email)');
-          return;
-        }
-        
-        const patientResponse = await createPatient(newPatientData);
-        patientId = patientResponse.data._id;
-        // Refresh patients list
-        await fetchPatients();
-      }
-      
-      // Prepare submit data - only include required fields and non-empty optional fields
-      const submitData = {
-        patient_id: patientId,
-        doctor_id: formData.doctor_id,
-        department_id: formData.department_id,
+      const bookingData = {
+        ...formData,
+        ...details,
         appointment_date: new Date(formData.appointment_date).toISOString(),
-        appointment_time: formData.appointment_time,
-        status: formData.status || 'scheduled'
+        reason: formData.reason.trim()
       };
+      const response = await createPublicBooking(bookingData);
       
-      // Only include reason if it's provided
-      if (formData.reason && formData.reason.trim()) {
-        submitData.reason = formData.reason.trim();
-      }
-      
-      console.log('Submitting appointment data:', submitData);
-      
-      const appointmentResponse = await createAppointment(submitData);
-      const createdAppointment = appointmentResponse.data || appointmentResponse;
-      
-      // Notify the doctor about the new appointment
-      try {
-        await notifyDoctorAboutAppointment(formData.doctor_id, createdAppointment, formData, patientType === 'new' ? newPatientData : null);
-      } catch (notifyErr) {
-        // Don't fail the booking if notification fails, just log it
-        console.warn('Failed to send notification to doctor:', notifyErr);
-      }
-      
-      setSuccess(patientType === 'new' 
-        ? 'Patient and appointment booked successfully!' 
-        : 'Appointment booked successfully!');
-      
-      // Refresh the schedules list
+      // Refresh the free places on the schedule cards
       await fetchSchedules();
       
-      // Close modal immediately to show success message
-        handleCloseBookingModal();
-      
-      // Auto-dismiss success message after 5 seconds
-      setTimeout(() => {
-        setSuccess(null);
-      }, 5000);
+      // Close the modal first: closing it clears the messages.
+      // The confirmation stays until closed so the reference and the calendar download remain available.
+      handleCloseBookingModal();
+      setBooking(response.data);
     } catch (err) {
       console.error('Error booking appointment:', err);
-      // Extract detailed error message
-      let errorMessage = err.message || 
-                          (err.data && err.data.message) ||
-                          (err.data && err.data.errors && Array.isArray(err.data.errors) 
-                            ? err.data.errors.join(', ') 
-                            : null) ||
-                          'Failed to book appointment. Please check all fields and try again.';
-      
-      // Provide user-friendly message for common errors
-      if (errorMessage.includes('already has an appointment') || 
-          errorMessage.includes('already booked') ||
-          errorMessage.includes('time slot is taken') ||
-          errorMessage.includes('appointment already exists')) {
-        const formattedDate = new Date(formData.appointment_date).toLocaleDateString('en-US', {
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        });
-        errorMessage = `⚠️ This time slot has already been taken by another patient. The selected doctor already has an appointment on ${formattedDate} at ${formData.appointment_time}. Please choose another time within the available schedule range.`;
-      } else if (errorMessage.includes('Doctor not found')) {
-        errorMessage = 'The selected doctor could not be found. Please refresh the page and try again.';
-      } else if (errorMessage.includes('Patient not found')) {
-        errorMessage = 'The selected patient could not be found. Please refresh the page and try again.';
-      } else if (errorMessage.includes('Department not found')) {
-        errorMessage = 'The selected department could not be found. Please refresh the page and try again.';
+      // The slot may have been taken since the list was loaded
+      if (err.status === 409) {
+        setSlotRefreshKey(key => key + 1);
       }
-      
-      setError(errorMessage);
+      setError(err);
+    } finally {
+      setSaving(false);
     }
   };
 
@@ -512,68 +314,13 @@ const ScheduledAppointmentsPage = () => {
     return 'N/A';
   };
 
-  // Helper function to notify doctor about new appointment
-  const notifyDoctorAboutAppointment = async (doctorId, appointment, formData, newPatientInfo = null) => {
-    try {
-      // Get doctor details to find their user_id
-      const doctorResponse = await getDoctor(doctorId);
-      const doctor = doctorResponse.data || doctorResponse;
-      
-      // Extract user_id from doctor object (could be object or string)
-      let doctorUserId = null;
-      if (doctor.user_id) {
-        doctorUserId = typeof doctor.user_id === 'object' 
-          ? (doctor.user_id._id || doctor.user_id.id) 
-          : doctor.user_id;
-      }
-      
-      if (!doctorUserId) {
-        console.warn('Doctor does not have a user_id, cannot send notification');
-        return;
-      }
-      
-      // Get patient name for notification message
-      let patientName = 'A patient';
-      if (formData.patient_id) {
-        const patient = patients.find(p => p._id === formData.patient_id);
-        if (patient) {
-          patientName = `${patient.first_name} ${patient.last_name}`;
-        }
-      } else if (newPatientInfo && newPatientInfo.first_name) {
-        patientName = `${newPatientInfo.first_name} ${newPatientInfo.last_name}`;
-      }
-      
-      // Format appointment date and time
-      const appointmentDate = formData.appointment_date 
-        ? new Date(formData.appointment_date).toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-          })
-        : 'TBD';
-      const appointmentTime = formData.appointment_time || 'TBD';
-      
-      // Create notification message
-      const notificationMessage = `New appointment booked! ${patientName} has scheduled an appointment with you on ${appointmentDate} at ${appointmentTime}.${formData.reason ? ` Reason: ${formData.reason}` : ''}`;
-      
-      // Create notification for the doctor
-      await createNotification({
-        user_id: doctorUserId,
-        message: notificationMessage,
-        notification_type: 'appointment',
-        is_read: false
-      });
-      
-      console.log('✅ Notification sent to doctor:', doctorUserId);
-    } catch (error) {
-      console.error('Error notifying doctor:', error);
-      throw error;
-    }
-  };
-
-  // Get today's date in YYYY-MM-DD format for min date
-  const today = new Date().toISOString().split('T')[0];
+  // Short date for the next free slot on schedule cards
+  const formatSlotDate = (dateKey) =>
+    new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
   const authenticated = isAuthenticated();
 
   return (
@@ -592,6 +339,12 @@ const ScheduledAppointmentsPage = () => {
               </svg>
               <span>Home</span>
             </Link>
+            <Link to="/manage-booking" className="public-nav-link">
+              <svg className="nav-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M19 3H5C3.89 3 3 3.9 3 5V19C3 20.1 3.89 21 5 21H19C20.1 21 21 20.1 21 19V5C21 3.9 20.1 3 19 3ZM10 17L5 12L6.41 10.59L10 14.17L17.59 6.58L19 8L10 17Z" fill="currentColor"/>
+              </svg>
+              <span>Manage Booking</span>
+            </Link>
             {authenticated && (
               <Link to="/dashboard" className="public-nav-link">
                 <svg className="nav-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -609,6 +362,9 @@ const ScheduledAppointmentsPage = () => {
           <div>
             <h1>Doctor Schedules</h1>
             <p className="page-subtitle">View available doctor schedules and book appointments - No login required</p>
+            <p className="page-subtitle">
+              Already booked? <Link to="/manage-booking">Manage your booking</Link> with your booking reference.
+            </p>
           </div>
           <button className="btn btn-primary btn-book" onClick={handleOpenBookingModal}>
             <svg className="btn-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -635,6 +391,42 @@ const ScheduledAppointmentsPage = () => {
           </div>
         )}
 
+        {/* Booking confirmation with the reference needed to manage the booking */}
+        {booking && (
+          <div className="alert alert-success alert-success-fixed booking-confirmation">
+            <svg className="alert-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M12 2C6.48 2 2 6.48 2 12C2 17.52 6.48 22 12 22C17.52 22 22 17.52 22 12C22 6.48 17.52 2 12 2ZM10 17L5 12L6.41 10.59L10 14.17L17.59 6.58L19 8L10 17Z" fill="currentColor"/>
+            </svg>
+            <div className="booking-confirmation-body">
+              <strong>
+                Appointment booked with {booking.doctor_name} on {formatSlotDate(getDateKey(booking.appointment_date))} at {booking.appointment_time}
+              </strong>
+              <div>
+                Your booking reference is <span className="booking-reference">{booking.booking_reference}</span>.
+                Keep it with the phone number you gave to confirm, reschedule or cancel your appointment.
+              </div>
+              <div className="booking-confirmation-actions">
+                <button type="button" className="btn btn-sm btn-secondary" onClick={handleAddToCalendar}>
+                  📅 Add to Calendar
+                </button>
+                <Link
+                  to={`/manage-booking?reference=${encodeURIComponent(booking.booking_reference)}`}
+                  className="btn btn-sm btn-secondary"
+                >
+                  Manage My Booking
+                </Link>
+              </div>
+            </div>
+            <button 
+              className="alert-close" 
+              onClick={() => setBooking(null)}
+              aria-label="Close"
+            >
+              ×
+            </button>
+          </div>
+        )}
+
         {/* Error Message */}
         {error && <ErrorDisplay error={error} />}
 
@@ -642,22 +434,25 @@ const ScheduledAppointmentsPage = () => {
         {loading ? (
           <div className="loading">Loading doctor schedules...</div>
         ) : (() => {
-          // Filter out fully booked schedules - only show schedules with available slots
-          const availableSchedules = schedules.filter(schedule => {
-            // If no max_patients is set, always show the schedule
-            if (!schedule.max_patients || schedule.max_patients === 0) {
-              return true;
-            }
-            // If max_patients is set, only show if there are available slots
-            const currentBookings = scheduleBookings[schedule._id] || 0;
-            return currentBookings < schedule.max_patients;
-          });
+          // Schedules without a free slot in the booking horizon are fully booked and offer the waitlist.
+          // Weekly schedules that have ended are left out; extra sessions on single dates are listed with them.
+          const todayKey = getTodayKey();
+          const horizonEnd = addDays(todayKey, BOOKING_HORIZON_DAYS - 1);
+          const extraSessions = overrides
+            .filter(override => getOverrideKind(override) === 'extra')
+            .map(override => ({ ...override, date: getDateKey(override.date), day_of_week: getDayOfWeek(getDateKey(override.date)) }))
+            .filter(session => session.date >= todayKey && session.date <= horizonEnd)
+            .sort((a, b) => a.date.localeCompare(b.date));
+          const availableSchedules = [
+            ...schedules.filter(schedule => schedule.is_available !== false && !isScheduleExpired(schedule)),
+            ...extraSessions
+          ];
           
           return availableSchedules.length === 0 ? (
             <div className="no-appointments">
               <div className="no-appointments-icon">📅</div>
               <h3>No Available Schedules</h3>
-              <p>All appointment slots are currently fully booked. Please check back later for available schedules.</p>
+              <p>There are no doctor schedules at the moment. Please check back later for available schedules.</p>
               <button className="btn btn-primary" onClick={handleOpenBookingModal}>
                 Book Appointment
               </button>
@@ -669,14 +464,14 @@ const ScheduledAppointmentsPage = () => {
                 <div className="appointment-card-header">
                   <div className="appointment-date-time">
                     <div className="date-display">
-                      {schedule.day_of_week}
+                      {schedule.date ? formatSlotDate(schedule.date) : schedule.day_of_week}
                     </div>
                     <div className="time-display">
                       ⏰ {schedule.start_time} - {schedule.end_time}
                     </div>
                   </div>
-                  <span className="status-badge status-scheduled">
-                    Available
+                  <span className={`status-badge ${scheduleSlots[schedule._id] ? 'status-scheduled' : 'status-full'}`}>
+                    {scheduleSlots[schedule._id] ? 'Available' : 'Fully Booked'}
                   </span>
                 </div>
                 
@@ -694,9 +489,16 @@ const ScheduledAppointmentsPage = () => {
                   <div className="appointment-info-row">
                     <span className="info-label">📅 Day:</span>
                     <span className="info-value">
-                      {schedule.day_of_week}
+                      {schedule.date ? `Extra session on ${formatSlotDate(schedule.date)}` : schedule.day_of_week}
                     </span>
                   </div>
+
+                  {formatEffectiveRange(schedule) && (
+                    <div className="appointment-info-row">
+                      <span className="info-label">📆 Effective:</span>
+                      <span className="info-value">{formatEffectiveRange(schedule)}</span>
+                    </div>
+                  )}
                   
                   <div className="appointment-info-row">
                     <span className="info-label">⏰ Time Slot:</span>
@@ -715,38 +517,46 @@ const ScheduledAppointmentsPage = () => {
                 
                 <div className="appointment-card-footer">
                   {(() => {
-                    const currentBookings = scheduleBookings[schedule._id] || 0;
-                    const maxPatients = schedule.max_patients || 0;
-                    const isFull = maxPatients > 0 && currentBookings >= maxPatients;
-                    const availableSlots = maxPatients > 0 ? maxPatients - currentBookings : 'Unlimited';
+                    if (!scheduleSlots[schedule._id]) {
+                      return (
+                        <>
+                          <div className="booking-status booking-status-full">
+                            <strong>Fully booked for the next {BOOKING_HORIZON_DAYS} days</strong>
+                            <div>Join the waitlist to be offered the first slot that frees up</div>
+                          </div>
+                          <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => handleOpenWaitlistModal(schedule)}
+                            style={{ width: '100%' }}
+                          >
+                            Join Waitlist
+                          </button>
+                        </>
+                      );
+                    }
+                    const { free, next } = scheduleSlots[schedule._id];
                     
                     return (
                       <>
-                        {maxPatients > 0 && (
-                          <div className="booking-status" style={{ 
-                            marginBottom: '0.75rem', 
-                            padding: '0.5rem', 
-                            backgroundColor: isFull ? '#fff3cd' : '#d1e7dd',
-                            borderRadius: '4px',
-                            fontSize: '0.875rem',
-                            color: isFull ? '#856404' : '#0f5132',
-                            textAlign: 'center'
-                          }}>
-                            {isFull ? (
-                              <strong>⚠️ Fully Booked ({currentBookings}/{maxPatients})</strong>
-                            ) : (
-                              <strong>✅ Available: {availableSlots} of {maxPatients} slots</strong>
-                            )}
-                          </div>
-                        )}
+                        <div className="booking-status" style={{ 
+                          marginBottom: '0.75rem', 
+                          padding: '0.5rem', 
+                          backgroundColor: '#d1e7dd',
+                          borderRadius: '4px',
+                          fontSize: '0.875rem',
+                          color: '#0f5132',
+                          textAlign: 'center'
+                        }}>
+                          <strong>✅ Next: {formatSlotDate(next.date)} at {next.time}</strong>
+                          <div>{free} free place{free === 1 ? '' : 's'} in the next {BOOKING_HORIZON_DAYS} days</div>
+                        </div>
                         <button 
-                          className={`btn btn-sm ${isFull ? 'btn-secondary' : 'btn-primary'}`}
+                          className="btn btn-sm btn-primary"
                           onClick={() => handleOpenBookingModal(schedule)}
-                          disabled={isFull}
-                          style={{ width: '100%', opacity: isFull ? 0.6 : 1, cursor: isFull ? 'not-allowed' : 'pointer' }}
-                          title={isFull ? 'This time slot is fully booked' : 'Click to book this slot'}
+                          style={{ width: '100%' }}
+                          title="Click to book this slot"
                         >
-                          {isFull ? 'Fully Booked' : 'Book This Slot'}
+                          Book This Slot
                         </button>
                       </>
                     );
@@ -759,6 +569,17 @@ const ScheduledAppointmentsPage = () => {
         })()}
       </div>
 
+      {waitlistDefaults && (
+        <JoinWaitlistModal
+          doctors={doctors}
+          departments={departments}
+          defaults={waitlistDefaults}
+          joinWaitlist={joinPublicWaitlist}
+          onClose={() => setWaitlistDefaults(null)}
+          onJoined={handleWaitlistJoined}
+        />
+      )}
+
       {/* Booking Modal */}
       {showBookingModal && (
         <div className="modal-overlay" onClick={handleCloseBookingModal}>
@@ -776,148 +597,24 @@ const ScheduledAppointmentsPage = () => {
                 </div>
               )}
 
-              {/* Patient Type Selection */}
               <div className="form-group">
-                <label>Patient Type *</label>
-                <div className="radio-group">
-                  <label className="radio-label">
-                    <input
-                      type="radio"
-                      name="patientType"
-                      value="existing"
-                      checked={patientType === 'existing'}
-                      onChange={(e) => setPatientType(e.target.value)}
-                    />
-                    <span>Existing Patient</span>
-                  </label>
-                  <label className="radio-label">
-                    <input
-                      type="radio"
-                      name="patientType"
-                      value="new"
-                      checked={patientType === 'new'}
-                      onChange={(e) => setPatientType(e.target.value)}
-                    />
-                    <span>New Patient</span>
-                  </label>
-                </div>
+                <label htmlFor="department_id">Department *</label>
+                <select
+                  id="department_id"
+                  name="department_id"
+                  value={formData.department_id}
+                  onChange={handleInputChange}
+                  required
+                >
+                  <option value="">Select a department</option>
+                  {departments.map(dept => (
+                    <option key={dept._id} value={dept._id}>
+                      {dept.department_name}
+                    </option>
+                  ))}
+                </select>
               </div>
 
-              {/* Patient Selection */}
-              {patientType === 'existing' ? (
-                <div className="form-group">
-                  <label htmlFor="patient_id">Patient *</label>
-                  <select
-                    id="patient_id"
-                    name="patient_id"
-                    value={formData.patient_id}
-                    onChange={handleInputChange}
-                    required
-                  >
-                    <option value="">Select a patient</option>
-                    {patients.map(patient => (
-                      <option key={patient._id} value={patient._id}>
-                        {patient.first_name} {patient.last_name} ({patient.email})
-                      </option>
-                    ))}
-                  </select>
-                </div>
-              ) : (
-                <div className="new-patient-section">
-                  <h3 className="section-title">Patient Information</h3>
-                  <div className="form-row">
-                    <div className="form-group">
-                      <label htmlFor="first_name">First Name *</label>
-                      <input
-                        type="text"
-                        id="first_name"
-                        name="first_name"
-                        value={newPatientData.first_name}
-                        onChange={handleNewPatientChange}
-                        required
-                        minLength={2}
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label htmlFor="last_name">Last Name *</label>
-                      <input
-                        type="text"
-                        id="last_name"
-                        name="last_name"
-                        value={newPatientData.last_name}
-                        onChange={handleNewPatientChange}
-                        required
-                        minLength={2}
-                      />
-                    </div>
-                  </div>
-                  
-                  <div className="form-row">
-                    <div className="form-group">
-                      <label htmlFor="email">Email *</label>
-                      <input
-                        type="email"
-                        id="email"
-                        name="email"
-                        value={newPatientData.email}
-                        onChange={handleNewPatientChange}
-                        required
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label htmlFor="phone">Phone</label>
-                      <input
-                        type="tel"
-                        id="phone"
-                        name="phone"
-                        value={newPatientData.phone}
-                        onChange={handleNewPatientChange}
-                      />
-                    </div>
-                  </div>
-                  
-                  <div className="form-row">
-                    <div className="form-group">
-                      <label htmlFor="date_of_birth">Date of Birth</label>
-                      <input
-                        type="date"
-                        id="date_of_birth"
-                        name="date_of_birth"
-                        value={newPatientData.date_of_birth}
-                        onChange={handleNewPatientChange}
-                        max={new Date().toISOString().split('T')[0]}
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label htmlFor="gender">Gender</label>
-                      <select
-                        id="gender"
-                        name="gender"
-                        value={newPatientData.gender}
-                        onChange={handleNewPatientChange}
-                      >
-                        <option value="">Select gender</option>
-                        <option value="male">Male</option>
-                        <option value="female">Female</option>
-                        <option value="other">Other</option>
-                      </select>
-                    </div>
-                  </div>
-                  
-                  <div className="form-group">
-                    <label htmlFor="address">Address</label>
-                    <textarea
-                      id="address"
-                      name="address"
-                      value={newPatientData.address}
-                      onChange={handleNewPatientChange}
-                      rows="2"
-                      placeholder="Enter patient address..."
-                    />
-                  </div>
-                </div>
-              )}
-
               <div className="form-group">
                 <label htmlFor="doctor_id">Doctor *</label>
                 <select
@@ -928,69 +625,107 @@ const ScheduledAppointmentsPage = () => {
                   required
                 >
                   <option value="">Select a doctor</option>
-                  {doctors.map(doctor => (
-                    <option key={doctor._id} value={doctor._id}>
-                      Dr. {doctor.first_name} {doctor.last_name} {doctor.specialization ? `(${doctor.specialization})` : ''}
-                    </option>
-                  ))}
+                  {doctors
+                    .filter(doctor => !formData.department_id || getId(doctor.department_id) === formData.department_id)
+                    .map(doctor => (
+                      <option key={doctor._id} value={doctor._id}>
+                        Dr. {doctor.first_name} {doctor.last_name} {doctor.specialization ? `(${doctor.specialization})` : ''}
+                      </option>
+                    ))}
                 </select>
               </div>
 
               <div className="form-group">
-                <label htmlFor="department_id">Department *</label>
-                <select
-                  id="department_id"
-                  name="department_id"
-                  value={formData.department_id}
-                  onChange={handleInputChange}
-                  required
-                >
-                  <option value="">Select a department</option>
-                  {departments.map(dept => (
-                    <option key={dept._id} value={dept._id}>
-                      {dept.department_name}
-                    </option>
-                  ))}
-                </select>
+                <SlotPicker
+                  doctorId={formData.doctor_id}
+                  date={formData.appointment_date}
+                  time={formData.appointment_time}
+                  onChange={handleSlotChange}
+                  refreshKey={slotRefreshKey}
+                  loadSlots={getPublicSlots}
+                />
               </div>
 
-              <div className="form-row">
-                <div className="form-group">
-                  <label htmlFor="appointment_date">Appointment Date *</label>
-                  <input
-                    type="date"
-                    id="appointment_date"
-                    name="appointment_date"
-                    value={formData.appointment_date}
-                    onChange={handleInputChange}
-                    required
-                    min={today}
-                  />
-                  <small className="form-hint">Cannot be in the past</small>
+              <div className="new-patient-section">
+                <h3 className="section-title">Your Details</h3>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="first_name">First Name *</label>
+                    <input
+                      type="text"
+                      id="first_name"
+                      name="first_name"
+                      value={details.first_name}
+                      onChange={handleDetailsChange}
+                      required
+                      minLength={2}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="last_name">Last Name *</label>
+                    <input
+                      type="text"
+                      id="last_name"
+                      name="last_name"
+                      value={details.last_name}
+                      onChange={handleDetailsChange}
+                      required
+                      minLength={2}
+                    />
+                  </div>
                 </div>
-
-                <div className="form-group">
-                  <label htmlFor="appointment_time">Appointment Time *</label>
-                  <input
-                    type="time"
-                    id="appointment_time"
-                    name="appointment_time"
-                    value={formData.appointment_time}
-                    onChange={handleInputChange}
-                    required
-                    min={formData.schedule_start_time || undefined}
-                    max={formData.schedule_end_time || undefined}
-                  />
-                  <small className="form-hint">
-                    {formData.schedule_start_time && formData.schedule_end_time 
-                      ? `Select time between ${formData.schedule_start_time} and ${formData.schedule_end_time}`
-                      : 'Format: HH:MM (24-hour)'}
-                  </small>
-                  {formData.schedule_start_time && formData.schedule_end_time && (
-                    <small className="form-hint" style={{ display: 'block', marginTop: '0.25rem', color: '#dc3545' }}>
-                      ⚠️ Note: If this time is already booked, try selecting a different time within this range.
-                    </small>
-                  )}
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="phone">Phone *</label>
+                    <input
+                      type="tel"
+                      id="phone"
+                      name="phone"
+                      value={details.phone}
+                      onChange={handleDetailsChange}
+                      required
+                    />
+                    <small className="form-hint">You need this number and your booking reference to manage the booking.</small>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="email">Email</label>
+                    <input
+                      type="email"
+                      id="email"
+                      name="email"
+                      value={details.email}
+                      onChange={handleDetailsChange}
+                    />
+                  </div>
+                </div>
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="date_of_birth">Date of Birth</label>
+                    <input
+                      type="date"
+                      id="date_of_birth"
+                      name="date_of_birth"
+                      value={details.date_of_birth}
+                      onChange={handleDetailsChange}
+                      max={new Date().toISOString().split('T')[0]}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="gender">Gender</label>
+                    <select
+                      id="gender"
+                      name="gender"
+                      value={details.gender}
+                      onChange={handleDetailsChange}
+                    >
+                      <option value="">Select gender</option>
+                      <option value="male">Male</option>
+                      <option value="female">Female</option>
+                      <option value="other">Other</option>
+                    </select>
+                  </div>
                 </div>
               </div>
 
@@ -1002,7 +737,7 @@ const ScheduledAppointmentsPage = () => {
                   value={formData.reason}
                   onChange={handleInputChange}
                   rows="3"
-                  placeholder="Enter appointment reason..."
+                  placeholder="What would you like to see the doctor about?"
                 />
               </div>
 
@@ -1010,8 +745,8 @@ const ScheduledAppointmentsPage = () => {
                 <button type="button" className="btn btn-secondary" onClick={handleCloseBookingModal}>
                   Cancel
                 </button>
-                <button type="submit" className="btn btn-primary">
-                  Book Appointment
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? 'Booking...' : 'Book Appointment'}
                 </button>
               </div>
             </form>
@@ -1,12 +1,17 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import {
-  getUsers,
+  getUsersPage,
   createUser,
   updateUser,
   deleteUser
 } from '../services/userService';
+import { getRoles } from '../services/roleService';
 import ErrorDisplay from '../components/ErrorDisplay';
-import ReportButton from '../components/ReportButton';
+import DataTable from '../components/DataTable';
+import Pagination from '../components/Pagination';
+import usePaginationParams from '../hooks/usePaginationParams';
+import { toPageResult } from '../utils/pagination';
+import { can } from '../utils/accessControl';
 import './UsersPage.css';
 
 const UsersPage = () => {
@@ -26,37 +31,54 @@ const UsersPage = () => {
     role: ''
   });
   
-  // Filter state
-  const [filters, setFilters] = useState({
-    role: ''
-  });
+  // Paging, sorting and the role filter live in the URL
+  const {
+    page, limit, sort, filters,
+    setPage, setLimit, setSort, setFilter, resetParams
+  } = usePaginationParams({ defaultSort: 'name', filterKeys: ['role'] });
+  const roleFilter = filters.role;
+  const [pageInfo, setPageInfo] = useState({ total: 0, totalPages: 1 });
   
-  // Available roles (enum values)
-  const availableRoles = [
+  // Available roles come from RolesPage; built-in roles are used until they load
+  const [availableRoles, setAvailableRoles] = useState([
     { value: 'doctor', label: 'Doctor' },
     { value: 'Admin', label: 'Admin' }
-  ];
+  ]);
+
+  const canCreate = can('users', 'create');
+  const canUpdate = can('users', 'update');
+  const canDelete = can('users', 'delete');
+
+  useEffect(() => {
+    getRoles()
+      .then(response => {
+        const roles = response.data || [];
+        if (roles.length > 0) {
+          setAvailableRoles(roles.map(role => ({ value: role.role_name, label: role.role_name })));
+        }
+      })
+      .catch(err => console.warn('Could not load roles, using built-in list:', err.message));
+  }, []);
 
   const fetchUsers = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await getUsers(filters);
-      // getUsers returns data.data from the API response
-      // So response should be the users array directly
-      let usersData = Array.isArray(response) ? response : [];
-      
-      // If response is an object with data property, use that
-      if (!Array.isArray(response) && response?.data) {
-        usersData = Array.isArray(response.data) ? response.data : [];
-      }
+      const query = {
+        page,
+        limit,
+        sort,
+        role: roleFilter,
+        // Applied here when the backend does not filter by role itself
+        filter: roleFilter ? user => user.role === roleFilter : null
+      };
+      const result = toPageResult(await getUsersPage(query), query);
       
-      // Client-side filtering by role if filter is set
-      if (filters.role && usersData.length > 0) {
-        usersData = usersData.filter(user => user.role === filters.role);
+      setUsers(result.items);
+      setPageInfo({ total: result.total, totalPages: result.totalPages });
+      if (result.page !== page) {
+        setPage(result.page);
       }
-      
-      setUsers(usersData);
     } catch (err) {
       console.error('Error fetching users:', err);
       console.error('Error details:', err.data || err);
@@ -65,7 +87,7 @@ const UsersPage = () => {
     } finally {
       setLoading(false);
     }
-  }, [filters]);
+  }, [page, limit, sort, roleFilter, setPage]);
 
   // Fetch users when filters change
   useEffect(() => {
@@ -82,10 +104,7 @@ const UsersPage = () => {
 
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
-    setFilters(prev => ({
-      ...prev,
-      [name]: value || ''
-    }));
+    setFilter(name, value || '');
   };
 
   const handleOpenModal = (user = null) => {
@@ -181,9 +200,9 @@ const UsersPage = () => {
         return;
       }
       
-      // Validate role enum value
-      if (!['doctor', 'Admin'].includes(submitData.role)) {
-        setError('Role must be either "doctor" or "Admin"');
+      // Validate role against the roles defined on RolesPage
+      if (!availableRoles.some(role => role.value === submitData.role)) {
+        setError(`Role must be one of: ${availableRoles.map(role => role.value).join(', ')}`);
         return;
       }
       
@@ -246,21 +265,90 @@ const UsersPage = () => {
     });
   };
 
+  const handleBulkDelete = async (selectedUsers) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await Promise.all(selectedUsers.map(user => deleteUser(user._id)));
+      setSuccess(`${selectedUsers.length} user(s) deleted successfully!`);
+    } catch (err) {
+      setError(err.message || 'Failed to delete users');
+    }
+    fetchUsers();
+  };
+
+  const bulkActions = canDelete
+    ? [{ label: 'Delete Selected', className: 'btn-delete', confirm: 'Delete {count} selected user(s)?', onClick: handleBulkDelete }]
+    : [];
+
+  const columns = [
+    { key: 'name', label: 'Name' },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    {
+      key: 'role',
+      label: 'Role',
+      filterOptions: availableRoles,
+      render: user => (
+        <span className={`role-badge role-${user.role?.toLowerCase()}`}>
+          {user.role || 'N/A'}
+        </span>
+      )
+    },
+    {
+      key: 'createdAt',
+      label: 'Created At',
+      filterable: false,
+      render: user => formatDate(user.createdAt),
+      exportValue: user => formatDate(user.createdAt)
+    },
+    {
+      key: 'updatedAt',
+      label: 'Updated At',
+      filterable: false,
+      render: user => formatDate(user.updatedAt),
+      exportValue: user => formatDate(user.updatedAt)
+    },
+    {
+      key: 'actions',
+      label: 'Actions',
+      sortable: false,
+      filterable: false,
+      hideable: false,
+      exportable: false,
+      render: user => (
+        <div className="action-buttons">
+          {canUpdate && (
+            <button
+              className="btn btn-sm btn-edit"
+              onClick={() => handleOpenModal(user)}
+            >
+              Edit
+            </button>
+          )}
+          {canDelete && (
+            <button
+              className="btn btn-sm btn-delete"
+              onClick={() => handleDelete(user._id)}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      )
+    }
+  ];
+
   return (
     <div className="users-page">
       <div className="users-header">
         <h1>User Management</h1>
         <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
-          {users.length > 0 && (
-            <ReportButton
-              data={users}
-              entityType="users"
-              title="Users Report"
-            />
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => handleOpenModal()}>
+              + Add New User
+            </button>
           )}
-          <button className="btn btn-primary" onClick={() => handleOpenModal()}>
-            + Add New User
-          </button>
         </div>
       </div>
 
@@ -281,7 +369,7 @@ const UsersPage = () => {
           </select>
         </div>
         
-        <button className="btn btn-secondary" onClick={() => setFilters({ role: '' })}>
+        <button className="btn btn-secondary" onClick={resetParams}>
           Clear Filter
         </button>
       </div>
@@ -298,56 +386,30 @@ const UsersPage = () => {
       {/* Users Table */}
       {loading ? (
         <div className="loading">Loading users...</div>
-      ) : users.length === 0 ? (
-        <div className="no-data">No users found</div>
       ) : (
-        <div className="table-container">
-          <table className="users-table">
-            <thead>
-              <tr>
-                <th>Name</th>
-                <th>Email</th>
-                <th>Phone</th>
-                <th>Role</th>
-                <th>Created At</th>
-                <th>Updated At</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {users.map(user => (
-                <tr key={user._id}>
-                  <td>{user.name}</td>
-                  <td>{user.email}</td>
-                  <td>{user.phone}</td>
-                  <td>
-                    <span className={`role-badge role-${user.role?.toLowerCase()}`}>
-                      {user.role || 'N/A'}
-                    </span>
-                  </td>
-                  <td>{formatDate(user.createdAt)}</td>
-                  <td>{formatDate(user.updatedAt)}</td>
-                  <td>
-                    <div className="action-buttons">
-                      <button
-                        className="btn btn-sm btn-edit"
-                        onClick={() => handleOpenModal(user)}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        className="btn btn-sm btn-delete"
-                        onClick={() => handleDelete(user._id)}
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+        <DataTable
+          columns={columns}
+          data={users}
+          sort={sort}
+          onSortChange={setSort}
+          bulkActions={bulkActions}
+          storageKey="users"
+          tableClassName="users-table"
+          emptyMessage="No users found"
+          report={{ entityType: 'users', title: 'Users Report', filters: { role: roleFilter } }}
+        />
+      )}
+
+      {!loading && (
+        <Pagination
+          page={page}
+          totalPages={pageInfo.totalPages}
+          total={pageInfo.total}
+          limit={limit}
+          onPageChange={setPage}
+          onLimitChange={setLimit}
+          itemLabel="users"
+        />
       )}
 
       {/* Modal for Create/Edit */}
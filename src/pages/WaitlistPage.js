@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getWaitlist,
+  updateWaitlistEntry,
+  deleteWaitlistEntry,
+  offerFreedSlots,
+  acceptWaitlistOffer,
+  declineWaitlistOffer
+} from '../services/waitlistService';
+import { BookingConflictError } from '../services/bookingService';
+import { getPatients } from '../services/patientService';
+import { getDoctors } from '../services/doctorService';
+import { getDepartments } from '../services/departmentService';
+import ErrorDisplay from '../components/ErrorDisplay';
+import JoinWaitlistModal from '../components/JoinWaitlistModal';
+import { can } from '../utils/accessControl';
+import { WAITLIST_STATUSES, getWaitlistStatusLabel, isOfferExpired } from '../utils/waitlist';
+import './WaitlistPage.css';
+
+// Live offers expire while the page is open, so the waitlist is processed again every minute
+const PROCESS_INTERVAL_MS = 60 * 1000;
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const WaitlistPage = () => {
+  const canCreate = can('waitlist', 'create');
+  const canUpdate = can('waitlist', 'update');
+  const canDelete = can('waitlist', 'delete');
+  const canBook = can('appointments', 'create');
+
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showJoinModal, setShowJoinModal] = useState(false);
+
+  // Dropdown data
+  const [patients, setPatients] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [departments, setDepartments] = useState([]);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getWaitlist({ status: statusFilter || undefined });
+      setEntries(response.data || []);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  // Expire lapsed offers and offer free slots, then show the result
+  const processWaitlist = useCallback(async ({ announce = false } = {}) => {
+    setProcessing(true);
+    try {
+      const { offers, expired } = await offerFreedSlots();
+      if (announce) {
+        setSuccess(offers.length === 0 && expired.length === 0
+          ? 'No free slots match anyone on the waitlist right now.'
+          : `${offers.length} slot(s) offered, ${expired.length} offer(s) expired.`);
+      }
+    } catch (err) {
+      if (announce) setError(err);
+      console.error('Error processing the waitlist:', err);
+    } finally {
+      setProcessing(false);
+    }
+    fetchEntries();
+  }, [fetchEntries]);
+
+  useEffect(() => {
+    processWaitlist();
+    const interval = setInterval(() => processWaitlist(), PROCESS_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [processWaitlist]);
+
+  useEffect(() => {
+    const fetchDropdownData = async () => {
+      const [patientsResult, doctorsResult, departmentsResult] = await Promise.allSettled([
+        getPatients(),
+        getDoctors(),
+        getDepartments()
+      ]);
+      if (patientsResult.status === 'fulfilled') setPatients(patientsResult.value.data || []);
+      if (doctorsResult.status === 'fulfilled') setDoctors(doctorsResult.value.data || []);
+      if (departmentsResult.status === 'fulfilled') setDepartments(departmentsResult.value.data || []);
+    };
+    fetchDropdownData();
+  }, []);
+
+  const runAction = async (action, message) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await action();
+      setSuccess(message);
+    } catch (err) {
+      setError(err instanceof BookingConflictError
+        ? 'The offered slot has been taken in the meantime. The patient is back on the waitlist.'
+        : err);
+    }
+    fetchEntries();
+  };
+
+  const handleAccept = (entry) => runAction(
+    () => acceptWaitlistOffer(entry),
+    `Appointment booked for ${getPatientName(entry.patient_id)}.`
+  );
+
+  const handleDecline = (entry) => runAction(
+    () => declineWaitlistOffer(entry),
+    'Offer declined. The slot has been passed to the next patient on the waitlist.'
+  );
+
+  const handleRemove = (entry) => {
+    if (!window.confirm(`Take ${getPatientName(entry.patient_id)} off the waitlist?`)) return;
+    runAction(async () => {
+      await updateWaitlistEntry(entry._id, { status: 'cancelled' });
+      // A held offer is released for the next patient
+      if (entry.status === 'offered') await offerFreedSlots();
+    }, 'Patient removed from the waitlist.');
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm('Are you sure you want to delete this waitlist entry?')) return;
+    runAction(() => deleteWaitlistEntry(entry._id), 'Waitlist entry deleted successfully!');
+  };
+
+  const handleJoined = () => {
+    setShowJoinModal(false);
+    setSuccess('Patient added to the waitlist.');
+    processWaitlist();
+  };
+
+  const getPatientName = (patient) =>
+    patient && typeof patient === 'object' ? `${patient.first_name} ${patient.last_name}` : 'Unknown patient';
+
+  const getDoctorName = (doctorRef) => {
+    const doctor = typeof doctorRef === 'object' ? doctorRef : doctors.find(d => d._id === doctorRef);
+    return doctor ? `Dr. ${doctor.first_name} ${doctor.last_name}` : 'N/A';
+  };
+
+  const getDepartmentName = (departmentRef) => {
+    const department = typeof departmentRef === 'object'
+      ? departmentRef
+      : departments.find(d => d._id === departmentRef);
+    return department?.department_name || 'N/A';
+  };
+
+  // Queue position of waiting patients, first come first served
+  const waitingOrder = entries
+    .filter(entry => entry.status === 'waiting')
+    .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+    .map(entry => entry._id);
+
+  const formatDateTime = (dateString) => {
+    if (!dateString) return 'N/A';
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const formatSlot = (slot) =>
+    `${new Date(`${slot.date}T00:00:00`).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    })} at ${slot.time} with ${getDoctorName(getId(slot.doctor_id))}`;
+
+  return (
+    <div className="waitlist-page">
+      <div className="waitlist-header">
+        <div>
+          <h1>Waitlist</h1>
+          <p className="waitlist-subtitle">
+            Patients waiting for a fully booked doctor, day or department. Freed slots are offered automatically.
+          </p>
+        </div>
+        <div className="waitlist-header-actions">
+          <button className="btn btn-secondary" onClick={() => processWaitlist({ announce: true })} disabled={processing}>
+            {processing ? 'Checking...' : 'Check for Free Slots'}
+          </button>
+          {canCreate && (
+            <button className="btn btn-primary" onClick={() => setShowJoinModal(true)}>
+              + Add to Waitlist
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="filters-section">
+        <div className="filter-group">
+          <label htmlFor="filter-status">Status:</label>
+          <select id="filter-status" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All Statuses</option>
+            {WAITLIST_STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <ErrorDisplay error={error} />}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      {loading && entries.length === 0 ? (
+        <div className="loading">Loading waitlist...</div>
+      ) : entries.length === 0 ? (
+        <div className="no-data">No one is on the waitlist</div>
+      ) : (
+        <div className="waitlist-list">
+          {entries.map(entry => {
+            const liveOffer = entry.status === 'offered' && !isOfferExpired(entry);
+            return (
+              <div key={entry._id} className={`waitlist-card waitlist-card-${entry.status}`}>
+                <div className="waitlist-card-header">
+                  <div>
+                    <strong className="waitlist-patient">{getPatientName(entry.patient_id)}</strong>
+                    {entry.status === 'waiting' && <span className="waitlist-position">#{waitingOrder.indexOf(entry._id) + 1}</span>}
+                  </div>
+                  <span className={`waitlist-status waitlist-status-${entry.status}`}>
+                    {getWaitlistStatusLabel(entry.status)}
+                  </span>
+                </div>
+
+                <div className="waitlist-card-body">
+                  <div><span className="waitlist-label">Doctor:</span> {entry.doctor_id ? getDoctorName(entry.doctor_id) : 'Any'}</div>
+                  <div><span className="waitlist-label">Day:</span> {entry.day_of_week || 'Any'}</div>
+                  <div><span className="waitlist-label">Department:</span> {entry.department_id ? getDepartmentName(entry.department_id) : 'Any'}</div>
+                  <div><span className="waitlist-label">Waiting since:</span> {formatDateTime(entry.createdAt)}</div>
+                  {entry.notes && <div><span className="waitlist-label">Reason:</span> {entry.notes}</div>}
+                  {entry.offered_slot && (entry.status === 'offered' || entry.status === 'expired') && (
+                    <div className="waitlist-offer">
+                      Offered {formatSlot(entry.offered_slot)}, {liveOffer ? 'held until' : 'expired at'} {formatDateTime(entry.offer_expires_at)}
+                    </div>
+                  )}
+                </div>
+
+                {canUpdate && (entry.status === 'waiting' || entry.status === 'offered') && (
+                  <div className="waitlist-card-actions">
+                    {liveOffer && canBook && (
+                      <button className="btn btn-sm btn-primary" onClick={() => handleAccept(entry)}>
+                        Book Offered Slot
+                      </button>
+                    )}
+                    {liveOffer && (
+                      <button className="btn btn-sm btn-secondary" onClick={() => handleDecline(entry)}>
+                        Decline Offer
+                      </button>
+                    )}
+                    <button className="btn btn-sm btn-secondary" onClick={() => handleRemove(entry)}>
+                      Remove from Waitlist
+                    </button>
+                  </div>
+                )}
+                {canDelete && !(entry.status === 'waiting' || entry.status === 'offered') && (
+                  <div className="waitlist-card-actions">
+                    <button className="btn btn-sm btn-delete" onClick={() => handleDelete(entry)}>
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {showJoinModal && (
+        <JoinWaitlistModal
+          patients={patients}
+          doctors={doctors}
+          departments={departments}
+          onClose={() => setShowJoinModal(false)}
+          onJoined={handleJoined}
+        />
+      )}
+    </div>
+  );
+};
+
+export default WaitlistPage;
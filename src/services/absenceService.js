@@ -0,0 +1,49 @@
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
+
+/**
+ * Absence Service
+ * Handles all API calls related to doctor absences (leave, sick leave, training).
+ * A doctor has no bookable slots on the days of their absences.
+ */
+
+/**
+ * Get doctor absences with optional filters
+ * @param {Object} filters - Optional filters { doctor_id }
+ * @returns {Promise} Response data
+ */
+export const getAbsences = async (filters = {}) => {
+  const params = {
+    doctor_id: filters.doctor_id,
+  };
+
+  return apiGet('/doctor-absences', { params, cache: true, fallbackMessage: 'Failed to fetch doctor absences' });
+};
+
+/**
+ * Create a doctor absence
+ * @param {Object} absenceData - Absence data { doctor_id, start_date, end_date, type, reason }
+ *   start_date and end_date are YYYY-MM-DD and both included
+ * @returns {Promise} Response data
+ */
+export const createAbsence = async (absenceData) => {
+  return apiPost('/doctor-absences', absenceData, { fallbackMessage: 'Failed to create absence' });
+};
+
+/**
+ * Update a doctor absence
+ * @param {string} absenceId - Absence ID
+ * @param {Object} absenceData - Updated absence data { start_date, end_date, type, reason }
+ * @returns {Promise} Response data
+ */
+export const updateAbsence = async (absenceId, absenceData) => {
+  return apiPut(`/doctor-absences/${absenceId}`, absenceData, { fallbackMessage: 'Failed to update absence' });
+};
+
+/**
+ * Delete a doctor absence
+ * @param {string} absenceId - Absence ID
+ * @returns {Promise} Response data
+ */
+export const deleteAbsence = async (absenceId) => {
+  return apiDelete(`/doctor-absences/${absenceId}`, { fallbackMessage: 'Failed to delete absence' });
+};
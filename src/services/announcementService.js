@@ -0,0 +1,48 @@
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
+
+/**
+ * Announcement Service
+ * Handles all API calls related to the hospital announcements shown on the waiting-room display boards
+ */
+
+/**
+ * Get all announcements
+ * @param {Object} filters - Optional filters { is_active }
+ * @returns {Promise} Response data
+ */
+export const getAnnouncements = async (filters = {}) => {
+  const params = {
+    is_active: filters.is_active,
+  };
+
+  return apiGet('/announcements', { params, fallbackMessage: 'Failed to fetch announcements' });
+};
+
+/**
+ * Create a new announcement
+ * @param {Object} announcementData - Announcement data { message, department_id, is_active }
+ *   announcements without a department are shown on every board
+ * @returns {Promise} Response data
+ */
+export const createAnnouncement = async (announcementData) => {
+  return apiPost('/announcements', announcementData, { fallbackMessage: 'Failed to create announcement' });
+};
+
+/**
+ * Update an existing announcement
+ * @param {string} announcementId - Announcement ID
+ * @param {Object} announcementData - Updated announcement data { message, department_id, is_active }
+ * @returns {Promise} Response data
+ */
+export const updateAnnouncement = async (announcementId, announcementData) => {
+  return apiPut(`/announcements/${announcementId}`, announcementData, { fallbackMessage: 'Failed to update announcement' });
+};
+
+/**
+ * Delete an announcement
+ * @param {string} announcementId - Announcement ID
+ * @returns {Promise} Response data
+ */
+export const deleteAnnouncement = async (announcementId) => {
+  return apiDelete(`/announcements/${announcementId}`, { fallbackMessage: 'Failed to delete announcement' });
+};
@@ -0,0 +1,252 @@
+import { getToken, logout, refreshToken } from './authService';
+import { cachedQuery, dedupe, invalidateQueries, getResourcePath } from './queryCache';
+
+// API Base URL - Update this to match your backend API URL
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+/**
+ * API Client
+ * Single entry point for every backend call made by the service modules.
+ * Attaches the stored auth token, normalizes errors and handles expired sessions.
+ * Identical GET requests in flight are sent once; see queryCache for cached reference data.
+ */
+
+/**
+ * Error thrown for every failed API call
+ * - status: HTTP status code (0 when the server could not be reached)
+ * - message: human readable message
+ * - fieldErrors: { field: message } for validation errors, empty object otherwise
+ * - errors: list of error messages returned by the backend
+ * - data: raw response body (kept for pages that read err.data)
+ * - code: 'ENDPOINT_NOT_FOUND' | 'NETWORK_ERROR' | undefined
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, fieldErrors = {}, errors = [], data = null, code } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.errors = errors;
+    this.data = data;
+    this.code = code;
+  }
+}
+
+/**
+ * Normalize the different validation error formats the backend returns
+ * Supports: ['msg', ...], [{ field|path|param, message|msg }, ...] and { field: 'msg' | { message } }
+ * @param {Array|Object} rawErrors - errors value from the response body
+ * @returns {Object} { errors: string[], fieldErrors: { field: message } }
+ */
+const normalizeErrors = (rawErrors) => {
+  const errors = [];
+  const fieldErrors = {};
+
+  if (Array.isArray(rawErrors)) {
+    rawErrors.forEach(item => {
+      if (typeof item === 'string') {
+        errors.push(item);
+        return;
+      }
+      if (item && typeof item === 'object') {
+        const field = item.field || item.path || item.param;
+        const message = item.message || item.msg || String(item);
+        errors.push(message);
+        if (field) fieldErrors[field] = message;
+      }
+    });
+  } else if (rawErrors && typeof rawErrors === 'object') {
+    Object.entries(rawErrors).forEach(([field, value]) => {
+      const message = typeof value === 'string' ? value : value?.message || String(value);
+      errors.push(message);
+      fieldErrors[field] = message;
+    });
+  }
+
+  return { errors, fieldErrors };
+};
+
+/**
+ * Build an ApiError from a failed response body
+ * @param {Object} data - Parsed response body
+ * @param {number} status - HTTP status
+ * @param {string} fallbackMessage - Message used when the body has none
+ * @returns {ApiError}
+ */
+const buildError = (data, status, fallbackMessage) => {
+  const body = data && typeof data === 'object' ? data : {};
+  const { errors, fieldErrors } = normalizeErrors(body.errors);
+
+  let message;
+  if (body.message === 'Validation error' && errors.length > 0) {
+    message = errors.join(', ');
+  } else {
+    message = body.message ||
+              body.error ||
+              (errors.length > 0 ? errors.join(', ') : null) ||
+              `${fallbackMessage} (Status: ${status})`;
+  }
+
+  return new ApiError(message, { status, fieldErrors, errors, data: body });
+};
+
+/**
+ * End the session and send the user to the login page
+ * Skipped when already on /login so a failed login does not reload the page
+ */
+const handleUnauthorized = () => {
+  logout();
+  if (typeof window !== 'undefined' && window.location.pathname !== '/login') {
+    window.location.assign('/login');
+  }
+};
+
+/**
+ * Build a query string from an object, skipping empty values
+ * @param {Object} params - Query parameters
+ * @returns {string} Query string including the leading '?', or ''
+ */
+export const buildQueryString = (params = {}) => {
+  const queryParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    queryParams.append(key, value);
+  });
+  const queryString = queryParams.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+/**
+ * Send a request and parse the response
+ * @param {string} endpoint - Path relative to API_BASE_URL
+ * @param {Object} options - See apiRequest
+ * @returns {Promise} Parsed response body
+ */
+const sendRequest = async (endpoint, options = {}) => {
+  const {
+    method = 'GET',
+    body,
+    params,
+    headers = {},
+    auth = true,
+    fallbackMessage = 'Request failed',
+  } = options;
+
+  const url = `${API_BASE_URL}${endpoint}${params ? buildQueryString(params) : ''}`;
+  const requestHeaders = {
+    'Content-Type': 'application/json',
+    ...headers,
+  };
+
+  const token = auth ? getToken() : null;
+  if (token) {
+    requestHeaders.Authorization = `Bearer ${token}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: requestHeaders,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+  } catch (networkError) {
+    throw new ApiError(
+      'Unable to connect to the server. Please check if the backend server is running and the API URL is correct.',
+      { status: 0, code: 'NETWORK_ERROR', data: { message: networkError.message } }
+    );
+  }
+
+  const contentType = response.headers.get('content-type');
+  let data = null;
+
+  if (contentType && contentType.includes('application/json')) {
+    try {
+      data = await response.json();
+    } catch (jsonError) {
+      data = null;
+    }
+  } else {
+    const text = await response.text();
+    if (response.status !== 401 && (!response.ok || text)) {
+      // Non-JSON body: usually an HTML error page for a missing route
+      if (response.status === 404 || /<!DOCTYPE|<html/i.test(text)) {
+        throw new ApiError(`Endpoint not found: ${method} ${url}`, {
+          status: response.status || 404,
+          code: 'ENDPOINT_NOT_FOUND',
+          data: { message: 'Endpoint not found' },
+        });
+      }
+      if (!response.ok) {
+        throw new ApiError(
+          response.status >= 500
+            ? 'Server error. Please try again later or contact support.'
+            : `Server returned an unexpected response (Status: ${response.status})`,
+          { status: response.status, data: { message: text.substring(0, 200) } }
+        );
+      }
+    }
+  }
+
+  // Only a rejected token ends the session; anonymous callers just get the error
+  if (response.status === 401 && token) {
+    // The token may have expired moments ago: refresh once and retry
+    if (!options.isRetry && await refreshToken()) {
+      return sendRequest(endpoint, { ...options, isRetry: true });
+    }
+    handleUnauthorized();
+    throw buildError(data, 401, 'Your session has expired. Please log in again');
+  }
+
+  if (!response.ok || (data && data.success === false)) {
+    throw buildError(data, response.status, fallbackMessage);
+  }
+
+  return data;
+};
+
+/**
+ * Perform an API request
+ * @param {string} endpoint - Path relative to API_BASE_URL (e.g. '/appointments')
+ * @param {Object} options - { method, body, params, headers, auth, fallbackMessage, cache, invalidates }
+ *   - auth: send the bearer token and handle 401 (default true)
+ *   - fallbackMessage: error message used when the backend does not send one
+ *   - cache: GET only; true or { staleTime, maxAge } to serve the response from the query cache
+ *   - invalidates: extra resource paths whose cached data a mutation makes outdated
+ *   - isRetry: set internally when a request is replayed after a token refresh
+ * @returns {Promise} Parsed response body
+ */
+export const apiRequest = async (endpoint, options = {}) => {
+  const { method = 'GET', params, cache, invalidates = [] } = options;
+
+  if (method === 'GET') {
+    const key = `${endpoint}${params ? buildQueryString(params) : ''}`;
+    const run = () => sendRequest(endpoint, options);
+    if (cache) {
+      return cachedQuery(key, run, cache === true ? {} : cache);
+    }
+    return dedupe(key, run);
+  }
+
+  const data = await sendRequest(endpoint, options);
+  invalidateQueries([getResourcePath(endpoint), ...invalidates]);
+  return data;
+};
+
+/**
+ * Shorthand helpers
+ */
+export const apiGet = (endpoint, options = {}) =>
+  apiRequest(endpoint, { ...options, method: 'GET' });
+
+export const apiPost = (endpoint, body, options = {}) =>
+  apiRequest(endpoint, { ...options, method: 'POST', body });
+
+export const apiPut = (endpoint, body, options = {}) =>
+  apiRequest(endpoint, { ...options, method: 'PUT', body });
+
+export const apiPatch = (endpoint, body, options = {}) =>
+  apiRequest(endpoint, { ...options, method: 'PATCH', body });
+
+export const apiDelete = (endpoint, options = {}) =>
+  apiRequest(endpoint, { ...options, method: 'DELETE' });
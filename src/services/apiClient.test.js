@@ -0,0 +1,54 @@
+import { apiGet, apiPost, ApiError } from './apiClient';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => 'application/json' },
+  json: async () => body,
+  text: async () => JSON.stringify(body),
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  global.fetch = jest.fn();
+});
+
+test('attaches the stored token as a bearer header', async () => {
+  localStorage.setItem('token', 'abc123');
+  global.fetch.mockResolvedValue(jsonResponse(200, { success: true, data: [] }));
+
+  await apiGet('/patients');
+
+  const [, options] = global.fetch.mock.calls[0];
+  expect(options.headers.Authorization).toBe('Bearer abc123');
+});
+
+test('normalizes validation errors into message and field errors', async () => {
+  global.fetch.mockResolvedValue(jsonResponse(400, {
+    success: false,
+    message: 'Validation error',
+    errors: [{ field: 'email', message: 'Email is required' }, 'Phone is invalid'],
+  }));
+
+  const error = await apiPost('/patients', {}).catch(e => e);
+
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error.status).toBe(400);
+  expect(error.message).toBe('Email is required, Phone is invalid');
+  expect(error.fieldErrors).toEqual({ email: 'Email is required' });
+});
+
+test('logs out when the stored token is rejected', async () => {
+  localStorage.setItem('token', 'expired');
+  localStorage.setItem('user', JSON.stringify({ email: 'a@b.c' }));
+  global.fetch.mockResolvedValue(jsonResponse(401, { message: 'Token expired' }));
+  // jsdom does not implement navigation and reports the redirect as an error
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const error = await apiGet('/patients').catch(e => e);
+
+  expect(error.status).toBe(401);
+  expect(localStorage.getItem('token')).toBeNull();
+  expect(localStorage.getItem('user')).toBeNull();
+  consoleError.mockRestore();
+});
@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
 
 /**
  * Appointment Change Service
@@ -12,36 +11,12 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  * @returns {Promise} Response data
  */
 export const getAppointmentChanges = async (filters = {}) => {
-  try {
-    const queryParams = new URLSearchParams();
-    
-    if (filters.appointment_id) {
-      queryParams.append('appointment_id', filters.appointment_id);
-    }
-    
-    if (filters.change_type) {
-      queryParams.append('change_type', filters.change_type);
-    }
-    
-    const url = `${API_BASE_URL}/appointment-changes${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch appointment changes');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  const params = {
+    appointment_id: filters.appointment_id,
+    change_type: filters.change_type,
+  };
+
+  return apiGet('/appointment-changes', { params, fallbackMessage: 'Failed to fetch appointment changes' });
 };
 
 /**
@@ -50,24 +25,7 @@ export const getAppointmentChanges = async (filters = {}) => {
  * @returns {Promise} Response data
  */
 export const getAppointmentChange = async (changeId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointment-changes/${changeId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch appointment change');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/appointment-changes/${changeId}`, { fallbackMessage: 'Failed to fetch appointment change' });
 };
 
 /**
@@ -76,43 +34,7 @@ export const getAppointmentChange = async (changeId) => {
  * @returns {Promise} Response data
  */
 export const createAppointmentChange = async (changeData) => {
-  try {
-    console.log('📤 Sending appointment change data:', changeData);
-    console.log('📤 API URL:', `${API_BASE_URL}/appointment-changes`);
-    
-    const response = await fetch(`${API_BASE_URL}/appointment-changes`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(changeData),
-    });
-    
-    console.log('📥 Response status:', response.status, response.statusText);
-    console.log('📥 Response headers:', Object.fromEntries(response.headers.entries()));
-    
-    const data = await response.json();
-    console.log('📥 Response data:', data);
-    
-    if (!response.ok) {
-      const errorMessage = data.message || data.error || data.errors?.join(', ') || 'Failed to create appointment change';
-      console.error('❌ API Error:', errorMessage);
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('❌ Network/Parse Error:', error);
-    // If it's already our custom error, re-throw it
-    if (error.status) {
-      throw error;
-    }
-    // Network or JSON parse errors
-    throw new Error(`Network error: ${error.message}`);
-  }
+  return apiPost('/appointment-changes', changeData, { fallbackMessage: 'Failed to create appointment change' });
 };
 
 /**
@@ -122,25 +44,7 @@ export const createAppointmentChange = async (changeData) => {
  * @returns {Promise} Response data
  */
 export const updateAppointmentChange = async (changeId, changeData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointment-changes/${changeId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(changeData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to update appointment change');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPut(`/appointment-changes/${changeId}`, changeData, { fallbackMessage: 'Failed to update appointment change' });
 };
 
 /**
@@ -149,24 +53,7 @@ export const updateAppointmentChange = async (changeId, changeData) => {
  * @returns {Promise} Response data
  */
 export const deleteAppointmentChange = async (changeId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointment-changes/${changeId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to delete appointment change');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiDelete(`/appointment-changes/${changeId}`, { fallbackMessage: 'Failed to delete appointment change' });
 };
 
 /**
@@ -175,23 +62,5 @@ export const deleteAppointmentChange = async (changeId) => {
  * @returns {Promise} Response data
  */
 export const getChangesByAppointment = async (appointmentId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointment-changes/appointment/${appointmentId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch changes by appointment');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/appointment-changes/appointment/${appointmentId}`, { fallbackMessage: 'Failed to fetch changes by appointment' });
 };
-
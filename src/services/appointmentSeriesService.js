@@ -0,0 +1,173 @@
+import { apiGet, apiPost, apiPut } from './apiClient';
+import { createAppointment, getAppointments } from './appointmentService';
+import { createAppointmentChange } from './appointmentChangeService';
+import { changeAppointmentStatus } from './appointmentStatusHistoryService';
+import { offerFreedSlots } from './waitlistService';
+import { BookingConflictError, getBookingContext, moveAppointment } from './bookingService';
+import { getSeriesDates, planSeries, sortOccurrences } from '../utils/appointmentSeries';
+import { addDays, getDateKey } from '../utils/slots';
+
+/**
+ * Appointment Series Service
+ * Handles all API calls related to follow-up appointment series, and books, moves and cancels
+ * their occurrences: each occurrence is checked for availability, and every change to one
+ * is recorded in the appointment changes
+ */
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Get appointment series with optional filters
+ * @param {Object} filters - Optional filters { status, patient_id, doctor_id }
+ * @returns {Promise} Response data
+ */
+export const getAppointmentSeries = async (filters = {}) => {
+  const params = {
+    status: filters.status,
+    patient_id: filters.patient_id,
+    doctor_id: filters.doctor_id,
+  };
+
+  return apiGet('/appointment-series', { params, fallbackMessage: 'Failed to fetch appointment series' });
+};
+
+/**
+ * Update an appointment series
+ * @param {string} seriesId - Series ID
+ * @param {Object} seriesData - Updated series data { status, appointment_time, reason, ... }
+ * @returns {Promise} Response data
+ */
+export const updateAppointmentSeries = async (seriesId, seriesData) => {
+  return apiPut(`/appointment-series/${seriesId}`, seriesData, { fallbackMessage: 'Failed to update appointment series' });
+};
+
+/**
+ * Get the appointments of a series in occurrence order
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Array>} Appointments
+ */
+export const getSeriesAppointments = async (seriesId) => {
+  const response = await getAppointments({ series_id: seriesId });
+  return sortOccurrences(response.data || []);
+};
+
+/**
+ * Plan the occurrences of a new series against the doctor's sessions, time off and bookings
+ * @param {Object} seriesData - { patient_id, doctor_id, pattern, start_date, appointment_time }
+ * @returns {Promise<Array>} Occurrences from planSeries
+ */
+export const planAppointmentSeries = async (seriesData) => {
+  const { doctorAppointments, patientAppointments, ...context } = await getBookingContext(
+    getId(seriesData.doctor_id),
+    getId(seriesData.patient_id)
+  );
+  return planSeries(getSeriesDates(seriesData.pattern, seriesData.start_date), seriesData, {
+    ...context,
+    now: new Date()
+  });
+};
+
+/**
+ * Save a series and book its planned occurrences
+ * Occurrences with conflicts are left out; an occurrence the backend rejects is reported
+ * and the others are still booked.
+ * @param {Object} seriesData - { patient_id, doctor_id, department_id, pattern, start_date, appointment_time, reason }
+ * @param {Array} occurrences - Occurrences from planAppointmentSeries
+ * @returns {Promise<Object>} { series, appointments, failed: [{ occurrence, error }] }
+ */
+export const createAppointmentSeries = async (seriesData, occurrences) => {
+  const response = await apiPost('/appointment-series', seriesData, { fallbackMessage: 'Failed to create appointment series' });
+  const series = response.data;
+
+  const appointments = [];
+  const failed = [];
+  for (const occurrence of occurrences.filter(item => item.conflicts.length === 0)) {
+    try {
+      const created = await createAppointment({
+        patient_id: seriesData.patient_id,
+        doctor_id: seriesData.doctor_id,
+        department_id: seriesData.department_id || undefined,
+        appointment_date: new Date(occurrence.date).toISOString(),
+        appointment_time: occurrence.time,
+        reason: seriesData.reason,
+        status: 'scheduled',
+        series_id: series._id,
+        series_index: occurrence.index
+      });
+      appointments.push(created.data);
+    } catch (err) {
+      console.error(`Failed to book occurrence ${occurrence.index + 1} of the series:`, err);
+      failed.push({ occurrence, error: err.message });
+    }
+  }
+
+  return { series, appointments, failed };
+};
+
+/**
+ * Cancel occurrences of a series, recording the status change and a 'cancelled' appointment change for each
+ * @param {Array} appointments - Occurrences to cancel (one, or one and the ones after it)
+ * @param {Object} options - { reason }
+ * @returns {Promise<Object>} { cancelled, failed: [{ appointment, error }] }
+ */
+export const cancelSeriesOccurrences = async (appointments, { reason } = {}) => {
+  let cancelled = 0;
+  const failed = [];
+  for (const appointment of appointments) {
+    try {
+      await changeAppointmentStatus(appointment, 'cancelled', { reason, offerFreedSlot: false });
+      await createAppointmentChange({
+        appointment_id: appointment._id,
+        change_type: 'cancelled',
+        reason: reason || 'Cancelled from the follow-up series',
+        changed_at: new Date().toISOString()
+      });
+      cancelled++;
+    } catch (err) {
+      console.error(`Failed to cancel appointment ${appointment._id}:`, err);
+      failed.push({ appointment, error: err.message });
+    }
+  }
+  // One waitlist run for all the freed slots
+  if (cancelled > 0) {
+    offerFreedSlots().catch(err => console.error('Error offering freed slots to the waitlist:', err));
+  }
+  return { cancelled, failed };
+};
+
+/**
+ * Move occurrences of a series, each through moveAppointment so it is checked and its change recorded
+ * Moving later, the last occurrence goes first, so each one lands on a date the next one has already left.
+ * @param {Array} appointments - Occurrences to move
+ * @param {Object} change - { date?, shiftDays?, time?, reason?, notifyPatient? }
+ *   - date: new date of a single occurrence
+ *   - shiftDays: days to move every occurrence by (for this and the following ones)
+ *   - time: new time of every occurrence (each keeps its own when omitted)
+ * @returns {Promise<Object>} { moved, unchanged, conflicts: [{ appointment, error }] }
+ */
+export const moveSeriesOccurrences = async (appointments, { date, shiftDays = 0, time, reason, notifyPatient = true } = {}) => {
+  let moved = 0;
+  let unchanged = 0;
+  const conflicts = [];
+  const ordered = sortOccurrences(appointments);
+  if (Number(shiftDays) > 0) ordered.reverse();
+  for (const appointment of ordered) {
+    const currentDate = getDateKey(appointment.appointment_date);
+    try {
+      const result = await moveAppointment(appointment, {
+        date: date || addDays(currentDate, Number(shiftDays) || 0),
+        time: time || appointment.appointment_time,
+        reason,
+        notifyPatient
+      });
+      if (result.changeType) moved++;
+      else unchanged++;
+    } catch (err) {
+      if (!(err instanceof BookingConflictError)) {
+        console.error(`Failed to move appointment ${appointment._id}:`, err);
+      }
+      conflicts.push({ appointment, error: err.message });
+    }
+  }
+  return { moved, unchanged, conflicts };
+};
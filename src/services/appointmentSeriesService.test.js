@@ -0,0 +1,17 @@
+import { mockRequest, startMockSession } from '../mock/mockFetch';
+import { moveSeriesOccurrences } from './appointmentSeriesService';
+
+beforeEach(() => startMockSession());
+
+test('a weekly series moves a week later without running into its own next occurrence', async () => {
+  // Dr. Haddad's Tuesdays from 1 January 2030
+  const occurrences = ['2030-01-01', '2030-01-08', '2030-01-15'].map((date, index) => mockRequest('POST', '/appointments', {
+    patient_id: 'pat-nasser', doctor_id: 'doc-haddad', appointment_date: `${date}T00:00:00.000Z`, appointment_time: '10:00', series_index: index
+  }).body.data);
+
+  const result = await moveSeriesOccurrences(occurrences, { shiftDays: 7, notifyPatient: false });
+
+  expect(result).toEqual({ moved: 3, unchanged: 0, conflicts: [] });
+  const dates = occurrences.map(({ _id }) => mockRequest('GET', `/appointments/${_id}`).body.data.appointment_date.slice(0, 10));
+  expect(dates).toEqual(['2030-01-08', '2030-01-15', '2030-01-22']);
+});
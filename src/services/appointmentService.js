@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
 
 /**
  * Appointment Service
@@ -7,49 +6,28 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  */
 
 /**
- * Get all appointments with optional filters
- * @param {Object} filters - Optional filters { status, date, doctor_id, patient_id }
- * @returns {Promise} Response data
+ * Get all appointments with optional filters and paging
+ * @param {Object} filters - Optional filters { status, date, start_date, end_date, doctor_id, patient_id, series_id }
+ *   and paging { page, limit, sort, search }
+ *   - start_date, end_date: first and last appointment date (YYYY-MM-DD), both included
+ * @returns {Promise} Response data; paged responses include pagination { page, limit, total, pages }
  */
 export const getAppointments = async (filters = {}) => {
-  try {
-    const queryParams = new URLSearchParams();
-    
-    if (filters.status) {
-      queryParams.append('status', filters.status);
-    }
-    
-    if (filters.date) {
-      queryParams.append('date', filters.date);
-    }
-    
-    if (filters.doctor_id) {
-      queryParams.append('doctor_id', filters.doctor_id);
-    }
-    
-    if (filters.patient_id) {
-      queryParams.append('patient_id', filters.patient_id);
-    }
-    
-    const url = `${API_BASE_URL}/appointments${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch appointments');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  const params = {
+    status: filters.status,
+    date: filters.date,
+    start_date: filters.start_date,
+    end_date: filters.end_date,
+    doctor_id: filters.doctor_id,
+    patient_id: filters.patient_id,
+    series_id: filters.series_id,
+    page: filters.page,
+    limit: filters.limit,
+    sort: filters.sort,
+    search: filters.search,
+  };
+
+  return apiGet('/appointments', { params, fallbackMessage: 'Failed to fetch appointments' });
 };
 
 /**
@@ -58,60 +36,17 @@ export const getAppointments = async (filters = {}) => {
  * @returns {Promise} Response data
  */
 export const getAppointment = async (appointmentId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointments/${appointmentId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch appointment');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/appointments/${appointmentId}`, { fallbackMessage: 'Failed to fetch appointment' });
 };
 
 /**
  * Create a new appointment
  * @param {Object} appointmentData - Appointment data { patient_id, doctor_id, department_id, appointment_date, appointment_time, reason, status }
+ *   and, for an occurrence of a follow-up series, { series_id, series_index }
  * @returns {Promise} Response data
  */
 export const createAppointment = async (appointmentData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointments`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(appointmentData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      // Create error with detailed information
-      const error = new Error(data.message || data.errors?.join(', ') || 'Failed to create appointment');
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    // If it's already our custom error, re-throw it
-    if (error.status) {
-      throw error;
-    }
-    // Network or other errors
-    throw error;
-  }
+  return apiPost('/appointments', appointmentData, { fallbackMessage: 'Failed to create appointment' });
 };
 
 /**
@@ -121,25 +56,7 @@ export const createAppointment = async (appointmentData) => {
  * @returns {Promise} Response data
  */
 export const updateAppointment = async (appointmentId, appointmentData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointments/${appointmentId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(appointmentData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to update appointment');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPut(`/appointments/${appointmentId}`, appointmentData, { fallbackMessage: 'Failed to update appointment' });
 };
 
 /**
@@ -148,24 +65,7 @@ export const updateAppointment = async (appointmentId, appointmentData) => {
  * @returns {Promise} Response data
  */
 export const deleteAppointment = async (appointmentId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointments/${appointmentId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to delete appointment');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiDelete(`/appointments/${appointmentId}`, { fallbackMessage: 'Failed to delete appointment' });
 };
 
 /**
@@ -174,24 +74,7 @@ export const deleteAppointment = async (appointmentId) => {
  * @returns {Promise} Response data
  */
 export const getAppointmentsByPatient = async (patientId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointments/patient/${patientId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch appointments by patient');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/appointments/patient/${patientId}`, { fallbackMessage: 'Failed to fetch appointments by patient' });
 };
 
 /**
@@ -200,23 +83,5 @@ export const getAppointmentsByPatient = async (patientId) => {
  * @returns {Promise} Response data
  */
 export const getAppointmentsByDoctor = async (doctorId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointments/doctor/${doctorId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch appointments by doctor');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/appointments/doctor/${doctorId}`, { fallbackMessage: 'Failed to fetch appointments by doctor' });
 };
-
@@ -1,43 +1,40 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
+import { updateAppointment } from './appointmentService';
+import { getCurrentUser } from './authService';
+import { offerFreedSlots } from './waitlistService';
+import { canTransition, getStatusLabel } from '../utils/appointmentStatus';
+import { getQueueTimestamps } from '../utils/queue';
 
 /**
  * Appointment Status History Service
- * Handles all API calls related to appointment status history management
+ * Handles all API calls related to appointment status history management,
+ * and moves appointments through their lifecycle while recording each transition
  */
 
+/**
+ * Error thrown when a status change is not allowed by the appointment lifecycle
+ * - from, to: the rejected transition
+ */
+export class StatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`An appointment cannot go from ${getStatusLabel(from)} to ${getStatusLabel(to)}`);
+    this.name = 'StatusTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
 /**
  * Get all appointment status history records with optional filters
  * @param {Object} filters - Optional filters { appointment_id }
  * @returns {Promise} Response data
  */
 export const getAppointmentStatusHistory = async (filters = {}) => {
-  try {
-    const queryParams = new URLSearchParams();
-    
-    if (filters.appointment_id) {
-      queryParams.append('appointment_id', filters.appointment_id);
-    }
-    
-    const url = `${API_BASE_URL}/appointment-status-history${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch appointment status history');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  const params = {
+    appointment_id: filters.appointment_id,
+  };
+
+  return apiGet('/appointment-status-history', { params, fallbackMessage: 'Failed to fetch appointment status history' });
 };
 
 /**
@@ -46,51 +43,16 @@ export const getAppointmentStatusHistory = async (filters = {}) => {
  * @returns {Promise} Response data
  */
 export const getAppointmentStatusHistoryRecord = async (historyId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointment-status-history/${historyId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch appointment status history record');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/appointment-status-history/${historyId}`, { fallbackMessage: 'Failed to fetch appointment status history record' });
 };
 
 /**
  * Create a new appointment status history record
- * @param {Object} historyData - History data { appointment_id, old_status, new_status, changed_by }
+ * @param {Object} historyData - History data { appointment_id, old_status, new_status, changed_by, changed_by_name, reason }
  * @returns {Promise} Response data
  */
 export const createAppointmentStatusHistory = async (historyData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointment-status-history`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(historyData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to create appointment status history');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPost('/appointment-status-history', historyData, { fallbackMessage: 'Failed to create appointment status history' });
 };
 
 /**
@@ -100,25 +62,7 @@ export const createAppointmentStatusHistory = async (historyData) => {
  * @returns {Promise} Response data
  */
 export const updateAppointmentStatusHistory = async (historyId, historyData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointment-status-history/${historyId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(historyData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to update appointment status history');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPut(`/appointment-status-history/${historyId}`, historyData, { fallbackMessage: 'Failed to update appointment status history' });
 };
 
 /**
@@ -127,24 +71,7 @@ export const updateAppointmentStatusHistory = async (historyId, historyData) =>
  * @returns {Promise} Response data
  */
 export const deleteAppointmentStatusHistory = async (historyId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointment-status-history/${historyId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to delete appointment status history record');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiDelete(`/appointment-status-history/${historyId}`, { fallbackMessage: 'Failed to delete appointment status history' });
 };
 
 /**
@@ -153,23 +80,47 @@ export const deleteAppointmentStatusHistory = async (historyId) => {
  * @returns {Promise} Response data
  */
 export const getStatusHistoryByAppointment = async (appointmentId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/appointment-status-history/appointment/${appointmentId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch status history by appointment');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/appointment-status-history/appointment/${appointmentId}`, { fallbackMessage: 'Failed to fetch status history by appointment' });
 };
 
+/**
+ * Move an appointment to a new status and record the transition in its status history
+ * The current user is recorded as the actor, and arrival and consultation times are stored
+ * with the status. A cancellation frees the slot for the waitlist.
+ * @param {Object} appointment - Appointment { _id, status }
+ * @param {string} newStatus - Status to move to
+ * @param {Object} options - { reason, fields, offerFreedSlot }
+ *   - fields: other appointment fields saved with the status, e.g. check-in times
+ *   - offerFreedSlot: offer a cancelled slot to the waitlist right away (default true). Patients cannot
+ *     read the waitlist, so their cancellations ask the backend instead (see requestWaitlistOffers).
+ * @returns {Promise<Object>} { appointment, history } saved appointment and history record
+ * @throws {StatusTransitionError} When the lifecycle does not allow the transition
+ */
+export const changeAppointmentStatus = async (appointment, newStatus, { reason, fields = {}, offerFreedSlot = true } = {}) => {
+  const oldStatus = appointment.status || 'scheduled';
+  if (!canTransition(oldStatus, newStatus)) {
+    throw new StatusTransitionError(oldStatus, newStatus);
+  }
+
+  const user = getCurrentUser();
+  const updated = await updateAppointment(appointment._id, {
+    ...getQueueTimestamps(appointment, newStatus),
+    ...fields,
+    status: newStatus
+  });
+  const history = await createAppointmentStatusHistory({
+    appointment_id: appointment._id,
+    old_status: oldStatus,
+    new_status: newStatus,
+    changed_by: user?._id || user?.id || 'unknown',
+    changed_by_name: user?.name || user?.email,
+    reason: reason || undefined,
+    changed_at: new Date().toISOString()
+  });
+
+  if (newStatus === 'cancelled' && offerFreedSlot) {
+    offerFreedSlots().catch(err => console.error('Error offering freed slot to the waitlist:', err));
+  }
+
+  return { appointment: updated.data, history: history.data };
+};
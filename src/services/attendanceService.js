@@ -0,0 +1,70 @@
+import { getAppointments, getAppointmentsByPatient } from './appointmentService';
+import { changeAppointmentStatus } from './appointmentStatusHistoryService';
+import {
+  getAttendanceByPatient,
+  getAttendanceSummary,
+  getMissedAppointments,
+  NO_SHOW_GRACE_MINUTES,
+  NO_SHOW_LOOKBACK_DAYS
+} from '../utils/attendance';
+import { addDays, getDateKey, getTodayKey } from '../utils/slots';
+
+/**
+ * Attendance Service
+ * Marks appointments nobody checked in for as no-shows, and reads patients' attendance records
+ */
+
+/**
+ * Mark appointments as no-shows once their time has passed without check-in
+ * Each one gets a status history record. Only the last NO_SHOW_LOOKBACK_DAYS days are checked.
+ * Runs on a timer while reception staff are signed in (see NoShowScheduler).
+ * @param {Object} options - { now, graceMinutes }
+ * @returns {Promise<Object>} { marked: [appointment], failed: [{ appointment, error }] }
+ */
+export const markMissedAppointments = async ({ now = new Date(), graceMinutes = NO_SHOW_GRACE_MINUTES } = {}) => {
+  const todayKey = getTodayKey(now);
+  const range = { start_date: addDays(todayKey, -NO_SHOW_LOOKBACK_DAYS), end_date: todayKey };
+  const [scheduled, confirmed] = await Promise.all([
+    getAppointments({ ...range, status: 'scheduled' }),
+    getAppointments({ ...range, status: 'confirmed' })
+  ]);
+  const candidates = [...(scheduled.data || []), ...(confirmed.data || [])];
+
+  const marked = [];
+  const failed = [];
+  for (const appointment of getMissedAppointments(candidates, { now, graceMinutes })) {
+    try {
+      const result = await changeAppointmentStatus(appointment, 'no-show', {
+        reason: `Not checked in within ${graceMinutes} minutes of the appointment time`
+      });
+      marked.push(result.appointment);
+    } catch (err) {
+      console.error(`Failed to mark appointment ${appointment._id} as a no-show:`, err);
+      failed.push({ appointment, error: err.message });
+    }
+  }
+  return { marked, failed };
+};
+
+/**
+ * Get a patient's appointments and attendance record
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Object>} { appointments (newest first), summary from getAttendanceSummary }
+ */
+export const getPatientAttendance = async (patientId) => {
+  const response = await getAppointmentsByPatient(patientId);
+  const appointments = [...(response.data || [])].sort((a, b) =>
+    (getDateKey(b.appointment_date) || '').localeCompare(getDateKey(a.appointment_date) || '') ||
+    (b.appointment_time || '').localeCompare(a.appointment_time || '')
+  );
+  return { appointments, summary: getAttendanceSummary(appointments) };
+};
+
+/**
+ * Get the attendance records of all patients, e.g. to flag frequent no-shows in booking forms
+ * @returns {Promise<Object>} { patientId: summary from getAttendanceSummary }
+ */
+export const getAttendanceRecords = async () => {
+  const response = await getAppointments();
+  return getAttendanceByPatient(response.data || []);
+};
@@ -0,0 +1,18 @@
+import { mockRequest, startMockSession } from '../mock/mockFetch';
+import { markMissedAppointments } from './attendanceService';
+
+beforeEach(() => startMockSession());
+
+test('marks missed appointments of the last days only', async () => {
+  // Dr. Haddad's Tuesdays: today, and two weeks ago
+  const [today, twoWeeksAgo] = ['2030-01-01', '2029-12-18'].map(date => mockRequest('POST', '/appointments', {
+    patient_id: 'pat-nasser', doctor_id: 'doc-haddad', appointment_date: `${date}T00:00:00.000Z`, appointment_time: '10:00'
+  }).body.data);
+
+  const { marked, failed } = await markMissedAppointments({ now: new Date(2030, 0, 1, 12, 0) });
+
+  expect(failed).toEqual([]);
+  expect(marked.map(appointment => appointment._id)).toEqual([today._id]);
+  expect(mockRequest('GET', `/appointments/${today._id}`).body.data.status).toBe('no-show');
+  expect(mockRequest('GET', `/appointments/${twoWeeksAgo._id}`).body.data.status).toBe('scheduled');
+});
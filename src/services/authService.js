@@ -1,3 +1,5 @@
+import { clearQueryCache } from './queryCache';
+
 // API Base URL - Update this to match your backend API URL
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -13,6 +15,22 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
 // - /login
 const LOGIN_ENDPOINT = '/users/login'; // Change this if your backend uses a different path
 
+// Endpoint that exchanges a still-valid token for a fresh one
+const REFRESH_ENDPOINT = '/users/refresh-token';
+
+// Session timing
+// - Tokens are refreshed this long before they expire
+// - Idle sessions end after REACT_APP_IDLE_TIMEOUT_MINUTES (default 15) without activity in any tab
+// - A warning is shown this long before an idle session ends
+const REFRESH_BEFORE_EXPIRY_MS = 2 * 60 * 1000;
+export const IDLE_TIMEOUT_MS = (Number(process.env.REACT_APP_IDLE_TIMEOUT_MINUTES) || 15) * 60 * 1000;
+export const IDLE_WARNING_MS = 60 * 1000;
+const SESSION_CHECK_INTERVAL_MS = 1000;
+
+// localStorage keys shared between tabs
+const LAST_ACTIVITY_KEY = 'lastActivity';
+const LOGOUT_EVENT_KEY = 'logoutEvent';
+
 /**
  * Login user with email and password
  * @param {Object} credentials - { email, password }
@@ -115,6 +133,7 @@ export const login = async (credentials) => {
     }
     
     // Store token and user info in localStorage
+    clearQueryCache();
     if (data.token) {
       localStorage.setItem('token', data.token);
     }
@@ -147,11 +166,17 @@ export const login = async (credentials) => {
 
 /**
  * Logout user
- * Removes token and user info from localStorage
+ * Removes token, user info and role permissions from localStorage
+ * and tells every other open tab to end its session too
  */
 export const logout = () => {
   localStorage.removeItem('token');
   localStorage.removeItem('user');
+  localStorage.removeItem('permissions');
+  localStorage.removeItem(LAST_ACTIVITY_KEY);
+  clearQueryCache();
+  // Other tabs receive this through the 'storage' event
+  localStorage.setItem(LOGOUT_EVENT_KEY, String(Date.now()));
 };
 
 /**
@@ -178,11 +203,206 @@ export const getToken = () => {
   return localStorage.getItem('token');
 };
 
+/**
+ * Decode the payload of a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {Object|null} Payload, or null if the token is not a JWT
+ */
+export const decodeToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    return JSON.parse(atob(padded));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Get the expiry time of a token
+ * @param {string} token - JWT (defaults to the stored token)
+ * @returns {number|null} Expiry as epoch milliseconds, or null if the token has no exp claim
+ */
+export const getTokenExpiry = (token = getToken()) => {
+  const payload = decodeToken(token);
+  return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+};
+
+/**
+ * Check whether a token has expired
+ * Tokens without an exp claim are treated as not expiring
+ * @param {string} token - JWT (defaults to the stored token)
+ * @returns {boolean}
+ */
+export const isTokenExpired = (token = getToken()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry <= Date.now();
+};
+
 /**
  * Check if user is authenticated
- * @returns {boolean} True if token exists
+ * @returns {boolean} True if a token exists and has not expired
  */
 export const isAuthenticated = () => {
-  return !!getToken();
+  const token = getToken();
+  return !!token && !isTokenExpired(token);
+};
+
+// Shared by concurrent callers so a token is only refreshed once
+let refreshPromise = null;
+
+/**
+ * Exchange the current token for a fresh one
+ * @returns {Promise<string|null>} New token, or null if the refresh failed
+ */
+export const refreshToken = async () => {
+  const token = getToken();
+  if (!token || isTokenExpired(token)) return null;
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}${REFRESH_ENDPOINT}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        const newToken = data.token || data.data?.token;
+        if (!newToken) return null;
+
+        localStorage.setItem('token', newToken);
+        return newToken;
+      } catch (error) {
+        console.warn('Token refresh failed:', error.message);
+        return null;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+
+  return refreshPromise;
+};
+
+/**
+ * Record user activity (shared across tabs through localStorage)
+ */
+export const recordActivity = () => {
+  localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()));
 };
 
+/**
+ * Get the time of the last recorded activity in any tab
+ * @returns {number} Epoch milliseconds
+ */
+export const getLastActivity = () => {
+  return Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || Date.now();
+};
+
+/**
+ * Start watching the current session
+ * - refreshes the token shortly before it expires
+ * - warns before ending an idle session and then logs out
+ * - ends the session when another tab logs out
+ * @param {Object} handlers - { onIdleWarning(remainingMs), onActive(), onSessionEnd(reason) }
+ *   reason is one of 'idle', 'expired', 'logout'
+ * @returns {Function} Stops watching
+ */
+export const startSession = ({ onIdleWarning, onActive, onSessionEnd } = {}) => {
+  const activityEvents = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+  let warningShown = false;
+  let ended = false;
+  let lastRecorded = 0;
+
+  const endSession = (reason, broadcast) => {
+    if (ended) return;
+    ended = true;
+    if (broadcast) {
+      logout();
+    } else {
+      // Another tab already cleared storage; drop this tab's cached data too
+      clearQueryCache();
+    }
+    if (onSessionEnd) onSessionEnd(reason);
+  };
+
+  const handleActivity = () => {
+    // While the warning is open only an explicit "stay signed in" keeps the session
+    if (warningShown) return;
+    const now = Date.now();
+    // Throttle writes to localStorage
+    if (now - lastRecorded > 5000) {
+      lastRecorded = now;
+      recordActivity();
+    }
+  };
+
+  const checkSession = async () => {
+    const token = getToken();
+    if (!token) {
+      endSession('logout', false);
+      return;
+    }
+
+    const idleFor = Date.now() - getLastActivity();
+    if (idleFor >= IDLE_TIMEOUT_MS) {
+      endSession('idle', true);
+      return;
+    }
+
+    if (idleFor >= IDLE_TIMEOUT_MS - IDLE_WARNING_MS) {
+      warningShown = true;
+      if (onIdleWarning) onIdleWarning(IDLE_TIMEOUT_MS - idleFor);
+    } else if (warningShown) {
+      // Activity in another tab cleared the warning
+      warningShown = false;
+      if (onActive) onActive();
+    }
+
+    const expiry = getTokenExpiry(token);
+    if (expiry === null) return;
+
+    if (expiry <= Date.now()) {
+      endSession('expired', true);
+    } else if (expiry - Date.now() <= REFRESH_BEFORE_EXPIRY_MS && !warningShown) {
+      const newToken = await refreshToken();
+      if (!newToken && isTokenExpired()) {
+        endSession('expired', true);
+      }
+    }
+  };
+
+  const handleStorage = (event) => {
+    if (event.key === LOGOUT_EVENT_KEY || (event.key === 'token' && !event.newValue)) {
+      endSession('logout', false);
+    }
+  };
+
+  recordActivity();
+  activityEvents.forEach(name => window.addEventListener(name, handleActivity, { passive: true }));
+  window.addEventListener('storage', handleStorage);
+  const intervalId = setInterval(checkSession, SESSION_CHECK_INTERVAL_MS);
+
+  return () => {
+    clearInterval(intervalId);
+    activityEvents.forEach(name => window.removeEventListener(name, handleActivity));
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+/**
+ * Keep an idle session alive after the user confirms the warning
+ */
+export const extendSession = () => {
+  recordActivity();
+};
@@ -0,0 +1,36 @@
+import { decodeToken, getTokenExpiry, isAuthenticated, logout } from './authService';
+
+const makeToken = (payload) => {
+  const encode = (obj) => btoa(JSON.stringify(obj)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('reads the expiry from a JWT', () => {
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  const token = makeToken({ id: 'u1', exp });
+
+  expect(decodeToken(token).id).toBe('u1');
+  expect(getTokenExpiry(token)).toBe(exp * 1000);
+});
+
+test('an expired token no longer counts as authenticated', () => {
+  localStorage.setItem('token', makeToken({ exp: Math.floor(Date.now() / 1000) - 10 }));
+  expect(isAuthenticated()).toBe(false);
+
+  localStorage.setItem('token', makeToken({ exp: Math.floor(Date.now() / 1000) + 600 }));
+  expect(isAuthenticated()).toBe(true);
+});
+
+test('logout clears the session and signals other tabs', () => {
+  localStorage.setItem('token', 'abc');
+  localStorage.setItem('user', '{}');
+
+  logout();
+
+  expect(localStorage.getItem('token')).toBeNull();
+  expect(localStorage.getItem('logoutEvent')).not.toBeNull();
+});
@@ -0,0 +1,327 @@
+import { getDoctorSchedules, getScheduleOverrides, getSchedulesByDoctor, notifyScheduleChange } from './doctorScheduleService';
+import {
+  getAppointments,
+  getAppointmentsByDoctor,
+  getAppointmentsByPatient,
+  updateAppointment
+} from './appointmentService';
+import { createAppointmentChange } from './appointmentChangeService';
+import { createNotification } from './notificationService';
+import { getPatient } from './patientService';
+import { getAbsences } from './absenceService';
+import { getHolidays } from './holidayService';
+import { buildSlots, addDays, getDateKey, getTodayKey } from '../utils/slots';
+import { findAppointmentConflicts, suggestAlternativeSlots } from '../utils/appointmentConflicts';
+import { describeMove, getMoveChangeType } from '../utils/appointmentChanges';
+
+/**
+ * Booking Service
+ * Offers bookable time slots built from doctor schedules, schedule overrides, time off and existing appointments,
+ * checks new or rescheduled appointments for conflicts before they are saved,
+ * and moves appointments while recording the change
+ */
+
+/**
+ * Error thrown when a booking conflicts with the schedule or other appointments
+ * - conflicts: [{ type, message, appointment? }] from findAppointmentConflicts
+ * - suggestions: closest free slots of the same doctor [{ date, time, ... }]
+ * - errors: conflict messages (shown as a list by ErrorDisplay)
+ */
+export class BookingConflictError extends Error {
+  constructor(conflicts = [], suggestions = []) {
+    super(conflicts.map(conflict => conflict.message).join(' ') || 'This booking conflicts with another appointment');
+    this.name = 'BookingConflictError';
+    this.conflicts = conflicts;
+    this.suggestions = suggestions;
+    this.errors = conflicts.map(conflict => conflict.message);
+    this.data = { message: 'This time cannot be booked' };
+  }
+}
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Schedule overrides and absences of one doctor (or all doctors), and the hospital holidays
+ * @returns {Promise<Object>} { overrides, absences, holidays }
+ */
+const getScheduleExceptions = async (doctorId) => {
+  const filters = doctorId ? { doctor_id: doctorId } : {};
+  const [overridesResponse, absencesResponse, holidaysResponse] = await Promise.all([
+    getScheduleOverrides(filters),
+    getAbsences(filters),
+    getHolidays()
+  ]);
+  return {
+    overrides: overridesResponse.data || [],
+    absences: absencesResponse.data || [],
+    holidays: holidaysResponse.data || []
+  };
+};
+
+/**
+ * Get bookable slots over the booking horizon
+ * @param {Object} options - { doctorId, from, days, slotMinutes, includeFull, excludeAppointmentId }
+ *   - doctorId: only this doctor's slots (all doctors when omitted)
+ *   - includeFull: also return full and past slots (flagged available: false)
+ * @returns {Promise<Array>} Slots, see buildSlots
+ */
+export const getAvailableSlots = async ({ doctorId, includeFull = false, ...options } = {}) => {
+  const [schedulesResponse, appointmentsResponse, exceptions] = await Promise.all([
+    doctorId ? getSchedulesByDoctor(doctorId) : getDoctorSchedules(),
+    doctorId ? getAppointmentsByDoctor(doctorId) : getAppointments(),
+    getScheduleExceptions(doctorId)
+  ]);
+
+  const slots = buildSlots(schedulesResponse.data || [], appointmentsResponse.data || [], { ...options, ...exceptions });
+  return includeFull ? slots : slots.filter(slot => slot.available);
+};
+
+/**
+ * Everything a booking of a doctor and patient is checked against
+ * @param {string} doctorId - Doctor ID
+ * @param {string} patientId - Patient ID (optional)
+ * @returns {Promise<Object>} { schedules, appointments, doctorAppointments, patientAppointments, overrides, absences, holidays }
+ *   - appointments: the doctor's and the patient's appointments, each once
+ */
+export const getBookingContext = async (doctorId, patientId) => {
+  const [schedulesResponse, doctorAppointmentsResponse, patientAppointmentsResponse, exceptions] = await Promise.all([
+    getSchedulesByDoctor(doctorId),
+    getAppointmentsByDoctor(doctorId),
+    patientId ? getAppointmentsByPatient(patientId) : { data: [] },
+    getScheduleExceptions(doctorId)
+  ]);
+  const doctorAppointments = doctorAppointmentsResponse.data || [];
+  const patientAppointments = patientAppointmentsResponse.data || [];
+  const doctorAppointmentIds = new Set(doctorAppointments.map(appointment => appointment._id));
+  return {
+    schedules: schedulesResponse.data || [],
+    // Appointments with this doctor and this patient are in both lists
+    appointments: [
+      ...doctorAppointments,
+      ...patientAppointments.filter(appointment => !doctorAppointmentIds.has(appointment._id))
+    ],
+    doctorAppointments,
+    patientAppointments,
+    ...exceptions
+  };
+};
+
+/**
+ * Check an appointment against the doctor's schedule, overrides and time off, the doctor's bookings and the patient's bookings
+ * @param {Object} appointmentData - { _id?, patient_id, doctor_id, appointment_date, appointment_time, status }
+ * @param {Object} options - { excludeAppointmentId } appointment being rescheduled
+ * @returns {Promise<Object>} { conflicts, suggestions } — suggestions are the closest free slots when there are conflicts
+ */
+export const validateBooking = async (appointmentData, { excludeAppointmentId } = {}) => {
+  const excludeId = excludeAppointmentId || appointmentData._id;
+  const { schedules, appointments, doctorAppointments, patientAppointments, ...exceptions } = await getBookingContext(
+    getId(appointmentData.doctor_id),
+    getId(appointmentData.patient_id)
+  );
+
+  const conflicts = findAppointmentConflicts(appointmentData, {
+    appointments,
+    schedules,
+    ...exceptions,
+    excludeAppointmentId: excludeId,
+    now: new Date()
+  });
+  if (conflicts.length === 0) {
+    return { conflicts, suggestions: [] };
+  }
+
+  // Look for free slots from a week before the requested date, skipping times the patient is busy
+  const date = getDateKey(appointmentData.appointment_date) || getTodayKey();
+  const from = addDays(date, -7) > getTodayKey() ? addDays(date, -7) : getTodayKey();
+  const freeSlots = buildSlots(schedules, doctorAppointments, { from, excludeAppointmentId: excludeId, ...exceptions })
+    .filter(slot => slot.available)
+    .filter(slot => findAppointmentConflicts(
+      { ...appointmentData, appointment_date: slot.date, appointment_time: slot.time },
+      { appointments: patientAppointments, schedules, excludeAppointmentId: excludeId }
+    ).length === 0);
+
+  return {
+    conflicts,
+    suggestions: suggestAlternativeSlots(freeSlots, { date, time: appointmentData.appointment_time })
+  };
+};
+
+/**
+ * Make sure an appointment can be booked before creating or moving it
+ * @param {Object} appointmentData - Appointment as it will be saved
+ * @param {Object} options - { excludeAppointmentId } appointment being rescheduled
+ * @throws {BookingConflictError} When the time cannot be booked
+ */
+export const assertBookable = async (appointmentData, options = {}) => {
+  const { conflicts, suggestions } = await validateBooking(appointmentData, options);
+  if (conflicts.length > 0) {
+    throw new BookingConflictError(conflicts, suggestions);
+  }
+};
+
+/**
+ * Let the patient know their appointment moved
+ * Patients without a user account cannot receive in-app notifications
+ * @returns {Promise<boolean>} Whether a notification was sent
+ */
+const notifyPatientOfMove = async (appointment, move) => {
+  let patient = appointment.patient_id;
+  if (!patient || typeof patient !== 'object') {
+    const response = await getPatient(patient);
+    patient = response.data;
+  }
+  const userId = getId(patient?.user_id);
+  if (!userId) return false;
+
+  const when = new Date(`${move.date}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+  const doctor = move.doctor || appointment.doctor_id;
+  const withDoctor = doctor && typeof doctor === 'object' && doctor.first_name
+    ? ` with Dr. ${doctor.first_name} ${doctor.last_name}`
+    : '';
+
+  await createNotification({
+    user_id: userId,
+    message: `Your appointment has been moved to ${when} at ${move.time}${withDoctor}.${move.reason ? ` Reason: ${move.reason}` : ''}`,
+    notification_type: 'appointment',
+    is_read: false
+  });
+  return true;
+};
+
+/**
+ * Move an appointment to another date, time or doctor and record the change
+ * - the move is checked against the schedule, capacity and other bookings first
+ * - a date_changed, time_changed, doctor_changed or rescheduled change record is written
+ * - the patient is notified when asked and they have a user account
+ * @param {Object} appointment - Appointment to move (doctor_id and patient_id may be populated)
+ * @param {Object} move - { date, time, doctorId, doctor?, reason?, notifyPatient? }
+ *   - doctor: the new doctor record, used in the change reason and the notification (defaults to the saved appointment's doctor)
+ * @returns {Promise<Object>} { appointment, change, changeType, notified }
+ * @throws {BookingConflictError} When the new time cannot be booked
+ */
+export const moveAppointment = async (appointment, { notifyPatient = false, ...move }) => {
+  const target = {
+    date: move.date || getDateKey(appointment.appointment_date),
+    time: move.time || appointment.appointment_time,
+    doctorId: move.doctorId || getId(appointment.doctor_id)
+  };
+  const changeType = getMoveChangeType(appointment, target);
+  if (!changeType) {
+    return { appointment, change: null, changeType: null, notified: false };
+  }
+
+  const changes = {
+    appointment_date: new Date(target.date).toISOString(),
+    appointment_time: target.time,
+    doctor_id: target.doctorId
+  };
+  await assertBookable(
+    { ...appointment, ...changes, patient_id: getId(appointment.patient_id) },
+    { excludeAppointmentId: appointment._id }
+  );
+
+  const updated = await updateAppointment(appointment._id, changes);
+  const doctor = move.doctor || updated.data?.doctor_id;
+  const change = await createAppointmentChange({
+    appointment_id: appointment._id,
+    change_type: changeType,
+    reason: move.reason || describeMove(appointment, { ...target, doctor }),
+    changed_at: new Date().toISOString()
+  });
+
+  let notified = false;
+  if (notifyPatient) {
+    try {
+      notified = await notifyPatientOfMove(appointment, { ...target, doctor, reason: move.reason });
+    } catch (err) {
+      // The move itself succeeded; a failed notification is reported but not thrown
+      console.error('Error notifying patient of the move:', err);
+    }
+  }
+
+  return { appointment: updated.data, change: change.data, changeType, notified };
+};
+
+/**
+ * Save planned moves of several appointments and tell the patients
+ * (e.g. after a schedule is rescheduled or a doctor is away).
+ * Moves that clash with an appointment not yet moved are retried once the others are saved.
+ * A failed notice does not undo the moves; it is returned so patients can be told another way.
+ * @param {Object} plan - { placed, unresolved } from planAppointmentMoves or planRebooking
+ * @param {Object} notice - notifyScheduleChange payload { schedule_id, old_schedule, new_schedule, reason, appointment_ids }
+ *   - appointment_ids: patients to notify (defaults to the appointments that were moved)
+ *   - the times the appointments had before are added as previous_times
+ * @returns {Promise<Object>} { updateResults, successfulUpdates, adjustedUpdates, failedUpdates, conflictedUpdates,
+ *   notified, notificationResult, notificationError } — updateResults [{ appointment_id, status, adjusted?, error? }]
+ *   with status updated, failed or conflict
+ */
+export const applyAppointmentMoves = async ({ placed = [], unresolved = [] }, notice = {}) => {
+  const updateResults = unresolved.map(({ appointment, conflicts }) => ({
+    appointment_id: appointment._id,
+    status: 'conflict',
+    error: conflicts.map(conflict => conflict.message).join(' ')
+  }));
+  let pending = placed;
+  while (pending.length > 0) {
+    const retry = [];
+    for (const move of pending) {
+      try {
+        await updateAppointment(move.appointment._id, {
+          appointment_date: new Date(move.date).toISOString(),
+          appointment_time: move.time
+        });
+        updateResults.push({ appointment_id: move.appointment._id, status: 'updated', adjusted: move.adjusted });
+      } catch (updateErr) {
+        if (updateErr.status === 409 && pending.length > 1) {
+          retry.push({ move, error: updateErr });
+        } else {
+          console.error(`Failed to update appointment ${move.appointment._id}:`, updateErr);
+          updateResults.push({ appointment_id: move.appointment._id, status: 'failed', error: updateErr.message });
+        }
+      }
+    }
+    if (retry.length === pending.length) {
+      retry.forEach(({ move, error }) => updateResults.push({
+        appointment_id: move.appointment._id, status: 'failed', error: error.message
+      }));
+      break;
+    }
+    pending = retry.map(({ move }) => move);
+  }
+
+  const appointmentIds = notice.appointment_ids ||
+    updateResults.filter(result => result.status === 'updated').map(result => result.appointment_id);
+  const previousTimes = {};
+  [...placed, ...unresolved].forEach(({ appointment }) => {
+    previousTimes[appointment._id] = { date: getDateKey(appointment.appointment_date), time: appointment.appointment_time };
+  });
+
+  let notificationResult = null;
+  let notificationError = null;
+  if (appointmentIds.length > 0) {
+    try {
+      notificationResult = await notifyScheduleChange({ ...notice, appointment_ids: appointmentIds, previous_times: previousTimes });
+    } catch (notifyErr) {
+      // Don't fail the whole operation if notifications fail
+      console.error('Error sending schedule change notices:', notifyErr);
+      notificationError = notifyErr;
+    }
+  }
+
+  return {
+    updateResults,
+    successfulUpdates: updateResults.filter(result => result.status === 'updated').length,
+    adjustedUpdates: updateResults.filter(result => result.adjusted).length,
+    failedUpdates: updateResults.filter(result => result.status === 'failed').length,
+    conflictedUpdates: updateResults.filter(result => result.status === 'conflict').length,
+    notified: appointmentIds.length,
+    notificationResult,
+    notificationError
+  };
+};
@@ -0,0 +1,17 @@
+import { mockRequest, startMockSession } from '../mock/mockFetch';
+import { validateBooking } from './bookingService';
+
+beforeEach(() => startMockSession());
+
+test('an appointment with the same doctor and patient counts once against the session', async () => {
+  // 1 January 2030 is a Tuesday: Dr. Haddad works 10:00-16:00, now for two patients per session
+  mockRequest('PUT', '/doctor-schedules/sched-haddad-tue', { max_patients: 2 });
+  const booking = { patient_id: 'pat-nasser', doctor_id: 'doc-haddad', appointment_date: '2030-01-01T00:00:00.000Z' };
+  expect(mockRequest('POST', '/appointments', { ...booking, appointment_time: '10:00' }).status).toBe(201);
+
+  expect((await validateBooking({ ...booking, appointment_time: '11:00' })).conflicts).toEqual([]);
+
+  expect(mockRequest('POST', '/appointments', { ...booking, patient_id: 'pat-saleh', appointment_time: '12:00' }).status).toBe(201);
+  const { conflicts } = await validateBooking({ ...booking, appointment_time: '13:00' });
+  expect(conflicts.map(conflict => conflict.type)).toEqual(['session_full']);
+});
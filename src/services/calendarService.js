@@ -0,0 +1,84 @@
+import { API_BASE_URL, apiGet, apiPost } from './apiClient';
+import { getScheduleOverrides, getSchedulesByDoctor } from './doctorScheduleService';
+import { getAppointmentsByDoctor } from './appointmentService';
+import { buildCalendar, buildDoctorCalendar, getAppointmentEvent } from '../utils/ical';
+
+/**
+ * Calendar Service
+ * iCalendar (.ics) downloads of appointments and the doctors' calendar feeds.
+ * A feed is served by the backend at a secret URL so calendar apps can subscribe without signing in.
+ */
+
+/**
+ * Download an .ics file
+ * @param {string} icsContent - Calendar content
+ * @param {string} filename - Filename for download
+ */
+export const downloadCalendar = (icsContent, filename = 'appointment.ics') => {
+  const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download one appointment as an .ics file
+ * @param {Object} appointment - Appointment, ideally with doctor and department populated
+ * @param {Object} options - Event options (audience, durationMinutes, ...), see getAppointmentEvent
+ */
+export const downloadAppointmentCalendar = (appointment, options = {}) => {
+  const date = String(appointment.appointment_date || '').slice(0, 10);
+  downloadCalendar(buildCalendar([getAppointmentEvent(appointment, options)]), `appointment-${date || appointment._id}.ics`);
+};
+
+/**
+ * A doctor's sessions and appointments as one calendar, built from their schedules, overrides and appointments
+ * @param {Object} doctor - Doctor { _id, first_name, last_name, room }
+ * @returns {Promise<string>} .ics content
+ */
+export const getDoctorCalendar = async (doctor) => {
+  const [schedulesResponse, appointmentsResponse, overridesResponse] = await Promise.all([
+    getSchedulesByDoctor(doctor._id),
+    getAppointmentsByDoctor(doctor._id),
+    getScheduleOverrides({ doctor_id: doctor._id })
+  ]);
+  return buildDoctorCalendar(doctor, schedulesResponse.data || [], appointmentsResponse.data || [], {
+    overrides: overridesResponse.data || []
+  });
+};
+
+/**
+ * Subscription URL of a doctor's calendar feed
+ * @param {string} doctorId - Doctor ID
+ * @param {string} token - Feed token
+ * @returns {string}
+ */
+export const getCalendarFeedUrl = (doctorId, token) =>
+  `${API_BASE_URL}/doctors/${doctorId}/calendar.ics?token=${encodeURIComponent(token)}`;
+
+/**
+ * Get a doctor's calendar feed, creating its token on first use
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise} Response data { doctor_id, token }
+ */
+export const getCalendarFeed = async (doctorId) => {
+  return apiGet(`/doctors/${doctorId}/calendar-feed`, { fallbackMessage: 'Failed to fetch the calendar feed' });
+};
+
+/**
+ * Replace a doctor's feed token, so the old subscription URL stops working
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise} Response data { doctor_id, token }
+ */
+export const resetCalendarFeed = async (doctorId) => {
+  return apiPost(`/doctors/${doctorId}/calendar-feed/reset`, {}, { fallbackMessage: 'Failed to reset the calendar feed' });
+};
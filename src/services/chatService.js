@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost } from './apiClient';
 
 /**
  * Chat Service
@@ -12,24 +11,7 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  * @returns {Promise} Response data
  */
 export const getChatConversations = async (doctorId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/chats/conversations/${doctorId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch chat conversations');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/chats/conversations/${doctorId}`, { fallbackMessage: 'Failed to fetch chat conversations' });
 };
 
 /**
@@ -38,24 +20,7 @@ export const getChatConversations = async (doctorId) => {
  * @returns {Promise} Response data
  */
 export const getChatMessages = async (conversationId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/chats/messages/${conversationId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch chat messages');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/chats/messages/${conversationId}`, { fallbackMessage: 'Failed to fetch chat messages' });
 };
 
 /**
@@ -64,25 +29,7 @@ export const getChatMessages = async (conversationId) => {
  * @returns {Promise} Response data
  */
 export const sendMessage = async (messageData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/chats/messages`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(messageData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to send message');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPost('/chats/messages', messageData, { fallbackMessage: 'Failed to send message' });
 };
 
 /**
@@ -91,25 +38,5 @@ export const sendMessage = async (messageData) => {
  * @returns {Promise} Response data
  */
 export const getOrCreateConversation = async (conversationData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/chats/conversations`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(conversationData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to create/get conversation');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPost('/chats/conversations', conversationData, { fallbackMessage: 'Failed to create/get conversation' });
 };
-
-
@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiDelete } from './apiClient';
 
 /**
  * Contact Service
@@ -11,32 +10,7 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  * @returns {Promise} Response data
  */
 export const getContacts = async () => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/contacts`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      const errorMessage = data.message || 
-                          data.error || 
-                          (data.errors && Array.isArray(data.errors) ? data.errors.join(', ') : null) ||
-                          `Failed to fetch contacts (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('Error in getContacts:', error);
-    throw error;
-  }
+  return apiGet('/contacts', { fallbackMessage: 'Failed to fetch contacts' });
 };
 
 /**
@@ -45,31 +19,7 @@ export const getContacts = async () => {
  * @returns {Promise} Response data
  */
 export const getContact = async (id) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/contacts/${id}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      const errorMessage = data.message || 
-                          data.error || 
-                          `Failed to fetch contact (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('Error in getContact:', error);
-    throw error;
-  }
+  return apiGet(`/contacts/${id}`, { fallbackMessage: 'Failed to fetch contact' });
 };
 
 /**
@@ -78,33 +28,7 @@ export const getContact = async (id) => {
  * @returns {Promise} Response data
  */
 export const createContact = async (contactData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/contacts`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(contactData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      const errorMessage = data.message || 
-                          data.error || 
-                          (data.errors && Array.isArray(data.errors) ? data.errors.join(', ') : null) ||
-                          `Failed to create contact (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('Error in createContact:', error);
-    throw error;
-  }
+  return apiPost('/contacts', contactData, { fallbackMessage: 'Failed to create contact' });
 };
 
 /**
@@ -113,30 +37,5 @@ export const createContact = async (contactData) => {
  * @returns {Promise} Response data
  */
 export const deleteContact = async (id) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/contacts/${id}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      const errorMessage = data.message || 
-                          data.error || 
-                          `Failed to delete contact (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('Error in deleteContact:', error);
-    throw error;
-  }
+  return apiDelete(`/contacts/${id}`, { fallbackMessage: 'Failed to delete contact' });
 };
-
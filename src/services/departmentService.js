@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
 
 /**
  * Department Service
@@ -11,24 +10,7 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  * @returns {Promise} Response data
  */
 export const getDepartments = async () => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/departments`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch departments');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet('/departments', { cache: true, fallbackMessage: 'Failed to fetch departments' });
 };
 
 /**
@@ -37,24 +19,7 @@ export const getDepartments = async () => {
  * @returns {Promise} Response data
  */
 export const getDepartment = async (departmentId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/departments/${departmentId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch department');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/departments/${departmentId}`, { fallbackMessage: 'Failed to fetch department' });
 };
 
 /**
@@ -63,25 +28,7 @@ export const getDepartment = async (departmentId) => {
  * @returns {Promise} Response data
  */
 export const createDepartment = async (departmentData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/departments`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(departmentData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to create department');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPost('/departments', departmentData, { fallbackMessage: 'Failed to create department' });
 };
 
 /**
@@ -91,25 +38,10 @@ export const createDepartment = async (departmentData) => {
  * @returns {Promise} Response data
  */
 export const updateDepartment = async (departmentId, departmentData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/departments/${departmentId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(departmentData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to update department');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPut(`/departments/${departmentId}`, departmentData, {
+    invalidates: ['/doctors'],
+    fallbackMessage: 'Failed to update department',
+  });
 };
 
 /**
@@ -118,23 +50,8 @@ export const updateDepartment = async (departmentId, departmentData) => {
  * @returns {Promise} Response data
  */
 export const deleteDepartment = async (departmentId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/departments/${departmentId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to delete department');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiDelete(`/departments/${departmentId}`, {
+    invalidates: ['/doctors'],
+    fallbackMessage: 'Failed to delete department',
+  });
 };
-
@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
 
 /**
  * Doctor Service
@@ -11,37 +10,7 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  * @returns {Promise} Response data
  */
 export const getDoctors = async () => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/doctors`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      // Provide more detailed error information
-      const errorMessage = data.message || 
-                          data.error || 
-                          (data.errors && Array.isArray(data.errors) ? data.errors.join(', ') : null) ||
-                          `Failed to fetch doctors (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    // If it's already our custom error, re-throw it
-    if (error.status) {
-      throw error;
-    }
-    // Network or other errors
-    throw new Error(`Network error: ${error.message}`);
-  }
+  return apiGet('/doctors', { cache: true, fallbackMessage: 'Failed to fetch doctors' });
 };
 
 /**
@@ -50,24 +19,7 @@ export const getDoctors = async () => {
  * @returns {Promise} Response data
  */
 export const getDoctor = async (doctorId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/doctors/${doctorId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch doctor');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/doctors/${doctorId}`, { fallbackMessage: 'Failed to fetch doctor' });
 };
 
 /**
@@ -76,35 +28,7 @@ export const getDoctor = async (doctorId) => {
  * @returns {Promise} Response data
  */
 export const createDoctor = async (doctorData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/doctors`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(doctorData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      // Handle validation errors from backend
-      const errorMessage = data.message || 'Failed to create doctor';
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data; // Include full error data (with errors array)
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    // If it's already our custom error, re-throw it
-    if (error.status) {
-      throw error;
-    }
-    // Network or other errors
-    throw new Error(`Network error: ${error.message}`);
-  }
+  return apiPost('/doctors', doctorData, { fallbackMessage: 'Failed to create doctor' });
 };
 
 /**
@@ -114,35 +38,10 @@ export const createDoctor = async (doctorData) => {
  * @returns {Promise} Response data
  */
 export const updateDoctor = async (doctorId, doctorData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/doctors/${doctorId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(doctorData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      // Handle validation errors from backend
-      const errorMessage = data.message || 'Failed to update doctor';
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data; // Include full error data (with errors array)
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    // If it's already our custom error, re-throw it
-    if (error.status) {
-      throw error;
-    }
-    // Network or other errors
-    throw new Error(`Network error: ${error.message}`);
-  }
+  return apiPut(`/doctors/${doctorId}`, doctorData, {
+    invalidates: ['/doctor-schedules'],
+    fallbackMessage: 'Failed to update doctor',
+  });
 };
 
 /**
@@ -151,33 +50,10 @@ export const updateDoctor = async (doctorId, doctorData) => {
  * @returns {Promise} Response data
  */
 export const deleteDoctor = async (doctorId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/doctors/${doctorId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      const errorMessage = data.message || 'Failed to delete doctor';
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    // If it's already our custom error, re-throw it
-    if (error.status) {
-      throw error;
-    }
-    // Network or other errors
-    throw new Error(`Network error: ${error.message}`);
-  }
+  return apiDelete(`/doctors/${doctorId}`, {
+    invalidates: ['/doctor-schedules'],
+    fallbackMessage: 'Failed to delete doctor',
+  });
 };
 
 /**
@@ -186,23 +62,5 @@ export const deleteDoctor = async (doctorId) => {
  * @returns {Promise} Response data
  */
 export const getDoctorsByDepartment = async (departmentId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/doctors/department/${departmentId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch doctors by department');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/doctors/department/${departmentId}`, { fallbackMessage: 'Failed to fetch doctors by department' });
 };
-
@@ -0,0 +1,44 @@
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
+
+/**
+ * Holiday Service
+ * Handles all API calls related to the hospital holiday calendar.
+ * No doctor has bookable slots while the hospital is closed for a holiday.
+ */
+
+/**
+ * Get all holidays
+ * @returns {Promise} Response data
+ */
+export const getHolidays = async () => {
+  return apiGet('/holidays', { cache: true, fallbackMessage: 'Failed to fetch holidays' });
+};
+
+/**
+ * Create a holiday
+ * @param {Object} holidayData - Holiday data { name, start_date, end_date }
+ *   start_date and end_date are YYYY-MM-DD and both included
+ * @returns {Promise} Response data
+ */
+export const createHoliday = async (holidayData) => {
+  return apiPost('/holidays', holidayData, { fallbackMessage: 'Failed to create holiday' });
+};
+
+/**
+ * Update a holiday
+ * @param {string} holidayId - Holiday ID
+ * @param {Object} holidayData - Updated holiday data { name, start_date, end_date }
+ * @returns {Promise} Response data
+ */
+export const updateHoliday = async (holidayId, holidayData) => {
+  return apiPut(`/holidays/${holidayId}`, holidayData, { fallbackMessage: 'Failed to update holiday' });
+};
+
+/**
+ * Delete a holiday
+ * @param {string} holidayId - Holiday ID
+ * @returns {Promise} Response data
+ */
+export const deleteHoliday = async (holidayId) => {
+  return apiDelete(`/holidays/${holidayId}`, { fallbackMessage: 'Failed to delete holiday' });
+};
@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
 
 /**
  * Medical Record Service
@@ -7,28 +6,20 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  */
 
 /**
- * Get all medical records
- * @returns {Promise} Response data
+ * Get medical records, optionally one page at a time
+ * @param {Object} query - Optional { page, limit, sort, search, patient_id }
+ * @returns {Promise} Response data; paged responses include pagination { page, limit, total, pages }
  */
-export const getMedicalRecords = async () => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/medical-records`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch medical records');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+export const getMedicalRecords = async (query = {}) => {
+  const params = {
+    page: query.page,
+    limit: query.limit,
+    sort: query.sort,
+    search: query.search,
+    patient_id: query.patient_id,
+  };
+
+  return apiGet('/medical-records', { params, fallbackMessage: 'Failed to fetch medical records' });
 };
 
 /**
@@ -37,24 +28,7 @@ export const getMedicalRecords = async () => {
  * @returns {Promise} Response data
  */
 export const getMedicalRecord = async (recordId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/medical-records/${recordId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch medical record');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/medical-records/${recordId}`, { fallbackMessage: 'Failed to fetch medical record' });
 };
 
 /**
@@ -63,25 +37,7 @@ export const getMedicalRecord = async (recordId) => {
  * @returns {Promise} Response data
  */
 export const createMedicalRecord = async (recordData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/medical-records`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(recordData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to create medical record');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPost('/medical-records', recordData, { fallbackMessage: 'Failed to create medical record' });
 };
 
 /**
@@ -91,25 +47,7 @@ export const createMedicalRecord = async (recordData) => {
  * @returns {Promise} Response data
  */
 export const updateMedicalRecord = async (recordId, recordData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/medical-records/${recordId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(recordData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to update medical record');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPut(`/medical-records/${recordId}`, recordData, { fallbackMessage: 'Failed to update medical record' });
 };
 
 /**
@@ -118,24 +56,7 @@ export const updateMedicalRecord = async (recordId, recordData) => {
  * @returns {Promise} Response data
  */
 export const deleteMedicalRecord = async (recordId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/medical-records/${recordId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to delete medical record');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiDelete(`/medical-records/${recordId}`, { fallbackMessage: 'Failed to delete medical record' });
 };
 
 /**
@@ -144,23 +65,5 @@ export const deleteMedicalRecord = async (recordId) => {
  * @returns {Promise} Response data
  */
 export const getRecordsByPatient = async (patientId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/medical-records/patient/${patientId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch medical records by patient');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/medical-records/patient/${patientId}`, { fallbackMessage: 'Failed to fetch medical records by patient' });
 };
-
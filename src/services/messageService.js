@@ -0,0 +1,68 @@
+import { apiGet, apiPost } from './apiClient';
+import { getPatientChannel } from '../utils/messaging';
+
+/**
+ * Message Service
+ * Handles all API calls related to patient messages. The backend hands each message to
+ * the provider for its channel (email, SMS or WhatsApp) and keeps its delivery status
+ * up to date from the provider's delivery reports.
+ */
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Get sent messages with optional filters
+ * @param {Object} filters - Optional filters { patient_id, appointment_id, channel, status, type }
+ * @returns {Promise} Response data
+ */
+export const getMessages = async (filters = {}) => {
+  const params = {
+    patient_id: filters.patient_id,
+    appointment_id: filters.appointment_id,
+    channel: filters.channel,
+    status: filters.status,
+    type: filters.type,
+  };
+
+  return apiGet('/messages', { params, fallbackMessage: 'Failed to fetch messages' });
+};
+
+/**
+ * Get a single message by ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise} Response data
+ */
+export const getMessage = async (messageId) => {
+  return apiGet(`/messages/${messageId}`, { fallbackMessage: 'Failed to fetch message' });
+};
+
+/**
+ * Send a message
+ * The response is the stored message; a provider that rejects it gives status 'failed' and an error.
+ * @param {Object} messageData - { channel, to, message, subject, type, patient_id, appointment_id, details }
+ *   - type: what the message is about, e.g. 'appointment-reminder', 'waitlist-offer'
+ *   - details: fields the backend email templates use for that type
+ * @returns {Promise} Response data
+ */
+export const sendMessage = async (messageData) => {
+  return apiPost('/messages', messageData, { fallbackMessage: 'Failed to send message' });
+};
+
+/**
+ * Send a message to a patient on their preferred channel
+ * @param {Object} patient - Patient { _id, preferred_channel, email, phone }
+ * @param {Object} content - { message, subject, type, appointment_id, details }
+ * @returns {Promise<Object|null>} Stored message, or null when the patient has no contact details
+ */
+export const sendToPatient = async (patient, content) => {
+  const route = getPatientChannel(patient);
+  if (!route) return null;
+
+  const response = await sendMessage({
+    ...content,
+    channel: route.channel,
+    to: route.to,
+    patient_id: getId(patient),
+  });
+  return response.data;
+};
@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
 
 /**
  * Notification Service
@@ -12,40 +11,13 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  * @returns {Promise} Response data
  */
 export const getNotifications = async (filters = {}) => {
-  try {
-    const queryParams = new URLSearchParams();
-    
-    if (filters.user_id) {
-      queryParams.append('user_id', filters.user_id);
-    }
-    
-    if (filters.notification_type) {
-      queryParams.append('notification_type', filters.notification_type);
-    }
-    
-    if (filters.is_read !== undefined) {
-      queryParams.append('is_read', filters.is_read);
-    }
-    
-    const url = `${API_BASE_URL}/notifications${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch notifications');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  const params = {
+    user_id: filters.user_id,
+    notification_type: filters.notification_type,
+    is_read: filters.is_read,
+  };
+
+  return apiGet('/notifications', { params, fallbackMessage: 'Failed to fetch notifications' });
 };
 
 /**
@@ -54,24 +26,7 @@ export const getNotifications = async (filters = {}) => {
  * @returns {Promise} Response data
  */
 export const getNotification = async (notificationId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/notifications/${notificationId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch notification');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/notifications/${notificationId}`, { fallbackMessage: 'Failed to fetch notification' });
 };
 
 /**
@@ -80,25 +35,7 @@ export const getNotification = async (notificationId) => {
  * @returns {Promise} Response data
  */
 export const createNotification = async (notificationData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/notifications`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(notificationData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to create notification');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPost('/notifications', notificationData, { fallbackMessage: 'Failed to create notification' });
 };
 
 /**
@@ -108,25 +45,7 @@ export const createNotification = async (notificationData) => {
  * @returns {Promise} Response data
  */
 export const updateNotification = async (notificationId, notificationData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/notifications/${notificationId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(notificationData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to update notification');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPut(`/notifications/${notificationId}`, notificationData, { fallbackMessage: 'Failed to update notification' });
 };
 
 /**
@@ -135,24 +54,7 @@ export const updateNotification = async (notificationId, notificationData) => {
  * @returns {Promise} Response data
  */
 export const deleteNotification = async (notificationId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/notifications/${notificationId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to delete notification');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiDelete(`/notifications/${notificationId}`, { fallbackMessage: 'Failed to delete notification' });
 };
 
 /**
@@ -162,36 +64,12 @@ export const deleteNotification = async (notificationId) => {
  * @returns {Promise} Response data
  */
 export const getNotificationsByUser = async (userId, filters = {}) => {
-  try {
-    const queryParams = new URLSearchParams();
-    
-    if (filters.is_read !== undefined) {
-      queryParams.append('is_read', filters.is_read);
-    }
-    
-    if (filters.notification_type) {
-      queryParams.append('notification_type', filters.notification_type);
-    }
-    
-    const url = `${API_BASE_URL}/notifications/user/${userId}${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch notifications by user');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  const params = {
+    is_read: filters.is_read,
+    notification_type: filters.notification_type,
+  };
+
+  return apiGet(`/notifications/user/${userId}`, { params, fallbackMessage: 'Failed to fetch notifications by user' });
 };
 
 /**
@@ -200,24 +78,7 @@ export const getNotificationsByUser = async (userId, filters = {}) => {
  * @returns {Promise} Response data
  */
 export const markAsRead = async (notificationId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/notifications/${notificationId}/read`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to mark notification as read');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPut(`/notifications/${notificationId}/read`, undefined, { fallbackMessage: 'Failed to mark notification as read' });
 };
 
 /**
@@ -226,23 +87,15 @@ export const markAsRead = async (notificationId) => {
  * @returns {Promise} Response data
  */
 export const markAllAsRead = async (userId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/notifications/user/${userId}/read-all`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to mark all notifications as read');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPut(`/notifications/user/${userId}/read-all`, undefined, { fallbackMessage: 'Failed to mark all notifications as read' });
 };
 
+/**
+ * Send an email through the backend email service
+ * POST /api/notifications/email
+ * @param {Object} emailData - { to, subject, message }
+ * @returns {Promise} Response data
+ */
+export const sendEmailNotification = async (emailData) => {
+  return apiPost('/notifications/email', emailData, { fallbackMessage: 'Failed to send email notification' });
+};
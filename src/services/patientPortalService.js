@@ -0,0 +1,79 @@
+import { createAppointment } from './appointmentService';
+import { createAppointmentChange } from './appointmentChangeService';
+import { changeAppointmentStatus } from './appointmentStatusHistoryService';
+import { getCurrentUser } from './authService';
+import { getPatientByUser } from './patientService';
+import { requestWaitlistOffers } from './waitlistService';
+import { buildVisitSummary } from '../utils/patientPortal';
+import { getDateKey } from '../utils/slots';
+
+/**
+ * Patient Portal Service
+ * What a signed-in patient does for themselves: find their own patient record, book and cancel
+ * their appointments and download visit summaries. The backend scopes every call to the patient's
+ * own records, so these only ever reach the logged-in patient's data.
+ */
+
+/**
+ * Get the patient record linked to the logged-in user
+ * @returns {Promise<Object|null>} Patient, or null when the account is not linked to one
+ */
+export const getMyPatient = async () => {
+  const user = getCurrentUser();
+  const userId = user?._id || user?.id;
+  return userId ? getPatientByUser(userId) : null;
+};
+
+/**
+ * Book an appointment for the logged-in patient
+ * @param {Object} patient - The patient's own record
+ * @param {Object} bookingData - { doctor_id, department_id, appointment_date, appointment_time, reason }
+ * @returns {Promise} Response data
+ */
+export const bookMyAppointment = async (patient, bookingData) => {
+  return createAppointment({ ...bookingData, patient_id: patient._id, status: 'scheduled' });
+};
+
+/**
+ * Cancel one of the logged-in patient's appointments
+ * The cancellation is written to the status history and the appointment changes. Patients cannot
+ * read the waitlist, so the backend is asked to offer the freed slot.
+ * @param {Object} appointment - Appointment { _id, status }
+ * @param {string} reason - Optional reason
+ * @returns {Promise<Object>} { appointment, history }
+ * @throws {StatusTransitionError} When the appointment can no longer be cancelled
+ */
+export const cancelMyAppointment = async (appointment, reason) => {
+  const cancelReason = reason || 'Cancelled by the patient';
+  const result = await changeAppointmentStatus(appointment, 'cancelled', { reason: cancelReason, offerFreedSlot: false });
+  await createAppointmentChange({
+    appointment_id: appointment._id,
+    change_type: 'cancelled',
+    reason: cancelReason,
+    changed_at: new Date().toISOString()
+  });
+  requestWaitlistOffers().catch(err => console.error('Error offering the freed slot to the waitlist:', err));
+  return result;
+};
+
+/**
+ * Download the visit summary of a medical record as a text file
+ * @param {Object} record - Medical record
+ * @param {Object} context - { patient, appointment }, see buildVisitSummary
+ */
+export const downloadVisitSummary = (record, context = {}) => {
+  const blob = new Blob([buildVisitSummary(record, context)], { type: 'text/plain;charset=utf-8' });
+  const date = getDateKey(context.appointment?.appointment_date || record.visit_date || record.createdAt);
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', `visit-summary-${date || record._id}.txt`);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
 
 /**
  * Patient Service
@@ -7,41 +6,21 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  */
 
 /**
- * Get all patients
- * @returns {Promise} Response data
+ * Get patients, optionally one page at a time
+ * Without paging options the whole list is returned (used by dropdowns)
+ * @param {Object} query - Optional { page, limit, sort, search, gender }
+ * @returns {Promise} Response data; paged responses include pagination { page, limit, total, pages }
  */
-export const getPatients = async () => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/patients`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      // Provide more detailed error information
-      const errorMessage = data.message || 
-                          data.error || 
-                          (data.errors && Array.isArray(data.errors) ? data.errors.join(', ') : null) ||
-                          `Failed to fetch patients (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    // If it's already our custom error, re-throw it
-    if (error.status) {
-      throw error;
-    }
-    // Network or other errors
-    throw new Error(`Network error: ${error.message}`);
-  }
+export const getPatients = async (query = {}) => {
+  const params = {
+    page: query.page,
+    limit: query.limit,
+    sort: query.sort,
+    search: query.search,
+    gender: query.gender,
+  };
+
+  return apiGet('/patients', { params, cache: true, fallbackMessage: 'Failed to fetch patients' });
 };
 
 /**
@@ -50,24 +29,17 @@ export const getPatients = async () => {
  * @returns {Promise} Response data
  */
 export const getPatient = async (patientId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/patients/${patientId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch patient');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/patients/${patientId}`, { fallbackMessage: 'Failed to fetch patient' });
+};
+
+/**
+ * Get the patient record linked to a user account, e.g. the logged-in patient's own record
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Patient, or null when no patient record is linked to the user
+ */
+export const getPatientByUser = async (userId) => {
+  const response = await apiGet('/patients', { params: { user_id: userId }, fallbackMessage: 'Failed to fetch patient' });
+  return (response.data || [])[0] || null;
 };
 
 /**
@@ -76,35 +48,7 @@ export const getPatient = async (patientId) => {
  * @returns {Promise} Response data
  */
 export const createPatient = async (patientData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/patients`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(patientData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      // Handle validation errors from backend
-      const errorMessage = data.message || 'Failed to create patient';
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data; // Include full error data (with errors array)
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    // If it's already our custom error, re-throw it
-    if (error.status) {
-      throw error;
-    }
-    // Network or other errors
-    throw new Error(`Network error: ${error.message}`);
-  }
+  return apiPost('/patients', patientData, { fallbackMessage: 'Failed to create patient' });
 };
 
 /**
@@ -114,35 +58,7 @@ export const createPatient = async (patientData) => {
  * @returns {Promise} Response data
  */
 export const updatePatient = async (patientId, patientData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/patients/${patientId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(patientData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      // Handle validation errors from backend
-      const errorMessage = data.message || 'Failed to update patient';
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data; // Include full error data (with errors array)
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    // If it's already our custom error, re-throw it
-    if (error.status) {
-      throw error;
-    }
-    // Network or other errors
-    throw new Error(`Network error: ${error.message}`);
-  }
+  return apiPut(`/patients/${patientId}`, patientData, { fallbackMessage: 'Failed to update patient' });
 };
 
 /**
@@ -151,24 +67,7 @@ export const updatePatient = async (patientId, patientData) => {
  * @returns {Promise} Response data
  */
 export const deletePatient = async (patientId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/patients/${patientId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to delete patient');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiDelete(`/patients/${patientId}`, { fallbackMessage: 'Failed to delete patient' });
 };
 
 /**
@@ -177,23 +76,5 @@ export const deletePatient = async (patientId) => {
  * @returns {Promise} Response data
  */
 export const searchPatients = async (query) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/patients/search/${encodeURIComponent(query)}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to search patients');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/patients/search/${encodeURIComponent(query)}`, { fallbackMessage: 'Failed to search patients' });
 };
-
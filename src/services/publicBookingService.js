@@ -0,0 +1,105 @@
+import { apiGet, apiPost } from './apiClient';
+
+/**
+ * Public Booking Service
+ * Self-service booking without signing in. Patients book a free slot with their own details and
+ * get a booking reference; the reference and their phone number let them look the booking up,
+ * confirm, reschedule or cancel it. None of these calls return other patients' data.
+ * Reference and phone number travel in the request body, so they stay out of URLs and server logs.
+ */
+
+/**
+ * Get the free slots of one doctor (or all doctors) over the booking horizon
+ * @param {Object} options - { doctorId }
+ * @returns {Promise<Array>} Free slots, as buildSlots
+ */
+export const getPublicSlots = async ({ doctorId } = {}) => {
+  const response = await apiGet('/public-bookings/slots', {
+    params: doctorId ? { doctor_id: doctorId } : {},
+    auth: false,
+    fallbackMessage: 'Failed to load available times'
+  });
+  // Sessions without a patient limit come back as null
+  return (response.data || []).map(slot => ({ ...slot, session_capacity: slot.session_capacity ?? Infinity }));
+};
+
+/**
+ * Book an appointment with the patient's own details
+ * @param {Object} bookingData - { doctor_id, department_id, appointment_date, appointment_time, reason,
+ *   first_name, last_name, phone, email, date_of_birth, gender }
+ * @returns {Promise} Response data { booking_reference, doctor_id, doctor_name, department_name, room,
+ *   appointment_date, appointment_time, reason, status, can_change }
+ */
+export const createPublicBooking = async (bookingData) => {
+  return apiPost('/public-bookings', bookingData, {
+    auth: false,
+    fallbackMessage: 'Failed to book the appointment'
+  });
+};
+
+/**
+ * Put the patient on the waitlist for a doctor, a day of the week and/or a department
+ * @param {Object} entryData - { patient, doctor_id, department_id, day_of_week, notes }
+ *   - patient: the patient's own details { first_name, last_name, phone, email, preferred_channel }
+ * @returns {Promise} Response data { doctor_id, department_id, day_of_week, status }
+ */
+export const joinPublicWaitlist = async ({ patient, ...entryData }) => {
+  return apiPost('/public-bookings/waitlist', { ...patient, ...entryData }, {
+    auth: false,
+    fallbackMessage: 'Failed to join the waitlist'
+  });
+};
+
+/**
+ * Look up a booking
+ * @param {string} reference - Booking reference
+ * @param {string} phone - Phone number the booking was made with
+ * @returns {Promise} Response data, as createPublicBooking
+ */
+export const findPublicBooking = async (reference, phone) => {
+  return apiPost('/public-bookings/lookup', { reference, phone }, {
+    auth: false,
+    fallbackMessage: 'We could not find your booking'
+  });
+};
+
+/**
+ * Confirm that the patient will attend
+ * @param {string} reference - Booking reference
+ * @param {string} phone - Phone number the booking was made with
+ * @returns {Promise} Response data, as createPublicBooking
+ */
+export const confirmPublicBooking = async (reference, phone) => {
+  return apiPost('/public-bookings/confirm', { reference, phone }, {
+    auth: false,
+    fallbackMessage: 'We could not confirm your booking'
+  });
+};
+
+/**
+ * Move a booking to another free slot of the same doctor
+ * @param {string} reference - Booking reference
+ * @param {string} phone - Phone number the booking was made with
+ * @param {Object} slot - { appointment_date, appointment_time }
+ * @returns {Promise} Response data, as createPublicBooking
+ */
+export const reschedulePublicBooking = async (reference, phone, slot) => {
+  return apiPost('/public-bookings/reschedule', { reference, phone, ...slot }, {
+    auth: false,
+    fallbackMessage: 'We could not move your booking'
+  });
+};
+
+/**
+ * Cancel a booking
+ * @param {string} reference - Booking reference
+ * @param {string} phone - Phone number the booking was made with
+ * @param {string} reason - Optional reason
+ * @returns {Promise} Response data, as createPublicBooking
+ */
+export const cancelPublicBooking = async (reference, phone, reason) => {
+  return apiPost('/public-bookings/cancel', { reference, phone, reason }, {
+    auth: false,
+    fallbackMessage: 'We could not cancel your booking'
+  });
+};
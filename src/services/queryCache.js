@@ -0,0 +1,109 @@
+/**
+ * Query Cache
+ * Client-side cache for GET responses used by the API client.
+ * - Concurrent requests for the same key share one in-flight promise
+ * - Fresh entries (younger than staleTime) are returned without a request
+ * - Stale entries (younger than maxAge) are returned immediately and refreshed in the background
+ * - Mutations invalidate every key under the same resource path
+ */
+
+// Defaults for cached reference data (doctors, departments, patients, ...)
+export const DEFAULT_STALE_TIME_MS = 30 * 1000;
+export const DEFAULT_MAX_AGE_MS = 5 * 60 * 1000;
+
+// key -> { data, fetchedAt }
+const entries = new Map();
+// key -> Promise
+const inFlight = new Map();
+// Bumped on invalidation so responses started before it are not stored
+let generation = 0;
+
+/**
+ * Run a fetcher once per key at a time
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - () => Promise
+ * @returns {Promise}
+ */
+export const dedupe = (key, fetcher) => {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+  const promise = Promise.resolve()
+    .then(fetcher)
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+};
+
+const fetchAndStore = (key, fetcher) => {
+  const startedAt = generation;
+  return dedupe(key, fetcher).then(data => {
+    if (startedAt === generation) {
+      entries.set(key, { data, fetchedAt: Date.now() });
+    }
+    return data;
+  });
+};
+
+/**
+ * Get a cached value, fetching it when missing or expired
+ * @param {string} key - Cache key (usually the request URL)
+ * @param {Function} fetcher - () => Promise resolving to the value
+ * @param {Object} options - { staleTime, maxAge } in milliseconds
+ * @returns {Promise}
+ */
+export const cachedQuery = (key, fetcher, options = {}) => {
+  const { staleTime = DEFAULT_STALE_TIME_MS, maxAge = DEFAULT_MAX_AGE_MS } = options;
+  const entry = entries.get(key);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (age < staleTime) {
+    return Promise.resolve(entry.data);
+  }
+
+  if (age < Math.max(maxAge, staleTime)) {
+    // Stale-while-revalidate: answer now, refresh for the next caller
+    fetchAndStore(key, fetcher).catch(error => {
+      console.warn(`Background refresh failed for ${key}:`, error.message);
+    });
+    return Promise.resolve(entry.data);
+  }
+
+  return fetchAndStore(key, fetcher);
+};
+
+// '/doctors' matches '/doctors', '/doctors/123' and '/doctors?x=1' but not '/doctors-chat'
+const isUnderPath = (key, path) =>
+  key === path || ['/', '?', '#'].some(separator => key.startsWith(path + separator));
+
+/**
+ * Drop cached entries under one or more resource paths
+ * @param {string|Array} paths - e.g. '/doctors' or ['/appointments', '/patients']
+ */
+export const invalidateQueries = (paths) => {
+  const pathList = Array.isArray(paths) ? paths : [paths];
+  generation++;
+  Array.from(entries.keys()).forEach(key => {
+    if (pathList.some(path => isUnderPath(key, path))) {
+      entries.delete(key);
+    }
+  });
+};
+
+/**
+ * Drop every cached entry (called on logout so users never see another user's data)
+ */
+export const clearQueryCache = () => {
+  generation++;
+  entries.clear();
+};
+
+/**
+ * Get the resource path of an endpoint: '/doctors/123/read' -> '/doctors'
+ * @param {string} endpoint - API endpoint
+ * @returns {string}
+ */
+export const getResourcePath = (endpoint) => {
+  const match = endpoint.match(/^\/[^/?#]+/);
+  return match ? match[0] : endpoint;
+};
@@ -0,0 +1,44 @@
+import { cachedQuery, dedupe, invalidateQueries, clearQueryCache } from './queryCache';
+
+beforeEach(() => {
+  clearQueryCache();
+});
+
+test('concurrent requests for the same key share one fetch', async () => {
+  const fetcher = jest.fn().mockResolvedValue({ data: [1] });
+
+  const [first, second] = await Promise.all([dedupe('/doctors', fetcher), dedupe('/doctors', fetcher)]);
+
+  expect(fetcher).toHaveBeenCalledTimes(1);
+  expect(first).toBe(second);
+});
+
+test('serves stale data while revalidating in the background', async () => {
+  const fetcher = jest.fn()
+    .mockResolvedValueOnce({ data: ['old'] })
+    .mockResolvedValueOnce({ data: ['new'] });
+
+  await cachedQuery('/departments', fetcher, { staleTime: 0, maxAge: 60000 });
+  const stale = await cachedQuery('/departments', fetcher, { staleTime: 0, maxAge: 60000 });
+  expect(stale.data).toEqual(['old']);
+  expect(fetcher).toHaveBeenCalledTimes(2);
+
+  // Let the background refresh settle, then the fresh value is served
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const fresh = await cachedQuery('/departments', fetcher, { staleTime: 60000 });
+  expect(fresh.data).toEqual(['new']);
+});
+
+test('invalidation drops every key under the resource path only', async () => {
+  const fetcher = jest.fn().mockResolvedValue({ data: [] });
+  await cachedQuery('/doctors', fetcher);
+  await cachedQuery('/doctors#current-user:1', fetcher);
+  await cachedQuery('/doctor-schedules', fetcher);
+
+  invalidateQueries('/doctors');
+  await cachedQuery('/doctors', fetcher);
+  await cachedQuery('/doctors#current-user:1', fetcher);
+  await cachedQuery('/doctor-schedules', fetcher);
+
+  expect(fetcher).toHaveBeenCalledTimes(5);
+});
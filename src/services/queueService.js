@@ -0,0 +1,106 @@
+import { apiGet } from './apiClient';
+import { getAppointments, updateAppointment } from './appointmentService';
+import { changeAppointmentStatus, StatusTransitionError } from './appointmentStatusHistoryService';
+import { canTransition } from '../utils/appointmentStatus';
+import { getDoctorQueue, isToday } from '../utils/queue';
+import { getTodayKey } from '../utils/slots';
+
+/**
+ * Queue Service
+ * Reception check-in and the doctors' live queues: arrivals get a queue number,
+ * doctors call the next patient or skip one, and arrival-to-consultation times
+ * are stored on the appointment for reporting.
+ * The waiting-room display board reads the queues without a session.
+ */
+
+/**
+ * Get today's appointments
+ * @param {Object} filters - Optional filters { doctor_id }
+ * @returns {Promise} Response data
+ */
+export const getTodaysAppointments = async (filters = {}) => {
+  return getAppointments({ ...filters, date: getTodayKey() });
+};
+
+/**
+ * Mark a patient as arrived; the backend issues the next queue number of the day
+ * It numbers check-ins one at a time, so two desks checking patients in at once never share a number.
+ * @param {Object} appointment - Today's appointment { _id, status, appointment_date }
+ * @param {Object} options - { reason } recorded in the status history
+ * @returns {Promise<Object>} { appointment, queueNumber }
+ * @throws {StatusTransitionError} When the appointment cannot be checked in
+ */
+export const checkInPatient = async (appointment, { reason } = {}) => {
+  if (!isToday(appointment)) {
+    throw new Error('Only today\'s appointments can be checked in');
+  }
+  if (!canTransition(appointment.status, 'checked-in')) {
+    throw new StatusTransitionError(appointment.status, 'checked-in');
+  }
+
+  const result = await changeAppointmentStatus(appointment, 'checked-in', { reason });
+
+  return { appointment: result.appointment, queueNumber: result.appointment?.queue_number };
+};
+
+/**
+ * Call a waiting patient into the consultation; the time they waited is stored with the status
+ * @param {Object} appointment - Checked-in appointment
+ * @returns {Promise<Object>} Updated appointment
+ */
+export const callPatient = async (appointment) => {
+  const result = await changeAppointmentStatus(appointment, 'in-consultation');
+  return result.appointment;
+};
+
+/**
+ * Call the first patient in a doctor's queue
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<Object>} Updated appointment of the called patient
+ * @throws {Error} When no patient is waiting
+ */
+export const callNextPatient = async (doctorId) => {
+  const response = await getTodaysAppointments({ doctor_id: doctorId });
+  const [next] = getDoctorQueue(response.data || [], doctorId).waiting;
+  if (!next) {
+    throw new Error('No patients are waiting');
+  }
+  return callPatient(next);
+};
+
+/**
+ * Move a waiting patient to the back of the queue, e.g. when they do not answer the call
+ * The patient keeps their queue number.
+ * @param {Object} appointment - Checked-in appointment
+ * @returns {Promise} Response data
+ */
+export const skipPatient = async (appointment) => {
+  return updateAppointment(appointment._id, {
+    queued_at: new Date().toISOString(),
+    skip_count: (appointment.skip_count || 0) + 1
+  });
+};
+
+/**
+ * Finish a consultation; its length is stored with the status
+ * @param {Object} appointment - Appointment in consultation
+ * @returns {Promise<Object>} Updated appointment
+ */
+export const completeConsultation = async (appointment) => {
+  const result = await changeAppointmentStatus(appointment, 'completed');
+  return result.appointment;
+};
+
+/**
+ * Get the waiting-room display board: called and next queue numbers per doctor and the active announcements
+ * Public endpoint, no session needed; it carries queue numbers but no patient details.
+ * @param {string} departmentId - Optional department to show; all departments when empty
+ * @returns {Promise} Response data { department, departments, doctors: [{ name, room, now_serving, next, waiting_count }], announcements }
+ */
+export const getDisplayBoard = async (departmentId) => {
+  return apiGet('/queue/board', {
+    params: { department_id: departmentId || undefined },
+    auth: false,
+    fallbackMessage: 'Failed to load the display board'
+  });
+};
@@ -0,0 +1,190 @@
+import { apiGet, apiPost, apiPut } from './apiClient';
+import { getAppointments } from './appointmentService';
+import { getDepartments } from './departmentService';
+import { sendToPatient } from './messageService';
+import { getPatientChannel, isUndelivered } from '../utils/messaging';
+import { getDateKey } from '../utils/slots';
+import { buildCalendar, getAppointmentEvent } from '../utils/ical';
+import { buildReminderLink, buildReminderMessage, getDueReminders } from '../utils/reminders';
+
+/**
+ * Reminder Service
+ * Handles all API calls related to appointment reminders, and messages patients ahead of
+ * their appointments on their preferred channel, with links to confirm or cancel.
+ * Every send is recorded, including failed ones and patients without contact details.
+ */
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Get recorded reminders with optional filters
+ * @param {Object} filters - Optional filters { appointment_id, status }
+ * @returns {Promise} Response data
+ */
+export const getReminders = async (filters = {}) => {
+  const params = {
+    appointment_id: filters.appointment_id,
+    status: filters.status,
+  };
+
+  return apiGet('/appointment-reminders', { params, fallbackMessage: 'Failed to fetch reminders' });
+};
+
+/**
+ * Record a reminder; the backend issues the token used in its confirm and cancel links
+ * @param {Object} reminderData - { appointment_id, patient_id, offset_hours, appointment_date, appointment_time, channel, to, status }
+ *   - channel, to: where the reminder goes, see getPatientChannel
+ * @returns {Promise} Response data
+ */
+export const createReminder = async (reminderData) => {
+  return apiPost('/appointment-reminders', reminderData, { fallbackMessage: 'Failed to record reminder' });
+};
+
+/**
+ * Update a recorded reminder
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminderData - Updated data { status, sent_at, error, message_id }
+ * @returns {Promise} Response data
+ */
+export const updateReminder = async (reminderId, reminderData) => {
+  return apiPut(`/appointment-reminders/${reminderId}`, reminderData, { fallbackMessage: 'Failed to update reminder' });
+};
+
+/**
+ * Appointment a reminder link belongs to, shown before the patient answers
+ * Public: the patient follows the link from their email without signing in.
+ * @param {string} token - Token from the link
+ * @returns {Promise} Response data { appointment_date, appointment_time, doctor_name, department_name, room, status, response }
+ */
+export const getReminderAppointment = async (token) => {
+  return apiGet('/appointment-reminders/respond', {
+    params: { token },
+    auth: false,
+    fallbackMessage: 'We could not find your appointment'
+  });
+};
+
+/**
+ * Confirm or cancel an appointment from a reminder link
+ * @param {string} token - Token from the link
+ * @param {string} action - 'confirm' or 'cancel'
+ * @returns {Promise} Response data, as getReminderAppointment
+ */
+export const respondToReminder = async (token, action) => {
+  return apiPost('/appointment-reminders/respond', { token, action }, {
+    auth: false,
+    fallbackMessage: 'We could not update your appointment'
+  });
+};
+
+/**
+ * Appointment details shown in a reminder
+ */
+const getReminderDetails = (appointment, departments) => {
+  const patient = appointment.patient_id && typeof appointment.patient_id === 'object' ? appointment.patient_id : {};
+  const doctor = appointment.doctor_id && typeof appointment.doctor_id === 'object' ? appointment.doctor_id : {};
+  const departmentId = getId(appointment.department_id) || getId(doctor.department_id);
+  const department = departments.find(d => d._id === departmentId);
+
+  return {
+    patientName: `${patient.first_name || ''} ${patient.last_name || ''}`.trim() || 'Patient',
+    doctorName: doctor.first_name ? `Dr. ${doctor.first_name} ${doctor.last_name}` : 'your doctor',
+    department: department?.department_name || '',
+    date: new Date(`${getDateKey(appointment.appointment_date)}T00:00:00Z`).toLocaleDateString('en-US', {
+      timeZone: 'UTC',
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric'
+    }),
+    time: appointment.appointment_time || '',
+    location: doctor.room || ''
+  };
+};
+
+/**
+ * Send one reminder on the patient's preferred channel and record the send
+ * @param {Object} appointment - Appointment with patient and doctor populated
+ * @param {number} offsetHours - Lead time the reminder belongs to
+ * @param {Object} context - { departments }
+ * @returns {Promise<Object>} Recorded reminder
+ */
+export const sendAppointmentReminder = async (appointment, offsetHours, { departments = [] } = {}) => {
+  const patient = appointment.patient_id && typeof appointment.patient_id === 'object' ? appointment.patient_id : null;
+  const contact = getPatientChannel(patient);
+  const record = {
+    appointment_id: appointment._id,
+    patient_id: getId(appointment.patient_id),
+    offset_hours: offsetHours,
+    appointment_date: appointment.appointment_date,
+    appointment_time: appointment.appointment_time || '',
+    channel: contact?.channel || null,
+    to: contact?.to || '',
+  };
+
+  if (!contact) {
+    const skipped = await createReminder({ ...record, status: 'skipped', error: 'The patient has no email address or phone number' });
+    return skipped.data;
+  }
+
+  const created = await createReminder({ ...record, status: 'pending' });
+  const reminder = created.data;
+  const appointmentDetails = getReminderDetails(appointment, departments);
+  const details = {
+    ...appointmentDetails,
+    confirmUrl: buildReminderLink(reminder.token, 'confirm'),
+    cancelUrl: buildReminderLink(reminder.token, 'cancel'),
+    // Attached to reminder emails as an .ics file
+    calendar: buildCalendar([getAppointmentEvent(appointment, {
+      department: appointmentDetails.department,
+      location: appointmentDetails.location
+    })])
+  };
+  const { subject, message } = buildReminderMessage(details);
+
+  try {
+    const sent = await sendToPatient(patient, {
+      subject,
+      message,
+      type: 'appointment-reminder',
+      appointment_id: appointment._id,
+      details
+    });
+    const updated = await updateReminder(reminder._id, isUndelivered(sent)
+      ? { status: 'failed', error: sent?.error || 'The message could not be sent', message_id: sent?._id || null }
+      : { status: 'sent', sent_at: new Date().toISOString(), error: null, message_id: sent._id });
+    return updated.data;
+  } catch (err) {
+    const failed = await updateReminder(reminder._id, { status: 'failed', error: err.message || 'The message could not be sent' });
+    return failed.data;
+  }
+};
+
+/**
+ * Send every reminder that is due
+ * Runs on a timer while staff are signed in (see ReminderScheduler) and from the reminders page.
+ * @param {Object} options - { now }
+ * @returns {Promise<Array>} Recorded reminders, one per send
+ */
+export const sendDueReminders = async ({ now = new Date() } = {}) => {
+  const [appointmentsResponse, remindersResponse] = await Promise.all([
+    getAppointments(),
+    getReminders()
+  ]);
+  const due = getDueReminders(appointmentsResponse.data || [], remindersResponse.data || [], { now });
+  if (due.length === 0) return [];
+
+  const departmentsResponse = await getDepartments();
+  const departments = departmentsResponse.data || [];
+
+  const results = [];
+  // One at a time so a slow mail server is not flooded
+  for (const { appointment, offset_hours: offsetHours } of due) {
+    try {
+      results.push(await sendAppointmentReminder(appointment, offsetHours, { departments }));
+    } catch (err) {
+      console.error('Error sending appointment reminder:', err);
+    }
+  }
+  return results;
+};
@@ -269,6 +269,10 @@ export const getReportHeaders = {
     { key: 'appointment_time', label: 'Time' },
     { key: 'status', label: 'Status' },
     { key: 'reason', label: 'Reason' },
+    { key: 'queue_number', label: 'Queue Number' },
+    { key: 'checked_in_at', label: 'Checked In At' },
+    { key: 'wait_minutes', label: 'Wait (min)' },
+    { key: 'consultation_minutes', label: 'Consultation (min)' },
     { key: 'createdAt', label: 'Created At' }
   ],
   patients: [
@@ -381,6 +385,9 @@ export const processDataForReport = (data, entityType) => {
     if (processed.sent_at) {
       processed.sent_at = formatDateTime(processed.sent_at);
     }
+    if (processed.checked_in_at) {
+      processed.checked_in_at = formatDateTime(processed.checked_in_at);
+    }
     
     // Handle nested objects
     if (processed.patient_id && typeof processed.patient_id === 'object') {
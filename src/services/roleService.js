@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
 
 /**
  * Role Service
@@ -11,24 +10,7 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  * @returns {Promise} Response data
  */
 export const getRoles = async () => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/roles`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch roles');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet('/roles', { fallbackMessage: 'Failed to fetch roles' });
 };
 
 /**
@@ -37,24 +19,7 @@ export const getRoles = async () => {
  * @returns {Promise} Response data
  */
 export const getRole = async (roleId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/roles/${roleId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to fetch role');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiGet(`/roles/${roleId}`, { fallbackMessage: 'Failed to fetch role' });
 };
 
 /**
@@ -63,25 +28,7 @@ export const getRole = async (roleId) => {
  * @returns {Promise} Response data
  */
 export const createRole = async (roleData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/roles`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(roleData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to create role');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPost('/roles', roleData, { fallbackMessage: 'Failed to create role' });
 };
 
 /**
@@ -91,25 +38,7 @@ export const createRole = async (roleData) => {
  * @returns {Promise} Response data
  */
 export const updateRole = async (roleId, roleData) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/roles/${roleId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(roleData),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || data.errors?.join(', ') || 'Failed to update role');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiPut(`/roles/${roleId}`, roleData, { fallbackMessage: 'Failed to update role' });
 };
 
 /**
@@ -118,23 +47,5 @@ export const updateRole = async (roleId, roleData) => {
  * @returns {Promise} Response data
  */
 export const deleteRole = async (roleId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/roles/${roleId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to delete role');
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiDelete(`/roles/${roleId}`, { fallbackMessage: 'Failed to delete role' });
 };
-
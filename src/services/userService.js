@@ -1,5 +1,4 @@
-// API Base URL - Update this to match your backend API URL
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { apiGet, apiPost, apiPut, apiDelete, API_BASE_URL } from './apiClient';
 
 /**
  * User Service
@@ -12,42 +11,28 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
  * @returns {Promise} Response data
  */
 export const getUsers = async (filters = {}) => {
-  try {
-    const queryParams = new URLSearchParams();
-    
-    // Note: Backend doesn't support filtering by role in getUsers endpoint
-    // Filtering is done client-side if needed
-    // If backend adds role filtering, uncomment below:
-    // if (filters.role) {
-    //   queryParams.append('role', filters.role);
-    // }
-    
-    const url = `${API_BASE_URL}/users${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok || !data.success) {
-      const errorMessage = data.message || 
-                          data.error || 
-                          (data.errors && Array.isArray(data.errors) ? data.errors.join(', ') : null) ||
-                          `Failed to fetch users (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data.data;
-  } catch (error) {
-    throw error;
-  }
+  // Note: Backend doesn't support filtering by role in getUsers endpoint
+  // Filtering is done client-side if needed
+  const data = await apiGet('/users', { fallbackMessage: 'Failed to fetch users' });
+  return data.data;
+};
+
+/**
+ * Get one page of users
+ * Unlike getUsers this returns the whole response body so the total count is available
+ * @param {Object} query - { page, limit, sort, search, role }
+ * @returns {Promise} { data: users, pagination: { page, limit, total, pages } }
+ */
+export const getUsersPage = async (query = {}) => {
+  const params = {
+    page: query.page,
+    limit: query.limit,
+    sort: query.sort,
+    search: query.search,
+    role: query.role,
+  };
+
+  return apiGet('/users', { params, fallbackMessage: 'Failed to fetch users' });
 };
 
 /**
@@ -56,30 +41,8 @@ export const getUsers = async (filters = {}) => {
  * @returns {Promise} Response data
  */
 export const getUser = async (userId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/users/${userId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok || !data.success) {
-      const errorMessage = data.message || 
-                          data.error || 
-                          `Failed to fetch user (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data.data;
-  } catch (error) {
-    throw error;
-  }
+  const data = await apiGet(`/users/${userId}`, { fallbackMessage: 'Failed to fetch user' });
+  return data.data;
 };
 
 /**
@@ -88,73 +51,17 @@ export const getUser = async (userId) => {
  * @returns {Promise} Response data
  */
 export const createUser = async (userData) => {
-  try {
-    // Validate and clean data before sending
-    const cleanData = {
-      name: userData.name ? userData.name.trim() : '',
-      email: userData.email ? userData.email.trim().toLowerCase() : '',
-      password: userData.password || '',
-      phone: userData.phone ? userData.phone.trim() : '',
-      role: userData.role || ''
-    };
-    
-    console.log('Creating user with data:', { ...cleanData, password: cleanData.password ? '***' : 'not provided' });
-    
-    const response = await fetch(`${API_BASE_URL}/users`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(cleanData),
-    });
-    
-    let data;
-    try {
-      data = await response.json();
-    } catch (jsonError) {
-      // If response is not JSON, create error with status text
-      const error = new Error(`Server error: ${response.status} ${response.statusText}`);
-      error.status = response.status;
-      error.data = { message: `Server error: ${response.status} ${response.statusText}` };
-      throw error;
-    }
-    
-    if (!response.ok || !data.success) {
-      console.error('Create user error response:', data);
-      
-      // Handle validation errors
-      if (data.message === 'Validation error' && data.errors) {
-        const error = new Error(Array.isArray(data.errors) ? data.errors.join(', ') : data.message);
-        error.status = response.status;
-        error.data = data;
-        throw error;
-      }
-      
-      // Handle duplicate email
-      if (data.message === 'User with this email already exists' || data.message?.includes('already exists')) {
-        const error = new Error(data.message || 'Email already exists');
-        error.status = response.status;
-        error.data = data;
-        throw error;
-      }
-      
-      // Show detailed error message
-      const errorMessage = data.message || 
-                          data.error || 
-                          (data.errors && Array.isArray(data.errors) ? data.errors.join(', ') : null) ||
-                          `Failed to create user (Status: ${response.status})`;
-      
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data.data;
-  } catch (error) {
-    console.error('Create user error:', error);
-    throw error;
-  }
+  // Validate and clean data before sending
+  const cleanData = {
+    name: userData.name ? userData.name.trim() : '',
+    email: userData.email ? userData.email.trim().toLowerCase() : '',
+    password: userData.password || '',
+    phone: userData.phone ? userData.phone.trim() : '',
+    role: userData.role || ''
+  };
+
+  const data = await apiPost('/users', cleanData, { fallbackMessage: 'Failed to create user' });
+  return data.data;
 };
 
 /**
@@ -164,78 +71,16 @@ export const createUser = async (userData) => {
  * @returns {Promise} Response data
  */
 export const updateUser = async (userId, userData) => {
-  try {
-    // Clean data before sending
-    const cleanData = {};
-    if (userData.name !== undefined) cleanData.name = userData.name.trim();
-    if (userData.email !== undefined) cleanData.email = userData.email.trim().toLowerCase();
-    if (userData.password !== undefined && userData.password) cleanData.password = userData.password;
-    if (userData.phone !== undefined) cleanData.phone = userData.phone.trim();
-    if (userData.role !== undefined) cleanData.role = userData.role;
-    
-    console.log('Updating user with data:', { userId, ...cleanData, password: cleanData.password ? '***' : 'not provided' });
-    
-    const response = await fetch(`${API_BASE_URL}/users/${userId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(cleanData),
-    });
-    
-    let data;
-    try {
-      data = await response.json();
-    } catch (jsonError) {
-      // If response is not JSON, create error with status text
-      const error = new Error(`Server error: ${response.status} ${response.statusText}`);
-      error.status = response.status;
-      error.data = { message: `Server error: ${response.status} ${response.statusText}` };
-      throw error;
-    }
-    
-    if (!response.ok || !data.success) {
-      console.error('Update user error response:', data);
-      
-      // Handle validation errors
-      if (data.message === 'Validation error' && data.errors) {
-        const error = new Error(Array.isArray(data.errors) ? data.errors.join(', ') : data.message);
-        error.status = response.status;
-        error.data = data;
-        throw error;
-      }
-      
-      // Handle duplicate email
-      if (data.message === 'User with this email already exists' || data.message?.includes('already exists')) {
-        const error = new Error(data.message || 'Email already exists');
-        error.status = response.status;
-        error.data = data;
-        throw error;
-      }
-      
-      // Handle user not found
-      if (data.message === 'User not found') {
-        const error = new Error(data.message || 'User not found');
-        error.status = response.status;
-        error.data = data;
-        throw error;
-      }
-      
-      const errorMessage = data.message || 
-                          data.error || 
-                          (data.errors && Array.isArray(data.errors) ? data.errors.join(', ') : null) ||
-                          `Failed to update user (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data.data;
-  } catch (error) {
-    console.error('Update user error:', error);
-    throw error;
-  }
+  // Clean data before sending
+  const cleanData = {};
+  if (userData.name !== undefined) cleanData.name = userData.name.trim();
+  if (userData.email !== undefined) cleanData.email = userData.email.trim().toLowerCase();
+  if (userData.password !== undefined && userData.password) cleanData.password = userData.password;
+  if (userData.phone !== undefined) cleanData.phone = userData.phone.trim();
+  if (userData.role !== undefined) cleanData.role = userData.role;
+
+  const data = await apiPut(`/users/${userId}`, cleanData, { fallbackMessage: 'Failed to update user' });
+  return data.data;
 };
 
 /**
@@ -244,27 +89,7 @@ export const updateUser = async (userId, userData) => {
  * @returns {Promise} Response data
  */
 export const deleteUser = async (userId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/users/${userId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok || !data.success) {
-      const error = new Error(data.message || 'Failed to delete user');
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return apiDelete(`/users/${userId}`, { fallbackMessage: 'Failed to delete user' });
 };
 
 /**
@@ -273,35 +98,13 @@ export const deleteUser = async (userId) => {
  * @returns {Promise} Response data
  */
 export const getUsersByRole = async (roleId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/users/role/${roleId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok || !data.success) {
-      const errorMessage = data.message || 
-                          data.error || 
-                          (data.errors && Array.isArray(data.errors) ? data.errors.join(', ') : null) ||
-                          `Failed to fetch users by role (Status: ${response.status})`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      throw error;
-    }
-    
-    return data.data;
-  } catch (error) {
-    throw error;
-  }
+  const data = await apiGet(`/users/role/${roleId}`, { fallbackMessage: 'Failed to fetch users by role' });
+  return data.data;
 };
 
 /**
  * Login user
+ * Runs before a token exists, so it talks to the login route directly
  * @param {Object} credentials - Login credentials { email, password }
  * @returns {Promise} Response data with user info
  */
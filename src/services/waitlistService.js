@@ -0,0 +1,234 @@
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
+import { getAppointments, createAppointment } from './appointmentService';
+import { getDoctorSchedules, getScheduleOverrides } from './doctorScheduleService';
+import { getDoctors } from './doctorService';
+import { getAbsences } from './absenceService';
+import { getHolidays } from './holidayService';
+import { createNotification } from './notificationService';
+import { sendToPatient } from './messageService';
+import { assertBookable, BookingConflictError } from './bookingService';
+import { buildSlots } from '../utils/slots';
+import { isUndelivered } from '../utils/messaging';
+import { buildWaitlistOfferMessage, isOfferExpired, planWaitlistOffers, WAITLIST_OFFER_MINUTES } from '../utils/waitlist';
+
+/**
+ * Waitlist Service
+ * Handles all API calls related to the waitlist, and offers freed slots to waiting patients:
+ * the first eligible patient gets a time-limited offer by notification and message,
+ * and offers that run out pass to the next person.
+ */
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Get waitlist entries with optional filters
+ * @param {Object} filters - Optional filters { status, patient_id, doctor_id }
+ * @returns {Promise} Response data
+ */
+export const getWaitlist = async (filters = {}) => {
+  const params = {
+    status: filters.status,
+    patient_id: filters.patient_id,
+    doctor_id: filters.doctor_id,
+  };
+
+  return apiGet('/waitlist', { params, fallbackMessage: 'Failed to fetch waitlist' });
+};
+
+/**
+ * Get a single waitlist entry by ID
+ * @param {string} entryId - Waitlist entry ID
+ * @returns {Promise} Response data
+ */
+export const getWaitlistEntry = async (entryId) => {
+  return apiGet(`/waitlist/${entryId}`, { fallbackMessage: 'Failed to fetch waitlist entry' });
+};
+
+/**
+ * Add a patient to the waitlist
+ * @param {Object} entryData - Entry data { patient_id, doctor_id, department_id, day_of_week, notes }
+ *   at least one of doctor_id, department_id and day_of_week is required
+ * @returns {Promise} Response data
+ */
+export const createWaitlistEntry = async (entryData) => {
+  return apiPost('/waitlist', entryData, { fallbackMessage: 'Failed to join the waitlist' });
+};
+
+/**
+ * Update a waitlist entry
+ * @param {string} entryId - Waitlist entry ID
+ * @param {Object} entryData - Updated entry data { status, offered_slot, offer_expires_at, ... }
+ * @returns {Promise} Response data
+ */
+export const updateWaitlistEntry = async (entryId, entryData) => {
+  return apiPut(`/waitlist/${entryId}`, entryData, { fallbackMessage: 'Failed to update waitlist entry' });
+};
+
+/**
+ * Delete a waitlist entry
+ * @param {string} entryId - Waitlist entry ID
+ * @returns {Promise} Response data
+ */
+export const deleteWaitlistEntry = async (entryId) => {
+  return apiDelete(`/waitlist/${entryId}`, { fallbackMessage: 'Failed to delete waitlist entry' });
+};
+
+/**
+ * Tell a patient about an offered slot, in the app when they have an account
+ * and by message on their preferred channel
+ * @returns {Promise<Array>} Channels the offer went out on ('notification', 'email', 'sms', 'whatsapp')
+ */
+const sendOffer = async (entry, slot, doctor, expiresAt) => {
+  const patient = entry.patient_id && typeof entry.patient_id === 'object' ? entry.patient_id : null;
+  if (!patient) return [];
+
+  const message = buildWaitlistOfferMessage(slot, doctor, expiresAt);
+
+  const channels = [];
+  const sends = [];
+  if (getId(patient.user_id)) {
+    sends.push(createNotification({
+      user_id: getId(patient.user_id),
+      message,
+      notification_type: 'appointment',
+      is_read: false
+    }).then(() => channels.push('notification')));
+  }
+  sends.push(sendToPatient(patient, {
+    subject: 'An appointment slot is available for you',
+    message: `Dear ${patient.first_name} ${patient.last_name},\n\n${message}`,
+    type: 'waitlist-offer'
+  }).then(sent => {
+    if (sent && !isUndelivered(sent)) channels.push(sent.channel);
+    else if (sent) throw new Error(sent.error || `The ${sent.channel} message could not be sent`);
+  }));
+  const results = await Promise.allSettled(sends);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Error sending waitlist offer:', result.reason));
+  return channels;
+};
+
+/**
+ * Expire offers that ran out and offer free slots to waiting patients
+ * Run whenever capacity may have freed up (cancellations, deleted appointments, new or changed schedules)
+ * and periodically while the waitlist is open, so lapsed offers pass on to the next person.
+ * The backend expires lapsed offers itself whenever the waitlist is read, and turns down an offer
+ * for a place another run has already offered; those are skipped.
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { offers: [{ entry, slot, channels }], expired: [entry] }
+ */
+export const offerFreedSlots = async ({ now = new Date() } = {}) => {
+  const [waitingResponse, offeredResponse] = await Promise.all([
+    getWaitlist({ status: 'waiting' }),
+    getWaitlist({ status: 'offered' })
+  ]);
+  const entries = [...(waitingResponse.data || []), ...(offeredResponse.data || [])];
+  if (entries.length === 0) return { offers: [], expired: [] };
+
+  const [schedulesResponse, appointmentsResponse, doctorsResponse, overridesResponse, absencesResponse, holidaysResponse] = await Promise.all([
+    getDoctorSchedules(),
+    getAppointments(),
+    getDoctors(),
+    getScheduleOverrides(),
+    getAbsences(),
+    getHolidays()
+  ]);
+  const doctors = doctorsResponse.data || [];
+  const slots = buildSlots(schedulesResponse.data || [], appointmentsResponse.data || [], {
+    now,
+    overrides: overridesResponse.data || [],
+    absences: absencesResponse.data || [],
+    holidays: holidaysResponse.data || []
+  });
+  const { expired, offers } = planWaitlistOffers(entries, slots, { doctors, now });
+
+  await Promise.all(expired.map(entry => updateWaitlistEntry(entry._id, { status: 'expired' })));
+
+  const expiresAt = new Date(now.getTime() + WAITLIST_OFFER_MINUTES * 60 * 1000);
+  const sent = [];
+  for (const { entry, slot } of offers) {
+    try {
+      await updateWaitlistEntry(entry._id, {
+        status: 'offered',
+        offered_slot: { doctor_id: slot.doctor_id, schedule_id: slot.schedule_id, date: slot.date, time: slot.time },
+        offered_at: now.toISOString(),
+        offer_expires_at: expiresAt.toISOString()
+      });
+    } catch (err) {
+      // Another run offered this patient or this place first
+      if (err.status === 409) continue;
+      throw err;
+    }
+    const doctor = doctors.find(d => d._id === slot.doctor_id);
+    const channels = await sendOffer(entry, slot, doctor, expiresAt);
+    sent.push({ entry, slot, channels });
+  }
+
+  return { offers: sent, expired };
+};
+
+/**
+ * Ask the backend to offer freed slots to the waitlist
+ * For users who cannot read the waitlist themselves, e.g. patients cancelling in the portal.
+ * @returns {Promise} Response data { offered: number of offers made }
+ */
+export const requestWaitlistOffers = async () => {
+  return apiPost('/waitlist/offer-freed-slots', {}, { fallbackMessage: 'Failed to offer freed slots to the waitlist' });
+};
+
+/**
+ * Book the slot offered to a waiting patient
+ * When the slot was taken in the meantime the patient goes back to waiting.
+ * The backend refuses to book an offer that has run out.
+ * @param {Object} entry - Waitlist entry with status 'offered'
+ * @returns {Promise<Object>} Created appointment
+ * @throws {BookingConflictError} When the offered slot can no longer be booked
+ */
+export const acceptWaitlistOffer = async (entry) => {
+  if (entry.status !== 'offered' || !entry.offered_slot || isOfferExpired(entry)) {
+    throw new Error('This offer is no longer available');
+  }
+
+  const { doctor_id: doctorId, date, time } = entry.offered_slot;
+  const appointmentData = {
+    patient_id: getId(entry.patient_id),
+    doctor_id: getId(doctorId),
+    department_id: getId(entry.department_id) || undefined,
+    appointment_date: new Date(date).toISOString(),
+    appointment_time: time,
+    reason: entry.notes || 'Booked from the waitlist',
+    status: 'scheduled'
+  };
+
+  try {
+    await assertBookable(appointmentData);
+  } catch (err) {
+    if (err instanceof BookingConflictError) {
+      await updateWaitlistEntry(entry._id, { status: 'waiting', offered_slot: null, offered_at: null, offer_expires_at: null });
+    }
+    throw err;
+  }
+
+  // Claim the offer first, so the backend turns it down once it has run out
+  await updateWaitlistEntry(entry._id, { status: 'booked' });
+  try {
+    const response = await createAppointment(appointmentData);
+    await updateWaitlistEntry(entry._id, { appointment_id: response.data?._id });
+    return response.data;
+  } catch (err) {
+    await updateWaitlistEntry(entry._id, { status: 'waiting', offered_slot: null, offered_at: null, offer_expires_at: null })
+      .catch(revertErr => console.error('Error putting the patient back on the waitlist:', revertErr));
+    throw err;
+  }
+};
+
+/**
+ * Turn down an offered slot and pass it to the next waiting patient
+ * @param {Object} entry - Waitlist entry with status 'offered'
+ * @returns {Promise<Object>} Result of offerFreedSlots
+ */
+export const declineWaitlistOffer = async (entry) => {
+  await updateWaitlistEntry(entry._id, { status: 'declined' });
+  return offerFreedSlots();
+};
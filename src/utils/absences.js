@@ -0,0 +1,76 @@
+import { findTimeOff, getDateKey, getTodayKey } from './slots';
+import { INITIAL_STATUSES } from './appointmentStatus';
+
+/**
+ * Absences and Holidays
+ * Doctors' time away (leave, sickness, training) and the days the whole hospital is closed.
+ * Both take the doctors' sessions on those days out of booking, see findTimeOff in slots.
+ */
+
+export const ABSENCE_TYPES = [
+  { value: 'leave', label: 'Leave' },
+  { value: 'sick', label: 'Sick Leave' },
+  { value: 'training', label: 'Training / Conference' },
+  { value: 'other', label: 'Other' }
+];
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Label of an absence type
+ * @param {string} type
+ * @returns {string}
+ */
+export const getAbsenceTypeLabel = (type) =>
+  ABSENCE_TYPES.find(option => option.value === type)?.label || type || 'N/A';
+
+/**
+ * '2026-03-10', '2026-03-20' -> 'Mar 10, 2026 – Mar 20, 2026' (a single date when both are the same)
+ * @param {Object} record - Absence or holiday { start_date, end_date }
+ * @returns {string}
+ */
+export const formatDateRange = (record) => {
+  const start = getDateKey(record.start_date);
+  const end = getDateKey(record.end_date) || start;
+  if (!start) return 'N/A';
+  const format = (dateKey) => new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  return start === end ? format(start) : `${format(start)} – ${format(end)}`;
+};
+
+/**
+ * Check the dates of an absence or holiday before saving it
+ * @param {Object} record - { start_date, end_date }
+ * @returns {string|null} Error message, or null when the dates are fine
+ */
+export const validateDateRange = (record) => {
+  if (!record.start_date) return 'Start date is required';
+  if (record.end_date && record.end_date < record.start_date) return 'End date cannot be before the start date';
+  return null;
+};
+
+/**
+ * Upcoming appointments that fall on time off and have to be moved or cancelled
+ * Only appointments that have not started yet count; past ones are left as they are.
+ * @param {Array} appointments - Appointments
+ * @param {Object} timeOff - { absences, holidays }
+ * @param {Object} options - { now }
+ * @returns {Array} Appointments in date and time order
+ */
+export const getAppointmentsDuringTimeOff = (appointments, timeOff, { now = new Date() } = {}) => {
+  const todayKey = getTodayKey(now);
+  return appointments
+    .filter(appointment => INITIAL_STATUSES.includes(appointment.status || 'scheduled'))
+    .filter(appointment => {
+      const date = getDateKey(appointment.appointment_date);
+      return date >= todayKey && !!findTimeOff(getId(appointment.doctor_id), date, timeOff);
+    })
+    .sort((a, b) =>
+      getDateKey(a.appointment_date).localeCompare(getDateKey(b.appointment_date)) ||
+      (a.appointment_time || '').localeCompare(b.appointment_time || '')
+    );
+};
@@ -0,0 +1,24 @@
+import { getAppointmentsDuringTimeOff, validateDateRange } from './absences';
+
+const appointment = (id, date, status = 'scheduled', doctorId = 'doc-1') => ({
+  _id: id, doctor_id: { _id: doctorId }, appointment_date: `${date}T00:00:00.000Z`, appointment_time: '09:00', status
+});
+
+test('lists the upcoming appointments that fall on time off', () => {
+  const appointments = [
+    appointment('apt-past', '2026-03-09'),
+    appointment('apt-2', '2026-03-12'),
+    appointment('apt-1', '2026-03-10'),
+    appointment('apt-done', '2026-03-11', 'cancelled'),
+    appointment('apt-other', '2026-03-11', 'scheduled', 'doc-2'),
+    appointment('apt-holiday', '2026-04-03', 'confirmed', 'doc-2')
+  ];
+  const timeOff = {
+    absences: [{ doctor_id: 'doc-1', start_date: '2026-03-09', end_date: '2026-03-20' }],
+    holidays: [{ name: 'Good Friday', start_date: '2026-04-03', end_date: '2026-04-03' }]
+  };
+
+  expect(getAppointmentsDuringTimeOff(appointments, timeOff, { now: new Date(2026, 2, 10, 8) }).map(a => a._id))
+    .toEqual(['apt-1', 'apt-2', 'apt-holiday']);
+  expect(validateDateRange({ start_date: '2026-03-20', end_date: '2026-03-10' })).toMatch(/before the start/);
+});
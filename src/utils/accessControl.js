@@ -0,0 +1,230 @@
+import { getCurrentUser } from '../services/authService';
+
+/**
+ * Access Control
+ * Single source of truth for which roles can open which page and run which action.
+ * Used by Navigation (menu items), ProtectedRoute (route guards), page action buttons
+ * and ReportButton (exports).
+ *
+ * Permissions are stored per role as { [entity]: [action, ...] } and edited on RolesPage.
+ * Built-in roles fall back to DEFAULT_ROLE_PERMISSIONS when their role record has none.
+ */
+
+// Actions that can be granted on an entity
+export const ACTIONS = ['view', 'create', 'update', 'delete', 'export'];
+
+// Entities covered by the permission matrix (keys match ReportButton entity types)
+export const ENTITIES = [
+  { key: 'dashboard', label: 'Admin Dashboard', actions: ['view'] },
+  { key: 'doctorDashboard', label: 'Doctor Dashboard', actions: ['view'] },
+  { key: 'users', label: 'Users' },
+  { key: 'roles', label: 'Roles', actions: ['view', 'create', 'update', 'delete'] },
+  { key: 'patients', label: 'Patients' },
+  { key: 'doctors', label: 'Doctors' },
+  { key: 'departments', label: 'Departments' },
+  { key: 'doctorSchedules', label: 'Doctor Schedules' },
+  { key: 'absences', label: 'Leave & Holidays' },
+  { key: 'appointments', label: 'Appointments' },
+  { key: 'appointmentStatusHistory', label: 'Status History' },
+  { key: 'appointmentChanges', label: 'Appointment Changes' },
+  { key: 'waitlist', label: 'Waitlist' },
+  { key: 'queue', label: 'Check-In & Queue', actions: ['view', 'update'] },
+  { key: 'announcements', label: 'Announcements' },
+  { key: 'reminders', label: 'Appointment Reminders', actions: ['view', 'create'] },
+  { key: 'messages', label: 'Patient Messages', actions: ['view', 'create'] },
+  { key: 'medicalRecords', label: 'Medical Records' },
+  { key: 'notifications', label: 'Notifications' },
+  { key: 'reports', label: 'Reports', actions: ['view', 'export'] },
+  { key: 'contacts', label: 'Contact Messages', actions: ['view', 'delete', 'export'] },
+  { key: 'auditLogs', label: 'Audit Logs', actions: ['view', 'export'] },
+  { key: 'doctorsChat', label: 'Doctors Chat', actions: ['view', 'create'] }
+];
+
+/**
+ * Get the actions that apply to an entity
+ * @param {string} entityKey - Entity key
+ * @returns {Array} Action names
+ */
+export const getEntityActions = (entityKey) => {
+  const entity = ENTITIES.find(e => e.key === entityKey);
+  return entity?.actions || ACTIONS;
+};
+
+// Grant every applicable action on the given entities
+const grantAll = (entityKeys) => entityKeys.reduce((permissions, key) => {
+  permissions[key] = [...getEntityActions(key)];
+  return permissions;
+}, {});
+
+// Permissions used when a built-in role has no permission set stored yet
+export const DEFAULT_ROLE_PERMISSIONS = {
+  admin: grantAll(ENTITIES.map(e => e.key).filter(key => key !== 'doctorDashboard' && key !== 'doctorsChat')),
+  doctor: grantAll([
+    'doctorDashboard',
+    'patients',
+    'doctorSchedules',
+    'absences',
+    'appointments',
+    'queue',
+    'medicalRecords',
+    'notifications',
+    'reports',
+    'doctorsChat'
+  ]),
+  patient: {}
+};
+
+// localStorage key holding the permission set of the logged-in user's role
+const PERMISSIONS_STORAGE_KEY = 'permissions';
+
+/**
+ * Store the permission set of the logged-in user's role
+ * @param {Object|null} permissions - { entity: [actions] }, or null to clear
+ */
+export const setStoredPermissions = (permissions) => {
+  if (permissions) {
+    localStorage.setItem(PERMISSIONS_STORAGE_KEY, JSON.stringify(permissions));
+  } else {
+    localStorage.removeItem(PERMISSIONS_STORAGE_KEY);
+  }
+};
+
+const getStoredPermissions = () => {
+  const stored = localStorage.getItem(PERMISSIONS_STORAGE_KEY);
+  if (!stored) return null;
+  try {
+    return JSON.parse(stored);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Resolve the permission set for a user
+ * Order: permissions on the user object, permissions stored at login, built-in defaults
+ * @param {Object|null} user - User object
+ * @returns {Object} { entity: [actions] }
+ */
+export const getPermissions = (user = getCurrentUser()) => {
+  if (!user) return {};
+  if (user.permissions && typeof user.permissions === 'object') return user.permissions;
+
+  const stored = getStoredPermissions();
+  if (stored) return stored;
+
+  return DEFAULT_ROLE_PERMISSIONS[user.role?.toLowerCase()] || {};
+};
+
+/**
+ * Check whether a user may perform an action on an entity
+ * @param {string} entity - Entity key (e.g. 'patients')
+ * @param {string} action - One of ACTIONS
+ * @param {Object|null} user - User object (defaults to the logged-in user)
+ * @returns {boolean}
+ */
+export const can = (entity, action, user = getCurrentUser()) => {
+  const granted = getPermissions(user)[entity];
+  return Array.isArray(granted) && granted.includes(action);
+};
+
+/**
+ * Find the role record matching a user and store its permission set
+ * Called after login and whenever an admin edits the current user's role
+ * @param {Array} roles - Role records from roleService.getRoles
+ * @param {Object|null} user - User object (defaults to the logged-in user)
+ */
+export const applyRolePermissions = (roles, user = getCurrentUser()) => {
+  const userRole = user?.role?.toLowerCase();
+  const role = (roles || []).find(r => r.role_name?.toLowerCase() === userRole);
+  setStoredPermissions(role?.permissions && Object.keys(role.permissions).length > 0 ? role.permissions : null);
+};
+
+// Define all navigation items with access control
+// entity: page is shown to roles with 'view' permission on it
+// roles: page is tied to a role type (the patient portal, role-specific contact forms)
+export const NAV_ITEMS = [
+  { path: '/patient-portal', label: 'My Health', icon: '🩺', roles: ['patient', 'Patient'] },
+  { path: '/dashboard', label: 'Dashboard', icon: '📊', entity: 'dashboard' },
+  { path: '/doctor-dashboard', label: 'Doctor Dashboard', icon: '👨‍⚕️', entity: 'doctorDashboard' },
+  { path: '/users', label: 'Users', icon: '👥', entity: 'users' },
+  { path: '/roles', label: 'Roles', icon: '🔐', entity: 'roles' },
+  { path: '/patients', label: 'Patients', icon: '🏥', entity: 'patients' },
+  { path: '/doctors', label: 'Doctors', icon: '👨‍⚕️', entity: 'doctors' },
+  { path: '/departments', label: 'Departments', icon: '🏢', entity: 'departments' },
+  { path: '/doctor-schedules', label: 'Doctor Schedules', icon: '📅', entity: 'doctorSchedules' },
+  { path: '/absences', label: 'Leave & Holidays', icon: '🏖️', entity: 'absences' },
+  { path: '/appointments', label: 'Appointments', icon: '📋', entity: 'appointments' },
+  { path: '/calendar', label: 'Calendar', icon: '🗓️', entity: 'appointments' },
+  { path: '/appointment-series', label: 'Follow-up Series', icon: '🔁', entity: 'appointments' },
+  { path: '/waitlist', label: 'Waitlist', icon: '⏳', entity: 'waitlist' },
+  { path: '/check-in', label: 'Check-In', icon: '🛎️', entity: 'queue' },
+  { path: '/announcements', label: 'Announcements', icon: '📢', entity: 'announcements' },
+  { path: '/reminders', label: 'Reminders', icon: '📧', entity: 'reminders' },
+  { path: '/messages', label: 'Messages', icon: '📱', entity: 'messages' },
+  { path: '/appointment-status-history', label: 'Status History', icon: '📊', entity: 'appointmentStatusHistory' },
+  { path: '/appointment-changes', label: 'Appointment Changes', icon: '🔄', entity: 'appointmentChanges' },
+  { path: '/medical-records', label: 'Medical Records', icon: '📝', entity: 'medicalRecords' },
+  { path: '/notifications', label: 'Notifications', icon: '🔔', entity: 'notifications' },
+  { path: '/reports', label: 'Reports', icon: '📊', entity: 'reports' },
+  { path: '/contact-doctor', label: 'Contact', icon: '📧', roles: ['doctor', 'Doctor'], contactType: 'doctor' },
+  { path: '/contact-admin', label: 'Contact', icon: '📧', roles: ['Admin', 'admin'], contactType: 'admin' },
+  { path: '/contact-patient', label: 'Contact', icon: '📧', roles: ['patient', 'Patient'], contactType: 'patient' },
+  { path: '/contacts', label: 'Contact Messages', icon: '💬', entity: 'contacts' },
+  { path: '/doctors-chat', label: 'Doctors Chat', icon: '💬', entity: 'doctorsChat' },
+  { path: '/audit-logs', label: 'Audit Logs', icon: '📜', entity: 'auditLogs' }
+];
+
+/**
+ * Get the navigation item declared for a route
+ * @param {string} path - Route path (e.g. '/users')
+ * @returns {Object|null} Navigation item, or null if the route declares none
+ */
+export const getNavItem = (path) => {
+  return NAV_ITEMS.find(navItem => navItem.path === path) || null;
+};
+
+/**
+ * Check whether a user has one of the given roles (case-insensitive)
+ * @param {Object|null} user - Current user
+ * @param {Array|null} roles - Allowed roles; null or empty allows any role
+ * @returns {boolean}
+ */
+export const hasRole = (user, roles) => {
+  if (!roles || roles.length === 0) return true;
+  const userRole = user?.role?.toLowerCase();
+  if (!userRole) return false;
+  return roles.some(role => role.toLowerCase() === userRole);
+};
+
+/**
+ * Check whether a user can see a navigation item
+ * @param {Object|null} user - Current user
+ * @param {Object} item - Navigation item
+ * @returns {boolean}
+ */
+export const canAccessNavItem = (user, item) => {
+  if (item.entity) return !!user && can(item.entity, 'view', user);
+  return hasRole(user, item.roles);
+};
+
+/**
+ * Check whether a user can open a route
+ * @param {Object|null} user - Current user
+ * @param {string} path - Route path
+ * @returns {boolean}
+ */
+export const canAccessPath = (user, path) => {
+  const item = getNavItem(path);
+  return item ? canAccessNavItem(user, item) : true;
+};
+
+/**
+ * Get the landing page for a user after login
+ * @param {Object|null} user - Current user
+ * @returns {string} Route path
+ */
+export const getHomePath = (user) => {
+  // NAV_ITEMS lists the patient portal and dashboards first, so each role lands on its own home page
+  const firstItem = NAV_ITEMS.find(item => canAccessNavItem(user, item));
+  return firstItem ? firstItem.path : '/home';
+};
@@ -0,0 +1,26 @@
+import { can, canAccessPath, getHomePath, applyRolePermissions } from './accessControl';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('built-in roles fall back to default permissions', () => {
+  const doctor = { role: 'Doctor' };
+
+  expect(can('appointments', 'create', doctor)).toBe(true);
+  expect(can('users', 'view', doctor)).toBe(false);
+  expect(canAccessPath(doctor, '/audit-logs')).toBe(false);
+  expect(getHomePath(doctor)).toBe('/doctor-dashboard');
+});
+
+test('a custom role uses the permission set stored on its role record', () => {
+  const receptionist = { role: 'Receptionist' };
+  applyRolePermissions([
+    { role_name: 'receptionist', permissions: { patients: ['view', 'create'], appointments: ['view'] } }
+  ], receptionist);
+
+  expect(can('patients', 'create', receptionist)).toBe(true);
+  expect(can('patients', 'delete', receptionist)).toBe(false);
+  expect(canAccessPath(receptionist, '/appointments')).toBe(true);
+  expect(getHomePath(receptionist)).toBe('/patients');
+});
@@ -0,0 +1,87 @@
+import { getDateKey } from './slots';
+
+/**
+ * Appointment Changes
+ * Works out which appointment change record describes a move of an appointment
+ * to another date, time or doctor, and sums up moves of several appointments.
+ */
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const getDoctorName = (doctor) =>
+  doctor && typeof doctor === 'object' && doctor.first_name
+    ? `Dr. ${doctor.first_name} ${doctor.last_name}`
+    : null;
+
+/**
+ * Fields of an appointment that a move changes
+ * @param {Object} appointment - Appointment before the move
+ * @param {Object} move - { date, time, doctorId } target of the move
+ * @returns {Array} Changed fields out of 'date', 'time' and 'doctor'
+ */
+export const getMovedFields = (appointment, { date, time, doctorId }) => {
+  const fields = [];
+  if (date && date !== getDateKey(appointment.appointment_date)) fields.push('date');
+  if (time && time !== appointment.appointment_time) fields.push('time');
+  if (doctorId && doctorId !== getId(appointment.doctor_id)) fields.push('doctor');
+  return fields;
+};
+
+/**
+ * Change type recorded for a move
+ * - one field changed: date_changed, time_changed or doctor_changed
+ * - several fields changed: rescheduled
+ * @param {Object} appointment - Appointment before the move
+ * @param {Object} move - { date, time, doctorId }
+ * @returns {string|null} Change type, null when nothing changes
+ */
+export const getMoveChangeType = (appointment, move) => {
+  const fields = getMovedFields(appointment, move);
+  if (fields.length === 0) return null;
+  if (fields.length > 1) return 'rescheduled';
+  return `${fields[0]}_changed`;
+};
+
+/**
+ * Readable summary of a move, stored as the change reason when none is given
+ * @param {Object} appointment - Appointment before the move
+ * @param {Object} move - { date, time, doctorId, doctor } doctor: the new doctor record (optional)
+ * @returns {string}
+ */
+export const describeMove = (appointment, move) => {
+  const from = `${getDateKey(appointment.appointment_date)} ${appointment.appointment_time || ''}`.trim();
+  const to = `${move.date || getDateKey(appointment.appointment_date)} ${move.time || appointment.appointment_time || ''}`.trim();
+  const fromDoctor = getDoctorName(appointment.doctor_id);
+  const toDoctor = getDoctorName(move.doctor);
+  const doctorChanged = getMovedFields(appointment, move).includes('doctor');
+
+  return doctorChanged && fromDoctor && toDoctor
+    ? `Moved from ${from} with ${fromDoctor} to ${to} with ${toDoctor}`
+    : `Moved from ${from} to ${to}`;
+};
+
+/**
+ * Readable outcome of moving several appointments at once
+ * '3 appointment(s) updated (1 moved to the nearest free time), 1 failed to update. Notifications sent to 3 patient(s)'
+ * @param {Object} result - Result of applyAppointmentMoves
+ * @returns {string}
+ */
+export const summarizeMoveResults = (result) => {
+  let message = `${result.successfulUpdates} appointment(s) updated`;
+  if (result.adjustedUpdates > 0) {
+    message += ` (${result.adjustedUpdates} moved to the nearest free time)`;
+  }
+  if (result.failedUpdates > 0) {
+    message += `, ${result.failedUpdates} failed to update`;
+  }
+  if (result.conflictedUpdates > 0) {
+    message += `, ${result.conflictedUpdates} could not be moved without a conflict and need manual rescheduling`;
+  }
+
+  if (result.notificationResult) {
+    message += `. ${result.notificationResult.data?.message || result.notificationResult.message || `Notifications sent to ${result.notified} patient(s)`}`;
+  } else if (result.notificationError) {
+    message += `. Notifications failed: ${result.notificationError.message}. Please notify patients manually.`;
+  }
+  return message;
+};
@@ -0,0 +1,20 @@
+import { describeMove, getMoveChangeType } from './appointmentChanges';
+
+const appointment = {
+  _id: 'apt-1',
+  doctor_id: { _id: 'doc-1', first_name: 'Sarah', last_name: 'Khan' },
+  appointment_date: '2024-05-06T00:00:00.000Z',
+  appointment_time: '09:00'
+};
+
+test('picks the change type from the fields a move changes', () => {
+  expect(getMoveChangeType(appointment, { date: '2024-05-06', time: '09:00', doctorId: 'doc-1' })).toBeNull();
+  expect(getMoveChangeType(appointment, { date: '2024-05-07', time: '09:00', doctorId: 'doc-1' })).toBe('date_changed');
+  expect(getMoveChangeType(appointment, { date: '2024-05-06', time: '09:30', doctorId: 'doc-1' })).toBe('time_changed');
+  expect(getMoveChangeType(appointment, { date: '2024-05-06', time: '09:00', doctorId: 'doc-2' })).toBe('doctor_changed');
+  expect(getMoveChangeType(appointment, { date: '2024-05-07', time: '10:00', doctorId: 'doc-1' })).toBe('rescheduled');
+
+  const doctor = { _id: 'doc-2', first_name: 'Omar', last_name: 'Haddad' };
+  expect(describeMove(appointment, { date: '2024-05-06', time: '09:00', doctorId: 'doc-2', doctor }))
+    .toBe('Moved from 2024-05-06 09:00 with Dr. Sarah Khan to 2024-05-06 09:00 with Dr. Omar Haddad');
+});
@@ -0,0 +1,267 @@
+import {
+  addDays,
+  buildSlots,
+  findTimeOff,
+  getDateKey,
+  getDayOfWeek,
+  getSessionsOn,
+  getSlotMinutes,
+  getTodayKey,
+  timeToMinutes,
+  BOOKING_HORIZON_DAYS,
+  DEFAULT_SLOT_MINUTES,
+  RELEASED_STATUSES
+} from './slots';
+
+/**
+ * Appointment Conflicts
+ * Checks a booking (new or rescheduled) against the doctor's schedule and existing appointments.
+ * - outside_schedule: the doctor has no session at that date and time (weekly schedules in effect and overrides)
+ * - time_off: the doctor is away that day or the hospital is closed (only checked when context has absences or holidays)
+ * - doctor_busy: the doctor's slot is already taken
+ * - session_full: the session already has max_patients bookings
+ * - patient_busy: the patient has another appointment at the same time
+ * - in_past: the time has already passed (only checked when context.now is given)
+ */
+
+export const CONFLICT_TYPES = {
+  OUTSIDE_SCHEDULE: 'outside_schedule',
+  TIME_OFF: 'time_off',
+  DOCTOR_BUSY: 'doctor_busy',
+  SESSION_FULL: 'session_full',
+  PATIENT_BUSY: 'patient_busy',
+  IN_PAST: 'in_past'
+};
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const getDoctorLabel = (doctor) =>
+  doctor && typeof doctor === 'object' && doctor.last_name ? `Dr. ${doctor.first_name} ${doctor.last_name}` : 'another doctor';
+
+const describeTimeOff = ({ kind, record }, date) => {
+  if (kind === 'holiday') {
+    return `The hospital is closed on ${date}${record.name ? ` (${record.name})` : ''}.`;
+  }
+  const start = getDateKey(record.start_date);
+  const end = getDateKey(record.end_date) || start;
+  return `The doctor is away ${start === end ? `on ${start}` : `from ${start} to ${end}`}.`;
+};
+
+/**
+ * Find what a booking conflicts with
+ * @param {Object} candidate - Appointment to book { _id?, patient_id, doctor_id, appointment_date, appointment_time, status }
+ * @param {Object} context - { appointments, schedules, overrides, absences, holidays, excludeAppointmentId, slotMinutes, now }
+ *   - appointments: existing appointments of the doctor and the patient around that date
+ *   - schedules, overrides: the doctor's schedules and schedule overrides, see getSessionsOn
+ *   - absences, holidays: the doctor's absences and the hospital holidays, see findTimeOff
+ *   - excludeAppointmentId: appointment being rescheduled (defaults to candidate._id)
+ * @returns {Array} Conflicts [{ type, message, appointment? }], empty when the booking is fine
+ */
+export const findAppointmentConflicts = (candidate, context = {}) => {
+  const {
+    appointments = [],
+    schedules = [],
+    overrides = [],
+    absences = [],
+    holidays = [],
+    slotMinutes = DEFAULT_SLOT_MINUTES,
+    now
+  } = context;
+  const excludeId = context.excludeAppointmentId || candidate._id;
+  const doctorId = getId(candidate.doctor_id);
+  const patientId = getId(candidate.patient_id);
+  const date = getDateKey(candidate.appointment_date);
+  const minutes = timeToMinutes(candidate.appointment_time);
+
+  if (!doctorId || !date || isNaN(minutes) || RELEASED_STATUSES.includes(candidate.status)) {
+    return [];
+  }
+
+  const conflicts = [];
+  const dayOfWeek = getDayOfWeek(date);
+  const sameDay = appointments.filter(appointment =>
+    appointment._id !== excludeId &&
+    !RELEASED_STATUSES.includes(appointment.status) &&
+    getDateKey(appointment.appointment_date) === date
+  );
+
+  if (now && (date < getTodayKey(now) ||
+      (date === getTodayKey(now) && minutes <= now.getHours() * 60 + now.getMinutes()))) {
+    conflicts.push({ type: CONFLICT_TYPES.IN_PAST, message: 'This time has already passed.' });
+  }
+
+  const timeOff = findTimeOff(doctorId, date, { absences, holidays });
+  if (timeOff) {
+    conflicts.push({ type: CONFLICT_TYPES.TIME_OFF, message: describeTimeOff(timeOff, date) });
+  }
+
+  const daySessions = getSessionsOn(schedules, date, { overrides })
+    .filter(session => getId(session.doctor_id) === doctorId);
+  const schedule = daySessions.find(session =>
+    minutes >= timeToMinutes(session.start_time) && minutes < timeToMinutes(session.end_time)
+  );
+
+  if (!schedule) {
+    const hours = daySessions.map(session => `${session.start_time}-${session.end_time}`).join(', ');
+    const worksWeekday = schedules.some(s => getId(s.doctor_id) === doctorId && s.day_of_week === dayOfWeek && s.is_available !== false);
+    conflicts.push({
+      type: CONFLICT_TYPES.OUTSIDE_SCHEDULE,
+      message: hours
+        ? `The doctor does not work at ${candidate.appointment_time} on ${date} (working hours: ${hours}).`
+        : worksWeekday
+          ? `The doctor has no session on ${date}.`
+          : `The doctor does not work on ${dayOfWeek}s.`
+    });
+  }
+
+  // Without a session the requested time is its own slot
+  const length = getSlotMinutes(schedule || {}, slotMinutes);
+  const sessionStart = schedule ? timeToMinutes(schedule.start_time) : minutes;
+  const slotStart = sessionStart + Math.floor((minutes - sessionStart) / length) * length;
+  const doctorAppointments = sameDay.filter(appointment => getId(appointment.doctor_id) === doctorId);
+  const inRange = (appointment, start, end) => {
+    const time = timeToMinutes(appointment.appointment_time);
+    return time >= start && time < end;
+  };
+
+  const slotBookings = doctorAppointments.filter(appointment => inRange(appointment, slotStart, slotStart + length));
+  if (slotBookings.length >= (Number(schedule?.slot_capacity) || 1)) {
+    conflicts.push({
+      type: CONFLICT_TYPES.DOCTOR_BUSY,
+      message: `The doctor is already booked at ${slotBookings[0].appointment_time} on ${date}.`,
+      appointment: slotBookings[0]
+    });
+  } else if (schedule && schedule.max_patients) {
+    const sessionEnd = timeToMinutes(schedule.end_time);
+    const sessionBookings = doctorAppointments.filter(appointment => inRange(appointment, sessionStart, sessionEnd));
+    if (sessionBookings.length >= Number(schedule.max_patients)) {
+      conflicts.push({
+        type: CONFLICT_TYPES.SESSION_FULL,
+        message: `The ${schedule.start_time}-${schedule.end_time} session on ${date} is fully booked (${schedule.max_patients} patients).`
+      });
+    }
+  }
+
+  if (patientId) {
+    const patientBooking = sameDay.find(appointment =>
+      getId(appointment.patient_id) === patientId &&
+      Math.abs(timeToMinutes(appointment.appointment_time) - minutes) < length
+    );
+    if (patientBooking) {
+      conflicts.push({
+        type: CONFLICT_TYPES.PATIENT_BUSY,
+        message: `The patient already has an appointment with ${getDoctorLabel(patientBooking.doctor_id)} at ${patientBooking.appointment_time} on ${date}.`,
+        appointment: patientBooking
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Pick the free slots closest to the requested date and time
+ * @param {Array} slots - Free slots from buildSlots
+ * @param {Object} requested - { date, time }
+ * @param {number} limit - Number of suggestions
+ * @returns {Array} Slots, closest first
+ */
+export const suggestAlternativeSlots = (slots, { date, time }, limit = 3) => {
+  const target = new Date(`${date}T00:00:00Z`).getTime() / 60000 + (timeToMinutes(time) || 0);
+  const distance = (slot) =>
+    Math.abs(new Date(`${slot.date}T00:00:00Z`).getTime() / 60000 + timeToMinutes(slot.time) - target);
+  return slots
+    .filter(slot => slot.available !== false)
+    .sort((a, b) => distance(a) - distance(b))
+    .slice(0, limit);
+};
+
+/**
+ * Plan moving several appointments at once (e.g. when a schedule is rescheduled)
+ * Each appointment keeps its requested time when that is free, otherwise it takes the closest
+ * free slot on the same day. Appointments already placed count as booked for the next ones.
+ * @param {Array} moves - [{ appointment, date, time }]
+ * @param {Object} context - { appointments, schedules, overrides, absences, holidays, now } of the target day (moved appointments may be included)
+ * @returns {Object} { placed: [{ appointment, date, time, adjusted }], unresolved: [{ appointment, conflicts }] }
+ */
+export const planAppointmentMoves = (moves, { appointments = [], schedules = [], overrides = [], absences = [], holidays = [], now = new Date() } = {}) => {
+  const timeOff = { overrides, absences, holidays };
+  const movingIds = new Set(moves.map(move => move.appointment._id));
+  const booked = appointments.filter(appointment => !movingIds.has(appointment._id));
+  const placed = [];
+  const unresolved = [];
+
+  moves.forEach(({ appointment, date, time }) => {
+    const candidate = { ...appointment, appointment_date: date, appointment_time: time };
+    let conflicts = findAppointmentConflicts(candidate, { appointments: booked, schedules, ...timeOff });
+    let target = { date, time, adjusted: false };
+
+    if (conflicts.length > 0) {
+      const free = buildSlots(schedules, booked, { from: date, days: 1, now, ...timeOff })
+        .filter(slot => slot.available && slot.doctor_id === getId(appointment.doctor_id));
+      const alternative = suggestAlternativeSlots(free, { date, time }, free.length).find(slot =>
+        findAppointmentConflicts(
+          { ...candidate, appointment_time: slot.time },
+          { appointments: booked, schedules, ...timeOff }
+        ).length === 0
+      );
+      if (alternative) {
+        target = { date, time: alternative.time, adjusted: true };
+        conflicts = [];
+      }
+    }
+
+    if (conflicts.length > 0) {
+      unresolved.push({ appointment, conflicts });
+      return;
+    }
+    placed.push({ appointment, ...target });
+    booked.push({ ...candidate, appointment_time: target.time });
+  });
+
+  return { placed, unresolved };
+};
+
+/**
+ * Plan moving appointments off days the doctor can no longer see patients (e.g. an absence entered over bookings)
+ * Each appointment takes the free slot of the same doctor closest to its current time, from a week
+ * before it up to the booking horizon after it. Appointments already placed count as booked for the next ones.
+ * @param {Array} toMove - Appointments to move
+ * @param {Object} context - { appointments, schedules, overrides, absences, holidays, now }
+ *   - appointments: the doctors' and patients' existing appointments (moved appointments may be included)
+ *   - absences, holidays: time off including the new absence, so no appointment is moved into it
+ * @returns {Object} { placed: [{ appointment, date, time, adjusted }], unresolved: [{ appointment, conflicts }] }, as planAppointmentMoves
+ */
+export const planRebooking = (toMove, { appointments = [], schedules = [], overrides = [], absences = [], holidays = [], now = new Date() } = {}) => {
+  const timeOff = { overrides, absences, holidays };
+  const todayKey = getTodayKey(now);
+  const movingIds = new Set(toMove.map(appointment => appointment._id));
+  const booked = appointments.filter(appointment => !movingIds.has(appointment._id));
+  const placed = [];
+  const unresolved = [];
+
+  toMove.forEach(appointment => {
+    const date = getDateKey(appointment.appointment_date) || todayKey;
+    const from = addDays(date, -7) > todayKey ? addDays(date, -7) : todayKey;
+    const free = buildSlots(schedules, booked, { from, days: 7 + BOOKING_HORIZON_DAYS, now, ...timeOff })
+      .filter(slot => slot.available && slot.doctor_id === getId(appointment.doctor_id));
+    const slot = suggestAlternativeSlots(free, { date, time: appointment.appointment_time }, free.length).find(option =>
+      findAppointmentConflicts(
+        { ...appointment, appointment_date: option.date, appointment_time: option.time },
+        { appointments: booked, schedules, ...timeOff }
+      ).length === 0
+    );
+
+    if (!slot) {
+      unresolved.push({
+        appointment,
+        conflicts: [{ type: CONFLICT_TYPES.SESSION_FULL, message: 'The doctor has no free slot for this patient in the coming weeks.' }]
+      });
+      return;
+    }
+    placed.push({ appointment, date: slot.date, time: slot.time, adjusted: true });
+    booked.push({ ...appointment, appointment_date: slot.date, appointment_time: slot.time });
+  });
+
+  return { placed, unresolved };
+};
@@ -0,0 +1,65 @@
+import { CONFLICT_TYPES, findAppointmentConflicts, planAppointmentMoves, planRebooking, suggestAlternativeSlots } from './appointmentConflicts';
+import { buildSlots } from './slots';
+
+// Monday 6 May 2024
+const schedules = [
+  { _id: 'sched-1', doctor_id: 'doc-1', day_of_week: 'Monday', start_time: '09:00', end_time: '10:00', max_patients: 4 }
+];
+const booked = [
+  { _id: 'apt-1', patient_id: 'pat-1', doctor_id: 'doc-1', appointment_date: '2024-05-06T00:00:00.000Z', appointment_time: '09:00', status: 'scheduled' },
+  { _id: 'apt-2', patient_id: 'pat-2', doctor_id: { _id: 'doc-2', first_name: 'Omar', last_name: 'Haddad' }, appointment_date: '2024-05-06', appointment_time: '09:30', status: 'scheduled' }
+];
+const booking = (changes) => ({ patient_id: 'pat-3', doctor_id: 'doc-1', appointment_date: '2024-05-06', appointment_time: '09:15', ...changes });
+const typesOf = (candidate, context = {}) =>
+  findAppointmentConflicts(candidate, { appointments: booked, schedules, ...context }).map(conflict => conflict.type);
+
+test('detects double bookings, patient clashes and times outside the schedule', () => {
+  expect(typesOf(booking())).toEqual([]);
+  expect(typesOf(booking({ appointment_time: '09:05' }))).toEqual([CONFLICT_TYPES.DOCTOR_BUSY]);
+  expect(typesOf(booking({ patient_id: 'pat-2', appointment_time: '09:30' }))).toEqual([CONFLICT_TYPES.PATIENT_BUSY]);
+  expect(typesOf(booking({ appointment_time: '11:00' }))).toEqual([CONFLICT_TYPES.OUTSIDE_SCHEDULE]);
+  expect(typesOf(booking({ appointment_date: '2024-05-07' }))).toEqual([CONFLICT_TYPES.OUTSIDE_SCHEDULE]);
+  expect(typesOf(booking({ appointment_time: '09:15' }), { now: new Date(2024, 4, 6, 9, 30) })).toEqual([CONFLICT_TYPES.IN_PAST]);
+});
+
+test('ignores the appointment being rescheduled and cancelled appointments', () => {
+  expect(typesOf({ ...booked[0], appointment_time: '09:10' })).toEqual([]);
+  expect(typesOf(booking({ appointment_time: '09:00' }), {
+    appointments: [{ ...booked[0], status: 'cancelled' }]
+  })).toEqual([]);
+});
+
+test('suggests the closest free slots and plans bulk moves without clashes', () => {
+  const free = buildSlots(schedules, booked, { from: '2024-05-06', days: 1, now: new Date(2024, 4, 5) })
+    .filter(slot => slot.available);
+  expect(suggestAlternativeSlots(free, { date: '2024-05-06', time: '09:00' }, 2).map(slot => slot.time))
+    .toEqual(['09:15', '09:30']);
+
+  const moving = [
+    { _id: 'apt-3', patient_id: 'pat-3', doctor_id: 'doc-1', appointment_date: '2024-04-29', appointment_time: '09:00' },
+    { _id: 'apt-4', patient_id: 'pat-4', doctor_id: 'doc-1', appointment_date: '2024-04-29', appointment_time: '09:00' }
+  ];
+  const { placed, unresolved } = planAppointmentMoves(
+    moving.map(appointment => ({ appointment, date: '2024-05-06', time: '09:15' })),
+    { appointments: booked, schedules, now: new Date(2024, 4, 5) }
+  );
+  expect(placed.map(move => [move.time, move.adjusted])).toEqual([['09:15', false], ['09:30', true]]);
+  expect(unresolved).toEqual([]);
+});
+
+test('refuses bookings on time off and moves booked patients to the closest free slots', () => {
+  const absences = [{ _id: 'abs-1', doctor_id: 'doc-1', start_date: '2024-05-06', end_date: '2024-05-06', type: 'leave' }];
+  expect(typesOf(booking(), { absences })).toEqual([CONFLICT_TYPES.TIME_OFF]);
+  expect(typesOf(booking(), { holidays: [{ name: 'Labour Day', start_date: '2024-05-06' }] })).toEqual([CONFLICT_TYPES.TIME_OFF]);
+
+  // The following Monday is the doctor's next session; its first slot is taken already
+  const nextWeek = { _id: 'apt-3', patient_id: 'pat-4', doctor_id: 'doc-1', appointment_date: '2024-05-13', appointment_time: '09:00', status: 'scheduled' };
+  const { placed, unresolved } = planRebooking([booked[0]], {
+    appointments: [...booked, nextWeek],
+    schedules,
+    absences,
+    now: new Date(2024, 4, 1)
+  });
+  expect(placed.map(move => [move.date, move.time])).toEqual([['2024-05-13', '09:15']]);
+  expect(unresolved).toEqual([]);
+});
@@ -0,0 +1,195 @@
+import { addDays, buildSlots, getDateKey } from './slots';
+import { findAppointmentConflicts, suggestAlternativeSlots } from './appointmentConflicts';
+import { INITIAL_STATUSES } from './appointmentStatus';
+
+/**
+ * Appointment Series
+ * Follow-up appointments booked together from a care pathway (reviews at fixed weeks after
+ * a start date) or a recurrence rule (every N weeks or months), each occurrence checked for
+ * availability on its own.
+ */
+
+// Care pathways of the orthopaedic clinic: follow-ups at these weeks after the start date,
+// or a repeating rule for courses of treatment
+export const CARE_PATHWAYS = [
+  { value: 'post_op', label: 'Post-op reviews (2, 6 and 12 weeks)', weeks: [2, 6, 12] },
+  { value: 'fracture_clinic', label: 'Fracture clinic (1, 2 and 6 weeks)', weeks: [1, 2, 6] },
+  { value: 'weekly_physio', label: 'Weekly physiotherapy (6 sessions)', rule: { frequency: 'weekly', interval: 1, count: 6 } }
+];
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' }
+];
+
+export const MAX_SERIES_OCCURRENCES = 26;
+
+// How many days either side of a taken date an occurrence may move to
+export const SERIES_FLEX_DAYS = 3;
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const addMonths = (dateKey, months) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+};
+
+/**
+ * The rule a series pattern repeats by, from the pattern itself or its care pathway
+ * @param {Object} pattern - { type: 'pathway', pathway } or { type: 'rule', frequency, interval, count }
+ * @returns {Object|null} { frequency, interval, count }, or null for a pathway of fixed weeks
+ */
+const getPatternRule = (pattern) => {
+  if (pattern.type === 'pathway') {
+    return CARE_PATHWAYS.find(pathway => pathway.value === pattern.pathway)?.rule || null;
+  }
+  return pattern;
+};
+
+/**
+ * Check a series pattern before planning it
+ * @param {Object} pattern - { type, pathway } or { type, frequency, interval, count }
+ * @returns {string|null} Error message, or null when the pattern is fine
+ */
+export const validateSeriesPattern = (pattern = {}) => {
+  if (pattern.type === 'pathway') {
+    return CARE_PATHWAYS.some(pathway => pathway.value === pattern.pathway) ? null : 'Please select a care pathway';
+  }
+  if (pattern.type !== 'rule') return 'Please choose a care pathway or a repeat rule';
+  if (!RECURRENCE_FREQUENCIES.some(frequency => frequency.value === pattern.frequency)) {
+    return 'Please select how often the appointments repeat';
+  }
+  if (!(Number(pattern.interval) >= 1)) return 'Repeat interval must be at least 1';
+  const count = Number(pattern.count);
+  if (!(count >= 2) || count > MAX_SERIES_OCCURRENCES) {
+    return `A series has between 2 and ${MAX_SERIES_OCCURRENCES} appointments`;
+  }
+  return null;
+};
+
+/**
+ * Dates of the occurrences of a series
+ * A pathway of fixed weeks counts from the start date (the operation or first visit);
+ * a rule starts on the start date itself.
+ * @param {Object} pattern - { type: 'pathway', pathway } or { type: 'rule', frequency, interval, count }
+ * @param {string} startDate - YYYY-MM-DD
+ * @returns {Array} Date keys in order
+ */
+export const getSeriesDates = (pattern, startDate) => {
+  const start = getDateKey(startDate);
+  if (!start || !pattern) return [];
+  const pathway = pattern.type === 'pathway' ? CARE_PATHWAYS.find(item => item.value === pattern.pathway) : null;
+  if (pathway?.weeks) {
+    return pathway.weeks.map(week => addDays(start, week * 7));
+  }
+
+  const rule = getPatternRule(pattern);
+  if (!rule) return [];
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const count = Math.min(MAX_SERIES_OCCURRENCES, Math.max(0, Number(rule.count) || 0));
+  return Array.from({ length: count }, (_, index) =>
+    rule.frequency === 'monthly' ? addMonths(start, index * interval) : addDays(start, index * interval * 7)
+  );
+};
+
+/**
+ * How a series repeats, for display
+ * @param {Object} pattern - Series pattern
+ * @returns {string}
+ */
+export const describeSeriesPattern = (pattern) => {
+  if (!pattern) return '';
+  if (pattern.type === 'pathway') {
+    return CARE_PATHWAYS.find(pathway => pathway.value === pattern.pathway)?.label || 'Care pathway';
+  }
+  const interval = Number(pattern.interval) || 1;
+  const unit = pattern.frequency === 'monthly' ? 'month' : 'week';
+  const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  return `${every}, ${pattern.count} appointments`;
+};
+
+/**
+ * Plan the occurrences of a series against the doctor's sessions and the existing bookings
+ * Each occurrence keeps its date and time when they are free; otherwise it takes the same doctor's
+ * free slot closest to them within SERIES_FLEX_DAYS days. Occurrences already planned count as booked
+ * for the next ones.
+ * @param {Array} dates - Occurrence dates from getSeriesDates
+ * @param {Object} base - { patient_id, doctor_id, appointment_time } shared by the occurrences
+ * @param {Object} context - { appointments, schedules, overrides, absences, holidays, now }
+ *   - appointments: the doctor's and the patient's existing appointments
+ * @returns {Array} [{ index, date, time, requestedDate, requestedTime, adjusted, conflicts }] in date order,
+ *   conflicts empty when the occurrence can be booked
+ */
+export const planSeries = (dates, base, { appointments = [], schedules = [], overrides = [], absences = [], holidays = [], now = new Date() } = {}) => {
+  const timeOff = { overrides, absences, holidays };
+  const doctorId = getId(base.doctor_id);
+  const booked = [...appointments];
+
+  return dates.map((date, index) => {
+    const candidate = { ...base, appointment_date: date, appointment_time: base.appointment_time, status: 'scheduled' };
+    const requested = { index, requestedDate: date, requestedTime: base.appointment_time };
+    let conflicts = findAppointmentConflicts(candidate, { appointments: booked, schedules, ...timeOff, now });
+    let target = { date, time: base.appointment_time, adjusted: false };
+
+    if (conflicts.length > 0) {
+      const free = buildSlots(schedules, booked, { from: addDays(date, -SERIES_FLEX_DAYS), days: SERIES_FLEX_DAYS * 2 + 1, now, ...timeOff })
+        .filter(slot => slot.available && slot.doctor_id === doctorId);
+      const alternative = suggestAlternativeSlots(free, { date, time: base.appointment_time }, free.length).find(slot =>
+        findAppointmentConflicts(
+          { ...candidate, appointment_date: slot.date, appointment_time: slot.time },
+          { appointments: booked, schedules, ...timeOff, now }
+        ).length === 0
+      );
+      if (alternative) {
+        target = { date: alternative.date, time: alternative.time, adjusted: true };
+        conflicts = [];
+      }
+    }
+
+    if (conflicts.length === 0) {
+      booked.push({ ...candidate, appointment_date: target.date, appointment_time: target.time });
+    }
+    return { ...requested, ...target, conflicts };
+  });
+};
+
+/**
+ * Appointments of a series in occurrence order
+ * @param {Array} appointments - Appointments with series_index
+ * @returns {Array}
+ */
+export const sortOccurrences = (appointments = []) =>
+  [...appointments].sort((a, b) =>
+    (a.series_index ?? 0) - (b.series_index ?? 0) ||
+    (getDateKey(a.appointment_date) || '').localeCompare(getDateKey(b.appointment_date) || '')
+  );
+
+/**
+ * Where a series stands: how many occurrences are done, cancelled and still to come
+ * @param {Array} appointments - Appointments of the series
+ * @returns {Object} { total, completed, cancelled, upcoming, next } — next is the first upcoming appointment
+ */
+export const getSeriesProgress = (appointments = []) => {
+  const upcoming = sortOccurrences(appointments)
+    .filter(appointment => INITIAL_STATUSES.includes(appointment.status || 'scheduled'));
+  return {
+    total: appointments.length,
+    completed: appointments.filter(appointment => appointment.status === 'completed').length,
+    cancelled: appointments.filter(appointment => appointment.status === 'cancelled').length,
+    upcoming: upcoming.length,
+    next: upcoming[0] || null
+  };
+};
+
+/**
+ * An occurrence and the ones after it that can still change (not yet attended or cancelled)
+ * @param {Array} appointments - Appointments of the series
+ * @param {Object} occurrence - The occurrence picked
+ * @returns {Array} Appointments in occurrence order, starting with the one picked
+ */
+export const getFollowingOccurrences = (appointments, occurrence) =>
+  sortOccurrences(appointments).filter(appointment =>
+    (appointment.series_index ?? 0) >= (occurrence.series_index ?? 0) &&
+    INITIAL_STATUSES.includes(appointment.status || 'scheduled')
+  );
@@ -0,0 +1,44 @@
+import { getFollowingOccurrences, getSeriesDates, planSeries, validateSeriesPattern } from './appointmentSeries';
+
+// Monday 6 May 2024
+const monday = { _id: 'sched-mon', doctor_id: 'doc-1', day_of_week: 'Monday', start_time: '09:00', end_time: '12:00' };
+
+test('builds occurrence dates from a care pathway or a repeat rule', () => {
+  expect(getSeriesDates({ type: 'pathway', pathway: 'post_op' }, '2024-05-06'))
+    .toEqual(['2024-05-20', '2024-06-17', '2024-07-29']);
+  expect(getSeriesDates({ type: 'rule', frequency: 'weekly', interval: 2, count: 3 }, '2024-05-06'))
+    .toEqual(['2024-05-06', '2024-05-20', '2024-06-03']);
+  expect(getSeriesDates({ type: 'rule', frequency: 'monthly', interval: 1, count: 3 }, '2024-01-31'))
+    .toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+  expect(validateSeriesPattern({ type: 'rule', frequency: 'weekly', interval: 1, count: 1 })).toMatch(/between 2 and/);
+});
+
+test('keeps free occurrences and moves taken ones to the closest free slot', () => {
+  const base = { patient_id: 'pat-1', doctor_id: 'doc-1', appointment_time: '09:00' };
+  const taken = { _id: 'apt-1', patient_id: 'pat-2', doctor_id: 'doc-1', appointment_date: '2024-05-13T00:00:00.000Z', appointment_time: '09:00', status: 'scheduled' };
+  // 18 May is a Saturday; 27 May is a holiday with no other Monday within three days
+  const plan = planSeries(['2024-05-06', '2024-05-13', '2024-05-18', '2024-05-27'], base, {
+    appointments: [taken],
+    schedules: [monday],
+    holidays: [{ name: 'Bank holiday', start_date: '2024-05-27' }],
+    now: new Date(2024, 4, 1)
+  });
+
+  expect(plan.slice(0, 3).map(occurrence => [occurrence.date, occurrence.time, occurrence.adjusted])).toEqual([
+    ['2024-05-06', '09:00', false],
+    ['2024-05-13', '09:15', true],
+    ['2024-05-20', '09:00', true]
+  ]);
+  expect(plan[2].requestedDate).toBe('2024-05-18');
+  expect(plan[3].conflicts[0].message).toMatch(/Bank holiday/);
+});
+
+test('the following occurrences leave out attended and cancelled ones', () => {
+  const occurrences = [
+    { _id: 'a', series_index: 0, status: 'completed' },
+    { _id: 'b', series_index: 1, status: 'scheduled' },
+    { _id: 'c', series_index: 2, status: 'cancelled' },
+    { _id: 'd', series_index: 3, status: 'confirmed' }
+  ];
+  expect(getFollowingOccurrences(occurrences, occurrences[1]).map(a => a._id)).toEqual(['b', 'd']);
+});
@@ -0,0 +1,72 @@
+/**
+ * Appointment Status
+ * The appointment lifecycle and the transitions allowed between statuses:
+ * pending → scheduled → confirmed → checked-in → in-consultation → completed,
+ * with cancelled and no-show as the other ways an appointment ends.
+ */
+
+export const APPOINTMENT_STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'confirmed', label: 'Confirmed' },
+  { value: 'checked-in', label: 'Checked In' },
+  { value: 'in-consultation', label: 'In Consultation' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'no-show', label: 'No Show' }
+];
+
+// Statuses a new appointment can be created with
+export const INITIAL_STATUSES = ['pending', 'scheduled', 'confirmed'];
+
+// Next statuses allowed from each status; completed, cancelled and no-show are final
+export const STATUS_TRANSITIONS = {
+  pending: ['scheduled', 'confirmed', 'cancelled'],
+  scheduled: ['confirmed', 'checked-in', 'cancelled', 'no-show'],
+  confirmed: ['checked-in', 'cancelled', 'no-show'],
+  'checked-in': ['in-consultation', 'cancelled'],
+  'in-consultation': ['completed'],
+  completed: [],
+  cancelled: [],
+  'no-show': []
+};
+
+/**
+ * Label of a status
+ * @param {string} status
+ * @returns {string}
+ */
+export const getStatusLabel = (status) =>
+  APPOINTMENT_STATUSES.find(option => option.value === status)?.label || status || 'N/A';
+
+/**
+ * Statuses an appointment can move to next
+ * @param {string} status - Current status (appointments without one count as scheduled)
+ * @returns {Array} Status values
+ */
+export const getNextStatuses = (status) => STATUS_TRANSITIONS[status || 'scheduled'] || [];
+
+/**
+ * Whether an appointment may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => getNextStatuses(from).includes(to);
+
+/**
+ * Whether a status ends the appointment's lifecycle
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const isFinalStatus = (status) => getNextStatuses(status).length === 0;
+
+/**
+ * Status options for a status select: the current status followed by the allowed next ones
+ * @param {string} status - Current status, or empty for a new appointment
+ * @returns {Array} [{ value, label }]
+ */
+export const getStatusOptions = (status) => {
+  const values = status ? [status, ...getNextStatuses(status)] : INITIAL_STATUSES;
+  return APPOINTMENT_STATUSES.filter(option => values.includes(option.value));
+};
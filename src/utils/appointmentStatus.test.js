@@ -0,0 +1,18 @@
+import { canTransition, getStatusOptions, isFinalStatus } from './appointmentStatus';
+
+test('allows only the transitions of the appointment lifecycle', () => {
+  expect(canTransition('scheduled', 'confirmed')).toBe(true);
+  expect(canTransition('confirmed', 'checked-in')).toBe(true);
+  expect(canTransition('checked-in', 'in-consultation')).toBe(true);
+  expect(canTransition('in-consultation', 'completed')).toBe(true);
+  expect(canTransition(undefined, 'confirmed')).toBe(true);
+
+  expect(canTransition('scheduled', 'completed')).toBe(false);
+  expect(canTransition('completed', 'scheduled')).toBe(false);
+  expect(canTransition('cancelled', 'confirmed')).toBe(false);
+  expect(canTransition('confirmed', 'confirmed')).toBe(false);
+  expect(isFinalStatus('no-show')).toBe(true);
+
+  expect(getStatusOptions('checked-in').map(option => option.value)).toEqual(['checked-in', 'in-consultation', 'cancelled']);
+  expect(getStatusOptions('').map(option => option.value)).toEqual(['pending', 'scheduled', 'confirmed']);
+});
@@ -0,0 +1,140 @@
+import { canTransition } from './appointmentStatus';
+import { getAppointmentStart } from './reminders';
+import { DAYS_OF_WEEK, getDateKey, getDayOfWeek } from './slots';
+
+/**
+ * Attendance
+ * No-shows and how reliably patients keep their appointments: appointments nobody checked in
+ * for are marked as no-shows once their time has passed, each patient gets an attendance score,
+ * and patients who often miss appointments are flagged when they are booked again.
+ */
+
+// Minutes after the start time an appointment without check-in counts as missed
+export const NO_SHOW_GRACE_MINUTES = Number(process.env.REACT_APP_NO_SHOW_GRACE_MINUTES) || 30;
+
+// Days back the no-show check looks for missed appointments; older ones are left as they are
+export const NO_SHOW_LOOKBACK_DAYS = 7;
+
+// A patient is flagged after this many no-shows, when their score is also below NO_SHOW_FLAG_SCORE
+export const NO_SHOW_FLAG_COUNT = 2;
+export const NO_SHOW_FLAG_SCORE = 80;
+
+// Statuses that mean the patient came
+export const ATTENDED_STATUSES = ['checked-in', 'in-consultation', 'completed'];
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Appointments whose time has passed without the patient checking in
+ * @param {Array} appointments - Appointments
+ * @param {Object} options - { now, graceMinutes }
+ * @returns {Array} Appointments that can be marked as no-shows
+ */
+export const getMissedAppointments = (appointments, { now = new Date(), graceMinutes = NO_SHOW_GRACE_MINUTES } = {}) =>
+  appointments.filter(appointment => {
+    if (!canTransition(appointment.status || 'scheduled', 'no-show')) return false;
+    const start = getAppointmentStart(appointment);
+    return !!start && start.getTime() + graceMinutes * 60000 <= now.getTime();
+  });
+
+/**
+ * A patient's attendance record
+ * The score is the share of their past appointments they came to, cancellations left out.
+ * @param {Array} appointments - The patient's appointments
+ * @returns {Object} { attended, noShows, cancelled, upcoming, total, score, flagged }
+ *   - score: 0-100, or null before any appointment has been attended or missed
+ *   - flagged: the patient often misses appointments
+ */
+export const getAttendanceSummary = (appointments = []) => {
+  const attended = appointments.filter(appointment => ATTENDED_STATUSES.includes(appointment.status)).length;
+  const noShows = appointments.filter(appointment => appointment.status === 'no-show').length;
+  const cancelled = appointments.filter(appointment => appointment.status === 'cancelled').length;
+  const finished = attended + noShows;
+  const score = finished > 0 ? Math.round((attended / finished) * 100) : null;
+  return {
+    attended,
+    noShows,
+    cancelled,
+    upcoming: appointments.length - finished - cancelled,
+    total: appointments.length,
+    score,
+    flagged: noShows >= NO_SHOW_FLAG_COUNT && score < NO_SHOW_FLAG_SCORE
+  };
+};
+
+/**
+ * Attendance records of every patient in a list of appointments
+ * @param {Array} appointments - Appointments of any patients
+ * @returns {Object} { patientId: summary from getAttendanceSummary }
+ */
+export const getAttendanceByPatient = (appointments = []) => {
+  const byPatient = {};
+  appointments.forEach(appointment => {
+    const patientId = getId(appointment.patient_id);
+    if (!patientId) return;
+    if (!byPatient[patientId]) byPatient[patientId] = [];
+    byPatient[patientId].push(appointment);
+  });
+  return Object.fromEntries(
+    Object.entries(byPatient).map(([patientId, patientAppointments]) => [patientId, getAttendanceSummary(patientAppointments)])
+  );
+};
+
+/**
+ * Short description of a flagged patient's attendance, for booking forms
+ * @param {Object} summary - From getAttendanceSummary
+ * @returns {string} Empty when the patient is not flagged
+ */
+export const describeAttendanceFlag = (summary) =>
+  summary?.flagged
+    ? `Missed ${summary.noShows} of ${summary.attended + summary.noShows} past appointments (attendance ${summary.score}%)`
+    : '';
+
+const GROUPS = {
+  all: () => ({ key: 'all', label: 'All appointments' }),
+  doctor: (appointment) => {
+    const doctor = appointment.doctor_id;
+    return {
+      key: getId(doctor) || 'none',
+      label: doctor && typeof doctor === 'object' ? `Dr. ${doctor.first_name} ${doctor.last_name}` : 'Unknown doctor'
+    };
+  },
+  department: (appointment) => {
+    const department = appointment.department_id;
+    return {
+      key: getId(department) || 'none',
+      label: department && typeof department === 'object' ? department.department_name || department.name : 'No department'
+    };
+  },
+  weekday: (appointment) => {
+    const day = getDayOfWeek(getDateKey(appointment.appointment_date));
+    return { key: day, label: day };
+  }
+};
+
+/**
+ * No-show rates grouped by doctor, department or weekday, or over all appointments
+ * Only appointments that were attended or missed count.
+ * @param {Array} appointments - Appointments (doctor_id and department_id populated for their names)
+ * @param {string} groupBy - 'doctor', 'department', 'weekday' or 'all'
+ * @returns {Array} [{ key, label, total, noShows, rate }], rate 0-100; weekdays in week order,
+ *   doctors and departments highest rate first
+ */
+export const getNoShowRates = (appointments, groupBy) => {
+  const getGroup = GROUPS[groupBy];
+  const rows = {};
+  appointments
+    .filter(appointment => getDateKey(appointment.appointment_date))
+    .filter(appointment => appointment.status === 'no-show' || ATTENDED_STATUSES.includes(appointment.status))
+    .forEach(appointment => {
+      const { key, label } = getGroup(appointment);
+      if (!rows[key]) rows[key] = { key, label, total: 0, noShows: 0 };
+      rows[key].total++;
+      if (appointment.status === 'no-show') rows[key].noShows++;
+    });
+
+  const result = Object.values(rows).map(row => ({ ...row, rate: Math.round((row.noShows / row.total) * 100) }));
+  return groupBy === 'weekday'
+    ? result.sort((a, b) => DAYS_OF_WEEK.indexOf(a.key) - DAYS_OF_WEEK.indexOf(b.key))
+    : result.sort((a, b) => b.rate - a.rate || a.label.localeCompare(b.label));
+};
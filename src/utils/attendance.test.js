@@ -0,0 +1,41 @@
+import { getAttendanceSummary, getMissedAppointments, getNoShowRates } from './attendance';
+
+const appointment = (status, date = '2024-05-06', extra = {}) => ({
+  _id: `${status}-${date}`, patient_id: 'pat-1', appointment_date: `${date}T00:00:00.000Z`, appointment_time: '09:00', status, ...extra
+});
+
+test('finds appointments nobody checked in for once the grace period is over', () => {
+  const appointments = [appointment('scheduled'), appointment('confirmed'), appointment('checked-in'), appointment('pending')];
+
+  expect(getMissedAppointments(appointments, { now: new Date(2024, 4, 6, 9, 20), graceMinutes: 30 })).toEqual([]);
+  expect(getMissedAppointments(appointments, { now: new Date(2024, 4, 6, 9, 30), graceMinutes: 30 }).map(a => a.status))
+    .toEqual(['scheduled', 'confirmed']);
+});
+
+test('scores attendance and flags frequent no-shows', () => {
+  const summary = getAttendanceSummary([
+    appointment('completed', '2024-04-01'),
+    appointment('no-show', '2024-04-08'),
+    appointment('no-show', '2024-04-15'),
+    appointment('cancelled', '2024-04-22'),
+    appointment('scheduled', '2024-05-06')
+  ]);
+
+  expect(summary).toMatchObject({ attended: 1, noShows: 2, cancelled: 1, upcoming: 1, score: 33, flagged: true });
+  expect(getAttendanceSummary([appointment('scheduled')])).toMatchObject({ score: null, flagged: false });
+});
+
+test('breaks no-show rates down by weekday and doctor', () => {
+  const doctor = { _id: 'doc-1', first_name: 'Sarah', last_name: 'Khan' };
+  const appointments = [
+    appointment('no-show', '2024-05-06', { doctor_id: doctor }),
+    appointment('completed', '2024-05-13', { doctor_id: doctor }),
+    appointment('completed', '2024-05-07', { doctor_id: doctor }),
+    appointment('cancelled', '2024-05-14', { doctor_id: doctor })
+  ];
+
+  expect(getNoShowRates(appointments, 'weekday').map(row => `${row.label} ${row.rate}%`)).toEqual(['Monday 50%', 'Tuesday 0%']);
+  expect(getNoShowRates(appointments, 'doctor')).toEqual([
+    { key: 'doc-1', label: 'Dr. Sarah Khan', total: 3, noShows: 1, rate: 33 }
+  ]);
+});
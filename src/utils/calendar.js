@@ -0,0 +1,193 @@
+import { addDays, getDateKey, getDayOfWeek, getSessionsOn, getSlotMinutes, minutesToTime, timeToMinutes, DAYS_OF_WEEK } from './slots';
+
+/**
+ * Calendar
+ * Date ranges, month grids and event layout for the appointment calendar.
+ * Works on 'YYYY-MM-DD' date keys like the slot helpers; weeks start on Sunday.
+ */
+
+export const CALENDAR_VIEWS = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'resource', label: 'Doctors' }
+];
+
+// Hours shown by the time grid when no schedule or appointment falls outside them
+const DEFAULT_DAY_START = 8 * 60;
+const DEFAULT_DAY_END = 18 * 60;
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * First day (Sunday) of the week containing a date
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export const startOfWeek = (dateKey) => addDays(dateKey, -DAYS_OF_WEEK.indexOf(getDayOfWeek(dateKey)));
+
+/**
+ * Dates shown by a calendar view
+ * - day and resource: the date itself
+ * - week: Sunday to Saturday
+ * - month: full weeks covering the month
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Array} Date keys in order
+ */
+export const getViewDates = (view, dateKey) => {
+  if (view === 'week') {
+    const first = startOfWeek(dateKey);
+    return Array.from({ length: 7 }, (_, index) => addDays(first, index));
+  }
+  if (view === 'month') {
+    const month = dateKey.slice(0, 7);
+    const dates = [];
+    for (let weekStart = startOfWeek(`${month}-01`); weekStart.slice(0, 7) <= month; weekStart = addDays(weekStart, 7)) {
+      for (let index = 0; index < 7; index++) dates.push(addDays(weekStart, index));
+    }
+    return dates;
+  }
+  return [dateKey];
+};
+
+/**
+ * Move a calendar to the previous or next period
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} direction - -1 or 1
+ * @returns {string} YYYY-MM-DD
+ */
+export const shiftViewDate = (view, dateKey, direction) => {
+  if (view === 'week') return addDays(dateKey, 7 * direction);
+  if (view === 'month') {
+    const date = new Date(`${dateKey.slice(0, 7)}-01T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + direction);
+    return date.toISOString().slice(0, 10);
+  }
+  return addDays(dateKey, direction);
+};
+
+/**
+ * Title of the period shown by a view
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string}
+ */
+export const getViewTitle = (view, dateKey) => {
+  const format = (key, options) => new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+  if (view === 'month') return format(dateKey, { month: 'long', year: 'numeric' });
+  if (view === 'week') {
+    const dates = getViewDates('week', dateKey);
+    return `${format(dates[0], { month: 'short', day: 'numeric' })} - ${format(dates[6], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+  return format(dateKey, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * Sessions of the doctors on a date: weekly schedules in effect, with that date's overrides applied
+ * @param {Array} schedules - Doctor schedules
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} doctorId - Only this doctor (optional)
+ * @param {Array} overrides - Schedule overrides, see getSessionsOn (optional)
+ * @returns {Array}
+ */
+export const getSchedulesOn = (schedules, dateKey, doctorId, overrides = []) =>
+  getSessionsOn(schedules, dateKey, { overrides }).filter(schedule =>
+    !doctorId || getId(schedule.doctor_id) === doctorId
+  );
+
+/**
+ * Appointments grouped by date key
+ * @param {Array} appointments
+ * @returns {Object} { 'YYYY-MM-DD': [appointments sorted by time] }
+ */
+export const groupAppointmentsByDate = (appointments) => {
+  const groups = {};
+  appointments.forEach(appointment => {
+    const dateKey = getDateKey(appointment.appointment_date);
+    if (!dateKey) return;
+    (groups[dateKey] = groups[dateKey] || []).push(appointment);
+  });
+  Object.values(groups).forEach(group =>
+    group.sort((a, b) => (a.appointment_time || '').localeCompare(b.appointment_time || ''))
+  );
+  return groups;
+};
+
+/**
+ * Hours covered by the time grid, widened to fit every schedule and appointment shown
+ * @param {Array} schedules - Schedules shown
+ * @param {Array} appointments - Appointments shown
+ * @returns {Object} { start, end } in minutes, on whole hours
+ */
+export const getTimeRange = (schedules, appointments) => {
+  let start = DEFAULT_DAY_START;
+  let end = DEFAULT_DAY_END;
+  schedules.forEach(schedule => {
+    const scheduleStart = timeToMinutes(schedule.start_time);
+    const scheduleEnd = timeToMinutes(schedule.end_time);
+    if (!isNaN(scheduleStart)) start = Math.min(start, scheduleStart);
+    if (!isNaN(scheduleEnd)) end = Math.max(end, scheduleEnd);
+  });
+  appointments.forEach(appointment => {
+    const minutes = timeToMinutes(appointment.appointment_time);
+    if (isNaN(minutes)) return;
+    start = Math.min(start, minutes);
+    end = Math.max(end, minutes + 60);
+  });
+  return { start: Math.floor(start / 60) * 60, end: Math.min(24 * 60, Math.ceil(end / 60) * 60) };
+};
+
+/**
+ * Time of the slot a drop position falls in
+ * Snaps to the slots of the schedule under the position, or to the default slot length outside schedules
+ * @param {number} minutes - Drop position in minutes from midnight
+ * @param {Array} schedules - Schedules of the doctor on the drop date
+ * @returns {string} HH:MM
+ */
+export const snapToSlot = (minutes, schedules = []) => {
+  const schedule = schedules.find(s =>
+    minutes >= timeToMinutes(s.start_time) && minutes < timeToMinutes(s.end_time)
+  );
+  const start = schedule ? timeToMinutes(schedule.start_time) : 0;
+  const length = getSlotMinutes(schedule || {});
+  const snapped = start + Math.floor((minutes - start) / length) * length;
+  return minutesToTime(Math.max(0, Math.min(snapped, 24 * 60 - length)));
+};
+
+/**
+ * Place overlapping events side by side
+ * @param {Array} events - [{ start, end, ... }] in minutes
+ * @returns {Array} Events with lane (0-based) and lanes (lanes in its overlap group)
+ */
+export const layoutEvents = (events) => {
+  const sorted = [...events].sort((a, b) => a.start - b.start || b.end - a.end);
+  const result = [];
+  let group = [];
+  let groupEnd = -Infinity;
+
+  const closeGroup = () => {
+    const lanes = group.reduce((max, event) => Math.max(max, event.lane + 1), 0);
+    group.forEach(event => result.push({ ...event, lanes }));
+    group = [];
+  };
+
+  sorted.forEach(event => {
+    if (event.start >= groupEnd && group.length > 0) {
+      closeGroup();
+      groupEnd = -Infinity;
+    }
+    const laneEnds = [];
+    group.forEach(placed => {
+      laneEnds[placed.lane] = Math.max(laneEnds[placed.lane] ?? -Infinity, placed.end);
+    });
+    let lane = laneEnds.findIndex(laneEnd => laneEnd <= event.start);
+    if (lane === -1) lane = laneEnds.length;
+    group.push({ ...event, lane });
+    groupEnd = Math.max(groupEnd, event.end);
+  });
+  closeGroup();
+
+  return result;
+};
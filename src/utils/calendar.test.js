@@ -0,0 +1,45 @@
+import { getViewDates, shiftViewDate, layoutEvents, getTimeRange, snapToSlot } from './calendar';
+
+test('builds week and month ranges starting on Sunday', () => {
+  // 15 May 2024 is a Wednesday
+  expect(getViewDates('week', '2024-05-15')).toEqual([
+    '2024-05-12', '2024-05-13', '2024-05-14', '2024-05-15', '2024-05-16', '2024-05-17', '2024-05-18'
+  ]);
+
+  const month = getViewDates('month', '2024-05-15');
+  expect(month[0]).toBe('2024-04-28');
+  expect(month[month.length - 1]).toBe('2024-06-01');
+  expect(month).toHaveLength(35);
+
+  expect(shiftViewDate('month', '2024-01-31', 1)).toBe('2024-02-01');
+  expect(shiftViewDate('week', '2024-05-15', -1)).toBe('2024-05-08');
+});
+
+test('places overlapping events side by side', () => {
+  const events = layoutEvents([
+    { id: 'a', start: 540, end: 555 },
+    { id: 'b', start: 540, end: 570 },
+    { id: 'c', start: 555, end: 570 },
+    { id: 'd', start: 600, end: 615 }
+  ]);
+  const byId = Object.fromEntries(events.map(event => [event.id, event]));
+
+  expect([byId.a.lane, byId.b.lane, byId.c.lane]).toEqual([1, 0, 1]);
+  expect(byId.a.lanes).toBe(2);
+  expect(byId.d).toMatchObject({ lane: 0, lanes: 1 });
+});
+
+test('widens the time grid to fit schedules and appointments', () => {
+  expect(getTimeRange([], [])).toEqual({ start: 480, end: 1080 });
+  expect(getTimeRange(
+    [{ start_time: '07:30', end_time: '12:00' }],
+    [{ appointment_time: '18:30' }]
+  )).toEqual({ start: 420, end: 1200 });
+});
+
+test('snaps drop positions to the slots of the schedule underneath', () => {
+  const schedules = [{ start_time: '09:10', end_time: '12:00', slot_duration: 20 }];
+  expect(snapToSlot(9 * 60 + 45, schedules)).toBe('09:30');
+  expect(snapToSlot(9 * 60 + 5, schedules)).toBe('09:00');
+  expect(snapToSlot(13 * 60 + 7, schedules)).toBe('13:00');
+});
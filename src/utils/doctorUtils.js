@@ -1,8 +1,88 @@
 import { getCurrentUser } from '../services/authService';
 import { getDoctors } from '../services/doctorService';
+import { cachedQuery } from '../services/queryCache';
+
+/**
+ * Find the doctor record linked to a user
+ * @param {Object} currentUser - Logged-in user
+ * @returns {Promise<string|null>} Doctor ID or null if no doctor matches
+ */
+const findDoctorIdForUser = async (currentUser) => {
+  // Get all doctors
+  const doctorsRes = await getDoctors();
+  const doctors = doctorsRes.data || [];
+
+  let doctor = null;
+
+  // Attempt to match by user_id (handle both object and string formats)
+  if (currentUser._id || currentUser.id) {
+    const userId = currentUser._id || currentUser.id;
+    doctor = doctors.find(d => {
+      if (!d.user_id) return false;
+      // Handle populated user_id (object) or direct ID (string)
+      const doctorUserId = typeof d.user_id === 'object' ? d.user_id._id || d.user_id.id : d.user_id;
+      return doctorUserId === userId;
+    });
+    if (doctor) return doctor._id;
+  }
+
+  // Fallback: match by email (case-insensitive)
+  if (currentUser.email) {
+    doctor = doctors.find(d => {
+      if (!d.email) return false;
+      return d.email.toLowerCase() === currentUser.email.toLowerCase();
+    });
+    if (doctor) return doctor._id;
+  }
+
+  // Fallback: match by _id if the user object itself is a doctor record
+  const userId = currentUser._id || currentUser.id;
+  if (userId) {
+    doctor = doctors.find(d => d._id === userId);
+    if (doctor) return doctor._id;
+  }
+
+  // Fallback: match by name (less reliable)
+  if (currentUser.name) {
+    const nameParts = currentUser.name.split(' ');
+    if (nameParts.length >= 2) {
+      const firstName = nameParts[0];
+      const lastName = nameParts.slice(1).join(' ');
+      doctor = doctors.find(d =>
+        d.first_name?.toLowerCase() === firstName?.toLowerCase() &&
+        d.last_name?.toLowerCase() === lastName?.toLowerCase()
+      );
+      if (doctor) {
+        console.log('Found doctor by name:', doctor._id);
+        return doctor._id;
+      }
+    }
+  }
+
+  // Debug: Log what we're looking for vs what's available
+  console.warn('Doctor profile not found. Current user:', {
+    _id: currentUser._id,
+    id: currentUser.id,
+    email: currentUser.email,
+    name: currentUser.name,
+    role: currentUser.role
+  });
+  console.warn('Available doctors:', doctors.map(d => ({
+    _id: d._id,
+    email: d.email,
+    user_id: d.user_id,
+    user_id_type: typeof d.user_id,
+    user_id_value: typeof d.user_id === 'object' ? (d.user_id._id || d.user_id.id) : d.user_id,
+    first_name: d.first_name,
+    last_name: d.last_name
+  })));
+
+  return null;
+};
 
 /**
  * Get the current doctor ID for the logged-in doctor user
+ * The match is resolved once per user and kept until doctors change or the user logs out
  * @returns {Promise<string|null>} Doctor ID or null if not found or not a doctor
  */
 export const getCurrentDoctorId = async () => {
@@ -18,76 +98,13 @@ export const getCurrentDoctorId = async () => {
       return null;
     }
 
-    // Get all doctors
-    const doctorsRes = await getDoctors();
-    const doctors = doctorsRes.data || [];
-
-    let doctor = null;
-
-    // Attempt to match by user_id (handle both object and string formats)
-    if (currentUser._id || currentUser.id) {
-      const userId = currentUser._id || currentUser.id;
-      doctor = doctors.find(d => {
-        if (!d.user_id) return false;
-        // Handle populated user_id (object) or direct ID (string)
-        const doctorUserId = typeof d.user_id === 'object' ? d.user_id._id || d.user_id.id : d.user_id;
-        return doctorUserId === userId;
-      });
-      if (doctor) return doctor._id;
-    }
-
-    // Fallback: match by email (case-insensitive)
-    if (currentUser.email) {
-      doctor = doctors.find(d => {
-        if (!d.email) return false;
-        return d.email.toLowerCase() === currentUser.email.toLowerCase();
-      });
-      if (doctor) return doctor._id;
-    }
-
-    // Fallback: match by _id if the user object itself is a doctor record
-    const userId = currentUser._id || currentUser.id;
-    if (userId) {
-      doctor = doctors.find(d => d._id === userId);
-      if (doctor) return doctor._id;
-    }
-
-    // Fallback: match by name (less reliable)
-    if (currentUser.name) {
-      const nameParts = currentUser.name.split(' ');
-      if (nameParts.length >= 2) {
-        const firstName = nameParts[0];
-        const lastName = nameParts.slice(1).join(' ');
-        doctor = doctors.find(d =>
-          d.first_name?.toLowerCase() === firstName?.toLowerCase() &&
-          d.last_name?.toLowerCase() === lastName?.toLowerCase()
-        );
-        if (doctor) {
-          console.log('Found doctor by name:', doctor._id);
-          return doctor._id;
-        }
-      }
-    }
-
-    // Debug: Log what we're looking for vs what's available
-    console.warn('Doctor profile not found. Current user:', {
-      _id: currentUser._id,
-      id: currentUser.id,
-      email: currentUser.email,
-      name: currentUser.name,
-      role: currentUser.role
-    });
-    console.warn('Available doctors:', doctors.map(d => ({
-      _id: d._id,
-      email: d.email,
-      user_id: d.user_id,
-      user_id_type: typeof d.user_id,
-      user_id_value: typeof d.user_id === 'object' ? (d.user_id._id || d.user_id.id) : d.user_id,
-      first_name: d.first_name,
-      last_name: d.last_name
-    })));
-
-    return null;
+    // Keyed under '/doctors' so doctor mutations invalidate it
+    const userKey = currentUser._id || currentUser.id || currentUser.email;
+    return await cachedQuery(
+      `/doctors#current-user:${userKey}`,
+      () => findDoctorIdForUser(currentUser),
+      { staleTime: Infinity }
+    );
   } catch (error) {
     console.error('Error getting current doctor ID:', error);
     return null;
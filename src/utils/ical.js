@@ -0,0 +1,366 @@
+/**
+ * iCalendar (.ics)
+ * Appointments and doctor sessions as iCalendar events (RFC 5545), for the
+ * "Add to calendar" downloads and the doctors' subscription feeds. Weekly sessions repeat
+ * within their effective dates; schedule overrides become exceptions and single events.
+ * Times are the hospital's wall-clock times: with REACT_APP_HOSPITAL_TIMEZONE set
+ * (e.g. Africa/Kigali) they carry that zone, defined in the calendar's VTIMEZONE, otherwise
+ * they float and show as written.
+ */
+
+import {
+  addDays,
+  DAYS_OF_WEEK,
+  DEFAULT_SLOT_MINUTES,
+  getDateKey,
+  getDayOfWeek,
+  getSessionsOn,
+  getSlotMinutes,
+  getTodayKey,
+  timeToMinutes
+} from './slots';
+
+const PRODUCT_ID = '-//Hospital Management System//Appointments//EN';
+
+const UID_DOMAIN = 'hospital-appointments';
+
+const HOSPITAL_TIMEZONE = process.env.REACT_APP_HOSPITAL_TIMEZONE || '';
+
+// RRULE weekday codes, in DAYS_OF_WEEK order
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Appointments older than this are left out of the feeds
+export const FEED_PAST_DAYS = 30;
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const asObject = (ref) => (ref && typeof ref === 'object' ? ref : {});
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let length = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (length + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      length = 0;
+    }
+    current += char;
+    length += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Local date and time as an iCalendar value ('2026-10-19', 570 -> '20261019T093000')
+ * Minutes past midnight roll over into the next day.
+ */
+const formatLocal = (dateKey, minutes) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const value = new Date(Date.UTC(year, month - 1, day, 0, minutes));
+  return `${value.getUTCFullYear()}${pad(value.getUTCMonth() + 1)}${pad(value.getUTCDate())}` +
+    `T${pad(value.getUTCHours())}${pad(value.getUTCMinutes())}00`;
+};
+
+const formatTimestamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const dateProperty = (name, value) =>
+  (HOSPITAL_TIMEZONE ? `${name};TZID=${HOSPITAL_TIMEZONE}:${value}` : `${name}:${value}`);
+
+// UTC offset as an iCalendar value (-300 -> '-0500')
+const formatOffset = (minutes) =>
+  `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+
+// Minutes the zone is ahead of UTC at a time (milliseconds, on a whole minute)
+const getZoneOffset = (formatter, time) => {
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+  return (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - time) / 60000;
+};
+
+// Day of the month of its nth weekday; week -1 is the last one
+const getNthWeekday = (year, month, weekday, week) => {
+  if (week > 0) return 1 + (weekday - new Date(Date.UTC(year, month - 1, 1)).getUTCDay() + 7) % 7 + (week - 1) * 7;
+  const last = new Date(Date.UTC(year, month, 0));
+  return last.getUTCDate() - (last.getUTCDay() - weekday + 7) % 7;
+};
+
+/**
+ * VTIMEZONE lines for a zone, with this year's offset changes as yearly rules
+ * The changes are found month by month with Intl, down to the minute, and repeat on the
+ * same weekday of the month (e.g. the last Sunday of March) in every year.
+ */
+const buildTimeZone = (timeZone, now) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  });
+  const year = new Date(now).getUTCFullYear();
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  for (let month = 0; month < 12; month++) {
+    let before = Date.UTC(year, month, 1);
+    let after = Date.UTC(year, month + 1, 1);
+    const from = getZoneOffset(formatter, before);
+    const to = getZoneOffset(formatter, after);
+    if (from === to) continue;
+
+    while (after - before > 60000) {
+      const middle = before + Math.floor((after - before) / 120000) * 60000;
+      if (getZoneOffset(formatter, middle) === from) before = middle;
+      else after = middle;
+    }
+
+    // The change happens at this wall-clock time, still in the old offset
+    const local = new Date(after + from * 60000);
+    const changeMonth = local.getUTCMonth() + 1;
+    const weekday = local.getUTCDay();
+    const daysInMonth = new Date(Date.UTC(year, changeMonth, 0)).getUTCDate();
+    const week = local.getUTCDate() > daysInMonth - 7 ? -1 : Math.ceil(local.getUTCDate() / 7);
+    const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatLocal(`1970-${pad(changeMonth)}-${pad(getNthWeekday(1970, changeMonth, weekday, week))}`,
+        local.getUTCHours() * 60 + local.getUTCMinutes())}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${changeMonth};BYDAY=${week}${WEEKDAY_CODES[weekday]}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${kind}`
+    );
+  }
+
+  // A zone without daylight saving keeps one offset all year
+  if (lines.length === 2) {
+    const offset = formatOffset(getZoneOffset(formatter, Date.UTC(year, 0, 1)));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+const getDoctorName = (doctor) => (doctor.first_name ? `Dr. ${doctor.first_name} ${doctor.last_name}` : '');
+
+const getPatientName = (patient) => `${patient.first_name || ''} ${patient.last_name || ''}`.trim();
+
+/**
+ * Event for one appointment
+ * @param {Object} appointment - Appointment, ideally with patient, doctor and department populated
+ * @param {Object} options - { audience, durationMinutes, doctorName, patientName, department, location, reason }
+ *   - audience: 'patient' (default) titles it with the doctor, 'doctor' with the patient
+ *   - the other options override what the populated references give
+ * @returns {Object|null} Event, or null when the appointment has no date
+ */
+export const getAppointmentEvent = (appointment, options = {}) => {
+  const dateKey = getDateKey(appointment.appointment_date);
+  if (!dateKey) return null;
+
+  const doctor = asObject(appointment.doctor_id);
+  const department = asObject(appointment.department_id);
+  const doctorName = options.doctorName ?? getDoctorName(doctor);
+  const patientName = options.patientName ?? getPatientName(asObject(appointment.patient_id));
+  const departmentName = options.department ?? department.department_name ?? '';
+  const reason = options.reason ?? appointment.reason ?? '';
+  const start = timeToMinutes(appointment.appointment_time);
+  const startMinutes = isNaN(start) ? 0 : start;
+
+  const summary = options.audience === 'doctor'
+    ? `Appointment${patientName ? `: ${patientName}` : ''}`
+    : `Appointment${doctorName ? ` with ${doctorName}` : ''}`;
+
+  return {
+    uid: `appointment-${appointment._id}@${UID_DOMAIN}`,
+    start: formatLocal(dateKey, startMinutes),
+    end: formatLocal(dateKey, startMinutes + (options.durationMinutes || DEFAULT_SLOT_MINUTES)),
+    summary,
+    description: [
+      options.audience === 'doctor' ? '' : doctorName && `Doctor: ${doctorName}`,
+      departmentName && `Department: ${departmentName}`,
+      reason && `Reason: ${reason}`
+    ].filter(Boolean).join('\n'),
+    location: options.location ?? doctor.room ?? '',
+    status: appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    lastModified: appointment.updatedAt
+  };
+};
+
+/**
+ * Weekly event for a doctor's clinic session, starting with its first occurrence on or after `from`
+ * The series starts no earlier than the schedule's effective_from and stops after its effective_to.
+ * @param {Object} schedule - Doctor schedule { _id, day_of_week, start_time, end_time, effective_from, effective_to }
+ * @param {Object} options - { from, location, overrides }
+ *   - overrides: schedule overrides; the occurrences they change or cancel are left out of the series
+ * @returns {Object|null} Event, or null when the schedule has no valid day or times, or no occurrence left
+ */
+export const getScheduleEvent = (schedule, { from = getTodayKey(), location = '', overrides = [] } = {}) => {
+  const dayIndex = DAYS_OF_WEEK.indexOf(schedule.day_of_week);
+  const start = timeToMinutes(schedule.start_time);
+  const end = timeToMinutes(schedule.end_time);
+  if (dayIndex === -1 || isNaN(start) || isNaN(end)) return null;
+
+  const effectiveFrom = getDateKey(schedule.effective_from);
+  const effectiveTo = getDateKey(schedule.effective_to);
+  const first = effectiveFrom && effectiveFrom > from ? effectiveFrom : from;
+  const offset = (dayIndex - DAYS_OF_WEEK.indexOf(getDayOfWeek(first)) + 7) % 7;
+  const firstDate = addDays(first, offset);
+  if (effectiveTo && firstDate > effectiveTo) return null;
+
+  // With a time zone UNTIL has to be in UTC; the end of the day is late enough either way
+  const until = effectiveTo ? `;UNTIL=${effectiveTo.replace(/-/g, '')}T235959${HOSPITAL_TIMEZONE ? 'Z' : ''}` : '';
+  const exdates = overrides
+    .filter(override => getId(override.schedule_id) === schedule._id)
+    .map(override => getDateKey(override.date))
+    .filter(date => date && date >= firstDate && getDayOfWeek(date) === schedule.day_of_week)
+    .sort()
+    .map(date => formatLocal(date, start));
+
+  return {
+    uid: `schedule-${schedule._id}@${UID_DOMAIN}`,
+    start: formatLocal(firstDate, start),
+    end: formatLocal(firstDate, end),
+    rrule: `FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES[dayIndex]}${until}`,
+    exdates,
+    summary: 'Clinic session',
+    description: schedule.max_patients ? `Up to ${schedule.max_patients} patients` : '',
+    location,
+    status: 'CONFIRMED',
+    transparent: true,
+    lastModified: schedule.updatedAt
+  };
+};
+
+/**
+ * Single event for a session on one date: an extra session, or a weekly session with changed hours
+ * @param {Object} session - Session from getSessionsOn with kind 'extra' or 'changed'
+ * @param {Object} options - { location }
+ * @returns {Object|null} Event, or null when the session has no valid times
+ */
+export const getSessionEvent = (session, { location = '' } = {}) => {
+  const start = timeToMinutes(session.start_time);
+  const end = timeToMinutes(session.end_time);
+  if (!session.date || isNaN(start) || isNaN(end)) return null;
+
+  return {
+    uid: `schedule-override-${session.override._id}@${UID_DOMAIN}`,
+    start: formatLocal(session.date, start),
+    end: formatLocal(session.date, end),
+    summary: session.kind === 'extra' ? 'Extra clinic session' : 'Clinic session (changed)',
+    description: [
+      session.max_patients && `Up to ${session.max_patients} patients`,
+      session.override.reason
+    ].filter(Boolean).join('\n'),
+    location,
+    status: 'CONFIRMED',
+    transparent: true,
+    lastModified: session.override.updatedAt
+  };
+};
+
+/**
+ * iCalendar file with the given events
+ * @param {Array} events - Events from getAppointmentEvent / getScheduleEvent / getSessionEvent (nulls are skipped)
+ * @param {Object} options - { name, now }
+ * @returns {string} .ics content
+ */
+export const buildCalendar = (events, { name, now = new Date() } = {}) => {
+  const stamp = formatTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    HOSPITAL_TIMEZONE && `X-WR-TIMEZONE:${HOSPITAL_TIMEZONE}`,
+    ...(HOSPITAL_TIMEZONE ? buildTimeZone(HOSPITAL_TIMEZONE, now) : [])
+  ];
+
+  events.filter(Boolean).forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      dateProperty('DTSTART', event.start),
+      dateProperty('DTEND', event.end),
+      event.rrule && `RRULE:${event.rrule}`,
+      event.exdates?.length > 0 && dateProperty('EXDATE', event.exdates.join(',')),
+      `SUMMARY:${escapeText(event.summary)}`,
+      event.description && `DESCRIPTION:${escapeText(event.description)}`,
+      event.location && `LOCATION:${escapeText(event.location)}`,
+      `STATUS:${event.status}`,
+      event.transparent && 'TRANSP:TRANSPARENT',
+      event.lastModified && `LAST-MODIFIED:${formatTimestamp(event.lastModified)}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.filter(Boolean).map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * A doctor's calendar feed: their sessions and their appointments
+ * Appointments are titled with the patient's name but leave out the reason, since
+ * subscribed calendars are synced to outside services.
+ * @param {Object} doctor - Doctor { _id, first_name, last_name, room }
+ * @param {Array} schedules - The doctor's schedules
+ * @param {Array} appointments - The doctor's appointments, patients populated
+ * @param {Object} options - { now, overrides }
+ *   - overrides: the doctor's schedule overrides
+ * @returns {string} .ics content
+ */
+export const buildDoctorCalendar = (doctor, schedules = [], appointments = [], { now = new Date(), overrides = [] } = {}) => {
+  const today = getTodayKey(now);
+  const oldest = addDays(today, -FEED_PAST_DAYS);
+  const location = doctor.room || '';
+
+  const sessionLength = (appointment) => {
+    const dateKey = getDateKey(appointment.appointment_date);
+    const minutes = timeToMinutes(appointment.appointment_time);
+    const sessions = dateKey ? getSessionsOn(schedules, dateKey, { overrides }) : [];
+    const session = sessions.find(s => minutes >= timeToMinutes(s.start_time) && minutes < timeToMinutes(s.end_time)) ||
+      sessions[0];
+    return session ? getSlotMinutes(session) : DEFAULT_SLOT_MINUTES;
+  };
+
+  const appointmentEvents = appointments
+    .filter(appointment => getId(appointment.doctor_id) === doctor._id)
+    .filter(appointment => (getDateKey(appointment.appointment_date) || '') >= oldest)
+    .map(appointment => getAppointmentEvent(appointment, {
+      audience: 'doctor',
+      durationMinutes: sessionLength(appointment),
+      location,
+      reason: ''
+    }));
+
+  // Extra and changed sessions from today on, each as its own event
+  const overrideDates = [...new Set(overrides.map(override => getDateKey(override.date)))]
+    .filter(date => date && date >= today);
+  const sessionEvents = overrideDates
+    .flatMap(date => getSessionsOn(schedules, date, { overrides }))
+    .filter(session => session.kind === 'extra' || session.kind === 'changed')
+    .map(session => getSessionEvent(session, { location }));
+
+  return buildCalendar([
+    ...schedules.map(schedule => getScheduleEvent(schedule, { from: today, location, overrides })),
+    ...sessionEvents,
+    ...appointmentEvents
+  ], { name: `${getDoctorName(doctor) || 'Doctor'} – Clinic`, now });
+};
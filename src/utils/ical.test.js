@@ -0,0 +1,89 @@
+import { buildCalendar, buildDoctorCalendar, getAppointmentEvent } from './ical';
+
+const now = new Date(2024, 4, 6, 10, 0);
+const doctor = { _id: 'doc-1', first_name: 'Omar', last_name: 'Haddad', room: 'Clinic 4' };
+const patient = { _id: 'pat-1', first_name: 'Noor', last_name: 'Hamdan' };
+
+test('an appointment becomes a single event with escaped text and folded lines', () => {
+  const appointment = {
+    _id: 'appt-1',
+    appointment_date: '2024-05-08T00:00:00.000Z',
+    appointment_time: '23:50',
+    doctor_id: doctor,
+    department_id: { _id: 'dept-1', department_name: 'Sports, Knee; Hip' },
+    reason: `Knee pain after running ${'and more '.repeat(10)}`
+  };
+  const ics = buildCalendar([getAppointmentEvent(appointment, { durationMinutes: 20 })], { now });
+
+  expect(ics).toMatch(/^BEGIN:VCALENDAR\r\n/);
+  expect(ics).toContain('UID:appointment-appt-1@hospital-appointments\r\n');
+  expect(ics).toContain('DTSTART:20240508T235000\r\n');
+  expect(ics).toContain('DTEND:20240509T001000\r\n');
+  expect(ics).toContain('SUMMARY:Appointment with Dr. Omar Haddad\r\n');
+  expect(ics).toContain('Department: Sports\\, Knee\\; Hip');
+  expect(ics).toContain('LOCATION:Clinic 4\r\n');
+  expect(ics.split('\r\n').every(line => line.length <= 75)).toBe(true);
+  expect(ics).toMatch(/END:VCALENDAR\r\n$/);
+});
+
+test('a doctor feed repeats each session weekly and lists recent appointments without reasons', () => {
+  const schedules = [{ _id: 'sched-1', doctor_id: 'doc-1', day_of_week: 'Tuesday', start_time: '10:00', end_time: '16:00', slot_duration: 30 }];
+  const appointments = [
+    { _id: 'appt-soon', doctor_id: 'doc-1', patient_id: patient, appointment_date: '2024-05-07', appointment_time: '10:30', reason: 'Private', status: 'cancelled' },
+    { _id: 'appt-old', doctor_id: 'doc-1', patient_id: patient, appointment_date: '2024-01-02', appointment_time: '10:00' },
+    { _id: 'appt-other', doctor_id: 'doc-2', patient_id: patient, appointment_date: '2024-05-07', appointment_time: '11:00' }
+  ];
+  const ics = buildDoctorCalendar(doctor, schedules, appointments, { now });
+
+  expect(ics).toContain('X-WR-CALNAME:Dr. Omar Haddad – Clinic');
+  expect(ics).toContain('DTSTART:20240507T100000\r\nDTEND:20240507T160000\r\nRRULE:FREQ=WEEKLY;BYDAY=TU');
+  expect(ics).toContain('SUMMARY:Appointment: Noor Hamdan');
+  expect(ics).toContain('DTEND:20240507T110000\r\n');
+  expect(ics).toContain('STATUS:CANCELLED');
+  expect(ics).not.toContain('Private');
+  expect(ics).not.toContain('appt-old');
+  expect(ics).not.toContain('appt-other');
+});
+
+test('a doctor feed ends sessions on their effective date and shows date overrides', () => {
+  const schedules = [{ _id: 'sched-1', doctor_id: 'doc-1', day_of_week: 'Tuesday', start_time: '10:00', end_time: '16:00', effective_to: '2024-06-25' }];
+  const overrides = [
+    { _id: 'ovr-1', doctor_id: 'doc-1', date: '2024-05-14', schedule_id: 'sched-1', end_time: '12:00' },
+    { _id: 'ovr-2', doctor_id: 'doc-1', date: '2024-05-11', start_time: '09:00', end_time: '11:00', reason: 'Saturday clinic' }
+  ];
+  const ics = buildDoctorCalendar(doctor, schedules, [], { now, overrides });
+
+  expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20240625T235959\r\nEXDATE:20240514T100000');
+  expect(ics).toContain('DTSTART:20240514T100000\r\nDTEND:20240514T120000\r\nSUMMARY:Clinic session (changed)');
+  expect(ics).toContain('DTSTART:20240511T090000\r\nDTEND:20240511T110000\r\nSUMMARY:Extra clinic session\r\nDESCRIPTION:Saturday clinic');
+});
+
+test('times in the hospital zone come with a VTIMEZONE for that zone', () => {
+  const load = (timeZone) => {
+    let ical;
+    process.env.REACT_APP_HOSPITAL_TIMEZONE = timeZone;
+    jest.isolateModules(() => { ical = require('./ical'); });
+    delete process.env.REACT_APP_HOSPITAL_TIMEZONE;
+    return ical;
+  };
+  const appointment = { _id: 'appt-1', appointment_date: '2024-05-08', appointment_time: '09:30' };
+
+  const { buildCalendar: buildLondon, getAppointmentEvent: londonEvent } = load('Europe/London');
+  const london = buildLondon([londonEvent(appointment)], { now });
+  expect(london).toContain('DTSTART;TZID=Europe/London:20240508T093000\r\n');
+  expect(london).toContain([
+    'BEGIN:VTIMEZONE', 'TZID:Europe/London',
+    'BEGIN:DAYLIGHT', 'DTSTART:19700329T010000', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'TZOFFSETFROM:+0000', 'TZOFFSETTO:+0100', 'END:DAYLIGHT',
+    'BEGIN:STANDARD', 'DTSTART:19701025T020000', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0000', 'END:STANDARD',
+    'END:VTIMEZONE', 'BEGIN:VEVENT'
+  ].join('\r\n'));
+
+  const { buildCalendar: buildKigali } = load('Africa/Kigali');
+  expect(buildKigali([], { now })).toContain([
+    'BEGIN:VTIMEZONE', 'TZID:Africa/Kigali',
+    'BEGIN:STANDARD', 'DTSTART:19700101T000000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0200', 'END:STANDARD',
+    'END:VTIMEZONE'
+  ].join('\r\n'));
+});
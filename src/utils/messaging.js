@@ -0,0 +1,99 @@
+/**
+ * Patient Messaging
+ * The channels patients can be reached on and how a message finds its way to them:
+ * the patient's preferred channel when they have the contact details for it,
+ * otherwise email, then SMS to their phone.
+ */
+
+export const MESSAGE_CHANNELS = [
+  { value: 'email', label: 'Email' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'whatsapp', label: 'WhatsApp' }
+];
+
+// Delivery statuses reported by the providers, in the order a message goes through them
+export const DELIVERY_STATUSES = [
+  { value: 'queued', label: 'Queued' },
+  { value: 'sent', label: 'Sent' },
+  { value: 'delivered', label: 'Delivered' },
+  { value: 'read', label: 'Read' },
+  { value: 'failed', label: 'Failed' }
+];
+
+// Channels tried when the preferred one cannot be used
+const FALLBACK_CHANNELS = ['email', 'sms'];
+
+// Country code added to local phone numbers, e.g. REACT_APP_DEFAULT_COUNTRY_CODE=250
+const DEFAULT_COUNTRY_CODE = process.env.REACT_APP_DEFAULT_COUNTRY_CODE || '250';
+
+/**
+ * Label of a channel
+ * @param {string} channel
+ * @returns {string}
+ */
+export const getChannelLabel = (channel) =>
+  MESSAGE_CHANNELS.find(option => option.value === channel)?.label || channel || 'N/A';
+
+/**
+ * Label of a delivery status
+ * @param {string} status
+ * @returns {string}
+ */
+export const getDeliveryStatusLabel = (status) =>
+  DELIVERY_STATUSES.find(option => option.value === status)?.label || status || 'N/A';
+
+/**
+ * Whether a message did not reach the patient
+ * @param {Object} message - Message record { status }
+ * @returns {boolean}
+ */
+export const isUndelivered = (message) => !message || message.status === 'failed';
+
+/**
+ * Phone number in international format ('0785 201 554' -> '+250785201554')
+ * @param {string} phone
+ * @param {string} countryCode - Added to numbers without one
+ * @returns {string|null} null when it is not a phone number
+ */
+export const normalizePhone = (phone, countryCode = DEFAULT_COUNTRY_CODE) => {
+  if (!phone) return null;
+  const trimmed = String(phone).trim();
+  let digits = trimmed.replace(/\D/g, '');
+  if (!trimmed.startsWith('+')) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else if (digits.startsWith('0')) {
+      digits = `${countryCode}${digits.slice(1)}`;
+    } else if (digits.length <= 9) {
+      digits = `${countryCode}${digits}`;
+    }
+  }
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+};
+
+/**
+ * Where a patient is reached on a channel
+ * @param {Object} patient - { email, phone }
+ * @param {string} channel
+ * @returns {string|null} Email address or phone number
+ */
+export const getChannelAddress = (patient, channel) => {
+  if (!patient) return null;
+  if (channel === 'email') return patient.email || null;
+  if (channel === 'sms' || channel === 'whatsapp') return normalizePhone(patient.phone);
+  return null;
+};
+
+/**
+ * Channel a message to a patient goes out on
+ * @param {Object} patient - { preferred_channel, email, phone }
+ * @returns {Object|null} { channel, to }, or null when the patient cannot be reached
+ */
+export const getPatientChannel = (patient) => {
+  const channels = [patient?.preferred_channel, ...FALLBACK_CHANNELS].filter(Boolean);
+  for (const channel of channels) {
+    const to = getChannelAddress(patient, channel);
+    if (to) return { channel, to };
+  }
+  return null;
+};
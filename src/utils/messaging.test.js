@@ -0,0 +1,20 @@
+import { getPatientChannel, normalizePhone } from './messaging';
+
+test('normalizes local and international phone numbers', () => {
+  expect(normalizePhone('0785 201 554', '250')).toBe('+250785201554');
+  expect(normalizePhone('+962 79 000 0010')).toBe('+962790000010');
+  expect(normalizePhone('00962790000010')).toBe('+962790000010');
+  expect(normalizePhone('785201554', '250')).toBe('+250785201554');
+  expect(normalizePhone('12')).toBeNull();
+  expect(normalizePhone('')).toBeNull();
+});
+
+test('uses the preferred channel when possible and falls back to email, then SMS', () => {
+  const patient = { email: 'maya@example.com', phone: '+962790000011' };
+
+  expect(getPatientChannel({ ...patient, preferred_channel: 'whatsapp' })).toEqual({ channel: 'whatsapp', to: '+962790000011' });
+  expect(getPatientChannel(patient)).toEqual({ channel: 'email', to: 'maya@example.com' });
+  expect(getPatientChannel({ preferred_channel: 'email', phone: '+962790000011' })).toEqual({ channel: 'sms', to: '+962790000011' });
+  expect(getPatientChannel({ preferred_channel: 'whatsapp', email: 'maya@example.com' })).toEqual({ channel: 'email', to: 'maya@example.com' });
+  expect(getPatientChannel({ first_name: 'No contact' })).toBeNull();
+});
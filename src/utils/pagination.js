@@ -0,0 +1,106 @@
+/**
+ * Pagination Utilities
+ * Shared by list pages that request one page at a time.
+ * Services send { page, limit, sort, search } and the backend answers with
+ * { data: [...], pagination: { page, limit, total, pages } }.
+ * When a response has no pagination (older backend, or a list built on the client)
+ * the same paging, sorting and searching is applied here instead.
+ */
+
+export const PAGE_SIZE_OPTIONS = [10, 20, 50, 100];
+export const DEFAULT_PAGE_SIZE = 20;
+
+// Read a possibly nested field: 'patient_id.last_name'
+export const getFieldValue = (item, field) =>
+  field.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+
+// Nulls last, numbers numerically, everything else as natural text
+export const compareValues = (a, b) => {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * Sort items by a sort key
+ * @param {Array} items - Items to sort
+ * @param {string} sort - Field name, prefixed with '-' for descending (e.g. '-createdAt')
+ * @returns {Array} New sorted array
+ */
+export const sortItems = (items, sort) => {
+  if (!sort) return items;
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  return [...items].sort((a, b) => {
+    const result = compareValues(getFieldValue(a, field), getFieldValue(b, field));
+    return descending ? -result : result;
+  });
+};
+
+/**
+ * Keep items whose fields contain the search text (case-insensitive)
+ * @param {Array} items - Items to search
+ * @param {string} search - Free-text query
+ * @param {Array} fields - Field names to search, nested fields allowed
+ * @returns {Array}
+ */
+export const searchItems = (items, search, fields = []) => {
+  const term = (search || '').trim().toLowerCase();
+  if (!term || fields.length === 0) return items;
+  return items.filter(item =>
+    fields.some(field => String(getFieldValue(item, field) ?? '').toLowerCase().includes(term))
+  );
+};
+
+/**
+ * Page through a list held in memory
+ * @param {Array} items - Full list
+ * @param {Object} query - { page, limit, sort, search, searchFields, filter }
+ *   - filter: optional predicate for page filters the backend would otherwise apply
+ * @returns {Object} { items, page, limit, total, totalPages }
+ */
+export const paginateLocally = (items, query = {}) => {
+  const { page = 1, limit = DEFAULT_PAGE_SIZE, sort, search, searchFields, filter } = query;
+  const filtered = filter ? (items || []).filter(filter) : items || [];
+  const matching = sortItems(searchItems(filtered, search, searchFields), sort);
+  const total = matching.length;
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const currentPage = Math.min(Math.max(1, page), totalPages);
+  const start = (currentPage - 1) * limit;
+
+  return {
+    items: matching.slice(start, start + limit),
+    page: currentPage,
+    limit,
+    total,
+    totalPages,
+  };
+};
+
+/**
+ * Turn a list response into a page
+ * @param {Object|Array} response - Service response ({ data, pagination }) or a plain array
+ * @param {Object} query - The { page, limit, sort, search, searchFields, filter } that was requested
+ * @returns {Object} { items, page, limit, total, totalPages }
+ */
+export const toPageResult = (response, query = {}) => {
+  const items = Array.isArray(response) ? response : response?.data || [];
+  const pagination = Array.isArray(response) ? null : response?.pagination;
+
+  if (pagination && pagination.total !== undefined) {
+    const limit = Number(pagination.limit) || query.limit || DEFAULT_PAGE_SIZE;
+    const total = Number(pagination.total);
+    return {
+      items,
+      page: Number(pagination.page) || query.page || 1,
+      limit,
+      total,
+      totalPages: Number(pagination.pages) || Math.max(1, Math.ceil(total / limit)),
+    };
+  }
+
+  // The backend returned the whole collection: page it here
+  return paginateLocally(items, query);
+};
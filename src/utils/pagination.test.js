@@ -0,0 +1,32 @@
+import { paginateLocally, toPageResult } from './pagination';
+
+const patients = [
+  { _id: '1', last_name: 'Saleh', createdAt: '2024-01-03' },
+  { _id: '2', last_name: 'Haddad', createdAt: '2024-01-01' },
+  { _id: '3', last_name: 'Khan', createdAt: '2024-01-02' },
+];
+
+test('uses the pagination returned by the backend', () => {
+  const result = toPageResult(
+    { success: true, data: patients.slice(0, 2), pagination: { page: 2, limit: 2, total: 5, pages: 3 } },
+    { page: 2, limit: 2 }
+  );
+
+  expect(result).toEqual({ items: patients.slice(0, 2), page: 2, limit: 2, total: 5, totalPages: 3 });
+});
+
+test('pages, sorts and searches unpaged responses locally', () => {
+  const sorted = toPageResult({ success: true, data: patients }, { page: 1, limit: 2, sort: '-createdAt' });
+  expect(sorted.items.map(p => p._id)).toEqual(['1', '3']);
+  expect(sorted.totalPages).toBe(2);
+
+  const searched = toPageResult(patients, { search: 'kha', searchFields: ['last_name'] });
+  expect(searched.items.map(p => p._id)).toEqual(['3']);
+});
+
+test('clamps the page to the last available page', () => {
+  const result = paginateLocally(patients, { page: 9, limit: 2, filter: p => p._id !== '2' });
+
+  expect(result.page).toBe(1);
+  expect(result.total).toBe(2);
+});
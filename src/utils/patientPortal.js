@@ -0,0 +1,78 @@
+import { isFinalStatus } from './appointmentStatus';
+import { getAppointmentStart } from './reminders';
+import { getDateKey, getTodayKey } from './slots';
+
+/**
+ * Patient Portal
+ * Sorts a patient's own appointments into upcoming and past ones, and writes the visit summaries
+ * patients download from their medical records.
+ */
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const byStart = (a, b) =>
+  (getAppointmentStart(a)?.getTime() || 0) - (getAppointmentStart(b)?.getTime() || 0);
+
+/**
+ * Split a patient's appointments into upcoming and past ones
+ * Appointments still to be attended, from today on, are upcoming; the rest are past.
+ * @param {Array} appointments - The patient's appointments
+ * @param {Date} now - Current time
+ * @returns {Object} { upcoming (soonest first), past (newest first) }
+ */
+export const splitAppointments = (appointments = [], now = new Date()) => {
+  const todayKey = getTodayKey(now);
+  const isUpcoming = appointment =>
+    !isFinalStatus(appointment.status || 'scheduled') && (getDateKey(appointment.appointment_date) || '') >= todayKey;
+  return {
+    upcoming: appointments.filter(isUpcoming).sort(byStart),
+    past: appointments.filter(appointment => !isUpcoming(appointment)).sort((a, b) => byStart(b, a))
+  };
+};
+
+/**
+ * The visit a medical record was written at: its appointment_id, or else the patient's
+ * completed appointment on the day of the record
+ * @param {Object} record - Medical record
+ * @param {Array} appointments - The patient's appointments
+ * @returns {Object|null} Appointment
+ */
+export const findVisitAppointment = (record, appointments = []) => {
+  const appointmentId = getId(record.appointment_id);
+  if (appointmentId) {
+    return appointments.find(appointment => appointment._id === appointmentId) || null;
+  }
+  const recordDate = getDateKey(record.visit_date || record.createdAt);
+  return appointments.find(appointment =>
+    appointment.status === 'completed' && getDateKey(appointment.appointment_date) === recordDate
+  ) || null;
+};
+
+/**
+ * Visit summary of a medical record as plain text, for download
+ * @param {Object} record - Medical record { diagnosis, treatment_notes, visit_date, createdAt }
+ * @param {Object} context - { patient, appointment } appointment: the visit, with doctor and department populated
+ * @returns {string}
+ */
+export const buildVisitSummary = (record, { patient, appointment } = {}) => {
+  const doctor = appointment && typeof appointment.doctor_id === 'object' ? appointment.doctor_id : null;
+  const department = appointment && typeof appointment.department_id === 'object' ? appointment.department_id : null;
+  const lines = [
+    'Kigali Specialized Orthopaedic Hospital',
+    'VISIT SUMMARY',
+    '',
+    patient && `Patient: ${patient.first_name} ${patient.last_name}`,
+    patient?.date_of_birth && `Date of birth: ${getDateKey(patient.date_of_birth)}`,
+    `Visit date: ${getDateKey(appointment?.appointment_date || record.visit_date || record.createdAt) || 'N/A'}`,
+    doctor && `Doctor: Dr. ${doctor.first_name} ${doctor.last_name}`,
+    department?.department_name && `Department: ${department.department_name}`,
+    appointment?.reason && `Reason for visit: ${appointment.reason}`,
+    '',
+    'Diagnosis',
+    record.diagnosis || 'N/A',
+    '',
+    'Treatment notes',
+    record.treatment_notes || 'N/A'
+  ];
+  return lines.filter(line => typeof line === 'string').join('\n');
+};
@@ -0,0 +1,44 @@
+import { buildVisitSummary, findVisitAppointment, splitAppointments } from './patientPortal';
+
+const appointments = [
+  { _id: 'a1', status: 'completed', appointment_date: '2024-05-01T00:00:00.000Z', appointment_time: '09:00' },
+  { _id: 'a2', status: 'scheduled', appointment_date: '2024-05-10T00:00:00.000Z', appointment_time: '10:00' },
+  { _id: 'a3', status: 'confirmed', appointment_date: '2024-05-06T00:00:00.000Z', appointment_time: '11:00' },
+  { _id: 'a4', status: 'cancelled', appointment_date: '2024-05-08T00:00:00.000Z', appointment_time: '09:00' },
+  { _id: 'a5', status: 'scheduled', appointment_date: '2024-05-02T00:00:00.000Z', appointment_time: '09:00' }
+];
+
+test('appointments still to come are upcoming, soonest first; the rest are past, newest first', () => {
+  const { upcoming, past } = splitAppointments(appointments, new Date(2024, 4, 6, 12, 0));
+
+  expect(upcoming.map(appointment => appointment._id)).toEqual(['a3', 'a2']);
+  expect(past.map(appointment => appointment._id)).toEqual(['a4', 'a5', 'a1']);
+});
+
+test('a visit summary belongs to the appointment it was written at', () => {
+  expect(findVisitAppointment({ appointment_id: { _id: 'a3' } }, appointments)._id).toBe('a3');
+  expect(findVisitAppointment({ createdAt: '2024-05-01T14:30:00.000Z' }, appointments)._id).toBe('a1');
+  expect(findVisitAppointment({ createdAt: '2024-05-02T14:30:00.000Z' }, appointments)).toBeNull();
+});
+
+test('visit summaries list the visit, diagnosis and treatment', () => {
+  const summary = buildVisitSummary(
+    { diagnosis: 'Distal radius fracture', treatment_notes: 'Short arm cast for 6 weeks.' },
+    {
+      patient: { first_name: 'Ahmed', last_name: 'Saleh', date_of_birth: '1985-04-12T00:00:00.000Z' },
+      appointment: {
+        ...appointments[0],
+        doctor_id: { first_name: 'Sarah', last_name: 'Khan' },
+        department_id: { department_name: 'Trauma' }
+      }
+    }
+  );
+
+  expect(summary).toContain('Patient: Ahmed Saleh');
+  expect(summary).toContain('Date of birth: 1985-04-12');
+  expect(summary).toContain('Visit date: 2024-05-01');
+  expect(summary).toContain('Doctor: Dr. Sarah Khan');
+  expect(summary).toContain('Department: Trauma');
+  expect(summary).toMatch(/Diagnosis\nDistal radius fracture/);
+  expect(buildVisitSummary({ createdAt: '2024-05-01T14:30:00.000Z' })).toMatch(/Treatment notes\nN\/A$/);
+});
@@ -0,0 +1,84 @@
+import { normalizePhone } from './messaging';
+import { getAppointmentStart } from './reminders';
+
+/**
+ * Public Booking
+ * Appointments booked on the public booking page, without signing in. Each booking gets a
+ * reference; the reference and the phone number given with the booking are all the patient
+ * needs to look it up, confirm, reschedule or cancel it on the Manage My Booking page.
+ */
+
+export const BOOKING_REFERENCE_PREFIX = 'KSOH';
+
+// No 0/O or 1/I, so a reference read out over the phone cannot be mistaken
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 6;
+
+// Bookings that are still on can be changed online until they start
+export const MANAGEABLE_STATUSES = ['pending', 'scheduled', 'confirmed'];
+
+/**
+ * New booking reference, e.g. KSOH-7F3K9Q
+ * @param {Function} random - Returns a number in [0, 1), for tests
+ * @returns {string}
+ */
+export const generateBookingReference = (random = Math.random) => {
+  let code = '';
+  for (let i = 0; i < REFERENCE_LENGTH; i++) {
+    code += REFERENCE_ALPHABET[Math.floor(random() * REFERENCE_ALPHABET.length)];
+  }
+  return `${BOOKING_REFERENCE_PREFIX}-${code}`;
+};
+
+/**
+ * Booking reference as typed by a patient, in its stored form
+ * Case, spaces and dashes do not matter, and the prefix may be left out.
+ * @param {string} value - e.g. 'ksoh 7f3k9q' or '7F3K9Q'
+ * @returns {string} e.g. 'KSOH-7F3K9Q', empty when nothing was typed
+ */
+export const normalizeBookingReference = (value) => {
+  const code = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const withoutPrefix = code.startsWith(BOOKING_REFERENCE_PREFIX) ? code.slice(BOOKING_REFERENCE_PREFIX.length) : code;
+  return withoutPrefix ? `${BOOKING_REFERENCE_PREFIX}-${withoutPrefix}` : '';
+};
+
+/**
+ * Check whether a phone number is the one a booking was made with
+ * @param {string} bookedPhone - Phone number stored with the patient
+ * @param {string} phone - Phone number typed by the patient
+ * @returns {boolean}
+ */
+export const isSamePhone = (bookedPhone, phone) => {
+  const expected = normalizePhone(bookedPhone);
+  return !!expected && expected === normalizePhone(phone);
+};
+
+/**
+ * Check whether a booking can still be confirmed, rescheduled or cancelled online
+ * @param {Object} booking - { status, appointment_date, appointment_time }
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const canManageBooking = (booking, now = new Date()) => {
+  if (!booking || !MANAGEABLE_STATUSES.includes(booking.status)) return false;
+  const start = getAppointmentStart(booking);
+  return !!start && start > now;
+};
+
+/**
+ * Check the details a patient gives with a public booking
+ * @param {Object} details - { first_name, last_name, phone, email }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateBookingDetails = (details = {}) => {
+  if (!String(details.first_name || '').trim() || !String(details.last_name || '').trim()) {
+    return 'Please enter your first and last name';
+  }
+  if (!normalizePhone(details.phone)) {
+    return 'Please enter a valid phone number. You will need it to manage your booking.';
+  }
+  if (details.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(details.email)) {
+    return 'Please enter a valid email address';
+  }
+  return null;
+};
@@ -0,0 +1,28 @@
+import { canManageBooking, generateBookingReference, normalizeBookingReference, validateBookingDetails } from './publicBooking';
+
+test('booking references are short codes without look-alike characters', () => {
+  expect(generateBookingReference(() => 0)).toBe('KSOH-AAAAAA');
+  expect(generateBookingReference(() => 0.999)).toBe('KSOH-999999');
+  expect(generateBookingReference()).toMatch(/^KSOH-[A-HJ-NP-Z2-9]{6}$/);
+});
+
+test('references are found however the patient types them', () => {
+  expect(normalizeBookingReference(' ksoh 7f3k9q ')).toBe('KSOH-7F3K9Q');
+  expect(normalizeBookingReference('7F3-K9Q')).toBe('KSOH-7F3K9Q');
+  expect(normalizeBookingReference('')).toBe('');
+});
+
+test('bookings can be changed online until they start', () => {
+  const booking = { status: 'scheduled', appointment_date: '2024-05-06T00:00:00.000Z', appointment_time: '09:00' };
+
+  expect(canManageBooking(booking, new Date(2024, 4, 6, 8, 59))).toBe(true);
+  expect(canManageBooking(booking, new Date(2024, 4, 6, 9, 0))).toBe(false);
+  expect(canManageBooking({ ...booking, status: 'cancelled' }, new Date(2024, 4, 1))).toBe(false);
+});
+
+test('a booking needs a name and a phone number to manage it with', () => {
+  expect(validateBookingDetails({ first_name: 'Mona', last_name: 'Darwish', phone: '0785 201 554' })).toBeNull();
+  expect(validateBookingDetails({ first_name: 'Mona', last_name: '', phone: '0785 201 554' })).toMatch(/name/);
+  expect(validateBookingDetails({ first_name: 'Mona', last_name: 'Darwish', phone: '12' })).toMatch(/phone/);
+  expect(validateBookingDetails({ first_name: 'Mona', last_name: 'Darwish', phone: '0785 201 554', email: 'mona@' })).toMatch(/email/);
+});
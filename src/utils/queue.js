@@ -0,0 +1,120 @@
+import { getDateKey, getTodayKey } from './slots';
+
+/**
+ * Patient Queue
+ * Today's arrivals: queue numbers issued at check-in, each doctor's queue in call order,
+ * and the waiting times recorded from arrival to consultation.
+ *
+ * Queue fields stored on the appointment:
+ * - checked_in_at: set at check-in
+ * - queue_number: issued by the backend at check-in with getNextQueueNumber; numbers restart every day
+ * - queued_at: place in the queue, the arrival time until the patient is skipped
+ * - skip_count: how often the patient was skipped
+ * - consultation_started_at, wait_minutes: set when the doctor calls the patient
+ * - consultation_ended_at, consultation_minutes: set when the consultation is completed
+ * The times are set by getQueueTimestamps on every status change.
+ */
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Whole minutes between two times
+ * @param {string|Date} from
+ * @param {string|Date} to
+ * @returns {number}
+ */
+export const minutesBetween = (from, to) =>
+  Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+
+/**
+ * Whether an appointment is today's
+ * @param {Object} appointment
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isToday = (appointment, now = new Date()) =>
+  getDateKey(appointment.appointment_date) === getTodayKey(now);
+
+/**
+ * Queue number for the next arrival of the day
+ * @param {Array} appointments - Today's appointments
+ * @returns {number}
+ */
+export const getNextQueueNumber = (appointments) =>
+  appointments.reduce((highest, appointment) => Math.max(highest, appointment.queue_number || 0), 0) + 1;
+
+/**
+ * Queue times to save with a status change
+ * @param {Object} appointment - Appointment before the change
+ * @param {string} newStatus - Status it moves to
+ * @param {Date} now
+ * @returns {Object} Appointment fields
+ */
+export const getQueueTimestamps = (appointment, newStatus, now = new Date()) => {
+  const time = now.toISOString();
+  switch (newStatus) {
+    case 'checked-in':
+      return { checked_in_at: time, queued_at: time, skip_count: 0 };
+    case 'in-consultation':
+      return {
+        consultation_started_at: time,
+        wait_minutes: appointment.checked_in_at ? minutesBetween(appointment.checked_in_at, now) : undefined
+      };
+    case 'completed':
+      return appointment.consultation_started_at
+        ? { consultation_ended_at: time, consultation_minutes: minutesBetween(appointment.consultation_started_at, now) }
+        : {};
+    default:
+      return {};
+  }
+};
+
+/**
+ * Minutes a patient has waited since arrival, up to the start of the consultation
+ * @param {Object} appointment
+ * @param {Date} now
+ * @returns {number|null} null when the patient has not checked in
+ */
+export const getWaitMinutes = (appointment, now = new Date()) => {
+  if (!appointment.checked_in_at) return null;
+  if (appointment.wait_minutes != null) return appointment.wait_minutes;
+  return minutesBetween(appointment.checked_in_at, appointment.consultation_started_at || now);
+};
+
+/**
+ * A doctor's queue for today
+ * @param {Array} appointments - Appointments
+ * @param {string} doctorId - Doctor ID, or empty for every doctor
+ * @param {Date} now
+ * @returns {Object} { inConsultation: [appointments], waiting: [appointments in call order] }
+ */
+export const getDoctorQueue = (appointments, doctorId, now = new Date()) => {
+  const todays = appointments.filter(appointment =>
+    isToday(appointment, now) && (!doctorId || getId(appointment.doctor_id) === doctorId)
+  );
+  const queuedAt = (appointment) => new Date(appointment.queued_at || appointment.checked_in_at || 0);
+
+  return {
+    inConsultation: todays.filter(appointment => appointment.status === 'in-consultation'),
+    waiting: todays
+      .filter(appointment => appointment.status === 'checked-in')
+      .sort((a, b) => queuedAt(a) - queuedAt(b) || (a.queue_number || 0) - (b.queue_number || 0))
+  };
+};
+
+/**
+ * Average and longest arrival-to-consultation wait over appointments that reached the doctor
+ * @param {Array} appointments
+ * @returns {Object} { count, average, longest } in minutes
+ */
+export const getWaitStats = (appointments) => {
+  const waits = appointments
+    .map(appointment => appointment.wait_minutes)
+    .filter(minutes => typeof minutes === 'number');
+  if (waits.length === 0) return { count: 0, average: 0, longest: 0 };
+  return {
+    count: waits.length,
+    average: Math.round(waits.reduce((sum, minutes) => sum + minutes, 0) / waits.length),
+    longest: Math.max(...waits)
+  };
+};
@@ -0,0 +1,34 @@
+import { getDoctorQueue, getNextQueueNumber, getQueueTimestamps, getWaitMinutes, getWaitStats } from './queue';
+
+const now = new Date(2024, 4, 6, 10, 0);
+const today = '2024-05-06T00:00:00.000Z';
+const at = (hours, minutes) => new Date(2024, 4, 6, hours, minutes).toISOString();
+
+test('orders a doctor queue by place in line and tracks waiting times', () => {
+  const appointments = [
+    { _id: 'a', doctor_id: 'doc-1', appointment_date: today, status: 'checked-in', queue_number: 1, checked_in_at: at(9, 0), queued_at: at(9, 40) },
+    { _id: 'b', doctor_id: { _id: 'doc-1' }, appointment_date: today, status: 'checked-in', queue_number: 3, checked_in_at: at(9, 20) },
+    { _id: 'c', doctor_id: 'doc-1', appointment_date: today, status: 'in-consultation', queue_number: 2, checked_in_at: at(9, 10), consultation_started_at: at(9, 30), wait_minutes: 20 },
+    { _id: 'd', doctor_id: 'doc-2', appointment_date: today, status: 'checked-in', queue_number: 4, checked_in_at: at(9, 50) },
+    { _id: 'e', doctor_id: 'doc-1', appointment_date: '2024-05-05T00:00:00.000Z', status: 'checked-in', queue_number: 9, checked_in_at: at(8, 0) }
+  ];
+
+  const queue = getDoctorQueue(appointments, 'doc-1', now);
+  expect(queue.waiting.map(appointment => appointment._id)).toEqual(['b', 'a']);
+  expect(queue.inConsultation.map(appointment => appointment._id)).toEqual(['c']);
+
+  expect(getNextQueueNumber(appointments.slice(0, 4))).toBe(5);
+  expect(getNextQueueNumber([])).toBe(1);
+  expect(getWaitMinutes(appointments[0], now)).toBe(60);
+  expect(getWaitMinutes(appointments[2], now)).toBe(20);
+  expect(getWaitMinutes({ status: 'scheduled' }, now)).toBeNull();
+  expect(getWaitStats([{ wait_minutes: 20 }, { wait_minutes: 10 }, {}])).toEqual({ count: 2, average: 15, longest: 20 });
+});
+
+test('stores arrival and consultation times with status changes', () => {
+  const arrived = { status: 'checked-in', checked_in_at: at(9, 15) };
+  expect(getQueueTimestamps(arrived, 'in-consultation', now)).toEqual({ consultation_started_at: now.toISOString(), wait_minutes: 45 });
+  expect(getQueueTimestamps({ consultation_started_at: at(9, 40) }, 'completed', now))
+    .toEqual({ consultation_ended_at: now.toISOString(), consultation_minutes: 20 });
+  expect(getQueueTimestamps({ status: 'scheduled' }, 'cancelled', now)).toEqual({});
+});
@@ -0,0 +1,165 @@
+import { getDateKey, timeToMinutes } from './slots';
+
+/**
+ * Appointment Reminders
+ * Works out which reminders are due: every appointment gets a reminder at each
+ * configured lead time (48 and 2 hours before by default), and the patient can answer
+ * a reminder to confirm or cancel the appointment.
+ */
+
+const DEFAULT_REMINDER_HOURS = [48, 2];
+
+/**
+ * Parse a comma-separated list of lead times ('48,2' -> [48, 2])
+ * @param {string} value
+ * @returns {Array} Hours before the appointment, longest first
+ */
+export const parseReminderHours = (value) => {
+  const hours = String(value || '')
+    .split(',')
+    .map(Number)
+    .filter(hour => hour > 0);
+  return hours.length > 0 ? [...new Set(hours)].sort((a, b) => b - a) : DEFAULT_REMINDER_HOURS;
+};
+
+// Hours before an appointment that a reminder goes out, e.g. REACT_APP_REMINDER_HOURS=48,2
+export const REMINDER_HOURS = parseReminderHours(process.env.REACT_APP_REMINDER_HOURS);
+
+// Times a reminder is tried before it is given up, e.g. REACT_APP_REMINDER_MAX_ATTEMPTS=3
+export const MAX_REMINDER_ATTEMPTS = Number(process.env.REACT_APP_REMINDER_MAX_ATTEMPTS) || 3;
+
+// Appointments that still get reminders
+export const REMINDER_STATUSES = ['pending', 'scheduled', 'confirmed'];
+
+// Status an appointment moves to for each answer a patient can give to a reminder
+export const REMINDER_RESPONSES = {
+  confirm: 'confirmed',
+  cancel: 'cancelled'
+};
+
+export const REMINDER_SEND_STATUSES = [
+  { value: 'pending', label: 'Sending' },
+  { value: 'sent', label: 'Sent' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'skipped', label: 'No Contact Details' }
+];
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Label of a reminder send status
+ * @param {string} status
+ * @returns {string}
+ */
+export const getReminderStatusLabel = (status) =>
+  REMINDER_SEND_STATUSES.find(option => option.value === status)?.label || status || 'N/A';
+
+/**
+ * 48 -> '2 days', 2 -> '2 hours'
+ * @param {number} hours
+ * @returns {string}
+ */
+export const formatLeadTime = (hours) => {
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} ${days === 1 ? 'day' : 'days'}`;
+  }
+  return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+};
+
+/**
+ * Start of an appointment in the hospital's local time
+ * @param {Object} appointment - { appointment_date, appointment_time }
+ * @returns {Date|null} null when the date is missing or invalid
+ */
+export const getAppointmentStart = (appointment) => {
+  const dateKey = getDateKey(appointment.appointment_date);
+  if (!dateKey) return null;
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const minutes = timeToMinutes(appointment.appointment_time);
+  return new Date(year, month - 1, day, 0, isNaN(minutes) ? 0 : minutes);
+};
+
+/**
+ * Whether a reminder was sent for the appointment's current date and time
+ * (a rescheduled appointment gets its reminders again)
+ */
+const isForCurrentTime = (reminder, appointment) =>
+  getDateKey(reminder.appointment_date) === getDateKey(appointment.appointment_date) &&
+  (reminder.appointment_time || '') === (appointment.appointment_time || '');
+
+/**
+ * Reminders to send now
+ * Only the shortest lead time whose window has opened is sent, so an appointment booked
+ * a few hours ahead gets one reminder instead of every one it missed.
+ * A reminder that was not sent (failed, skipped or never finished) is tried again
+ * until it has been recorded maxAttempts times.
+ * @param {Array} appointments - Appointments
+ * @param {Array} reminders - Reminders already recorded (any send status)
+ * @param {Object} options - { now, hours, maxAttempts }
+ * @returns {Array} [{ appointment, offset_hours }]
+ */
+export const getDueReminders = (appointments, reminders = [], {
+  now = new Date(),
+  hours = REMINDER_HOURS,
+  maxAttempts = MAX_REMINDER_ATTEMPTS
+} = {}) =>
+  appointments.reduce((due, appointment) => {
+    if (!REMINDER_STATUSES.includes(appointment.status || 'scheduled')) return due;
+    const start = getAppointmentStart(appointment);
+    if (!start || start <= now) return due;
+
+    const hoursLeft = (start - now) / 3600000;
+    const open = hours.filter(hour => hoursLeft <= hour);
+    if (open.length === 0) return due;
+    const offsetHours = Math.min(...open);
+
+    const attempts = reminders.filter(reminder =>
+      getId(reminder.appointment_id) === appointment._id &&
+      reminder.offset_hours <= offsetHours &&
+      isForCurrentTime(reminder, appointment)
+    );
+    if (!attempts.some(reminder => reminder.status === 'sent') && attempts.length < maxAttempts) {
+      due.push({ appointment, offset_hours: offsetHours });
+    }
+    return due;
+  }, []);
+
+/**
+ * Link a patient follows from a reminder to answer it
+ * @param {string} token - Reminder token
+ * @param {string} action - 'confirm' or 'cancel'
+ * @param {string} origin - Site the link points to
+ * @returns {string} URL
+ */
+export const buildReminderLink = (token, action, origin = window.location.origin) =>
+  `${origin}/appointment-response?token=${encodeURIComponent(token)}&action=${action}`;
+
+/**
+ * Subject and plain-text body of a reminder (the subject is only used for email)
+ * @param {Object} details - { patientName, doctorName, department, date, time, location, confirmUrl, cancelUrl }
+ * @returns {Object} { subject, message }
+ */
+export const buildReminderMessage = ({ patientName, doctorName, department, date, time, location, confirmUrl, cancelUrl }) => {
+  const lines = [
+    `Dear ${patientName},`,
+    '',
+    'This is a reminder of your upcoming appointment.',
+    '',
+    `Doctor: ${doctorName}`,
+    department ? `Department: ${department}` : null,
+    `Date: ${date}`,
+    time ? `Time: ${time}` : null,
+    location ? `Location: ${location}` : null,
+    '',
+    `Confirm you are coming: ${confirmUrl}`,
+    `Cancel the appointment: ${cancelUrl}`,
+    '',
+    'Please arrive 15 minutes early and check in at reception.'
+  ].filter(line => line !== null);
+
+  return {
+    subject: `Appointment reminder: ${date}${time ? ` at ${time}` : ''}`,
+    message: lines.join('\n')
+  };
+};
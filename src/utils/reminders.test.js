@@ -0,0 +1,64 @@
+import { buildReminderLink, buildReminderMessage, getDueReminders, parseReminderHours } from './reminders';
+
+const now = new Date(2024, 4, 6, 10, 0);
+const appointment = (id, day, time, status = 'scheduled') =>
+  ({ _id: id, appointment_date: `2024-05-${day}T00:00:00.000Z`, appointment_time: time, status });
+
+test('sends the shortest reminder whose window has opened, once per appointment time', () => {
+  const appointments = [
+    appointment('in-47h', '08', '09:00'),
+    appointment('in-90m', '06', '11:30'),
+    appointment('in-3-days', '09', '10:00'),
+    appointment('past', '06', '09:00'),
+    appointment('cancelled', '06', '11:00', 'cancelled')
+  ];
+
+  expect(getDueReminders(appointments, [], { now, hours: [48, 2] })).toEqual([
+    { appointment: appointments[0], offset_hours: 48 },
+    { appointment: appointments[1], offset_hours: 2 }
+  ]);
+
+  const sent = [
+    { appointment_id: 'in-47h', offset_hours: 48, appointment_date: '2024-05-08', appointment_time: '09:00', status: 'sent' },
+    { appointment_id: { _id: 'in-90m' }, offset_hours: 48, appointment_date: '2024-05-06', appointment_time: '11:30', status: 'sent' }
+  ];
+  expect(getDueReminders(appointments, sent, { now, hours: [48, 2] }).map(due => due.appointment._id)).toEqual(['in-90m']);
+
+  // Moving the appointment resets its reminders
+  const moved = { ...appointments[0], appointment_time: '09:30' };
+  expect(getDueReminders([moved], sent, { now, hours: [48, 2] })).toHaveLength(1);
+});
+
+test('retries reminders that were not sent, up to the attempt limit', () => {
+  const appointments = [appointment('in-47h', '08', '09:00')];
+  const attempt = (status) =>
+    ({ appointment_id: 'in-47h', offset_hours: 48, appointment_date: '2024-05-08', appointment_time: '09:00', status });
+  const due = (reminders) => getDueReminders(appointments, reminders, { now, hours: [48, 2], maxAttempts: 3 });
+
+  expect(due([attempt('failed')])).toHaveLength(1);
+  expect(due([attempt('failed'), attempt('skipped')])).toHaveLength(1);
+  expect(due([attempt('failed'), attempt('pending'), attempt('failed')])).toEqual([]);
+  expect(due([attempt('failed'), attempt('sent')])).toEqual([]);
+});
+
+test('parses lead times and builds the reminder email', () => {
+  expect(parseReminderHours('2, 48,abc')).toEqual([48, 2]);
+  expect(parseReminderHours('')).toEqual([48, 2]);
+
+  const confirmUrl = buildReminderLink('tok/1', 'confirm', 'https://clinic.test');
+  expect(confirmUrl).toBe('https://clinic.test/appointment-response?token=tok%2F1&action=confirm');
+
+  const { subject, message } = buildReminderMessage({
+    patientName: 'Maya Nasser',
+    doctorName: 'Dr. Omar Khan',
+    date: 'Wednesday, May 8',
+    time: '09:00',
+    location: 'Clinic 1',
+    confirmUrl,
+    cancelUrl: 'https://clinic.test/cancel'
+  });
+  expect(subject).toBe('Appointment reminder: Wednesday, May 8 at 09:00');
+  expect(message).toContain('Location: Clinic 1');
+  expect(message).toContain(confirmUrl);
+  expect(message).not.toContain('Department:');
+});
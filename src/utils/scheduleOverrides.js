@@ -0,0 +1,144 @@
+import { addDays, findTimeOff, getDateKey, getSessionsOn, getTodayKey, timeToMinutes } from './slots';
+import { formatDateRange } from './absences';
+import { INITIAL_STATUSES } from './appointmentStatus';
+
+/**
+ * Schedule Overrides
+ * One-off changes to the weekly schedules: an extra session on a date, different hours or capacity
+ * for one occurrence of a weekly session, or that occurrence cancelled.
+ * The booking engine applies them through getSessionsOn in slots.
+ */
+
+export const OVERRIDE_KINDS = [
+  { value: 'extra', label: 'Extra session' },
+  { value: 'change', label: 'Changed hours or capacity' },
+  { value: 'cancel', label: 'Session cancelled' }
+];
+
+// Badge labels of the session kinds returned by getSessionsOn
+export const SESSION_KIND_LABELS = {
+  weekly: 'Weekly',
+  changed: 'Changed',
+  extra: 'Extra',
+  cancelled: 'Cancelled'
+};
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * What an override does: 'extra', 'change' or 'cancel'
+ * @param {Object} override - Schedule override { schedule_id, is_available }
+ * @returns {string}
+ */
+export const getOverrideKind = (override) => {
+  if (!getId(override.schedule_id)) return 'extra';
+  return override.is_available === false ? 'cancel' : 'change';
+};
+
+/**
+ * Check a schedule override before saving it
+ * @param {Object} override - { doctor_id, date, schedule_id, start_time, end_time, max_patients, is_available }
+ * @returns {string|null} Error message, or null when the override is fine
+ */
+export const validateScheduleOverride = (override) => {
+  if (!getId(override.doctor_id)) return 'Doctor is required';
+  if (!override.date) return 'Date is required';
+  const kind = getOverrideKind(override);
+  if (kind === 'cancel') return null;
+  if (kind === 'extra' && (!override.start_time || !override.end_time)) {
+    return 'An extra session needs a start and an end time';
+  }
+  const times = [override.start_time, override.end_time].filter(Boolean);
+  if (times.some(time => !TIME_PATTERN.test(time))) return 'Please provide valid time format (HH:MM)';
+  if (times.length === 2 && timeToMinutes(override.end_time) <= timeToMinutes(override.start_time)) {
+    return 'End time must be after start time';
+  }
+  if (override.max_patients !== undefined && override.max_patients !== null && override.max_patients !== '' &&
+    !(Number(override.max_patients) >= 1)) {
+    return 'Max patients must be at least 1';
+  }
+  return null;
+};
+
+/**
+ * Check the effective dates of a weekly schedule
+ * @param {Object} schedule - { effective_from, effective_to } (both optional)
+ * @returns {string|null} Error message, or null when the dates are fine
+ */
+export const validateEffectiveRange = (schedule) => {
+  if (schedule.effective_from && schedule.effective_to &&
+    getDateKey(schedule.effective_to) < getDateKey(schedule.effective_from)) {
+    return 'Effective until cannot be before effective from';
+  }
+  return null;
+};
+
+/**
+ * When a weekly schedule is in effect, for display ('' when it always is)
+ * @param {Object} schedule - { effective_from, effective_to }
+ * @returns {string}
+ */
+export const formatEffectiveRange = (schedule) => {
+  const from = getDateKey(schedule.effective_from);
+  const to = getDateKey(schedule.effective_to);
+  if (from && to) return formatDateRange({ start_date: from, end_date: to });
+  if (from) return `From ${formatDateRange({ start_date: from })}`;
+  if (to) return `Until ${formatDateRange({ start_date: to })}`;
+  return '';
+};
+
+/**
+ * Whether a weekly schedule has ended (its effective_to is in the past)
+ * @param {Object} schedule - { effective_to }
+ * @param {Object} options - { now }
+ * @returns {boolean}
+ */
+export const isScheduleExpired = (schedule, { now = new Date() } = {}) =>
+  !!schedule.effective_to && getDateKey(schedule.effective_to) < getTodayKey(now);
+
+/**
+ * The concrete sessions of the coming days, for showing the schedule as a calendar
+ * Dates without sessions or overrides are left out.
+ * @param {Array} schedules - Doctor schedules
+ * @param {Object} options - { from, days, overrides, absences, holidays }
+ * @returns {Array} [{ date, sessions }], each session from getSessionsOn (cancelled ones included)
+ *   plus timeOff: { kind, record } when the doctor is away or the hospital is closed
+ */
+export const getScheduleCalendar = (schedules, { from = getTodayKey(), days = 14, overrides = [], absences = [], holidays = [] } = {}) => {
+  const calendar = [];
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDays(from, offset);
+    const sessions = getSessionsOn(schedules, date, { overrides, includeCancelled: true }).map(session => ({
+      ...session,
+      timeOff: findTimeOff(getId(session.doctor_id), date, { absences, holidays })
+    }));
+    if (sessions.length > 0) calendar.push({ date, sessions });
+  }
+  return calendar;
+};
+
+/**
+ * Upcoming appointments of a doctor on a date that no longer fall within one of the doctor's sessions,
+ * e.g. after the session was cancelled or shortened for that date
+ * @param {Array} appointments - Appointments
+ * @param {Object} context - { doctorId, date, schedules, overrides, now }
+ * @returns {Array} Appointments in time order
+ */
+export const getAppointmentsOffSchedule = (appointments, { doctorId, date, schedules = [], overrides = [], now = new Date() }) => {
+  if (date < getTodayKey(now)) return [];
+  const sessions = getSessionsOn(schedules, date, { overrides })
+    .filter(session => getId(session.doctor_id) === doctorId);
+  return appointments
+    .filter(appointment => getId(appointment.doctor_id) === doctorId)
+    .filter(appointment => getDateKey(appointment.appointment_date) === date)
+    .filter(appointment => INITIAL_STATUSES.includes(appointment.status || 'scheduled'))
+    .filter(appointment => {
+      const minutes = timeToMinutes(appointment.appointment_time);
+      return !sessions.some(session =>
+        minutes >= timeToMinutes(session.start_time) && minutes < timeToMinutes(session.end_time)
+      );
+    })
+    .sort((a, b) => (a.appointment_time || '').localeCompare(b.appointment_time || ''));
+};
@@ -0,0 +1,33 @@
+import { getAppointmentsOffSchedule, getScheduleCalendar, validateScheduleOverride } from './scheduleOverrides';
+
+// Monday 6 May 2024
+const monday = { _id: 'sched-mon', doctor_id: 'doc-1', day_of_week: 'Monday', start_time: '09:00', end_time: '12:00', max_patients: 6 };
+
+const appointment = (id, time, status = 'scheduled') => ({
+  _id: id, doctor_id: { _id: 'doc-1' }, appointment_date: '2024-05-06T00:00:00.000Z', appointment_time: time, status
+});
+
+test('finds the appointments a shortened or cancelled session leaves out', () => {
+  const shortened = { _id: 'ovr-1', doctor_id: 'doc-1', date: '2024-05-06', schedule_id: 'sched-mon', end_time: '10:00' };
+  const appointments = [appointment('apt-3', '11:00'), appointment('apt-1', '09:30'), appointment('apt-2', '10:30', 'cancelled')];
+  const context = { doctorId: 'doc-1', date: '2024-05-06', schedules: [monday], now: new Date(2024, 4, 1) };
+
+  expect(getAppointmentsOffSchedule(appointments, { ...context, overrides: [shortened] }).map(a => a._id)).toEqual(['apt-3']);
+  expect(getAppointmentsOffSchedule(appointments, { ...context, overrides: [{ ...shortened, is_available: false }] })
+    .map(a => a._id)).toEqual(['apt-1', 'apt-3']);
+});
+
+test('lists the sessions of the coming days with days off marked', () => {
+  const calendar = getScheduleCalendar([monday], {
+    from: '2024-05-05',
+    days: 9,
+    overrides: [{ _id: 'ovr-2', doctor_id: 'doc-1', date: '2024-05-11', start_time: '09:00', end_time: '11:00' }],
+    holidays: [{ name: 'Labour Day', start_date: '2024-05-06' }]
+  });
+
+  expect(calendar.map(day => `${day.date} ${day.sessions.map(session => session.kind).join(',')}`))
+    .toEqual(['2024-05-06 weekly', '2024-05-11 extra', '2024-05-13 weekly']);
+  expect(calendar[0].sessions[0].timeOff.kind).toBe('holiday');
+  expect(validateScheduleOverride({ doctor_id: 'doc-1', date: '2024-05-11', start_time: '11:00', end_time: '09:00' }))
+    .toMatch(/after start time/);
+});
@@ -0,0 +1,297 @@
+/**
+ * Appointment Slots
+ * Turns weekly doctor schedules into concrete, bookable time slots.
+ * A schedule ({ day_of_week, start_time, end_time, max_patients }) is a session repeating every week
+ * between its optional effective_from and effective_to dates; each occurrence is cut into slots of slot_duration minutes.
+ * Schedule overrides change single dates: they add an extra session, change the times or capacity of
+ * one occurrence, or cancel it (see getSessionsOn).
+ * - Slot capacity: slot_capacity patients per slot (default 1)
+ * - Session capacity: max_patients across all slots of one occurrence
+ * Doctors have no slots on days they are away (absences) or the hospital is closed (holidays).
+ * Dates are 'YYYY-MM-DD' keys, matching how appointment_date is stored (midnight UTC).
+ */
+
+export const DEFAULT_SLOT_MINUTES = Number(process.env.REACT_APP_SLOT_MINUTES) || 15;
+export const BOOKING_HORIZON_DAYS = Number(process.env.REACT_APP_BOOKING_HORIZON_DAYS) || 28;
+export const SLOT_LENGTH_OPTIONS = [10, 15, 20, 30, 45, 60];
+export const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Appointments in these statuses no longer hold their slot
+export const RELEASED_STATUSES = ['cancelled'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * '09:30' -> 570
+ * @param {string} time - HH:MM
+ * @returns {number} Minutes since midnight (NaN when invalid)
+ */
+export const timeToMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+};
+
+/**
+ * 570 -> '09:30'
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} HH:MM
+ */
+export const minutesToTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+/**
+ * Date key of an appointment date ('2024-05-01' or '2024-05-01T00:00:00.000Z' -> '2024-05-01')
+ * @param {string|Date} value
+ * @returns {string} YYYY-MM-DD, or '' when invalid
+ */
+export const getDateKey = (value) => {
+  if (!value) return '';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Today's date key in the user's timezone
+ * @param {Date} now
+ * @returns {string} YYYY-MM-DD
+ */
+export const getTodayKey = (now = new Date()) =>
+  `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+
+/**
+ * Shift a date key by a number of days
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+export const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Weekday name of a date key ('2024-05-01' -> 'Wednesday')
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string}
+ */
+export const getDayOfWeek = (dateKey) => DAYS_OF_WEEK[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Slot length of a schedule in minutes
+ * @param {Object} schedule - Doctor schedule (slot_duration overrides the default)
+ * @param {number} slotMinutes - Default slot length
+ * @returns {number}
+ */
+export const getSlotMinutes = (schedule, slotMinutes = DEFAULT_SLOT_MINUTES) =>
+  Number(schedule.slot_duration) || slotMinutes;
+
+// Session fields a schedule override can change for one date
+const OVERRIDE_FIELDS = ['start_time', 'end_time', 'max_patients', 'slot_duration', 'slot_capacity'];
+
+/**
+ * Whether a weekly schedule is in effect on a date
+ * @param {Object} schedule - Doctor schedule { effective_from, effective_to } (both optional, both included)
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const isScheduleEffective = (schedule, dateKey) =>
+  (!schedule.effective_from || getDateKey(schedule.effective_from) <= dateKey) &&
+  (!schedule.effective_to || dateKey <= getDateKey(schedule.effective_to));
+
+/**
+ * The concrete sessions of a date, from the weekly schedules in effect and the overrides of that date
+ * An override { doctor_id, date, schedule_id?, start_time, end_time, max_patients, is_available, reason }
+ * - with schedule_id changes that occurrence of the weekly session (only the fields it sets),
+ *   or cancels it when is_available is false
+ * - without schedule_id is an extra session
+ * @param {Array} schedules - Doctor schedules
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {Object} options - { overrides, includeCancelled }
+ *   - includeCancelled: also return cancelled occurrences (for showing the calendar)
+ * @returns {Array} Sessions: the schedule fields with the override applied, plus
+ *   { date, kind: 'weekly' | 'changed' | 'extra' | 'cancelled', override }.
+ *   Extra sessions take the override's _id, so slots and capacity are counted per session.
+ */
+export const getSessionsOn = (schedules, dateKey, { overrides = [], includeCancelled = false } = {}) => {
+  const dayOfWeek = getDayOfWeek(dateKey);
+  const dayOverrides = overrides.filter(override => getDateKey(override.date) === dateKey);
+  const sessions = [];
+
+  schedules.forEach(schedule => {
+    if (schedule.day_of_week !== dayOfWeek || schedule.is_available === false || !isScheduleEffective(schedule, dateKey)) return;
+    const override = dayOverrides.find(o => getId(o.schedule_id) === schedule._id);
+    if (!override) {
+      sessions.push({ ...schedule, date: dateKey, kind: 'weekly', override: null });
+    } else if (override.is_available === false) {
+      if (includeCancelled) sessions.push({ ...schedule, date: dateKey, kind: 'cancelled', override });
+    } else {
+      const changes = {};
+      OVERRIDE_FIELDS.forEach(field => {
+        if (override[field] !== undefined && override[field] !== null && override[field] !== '') changes[field] = override[field];
+      });
+      sessions.push({ ...schedule, ...changes, date: dateKey, kind: 'changed', override });
+    }
+  });
+
+  dayOverrides
+    .filter(override => !getId(override.schedule_id) && override.is_available !== false)
+    .forEach(override => sessions.push({
+      ...override,
+      day_of_week: dayOfWeek,
+      date: dateKey,
+      kind: 'extra',
+      override
+    }));
+
+  return sessions.sort((a, b) => timeToMinutes(a.start_time) - timeToMinutes(b.start_time));
+};
+
+/**
+ * Time off covering a date: a hospital holiday, or an absence of the doctor
+ * Both cover whole days from start_date to end_date (inclusive).
+ * @param {string} doctorId - Doctor ID
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {Object} timeOff - { absences, holidays }
+ *   - absences: doctor absences { doctor_id, start_date, end_date, type, reason }
+ *   - holidays: hospital holidays { name, start_date, end_date }
+ * @returns {Object|null} { kind: 'holiday' | 'absence', record }, or null when the doctor can see patients
+ */
+export const findTimeOff = (doctorId, dateKey, { absences = [], holidays = [] } = {}) => {
+  const covers = (record) =>
+    getDateKey(record.start_date) <= dateKey && dateKey <= getDateKey(record.end_date || record.start_date);
+
+  const holiday = holidays.find(covers);
+  if (holiday) return { kind: 'holiday', record: holiday };
+  const absence = absences.find(record => getId(record.doctor_id) === doctorId && covers(record));
+  return absence ? { kind: 'absence', record: absence } : null;
+};
+
+/**
+ * Build the slots of every schedule over a date range, with existing bookings applied
+ * @param {Array} schedules - Doctor schedules
+ * @param {Array} appointments - Existing appointments of the same doctors
+ * @param {Object} options - { from, days, slotMinutes, now, excludeAppointmentId, overrides, absences, holidays }
+ *   - from: first date key (defaults to today; earlier dates are skipped)
+ *   - excludeAppointmentId: appointment being edited, so its own slot shows as free
+ *   - overrides: schedule overrides of single dates, see getSessionsOn
+ *   - absences, holidays: time off, see findTimeOff; sessions on those days get no slots
+ * @returns {Array} Slots sorted by date and time:
+ *   { key, doctor_id, schedule_id, date, time, end_time, booked, capacity,
+ *     session_booked, session_capacity, available }
+ */
+export const buildSlots = (schedules = [], appointments = [], options = {}) => {
+  const {
+    days = BOOKING_HORIZON_DAYS,
+    slotMinutes = DEFAULT_SLOT_MINUTES,
+    now = new Date(),
+    excludeAppointmentId,
+    overrides = [],
+    absences = [],
+    holidays = []
+  } = options;
+  const todayKey = getTodayKey(now);
+  const from = options.from || todayKey;
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  // 'doctorId|date' -> booked start times in minutes
+  const bookedTimes = new Map();
+  appointments.forEach(appointment => {
+    if (RELEASED_STATUSES.includes(appointment.status) || appointment._id === excludeAppointmentId) return;
+    const key = `${getId(appointment.doctor_id)}|${getDateKey(appointment.appointment_date)}`;
+    if (!bookedTimes.has(key)) bookedTimes.set(key, []);
+    bookedTimes.get(key).push(timeToMinutes(appointment.appointment_time));
+  });
+
+  const countBetween = (times, start, end) => times.filter(time => time >= start && time < end).length;
+
+  const slots = [];
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDays(from, offset);
+    if (date < todayKey) continue;
+
+    getSessionsOn(schedules, date, { overrides }).forEach(schedule => {
+      const doctorId = getId(schedule.doctor_id);
+      const start = timeToMinutes(schedule.start_time);
+      const end = timeToMinutes(schedule.end_time);
+      if (!doctorId || !(end > start)) return;
+      if (findTimeOff(doctorId, date, { absences, holidays })) return;
+
+      const length = getSlotMinutes(schedule, slotMinutes);
+      const times = bookedTimes.get(`${doctorId}|${date}`) || [];
+      const sessionBooked = countBetween(times, start, end);
+      const sessionCapacity = Number(schedule.max_patients) || Infinity;
+      const capacity = Number(schedule.slot_capacity) || 1;
+
+      for (let slotStart = start; slotStart + length <= end; slotStart += length) {
+        const booked = countBetween(times, slotStart, slotStart + length);
+        const isPast = date === todayKey && slotStart <= nowMinutes;
+        slots.push({
+          key: `${doctorId}|${date}|${minutesToTime(slotStart)}`,
+          doctor_id: doctorId,
+          schedule_id: schedule._id,
+          date,
+          time: minutesToTime(slotStart),
+          end_time: minutesToTime(slotStart + length),
+          booked,
+          capacity,
+          session_booked: sessionBooked,
+          session_capacity: sessionCapacity,
+          available: !isPast && booked < capacity && sessionBooked < sessionCapacity
+        });
+      }
+    });
+  }
+
+  return slots.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+};
+
+/**
+ * Find the slot a time falls into
+ * @param {Array} slots - Slots from buildSlots
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Object|undefined}
+ */
+export const findSlot = (slots, date, time) => {
+  const minutes = timeToMinutes(time);
+  return slots.find(slot =>
+    slot.date === date &&
+    minutes >= timeToMinutes(slot.time) &&
+    minutes < timeToMinutes(slot.end_time)
+  );
+};
+
+/**
+ * Number of patients that can still be booked into some slots
+ * Free slots of one session are capped by the places left in that session (max_patients).
+ * @param {Array} slots - Slots from buildSlots
+ * @returns {number}
+ */
+export const countFreePlaces = (slots) => {
+  const sessions = new Map();
+  slots.forEach(slot => {
+    if (!slot.available) return;
+    const key = `${slot.schedule_id}|${slot.date}`;
+    const session = sessions.get(key) || { free: 0, left: slot.session_capacity - slot.session_booked };
+    session.free += slot.capacity - slot.booked;
+    sessions.set(key, session);
+  });
+  return Array.from(sessions.values()).reduce((total, session) => total + Math.min(session.free, session.left), 0);
+};
+
+/**
+ * Group slots by date for pickers
+ * @param {Array} slots
+ * @returns {Array} [{ date, slots }] in date order
+ */
+export const groupSlotsByDate = (slots) => {
+  const groups = new Map();
+  slots.forEach(slot => {
+    if (!groups.has(slot.date)) groups.set(slot.date, []);
+    groups.get(slot.date).push(slot);
+  });
+  return Array.from(groups, ([date, dateSlots]) => ({ date, slots: dateSlots }));
+};
@@ -0,0 +1,75 @@
+import { buildSlots, findSlot, findTimeOff, countFreePlaces, getSessionsOn } from './slots';
+
+// Monday 6 May 2024
+const monday = { _id: 'sched-mon', doctor_id: 'doc-1', day_of_week: 'Monday', start_time: '09:00', end_time: '10:00', max_patients: 3 };
+const options = { from: '2024-05-06', days: 1, slotMinutes: 15, now: new Date(2024, 4, 5, 12, 0) };
+
+const appointment = (time, status = 'scheduled') => ({
+  _id: `apt-${time}`,
+  doctor_id: { _id: 'doc-1' },
+  appointment_date: '2024-05-06T00:00:00.000Z',
+  appointment_time: time,
+  status
+});
+
+test('cuts a session into slots and marks booked slots as taken', () => {
+  const slots = buildSlots([monday], [appointment('09:15')], options);
+
+  expect(slots.map(slot => slot.time)).toEqual(['09:00', '09:15', '09:30', '09:45']);
+  expect(slots.filter(slot => slot.available).map(slot => slot.time)).toEqual(['09:00', '09:30', '09:45']);
+  expect(findSlot(slots, '2024-05-06', '09:20').time).toBe('09:15');
+  // Three free slots but only two places left in the session (max_patients: 3)
+  expect(countFreePlaces(slots)).toBe(2);
+});
+
+test('closes the whole session once max_patients is reached and ignores cancelled appointments', () => {
+  const booked = [appointment('09:00'), appointment('09:15'), appointment('09:30')];
+  expect(buildSlots([monday], booked, options).some(slot => slot.available)).toBe(false);
+
+  booked[2] = appointment('09:30', 'cancelled');
+  expect(buildSlots([monday], booked, options).filter(slot => slot.available).map(slot => slot.time))
+    .toEqual(['09:30', '09:45']);
+});
+
+test('honours slot capacity, edited appointments and past times', () => {
+  const shared = { ...monday, slot_capacity: 2, max_patients: 0 };
+  const slots = buildSlots([shared], [appointment('09:00')], options);
+  expect(findSlot(slots, '2024-05-06', '09:00').available).toBe(true);
+
+  const edited = buildSlots([monday], [appointment('09:00')], { ...options, excludeAppointmentId: 'apt-09:00' });
+  expect(findSlot(edited, '2024-05-06', '09:00').booked).toBe(0);
+
+  const later = buildSlots([monday], [], { ...options, now: new Date(2024, 4, 6, 9, 20) });
+  expect(later.filter(slot => slot.available).map(slot => slot.time)).toEqual(['09:30', '09:45']);
+});
+
+test('gives no slots on days the doctor is away or the hospital is closed', () => {
+  const absences = [{ doctor_id: { _id: 'doc-1' }, start_date: '2024-05-06', end_date: '2024-05-10', type: 'leave' }];
+  const holidays = [{ name: 'Labour Day', start_date: '2024-05-06', end_date: '2024-05-06' }];
+
+  expect(buildSlots([monday], [], { ...options, absences })).toEqual([]);
+  expect(buildSlots([monday], [], { ...options, holidays })).toEqual([]);
+  expect(buildSlots([monday], [], { ...options, absences: [{ ...absences[0], doctor_id: 'doc-2' }] })).toHaveLength(4);
+  expect(findTimeOff('doc-1', '2024-05-10', { absences }).kind).toBe('absence');
+  expect(findTimeOff('doc-1', '2024-05-11', { absences, holidays })).toBeNull();
+});
+
+test('follows effective dates and the overrides of single dates', () => {
+  expect(buildSlots([{ ...monday, effective_from: '2024-05-07' }], [], options)).toEqual([]);
+  expect(buildSlots([{ ...monday, effective_to: '2024-05-05' }], [], options)).toEqual([]);
+  expect(buildSlots([{ ...monday, effective_from: '2024-05-06', effective_to: '2024-05-06' }], [], options)).toHaveLength(4);
+
+  const shortened = { _id: 'ovr-1', doctor_id: 'doc-1', date: '2024-05-06', schedule_id: 'sched-mon', end_time: '09:30', max_patients: 1 };
+  const slots = buildSlots([monday], [], { ...options, overrides: [shortened] });
+  expect(slots.map(slot => slot.time)).toEqual(['09:00', '09:15']);
+  expect(countFreePlaces(slots)).toBe(1);
+
+  const cancelled = { ...shortened, is_available: false };
+  expect(buildSlots([monday], [], { ...options, overrides: [cancelled] })).toEqual([]);
+  expect(getSessionsOn([monday], '2024-05-06', { overrides: [cancelled], includeCancelled: true })[0].kind).toBe('cancelled');
+
+  // An extra Tuesday session is counted on its own
+  const extra = { _id: 'ovr-2', doctor_id: 'doc-1', date: '2024-05-07', start_time: '14:00', end_time: '14:30', max_patients: 2 };
+  const tuesday = buildSlots([monday], [], { ...options, days: 2, overrides: [extra] }).filter(slot => slot.date === '2024-05-07');
+  expect(tuesday.map(slot => `${slot.schedule_id} ${slot.time}`)).toEqual(['ovr-2 14:00', 'ovr-2 14:15']);
+});
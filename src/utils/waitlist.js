@@ -0,0 +1,135 @@
+import { getDayOfWeek } from './slots';
+
+/**
+ * Waitlist
+ * Matches patients waiting for a doctor, day or department to slots that free up,
+ * first come first served, and expires offers that were not taken in time.
+ */
+
+// How long a patient has to take an offered slot before it passes to the next person
+export const WAITLIST_OFFER_MINUTES = Number(process.env.REACT_APP_WAITLIST_OFFER_MINUTES) || 120;
+
+export const WAITLIST_STATUSES = [
+  { value: 'waiting', label: 'Waiting' },
+  { value: 'offered', label: 'Slot Offered' },
+  { value: 'booked', label: 'Booked' },
+  { value: 'expired', label: 'Offer Expired' },
+  { value: 'declined', label: 'Declined' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+const getId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+/**
+ * Label of a waitlist status
+ * @param {string} status
+ * @returns {string}
+ */
+export const getWaitlistStatusLabel = (status) =>
+  WAITLIST_STATUSES.find(option => option.value === status)?.label || status || 'N/A';
+
+/**
+ * Whether an offer has run out
+ * @param {Object} entry - Waitlist entry
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isOfferExpired = (entry, now = new Date()) =>
+  entry.status === 'offered' && !!entry.offer_expires_at && new Date(entry.offer_expires_at) <= now;
+
+/**
+ * Text of an offer: which slot is held for the patient and until when
+ * @param {Object} slot - { date, time }
+ * @param {Object} doctor - Doctor of the slot, or null
+ * @param {Date} expiresAt - When the offer runs out
+ * @returns {string}
+ */
+export const buildWaitlistOfferMessage = (slot, doctor, expiresAt) => {
+  const when = new Date(`${slot.date}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric'
+  });
+  const withDoctor = doctor ? ` with Dr. ${doctor.first_name} ${doctor.last_name}` : '';
+  const until = expiresAt.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  return `A slot has opened up${withDoctor} on ${when} at ${slot.time}. ` +
+    `It is held for you until ${until}; contact reception to take it, after that it is offered to the next patient.`;
+};
+
+/**
+ * Whether a slot suits a waitlist entry
+ * Every criterion the patient gave (doctor, day of week, department) has to match.
+ * @param {Object} entry - { doctor_id, department_id, day_of_week }
+ * @param {Object} slot - Slot from buildSlots
+ * @param {Array} doctors - Doctors, used to find the department of the slot's doctor
+ * @returns {boolean}
+ */
+export const matchesWaitlistEntry = (entry, slot, doctors = []) => {
+  if (entry.doctor_id && getId(entry.doctor_id) !== slot.doctor_id) return false;
+  if (entry.day_of_week && entry.day_of_week !== getDayOfWeek(slot.date)) return false;
+  if (entry.department_id) {
+    const doctor = doctors.find(d => d._id === slot.doctor_id);
+    if (!doctor || getId(doctor.department_id) !== getId(entry.department_id)) return false;
+  }
+  return true;
+};
+
+/**
+ * Work out which offers run out and which slots go to whom
+ * - offers past offer_expires_at expire and their slot is released
+ * - free slots are handed out in time order, each to the longest waiting patient it suits
+ * - slots and session places held by live offers are not offered twice
+ * @param {Array} entries - Waitlist entries (waiting and offered ones are used)
+ * @param {Array} slots - Slots from buildSlots
+ * @param {Object} options - { doctors, now }
+ * @returns {Object} { expired: [entry], offers: [{ entry, slot }] }
+ */
+export const planWaitlistOffers = (entries, slots, { doctors = [], now = new Date() } = {}) => {
+  const expired = entries.filter(entry => isOfferExpired(entry, now));
+
+  // Places held by live offers, per slot and per session
+  const heldSlots = new Map();
+  const heldSessions = new Map();
+  const hold = (slot) => {
+    heldSlots.set(slot.key, (heldSlots.get(slot.key) || 0) + 1);
+    const sessionKey = `${slot.schedule_id}|${slot.date}`;
+    heldSessions.set(sessionKey, (heldSessions.get(sessionKey) || 0) + 1);
+  };
+  entries
+    .filter(entry => entry.status === 'offered' && !isOfferExpired(entry, now) && entry.offered_slot)
+    .forEach(entry => {
+      const slot = slots.find(s =>
+        s.doctor_id === getId(entry.offered_slot.doctor_id) &&
+        s.date === entry.offered_slot.date &&
+        s.time === entry.offered_slot.time
+      );
+      if (slot) hold(slot);
+    });
+
+  const waiting = entries
+    .filter(entry => entry.status === 'waiting')
+    .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+  const offers = [];
+  slots.forEach(slot => {
+    if (!slot.available) return;
+    const sessionKey = `${slot.schedule_id}|${slot.date}`;
+    let slotPlaces = slot.capacity - slot.booked - (heldSlots.get(slot.key) || 0);
+    let sessionPlaces = slot.session_capacity - slot.session_booked - (heldSessions.get(sessionKey) || 0);
+
+    while (slotPlaces > 0 && sessionPlaces > 0) {
+      const entry = waiting.find(candidate =>
+        !offers.some(offer => offer.entry === candidate) &&
+        matchesWaitlistEntry(candidate, slot, doctors)
+      );
+      if (!entry) break;
+      offers.push({ entry, slot });
+      hold(slot);
+      slotPlaces--;
+      sessionPlaces--;
+    }
+  });
+
+  return { expired, offers };
+};
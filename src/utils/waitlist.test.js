@@ -0,0 +1,41 @@
+import { planWaitlistOffers } from './waitlist';
+import { buildSlots } from './slots';
+
+// Monday 6 May 2024: two slots of two places each, but only two places left in the session
+const schedules = [
+  { _id: 'sched-1', doctor_id: 'doc-1', day_of_week: 'Monday', start_time: '09:00', end_time: '10:00', max_patients: 3, slot_duration: 30, slot_capacity: 2 }
+];
+const booked = [
+  { _id: 'apt-1', doctor_id: 'doc-1', appointment_date: '2024-05-06T00:00:00.000Z', appointment_time: '09:00', status: 'scheduled' }
+];
+const slots = buildSlots(schedules, booked, { from: '2024-05-06', days: 1, now: new Date(2024, 4, 5, 12, 0) });
+const doctors = [{ _id: 'doc-1', department_id: { _id: 'dept-1' } }];
+const now = new Date(2024, 4, 5, 12, 0);
+
+const entry = (id, changes) => ({ _id: id, patient_id: `pat-${id}`, status: 'waiting', createdAt: `2024-05-0${id}T08:00:00.000Z`, ...changes });
+
+test('offers freed slots to the longest waiting patients they suit', () => {
+  const entries = [
+    entry('3', { doctor_id: 'doc-1' }),
+    entry('1', { doctor_id: 'doc-2' }),
+    entry('2', { department_id: 'dept-1', day_of_week: 'Monday' }),
+    entry('4', { day_of_week: 'Tuesday' }),
+    entry('5', { doctor_id: 'doc-1' })
+  ];
+  const { offers } = planWaitlistOffers(entries, slots, { doctors, now });
+
+  expect(offers.map(offer => [offer.entry._id, offer.slot.time])).toEqual([['2', '09:00'], ['3', '09:30']]);
+});
+
+test('expires old offers and keeps live offers from being handed out twice', () => {
+  const entries = [
+    entry('1', { doctor_id: 'doc-1', status: 'offered', offer_expires_at: '2024-05-05T09:00:00.000Z', offered_slot: { doctor_id: 'doc-1', date: '2024-05-06', time: '09:30' } }),
+    entry('2', { doctor_id: 'doc-1', status: 'offered', offer_expires_at: '2024-05-06T09:00:00.000Z', offered_slot: { doctor_id: 'doc-1', date: '2024-05-06', time: '09:30' } }),
+    entry('3', { doctor_id: 'doc-1' })
+  ];
+  const { expired, offers } = planWaitlistOffers(entries, slots, { doctors, now });
+
+  expect(expired.map(e => e._id)).toEqual(['1']);
+  // Entry 2's live offer holds one of the two places left in the session
+  expect(offers.map(offer => [offer.entry._id, offer.slot.time])).toEqual([['3', '09:00']]);
+});